@@ -0,0 +1,694 @@
+/**
+ * Admin Analytics Dashboard Scripts
+ *
+ * Loads the order report of the selected date range through AJAX and renders
+ * the metric cards, the daily orders and revenue charts, the comparison with
+ * the previous period, the checkout funnel with the top failure reasons, the
+ * sortable sales breakdown by product or category and the status distribution
+ * without reloading the page.
+ * Requires carticyAnalytics object to be localized with:
+ *   - ajaxUrl: WordPress AJAX URL
+ *   - exportUrl: admin-post.php URL for the sales breakdown export
+ *   - nonce: Security nonce
+ *   - today: Current date in the site timezone (Y-m-d)
+ *   - statuses: Order status labels keyed by status (wc- prefixed)
+ *   - currency: Currency symbol, position, decimals and separators
+ *   - i18n: Translated strings object
+ *
+ * @package Carticy\AiCheckout
+ */
+
+/* global jQuery, CarticyAdmin, carticyAnalytics */
+
+(function($) {
+	'use strict';
+
+	var COLORS = {
+		chatgpt: '#0073aa',
+		regular: '#46b450',
+		previous: '#8c8f94'
+	};
+
+	/**
+	 * Pending report request, aborted when a new range is applied.
+	 */
+	var request = null;
+
+	/**
+	 * Pending funnel request.
+	 */
+	var funnelRequest = null;
+
+	/**
+	 * Sales breakdown state: loaded rows, their group and the sort column.
+	 */
+	var breakdown = {
+		request: null,
+		group: 'product',
+		rows: [],
+		orderby: 'revenue',
+		order: 'desc'
+	};
+
+	/**
+	 * Format a number with the store separators.
+	 *
+	 * @param {number} value - Number.
+	 * @param {number} decimals - Decimal places.
+	 * @return {string} Formatted number.
+	 */
+	function formatNumber(value, decimals) {
+		var currency = carticyAnalytics.currency;
+		var parts = (Number(value) || 0).toFixed(decimals).split('.');
+
+		parts[0] = parts[0].replace(/\B(?=(\d{3})+(?!\d))/g, currency.thousandSep);
+
+		return parts.join(currency.decimalSep);
+	}
+
+	/**
+	 * Format an amount in the store currency.
+	 *
+	 * @param {number} value - Amount.
+	 * @param {boolean} compact - Whether to drop the decimals (chart axis).
+	 * @return {string} Formatted amount.
+	 */
+	function formatMoney(value, compact) {
+		var currency = carticyAnalytics.currency;
+		var amount = formatNumber(value, compact ? 0 : currency.decimals);
+
+		switch (currency.position) {
+			case 'right':
+				return amount + currency.symbol;
+			case 'left_space':
+				return currency.symbol + ' ' + amount;
+			case 'right_space':
+				return amount + ' ' + currency.symbol;
+			default:
+				return currency.symbol + amount;
+		}
+	}
+
+	/**
+	 * Format an order count.
+	 *
+	 * @param {number} value - Count.
+	 * @return {string} Formatted count.
+	 */
+	function formatCount(value) {
+		return formatNumber(Math.round(value), 0);
+	}
+
+	/**
+	 * Format a percentage.
+	 *
+	 * @param {number} value - Percentage.
+	 * @return {string} Formatted percentage.
+	 */
+	function formatPercent(value) {
+		return formatNumber(value, 2) + '%';
+	}
+
+	/**
+	 * Compute the change between two values.
+	 *
+	 * @param {number} current - Value of the selected period.
+	 * @param {number} previous - Value of the previous period.
+	 * @return {Object} Change text and direction (up, down or none).
+	 */
+	function getChange(current, previous) {
+		if (current === previous) {
+			return {text: carticyAnalytics.i18n.noChange, short: '0%', direction: 'none'};
+		}
+
+		if (!previous) {
+			return {text: carticyAnalytics.i18n.newInPeriod, short: '+∞', direction: 'up'};
+		}
+
+		var percent = ((current - previous) / previous) * 100;
+		var short = (percent > 0 ? '+' : '') + formatNumber(percent, 1) + '%';
+
+		return {
+			text: carticyAnalytics.i18n.vsPrevious.replace('%s', short),
+			short: short,
+			direction: percent > 0 ? 'up' : 'down'
+		};
+	}
+
+	/**
+	 * Get the start date of a preset range ending today.
+	 *
+	 * @param {number} days - Range length in days.
+	 * @return {string} Start date (Y-m-d).
+	 */
+	function presetStart(days) {
+		var date = new Date(carticyAnalytics.today + 'T00:00:00Z');
+
+		date.setUTCDate(date.getUTCDate() - (days - 1));
+
+		return date.toISOString().slice(0, 10);
+	}
+
+	/**
+	 * Render the metric cards.
+	 *
+	 * @param {Object} current - Selected period report.
+	 * @param {Object|null} previous - Previous period report.
+	 */
+	function renderCards(current, previous) {
+		var summary = current.summary;
+		var values = {
+			chatgpt_orders: formatCount(summary.chatgpt_orders),
+			regular_orders: formatCount(summary.regular_orders),
+			conversion_rate: formatPercent(summary.conversion_rate),
+			chatgpt_aov: current.formatted.chatgpt_aov
+		};
+		var details = {
+			chatgpt_orders: carticyAnalytics.i18n.revenue.replace('%s', current.formatted.chatgpt_revenue),
+			regular_orders: carticyAnalytics.i18n.revenue.replace('%s', current.formatted.regular_revenue),
+			conversion_rate: carticyAnalytics.i18n.ofTotal.replace('%1$s', formatCount(summary.chatgpt_orders)).replace('%2$s', formatCount(summary.total_orders)),
+			chatgpt_aov: carticyAnalytics.i18n.regularAov.replace('%s', current.formatted.regular_aov)
+		};
+
+		Object.keys(values).forEach(function(metric) {
+			var $change = $('.metric-change[data-change="' + metric + '"]');
+
+			$('.metric-value[data-metric="' + metric + '"]').text(values[metric]);
+			$('.metric-detail[data-detail="' + metric + '"]').text(details[metric]);
+
+			if (!previous) {
+				$change.empty().removeClass('is-up is-down');
+				return;
+			}
+
+			var change = getChange(summary[metric], previous.summary[metric]);
+
+			$change.text(change.text).removeClass('is-up is-down').addClass(change.direction === 'none' ? '' : 'is-' + change.direction);
+		});
+	}
+
+	/**
+	 * Render the daily orders and revenue charts.
+	 *
+	 * @param {Object} current - Selected period report.
+	 * @param {Object|null} previous - Previous period report.
+	 */
+	function renderCharts(current, previous) {
+		var i18n = carticyAnalytics.i18n;
+		var labels = current.series.map(function(day) {
+			return day.date;
+		});
+		var pick = function(report, metric) {
+			return report.series.map(function(day) {
+				return day[metric];
+			});
+		};
+
+		var orders = [
+			{label: i18n.chatgpt, color: COLORS.chatgpt, values: pick(current, 'chatgpt_orders')},
+			{label: i18n.regular, color: COLORS.regular, values: pick(current, 'regular_orders')}
+		];
+		var revenue = [
+			{label: i18n.chatgpt, color: COLORS.chatgpt, values: pick(current, 'chatgpt_revenue')},
+			{label: i18n.regular, color: COLORS.regular, values: pick(current, 'regular_revenue')}
+		];
+
+		// The previous period has the same length, so its days line up with the selected ones.
+		if (previous) {
+			orders.push({label: i18n.previousChatgpt, color: COLORS.previous, values: pick(previous, 'chatgpt_orders'), dashed: true});
+			revenue.push({label: i18n.previousChatgpt, color: COLORS.previous, values: pick(previous, 'chatgpt_revenue'), dashed: true});
+		}
+
+		CarticyAdmin.Charts.line($('#analytics-orders-chart'), {
+			labels: labels,
+			series: orders,
+			format: formatCount,
+			integer: true,
+			title: i18n.ordersChart
+		});
+
+		CarticyAdmin.Charts.line($('#analytics-revenue-chart'), {
+			labels: labels,
+			series: revenue,
+			format: formatMoney,
+			title: i18n.revenueChart
+		});
+	}
+
+	/**
+	 * Render the period comparison table.
+	 *
+	 * @param {Object} current - Selected period report.
+	 * @param {Object|null} previous - Previous period report.
+	 */
+	function renderComparison(current, previous) {
+		var i18n = carticyAnalytics.i18n;
+		var $section = $('.analytics-comparison');
+		var $rows = $section.find('tbody').empty();
+
+		if (!previous) {
+			$section.prop('hidden', true);
+			return;
+		}
+
+		var range = function(report) {
+			return i18n.range.replace('%1$s', CarticyAdmin.Charts.shortDate(report.start)).replace('%2$s', CarticyAdmin.Charts.shortDate(report.end));
+		};
+
+		$section.find('th.comparison-current').attr('title', range(current));
+		$section.find('th.comparison-previous').attr('title', range(previous));
+
+		[
+			{label: i18n.chatgptOrders, metric: 'chatgpt_orders', format: formatCount},
+			{label: i18n.regularOrders, metric: 'regular_orders', format: formatCount},
+			{label: i18n.chatgptRevenue, metric: 'chatgpt_revenue', format: formatMoney},
+			{label: i18n.regularRevenue, metric: 'regular_revenue', format: formatMoney},
+			{label: i18n.chatgptAov, metric: 'chatgpt_aov', format: formatMoney},
+			{label: i18n.conversion, metric: 'conversion_rate', format: formatPercent}
+		].forEach(function(row) {
+			var now = current.summary[row.metric];
+			var before = previous.summary[row.metric];
+			var change = getChange(now, before);
+
+			$rows.append(
+				$('<tr>').append(
+					$('<td>').text(row.label),
+					$('<td>').text(row.format(now, false)),
+					$('<td>').text(row.format(before, false)),
+					$('<td>').append($('<span class="comparison-change">').addClass('is-' + change.direction).text(change.short))
+				)
+			);
+		});
+
+		$section.prop('hidden', false);
+	}
+
+	/**
+	 * Render the ChatGPT order status distribution.
+	 *
+	 * @param {Object} current - Selected period report.
+	 */
+	function renderStatuses(current) {
+		var $rows = $('#analytics-status-rows').empty();
+		var total = current.summary.chatgpt_orders;
+
+		Object.keys(current.status_stats).forEach(function(status) {
+			var count = current.status_stats[status];
+
+			if (!count) {
+				return;
+			}
+
+			$rows.append(
+				$('<tr>').append(
+					$('<td>').append(
+						$('<span class="status-badge">').addClass('status-' + status).text(carticyAnalytics.statuses['wc-' + status] || status)
+					),
+					$('<td>').text(formatCount(count)),
+					$('<td>').text(formatNumber(total ? (count / total) * 100 : 0, 1) + '%')
+				)
+			);
+		});
+
+		if (!$rows.children().length) {
+			$rows.append($('<tr>').append($('<td colspan="3" class="description">').text(carticyAnalytics.i18n.noStatusOrders)));
+		}
+	}
+
+	/**
+	 * Render the checkout funnel stages and exits.
+	 *
+	 * @param {Object} funnel - Funnel report.
+	 */
+	function renderFunnel(funnel) {
+		var i18n = carticyAnalytics.i18n;
+		var $stages = $('#analytics-funnel-stages').empty();
+		var $exits = $('#analytics-funnel-exits').empty();
+		var created = funnel.stages.length ? funnel.stages[0].count : 0;
+
+		if (!created) {
+			$stages.append($('<li class="funnel-empty description">').text(i18n.noSessions));
+			$('.funnel-open').text('');
+			return;
+		}
+
+		funnel.stages.forEach(function(stage, index) {
+			var details = [i18n.ofCreated.replace('%s', formatPercent(stage.rate))];
+
+			if (index > 0) {
+				details.push(i18n.dropOff.replace('%s', formatPercent(stage.drop_off)));
+			}
+
+			$stages.append(
+				$('<li class="funnel-stage">').append(
+					$('<div class="funnel-stage-header">').append(
+						$('<span class="funnel-stage-label">').text(stage.label),
+						$('<span class="funnel-stage-count">').text(formatCount(stage.count))
+					),
+					$('<div class="funnel-bar">').append(
+						$('<span class="funnel-bar-fill">').css('width', Math.min(100, stage.rate) + '%')
+					),
+					$('<div class="funnel-stage-detail">').text(details.join(' · '))
+				)
+			);
+		});
+
+		funnel.exits.forEach(function(exit) {
+			$exits.append(
+				$('<li>').addClass('funnel-exit-' + exit.exit).append(
+					$('<span class="funnel-exit-label">').text(exit.label),
+					$('<strong>').text(formatCount(exit.count)),
+					$('<span class="funnel-exit-rate">').text(formatPercent(exit.rate))
+				)
+			);
+		});
+
+		$('.funnel-open').text(funnel.open ? i18n.openSessions.replace('%d', formatCount(funnel.open)) : '');
+	}
+
+	/**
+	 * Render the failure categories and top failure reasons.
+	 *
+	 * @param {Object} failures - Failure report.
+	 */
+	function renderFailures(failures) {
+		var $categories = $('#analytics-failure-categories').empty();
+		var $rows = $('#analytics-failure-rows').empty();
+
+		failures.categories.forEach(function(category) {
+			$categories.append(
+				$('<li>').append(
+					$('<span class="failure-category">').addClass('category-' + category.category).text(category.label),
+					$('<strong>').text(formatCount(category.count))
+				)
+			);
+		});
+
+		if (!failures.reasons.length) {
+			$rows.append($('<tr>').append($('<td colspan="3" class="description">').text(carticyAnalytics.i18n.noFailures)));
+			return;
+		}
+
+		failures.reasons.forEach(function(reason) {
+			var $reason = $('<td>').append($('<span class="failure-message">').text(reason.message));
+
+			if (reason.code) {
+				$reason.append($('<code class="failure-code">').text(reason.code));
+			}
+
+			$rows.append(
+				$('<tr>').append(
+					$reason,
+					$('<td>').append($('<span class="failure-category">').addClass('category-' + reason.category).text(reason.category_label)),
+					$('<td class="column-count">').append(
+						$('<strong>').text(formatCount(reason.count)),
+						$('<div class="failure-sessions">').text(carticyAnalytics.i18n.sessions.replace('%d', formatCount(reason.sessions)))
+					)
+				)
+			);
+		});
+	}
+
+	/**
+	 * Load and render the checkout funnel of the selected range.
+	 */
+	function loadFunnel() {
+		var $form = $('#analytics-range');
+
+		if (funnelRequest) {
+			funnelRequest.abort();
+		}
+
+		$('.analytics-funnel').addClass('is-loading');
+
+		funnelRequest = $.post(carticyAnalytics.ajaxUrl, {
+			action: 'carticy_ai_checkout_analytics_funnel',
+			nonce: carticyAnalytics.nonce,
+			start: $form.find('[name="start"]').val(),
+			end: $form.find('[name="end"]').val()
+		}).done(function(response) {
+			renderFunnel(response.data.funnel);
+			renderFailures(response.data.failures);
+		}).always(function(data, status) {
+			if (status === 'abort') {
+				return;
+			}
+
+			// Range errors are shown by loadReport().
+			funnelRequest = null;
+			$('.analytics-funnel').removeClass('is-loading');
+		});
+	}
+
+	/**
+	 * Sort the sales breakdown rows by the selected column.
+	 *
+	 * Mirrors AnalyticsService::sort_breakdown(), so exports keep the order shown.
+	 *
+	 * @return {Object[]} Sorted copy of the rows.
+	 */
+	function sortBreakdown() {
+		var direction = breakdown.order === 'asc' ? 1 : -1;
+		var byName = function(a, b) {
+			return String(a.name).localeCompare(String(b.name), undefined, {numeric: true, sensitivity: 'base'});
+		};
+
+		return breakdown.rows.slice().sort(function(a, b) {
+			var result = breakdown.orderby === 'name'
+				? byName(a, b)
+				: (Number(a[breakdown.orderby]) || 0) - (Number(b[breakdown.orderby]) || 0);
+
+			return result !== 0 ? result * direction : byName(a, b);
+		});
+	}
+
+	/**
+	 * Render the sales breakdown table.
+	 */
+	function renderBreakdown() {
+		var i18n = carticyAnalytics.i18n;
+		var isProduct = breakdown.group === 'product';
+		var $table = $('.breakdown-table');
+		var $rows = $('#analytics-breakdown-rows').empty();
+
+		$table.find('.breakdown-name-label').text(isProduct ? i18n.product : i18n.category);
+		$table.find('.column-quality').toggle(isProduct);
+		$table.find('th[data-sort]').each(function() {
+			var $th = $(this);
+			var sorted = $th.data('sort') === breakdown.orderby;
+
+			$th.attr('aria-sort', sorted ? (breakdown.order === 'asc' ? 'ascending' : 'descending') : 'none');
+			$th.find('.dashicons')
+				.toggleClass('dashicons-arrow-up', sorted && breakdown.order === 'asc')
+				.toggleClass('dashicons-arrow-down', sorted && breakdown.order === 'desc');
+		});
+
+		if (!breakdown.rows.length) {
+			$rows.append($('<tr>').append($('<td class="description">').attr('colspan', isProduct ? 6 : 5).text(i18n.noBreakdownRows)));
+			return;
+		}
+
+		sortBreakdown().forEach(function(row) {
+			var $name = row.url ? $('<a>').attr('href', row.url).text(row.name) : $('<span>').text(row.name);
+			var $nameCell = $('<td class="column-name">').append($('<strong>').append($name));
+			var $row = $('<tr>');
+
+			if (isProduct && row.sku) {
+				$nameCell.append($('<div class="breakdown-meta">').text(i18n.sku.replace('%s', row.sku)));
+			}
+
+			$row.append(
+				$nameCell,
+				$('<td class="column-units">').text(formatCount(row.units)),
+				$('<td class="column-revenue">').text(row.revenue_formatted),
+				$('<td class="column-orders">').text(
+					i18n.ordersOfTotal.replace('%1$s', formatCount(row.chatgpt_orders)).replace('%2$s', formatCount(row.total_orders))
+				),
+				$('<td class="column-conversion">').text(formatPercent(row.conversion_rate))
+			);
+
+			if (isProduct) {
+				// Rendered by ProductsListTable::render_quality_cell(), as on the products page.
+				$row.append($('<td class="column-quality">').html(row.quality_html || '&ndash;'));
+			}
+
+			$rows.append($row);
+		});
+	}
+
+	/**
+	 * Load and render the sales breakdown of the selected range.
+	 */
+	function loadBreakdown() {
+		var $form = $('#analytics-range');
+		var group = $('#analytics-breakdown-group').val();
+
+		if (breakdown.request) {
+			breakdown.request.abort();
+		}
+
+		$('.analytics-breakdown').addClass('is-loading');
+
+		breakdown.request = $.post(carticyAnalytics.ajaxUrl, {
+			action: 'carticy_ai_checkout_analytics_breakdown',
+			nonce: carticyAnalytics.nonce,
+			start: $form.find('[name="start"]').val(),
+			end: $form.find('[name="end"]').val(),
+			group: group
+		}).done(function(response) {
+			breakdown.group = response.data.group;
+			breakdown.rows = response.data.rows;
+
+			// Categories have no quality score.
+			if (breakdown.group !== 'product' && breakdown.orderby === 'quality_score') {
+				breakdown.orderby = 'revenue';
+				breakdown.order = 'desc';
+			}
+
+			renderBreakdown();
+		}).fail(function(xhr, status) {
+			if (status === 'abort') {
+				return;
+			}
+
+			var message = xhr.responseJSON && xhr.responseJSON.data && xhr.responseJSON.data.message
+				? xhr.responseJSON.data.message
+				: carticyAnalytics.i18n.errorOccurred;
+
+			$('#analytics-breakdown-rows').empty().append(
+				$('<tr>').append($('<td colspan="6" class="description">').text(message))
+			);
+		}).always(function(data, status) {
+			if (status === 'abort') {
+				return;
+			}
+
+			breakdown.request = null;
+			$('.analytics-breakdown').removeClass('is-loading');
+		});
+	}
+
+	/**
+	 * Download the sales breakdown of the selected range in the order shown.
+	 */
+	function exportBreakdown() {
+		var $form = $('#analytics-range');
+
+		window.location.href = carticyAnalytics.exportUrl + '?' + $.param({
+			action: 'carticy_ai_checkout_export_analytics_breakdown',
+			_wpnonce: carticyAnalytics.nonce,
+			start: $form.find('[name="start"]').val(),
+			end: $form.find('[name="end"]').val(),
+			group: $('#analytics-breakdown-group').val(),
+			orderby: breakdown.orderby,
+			order: breakdown.order
+		});
+	}
+
+	/**
+	 * Load and render the report of the selected range.
+	 */
+	function loadReport() {
+		var $form = $('#analytics-range');
+		var $error = $('.analytics-range-error');
+
+		if (request) {
+			request.abort();
+		}
+
+		$form.find('.spinner').addClass('is-active');
+		$('.carticy-ai-checkout .analytics-metrics, .carticy-ai-checkout .analytics-charts').addClass('is-loading');
+
+		request = $.post(carticyAnalytics.ajaxUrl, {
+			action: 'carticy_ai_checkout_analytics_report',
+			nonce: carticyAnalytics.nonce,
+			start: $form.find('[name="start"]').val(),
+			end: $form.find('[name="end"]').val(),
+			compare: $form.find('[name="compare"]').is(':checked') ? 'yes' : 'no'
+		}).done(function(response) {
+			$error.prop('hidden', true);
+			renderCards(response.data.current, response.data.previous);
+			renderCharts(response.data.current, response.data.previous);
+			renderComparison(response.data.current, response.data.previous);
+			renderStatuses(response.data.current);
+		}).fail(function(xhr, status) {
+			if (status === 'abort') {
+				return;
+			}
+
+			var message = xhr.responseJSON && xhr.responseJSON.data && xhr.responseJSON.data.message
+				? xhr.responseJSON.data.message
+				: carticyAnalytics.i18n.errorOccurred;
+
+			$error.text(message).prop('hidden', false);
+		}).always(function(data, status) {
+			if (status === 'abort') {
+				return;
+			}
+
+			request = null;
+			$form.find('.spinner').removeClass('is-active');
+			$('.carticy-ai-checkout .analytics-metrics, .carticy-ai-checkout .analytics-charts').removeClass('is-loading');
+		});
+	}
+
+	$(document).ready(function() {
+		var $form = $('#analytics-range');
+
+		if (!$form.length) {
+			return;
+		}
+
+		// Presets fill in the dates and apply right away.
+		$form.on('change', '[name="preset"]', function() {
+			var days = parseInt($(this).val(), 10);
+
+			if (!days) {
+				$form.find('[name="start"]').trigger('focus');
+				return;
+			}
+
+			$form.find('[name="start"]').val(presetStart(days));
+			$form.find('[name="end"]').val(carticyAnalytics.today);
+			loadReport();
+			loadFunnel();
+			loadBreakdown();
+		});
+
+		$form.on('input', '[name="start"], [name="end"]', function() {
+			$form.find('[name="preset"]').val('custom');
+		});
+
+		$form.on('change', '[name="compare"]', loadReport);
+
+		$form.on('submit', function(e) {
+			e.preventDefault();
+			loadReport();
+			loadFunnel();
+			loadBreakdown();
+		});
+
+		$('#analytics-breakdown-group').on('change', loadBreakdown);
+
+		// Sorting is done in the browser; the rows are already loaded.
+		$('.breakdown-table').on('click', '.breakdown-sort', function() {
+			var column = $(this).closest('th').data('sort');
+
+			if (column === breakdown.orderby) {
+				breakdown.order = breakdown.order === 'asc' ? 'desc' : 'asc';
+			} else {
+				breakdown.orderby = column;
+				breakdown.order = column === 'name' ? 'asc' : 'desc';
+			}
+
+			renderBreakdown();
+		});
+
+		$('.analytics-breakdown-export').on('click', exportBreakdown);
+
+		loadReport();
+		loadFunnel();
+		loadBreakdown();
+	});
+
+})(jQuery);
@@ -0,0 +1,292 @@
+/**
+ * Admin Charts
+ *
+ * Adds CarticyAdmin.Charts, dependency-free inline SVG charts for the admin
+ * dashboards. Each point gets a native tooltip listing the values of all
+ * series for that label.
+ *
+ * Usage:
+ *   CarticyAdmin.Charts.line($container, {
+ *       labels: ['2025-01-01', '2025-01-02'],
+ *       series: [{label: 'ChatGPT', color: '#0073aa', values: [3, 5]}]
+ *   });
+ *   CarticyAdmin.Charts.sparkline($container, [0.4, 0.6, 0.5]);
+ *
+ * @package Carticy\AiCheckout
+ */
+
+/* global jQuery */
+
+(function($) {
+	'use strict';
+
+	window.CarticyAdmin = window.CarticyAdmin || {};
+
+	var SVG_NS = 'http://www.w3.org/2000/svg';
+
+	/**
+	 * Chart geometry in viewBox units.
+	 */
+	var WIDTH = 640;
+	var HEIGHT = 240;
+	var PADDING = {top: 12, right: 12, bottom: 28, left: 64};
+
+	/**
+	 * Create an SVG element.
+	 *
+	 * @param {string} name - Element name.
+	 * @param {Object} attrs - Attributes.
+	 * @return {Element} SVG element.
+	 */
+	function svg(name, attrs) {
+		var el = document.createElementNS(SVG_NS, name);
+
+		Object.keys(attrs || {}).forEach(function(key) {
+			el.setAttribute(key, attrs[key]);
+		});
+
+		return el;
+	}
+
+	/**
+	 * Round a maximum up to a readable axis limit (1, 2 or 5 times a power of ten).
+	 *
+	 * @param {number} max - Largest value.
+	 * @return {number} Axis limit.
+	 */
+	function niceMax(max) {
+		if (max <= 0) {
+			return 1;
+		}
+
+		var power = Math.pow(10, Math.floor(Math.log10(max)));
+		var steps = [1, 2, 5, 10];
+
+		for (var i = 0; i < steps.length; i++) {
+			if (max <= steps[i] * power) {
+				return steps[i] * power;
+			}
+		}
+
+		return 10 * power;
+	}
+
+	/**
+	 * Format a Y-m-d date as a short label in the site language.
+	 *
+	 * @param {string} date - Date (Y-m-d).
+	 * @return {string} Short date.
+	 */
+	function shortDate(date) {
+		var parsed = new Date(date + 'T00:00:00Z');
+
+		if (isNaN(parsed.getTime())) {
+			return date;
+		}
+
+		return parsed.toLocaleDateString(document.documentElement.lang || undefined, {month: 'short', day: 'numeric', timeZone: 'UTC'});
+	}
+
+	CarticyAdmin.Charts = {
+		shortDate: shortDate,
+
+		/**
+		 * Render a line chart into a container, replacing its content.
+		 *
+		 * @param {jQuery} $container - Chart container.
+		 * @param {Object} options - Chart options.
+		 * @param {string[]} options.labels - X axis labels (Y-m-d dates are shortened).
+		 * @param {Object[]} options.series - Series: label, color, values and optional dashed flag.
+		 * @param {Function} options.format - Value formatter for the axis and tooltips (optional).
+		 * @param {boolean} options.integer - Whether values are counts (optional).
+		 * @param {string} options.title - Accessible chart title (optional).
+		 */
+		line: function($container, options) {
+			var labels = options.labels || [];
+			var series = options.series || [];
+			var format = options.format || function(value) {
+				return String(value);
+			};
+			var plotWidth = WIDTH - PADDING.left - PADDING.right;
+			var plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+			var max = 0;
+
+			series.forEach(function(item) {
+				item.values.forEach(function(value) {
+					max = Math.max(max, Number(value) || 0);
+				});
+			});
+
+			max = niceMax(max);
+
+			// Counts get four whole-number steps.
+			if (options.integer) {
+				max = Math.ceil(max / 4) * 4;
+			}
+
+			var x = function(index) {
+				return PADDING.left + (labels.length > 1 ? (index / (labels.length - 1)) * plotWidth : plotWidth / 2);
+			};
+			var y = function(value) {
+				return PADDING.top + plotHeight - ((Number(value) || 0) / max) * plotHeight;
+			};
+
+			var root = svg('svg', {
+				'class': 'carticy-chart',
+				'viewBox': '0 0 ' + WIDTH + ' ' + HEIGHT,
+				'role': 'img',
+				'preserveAspectRatio': 'xMidYMid meet'
+			});
+
+			if (options.title) {
+				root.appendChild(svg('title', {})).textContent = options.title;
+			}
+
+			// Horizontal grid lines with Y axis labels.
+			for (var step = 0; step <= 4; step++) {
+				var value = (max / 4) * step;
+				var lineY = y(value);
+
+				root.appendChild(svg('line', {'class': 'carticy-chart-grid', x1: PADDING.left, x2: WIDTH - PADDING.right, y1: lineY, y2: lineY}));
+				root.appendChild(svg('text', {'class': 'carticy-chart-axis', x: PADDING.left - 6, y: lineY + 4, 'text-anchor': 'end'})).textContent = format(value, true);
+			}
+
+			// X axis labels, at most about eight.
+			var every = Math.max(1, Math.ceil(labels.length / 8));
+
+			labels.forEach(function(label, index) {
+				if (index % every === 0 || index === labels.length - 1) {
+					root.appendChild(svg('text', {'class': 'carticy-chart-axis', x: x(index), y: HEIGHT - 8, 'text-anchor': 'middle'})).textContent = shortDate(label);
+				}
+			});
+
+			// Series lines, with point markers when there is room for them.
+			series.forEach(function(item) {
+				var points = item.values.map(function(value, index) {
+					return x(index).toFixed(1) + ',' + y(value).toFixed(1);
+				});
+
+				root.appendChild(svg('polyline', {
+					'class': 'carticy-chart-line' + (item.dashed ? ' is-dashed' : ''),
+					points: points.join(' '),
+					stroke: item.color
+				}));
+
+				if (labels.length <= 45) {
+					item.values.forEach(function(value, index) {
+						root.appendChild(svg('circle', {'class': 'carticy-chart-point', cx: x(index), cy: y(value), r: 2.5, fill: item.color}));
+					});
+				}
+			});
+
+			// Invisible hover columns with a tooltip per label.
+			var columnWidth = labels.length > 1 ? plotWidth / (labels.length - 1) : plotWidth;
+
+			labels.forEach(function(label, index) {
+				var column = svg('rect', {
+					'class': 'carticy-chart-hover',
+					x: x(index) - columnWidth / 2,
+					y: PADDING.top,
+					width: columnWidth,
+					height: plotHeight
+				});
+				var lines = [label];
+
+				series.forEach(function(item) {
+					if (index < item.values.length) {
+						lines.push(item.label + ': ' + format(item.values[index], false));
+					}
+				});
+
+				column.appendChild(svg('title', {})).textContent = lines.join('\n');
+				root.appendChild(column);
+			});
+
+			var $legend = $('<ul class="carticy-chart-legend">');
+
+			series.forEach(function(item) {
+				$legend.append(
+					$('<li>').append(
+						$('<span class="carticy-chart-swatch">').toggleClass('is-dashed', !!item.dashed).css('border-color', item.color),
+						$('<span>').text(item.label)
+					)
+				);
+			});
+
+			$container.empty().append(root, $legend);
+		},
+
+		/**
+		 * Render a sparkline (axis-free trend line) into a container, replacing its content.
+		 *
+		 * Missing values (null) leave a gap in the line.
+		 *
+		 * @param {jQuery} $container - Sparkline container.
+		 * @param {Array<number|null>} values - Values, oldest first.
+		 * @param {Object} options - Sparkline options (optional).
+		 * @param {string} options.title - Accessible title (optional).
+		 */
+		sparkline: function($container, values, options) {
+			var width = 120;
+			var height = 32;
+			var max = 0;
+			var min = Infinity;
+
+			options = options || {};
+
+			values.forEach(function(value) {
+				if (value !== null) {
+					max = Math.max(max, value);
+					min = Math.min(min, value);
+				}
+			});
+
+			var range = max - min || 1;
+			var x = function(index) {
+				return values.length > 1 ? (index / (values.length - 1)) * width : width / 2;
+			};
+			var y = function(value) {
+				return height - 2 - ((value - min) / range) * (height - 4);
+			};
+
+			var root = svg('svg', {
+				'class': 'carticy-sparkline',
+				'viewBox': '0 0 ' + width + ' ' + height,
+				'role': 'img'
+			});
+
+			if (options.title) {
+				root.appendChild(svg('title', {})).textContent = options.title;
+			}
+
+			// One polyline per run of values without gaps.
+			var run = [];
+			var flush = function() {
+				if (run.length > 1) {
+					root.appendChild(svg('polyline', {'class': 'carticy-sparkline-line', points: run.join(' ')}));
+				}
+				run = [];
+			};
+
+			values.forEach(function(value, index) {
+				if (value === null) {
+					flush();
+					return;
+				}
+
+				run.push(x(index).toFixed(1) + ',' + y(value).toFixed(1));
+			});
+
+			flush();
+
+			var last = values.length ? values[values.length - 1] : null;
+
+			if (last !== null) {
+				root.appendChild(svg('circle', {'class': 'carticy-sparkline-point', cx: x(values.length - 1), cy: y(last), r: 2}));
+			}
+
+			$container.empty().append(root);
+		}
+	};
+
+})(jQuery);
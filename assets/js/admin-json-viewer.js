@@ -0,0 +1,414 @@
+/**
+ * Admin JSON Viewer
+ *
+ * Adds CarticyAdmin.JsonViewer, a collapsible JSON tree for detail modals with
+ * path copy, search-within and highlighting of sensitive keys (addresses,
+ * contact details, payment tokens and secrets). Fields masked, hashed or dropped
+ * by the log redaction policy are marked. Children are rendered when a node is
+ * first expanded, so large checkout sessions stay fast.
+ * Uses the optional carticyJsonViewer object localized with:
+ *   - i18n: Translated strings object
+ *
+ * Usage:
+ *   $container.append(CarticyAdmin.JsonViewer.create(data, {expandDepth: 2}));
+ *
+ * @package Carticy\AiCheckout
+ */
+
+/* global jQuery */
+
+(function($) {
+	'use strict';
+
+	window.CarticyAdmin = window.CarticyAdmin || {};
+
+	var i18n = $.extend({
+		search: 'Search keys and values',
+		matches: '%d matches',
+		noMatches: 'No matches',
+		expandAll: 'Expand all',
+		collapseAll: 'Collapse all',
+		copyPath: 'Copy path',
+		copied: 'Copied!',
+		sensitive: 'Sensitive data',
+		items: '%d items',
+		keys: '%d keys',
+		redacted: 'Redacted by the log redaction policy',
+		mask: 'masked',
+		hash: 'hashed',
+		dropped: 'Dropped by the log redaction policy: %s'
+	}, (window.carticyJsonViewer && window.carticyJsonViewer.i18n) || {});
+
+	/**
+	 * Keys holding addresses, contact details, payment tokens or secrets.
+	 */
+	var SENSITIVE_KEYS = /(address|line_?[12]|postal|zip|phone|email|token|secret|authorization|password|api_?key|card|cvc|cvv|iban)/i;
+
+	/**
+	 * Maximum search matches revealed, so a broad search does not render the whole tree.
+	 */
+	var MAX_MATCHES = 200;
+
+	/**
+	 * Check whether a value is an expandable object or array.
+	 *
+	 * @param {*} value - Value.
+	 * @return {boolean} True for non-empty objects and arrays.
+	 */
+	function isContainer(value) {
+		return value !== null && typeof value === 'object' && Object.keys(value).length > 0;
+	}
+
+	/**
+	 * Build the JSONPath of a child node.
+	 *
+	 * @param {string} path - Parent path.
+	 * @param {string|number} key - Child key or index.
+	 * @param {boolean} inArray - Whether the parent is an array.
+	 * @return {string} Child path.
+	 */
+	function childPath(path, key, inArray) {
+		if (inArray) {
+			return path + '[' + key + ']';
+		}
+
+		return /^[A-Za-z_$][\w$]*$/.test(key) ? path + '.' + key : path + '[' + JSON.stringify(String(key)) + ']';
+	}
+
+	/**
+	 * Build the element of a primitive value.
+	 *
+	 * @param {*} value - Primitive value.
+	 * @return {jQuery} Value element.
+	 */
+	function renderPrimitive(value) {
+		var type = value === null ? 'null' : typeof value;
+		var text = type === 'string' ? JSON.stringify(value) : String(value);
+
+		// Empty objects and arrays are rendered inline.
+		if (type === 'object') {
+			type = 'empty';
+			text = Array.isArray(value) ? '[]' : '{}';
+		}
+
+		return $('<span class="carticy-json-value">').addClass('carticy-json-' + type).text(text);
+	}
+
+	/**
+	 * Build a tree node.
+	 *
+	 * @param {*} value - Node value.
+	 * @param {string|number|null} key - Key in the parent (null for the root).
+	 * @param {string} path - Node path.
+	 * @param {number} depth - Node depth.
+	 * @param {number} expandDepth - Depth up to which nodes start expanded.
+	 * @param {Object} redacted - Redaction actions keyed by path.
+	 * @return {jQuery} Node element.
+	 */
+	function renderNode(value, key, path, depth, expandDepth, redacted) {
+		var $node = $('<li class="carticy-json-node">').data({value: value, path: path, depth: depth, key: key, redacted: redacted});
+		var $row = $('<div class="carticy-json-row">');
+
+		if (isContainer(value)) {
+			var count = Object.keys(value).length;
+
+			$node.addClass('is-collapsible is-collapsed');
+			$row.append(
+				$('<button type="button" class="carticy-json-toggle" aria-expanded="false">'),
+				null !== key ? $('<span class="carticy-json-key">').text(key) : '',
+				$('<span class="carticy-json-summary">').text(
+					(Array.isArray(value) ? '[ ' : '{ ') +
+					(Array.isArray(value) ? i18n.items : i18n.keys).replace('%d', count) +
+					(Array.isArray(value) ? ' ]' : ' }')
+				)
+			);
+		} else {
+			$row.append(
+				null !== key ? $('<span class="carticy-json-key">').text(key) : '',
+				renderPrimitive(value)
+			);
+		}
+
+		if (null !== key && SENSITIVE_KEYS.test(String(key))) {
+			$node.addClass('is-sensitive');
+			$row.attr('title', i18n.sensitive);
+		}
+
+		if (Object.prototype.hasOwnProperty.call(redacted, path)) {
+			$node.addClass('is-redacted');
+			$row.attr('title', i18n.redacted).append(
+				$('<span class="carticy-json-redacted">').text(i18n[redacted[path]] || redacted[path])
+			);
+		}
+
+		$row.append(
+			$('<button type="button" class="carticy-json-copy-path">')
+				.attr({'title': i18n.copyPath + ': ' + path, 'aria-label': i18n.copyPath})
+				.append('<span class="dashicons dashicons-admin-links"></span>')
+		);
+
+		$node.append($row);
+
+		if ($node.hasClass('is-collapsible') && depth < expandDepth) {
+			setExpanded($node, true, expandDepth);
+		}
+
+		return $node;
+	}
+
+	/**
+	 * Render the children of a node if not rendered yet.
+	 *
+	 * @param {jQuery} $node - Node element.
+	 * @param {number} expandDepth - Depth up to which nodes start expanded.
+	 * @return {jQuery} Children list.
+	 */
+	function ensureChildren($node, expandDepth) {
+		var $children = $node.children('.carticy-json-children');
+
+		if ($children.length) {
+			return $children;
+		}
+
+		var value = $node.data('value');
+		var inArray = Array.isArray(value);
+
+		$children = $('<ul class="carticy-json-children">');
+
+		Object.keys(value).forEach(function(key) {
+			$children.append(
+				renderNode(value[key], inArray ? Number(key) : key, childPath($node.data('path'), key, inArray), $node.data('depth') + 1, expandDepth, $node.data('redacted'))
+			);
+		});
+
+		$node.append($children);
+
+		return $children;
+	}
+
+	/**
+	 * Expand or collapse a node.
+	 *
+	 * @param {jQuery} $node - Node element.
+	 * @param {boolean} expanded - Whether to expand.
+	 * @param {number} expandDepth - Depth up to which new children start expanded.
+	 */
+	function setExpanded($node, expanded, expandDepth) {
+		if (!$node.hasClass('is-collapsible')) {
+			return;
+		}
+
+		if (expanded) {
+			ensureChildren($node, expandDepth);
+		}
+
+		$node.toggleClass('is-collapsed', !expanded);
+		$node.children('.carticy-json-row').find('.carticy-json-toggle').attr('aria-expanded', expanded ? 'true' : 'false');
+	}
+
+	/**
+	 * Expand or collapse a node and all its descendants.
+	 *
+	 * @param {jQuery} $node - Node element.
+	 * @param {boolean} expanded - Whether to expand.
+	 */
+	function setExpandedDeep($node, expanded) {
+		if (!$node.hasClass('is-collapsible')) {
+			return;
+		}
+
+		setExpanded($node, expanded, 0);
+
+		// Collapsing only touches rendered children.
+		var $children = expanded ? ensureChildren($node, 0) : $node.children('.carticy-json-children');
+
+		$children.children('.is-collapsible').each(function() {
+			setExpandedDeep($(this), expanded);
+		});
+	}
+
+	/**
+	 * Find the key chains of keys and primitive values containing a term.
+	 *
+	 * @param {*} value - Value to search.
+	 * @param {string} term - Lowercase search term.
+	 * @param {Array} chain - Keys leading to the value.
+	 * @param {Array} results - Collected key chains.
+	 * @return {Array} Key chains of matching nodes.
+	 */
+	function findMatches(value, term, chain, results) {
+		if (results.length >= MAX_MATCHES) {
+			return results;
+		}
+
+		var key = chain.length ? String(chain[chain.length - 1]) : '';
+		var matched = key.toLowerCase().indexOf(term) !== -1;
+
+		if (!isContainer(value)) {
+			matched = matched || (value !== null && typeof value !== 'object' && String(value).toLowerCase().indexOf(term) !== -1);
+		}
+
+		if (matched) {
+			results.push(chain);
+		}
+
+		if (isContainer(value)) {
+			Object.keys(value).forEach(function(childKey) {
+				findMatches(value[childKey], term, chain.concat([childKey]), results);
+			});
+		}
+
+		return results;
+	}
+
+	/**
+	 * Expand the ancestors of a node and return it.
+	 *
+	 * @param {jQuery} $root - Root node element.
+	 * @param {Array} chain - Keys leading to the node.
+	 * @return {jQuery} Node element.
+	 */
+	function revealNode($root, chain) {
+		var $node = $root;
+
+		chain.forEach(function(key) {
+			setExpanded($node, true, 0);
+			$node = ensureChildren($node, 0).children().filter(function() {
+				return String($(this).data('key')) === String(key);
+			}).first();
+		});
+
+		return $node;
+	}
+
+	/**
+	 * Copy text to the clipboard and flag the button.
+	 *
+	 * @param {string} text - Text to copy.
+	 * @param {jQuery} $button - Clicked button.
+	 */
+	function copyText(text, $button) {
+		var done = function() {
+			$button.addClass('is-copied').attr('title', i18n.copied);
+			setTimeout(function() {
+				$button.removeClass('is-copied').attr('title', i18n.copyPath + ': ' + text);
+			}, 1500);
+		};
+
+		if (navigator.clipboard && window.isSecureContext) {
+			navigator.clipboard.writeText(text).then(done);
+			return;
+		}
+
+		var $input = $('<textarea>').val(text).css({position: 'fixed', top: 0, left: 0, opacity: 0}).appendTo('body');
+		$input[0].select();
+		document.execCommand('copy');
+		$input.remove();
+		done();
+	}
+
+	CarticyAdmin.JsonViewer = {
+		/**
+		 * Create a JSON viewer.
+		 *
+		 * Strings are parsed as JSON first; text that is not JSON is shown as-is.
+		 *
+		 * @param {*} data - Data to show.
+		 * @param {Object} options - Viewer options.
+		 * @param {number} options.expandDepth - Depth up to which nodes start expanded (default 2).
+		 * @param {boolean} options.toolbar - Whether to show search and expand/collapse controls (default true).
+		 * @param {Object} options.redacted - Redaction actions (mask, hash or drop) keyed by path, as logged with the data.
+		 * @return {jQuery} Viewer element.
+		 */
+		create: function(data, options) {
+			var settings = $.extend({expandDepth: 2, toolbar: true, redacted: {}}, options);
+			var redacted = settings.redacted || {};
+			var $viewer = $('<div class="carticy-json-viewer">');
+			var matches = [];
+			var current = -1;
+
+			if (typeof data === 'string') {
+				try {
+					data = JSON.parse(data);
+				} catch (e) {
+					return $viewer.addClass('is-raw').append($('<pre>').text(data));
+				}
+			}
+
+			var $root = renderNode(data === undefined ? null : data, null, '$', 0, settings.expandDepth, redacted);
+			var dropped = Object.keys(redacted).filter(function(path) {
+				return redacted[path] === 'drop';
+			});
+
+			if (dropped.length) {
+				$viewer.append($('<div class="carticy-json-dropped">').text(i18n.dropped.replace('%s', dropped.join(', '))));
+			}
+
+			if (settings.toolbar && isContainer(data)) {
+				var $search = $('<input type="search" class="carticy-json-search">').attr({'placeholder': i18n.search, 'aria-label': i18n.search});
+				var $count = $('<span class="carticy-json-match-count" aria-live="polite">');
+
+				$viewer.append(
+					$('<div class="carticy-json-toolbar">').append(
+						$search,
+						$count,
+						$('<button type="button" class="button button-small carticy-json-expand-all">').text(i18n.expandAll),
+						$('<button type="button" class="button button-small carticy-json-collapse-all">').text(i18n.collapseAll)
+					)
+				);
+
+				// Search as you type; Enter moves to the next match.
+				$search.on('input', function() {
+					var term = $.trim($search.val()).toLowerCase();
+
+					$viewer.find('.is-match').removeClass('is-match is-current');
+					matches = [];
+					current = -1;
+
+					if (!term) {
+						$count.text('');
+						return;
+					}
+
+					findMatches(data, term, [], []).forEach(function(chain) {
+						matches.push(revealNode($root, chain).addClass('is-match'));
+					});
+
+					$count.text(matches.length ? i18n.matches.replace('%d', matches.length) : i18n.noMatches);
+				}).on('keydown', function(e) {
+					if (e.key !== 'Enter' || !matches.length) {
+						return;
+					}
+
+					e.preventDefault();
+					$viewer.find('.is-current').removeClass('is-current');
+					current = (current + 1) % matches.length;
+					matches[current].addClass('is-current').children('.carticy-json-row')[0].scrollIntoView({block: 'nearest'});
+				});
+
+				$viewer.on('click', '.carticy-json-expand-all', function() {
+					setExpandedDeep($root, true);
+				});
+
+				$viewer.on('click', '.carticy-json-collapse-all', function() {
+					setExpandedDeep($root, false);
+					setExpanded($root, true, 0);
+				});
+			}
+
+			$viewer.append($('<ul class="carticy-json-tree">').append($root));
+
+			$viewer.on('click', '.carticy-json-toggle', function() {
+				var $node = $(this).closest('.carticy-json-node');
+				setExpanded($node, $node.hasClass('is-collapsed'), 0);
+			});
+
+			$viewer.on('click', '.carticy-json-copy-path', function() {
+				copyText($(this).closest('.carticy-json-node').data('path'), $(this));
+			});
+
+			return $viewer;
+		}
+	};
+
+})(jQuery);
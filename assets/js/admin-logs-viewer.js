@@ -1,8 +1,16 @@
 /**
  * Admin Logs Viewer Scripts
  *
- * Handles modal dialogs for API logs and error logs context viewing.
+ * Handles the API log explorer (filters, pagination, export), the error log
+ * context modal, the retry, replay and signed payload actions of the
+ * webhook retry queue, the alert rules editor and the live mode of the
+ * session status tab.
  * Requires carticyLogsViewer object to be localized with:
+ *   - ajaxUrl: WordPress AJAX URL
+ *   - nonce: Retry queue security nonce
+ *   - apiLogsNonce: API log explorer security nonce
+ *   - liveStatusNonce: Live session status security nonce
+ *   - exportUrl: admin-post.php URL for log exports
  *   - i18n: Translated strings object
  *
  * @package Carticy\AiCheckout
@@ -13,38 +21,586 @@
 (function($) {
 	'use strict';
 
-	$(document).ready(function() {
-		// ==========================================================================
-		// API Logs: View Context Modal
-		// ==========================================================================
+	/**
+	 * Get the current retry queue index of a row.
+	 *
+	 * @param {jQuery} $row - Queue row.
+	 * @return {number} Queue index.
+	 */
+	function getIndex($row) {
+		return parseInt($row.attr('data-index'), 10);
+	}
 
-		$('.view-api-context-btn').on('click', function() {
-			var $btn = $(this);
-			var requestData = $btn.data('request');
-			var responseData = $btn.data('response');
-			var endpoint = $btn.data('endpoint');
+	/**
+	 * Show an attempt result in a queue row.
+	 *
+	 * @param {jQuery} $row - Queue row.
+	 * @param {Object} result - Attempt result from the server.
+	 * @param {string} note - Optional note shown under the result.
+	 */
+	function showResult($row, result, note) {
+		var $badge = $('<span class="webhook-result">')
+			.addClass(result.success ? 'webhook-success' : 'webhook-failed')
+			.text(result.success ? carticyLogsViewer.i18n.delivered : carticyLogsViewer.i18n.failed);
+		var details = result.status_code ? 'HTTP ' + result.status_code : '';
 
-			// Build modal content
-			var $content = $('<div>');
+		if (!result.success && result.message) {
+			details = result.message;
+		}
+
+		$row.find('.retry-queue-result').empty().append(
+			$badge,
+			$('<small>').text(note ? note + ' · ' + details : details)
+		);
+	}
+
+	/**
+	 * Show an error message in a queue row.
+	 *
+	 * @param {jQuery} $row - Queue row.
+	 * @param {string} message - Error message.
+	 */
+	function showError($row, message) {
+		$row.find('.retry-queue-result').empty().append(
+			$('<span class="webhook-result webhook-failed">').text(carticyLogsViewer.i18n.failed),
+			$('<small>').text(message || carticyLogsViewer.i18n.errorOccurred)
+		);
+	}
+
+	/**
+	 * Get the error message of a failed AJAX request.
+	 *
+	 * @param {Object} xhr - jQuery XHR object.
+	 * @return {string} Error message.
+	 */
+	function getErrorMessage(xhr) {
+		if (xhr.responseJSON && xhr.responseJSON.data && xhr.responseJSON.data.message) {
+			return xhr.responseJSON.data.message;
+		}
+
+		return carticyLogsViewer.i18n.errorOccurred;
+	}
+
+	/**
+	 * Number the remaining queue rows the way the server re-indexes the queue.
+	 */
+	function reindexRows() {
+		$('.retry-queue-row').not('.is-delivered').each(function(index) {
+			$(this).attr('data-index', index);
+		});
+	}
+
+	/**
+	 * Enable the bulk retry button when rows are selected.
+	 */
+	function updateBulkButton() {
+		$('#retry-selected-webhooks').prop('disabled', !$('.retry-queue-select:checked').length);
+	}
+
+	/**
+	 * Retry queue rows against the configured webhook URL.
+	 *
+	 * @param {jQuery} $rows - Queue rows to retry.
+	 */
+	function retryRows($rows) {
+		var indexes = $rows.map(function() {
+			return getIndex($(this));
+		}).get();
+		var $buttons = $rows.find('button, input').add('#retry-selected-webhooks');
+
+		$buttons.prop('disabled', true);
+		$rows.find('.retry-queue-result').empty().append($('<small>').text(carticyLogsViewer.i18n.retrying));
+
+		$.ajax({
+			url: carticyLogsViewer.ajaxUrl,
+			type: 'POST',
+			data: {
+				action: 'carticy_ai_checkout_retry_webhooks',
+				nonce: carticyLogsViewer.nonce,
+				indexes: indexes
+			},
+			success: function(response) {
+				$rows.each(function() {
+					var $row = $(this);
+					var result = response.data.results[getIndex($row)];
+
+					if (!result) {
+						showError($row);
+						return;
+					}
+
+					showResult($row, result);
 
-			if (requestData && requestData !== 'null') {
-				$content.append($('<h4>').text(carticyLogsViewer.i18n.request));
-				$content.append($('<pre>').text(JSON.stringify(requestData, null, 2)));
+					if (result.success) {
+						$row.addClass('is-delivered').find('.retry-queue-select').prop('checked', false);
+					}
+				});
+
+				reindexRows();
+			},
+			error: function(xhr) {
+				$rows.each(function() {
+					showError($(this), getErrorMessage(xhr));
+				});
+			},
+			complete: function() {
+				$buttons.prop('disabled', false);
+				$('.retry-queue-row.is-delivered').find('button, input').prop('disabled', true);
+				updateBulkButton();
 			}
+		});
+	}
+
+	/**
+	 * Open the replay dialog of a queue row.
+	 *
+	 * @param {jQuery} $row - Queue row.
+	 */
+	function openReplay($row) {
+		var $input = $('<input type="url" class="large-text code" placeholder="https://">');
+		var $content = $('<div>').append(
+			$('<p>').append($('<label>').text(carticyLogsViewer.i18n.replayUrl)),
+			$input,
+			$('<p class="description">').text(carticyLogsViewer.i18n.replayHelp)
+		);
+
+		CarticyAdmin.Modal.open({
+			title: carticyLogsViewer.i18n.replayTitle,
+			content: $content,
+			actions: [
+				{
+					label: carticyLogsViewer.i18n.cancel,
+					class: 'button',
+					onClick: function() {
+						CarticyAdmin.Modal.close();
+					}
+				},
+				{
+					label: carticyLogsViewer.i18n.replay,
+					class: 'button button-primary',
+					onClick: function() {
+						var url = $.trim($input.val());
+						if (!url) {
+							$input.trigger('focus');
+							return;
+						}
+
+						CarticyAdmin.Modal.close();
+						replayRow($row, url);
+					}
+				}
+			]
+		});
+
+		setTimeout(function() {
+			$input.trigger('focus');
+		}, 50);
+	}
+
+	/**
+	 * Replay a queue row to a different URL.
+	 *
+	 * @param {jQuery} $row - Queue row.
+	 * @param {string} url - Target URL.
+	 */
+	function replayRow($row, url) {
+		var $buttons = $row.find('button');
+
+		$buttons.prop('disabled', true);
+		$row.find('.retry-queue-result').empty().append($('<small>').text(carticyLogsViewer.i18n.replaying));
 
-			if (responseData && responseData !== 'null') {
-				$content.append($('<h4>').text(carticyLogsViewer.i18n.response));
-				$content.append($('<pre>').text(JSON.stringify(responseData, null, 2)));
+		$.ajax({
+			url: carticyLogsViewer.ajaxUrl,
+			type: 'POST',
+			data: {
+				action: 'carticy_ai_checkout_replay_webhook',
+				nonce: carticyLogsViewer.nonce,
+				index: getIndex($row),
+				url: url
+			},
+			success: function(response) {
+				showResult($row, response.data.result, carticyLogsViewer.i18n.replayedTo.replace('%s', response.data.result.url));
+			},
+			error: function(xhr) {
+				showError($row, getErrorMessage(xhr));
+			},
+			complete: function() {
+				$buttons.prop('disabled', false);
 			}
+		});
+	}
 
-			// Open modal
-			CarticyAdmin.Modal.open({
-				title: carticyLogsViewer.i18n.apiContext + ': ' + endpoint,
-				content: $content,
-				size: 'large'
+	/**
+	 * Show the signed request of a queue row.
+	 *
+	 * @param {jQuery} $row - Queue row.
+	 */
+	function viewSigned($row) {
+		$.ajax({
+			url: carticyLogsViewer.ajaxUrl,
+			type: 'POST',
+			data: {
+				action: 'carticy_ai_checkout_signed_webhook',
+				nonce: carticyLogsViewer.nonce,
+				index: getIndex($row)
+			},
+			success: function(response) {
+				var request = response.data;
+				var $headers = $('<tbody>');
+
+				Object.keys(request.headers).forEach(function(name) {
+					$headers.append(
+						$('<tr>').append(
+							$('<th>').text(name),
+							$('<td>').append($('<code>').text(request.headers[name]))
+						)
+					);
+				});
+
+				CarticyAdmin.Modal.open({
+					title: carticyLogsViewer.i18n.signedTitle,
+					content: $('<div>').append(
+						$('<h4>').text(carticyLogsViewer.i18n.endpoint),
+						$('<p>').append($('<code>').text('POST ' + (request.url || carticyLogsViewer.i18n.notConfigured))),
+						$('<h4>').text(carticyLogsViewer.i18n.headers),
+						$('<table class="widefat striped signed-webhook-headers">').append($headers),
+						$('<h4>').text(carticyLogsViewer.i18n.body),
+						CarticyAdmin.JsonViewer.create(request.body)
+					),
+					size: 'large'
+				});
+			},
+			error: function(xhr) {
+				showError($row, getErrorMessage(xhr));
+			}
+		});
+	}
+
+	// ==========================================================================
+	// API Log Explorer
+	// ==========================================================================
+
+	var apiLogs = {page: 1, entries: []};
+
+	/**
+	 * Get the explorer filters as request data.
+	 *
+	 * @return {Object} Filter values keyed by name.
+	 */
+	function getApiLogFilters() {
+		var filters = {};
+
+		$('#api-log-filters').serializeArray().forEach(function(field) {
+			filters[field.name] = field.value;
+		});
+
+		return filters;
+	}
+
+	/**
+	 * Load a page of API log entries matching the filters.
+	 *
+	 * @param {number} page - Page number.
+	 */
+	function loadApiLogs(page) {
+		var $rows = $('#api-logs-rows');
+
+		$rows.html($('<tr class="api-logs-empty">').append($('<td colspan="6">').text(carticyLogsViewer.i18n.loading)));
+
+		$.ajax({
+			url: carticyLogsViewer.ajaxUrl,
+			type: 'POST',
+			data: $.extend(getApiLogFilters(), {
+				action: 'carticy_ai_checkout_query_api_logs',
+				nonce: carticyLogsViewer.apiLogsNonce,
+				page: page
+			}),
+			success: function(response) {
+				if (!response.success) {
+					$rows.find('td').text(response.data.message);
+					return;
+				}
+
+				renderApiLogs(response.data);
+			},
+			error: function(xhr) {
+				$rows.find('td').text(getErrorMessage(xhr));
+			}
+		});
+	}
+
+	/**
+	 * Render a page of API log entries and the pagination.
+	 *
+	 * @param {Object} data - Page data returned by the server.
+	 */
+	function renderApiLogs(data) {
+		var $rows = $('#api-logs-rows').empty();
+
+		apiLogs.page = data.page;
+		apiLogs.entries = data.entries;
+
+		if (!data.entries.length) {
+			$rows.append($('<tr class="api-logs-empty">').append($('<td colspan="6">').text(carticyLogsViewer.i18n.noApiLogs)));
+		}
+
+		data.entries.forEach(function(entry, index) {
+			var status = parseInt(entry.response_status, 10) || 0;
+			var statusClass = status >= 500 ? 'status-error' : (status >= 400 ? 'status-warning' : 'status-success');
+
+			$rows.append(
+				$('<tr>').append(
+					$('<td class="column-timestamp">').text(entry.timestamp),
+					$('<td class="column-endpoint">').append($('<code>').text(entry.endpoint)),
+					$('<td class="column-method">').append($('<span class="http-method">').text(entry.method)),
+					$('<td class="column-status">').append(
+						status
+							? $('<span class="status-code">').addClass(statusClass).text(status)
+							: $('<span class="description">').text(carticyLogsViewer.i18n.noResponse)
+					),
+					$('<td class="column-duration">').text(entry.execution_time ? parseFloat(entry.execution_time).toFixed(3) + 's' : '-'),
+					$('<td class="column-details">').append(
+						$('<button type="button" class="button button-small view-api-log-btn">')
+							.attr('data-index', index)
+							.text(carticyLogsViewer.i18n.view),
+						countRedacted(entry)
+							? $('<span class="api-log-redacted dashicons dashicons-shield">')
+								.attr('title', carticyLogsViewer.i18n.redactedFields.replace('%d', countRedacted(entry)))
+							: ''
+					)
+				)
+			);
+		});
+
+		$('.api-logs-page-info').text(carticyLogsViewer.i18n.page.replace('%s', data.page));
+		$('.api-logs-page[data-page="first"], .api-logs-page[data-page="prev"]').prop('disabled', data.page <= 1);
+		$('.api-logs-page[data-page="next"]').prop('disabled', !data.has_more);
+	}
+
+	/**
+	 * Count the fields redacted in the request and response of an API log entry.
+	 *
+	 * @param {Object} entry - API log entry.
+	 * @return {number} Number of redacted fields.
+	 */
+	function countRedacted(entry) {
+		var count = 0;
+
+		[entry.redacted, (entry.response || {}).redacted].forEach(function(redacted) {
+			if (redacted) {
+				count += Object.keys(redacted.headers || {}).length + Object.keys(redacted.body || {}).length;
+			}
+		});
+
+		return count;
+	}
+
+	/**
+	 * Show the request and response of an API log entry.
+	 *
+	 * @param {Object} entry - API log entry.
+	 */
+	function viewApiLog(entry) {
+		var response = entry.response || {};
+		var redacted = entry.redacted || {};
+		var responseRedacted = response.redacted || {};
+		var $content = $('<div>').append(
+			$('<h4>').text(carticyLogsViewer.i18n.requestHeaders),
+			CarticyAdmin.JsonViewer.create(entry.headers || {}, {expandDepth: 1, toolbar: false, redacted: redacted.headers}),
+			$('<h4>').text(carticyLogsViewer.i18n.request),
+			CarticyAdmin.JsonViewer.create(entry.body, {redacted: redacted.body})
+		);
+
+		if (entry.response) {
+			$content.append(
+				$('<h4>').text(carticyLogsViewer.i18n.responseHeaders),
+				CarticyAdmin.JsonViewer.create(response.headers || {}, {expandDepth: 1, toolbar: false, redacted: responseRedacted.headers}),
+				$('<h4>').text(carticyLogsViewer.i18n.response),
+				CarticyAdmin.JsonViewer.create(response.body, {redacted: responseRedacted.body})
+			);
+		}
+
+		if (entry.error) {
+			$content.append(
+				$('<h4>').text(carticyLogsViewer.i18n.error),
+				CarticyAdmin.JsonViewer.create(entry.error)
+			);
+		}
+
+		CarticyAdmin.Modal.open({
+			title: carticyLogsViewer.i18n.apiContext + ': ' + entry.method + ' ' + entry.endpoint,
+			content: $content,
+			size: 'large'
+		});
+	}
+
+	/**
+	 * Download the entries matching the filters.
+	 *
+	 * @param {string} format - Export format (csv or ndjson).
+	 */
+	function exportApiLogs(format) {
+		var filters = getApiLogFilters();
+
+		delete filters.per_page;
+
+		window.location.href = carticyLogsViewer.exportUrl + '?' + $.param($.extend(filters, {
+			action: 'carticy_ai_checkout_export_api_logs',
+			_wpnonce: carticyLogsViewer.apiLogsNonce,
+			format: format
+		}));
+	}
+
+	// ==========================================================================
+	// Session Status: Live Mode
+	// ==========================================================================
+
+	/**
+	 * Snapshots kept per figure for the sparklines.
+	 */
+	var LIVE_HISTORY = 60;
+
+	var liveStatus = {timer: null, pending: false, history: {}};
+
+	/**
+	 * Fetch a live status snapshot, skipping polls while the tab is hidden or
+	 * the previous request is still running.
+	 */
+	function pollLiveStatus() {
+		if (document.hidden || liveStatus.pending) {
+			return;
+		}
+
+		liveStatus.pending = true;
+
+		$.ajax({
+			url: carticyLogsViewer.ajaxUrl,
+			type: 'POST',
+			data: {
+				action: 'carticy_ai_checkout_live_session_status',
+				nonce: carticyLogsViewer.liveStatusNonce
+			},
+			success: function(response) {
+				if (!response.success) {
+					$('#session-live-updated').addClass('is-error').text(response.data.message);
+					return;
+				}
+
+				renderLiveStatus(response.data);
+			},
+			error: function(xhr) {
+				$('#session-live-updated').addClass('is-error').text(getErrorMessage(xhr));
+			},
+			complete: function() {
+				liveStatus.pending = false;
+			}
+		});
+	}
+
+	/**
+	 * Update the session counts and live figures in place.
+	 *
+	 * @param {Object} data - Snapshot returned by the server.
+	 */
+	function renderLiveStatus(data) {
+		$('[data-live-count]').each(function() {
+			var key = $(this).data('live-count');
+			var value = key in data.status_counts ? data.status_counts[key] : data[key];
+
+			$(this).text(value);
+		});
+
+		$('.session-live-card').each(function() {
+			var $card = $(this);
+			var key = $card.data('live-metric');
+			var metric = data.metrics[key];
+			var history = (liveStatus.history[key] || []).concat([metric.value]).slice(-LIVE_HISTORY);
+
+			liveStatus.history[key] = history;
+
+			$card.toggleClass('is-breached', metric.breached);
+			$card.find('.stat-value').text(metric.display);
+			$card.find('.session-live-threshold').text(metric.threshold ? carticyLogsViewer.i18n.threshold.replace('%s', metric.threshold) : '');
+			CarticyAdmin.Charts.sparkline($card.find('.session-live-sparkline'), history, {
+				title: $card.find('.stat-label').text()
 			});
 		});
 
+		$('#session-live-updated').removeClass('is-error').text(carticyLogsViewer.i18n.updatedAt.replace('%s', data.time));
+	}
+
+	/**
+	 * Start or restart polling at the selected interval.
+	 */
+	function startLiveStatus() {
+		clearInterval(liveStatus.timer);
+
+		$('#session-live').prop('hidden', false);
+		pollLiveStatus();
+		liveStatus.timer = setInterval(pollLiveStatus, parseInt($('#session-live-interval').val(), 10) * 1000);
+	}
+
+	/**
+	 * Stop polling. The figures and their history stay on screen.
+	 */
+	function stopLiveStatus() {
+		clearInterval(liveStatus.timer);
+		liveStatus.timer = null;
+		$('#session-live-updated').removeClass('is-error').text(carticyLogsViewer.i18n.paused);
+	}
+
+	/**
+	 * Show the filter field matching the metric of an alert rule row.
+	 *
+	 * @param {jQuery} $row - Alert rule row.
+	 */
+	function updateAlertRuleFields($row) {
+		var metric = $row.find('.alert-rule-metric').val();
+
+		$row.attr('data-metric', metric);
+		$row.find('.alert-rule-category').toggle(metric === 'error_count');
+		$row.find('.alert-rule-endpoint').toggle(metric === 'latency_p95');
+	}
+
+	$(document).ready(function() {
+		// ==========================================================================
+		// API Logs: Explorer
+		// ==========================================================================
+
+		if ($('#api-log-filters').length) {
+			loadApiLogs(1);
+
+			$('#api-log-filters').on('submit', function(e) {
+				e.preventDefault();
+				loadApiLogs(1);
+			});
+
+			// Reset clears the fields after this handler runs.
+			$('#api-log-filters').on('reset', function() {
+				setTimeout(function() {
+					loadApiLogs(1);
+				}, 0);
+			});
+
+			$('.api-logs-page').on('click', function() {
+				var target = {
+					first: 1,
+					prev: apiLogs.page - 1,
+					next: apiLogs.page + 1
+				}[$(this).data('page')];
+
+				loadApiLogs(Math.max(target, 1));
+			});
+
+			$(document).on('click', '.view-api-log-btn', function() {
+				viewApiLog(apiLogs.entries[$(this).data('index')]);
+			});
+
+			$('.api-logs-export').on('click', function() {
+				exportApiLogs($(this).data('format'));
+			});
+		}
+
 		// ==========================================================================
 		// Error Logs: View Context Modal
 		// ==========================================================================
@@ -70,7 +626,7 @@
 
 			// Add context details
 			$content.append($('<h4>').text(carticyLogsViewer.i18n.contextDetails));
-			$content.append($('<pre>').text(JSON.stringify(contextData, null, 2)));
+			$content.append(CarticyAdmin.JsonViewer.create(contextData));
 
 			// Open modal
 			CarticyAdmin.Modal.open({
@@ -79,6 +635,83 @@
 				size: 'large'
 			});
 		});
+
+		// ==========================================================================
+		// Webhook Retry Queue: Retry, Replay and Signed Payload
+		// ==========================================================================
+
+		$('.retry-webhook-btn').on('click', function() {
+			retryRows($(this).closest('.retry-queue-row'));
+		});
+
+		$('#retry-selected-webhooks').on('click', function() {
+			retryRows($('.retry-queue-select:checked').closest('.retry-queue-row'));
+		});
+
+		$('.replay-webhook-btn').on('click', function() {
+			openReplay($(this).closest('.retry-queue-row'));
+		});
+
+		$('.view-signed-webhook-btn').on('click', function() {
+			viewSigned($(this).closest('.retry-queue-row'));
+		});
+
+		$('#retry-queue-select-all').on('change', function() {
+			$('.retry-queue-select:enabled').prop('checked', $(this).prop('checked'));
+			updateBulkButton();
+		});
+
+		$(document).on('change', '.retry-queue-select', updateBulkButton);
+
+		// ==========================================================================
+		// Alerts: Rules Editor
+		// ==========================================================================
+
+		$('.alert-rule').each(function() {
+			updateAlertRuleFields($(this));
+		});
+
+		$('.alert-rule-add').on('click', function() {
+			// New rows get a unique form index; saved rules are re-indexed on save.
+			var $row = $($('#alert-rule-template').html().replace(/__index__/g, 'new' + Date.now()));
+
+			$('.alert-rules tbody').append($row);
+			updateAlertRuleFields($row);
+			$row.find('.alert-rule-name').trigger('focus');
+		});
+
+		$('.alert-rules').on('change', '.alert-rule-metric', function() {
+			updateAlertRuleFields($(this).closest('.alert-rule'));
+		});
+
+		$('.alert-rules').on('click', '.alert-rule-remove', function() {
+			$(this).closest('.alert-rule').remove();
+		});
+
+		// ==========================================================================
+		// Session Status: Live Mode
+		// ==========================================================================
+
+		$('#session-live-mode').on('change', function() {
+			if ($(this).prop('checked')) {
+				startLiveStatus();
+			} else {
+				stopLiveStatus();
+			}
+		});
+
+		$('#session-live-interval').on('change', function() {
+			if (liveStatus.timer) {
+				startLiveStatus();
+			}
+		});
+
+		// Catch up as soon as a hidden tab becomes visible again.
+		$(document).on('visibilitychange', function() {
+			if (liveStatus.timer && !document.hidden) {
+				pollLiveStatus();
+			}
+		});
 	});
 
 })(jQuery);
@@ -0,0 +1,266 @@
+/**
+ * Admin Request Playground Scripts
+ *
+ * Loads scenario templates, sends hand-edited requests to the checkout session
+ * endpoints and chains follow-up calls on the returned session.
+ * Requires carticyPlayground object to be localized with:
+ *   - ajaxUrl: WordPress AJAX URL
+ *   - nonce: Security nonce
+ *   - endpoints: Endpoint ID => {label, method, path, needs_session}
+ *   - i18n: Translated strings object
+ *
+ * @package Carticy\AiCheckout
+ */
+
+/* global jQuery, carticyPlayground */
+
+(function($) {
+	'use strict';
+
+	var calls = [];
+
+	/**
+	 * Get the selected endpoint configuration.
+	 *
+	 * @return {Object} Endpoint configuration.
+	 */
+	function getEndpoint() {
+		return carticyPlayground.endpoints[$('#playground-endpoint').val()];
+	}
+
+	/**
+	 * Show a message next to the send button.
+	 *
+	 * @param {string} message - Message text.
+	 * @param {boolean} isError - Whether the message is an error.
+	 */
+	function showMessage(message, isError) {
+		$('.playground-message').text(message || '').toggleClass('is-error', !!isError);
+	}
+
+	/**
+	 * Generate a random idempotency key.
+	 *
+	 * @return {string} Key.
+	 */
+	function generateKey() {
+		if (window.crypto && window.crypto.randomUUID) {
+			return window.crypto.randomUUID();
+		}
+
+		return 'pg_' + Date.now().toString(36) + Math.random().toString(36).slice(2, 10);
+	}
+
+	/**
+	 * Show or hide the session ID field for the selected endpoint.
+	 */
+	function updateSessionField() {
+		$('.playground-session').toggle(getEndpoint().needs_session);
+	}
+
+	/**
+	 * Load the request body template of the selected endpoint and scenario.
+	 */
+	function loadTemplate() {
+		var $body = $('#playground-body');
+
+		$body.prop('disabled', true);
+		showMessage(carticyPlayground.i18n.loadingTemplate);
+
+		$.ajax({
+			url: carticyPlayground.ajaxUrl,
+			type: 'POST',
+			data: {
+				action: 'carticy_ai_checkout_playground_template',
+				nonce: carticyPlayground.nonce,
+				endpoint: $('#playground-endpoint').val(),
+				scenario: $('#playground-scenario').val()
+			},
+			success: function(response) {
+				if (response.success) {
+					var body = response.data.body;
+					$body.val($.isEmptyObject(body) ? '' : JSON.stringify(body, null, 2));
+					showMessage('');
+				} else {
+					showMessage(response.data.message, true);
+				}
+			},
+			error: function() {
+				showMessage(carticyPlayground.i18n.errorOccurred, true);
+			},
+			complete: function() {
+				$body.prop('disabled', false);
+			}
+		});
+	}
+
+	/**
+	 * Send the request built from the form.
+	 */
+	function sendRequest() {
+		var endpoint = getEndpoint();
+		var sessionId = $.trim($('#playground-session-id').val());
+		var body = $.trim($('#playground-body').val());
+
+		if (body) {
+			try {
+				JSON.parse(body);
+			} catch (e) {
+				showMessage(carticyPlayground.i18n.invalidJson + ' ' + e.message, true);
+				return;
+			}
+		}
+
+		if (endpoint.needs_session && !sessionId) {
+			showMessage(carticyPlayground.i18n.sessionRequired, true);
+			return;
+		}
+
+		var $btn = $('#playground-send');
+		$btn.prop('disabled', true).text(carticyPlayground.i18n.sending);
+		showMessage('');
+
+		$.ajax({
+			url: carticyPlayground.ajaxUrl,
+			type: 'POST',
+			data: {
+				action: 'carticy_ai_checkout_playground_send',
+				nonce: carticyPlayground.nonce,
+				endpoint: $('#playground-endpoint').val(),
+				session_id: sessionId,
+				body: body,
+				idempotency_key: $.trim($('#playground-idempotency-key').val()),
+				api_version: $.trim($('#playground-api-version').val())
+			},
+			success: function(response) {
+				if (!response.success) {
+					showMessage(carticyPlayground.i18n.requestFailed + ': ' + response.data.message, true);
+					return;
+				}
+
+				var call = response.data;
+				calls.push(call);
+
+				if (call.session_id) {
+					$('#playground-session-id').val(call.session_id);
+					showMessage(carticyPlayground.i18n.sessionCaptured);
+				}
+
+				renderResponse(call);
+				renderHistory();
+			},
+			error: function() {
+				showMessage(carticyPlayground.i18n.errorOccurred, true);
+			},
+			complete: function() {
+				$btn.prop('disabled', false).text(carticyPlayground.i18n.send);
+			}
+		});
+	}
+
+	/**
+	 * Render a call's response.
+	 *
+	 * @param {Object} call - Call data returned by the server.
+	 */
+	function renderResponse(call) {
+		var statusClass = call.status_code >= 500 ? 'status-error' : (call.status_code >= 400 ? 'status-warning' : 'status-success');
+
+		$('#playground-response-empty').hide();
+		$('#playground-response-content').show();
+
+		$('.playground-status-code')
+			.removeClass('status-success status-warning status-error')
+			.addClass(statusClass)
+			.text(call.status_code);
+		$('.playground-status-path').text(call.method + ' ' + call.path);
+		$('.playground-status-duration').text(carticyPlayground.i18n.duration.replace('%d', call.duration_ms));
+
+		var $headers = $('.playground-response-headers tbody').empty();
+		var headerNames = Object.keys(call.headers || {});
+		if (!headerNames.length) {
+			$headers.append($('<tr>').append($('<td colspan="2">').text(carticyPlayground.i18n.noHeaders)));
+		}
+		headerNames.forEach(function(name) {
+			var value = call.headers[name];
+			$headers.append(
+				$('<tr>').append(
+					$('<th>').text(name),
+					$('<td>').append($('<code>').text(Array.isArray(value) ? value.join(', ') : value))
+				)
+			);
+		});
+
+		var responseBody = call.body;
+		if (responseBody === '' || responseBody === null) {
+			responseBody = carticyPlayground.i18n.noBody;
+		} else if (typeof responseBody !== 'string') {
+			responseBody = JSON.stringify(responseBody, null, 2);
+		}
+		$('.playground-response-body').text(responseBody);
+
+		// Follow-up calls need a session.
+		$('.playground-follow-up').toggle(!!$.trim($('#playground-session-id').val()));
+	}
+
+	/**
+	 * Render the list of calls sent from this page.
+	 */
+	function renderHistory() {
+		var $list = $('.playground-history-list').empty();
+
+		calls.forEach(function(call, index) {
+			$list.append(
+				$('<li>').append(
+					$('<button type="button" class="button-link playground-history-item">')
+						.attr('data-index', index)
+						.append(
+							$('<code>').text(call.method + ' ' + call.path),
+							' ',
+							$('<span class="playground-history-status">').text(call.status_code)
+						)
+				)
+			);
+		});
+
+		$('.playground-history').toggle(calls.length > 0);
+	}
+
+	$(document).ready(function() {
+		if (!$('#playground-endpoint').length) {
+			return;
+		}
+
+		updateSessionField();
+		loadTemplate();
+
+		$('#playground-endpoint').on('change', function() {
+			updateSessionField();
+			loadTemplate();
+		});
+
+		$('#playground-load-template').on('click', function() {
+			loadTemplate();
+		});
+
+		$('#playground-generate-key').on('click', function() {
+			$('#playground-idempotency-key').val(generateKey());
+		});
+
+		$('#playground-send').on('click', function() {
+			sendRequest();
+		});
+
+		// Chain a follow-up call on the captured session
+		$(document).on('click', '.playground-follow-up-btn', function() {
+			$('#playground-endpoint').val($(this).data('endpoint')).trigger('change');
+			$('html, body').animate({scrollTop: $('.playground-request').offset().top - 50}, 200);
+		});
+
+		// Show the response of an earlier call
+		$(document).on('click', '.playground-history-item', function() {
+			renderResponse(calls[$(this).data('index')]);
+		});
+	});
+
+})(jQuery);
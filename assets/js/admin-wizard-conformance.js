@@ -5,6 +5,8 @@
  * Requires carticyConformance object to be localized with:
  *   - ajaxUrl: admin-ajax.php URL
  *   - nonce: wp_create_nonce('carticy_wizard_tests')
+ *   - tests: Test list from ConformanceTestService::get_test_list() as {id, name}
+ *   - savedResults: Previously saved results (merged with partial reruns)
  *   - i18n: Translated strings object
  *
  * @package Carticy\AiCheckout
@@ -15,10 +17,15 @@
 (function($) {
 	'use strict';
 
-	var testResults = [];
+	var tests = carticyConformance.tests || [];
+	var testResults = {};
+	var runQueue = [];
+	var runTestIds = [];
+	var runTotal = 0;
 	var testsCompleted = 0;
-	var totalTests = 17;
-	var currentTestIndex = 0;
+	var isPartialRun = false;
+	var runHistory = carticyConformance.history || [];
+	var comparison = null;
 
 	/**
 	 * HTML escape function to prevent XSS and layout corruption.
@@ -37,26 +44,116 @@
 		return String(text).replace(/[&<>"']/g, function(m) { return map[m]; });
 	}
 
+	/**
+	 * Get the test number from a test ID.
+	 *
+	 * @param {string} testId - Test ID (test_1, test_2, ...).
+	 * @return {number} Test number.
+	 */
+	function getTestNumber(testId) {
+		return parseInt(testId.replace('test_', ''), 10);
+	}
+
+	/**
+	 * Get the list item of a test.
+	 *
+	 * @param {string} testId - Test ID.
+	 * @return {jQuery} Test item element.
+	 */
+	function getTestItem(testId) {
+		return $('.test-item[data-test-id="' + testId + '"]');
+	}
+
+	/**
+	 * Show results saved by an earlier run so single tests can be re-run against them.
+	 */
+	function loadSavedResults() {
+		var saved = carticyConformance.savedResults;
+
+		if (!saved || !saved.tests) {
+			return;
+		}
+
+		saved.tests.forEach(function(result, index) {
+			// Results saved before test IDs were recorded always covered the full suite in order.
+			var testId = result.test_id || 'test_' + (index + 1);
+			testResults[testId] = result;
+			renderTestResult(testId, result);
+		});
+
+		if (saved.summary) {
+			showSummary(saved.summary);
+		}
+
+		updateRunButtons();
+	}
+
 	/**
 	 * Run all conformance tests sequentially.
 	 */
 	function runAllTests() {
+		runTests(tests.map(function(test) { return test.id; }), false);
+	}
+
+	/**
+	 * Re-run only the tests that failed in the saved results.
+	 */
+	function runFailedTests() {
+		var failedIds = getFailedTestIds();
+
+		if (!failedIds.length) {
+			alert(carticyConformance.i18n.noFailedTests);
+			return;
+		}
+
+		runTests(failedIds, true);
+	}
+
+	/**
+	 * Get IDs of tests whose latest result failed, in test list order.
+	 *
+	 * @return {string[]} Failed test IDs.
+	 */
+	function getFailedTestIds() {
+		return tests.map(function(test) { return test.id; }).filter(function(testId) {
+			return testResults[testId] && !testResults[testId].passed;
+		});
+	}
+
+	/**
+	 * Run a set of tests sequentially.
+	 *
+	 * @param {string[]} testIds - Test IDs to run, in order.
+	 * @param {boolean} partial - Whether results merge into the saved run instead of replacing it.
+	 */
+	function runTests(testIds, partial) {
 		$('#run-all-tests').prop('disabled', true).html('<span class="dashicons dashicons-update"></span> ' + carticyConformance.i18n.runningTests);
-		$('#test-progress-container').show();
-		$('#test-summary').hide();
+		$('#run-failed-tests, .test-rerun-btn, .test-fix-btn').prop('disabled', true);
+		$('#test-progress-container').stop(true, true).show();
+
+		isPartialRun = partial;
+		runQueue = testIds.slice();
+		runTestIds = testIds.slice();
+		runTotal = testIds.length;
 		testsCompleted = 0;
-		currentTestIndex = 0;
-		testResults = [];
 
-		// Reset all test items
-		$('.test-item').removeClass('test-passed test-failed test-warning test-running')
-			.find('.test-status .dashicons')
-			.removeClass('dashicons-yes-alt dashicons-dismiss dashicons-update')
-			.addClass('dashicons-minus');
-		$('.test-item .test-result').html('');
+		// A full run starts from scratch; a partial run keeps the other results.
+		if (!partial) {
+			testResults = {};
+			$('#test-summary').hide();
+		}
+
+		// Reset the test items that are about to run
+		testIds.forEach(function(testId) {
+			getTestItem(testId).removeClass('test-passed test-failed test-warning test-running')
+				.find('.test-status .dashicons')
+				.removeClass('dashicons-yes-alt dashicons-dismiss dashicons-update')
+				.addClass('dashicons-minus');
+			getTestItem(testId).find('.test-result').html('');
+		});
 
 		// Update progress indicators
-		$('#test-progress-message').html(carticyConformance.i18n.runningTestsIndividually);
+		$('#test-progress-message').html(partial ? carticyConformance.i18n.runningFailedTests : carticyConformance.i18n.runningTestsIndividually);
 		updateProgress();
 
 		// Start running tests sequentially
@@ -64,21 +161,20 @@
 	}
 
 	/**
-	 * Run the next test in the sequence.
+	 * Run the next test in the queue.
 	 */
 	function runNextTest() {
-		if (currentTestIndex >= totalTests) {
-			// All tests completed - run cleanup
+		if (!runQueue.length) {
+			// All queued tests completed - run cleanup
 			cleanupTests();
 			return;
 		}
 
-		var testId = 'test_' + (currentTestIndex + 1);
-		var testNumber = currentTestIndex + 1;
-		var $testItem = $('.test-item[data-test="' + testNumber + '"]');
+		var testId = runQueue.shift();
+		var $testItem = getTestItem(testId);
 
 		// Update progress message
-		$('#test-progress-message').html(carticyConformance.i18n.runningTest + ' ' + testNumber + ' ' + carticyConformance.i18n.of + ' ' + totalTests + '...');
+		$('#test-progress-message').html(carticyConformance.i18n.runningTest + ' ' + getTestNumber(testId) + ' (' + (testsCompleted + 1) + ' ' + carticyConformance.i18n.of + ' ' + runTotal + ')...');
 
 		// Show as running
 		$testItem.addClass('test-running')
@@ -101,9 +197,9 @@
 			},
 			success: function(response) {
 				if (response.success && response.data.result) {
-					handleTestResult(testNumber, response.data.result, $testItem);
+					handleTestResult(testId, response.data.result);
 				} else {
-					handleTestError(testNumber, response.data.message || 'Test failed', $testItem);
+					handleTestError(testId, response.data.message || 'Test failed');
 				}
 			},
 			error: function(xhr, status) {
@@ -113,7 +209,7 @@
 				} else if (xhr.responseJSON && xhr.responseJSON.data && xhr.responseJSON.data.message) {
 					errorMsg = xhr.responseJSON.data.message;
 				}
-				handleTestError(testNumber, errorMsg, $testItem);
+				handleTestError(testId, errorMsg);
 			}
 		});
 	}
@@ -121,87 +217,87 @@
 	/**
 	 * Handle successful test result.
 	 *
-	 * @param {number} testNumber - Test number (1-17).
+	 * @param {string} testId - Test ID.
 	 * @param {Object} result - Test result object.
-	 * @param {jQuery} $testItem - jQuery element for the test item.
 	 */
-	function handleTestResult(testNumber, result, $testItem) {
-		testResults.push(result);
-
-		// Clear running state
-		$testItem.removeClass('test-running');
-
-		if (result.passed) {
-			$testItem.addClass('test-passed')
-				.find('.test-status .dashicons')
-				.removeClass('dashicons-update')
-				.addClass('dashicons-yes-alt');
-		} else {
-			// Determine if blocking (critical) or non-blocking (warning)
-			var isBlocking = result.blocking !== false;
-			var failClass = isBlocking ? 'test-failed' : 'test-warning';
-			var textColor = isBlocking ? '#dc3232' : '#d68a00';
-
-			$testItem.addClass(failClass)
-				.find('.test-status .dashicons')
-				.removeClass('dashicons-update')
-				.addClass('dashicons-dismiss');
-
-			// Show error message (escape HTML to prevent layout corruption)
-			var infoIcon = '<button type="button" class="test-info-btn" data-test-index="' + testNumber + '" title="' + carticyConformance.i18n.viewDetails + '"><span class="dashicons dashicons-info"></span></button>';
-			var fixButton = '';
-			if (testNumber === 15 && !result.passed) {
-				fixButton = '<button type="button" class="test-action-btn test-fix-robots" data-test-index="' + testNumber + '">' + carticyConformance.i18n.enableFilter + '</button>';
-			}
-			var escapedMessage = escapeHtml(result.message || 'Failed');
-			$testItem.find('.test-result').html('<span style="color: ' + textColor + ';">' + escapedMessage + infoIcon + fixButton + '</span>');
-		}
+	function handleTestResult(testId, result) {
+		result.test_id = testId;
+		testResults[testId] = result;
+		renderTestResult(testId, result);
 
 		// Update progress
 		testsCompleted++;
 		updateProgress();
 
 		// Move to next test
-		currentTestIndex++;
 		runNextTest();
 	}
 
 	/**
 	 * Handle test error.
 	 *
-	 * @param {number} testNumber - Test number (1-17).
+	 * @param {string} testId - Test ID.
 	 * @param {string} errorMsg - Error message.
-	 * @param {jQuery} $testItem - jQuery element for the test item.
 	 */
-	function handleTestError(testNumber, errorMsg, $testItem) {
+	function handleTestError(testId, errorMsg) {
 		// Store error result
-		testResults.push({
-			name: $testItem.find('.test-name').text(),
+		testResults[testId] = {
+			test_id: testId,
+			name: getTestItem(testId).find('.test-name').text().trim(),
 			passed: false,
 			blocking: true,
 			message: errorMsg
-		});
-
-		// Update UI
-		$testItem.removeClass('test-running')
-			.addClass('test-failed')
-			.find('.test-status .dashicons')
-			.removeClass('dashicons-update')
-			.addClass('dashicons-dismiss');
-
-		var infoIcon = '<button type="button" class="test-info-btn" data-test-index="' + testNumber + '" title="' + carticyConformance.i18n.viewDetails + '"><span class="dashicons dashicons-info"></span></button>';
-		var escapedError = escapeHtml(errorMsg);
-		$testItem.find('.test-result').html('<span style="color: #dc3232;">' + escapedError + infoIcon + '</span>');
+		};
+		renderTestResult(testId, testResults[testId]);
 
 		// Update progress
 		testsCompleted++;
 		updateProgress();
 
 		// Move to next test
-		currentTestIndex++;
 		runNextTest();
 	}
 
+	/**
+	 * Show a test result on its list item.
+	 *
+	 * @param {string} testId - Test ID.
+	 * @param {Object} result - Test result object.
+	 */
+	function renderTestResult(testId, result) {
+		var $testItem = getTestItem(testId);
+
+		// Clear running state
+		$testItem.removeClass('test-running test-passed test-failed test-warning')
+			.find('.test-status .dashicons')
+			.removeClass('dashicons-update dashicons-minus dashicons-yes-alt dashicons-dismiss');
+
+		if (result.passed) {
+			$testItem.addClass('test-passed')
+				.find('.test-status .dashicons')
+				.addClass('dashicons-yes-alt');
+			$testItem.find('.test-result').html('');
+			return;
+		}
+
+		// Determine if blocking (critical) or non-blocking (warning)
+		var isBlocking = result.blocking !== false;
+		var failClass = isBlocking ? 'test-failed' : 'test-warning';
+		var textColor = isBlocking ? '#dc3232' : '#d68a00';
+
+		$testItem.addClass(failClass)
+			.find('.test-status .dashicons')
+			.addClass('dashicons-dismiss');
+
+		// Show error message (escape HTML to prevent layout corruption)
+		var infoIcon = '<button type="button" class="test-info-btn" data-test-id="' + testId + '" title="' + carticyConformance.i18n.viewDetails + '"><span class="dashicons dashicons-info"></span></button>';
+		var fixButtons = (result.fixes || []).map(function(fix) {
+			return '<button type="button" class="test-action-btn test-fix-btn" data-test-id="' + testId + '" data-fix-id="' + escapeHtml(fix.id) + '" title="' + escapeHtml(fix.description) + '">' + escapeHtml(fix.label) + '</button>';
+		}).join('');
+		var escapedMessage = escapeHtml(result.message || 'Failed');
+		$testItem.find('.test-result').html('<span style="color: ' + textColor + ';">' + escapedMessage + infoIcon + fixButtons + '</span>');
+	}
+
 	/**
 	 * Run cleanup after all tests complete.
 	 */
@@ -225,51 +321,51 @@
 	}
 
 	/**
-	 * Finish the test run and display results.
+	 * Finish the test run, save results and display the summary.
 	 */
 	function finishTestRun() {
-		// Calculate summary
-		var passed = testResults.filter(function(r) { return r.passed; }).length;
-		var failed = totalTests - passed;
-		var blockingTests = testResults.filter(function(r) { return r.blocking !== false; });
-		var blockingPassed = blockingTests.filter(function(r) { return r.passed; }).length;
-		var allBlockingPassed = blockingPassed === blockingTests.length;
-
-		var summary = {
-			total: totalTests,
-			passed: passed,
-			failed: failed,
-			all_passed: failed === 0,
-			all_blocking_passed: allBlockingPassed
-		};
+		var runResults = runTestIds.map(function(testId) { return testResults[testId]; });
 
-		// Save results to server
+		// Save results to server. The server merges partial runs and returns the full summary.
 		$.ajax({
 			url: carticyConformance.ajaxUrl,
 			type: 'POST',
 			data: {
 				action: 'carticy_ai_checkout_save_test_results',
 				nonce: carticyConformance.nonce,
+				merge: isPartialRun ? 1 : 0,
 				results: JSON.stringify({
-					summary: summary,
-					tests: testResults
+					tests: runResults
 				})
-			}
-		});
+			},
+			success: function(response) {
+				if (!response.success) {
+					$('#test-progress-message').html(carticyConformance.i18n.errorOccurred);
+					return;
+				}
 
-		// Show summary
-		showSummary(summary);
+				var summary = response.data.results.summary;
+				showSummary(summary);
 
-		// Update progress message
-		$('#test-progress-message').html(carticyConformance.i18n.allTestsCompleted);
+				runHistory = response.data.history || runHistory;
+				renderHistory();
 
-		// Enable button
-		$('#run-all-tests').prop('disabled', false).html('<span class="dashicons dashicons-controls-play"></span> ' + carticyConformance.i18n.runAllTestsAgain);
+				// Saved results can now be exported
+				$('#test-export').css('display', 'flex');
 
-		// Enable continue button if all blocking tests passed
-		if (allBlockingPassed) {
-			$('#continue-button').prop('disabled', false);
-		}
+				// Continue requires every blocking test in the suite to pass
+				$('#continue-button').prop('disabled', !summary.all_blocking_passed);
+			},
+			error: function() {
+				$('#test-progress-message').html(carticyConformance.i18n.errorOccurred);
+			},
+			complete: function() {
+				updateRunButtons();
+			}
+		});
+
+		// Update progress message
+		$('#test-progress-message').html(isPartialRun ? carticyConformance.i18n.testsCompleted : carticyConformance.i18n.allTestsCompleted);
 
 		// Hide progress after delay
 		setTimeout(function() {
@@ -277,13 +373,27 @@
 		}, 2000);
 	}
 
+	/**
+	 * Enable run buttons according to the current results.
+	 */
+	function updateRunButtons() {
+		var hasResults = Object.keys(testResults).length > 0;
+
+		$('#run-all-tests').prop('disabled', false).html(
+			'<span class="dashicons dashicons-controls-play"></span> ' +
+			(hasResults ? carticyConformance.i18n.runAllTestsAgain : carticyConformance.i18n.runAllTests)
+		);
+		$('#run-failed-tests').prop('disabled', !getFailedTestIds().length);
+		$('.test-rerun-btn, .test-fix-btn').prop('disabled', false);
+	}
+
 	/**
 	 * Update progress bar and text.
 	 */
 	function updateProgress() {
-		var percentage = (testsCompleted / totalTests) * 100;
+		var percentage = runTotal > 0 ? (testsCompleted / runTotal) * 100 : 0;
 		$('#test-progress-bar').css('width', percentage + '%');
-		$('#test-progress-text').text(testsCompleted + ' / ' + totalTests);
+		$('#test-progress-text').text(testsCompleted + ' / ' + runTotal);
 	}
 
 	/**
@@ -302,8 +412,9 @@
 	 * Show test details modal.
 	 *
 	 * @param {Object} test - Test result object.
+	 * @param {Object} [previous] - Result of the same test in an earlier run; shows diffs instead of raw data.
 	 */
-	function showTestDetails(test) {
+	function showTestDetails(test, previous) {
 		var $content = $('<div>');
 
 		// Test Name Section
@@ -324,25 +435,36 @@
 			);
 		}
 
+		// Comparing with an earlier run: show what changed instead of the raw data
+		if (previous) {
+			if (previous.message && previous.message !== test.message) {
+				$content.append(
+					$('<div>').css({'margin-bottom': '24px'}).append(
+						$('<h4>').css({'margin': '0 0 8px 0', 'font-size': '14px', 'font-weight': '600', 'color': '#1d2327'}).text(carticyConformance.i18n.previousMessage),
+						$('<p>').css({'margin': '0', 'color': '#50575e', 'line-height': '1.6'}).text(previous.message)
+					)
+				);
+			}
+
+			$content.append(
+				buildDiffSection(carticyConformance.i18n.requestDiff, previous.request, test.request),
+				buildDiffSection(carticyConformance.i18n.responseDiff, previous.response, test.response)
+			);
+
+			CarticyAdmin.Modal.open({
+				title: carticyConformance.i18n.testDetails,
+				content: $content,
+				size: 'large'
+			});
+			return;
+		}
+
 		// Request Data Section
 		if (test.request && Object.keys(test.request).length > 0) {
 			$content.append(
 				$('<div>').css({'margin-bottom': '24px'}).append(
 					$('<h4>').css({'margin': '0 0 8px 0', 'font-size': '14px', 'font-weight': '600', 'color': '#1d2327'}).text(carticyConformance.i18n.requestData),
-					$('<pre>').css({
-						'background': '#f6f7f7',
-						'border': '1px solid #c3c4c7',
-						'border-radius': '4px',
-						'padding': '16px',
-						'margin': '0',
-						'font-family': '"Courier New", Courier, monospace',
-						'font-size': '12px',
-						'line-height': '1.6',
-						'overflow-x': 'auto',
-						'white-space': 'pre-wrap',
-						'word-wrap': 'break-word',
-						'color': '#1d2327'
-					}).text(JSON.stringify(test.request, null, 2))
+					CarticyAdmin.JsonViewer.create(test.request)
 				)
 			);
 		}
@@ -352,20 +474,7 @@
 			$content.append(
 				$('<div>').css({'margin-bottom': '0'}).append(
 					$('<h4>').css({'margin': '0 0 8px 0', 'font-size': '14px', 'font-weight': '600', 'color': '#1d2327'}).text(carticyConformance.i18n.responseData),
-					$('<pre>').css({
-						'background': '#f6f7f7',
-						'border': '1px solid #c3c4c7',
-						'border-radius': '4px',
-						'padding': '16px',
-						'margin': '0',
-						'font-family': '"Courier New", Courier, monospace',
-						'font-size': '12px',
-						'line-height': '1.6',
-						'overflow-x': 'auto',
-						'white-space': 'pre-wrap',
-						'word-wrap': 'break-word',
-						'color': '#1d2327'
-					}).text(JSON.stringify(test.response, null, 2))
+					CarticyAdmin.JsonViewer.create(test.response)
 				)
 			);
 		}
@@ -379,56 +488,321 @@
 	}
 
 	/**
-	 * Fix robots.txt by enabling the filter.
+	 * Build a diff section for the test details modal.
 	 *
-	 * @param {jQuery} $btn - The clicked button element.
+	 * @param {string} title - Section title.
+	 * @param {*} before - Data from the earlier run.
+	 * @param {*} after - Data from the later run.
+	 * @return {jQuery} Section element.
+	 */
+	function buildDiffSection(title, before, after) {
+		var lines = diffLines(
+			before ? JSON.stringify(before, null, 2).split('\n') : [],
+			after ? JSON.stringify(after, null, 2).split('\n') : []
+		);
+		var changed = lines.some(function(line) { return line.type !== ' '; });
+		var $pre = $('<pre class="test-diff">');
+
+		lines.forEach(function(line) {
+			$pre.append(
+				$('<span>').addClass('test-diff-line test-diff-' + (line.type === '+' ? 'added' : (line.type === '-' ? 'removed' : 'same')))
+					.text(line.type + ' ' + line.text)
+			);
+		});
+
+		return $('<div>').css({'margin-bottom': '24px'}).append(
+			$('<h4>').css({'margin': '0 0 8px 0', 'font-size': '14px', 'font-weight': '600', 'color': '#1d2327'}).text(title),
+			changed ? $pre : $('<p>').css({'margin': '0', 'color': '#50575e'}).text(carticyConformance.i18n.noDifferences)
+		);
+	}
+
+	/**
+	 * Line diff based on the longest common subsequence.
+	 *
+	 * @param {string[]} a - Lines before.
+	 * @param {string[]} b - Lines after.
+	 * @return {Array<{type: string, text: string}>} Lines marked ' ' (same), '-' (removed) or '+' (added).
+	 */
+	function diffLines(a, b) {
+		var result = [];
+		var i, j;
+
+		// Very large payloads: skip the quadratic table and show a full replacement.
+		if (a.length * b.length > 1000000) {
+			a.forEach(function(text) { result.push({type: '-', text: text}); });
+			b.forEach(function(text) { result.push({type: '+', text: text}); });
+			return result;
+		}
+
+		// lengths[i][j] = LCS length of a[i..] and b[j..]
+		var lengths = [];
+		for (i = a.length; i >= 0; i--) {
+			lengths[i] = [];
+			for (j = b.length; j >= 0; j--) {
+				if (i === a.length || j === b.length) {
+					lengths[i][j] = 0;
+				} else if (a[i] === b[j]) {
+					lengths[i][j] = lengths[i + 1][j + 1] + 1;
+				} else {
+					lengths[i][j] = Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+				}
+			}
+		}
+
+		i = 0;
+		j = 0;
+		while (i < a.length && j < b.length) {
+			if (a[i] === b[j]) {
+				result.push({type: ' ', text: a[i]});
+				i++;
+				j++;
+			} else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+				result.push({type: '-', text: a[i++]});
+			} else {
+				result.push({type: '+', text: b[j++]});
+			}
+		}
+		for (; i < a.length; i++) {
+			result.push({type: '-', text: a[i]});
+		}
+		for (; j < b.length; j++) {
+			result.push({type: '+', text: b[j]});
+		}
+
+		return result;
+	}
+
+	/**
+	 * Render the run history table.
 	 */
-	function fixRobotsTxt($btn) {
-		$btn.prop('disabled', true).text(carticyConformance.i18n.fixing);
+	function renderHistory() {
+		var $tbody = $('#test-history tbody').empty();
+
+		if (!runHistory.length) {
+			$tbody.append($('<tr>').append($('<td colspan="6">').text(carticyConformance.i18n.noHistory)));
+			updateCompareButton();
+			return;
+		}
+
+		runHistory.forEach(function(run) {
+			var scope = run.test_ids.length >= tests.length
+				? carticyConformance.i18n.allTests
+				: carticyConformance.i18n.someTests.replace('%d', run.test_ids.length);
+			var status = carticyConformance.i18n.ready;
+			var statusColor = '#46b450';
+
+			if (run.summary.missing > 0) {
+				status = carticyConformance.i18n.incomplete;
+				statusColor = '#666';
+			} else if (!run.summary.all_blocking_passed) {
+				status = carticyConformance.i18n.blockingFailures;
+				statusColor = '#dc3232';
+			}
+
+			$tbody.append(
+				$('<tr>').append(
+					$('<th scope="row" class="check-column">').append(
+						$('<input type="checkbox" class="test-history-select">').val(run.id)
+					),
+					$('<td>').text(run.date),
+					$('<td>').text(run.plugin_version),
+					$('<td>').text(scope),
+					$('<td>').text(run.summary.passed + ' / ' + tests.length),
+					$('<td>').append($('<span>').css({'color': statusColor, 'font-weight': '600'}).text(status))
+				)
+			);
+		});
+
+		updateCompareButton();
+	}
+
+	/**
+	 * Enable the compare button when exactly two runs are selected.
+	 */
+	function updateCompareButton() {
+		$('#compare-runs').prop('disabled', $('.test-history-select:checked').length !== 2);
+	}
+
+	/**
+	 * Compare the two selected runs.
+	 */
+	function compareRuns() {
+		var selected = $('.test-history-select:checked').map(function() { return $(this).val(); }).get();
+
+		if (selected.length !== 2) {
+			return;
+		}
+
+		$('#compare-runs').prop('disabled', true);
 
 		$.ajax({
 			url: carticyConformance.ajaxUrl,
 			type: 'POST',
 			data: {
-				action: 'carticy_ai_checkout_enable_robots_filter',
-				nonce: carticyConformance.nonce
+				action: 'carticy_ai_checkout_compare_conformance_runs',
+				nonce: carticyConformance.nonce,
+				run_a: selected[0],
+				run_b: selected[1]
 			},
 			success: function(response) {
 				if (response.success) {
-					$btn.text(carticyConformance.i18n.fixed).css('background', '#46b450');
-					// Show success message
-					var $testItem = $btn.closest('.test-item');
-					$testItem.find('.test-result span').first().html(carticyConformance.i18n.robotsFilterEnabled);
+					comparison = response.data;
+					renderComparison(comparison);
 				} else {
-					$btn.prop('disabled', false).text(carticyConformance.i18n.enableFilter);
-					alert(carticyConformance.i18n.failedToEnableFilter);
+					alert(response.data.message || carticyConformance.i18n.errorOccurred);
 				}
 			},
 			error: function() {
-				$btn.prop('disabled', false).text(carticyConformance.i18n.enableFilter);
 				alert(carticyConformance.i18n.errorOccurred);
+			},
+			complete: function() {
+				updateCompareButton();
+			}
+		});
+	}
+
+	/**
+	 * Render the comparison between two runs.
+	 *
+	 * @param {Object} data - Comparison from the server.
+	 */
+	function renderComparison(data) {
+		var i18n = carticyConformance.i18n;
+		var labels = {
+			regressed: {text: i18n.regressed, color: '#dc3232'},
+			fixed: {text: i18n.fixedStatus, color: '#46b450'},
+			still_failing: {text: i18n.stillFailing, color: '#d68a00'},
+			still_passing: {text: i18n.stillPassing, color: '#666'},
+			not_comparable: {text: i18n.notComparable, color: '#666'}
+		};
+		var $container = $('#test-comparison').empty().show();
+
+		$container.append(
+			$('<h4>').css({'margin': '0 0 10px 0'}).text(
+				i18n.comparing
+					.replace('%1$s', data.base.date)
+					.replace('%2$s', data.base.plugin_version)
+					.replace('%3$s', data.target.date)
+					.replace('%4$s', data.target.plugin_version)
+			)
+		);
+
+		var $counts = $('<p>').css({'margin': '0 0 10px 0'});
+		Object.keys(labels).forEach(function(status) {
+			$counts.append(
+				$('<span>').css({'color': labels[status].color, 'font-weight': '600', 'margin-right': '16px'})
+					.text(labels[status].text + ': ' + data.counts[status])
+			);
+		});
+		$container.append($counts);
+
+		// Changed and failing tests only; passing tests are covered by the counts
+		var listed = data.tests.filter(function(test) {
+			return test.status === 'regressed' || test.status === 'fixed' || test.status === 'still_failing';
+		});
+
+		if (!listed.length) {
+			$container.append($('<p>').text(i18n.noStatusChanges));
+			return;
+		}
+
+		var $list = $('<div class="test-items">');
+		listed.forEach(function(test) {
+			$list.append(
+				$('<div class="test-item">').append(
+					$('<span class="test-name">').text(test.name),
+					$('<span>').css({'color': labels[test.status].color, 'font-weight': '600'}).text(labels[test.status].text),
+					$('<button type="button" class="button button-small test-diff-btn">').attr('data-test-id', test.test_id).text(i18n.viewDiff)
+				)
+			);
+		});
+		$container.append($list);
+	}
+
+	/**
+	 * Apply a fix action of a failed test, then re-run the test to verify it.
+	 *
+	 * @param {jQuery} $btn - The clicked fix button.
+	 */
+	function applyFix($btn) {
+		var testId = $btn.data('test-id');
+		var label = $btn.text();
+
+		$btn.closest('.test-result').find('.test-fix-btn').prop('disabled', true);
+		$btn.text(carticyConformance.i18n.fixing);
+
+		$.ajax({
+			url: carticyConformance.ajaxUrl,
+			type: 'POST',
+			data: {
+				action: 'carticy_ai_checkout_apply_conformance_fix',
+				nonce: carticyConformance.nonce,
+				fix_id: $btn.data('fix-id')
+			},
+			success: function(response) {
+				if (response.success) {
+					runTests([testId], true);
+					$('#test-progress-message').text(response.data.message + ' ' + carticyConformance.i18n.verifyingFix);
+				} else {
+					$btn.closest('.test-result').find('.test-fix-btn').prop('disabled', false);
+					$btn.text(label);
+					alert(response.data && response.data.message ? response.data.message : carticyConformance.i18n.fixFailed);
+				}
+			},
+			error: function(xhr) {
+				$btn.closest('.test-result').find('.test-fix-btn').prop('disabled', false);
+				$btn.text(label);
+				alert(xhr.responseJSON && xhr.responseJSON.data && xhr.responseJSON.data.message ? xhr.responseJSON.data.message : carticyConformance.i18n.errorOccurred);
 			}
 		});
 	}
 
 	// Initialize when document is ready
 	$(document).ready(function() {
+		loadSavedResults();
+		renderHistory();
+
 		// Run all tests button
 		$('#run-all-tests').on('click', function() {
 			runAllTests();
 		});
 
+		// Run failed tests button
+		$('#run-failed-tests').on('click', function() {
+			runFailedTests();
+		});
+
+		// Run a single test again
+		$(document).on('click', '.test-rerun-btn', function() {
+			runTests([$(this).data('test-id')], true);
+		});
+
 		// Handle test info button clicks
 		$(document).on('click', '.test-info-btn', function() {
-			var testIndex = $(this).data('test-index');
-			if (testResults && testResults[testIndex - 1]) {
-				showTestDetails(testResults[testIndex - 1]);
+			var testId = $(this).data('test-id');
+			if (testResults[testId]) {
+				showTestDetails(testResults[testId]);
+			}
+		});
+
+		// Run history selection and comparison
+		$(document).on('change', '.test-history-select', updateCompareButton);
+		$('#compare-runs').on('click', function() {
+			compareRuns();
+		});
+
+		// Show request/response diffs of a compared test
+		$(document).on('click', '.test-diff-btn', function() {
+			var testId = $(this).data('test-id');
+			var test = comparison && comparison.tests.filter(function(t) { return t.test_id === testId; })[0];
+			if (test) {
+				showTestDetails(test.target, test.base);
 			}
 		});
 
-		// Handle fix robots.txt button
-		$(document).on('click', '.test-fix-robots', function() {
-			fixRobotsTxt($(this));
+		// Apply a fix action and re-run its test
+		$(document).on('click', '.test-fix-btn', function() {
+			applyFix($(this));
 		});
 	});
 
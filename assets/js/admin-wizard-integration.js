@@ -1,7 +1,7 @@
 /**
  * Admin Wizard Integration Scripts
  *
- * Handles step 7 (API key/webhook management) and step 9 (JSON copy/download).
+ * Handles step 7 (API key/webhook secret rotation) and step 9 (JSON copy/download).
  * Requires carticyIntegration object to be localized with:
  *   - ajaxUrl: admin-ajax.php URL
  *   - nonce: wp_create_nonce('carticy_settings_nonce')
@@ -50,43 +50,109 @@ function copyToClipboard(fieldId) {
 
 	$(document).ready(function() {
 		// ==========================================================================
-		// Step 7: API Key and Webhook Secret Regeneration
+		// Step 7: API Key and Webhook Secret Rotation
 		// ==========================================================================
 
-		$('#regenerate-api-key, #regenerate-webhook-secret').on('click', function() {
-			var action = $(this).data('action');
-			var confirmMsg = action === 'regenerate_api_key'
-				? carticyIntegration.i18n.confirmRegenerateApiKey
-				: carticyIntegration.i18n.confirmRegenerateWebhookSecret;
+		/**
+		 * Send a rotation request and reload the step on success.
+		 *
+		 * @param {jQuery} $button - Clicked button.
+		 * @param {string} action - AJAX action suffix (start, finalize or cancel).
+		 * @param {Object} extraData - Additional request data.
+		 */
+		function rotationRequest($button, action, extraData) {
+			var $rotation = $button.closest('.key-rotation');
 
-			if (!confirm(confirmMsg)) {
-				return;
-			}
-
-			var $button = $(this);
 			$button.prop('disabled', true);
 
 			$.ajax({
 				url: carticyIntegration.ajaxUrl,
 				type: 'POST',
-				data: {
-					action: 'carticy_ai_checkout_' + action,
-					nonce: carticyIntegration.nonce
-				},
+				data: $.extend({
+					action: 'carticy_ai_checkout_' + action + '_key_rotation',
+					nonce: carticyIntegration.nonce,
+					type: $rotation.data('type')
+				}, extraData),
 				success: function(response) {
 					if (response.success) {
-						alert(response.data.message);
 						window.location.reload();
 					} else {
-						alert(carticyIntegration.i18n.failedToRegenerate);
+						alert(response.data.message);
 						$button.prop('disabled', false);
 					}
 				},
-				error: function() {
-					alert(carticyIntegration.i18n.errorOccurred);
+				error: function(xhr) {
+					var data = xhr.responseJSON && xhr.responseJSON.data;
+					alert(data && data.message ? data.message : carticyIntegration.i18n.errorOccurred);
 					$button.prop('disabled', false);
 				}
 			});
+		}
+
+		/**
+		 * Format the seconds left of a grace period.
+		 *
+		 * @param {number} seconds - Seconds left.
+		 * @return {string} Remaining time as "Xh Ym Zs".
+		 */
+		function formatRemaining(seconds) {
+			var hours = Math.floor(seconds / 3600);
+			var minutes = Math.floor((seconds % 3600) / 60);
+
+			return hours + 'h ' + minutes + 'm ' + (seconds % 60) + 's';
+		}
+
+		/**
+		 * Update the grace period countdowns, reloading once one ends.
+		 */
+		function tickCountdowns() {
+			var now = Math.floor(Date.now() / 1000);
+
+			$('.key-rotation-countdown').each(function() {
+				var left = parseInt($(this).data('expires-at'), 10) - now;
+
+				if (left <= 0) {
+					$(this).find('.key-rotation-remaining').text(carticyIntegration.i18n.rotationExpired);
+					clearInterval(countdownTimer);
+					window.location.reload();
+					return false;
+				}
+
+				$(this).find('.key-rotation-remaining').text(formatRemaining(left));
+			});
+		}
+
+		var countdownTimer = null;
+		if ($('.key-rotation-countdown').length) {
+			tickCountdowns();
+			countdownTimer = setInterval(tickCountdowns, 1000);
+		}
+
+		$('.key-rotation-start-btn').on('click', function() {
+			if (!confirm(carticyIntegration.i18n.confirmRotate)) {
+				return;
+			}
+
+			rotationRequest($(this), 'start', {
+				grace_hours: $(this).closest('.key-rotation').find('.key-rotation-grace').val()
+			});
+		});
+
+		$('.key-rotation-finalize').on('click', function() {
+			if (confirm(carticyIntegration.i18n.confirmFinalize)) {
+				rotationRequest($(this), 'finalize', {});
+			}
+		});
+
+		$('.key-rotation-cancel').on('click', function() {
+			if (confirm(carticyIntegration.i18n.confirmCancel)) {
+				rotationRequest($(this), 'cancel', {});
+			}
+		});
+
+		// Copy the pending value
+		$('.key-rotation .copy-button').on('click', function() {
+			copyToClipboard($(this).data('clipboard-target').replace('#', ''));
 		});
 
 		// ==========================================================================
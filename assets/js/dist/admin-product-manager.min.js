@@ -1 +1 @@
-!function($){"use strict";var e={init:function(){this.bindEvents()},bindEvents:function(){$(".carticy-preview-feed").off("click").on("click",this.handlePreviewFeed),$("#carticy-regenerate-feed").off("click").on("click",this.handleRegenerateFeed),$("#carticy-recalculate-quality").off("click").on("click",this.handleRecalculateQuality),$(".quality-issues-toggle").off("click").on("click",this.handleQualityIssuesToggle)},handlePreviewFeed:function(a){a.preventDefault();var t=$(this).data("product-id");CarticyAdmin.Modal.open({title:"Product Feed Preview",content:'<div style="text-align: center; padding: 40px; color: #666;">Loading...</div>',size:"large"}),$.ajax({url:carticyProductManager.ajax_url,type:"POST",data:{action:"carticy_ai_checkout_preview_product_feed",nonce:carticyProductManager.nonce,product_id:t},success:function(a){if(a.success&&a.data.feed){var t=$("<pre>").css({background:"#f6f7f7",border:"1px solid #c3c4c7",borderRadius:"4px",padding:"16px",margin:"0",fontFamily:'"Courier New", Courier, monospace',fontSize:"12px",lineHeight:"1.6",overflowX:"auto",whiteSpace:"pre-wrap",wordWrap:"break-word",maxHeight:"500px"}).text(a.data.feed);CarticyAdmin.Modal.open({title:"Product Feed Preview",content:t,size:"large",actions:[{label:carticyProductManager.i18n.copy||"Copy to Clipboard",class:"button-primary",onClick:function(){var t=$(this),c=t.text();e.copyToClipboard(a.data.feed),t.text(carticyProductManager.i18n.copied||"Copied!").css("opacity","0.7"),setTimeout(function(){t.text(c).css("opacity","1")},2e3)}}]})}else CarticyAdmin.Modal.close(),e.showError(a.data.message||"Failed to load feed preview.")},error:function(){CarticyAdmin.Modal.close(),e.showError("An error occurred while loading the feed preview.")}})},copyToClipboard:function(a){var t=$("<textarea>");$("body").append(t),t.val(a).select();try{document.execCommand("copy"),e.showSuccess(carticyProductManager.i18n.copied)}catch(a){e.showError("Failed to copy to clipboard.")}t.remove()},handleRegenerateFeed:function(a){if(a.preventDefault(),confirm(carticyProductManager.i18n.confirm_regenerate)){var t=$(this);t.addClass("loading").prop("disabled",!0),$.ajax({url:carticyProductManager.ajax_url,type:"POST",data:{action:"carticy_ai_checkout_regenerate_feed",nonce:carticyProductManager.nonce},success:function(a){a.success?(e.showSuccess(a.data.message),setTimeout(function(){location.reload()},1500)):(e.showError(a.data.message||"Failed to regenerate feed."),t.removeClass("loading").prop("disabled",!1))},error:function(){e.showError("An error occurred while regenerating the feed."),t.removeClass("loading").prop("disabled",!1)}})}},handleRecalculateQuality:function(a){if(a.preventDefault(),confirm(carticyProductManager.i18n.confirm_recalculate)){var t=$(this);t.addClass("loading").prop("disabled",!0),$.ajax({url:carticyProductManager.ajax_url,type:"POST",data:{action:"carticy_ai_checkout_recalculate_quality",nonce:carticyProductManager.nonce},success:function(a){a.success?(e.showSuccess(a.data.message),setTimeout(function(){location.reload()},1500)):(e.showError(a.data.message||"Failed to recalculate quality scores."),t.removeClass("loading").prop("disabled",!1))},error:function(){e.showError("An error occurred while recalculating quality scores."),t.removeClass("loading").prop("disabled",!1)}})}},handleQualityIssuesToggle:function(a){a.preventDefault();var t=$(this).data("issues"),c=e.createTooltip(t),r=$(this).offset();c.css({top:r.top-c.outerHeight()-10,left:r.left+$(this).outerWidth()/2-c.outerWidth()/2}),setTimeout(function(){c.fadeOut(function(){$(this).remove()})},5e3)},createTooltip:function(e){var a=$('<div class="carticy-ai-quality-tooltip"></div>').html(e);return $("body").append(a),a},showSuccess:function(e){var a=$('<div class="notice notice-success is-dismissible"><p>'+e+"</p></div>");$(".wrap.carticy-ai-checkout-products").prepend(a),setTimeout(function(){a.fadeOut(function(){$(this).remove()})},3e3)},showError:function(e){var a=$('<div class="notice notice-error is-dismissible"><p>'+e+"</p></div>");$(".wrap.carticy-ai-checkout-products").prepend(a)}};$(document).ready(function(){e.init()})}(jQuery);
\ No newline at end of file
+!function($){"use strict";var e={mappingTimer:null,mappingRequest:null,inclusionTimer:null,inclusionRequest:null,init:function(){this.bindEvents(),this.initFeedMapping(),this.initFeedInclusion(),this.initChannelPricing()},bindEvents:function(){$(".carticy-preview-feed").off("click").on("click",this.handlePreviewFeed),$("#carticy-compare-feed").off("click").on("click",this.handleCompareFeed),$(".carticy-preview-feed-export").off("click").on("click",this.handlePreviewFeedExport),$("#carticy-regenerate-feed").off("click").on("click",this.handleRegenerateFeed),$("#carticy-recalculate-quality").off("click").on("click",this.handleRecalculateQuality),$(".quality-issues-toggle").off("click keydown").on("click keydown",this.handleQualityIssuesToggle)},handlePreviewFeed:function(t){t.preventDefault();var a=$(this).data("product-id");CarticyAdmin.Modal.open({title:"Product Feed Preview",content:'<div style="text-align: center; padding: 40px; color: #666;">Loading...</div>',size:"large"}),$.ajax({url:carticyProductManager.ajax_url,type:"POST",data:{action:"carticy_ai_checkout_preview_product_feed",nonce:carticyProductManager.nonce,product_id:a},success:function(t){t.success&&t.data.feed?e.openFeedEditor(a,t.data):(CarticyAdmin.Modal.close(),e.showError(t.data.message||"Failed to load feed preview."))},error:function(){CarticyAdmin.Modal.close(),e.showError("An error occurred while loading the feed preview.")}})},openFeedEditor:function(t,a){var i=carticyProductManager.i18n,n=$('<form class="carticy-feed-editor" novalidate></form>');e.renderFeedEditor(n,a),CarticyAdmin.Modal.open({title:"Product Feed Preview",content:n,size:"large",actions:[{label:i.copy_json||"Copy JSON",class:"button",onClick:function(){var t=$(this),a=t.text();e.copyToClipboard(n.data("feed")),t.text(i.copied||"Copied!").css("opacity","0.7"),setTimeout(function(){t.text(a).css("opacity","1")},2e3)}},{label:i.save_fields||"Save Feed Fields",class:"button-primary",onClick:function(){e.saveFeedOverrides(t,n,$(this))}}]}),n.on("submit",function(e){e.preventDefault()})},renderFeedEditor:function(t,a){var i=carticyProductManager.i18n;t.empty().data("feed",a.feed),t.append($('<div class="carticy-feed-editor-message" role="alert"></div>').hide(),$('<p class="carticy-feed-editor-intro"></p>').text(i.editor_intro||""));var n=$('<div class="carticy-feed-editor-fields"></div>');(a.fields||[]).forEach(function(t){n.append(e.buildFeedField(t))});var c=$('<details class="carticy-feed-editor-json"></details>').append($("<summary></summary>").text("Feed JSON"),CarticyAdmin.JsonViewer.create(a.feed));t.append(n,c)},buildFeedField:function(t){var a,i=carticyProductManager.i18n,n="carticy-feed-field-"+t.key,c=$('<div class="carticy-feed-field"></div>').attr("data-key",t.key),r=$("<label></label>").attr("for",n).text(t.label);if("select"===t.type?(a=$("<select></select>").append($('<option value=""></option>').text(i.not_set||"")),t.options.forEach(function(e){a.append($("<option></option>").val(e).text(e))})):a="textarea"===t.type?$('<textarea rows="5"></textarea>'):$('<input type="text" class="regular-text">'),a.attr({id:n,name:t.key}).val(t.value).data("field",t),c.append(r,a),t.max_length&&c.append($('<span class="carticy-feed-field-counter"></span>')),t.help&&c.append($('<p class="description"></p>').text(t.help)),t.overridden){c.addClass("is-overridden"),r.append(" ",$('<span class="carticy-feed-field-badge"></span>').text(i.overridden||"Overridden"));var o=$('<a href="#" class="carticy-feed-field-revert"></a>').text(i.revert||"Revert");o.on("click",function(e){e.preventDefault(),a.val(t.original).trigger("input")}),c.append($('<p class="carticy-feed-field-original"></p>').append($("<strong></strong>").text(i.from_product||"")," ",$("<span></span>").text(t.original||i.empty_value||"")," ",o))}return c.append($('<p class="carticy-feed-field-error"></p>').hide()),a.on("input change",function(){e.validateFeedField(a)}),e.updateFieldCounter(a),c},validateFeedField:function(t){var a=carticyProductManager.i18n,i=t.data("field"),n=String(t.val()||""),c="";return e.updateFieldCounter(t),""!==n&&(i.max_length&&Array.from(n).length>i.max_length?c=(a.too_long||"").replace("%d",i.max_length):i.options&&-1===i.options.indexOf(n)?c=a.invalid_format||"Invalid format.":i.pattern&&!new RegExp(i.pattern).test(n)&&(c=i.help||a.invalid_format||"Invalid format.")),e.setFieldError(t.closest(".carticy-feed-field"),c),""===c},setFieldError:function(e,t){e.toggleClass("has-error",!!t),e.find(".carticy-feed-field-error").text(t||"").toggle(!!t)},updateFieldCounter:function(e){var t=e.data("field");if(t.max_length){var a=Array.from(String(e.val()||"")).length;e.siblings(".carticy-feed-field-counter").text(a+" / "+t.max_length).toggleClass("is-over",a>t.max_length)}},showEditorMessage:function(e,t,a){e.find(".carticy-feed-editor-message").attr("class","carticy-feed-editor-message notice notice-"+a).empty().append($("<p></p>").text(t)).show()},saveFeedOverrides:function(t,a,i){var n=carticyProductManager.i18n,c={},r=!0;if(a.find(".carticy-feed-field").find("input, select, textarea").each(function(){var t=$(this);String(t.val()||"")!==t.data("field").value&&(e.validateFeedField(t)||(r=!1),c[t.attr("name")]=t.val())}),r)if(Object.keys(c).length){var o=i.text();i.text(n.saving||"Saving...").prop("disabled",!0),$.ajax({url:carticyProductManager.ajax_url,type:"POST",data:{action:"carticy_ai_checkout_save_feed_overrides",nonce:carticyProductManager.nonce,product_id:t,fields:c},success:function(t){if(t.success)return e.renderFeedEditor(a,t.data),void e.showEditorMessage(a,t.data.message,"success");var i=t.data.errors||{};Object.keys(i).forEach(function(t){e.setFieldError(a.find('.carticy-feed-field[data-key="'+t+'"]'),i[t])}),e.showEditorMessage(a,t.data.message||"Failed to save feed fields.","error")},error:function(){e.showEditorMessage(a,"An error occurred while saving feed fields.","error")},complete:function(){i.text(o).prop("disabled",!1)}})}else e.showEditorMessage(a,n.no_field_changes||"No fields were changed.","info");else e.showEditorMessage(a,n.fix_errors||"Please fix the highlighted fields.","error")},copyToClipboard:function(t){var a=$("<textarea>");$("body").append(a),a.val(t).select();try{document.execCommand("copy"),e.showSuccess(carticyProductManager.i18n.copied)}catch(t){e.showError("Failed to copy to clipboard.")}a.remove()},jobs:{},handleRegenerateFeed:function(t){t.preventDefault(),confirm(carticyProductManager.i18n.confirm_regenerate)&&e.startBatchJob("feed",$(this),carticyProductManager.i18n.regenerating_feed)},handleRecalculateQuality:function(t){t.preventDefault(),confirm(carticyProductManager.i18n.confirm_recalculate)&&e.startBatchJob("quality",$(this),carticyProductManager.i18n.recalculating)},handleCompareFeed:function(t){t.preventDefault();var a=carticyProductManager.i18n;CarticyAdmin.Modal.open({title:a.compare_title,content:'<div style="text-align: center; padding: 40px; color: #666;">'+a.loading+"</div>",size:"large"}),$.ajax({url:carticyProductManager.ajax_url,type:"POST",data:{action:"carticy_ai_checkout_compare_feed",nonce:carticyProductManager.nonce},success:function(t){if(!t.success)return CarticyAdmin.Modal.close(),void e.showError(t.data.message||a.compare_failed);e.openFeedDiff(t.data)},error:function(){CarticyAdmin.Modal.close(),e.showError(a.compare_failed)}})},handlePreviewFeedExport:function(t){t.preventDefault();var a=carticyProductManager.i18n,i=$(this).data("format"),n=a.export_title.replace("%s",$(this).data("label"));CarticyAdmin.Modal.open({title:n,content:'<div style="text-align: center; padding: 40px; color: #666;">'+a.loading+"</div>",size:"large"}),$.ajax({url:carticyProductManager.ajax_url,type:"POST",data:{action:"carticy_ai_checkout_preview_feed_export",nonce:carticyProductManager.nonce,format:i},success:function(t){if(!t.success)return CarticyAdmin.Modal.close(),void e.showError(t.data.message||a.export_failed);e.openFeedExportPreview(n,i,t.data)},error:function(){CarticyAdmin.Modal.close(),e.showError(a.export_failed)}})},openFeedExportPreview:function(t,a,i){var n=carticyProductManager.i18n,c=$('<div class="carticy-feed-export"></div>');i.total?c.append($('<p class="description"></p>').text(n.export_shown.replace("%1$d",i.shown).replace("%2$d",i.total)),$('<pre class="carticy-feed-export-preview"></pre>').text(i.content)):c.append($("<p></p>").text(n.export_empty)),CarticyAdmin.Modal.open({title:t,content:c,size:"large",actions:[{label:n.copy,class:"button",onClick:function(){e.copyToClipboard(i.content)}},{label:n.download,class:"button-primary",onClick:function(){window.location.href=$('.carticy-preview-feed-export[data-format="'+a+'"]').next("a").attr("href")}}]})},initFeedMapping:function(){var t=$(".feed-mapping-form");t.length&&(t.find(".feed-mapping-rule").each(function(){e.updateMappingRuleFields($(this))}),t.on("click",".feed-mapping-add",function(){var a=$($("#feed-mapping-rule-template").html().replace(/__index__/g,"new"+Date.now()));t.find(".feed-mapping-rules tbody").append(a),e.updateMappingRuleFields(a),a.find("select").first().trigger("focus"),e.scheduleMappingPreview()}),t.on("click",".feed-mapping-remove",function(){$(this).closest(".feed-mapping-rule").remove(),e.scheduleMappingPreview()}),t.on("change",".feed-mapping-source",function(){e.updateMappingRuleFields($(this).closest(".feed-mapping-rule"))}),t.on("change input",".feed-mapping-rules :input",function(){e.scheduleMappingPreview()}),$("#feed-mapping-sample").on("change",function(){e.scheduleMappingPreview()}),this.previewFeedMapping())},updateMappingRuleFields:function(e){var t=e.find(".feed-mapping-source").val();e.attr("data-source",t),e.find(".feed-mapping-key").toggle("static"!==t).attr("list",{attribute:"feed-mapping-attributes",meta:"feed-mapping-meta-keys",taxonomy:"feed-mapping-taxonomies"}[t]||null),e.find(".feed-mapping-value").toggle("static"===t)},scheduleMappingPreview:function(){clearTimeout(this.mappingTimer),this.mappingTimer=setTimeout(function(){e.previewFeedMapping()},400)},previewFeedMapping:function(){var t=carticyProductManager.i18n,a=$("#feed-mapping-sample"),i=$("#feed-mapping-preview-result");if(a.length){this.mappingRequest&&this.mappingRequest.abort();var n=$(".feed-mapping-rules tbody :input").serializeArray();n.push({name:"action",value:"carticy_ai_checkout_preview_feed_mapping"},{name:"nonce",value:carticyProductManager.nonce},{name:"product_id",value:a.val()}),i.addClass("is-loading"),this.mappingRequest=$.ajax({url:carticyProductManager.ajax_url,type:"POST",data:$.param(n),success:function(a){a.success?e.renderMappingPreview(i,a.data):i.empty().append($('<p class="feed-mapping-error"></p>').text(a.data.message||t.mapping_failed))},error:function(e,a){"abort"!==a&&i.empty().append($('<p class="feed-mapping-error"></p>').text(t.mapping_failed))},complete:function(t,a){"abort"!==a&&(i.removeClass("is-loading"),e.mappingRequest=null)}})}},renderMappingPreview:function(e,t){var a=carticyProductManager.i18n;if(e.empty(),t.changes.length){var i=$("<tbody></tbody>");t.changes.forEach(function(e){i.append($("<tr></tr>").append($("<td></td>").append($("<code></code>").text(e.field)),$('<td class="feed-mapping-from"></td>').text(e.from||"—"),$('<td class="feed-mapping-to"></td>').text(e.to),$("<td></td>").text(e.source)))}),e.append($('<table class="widefat striped feed-mapping-changes"></table>').append($("<thead></thead>").append($("<tr></tr>").append($("<th></th>").text(a.field),$("<th></th>").text(a.built_in),$("<th></th>").text(a.mapped),$("<th></th>").text(a.source))),i))}else e.append($('<p class="description"></p>').text(a.mapping_no_changes));e.append($('<details class="carticy-feed-editor-json"></details>').append($("<summary></summary>").text("Feed JSON"),CarticyAdmin.JsonViewer.create(t.item)))},initFeedInclusion:function(){var t=$(".feed-inclusion-form");if(t.length){t.on("click",".feed-inclusion-add",function(){var a=$($("#feed-inclusion-rule-template").html().replace(/__index__/g,"new"+Date.now()));t.find(".feed-inclusion-rules").append(a),a.find(".feed-inclusion-name").trigger("focus"),e.scheduleInclusionPreview()}),t.on("click",".feed-inclusion-remove",function(){$(this).closest(".feed-inclusion-rule").remove(),e.scheduleInclusionPreview()}),t.on("change",".feed-inclusion-action",function(){$(this).closest(".feed-inclusion-rule").attr("data-action",$(this).val())}),t.on("change input",".feed-inclusion-rules :input",function(){e.scheduleInclusionPreview()}),this.previewFeedInclusion();var a=$(".feed-inclusion-job").data("job");a&&this.resumeBatchJob("inclusion",a,this.getJobButton("inclusion"),carticyProductManager.i18n.applying_rules)}},scheduleInclusionPreview:function(){clearTimeout(this.inclusionTimer),this.inclusionTimer=setTimeout(function(){e.previewFeedInclusion()},400)},previewFeedInclusion:function(){var t=carticyProductManager.i18n,a=$(".feed-inclusion-summary");this.inclusionRequest&&this.inclusionRequest.abort();var i=$(".feed-inclusion-rules :input").serializeArray();i.push({name:"action",value:"carticy_ai_checkout_preview_feed_inclusion"},{name:"nonce",value:carticyProductManager.nonce}),$(".feed-inclusion-form").addClass("is-loading"),this.inclusionRequest=$.ajax({url:carticyProductManager.ajax_url,type:"POST",data:$.param(i),success:function(i){i.success?e.renderInclusionPreview(i.data):a.empty().append($('<p class="feed-inclusion-error"></p>').text(i.data.message||t.inclusion_failed))},error:function(e,i){"abort"!==i&&a.empty().append($('<p class="feed-inclusion-error"></p>').text(t.inclusion_failed))},complete:function(t,a){"abort"!==a&&($(".feed-inclusion-form").removeClass("is-loading"),e.inclusionRequest=null)}})},renderInclusionPreview:function(t){var a=carticyProductManager.i18n;$(".feed-inclusion-rules .feed-inclusion-rule").each(function(i){var n=t.rules[i],c=$(this).find(".feed-inclusion-matches").empty();n&&(c.append($("<strong></strong>").text(a.inclusion_matches.replace("%d",n.count))),n.enabled||c.append(" ",$('<span class="description"></span>').text(a.inclusion_disabled)),c.append(e.buildInclusionProductList(n.products,n.count)))});var i=$(".feed-inclusion-summary").empty();i.append($("<p></p>").append($("<strong></strong>").text(a.inclusion_included.replace("%d",t.included)))),[{key:"added",label:a.inclusion_added,group:t.added},{key:"removed",label:a.inclusion_removed,group:t.removed}].forEach(function(t){t.group.count&&i.append($('<div class="feed-inclusion-change"></div>').addClass("is-"+t.key).append($("<h4></h4>").text(t.label.replace("%d",t.group.count)),e.buildInclusionProductList(t.group.products,t.group.count)))}),t.manual&&i.append($('<p class="description"></p>').text(a.inclusion_manual.replace("%d",t.manual)))},buildInclusionProductList:function(e,t){var a=$('<ul class="feed-inclusion-products"></ul>');return e.forEach(function(e){a.append($("<li></li>").append($('<a target="_blank" rel="noopener noreferrer"></a>').attr("href",e.edit_url).text(e.title)))}),t>e.length&&a.append($('<li class="description"></li>').text(carticyProductManager.i18n.inclusion_more.replace("%d",t-e.length))),a},initChannelPricing:function(){var t=$(".carticy-ai-checkout-products .wp-list-table");t.on("click",".carticy-edit-channel-pricing",function(t){t.preventDefault();var a=$(this);e.openChannelPricingEditor([a.data("product-id")],a.data("overrides")||{})}),t.closest("form").on("submit",function(t){var a=$(this);if(a.find('select[name="action"], select[name="action2"]').filter(function(){return"edit_channel_pricing"===$(this).val()}).length){t.preventDefault();var i=a.find('input[name="product[]"]:checked').map(function(){return parseInt($(this).val(),10)}).get();i.length?e.openChannelPricingEditor(i,{}):e.showError(carticyProductManager.i18n.pricing_none)}});var a=$(".channel-pricing-form");a.on("click",".channel-pricing-add",function(){var e=$($("#channel-pricing-row-template").html().replace(/__index__/g,"new"+Date.now()));a.find(".channel-pricing-rules tbody").append(e),e.find("select").first().trigger("focus")}),a.on("click",".channel-pricing-remove",function(){$(this).closest(".channel-pricing-row").remove()})},openChannelPricingEditor:function(t,a){var i=carticyProductManager.i18n,n=carticyProductManager.pricing_fields,c=t.length>1,r=$('<form class="carticy-feed-editor carticy-channel-pricing-editor" novalidate></form>'),o=$('<div class="carticy-feed-editor-fields"></div>');Object.keys(n).forEach(function(e){var t="carticy-channel-pricing-"+e,r=$('<div class="carticy-feed-field"></div>').attr("data-key",e),d=$("<input>").attr({id:t,name:e,type:"sale_from"===e||"sale_to"===e?"date":"text",placeholder:c?i.pricing_unchanged:""}).val(a[e]||"");if("stock_reserve"===e&&d.attr({type:"number",min:0,step:1}).addClass("small-text"),r.append($("<label></label>").attr("for",t).text(n[e]),d),c){var s=$('<input type="checkbox" class="carticy-channel-pricing-clear">').on("change",function(){d.prop("disabled",this.checked)});r.append($('<label class="carticy-channel-pricing-clear-label"></label>').append(s," ",document.createTextNode(i.pricing_clear)))}o.append(r.append($('<p class="carticy-feed-field-error"></p>').hide()))}),r.append($('<div class="carticy-feed-editor-message" role="alert"></div>').hide(),$('<p class="carticy-feed-editor-intro"></p>').text(c?i.pricing_intro_bulk.replace("%d",t.length):i.pricing_intro),o,$('<p class="description"></p>').text(i.pricing_help)),r.on("submit",function(e){e.preventDefault()}),CarticyAdmin.Modal.open({title:i.pricing_title,content:r,size:"medium",actions:[{label:i.close,class:"button",onClick:function(){CarticyAdmin.Modal.close()}},{label:i.pricing_save,class:"button-primary",onClick:function(){e.saveChannelPricing(t,c,r,$(this))}}]})},saveChannelPricing:function(t,a,i,n){var c=carticyProductManager.i18n,r={};i.find(".carticy-feed-field").each(function(){var t=$(this),i=t.find("input[name]"),n=String(i.val()||"").trim();e.setFieldError(t,""),t.find(".carticy-channel-pricing-clear").is(":checked")?r[i.attr("name")]="":a&&""===n||(r[i.attr("name")]=n)});var o=n.text();n.text(c.saving).prop("disabled",!0),$.ajax({url:carticyProductManager.ajax_url,type:"POST",data:{action:"carticy_ai_checkout_save_channel_pricing",nonce:carticyProductManager.nonce,product_ids:t,changes:r},success:function(t){if(t.success)return Object.keys(t.data.cells).forEach(function(e){$("#product-"+e+" td.column-channel_price").html(t.data.cells[e])}),CarticyAdmin.Modal.close(),void e.showSuccess(t.data.message);var a=t.data.errors||{};Object.keys(a).forEach(function(t){e.setFieldError(i.find('.carticy-feed-field[data-key="'+t+'"]'),a[t])}),e.showEditorMessage(i,t.data.message||c.pricing_failed,"error")},error:function(){e.showEditorMessage(i,c.pricing_failed,"error")},complete:function(){n.text(o).prop("disabled",!1)}})},openFeedDiff:function(t){var a=carticyProductManager.i18n,i=$('<div class="carticy-feed-diff"></div>');t.has_cached?e.renderFeedDiff(i,t):i.append($('<p class="carticy-feed-diff-empty"></p>').text(t.message)),CarticyAdmin.Modal.open({title:a.compare_title,content:i,size:"large",actions:[{label:a.close,class:"button",onClick:function(){CarticyAdmin.Modal.close()}},{label:a.approve_regenerate,class:"button-primary",onClick:function(){CarticyAdmin.Modal.close(),e.startBatchJob("feed",$("#carticy-regenerate-feed"),a.regenerating_feed)}}]})},renderFeedDiff:function(t,a){var i=carticyProductManager.i18n,n=a.summary;t.append($('<p class="carticy-feed-diff-intro"></p>').text(i.compare_intro));var c=$('<div class="carticy-feed-diff-summary"></div>');if([{key:"added",label:i.diff_added,count:n.added},{key:"removed",label:i.diff_removed,count:n.removed},{key:"price",label:i.diff_price,count:n.price_changed},{key:"availability",label:i.diff_availability,count:n.availability_changed},{key:"unchanged",label:i.diff_unchanged,count:n.unchanged}].forEach(function(e){var t=$('<button type="button" class="carticy-feed-diff-chip"></button>').addClass("is-"+e.key).attr("data-filter",e.key).prop("disabled","unchanged"===e.key||0===e.count).append($("<strong></strong>").text(e.count)," ",document.createTextNode(e.label));c.append(t)}),t.append(c),a.items.length){var r=$("<tbody></tbody>");a.items.forEach(function(t){r.append(e.buildFeedDiffRow(t))}),t.append($('<table class="widefat striped carticy-feed-diff-table"></table>').append($("<thead></thead>").append($("<tr></tr>").append($("<th></th>").text(i.product),$("<th></th>").text(i.change),$("<th></th>").text(i.price),$("<th></th>").text(i.availability))),r)),c.on("click",".carticy-feed-diff-chip",function(){var e=$(this),t=!e.hasClass("is-active");c.find(".carticy-feed-diff-chip").removeClass("is-active"),e.toggleClass("is-active",t),r.find("tr").each(function(){var a=$(this).data("changes").split(" ");$(this).toggle(!t||-1!==a.indexOf(e.data("filter")))})})}else t.append($('<p class="carticy-feed-diff-empty"></p>').text(i.no_changes))},buildFeedDiffRow:function(t){var a=carticyProductManager.i18n,i=[];"changed"===t.status?(t.price&&i.push("price"),t.availability&&i.push("availability")):i.push(t.status);var n={added:a.diff_added,removed:a.diff_removed,changed:a.diff_changed};return $("<tr></tr>").addClass("is-"+t.status).attr("data-changes",i.join(" ")).append($("<td></td>").append($("<strong></strong>").text(t.title),$("<br>"),$("<code></code>").text(t.id)),$("<td></td>").append($('<span class="carticy-feed-diff-status"></span>').addClass("is-"+t.status).text(n[t.status])),$("<td></td>").append(e.buildDiffValue(t.price,!1)),$("<td></td>").append(e.buildDiffValue(t.availability,!0)))},buildDiffValue:function(e,t){if(!e)return $('<span class="carticy-feed-diff-same">&mdash;</span>');var a=function(e){return t?e.replace(/_/g," "):e},i=$('<span class="carticy-feed-diff-value"></span>');return e.from&&i.append($("<del></del>").text(a(e.from))),e.from&&e.to&&i.append(" &rarr; "),e.to&&i.append($("<ins></ins>").text(a(e.to))),i},startBatchJob:function(t,a,i){a.addClass("loading").prop("disabled",!0);var n=e.createJobPanel(t,i);$.ajax({url:carticyProductManager.ajax_url,type:"POST",data:{action:"carticy_ai_checkout_start_batch_job",nonce:carticyProductManager.nonce,job_type:t},success:function(i){if(!i.success)return e.finishBatchJob(t,a,n,null),void e.setJobStatus(n,i.data.message||"Failed to start job.","error");e.jobs[t]={id:i.data.job.id,cancelled:!1},e.handleJobResponse(t,a,n,i.data)},error:function(){e.finishBatchJob(t,a,n,null),e.setJobStatus(n,carticyProductManager.i18n.job_failed,"error")}})},resumeBatchJob:function(t,a,i,n){i.addClass("loading").prop("disabled",!0);var c=e.createJobPanel(t,n);e.jobs[t]={id:a.id,cancelled:!1},e.handleJobResponse(t,i,c,{job:a})},getJobButton:function(e){return{feed:$("#carticy-regenerate-feed"),quality:$("#carticy-recalculate-quality"),inclusion:$(".feed-inclusion-form :submit")}[e]},pollBatchJob:function(t,a,i){var n=e.jobs[t];n&&!n.cancelled&&$.ajax({url:carticyProductManager.ajax_url,type:"POST",data:{action:"carticy_ai_checkout_batch_job_progress",nonce:carticyProductManager.nonce,job_type:t,job_id:n.id},success:function(c){if(!n.cancelled)return c.success?void e.handleJobResponse(t,a,i,c.data):(e.finishBatchJob(t,a,i,null),void e.setJobStatus(i,c.data.message||carticyProductManager.i18n.job_failed,"error"))},error:function(){e.finishBatchJob(t,a,i,null),e.setJobStatus(i,carticyProductManager.i18n.job_failed,"error")}})},handleJobResponse:function(t,a,i,n){var c=n.job;e.updateJobPanel(i,c),n.rows&&e.updateQualityRows(n.rows),"running"!==c.status?(e.finishBatchJob(t,a,i,n.stats),e.setJobStatus(i,"completed"===c.status?carticyProductManager.i18n.job_completed:carticyProductManager.i18n.job_cancelled,c.errors.length?"warning":"success")):setTimeout(function(){e.pollBatchJob(t,a,i)},"inclusion"===t?2e3:250)},cancelBatchJob:function(t,a,i){var n=e.jobs[t];n&&(n.cancelled=!0,i.find(".carticy-batch-job-cancel").prop("disabled",!0).text(carticyProductManager.i18n.cancelling),$.ajax({url:carticyProductManager.ajax_url,type:"POST",data:{action:"carticy_ai_checkout_cancel_batch_job",nonce:carticyProductManager.nonce,job_type:t},complete:function(n){var c=n.responseJSON||{},r=c.success?c.data:{};r.job&&e.updateJobPanel(i,r.job),e.finishBatchJob(t,a,i,r.stats||null),e.setJobStatus(i,carticyProductManager.i18n.job_cancelled,"warning")}}))},finishBatchJob:function(t,a,i,n){delete e.jobs[t],a.removeClass("loading").prop("disabled",!1),i.removeClass("is-running").find(".carticy-batch-job-cancel").remove(),n&&e.updateStatistics(n)},createJobPanel:function(t,a){var i=carticyProductManager.i18n;$('.carticy-batch-job[data-job-type="'+t+'"]').remove();var n=$('<div class="carticy-batch-job is-running"></div>').attr("data-job-type",t),c=$('<button type="button" class="button button-small carticy-batch-job-cancel"></button>').text(i.cancel);return n.append($('<div class="carticy-batch-job-header"></div>').append($("<strong></strong>").text(a),$('<span class="carticy-batch-job-count"></span>'),c),$('<div class="carticy-batch-job-bar" role="progressbar" aria-valuemin="0" aria-valuemax="100" aria-valuenow="0"><span></span></div>'),$('<p class="carticy-batch-job-status"></p>').hide(),$('<ul class="carticy-batch-job-errors"></ul>').hide()),c.on("click",function(){e.cancelBatchJob(t,e.getJobButton(t),n)}),$("inclusion"===t?".feed-inclusion-job":".carticy-ai-checkout-products .feed-statistics").append(n),n},updateJobPanel:function(e,t){var a=t.total>0?Math.round(t.processed/t.total*100):100;e.find(".carticy-batch-job-count").text(carticyProductManager.i18n.progress.replace("%1$d",t.processed).replace("%2$d",t.total)),e.find(".carticy-batch-job-bar").attr("aria-valuenow",a).find("span").css("width",a+"%");var i=e.find(".carticy-batch-job-errors").empty();t.errors.forEach(function(e){i.append($("<li></li>").text(carticyProductManager.i18n.batch_error.replace("%1$d",e.batch).replace("%2$d",e.product_id).replace("%3$s",e.message)))}),i.toggle(t.errors.length>0)},setJobStatus:function(e,t,a){e.find(".carticy-batch-job-status").attr("class","carticy-batch-job-status is-"+a).text(t).show()},updateQualityRows:function(t){Object.keys(t).forEach(function(e){$('.carticy-ai-checkout-products input[name="product[]"][value="'+e+'"]').closest("tr").find("td.column-quality").html(t[e])}),e.bindEvents()},updateStatistics:function(e){if($(".carticy-ai-checkout-products .stat-number[data-stat]").each(function(){var t=$(this).data("stat");void 0!==e[t]&&$(this).text(e[t]+("avg_quality"===t?"%":""))}),e.feed_last_updated_message){var t=$(".carticy-ai-checkout-products .feed-last-updated");t.length||(t=$('<p class="feed-last-updated"></p>').appendTo(".carticy-ai-checkout-products .feed-actions")),t.text(e.feed_last_updated_message)}},handleQualityIssuesToggle:function(t){"keydown"===t.type&&"Enter"!==t.key&&" "!==t.key||(t.preventDefault(),e.openQualityPanel($(this).data("product-id")))},openQualityPanel:function(t){var a=carticyProductManager.i18n,i=$(".carticy-quality-panel");i.length||((i=$('<aside class="carticy-quality-panel" role="dialog" aria-labelledby="carticy-quality-panel-title"><div class="carticy-quality-panel-header"><div><h2 id="carticy-quality-panel-title"></h2><p class="carticy-quality-panel-product"></p></div><button type="button" class="carticy-quality-panel-close" aria-label="'+a.close+'">&times;</button></div><div class="carticy-quality-panel-body"></div></aside>')).find("h2").text(a.quality_title),i.find(".carticy-quality-panel-close").on("click",e.closeQualityPanel),$("body").append(i),$(document).on("keydown.carticyQualityPanel",function(t){"Escape"===t.key&&e.closeQualityPanel()})),i.data("product-id",t),i.find(".carticy-quality-panel-product").empty(),i.find(".carticy-quality-panel-body").html("<p>"+a.loading+"</p>"),$.ajax({url:carticyProductManager.ajax_url,type:"POST",data:{action:"carticy_ai_checkout_quality_details",nonce:carticyProductManager.nonce,product_id:t},success:function(t){if(!t.success)return i.find(".carticy-quality-panel-body").empty(),void e.showPanelMessage(t.data.message||a.quality_failed,"error");e.renderQualityPanel(t.data)},error:function(){i.find(".carticy-quality-panel-body").empty(),e.showPanelMessage(a.quality_failed,"error")}})},closeQualityPanel:function(){$(".carticy-quality-panel").remove(),$(document).off("keydown.carticyQualityPanel")},renderQualityPanel:function(t){var a=carticyProductManager.i18n,i=$(".carticy-quality-panel");if(i.length&&i.data("product-id")===t.product_id){i.find(".carticy-quality-panel-product").empty().append($("<strong></strong>").text(t.name)," &middot; ",document.createTextNode(a.quality_score.replace("%d",t.score))," &middot; ",$('<a target="_blank"></a>').attr("href",t.edit_url).text(a.edit_product));var n=i.find(".carticy-quality-panel-body").empty();t.issues.length?t.issues.forEach(function(a){n.append($('<div class="carticy-quality-issue"></div>').attr("data-check",a.check).append($('<p class="carticy-quality-issue-message"></p>').text(a.message),e.buildQualityFix(t.product_id,a.fix)))}):n.append($('<p class="carticy-quality-panel-empty"></p>').text(a.no_issues))}},buildQualityFix:function(t,a){var i=carticyProductManager.i18n,n=$('<div class="carticy-quality-fix"></div>');if(!a)return $('<p class="carticy-quality-fix-note"></p>').text(i.fix_in_editor);var c=$('<button type="button" class="button button-small button-primary"></button>').text(i.apply_fix),r=null;switch(a.type){case"image":case"gallery":return n.append($('<button type="button" class="button button-small"></button>').text("image"===a.type?i.choose_image:i.choose_gallery).on("click",function(){e.openMediaPicker(t,a.type,$(this))}));case"category":r=$("<select></select>").append($('<option value=""></option>').text(i.select_category)),a.options.forEach(function(e){r.append($("<option></option>").val(e.id).text(e.name))});break;case"brand":var o="carticy-brand-suggestions-"+t;r=$('<input type="text">').attr({placeholder:i.brand_placeholder,list:o}),n.append($("<datalist></datalist>").attr("id",o).append(a.suggestions.map(function(e){return $("<option></option>").val(e)})));break;case"description":r=$('<textarea rows="6"></textarea>').val(a.value);var d=$('<span class="carticy-quality-fix-counter"></span>'),s=function(){d.text(i.description_count.replace("%1$d",r.val().length).replace("%2$d",a.min_length))};return r.on("input",s),s(),n.append(r,d,c.on("click",function(){e.applyQualityFix(t,a.type,r.val(),c)}));case"price":r=$('<input type="number" min="0" step="any">').val(a.value),n.append($("<span></span>").html(a.currency));break;default:r=$('<input type="text">').val(a.value)}return r.on("keydown",function(e){"Enter"===e.key&&(e.preventDefault(),c.trigger("click"))}),n.append(r,c.on("click",function(){e.applyQualityFix(t,a.type,r.val(),c)}))},openMediaPicker:function(t,a,i){var n=carticyProductManager.i18n,c="gallery"===a,r=wp.media({title:c?n.choose_gallery:n.choose_image,button:{text:c?n.use_images:n.use_image},library:{type:"image"},multiple:c});r.on("select",function(){var n=r.state().get("selection").map(function(e){return e.id});n.length&&e.applyQualityFix(t,a,c?n:n[0],i)}),r.open()},applyQualityFix:function(t,a,i,n){var c=carticyProductManager.i18n,r=n.text();n.prop("disabled",!0).text(c.applying),$.ajax({url:carticyProductManager.ajax_url,type:"POST",data:{action:"carticy_ai_checkout_apply_quality_fix",nonce:carticyProductManager.nonce,product_id:t,fix:a,value:i},success:function(a){if(!a.success)return n.prop("disabled",!1).text(r),void e.showPanelMessage(a.data.message||c.fix_failed,"error");var i={};i[t]=a.data.row,e.updateQualityRows(i),e.renderQualityPanel(a.data),e.showPanelMessage(a.data.message,"success")},error:function(){n.prop("disabled",!1).text(r),e.showPanelMessage(c.fix_failed,"error")}})},showPanelMessage:function(e,t){var a=$(".carticy-quality-panel .carticy-quality-panel-body");a.find(".carticy-quality-panel-message").remove(),a.prepend($('<div class="notice inline carticy-quality-panel-message"></div>').addClass("notice-"+t).append($("<p></p>").text(e)))},showSuccess:function(e){var t=$('<div class="notice notice-success is-dismissible"><p>'+e+"</p></div>");$(".carticy-ai-checkout-products").first().prepend(t),setTimeout(function(){t.fadeOut(function(){$(this).remove()})},3e3)},showError:function(e){var t=$('<div class="notice notice-error is-dismissible"><p>'+e+"</p></div>");$(".carticy-ai-checkout-products").first().prepend(t)}};$(document).ready(function(){e.init()})}(jQuery);
\ No newline at end of file
@@ -1 +1 @@
-!function($){"use strict";var e={init:function(){this.bindEvents()},bindEvents:function(){$(".copy-button").on("click",this.copyToClipboard.bind(this)),$(".regenerate-api-key").on("click",this.regenerateApiKey.bind(this)),$(".regenerate-webhook-secret").on("click",this.regenerateWebhookSecret.bind(this)),$(".test-webhook").on("click",this.testWebhook.bind(this))},copyToClipboard:function(e){e.preventDefault();var t=$(e.currentTarget),c=t.data("clipboard-target"),a=$(c);if(a.length){a.select();try{document.execCommand("copy"),this.showCopyFeedback(t,!0)}catch(e){this.showCopyFeedback(t,!1)}window.getSelection().removeAllRanges()}},showCopyFeedback:function(e,t){var c=e.text(),a=t?carticySettings.i18n.copied:carticySettings.i18n.copyFailed;e.text(a),t&&e.addClass("copied"),setTimeout(function(){e.text(c),e.removeClass("copied")},2e3)},regenerateApiKey:function(t){if(t.preventDefault(),confirm(carticySettings.i18n.confirmRegenerate)){var c=$(t.currentTarget),a=c.text();c.addClass("loading").prop("disabled",!0),c.text(carticySettings.i18n.regenerating),$.ajax({url:carticySettings.ajaxUrl,type:"POST",data:{action:"carticy_ai_checkout_regenerate_api_key",nonce:carticySettings.nonce},success:function(t){t.success?($("#api-key").val(t.data.api_key),e.showNotice(t.data.message,"success")):e.showNotice(t.data.message||"Failed to regenerate API key","error")},error:function(){e.showNotice("An error occurred. Please try again.","error")},complete:function(){c.removeClass("loading").prop("disabled",!1),c.text(a)}})}},regenerateWebhookSecret:function(t){if(t.preventDefault(),confirm(carticySettings.i18n.confirmRegenerate)){var c=$(t.currentTarget),a=c.text();c.addClass("loading").prop("disabled",!0),c.text(carticySettings.i18n.regenerating),$.ajax({url:carticySettings.ajaxUrl,type:"POST",data:{action:"carticy_ai_checkout_regenerate_webhook_secret",nonce:carticySettings.nonce},success:function(t){t.success?($("#webhook-secret").val(t.data.webhook_secret),e.showNotice(t.data.message,"success")):e.showNotice(t.data.message||"Failed to regenerate webhook secret","error")},error:function(){e.showNotice("An error occurred. Please try again.","error")},complete:function(){c.removeClass("loading").prop("disabled",!1),c.text(a)}})}},testWebhook:function(e){e.preventDefault();var t=$(e.currentTarget),c=$("#webhook-test-result"),a=t.text();t.addClass("loading").prop("disabled",!0),t.text(carticySettings.i18n.testingWebhook),c.removeClass("success error").text(""),$.ajax({url:carticySettings.ajaxUrl,type:"POST",data:{action:"carticy_ai_checkout_test_webhook",nonce:carticySettings.nonce},success:function(e){e.success?c.addClass("success").text(e.data.message||carticySettings.i18n.webhookSuccess):c.addClass("error").text(e.data.message||carticySettings.i18n.webhookFailed)},error:function(e){var t=carticySettings.i18n.webhookFailed;e.responseJSON&&e.responseJSON.data&&e.responseJSON.data.message&&(t=e.responseJSON.data.message),c.addClass("error").text(t)},complete:function(){t.removeClass("loading").prop("disabled",!1),t.text(a)}})},showNotice:function(e,t){var c=$('<div class="notice '+("success"===t?"notice-success":"notice-error")+' is-dismissible"><p>'+e+"</p></div>");$(".carticy-ai-checkout h1").after(c),setTimeout(function(){c.fadeOut(function(){$(this).remove()})},5e3),c.on("click",".notice-dismiss",function(){c.fadeOut(function(){$(this).remove()})})}};$(document).ready(function(){e.init()})}(jQuery);
\ No newline at end of file
+!function($){"use strict";var t={init:function(){this.bindEvents()},bindEvents:function(){$(".copy-button").on("click",this.copyToClipboard.bind(this)),$(".key-rotation-start-btn").on("click",this.startRotation.bind(this)),$(".key-rotation-finalize").on("click",this.finalizeRotation.bind(this)),$(".key-rotation-cancel").on("click",this.cancelRotation.bind(this)),$(".key-rotation-countdown").length&&(this.countdownStart=Date.now(),this.tickCountdowns(),this.countdownTimer=setInterval(this.tickCountdowns.bind(this),1e3)),$(".test-webhook").on("click",this.testWebhook.bind(this)),$("#signature-verifier-log").on("change",this.loadLoggedPayload.bind(this)),$(".verify-webhook-signature").on("click",this.verifyWebhookSignature.bind(this)),$(".redaction-rule-add").on("click",this.addRedactionRule.bind(this)),$(".redaction-rules-defaults").on("click",this.restoreRedactionDefaults.bind(this)),$(".redaction-rules").on("click",".redaction-rule-remove",this.removeRedactionRule.bind(this))},copyToClipboard:function(t){t.preventDefault();var e=$(t.currentTarget),i=e.data("clipboard-target"),n=$(i);if(n.length){n.select();try{document.execCommand("copy"),this.showCopyFeedback(e,!0)}catch(t){this.showCopyFeedback(e,!1)}window.getSelection().removeAllRanges()}},showCopyFeedback:function(t,e){var i=t.text(),n=e?carticySettings.i18n.copied:carticySettings.i18n.copyFailed;t.text(n),e&&t.addClass("copied"),setTimeout(function(){t.text(i),t.removeClass("copied")},2e3)},startRotation:function(t){if(t.preventDefault(),confirm(carticySettings.i18n.confirmRotate)){var e=$(t.currentTarget);this.rotationRequest(e,"start",{grace_hours:e.closest(".key-rotation").find(".key-rotation-grace").val()})}},finalizeRotation:function(t){t.preventDefault(),confirm(carticySettings.i18n.confirmFinalize)&&this.rotationRequest($(t.currentTarget),"finalize",{})},cancelRotation:function(t){t.preventDefault(),confirm(carticySettings.i18n.confirmCancel)&&this.rotationRequest($(t.currentTarget),"cancel",{})},rotationRequest:function(e,i,n){var a=e.text();e.addClass("loading").prop("disabled",!0),e.text(carticySettings.i18n.rotating),$.ajax({url:carticySettings.ajaxUrl,type:"POST",data:$.extend({action:"carticy_ai_checkout_"+i+"_key_rotation",nonce:carticySettings.nonce,type:e.closest(".key-rotation").data("type")},n),success:function(i){i.success?window.location.reload():(t.showNotice(i.data.message,"error"),e.removeClass("loading").prop("disabled",!1).text(a))},error:function(i){var n=i.responseJSON&&i.responseJSON.data;t.showNotice(n&&n.message?n.message:carticySettings.i18n.errorOccurred,"error"),e.removeClass("loading").prop("disabled",!1).text(a)}})},tickCountdowns:function(){var t=Math.floor((Date.now()-this.countdownStart)/1e3),e=this;$(".key-rotation-countdown").each(function(){var i=parseInt($(this).data("seconds-left"),10),n=i-t;if(n<=0)return $(this).find(".key-rotation-remaining").text(carticySettings.i18n.rotationExpired),clearInterval(e.countdownTimer),i>0&&window.location.reload(),!1;$(this).find(".key-rotation-remaining").text(e.formatRemaining(n))})},formatRemaining:function(t){return Math.floor(t/3600)+"h "+Math.floor(t%3600/60)+"m "+t%60+"s"},testWebhook:function(t){t.preventDefault();var e=$(t.currentTarget),i=$("#webhook-test-result"),n=e.text();e.addClass("loading").prop("disabled",!0),e.text(carticySettings.i18n.testingWebhook),i.removeClass("success error").text(""),$.ajax({url:carticySettings.ajaxUrl,type:"POST",data:{action:"carticy_ai_checkout_test_webhook",nonce:carticySettings.nonce},success:function(t){t.success?i.addClass("success").text(t.data.message||carticySettings.i18n.webhookSuccess):i.addClass("error").text(t.data.message||carticySettings.i18n.webhookFailed)},error:function(t){var e=carticySettings.i18n.webhookFailed;t.responseJSON&&t.responseJSON.data&&t.responseJSON.data.message&&(e=t.responseJSON.data.message),i.addClass("error").text(e)},complete:function(){e.removeClass("loading").prop("disabled",!1),e.text(n)}})},loadLoggedPayload:function(t){var e=$(t.currentTarget).val();e&&$("#signature-verifier-payload").val(e)},verifyWebhookSignature:function(e){e.preventDefault();var i=$(e.currentTarget),n=$("#signature-verifier-result"),a=i.text();i.addClass("loading").prop("disabled",!0),i.text(carticySettings.i18n.verifying),$.ajax({url:carticySettings.ajaxUrl,type:"POST",data:{action:"carticy_ai_checkout_verify_webhook_signature",nonce:carticySettings.nonce,payload:$("#signature-verifier-payload").val(),signature:$("#signature-verifier-signature").val()},success:function(e){t.renderSignatureResult(e.data)},error:function(t){var e=carticySettings.i18n.errorOccurred;t.responseJSON&&t.responseJSON.data&&t.responseJSON.data.message&&(e=t.responseJSON.data.message),n.removeClass("success warning").addClass("error").empty().append($("<p>").text(e)).show()},complete:function(){i.removeClass("loading").prop("disabled",!1),i.text(a)}})},renderSignatureResult:function(t){var e=$("#signature-verifier-result"),i="error",n=carticySettings.i18n.noMatch;t.matched&&"current"===t.secret?(i="success",n=carticySettings.i18n.matchesCurrent):t.matched&&"pending"===t.secret?(i="success",n=carticySettings.i18n.matchesPending):t.matched&&(i="warning",n=carticySettings.i18n.matchesPrevious.replace("%s",t.retired_at)),e.removeClass("success warning error").addClass(i).empty(),e.append($("<p>").append($("<strong>").text(n))),t.reencoded&&e.append($("<p>").text(carticySettings.i18n.reencoded)),t.expected&&e.append($("<p>").text(carticySettings.i18n.expected),$("<code>").text(t.expected)),e.append($("<p>").text(carticySettings.i18n.canonical),$("<pre>").text(t.canonical)),e.show()},addRedactionRule:function(t,e){var i=$($("#redaction-rule-template").html());e&&(i.find("input").val(e.path),i.find("select").val(e.action)),$(".redaction-rules tbody").append(i),t&&i.find("input").trigger("focus")},removeRedactionRule:function(t){$(t.currentTarget).closest(".redaction-rule").remove()},restoreRedactionDefaults:function(e){confirm(carticySettings.i18n.confirmDefaults)&&($(".redaction-rules tbody").empty(),$(e.currentTarget).data("rules").forEach(function(e){t.addRedactionRule(null,e)}))},showNotice:function(t,e){var i=$('<div class="notice '+("success"===e?"notice-success":"notice-error")+' is-dismissible"><p>'+t+"</p></div>");$(".carticy-ai-checkout h1").after(i),setTimeout(function(){i.fadeOut(function(){$(this).remove()})},5e3),i.on("click",".notice-dismiss",function(){i.fadeOut(function(){$(this).remove()})})}};$(document).ready(function(){t.init()})}(jQuery);
\ No newline at end of file
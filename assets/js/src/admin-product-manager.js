@@ -2,7 +2,8 @@
  * Product Feed Manager Admin JavaScript
  *
  * Handles AJAX interactions for the product feed manager.
- * Uses global CarticyAdmin.Modal from admin-components package.
+ * Uses global CarticyAdmin.Modal from admin-components package and
+ * CarticyAdmin.JsonViewer from admin-json-viewer.js.
  *
  * @package Carticy\AiCheckout
  */
@@ -11,11 +12,26 @@
 	'use strict';
 
 	const CarticyProductManager = {
+		/**
+		 * Pending field mapping preview (debounce timer and request)
+		 */
+		mappingTimer: null,
+		mappingRequest: null,
+
+		/**
+		 * Pending inclusion rules preview (debounce timer and request)
+		 */
+		inclusionTimer: null,
+		inclusionRequest: null,
+
 		/**
 		 * Initialize
 		 */
 		init: function () {
 			this.bindEvents();
+			this.initFeedMapping();
+			this.initFeedInclusion();
+			this.initChannelPricing();
 		},
 
 		/**
@@ -24,9 +40,11 @@
 		bindEvents: function () {
 			// Use direct binding with .off() first to prevent double binding.
 			$( '.carticy-preview-feed' ).off( 'click' ).on( 'click', this.handlePreviewFeed );
+			$( '#carticy-compare-feed' ).off( 'click' ).on( 'click', this.handleCompareFeed );
+			$( '.carticy-preview-feed-export' ).off( 'click' ).on( 'click', this.handlePreviewFeedExport );
 			$( '#carticy-regenerate-feed' ).off( 'click' ).on( 'click', this.handleRegenerateFeed );
 			$( '#carticy-recalculate-quality' ).off( 'click' ).on( 'click', this.handleRecalculateQuality );
-			$( '.quality-issues-toggle' ).off( 'click' ).on( 'click', this.handleQualityIssuesToggle );
+			$( '.quality-issues-toggle' ).off( 'click keydown' ).on( 'click keydown', this.handleQualityIssuesToggle );
 		},
 
 		/**
@@ -58,58 +76,7 @@
 					},
 					success: function (response) {
 						if (response.success && response.data.feed) {
-							// Build modal content (without button - button goes in footer via actions)
-							const $content = $( '<pre>' ).css(
-								{
-									background: '#f6f7f7',
-									border: '1px solid #c3c4c7',
-									borderRadius: '4px',
-									padding: '16px',
-									margin: '0',
-									fontFamily: '"Courier New", Courier, monospace',
-									fontSize: '12px',
-									lineHeight: '1.6',
-									overflowX: 'auto',
-									whiteSpace: 'pre-wrap',
-									wordWrap: 'break-word',
-									maxHeight: '500px'
-								}
-							).text( response.data.feed );
-
-							// Update modal with feed content and copy button in footer
-							CarticyAdmin.Modal.open(
-								{
-									title: 'Product Feed Preview',
-									content: $content,
-									size: 'large',
-									actions: [
-										{
-											label: carticyProductManager.i18n.copy || 'Copy to Clipboard',
-											class: 'button-primary',
-											onClick: function () {
-												const $button = $( this );
-												const originalText = $button.text();
-
-												// Perform copy
-												CarticyProductManager.copyToClipboard( response.data.feed );
-
-												// Visual feedback: change text and fade slightly
-												$button.text( carticyProductManager.i18n.copied || 'Copied!' )
-													.css( 'opacity', '0.7' );
-
-												// Revert after 2 seconds
-												setTimeout(
-													function () {
-														$button.text( originalText )
-															.css( 'opacity', '1' );
-													},
-													2000
-												);
-											}
-										}
-									]
-								}
-							);
+							CarticyProductManager.openFeedEditor( productId, response.data );
 						} else {
 							CarticyAdmin.Modal.close();
 							CarticyProductManager.showError( response.data.message || 'Failed to load feed preview.' );
@@ -123,6 +90,296 @@
 			);
 		},
 
+		/**
+		 * Open the feed field editor for a product
+		 *
+		 * Every overridable field from the mapped feed is rendered as a form control.
+		 * Saved overrides only change what the feed publishes, not the WooCommerce product.
+		 */
+		openFeedEditor: function (productId, data) {
+			const i18n    = carticyProductManager.i18n;
+			const $editor = $( '<form class="carticy-feed-editor" novalidate></form>' );
+
+			CarticyProductManager.renderFeedEditor( $editor, data );
+
+			CarticyAdmin.Modal.open(
+				{
+					title: 'Product Feed Preview',
+					content: $editor,
+					size: 'large',
+					actions: [
+						{
+							label: i18n.copy_json || 'Copy JSON',
+							class: 'button',
+							onClick: function () {
+								const $button      = $( this );
+								const originalText = $button.text();
+
+								CarticyProductManager.copyToClipboard( $editor.data( 'feed' ) );
+
+								// Visual feedback: change text and fade slightly
+								$button.text( i18n.copied || 'Copied!' ).css( 'opacity', '0.7' );
+
+								setTimeout(
+									function () {
+										$button.text( originalText ).css( 'opacity', '1' );
+									},
+									2000
+								);
+							}
+						},
+						{
+							label: i18n.save_fields || 'Save Feed Fields',
+							class: 'button-primary',
+							onClick: function () {
+								CarticyProductManager.saveFeedOverrides( productId, $editor, $( this ) );
+							}
+						}
+					]
+				}
+			);
+
+			// Enter in a text input should save, not submit the page.
+			$editor.on(
+				'submit',
+				function (e) {
+					e.preventDefault();
+				}
+			);
+		},
+
+		/**
+		 * Render (or re-render) editor fields and JSON preview
+		 */
+		renderFeedEditor: function ($editor, data) {
+			const i18n = carticyProductManager.i18n;
+
+			$editor.empty().data( 'feed', data.feed );
+
+			$editor.append(
+				$( '<div class="carticy-feed-editor-message" role="alert"></div>' ).hide(),
+				$( '<p class="carticy-feed-editor-intro"></p>' ).text( i18n.editor_intro || '' )
+			);
+
+			const $fields = $( '<div class="carticy-feed-editor-fields"></div>' );
+			(data.fields || []).forEach(
+				function (field) {
+					$fields.append( CarticyProductManager.buildFeedField( field ) );
+				}
+			);
+
+			const $json = $( '<details class="carticy-feed-editor-json"></details>' ).append(
+				$( '<summary></summary>' ).text( 'Feed JSON' ),
+				CarticyAdmin.JsonViewer.create( data.feed )
+			);
+
+			$editor.append( $fields, $json );
+		},
+
+		/**
+		 * Build a single feed field row
+		 */
+		buildFeedField: function (field) {
+			const i18n   = carticyProductManager.i18n;
+			const id     = 'carticy-feed-field-' + field.key;
+			const $row   = $( '<div class="carticy-feed-field"></div>' ).attr( 'data-key', field.key );
+			const $label = $( '<label></label>' ).attr( 'for', id ).text( field.label );
+			let $input;
+
+			if ('select' === field.type) {
+				$input = $( '<select></select>' ).append( $( '<option value=""></option>' ).text( i18n.not_set || '' ) );
+				field.options.forEach(
+					function (option) {
+						$input.append( $( '<option></option>' ).val( option ).text( option ) );
+					}
+				);
+			} else if ('textarea' === field.type) {
+				$input = $( '<textarea rows="5"></textarea>' );
+			} else {
+				$input = $( '<input type="text" class="regular-text">' );
+			}
+
+			$input.attr( { id: id, name: field.key } ).val( field.value ).data( 'field', field );
+			$row.append( $label, $input );
+
+			if (field.max_length) {
+				$row.append( $( '<span class="carticy-feed-field-counter"></span>' ) );
+			}
+
+			if (field.help) {
+				$row.append( $( '<p class="description"></p>' ).text( field.help ) );
+			}
+
+			if (field.overridden) {
+				$row.addClass( 'is-overridden' );
+				$label.append( ' ', $( '<span class="carticy-feed-field-badge"></span>' ).text( i18n.overridden || 'Overridden' ) );
+
+				const $revert = $( '<a href="#" class="carticy-feed-field-revert"></a>' ).text( i18n.revert || 'Revert' );
+				$revert.on(
+					'click',
+					function (e) {
+						e.preventDefault();
+						$input.val( field.original ).trigger( 'input' );
+					}
+				);
+
+				$row.append(
+					$( '<p class="carticy-feed-field-original"></p>' ).append(
+						$( '<strong></strong>' ).text( i18n.from_product || '' ),
+						' ',
+						$( '<span></span>' ).text( field.original || i18n.empty_value || '' ),
+						' ',
+						$revert
+					)
+				);
+			}
+
+			$row.append( $( '<p class="carticy-feed-field-error"></p>' ).hide() );
+
+			$input.on(
+				'input change',
+				function () {
+					CarticyProductManager.validateFeedField( $input );
+				}
+			);
+			CarticyProductManager.updateFieldCounter( $input );
+
+			return $row;
+		},
+
+		/**
+		 * Validate a feed field input and show its inline error
+		 *
+		 * Mirrors ProductFeedService::validate_feed_overrides(). Empty values are
+		 * valid because they clear the override.
+		 */
+		validateFeedField: function ($input) {
+			const i18n  = carticyProductManager.i18n;
+			const field = $input.data( 'field' );
+			const value = String( $input.val() || '' );
+			let error   = '';
+
+			CarticyProductManager.updateFieldCounter( $input );
+
+			if ('' !== value) {
+				if (field.max_length && Array.from( value ).length > field.max_length) {
+					error = (i18n.too_long || '').replace( '%d', field.max_length );
+				} else if (field.options && -1 === field.options.indexOf( value )) {
+					error = i18n.invalid_format || 'Invalid format.';
+				} else if (field.pattern && ! new RegExp( field.pattern ).test( value )) {
+					error = field.help || i18n.invalid_format || 'Invalid format.';
+				}
+			}
+
+			CarticyProductManager.setFieldError( $input.closest( '.carticy-feed-field' ), error );
+
+			return '' === error;
+		},
+
+		/**
+		 * Show or clear the error message of a feed field row
+		 */
+		setFieldError: function ($row, message) {
+			$row.toggleClass( 'has-error', !! message );
+			$row.find( '.carticy-feed-field-error' ).text( message || '' ).toggle( !! message );
+		},
+
+		/**
+		 * Update the character counter of a feed field
+		 */
+		updateFieldCounter: function ($input) {
+			const field = $input.data( 'field' );
+			if ( ! field.max_length) {
+				return;
+			}
+
+			const length = Array.from( String( $input.val() || '' ) ).length;
+			$input.siblings( '.carticy-feed-field-counter' )
+				.text( length + ' / ' + field.max_length )
+				.toggleClass( 'is-over', length > field.max_length );
+		},
+
+		/**
+		 * Show a message inside the feed editor
+		 */
+		showEditorMessage: function ($editor, message, type) {
+			$editor.find( '.carticy-feed-editor-message' )
+				.attr( 'class', 'carticy-feed-editor-message notice notice-' + type )
+				.empty()
+				.append( $( '<p></p>' ).text( message ) )
+				.show();
+		},
+
+		/**
+		 * Validate and save feed field overrides
+		 */
+		saveFeedOverrides: function (productId, $editor, $button) {
+			const i18n   = carticyProductManager.i18n;
+			const fields = {};
+			let valid    = true;
+
+			// Only send changed fields: saving a field as shown would store a sanitized copy of it.
+			$editor.find( '.carticy-feed-field' ).find( 'input, select, textarea' ).each(
+				function () {
+					const $input = $( this );
+					if (String( $input.val() || '' ) === $input.data( 'field' ).value) {
+						return;
+					}
+					if ( ! CarticyProductManager.validateFeedField( $input )) {
+						valid = false;
+					}
+					fields[ $input.attr( 'name' ) ] = $input.val();
+				}
+			);
+
+			if ( ! valid) {
+				CarticyProductManager.showEditorMessage( $editor, i18n.fix_errors || 'Please fix the highlighted fields.', 'error' );
+				return;
+			}
+
+			if ( ! Object.keys( fields ).length) {
+				CarticyProductManager.showEditorMessage( $editor, i18n.no_field_changes || 'No fields were changed.', 'info' );
+				return;
+			}
+
+			const originalText = $button.text();
+			$button.text( i18n.saving || 'Saving...' ).prop( 'disabled', true );
+
+			$.ajax(
+				{
+					url: carticyProductManager.ajax_url,
+					type: 'POST',
+					data: {
+						action: 'carticy_ai_checkout_save_feed_overrides',
+						nonce: carticyProductManager.nonce,
+						product_id: productId,
+						fields: fields
+					},
+					success: function (response) {
+						if (response.success) {
+							CarticyProductManager.renderFeedEditor( $editor, response.data );
+							CarticyProductManager.showEditorMessage( $editor, response.data.message, 'success' );
+							return;
+						}
+
+						const errors = response.data.errors || {};
+						Object.keys( errors ).forEach(
+							function (key) {
+								CarticyProductManager.setFieldError( $editor.find( '.carticy-feed-field[data-key="' + key + '"]' ), errors[ key ] );
+							}
+						);
+						CarticyProductManager.showEditorMessage( $editor, response.data.message || 'Failed to save feed fields.', 'error' );
+					},
+					error: function () {
+						CarticyProductManager.showEditorMessage( $editor, 'An error occurred while saving feed fields.', 'error' );
+					},
+					complete: function () {
+						$button.text( originalText ).prop( 'disabled', false );
+					}
+				}
+			);
+		},
+
 		/**
 		 * Copy text to clipboard
 		 */
@@ -142,6 +399,11 @@
 			$temp.remove();
 		},
 
+		/**
+		 * Running batch jobs keyed by job type
+		 */
+		jobs: {},
+
 		/**
 		 * Handle regenerate feed
 		 */
@@ -152,120 +414,1559 @@
 				return;
 			}
 
-			const $button = $( this );
-			$button.addClass( 'loading' ).prop( 'disabled', true );
+			CarticyProductManager.startBatchJob( 'feed', $( this ), carticyProductManager.i18n.regenerating_feed );
+		},
+
+		/**
+		 * Handle recalculate quality scores
+		 */
+		handleRecalculateQuality: function (e) {
+			e.preventDefault();
+
+			if ( ! confirm( carticyProductManager.i18n.confirm_recalculate )) {
+				return;
+			}
+
+			CarticyProductManager.startBatchJob( 'quality', $( this ), carticyProductManager.i18n.recalculating );
+		},
+
+		/**
+		 * Handle compare with live feed
+		 */
+		handleCompareFeed: function (e) {
+			e.preventDefault();
+
+			const i18n = carticyProductManager.i18n;
+
+			CarticyAdmin.Modal.open(
+				{
+					title: i18n.compare_title,
+					content: '<div style="text-align: center; padding: 40px; color: #666;">' + i18n.loading + '</div>',
+					size: 'large'
+				}
+			);
 
 			$.ajax(
 				{
 					url: carticyProductManager.ajax_url,
 					type: 'POST',
 					data: {
-						action: 'carticy_ai_checkout_regenerate_feed',
+						action: 'carticy_ai_checkout_compare_feed',
 						nonce: carticyProductManager.nonce
 					},
 					success: function (response) {
-						if (response.success) {
-							CarticyProductManager.showSuccess( response.data.message );
-							setTimeout(
-								function () {
-									location.reload();
-								},
-								1500
-							);
-						} else {
-							CarticyProductManager.showError( response.data.message || 'Failed to regenerate feed.' );
-							$button.removeClass( 'loading' ).prop( 'disabled', false );
+						if ( ! response.success) {
+							CarticyAdmin.Modal.close();
+							CarticyProductManager.showError( response.data.message || i18n.compare_failed );
+							return;
 						}
+
+						CarticyProductManager.openFeedDiff( response.data );
 					},
 					error: function () {
-						CarticyProductManager.showError( 'An error occurred while regenerating the feed.' );
-						$button.removeClass( 'loading' ).prop( 'disabled', false );
+						CarticyAdmin.Modal.close();
+						CarticyProductManager.showError( i18n.compare_failed );
 					}
 				}
 			);
 		},
 
 		/**
-		 * Handle recalculate quality scores
+		 * Handle feed export preview in a format
 		 */
-		handleRecalculateQuality: function (e) {
+		handlePreviewFeedExport: function (e) {
 			e.preventDefault();
 
-			if ( ! confirm( carticyProductManager.i18n.confirm_recalculate )) {
-				return;
-			}
+			const i18n   = carticyProductManager.i18n;
+			const format = $( this ).data( 'format' );
+			const title  = i18n.export_title.replace( '%s', $( this ).data( 'label' ) );
 
-			const $button = $( this );
-			$button.addClass( 'loading' ).prop( 'disabled', true );
+			CarticyAdmin.Modal.open(
+				{
+					title: title,
+					content: '<div style="text-align: center; padding: 40px; color: #666;">' + i18n.loading + '</div>',
+					size: 'large'
+				}
+			);
 
 			$.ajax(
 				{
 					url: carticyProductManager.ajax_url,
 					type: 'POST',
 					data: {
-						action: 'carticy_ai_checkout_recalculate_quality',
-						nonce: carticyProductManager.nonce
+						action: 'carticy_ai_checkout_preview_feed_export',
+						nonce: carticyProductManager.nonce,
+						format: format
 					},
 					success: function (response) {
-						if (response.success) {
-							CarticyProductManager.showSuccess( response.data.message );
-							setTimeout(
-								function () {
-									location.reload();
-								},
-								1500
-							);
-						} else {
-							CarticyProductManager.showError( response.data.message || 'Failed to recalculate quality scores.' );
-							$button.removeClass( 'loading' ).prop( 'disabled', false );
+						if ( ! response.success) {
+							CarticyAdmin.Modal.close();
+							CarticyProductManager.showError( response.data.message || i18n.export_failed );
+							return;
 						}
+
+						CarticyProductManager.openFeedExportPreview( title, format, response.data );
 					},
 					error: function () {
-						CarticyProductManager.showError( 'An error occurred while recalculating quality scores.' );
-						$button.removeClass( 'loading' ).prop( 'disabled', false );
+						CarticyAdmin.Modal.close();
+						CarticyProductManager.showError( i18n.export_failed );
 					}
 				}
 			);
 		},
 
 		/**
-		 * Handle quality issues toggle
+		 * Show a feed export preview with copy and download actions
 		 */
-		handleQualityIssuesToggle: function (e) {
-			e.preventDefault();
+		openFeedExportPreview: function (title, format, data) {
+			const i18n     = carticyProductManager.i18n;
+			const $preview = $( '<div class="carticy-feed-export"></div>' );
 
-			const issues   = $( this ).data( 'issues' );
-			const $tooltip = CarticyProductManager.createTooltip( issues );
+			if ( ! data.total) {
+				$preview.append( $( '<p></p>' ).text( i18n.export_empty ) );
+			} else {
+				$preview.append(
+					$( '<p class="description"></p>' ).text( i18n.export_shown.replace( '%1$d', data.shown ).replace( '%2$d', data.total ) ),
+					$( '<pre class="carticy-feed-export-preview"></pre>' ).text( data.content )
+				);
+			}
 
-			// Position tooltip.
-			const offset = $( this ).offset();
-			$tooltip.css(
+			CarticyAdmin.Modal.open(
 				{
-					top: offset.top - $tooltip.outerHeight() - 10,
-					left: offset.left + ($( this ).outerWidth() / 2) - ($tooltip.outerWidth() / 2)
+					title: title,
+					content: $preview,
+					size: 'large',
+					actions: [
+						{
+							label: i18n.copy,
+							class: 'button',
+							onClick: function () {
+								CarticyProductManager.copyToClipboard( data.content );
+							}
+						},
+						{
+							label: i18n.download,
+							class: 'button-primary',
+							onClick: function () {
+								window.location.href = $( '.carticy-preview-feed-export[data-format="' + format + '"]' ).next( 'a' ).attr( 'href' );
+							}
+						}
+					]
 				}
 			);
+		},
 
-			// Auto-hide after 5 seconds.
-			setTimeout(
+		/**
+		 * Bind the field mapping tab: rule rows and the live preview
+		 */
+		initFeedMapping: function () {
+			const $form = $( '.feed-mapping-form' );
+
+			if ( ! $form.length) {
+				return;
+			}
+
+			$form.find( '.feed-mapping-rule' ).each(
 				function () {
-					$tooltip.fadeOut(
-						function () {
-							$( this ).remove();
-						}
-					);
+					CarticyProductManager.updateMappingRuleFields( $( this ) );
+				}
+			);
+
+			$form.on(
+				'click',
+				'.feed-mapping-add',
+				function () {
+					// New rows get a unique form index; saved rules are re-indexed on save.
+					const $row = $( $( '#feed-mapping-rule-template' ).html().replace( /__index__/g, 'new' + Date.now() ) );
+
+					$form.find( '.feed-mapping-rules tbody' ).append( $row );
+					CarticyProductManager.updateMappingRuleFields( $row );
+					$row.find( 'select' ).first().trigger( 'focus' );
+					CarticyProductManager.scheduleMappingPreview();
+				}
+			);
+
+			$form.on(
+				'click',
+				'.feed-mapping-remove',
+				function () {
+					$( this ).closest( '.feed-mapping-rule' ).remove();
+					CarticyProductManager.scheduleMappingPreview();
+				}
+			);
+
+			$form.on(
+				'change',
+				'.feed-mapping-source',
+				function () {
+					CarticyProductManager.updateMappingRuleFields( $( this ).closest( '.feed-mapping-rule' ) );
+				}
+			);
+
+			$form.on(
+				'change input',
+				'.feed-mapping-rules :input',
+				function () {
+					CarticyProductManager.scheduleMappingPreview();
+				}
+			);
+
+			$( '#feed-mapping-sample' ).on(
+				'change',
+				function () {
+					CarticyProductManager.scheduleMappingPreview();
+				}
+			);
+
+			this.previewFeedMapping();
+		},
+
+		/**
+		 * Show the key or value input a rule's source needs, with matching suggestions
+		 */
+		updateMappingRuleFields: function ($row) {
+			const source = $row.find( '.feed-mapping-source' ).val();
+			const lists  = {
+				attribute: 'feed-mapping-attributes',
+				meta: 'feed-mapping-meta-keys',
+				taxonomy: 'feed-mapping-taxonomies'
+			};
+
+			$row.attr( 'data-source', source );
+			$row.find( '.feed-mapping-key' ).toggle( 'static' !== source ).attr( 'list', lists[ source ] || null );
+			$row.find( '.feed-mapping-value' ).toggle( 'static' === source );
+		},
+
+		/**
+		 * Preview the mapping shortly after the last edit
+		 */
+		scheduleMappingPreview: function () {
+			clearTimeout( this.mappingTimer );
+			this.mappingTimer = setTimeout(
+				function () {
+					CarticyProductManager.previewFeedMapping();
 				},
-				5000
+				400
 			);
 		},
 
 		/**
-		 * Create tooltip element
+		 * Preview the edited, unsaved rules on the sample product
 		 */
-		createTooltip: function (content) {
-			const $tooltip = $( '<div class="carticy-ai-quality-tooltip"></div>' ).html( content );
-			$( 'body' ).append( $tooltip );
-			return $tooltip;
+		previewFeedMapping: function () {
+			const i18n    = carticyProductManager.i18n;
+			const $sample = $( '#feed-mapping-sample' );
+			const $result = $( '#feed-mapping-preview-result' );
+
+			if ( ! $sample.length) {
+				return;
+			}
+
+			if (this.mappingRequest) {
+				this.mappingRequest.abort();
+			}
+
+			// The rule inputs are posted as named in the form; the options.php fields are left out.
+			const data = $( '.feed-mapping-rules tbody :input' ).serializeArray();
+			data.push(
+				{ name: 'action', value: 'carticy_ai_checkout_preview_feed_mapping' },
+				{ name: 'nonce', value: carticyProductManager.nonce },
+				{ name: 'product_id', value: $sample.val() }
+			);
+
+			$result.addClass( 'is-loading' );
+
+			this.mappingRequest = $.ajax(
+				{
+					url: carticyProductManager.ajax_url,
+					type: 'POST',
+					data: $.param( data ),
+					success: function (response) {
+						if ( ! response.success) {
+							$result.empty().append( $( '<p class="feed-mapping-error"></p>' ).text( response.data.message || i18n.mapping_failed ) );
+							return;
+						}
+
+						CarticyProductManager.renderMappingPreview( $result, response.data );
+					},
+					error: function (xhr, status) {
+						if ('abort' !== status) {
+							$result.empty().append( $( '<p class="feed-mapping-error"></p>' ).text( i18n.mapping_failed ) );
+						}
+					},
+					complete: function (xhr, status) {
+						if ('abort' !== status) {
+							$result.removeClass( 'is-loading' );
+							CarticyProductManager.mappingRequest = null;
+						}
+					}
+				}
+			);
+		},
+
+		/**
+		 * Render the fields changed by the rules and the resulting feed item
+		 */
+		renderMappingPreview: function ($result, data) {
+			const i18n = carticyProductManager.i18n;
+
+			$result.empty();
+
+			if ( ! data.changes.length) {
+				$result.append( $( '<p class="description"></p>' ).text( i18n.mapping_no_changes ) );
+			} else {
+				const $tbody = $( '<tbody></tbody>' );
+
+				data.changes.forEach(
+					function (change) {
+						$tbody.append(
+							$( '<tr></tr>' ).append(
+								$( '<td></td>' ).append( $( '<code></code>' ).text( change.field ) ),
+								$( '<td class="feed-mapping-from"></td>' ).text( change.from || '\u2014' ),
+								$( '<td class="feed-mapping-to"></td>' ).text( change.to ),
+								$( '<td></td>' ).text( change.source )
+							)
+						);
+					}
+				);
+
+				$result.append(
+					$( '<table class="widefat striped feed-mapping-changes"></table>' ).append(
+						$( '<thead></thead>' ).append(
+							$( '<tr></tr>' ).append(
+								$( '<th></th>' ).text( i18n.field ),
+								$( '<th></th>' ).text( i18n.built_in ),
+								$( '<th></th>' ).text( i18n.mapped ),
+								$( '<th></th>' ).text( i18n.source )
+							)
+						),
+						$tbody
+					)
+				);
+			}
+
+			$result.append(
+				$( '<details class="carticy-feed-editor-json"></details>' ).append(
+					$( '<summary></summary>' ).text( 'Feed JSON' ),
+					CarticyAdmin.JsonViewer.create( data.item )
+				)
+			);
+		},
+
+		/**
+		 * Bind the inclusion rules tab: rules and the live preview
+		 */
+		initFeedInclusion: function () {
+			const $form = $( '.feed-inclusion-form' );
+
+			if ( ! $form.length) {
+				return;
+			}
+
+			$form.on(
+				'click',
+				'.feed-inclusion-add',
+				function () {
+					// New rules get a unique form index; saved rules are re-indexed on save.
+					const $rule = $( $( '#feed-inclusion-rule-template' ).html().replace( /__index__/g, 'new' + Date.now() ) );
+
+					$form.find( '.feed-inclusion-rules' ).append( $rule );
+					$rule.find( '.feed-inclusion-name' ).trigger( 'focus' );
+					CarticyProductManager.scheduleInclusionPreview();
+				}
+			);
+
+			$form.on(
+				'click',
+				'.feed-inclusion-remove',
+				function () {
+					$( this ).closest( '.feed-inclusion-rule' ).remove();
+					CarticyProductManager.scheduleInclusionPreview();
+				}
+			);
+
+			$form.on(
+				'change',
+				'.feed-inclusion-action',
+				function () {
+					$( this ).closest( '.feed-inclusion-rule' ).attr( 'data-action', $( this ).val() );
+				}
+			);
+
+			$form.on(
+				'change input',
+				'.feed-inclusion-rules :input',
+				function () {
+					CarticyProductManager.scheduleInclusionPreview();
+				}
+			);
+
+			this.previewFeedInclusion();
+
+			// Saving the rules started a re-evaluation job; this page runs its batches.
+			const job = $( '.feed-inclusion-job' ).data( 'job' );
+
+			if (job) {
+				this.resumeBatchJob( 'inclusion', job, this.getJobButton( 'inclusion' ), carticyProductManager.i18n.applying_rules );
+			}
+		},
+
+		/**
+		 * Preview the inclusion rules shortly after the last edit
+		 */
+		scheduleInclusionPreview: function () {
+			clearTimeout( this.inclusionTimer );
+			this.inclusionTimer = setTimeout(
+				function () {
+					CarticyProductManager.previewFeedInclusion();
+				},
+				400
+			);
+		},
+
+		/**
+		 * Preview the edited, unsaved rules against the catalog
+		 */
+		previewFeedInclusion: function () {
+			const i18n     = carticyProductManager.i18n;
+			const $summary = $( '.feed-inclusion-summary' );
+
+			if (this.inclusionRequest) {
+				this.inclusionRequest.abort();
+			}
+
+			// The rule inputs are posted as named in the form; the options.php fields are left out.
+			const data = $( '.feed-inclusion-rules :input' ).serializeArray();
+			data.push(
+				{ name: 'action', value: 'carticy_ai_checkout_preview_feed_inclusion' },
+				{ name: 'nonce', value: carticyProductManager.nonce }
+			);
+
+			$( '.feed-inclusion-form' ).addClass( 'is-loading' );
+
+			this.inclusionRequest = $.ajax(
+				{
+					url: carticyProductManager.ajax_url,
+					type: 'POST',
+					data: $.param( data ),
+					success: function (response) {
+						if ( ! response.success) {
+							$summary.empty().append( $( '<p class="feed-inclusion-error"></p>' ).text( response.data.message || i18n.inclusion_failed ) );
+							return;
+						}
+
+						CarticyProductManager.renderInclusionPreview( response.data );
+					},
+					error: function (xhr, status) {
+						if ('abort' !== status) {
+							$summary.empty().append( $( '<p class="feed-inclusion-error"></p>' ).text( i18n.inclusion_failed ) );
+						}
+					},
+					complete: function (xhr, status) {
+						if ('abort' !== status) {
+							$( '.feed-inclusion-form' ).removeClass( 'is-loading' );
+							CarticyProductManager.inclusionRequest = null;
+						}
+					}
+				}
+			);
+		},
+
+		/**
+		 * Render the matches of each rule and the overall change to the feed
+		 */
+		renderInclusionPreview: function (data) {
+			const i18n = carticyProductManager.i18n;
+
+			// Rules come back in form order.
+			$( '.feed-inclusion-rules .feed-inclusion-rule' ).each(
+				function (index) {
+					const match    = data.rules[ index ];
+					const $matches = $( this ).find( '.feed-inclusion-matches' ).empty();
+
+					if ( ! match) {
+						return;
+					}
+
+					$matches.append( $( '<strong></strong>' ).text( i18n.inclusion_matches.replace( '%d', match.count ) ) );
+
+					if ( ! match.enabled) {
+						$matches.append( ' ', $( '<span class="description"></span>' ).text( i18n.inclusion_disabled ) );
+					}
+
+					$matches.append( CarticyProductManager.buildInclusionProductList( match.products, match.count ) );
+				}
+			);
+
+			const $summary = $( '.feed-inclusion-summary' ).empty();
+
+			$summary.append( $( '<p></p>' ).append( $( '<strong></strong>' ).text( i18n.inclusion_included.replace( '%d', data.included ) ) ) );
+
+			[
+				{ key: 'added', label: i18n.inclusion_added, group: data.added },
+				{ key: 'removed', label: i18n.inclusion_removed, group: data.removed }
+			].forEach(
+				function (change) {
+					if ( ! change.group.count) {
+						return;
+					}
+
+					$summary.append(
+						$( '<div class="feed-inclusion-change"></div>' ).addClass( 'is-' + change.key ).append(
+							$( '<h4></h4>' ).text( change.label.replace( '%d', change.group.count ) ),
+							CarticyProductManager.buildInclusionProductList( change.group.products, change.group.count )
+						)
+					);
+				}
+			);
+
+			if (data.manual) {
+				$summary.append( $( '<p class="description"></p>' ).text( i18n.inclusion_manual.replace( '%d', data.manual ) ) );
+			}
+		},
+
+		/**
+		 * Build a list of preview products linking to their editor
+		 */
+		buildInclusionProductList: function (products, total) {
+			const $list = $( '<ul class="feed-inclusion-products"></ul>' );
+
+			products.forEach(
+				function (product) {
+					$list.append(
+						$( '<li></li>' ).append(
+							$( '<a target="_blank" rel="noopener noreferrer"></a>' ).attr( 'href', product.edit_url ).text( product.title )
+						)
+					);
+				}
+			);
+
+			if (total > products.length) {
+				$list.append( $( '<li class="description"></li>' ).text( carticyProductManager.i18n.inclusion_more.replace( '%d', total - products.length ) ) );
+			}
+
+			return $list;
+		},
+
+		/**
+		 * Bind ChatGPT pricing: the products table editor and the category pricing tab
+		 */
+		initChannelPricing: function () {
+			const $table = $( '.carticy-ai-checkout-products .wp-list-table' );
+
+			// Cells are re-rendered after saving, so edit links are delegated.
+			$table.on(
+				'click',
+				'.carticy-edit-channel-pricing',
+				function (e) {
+					e.preventDefault();
+
+					const $link = $( this );
+					CarticyProductManager.openChannelPricingEditor( [ $link.data( 'product-id' ) ], $link.data( 'overrides' ) || {} );
+				}
+			);
+
+			// The bulk action opens the editor instead of submitting the list form.
+			$table.closest( 'form' ).on(
+				'submit',
+				function (e) {
+					const $form    = $( this );
+					const selected = $form.find( 'select[name="action"], select[name="action2"]' ).filter(
+						function () {
+							return 'edit_channel_pricing' === $( this ).val();
+						}
+					);
+
+					if ( ! selected.length) {
+						return;
+					}
+
+					e.preventDefault();
+
+					const productIds = $form.find( 'input[name="product[]"]:checked' ).map(
+						function () {
+							return parseInt( $( this ).val(), 10 );
+						}
+					).get();
+
+					if ( ! productIds.length) {
+						CarticyProductManager.showError( carticyProductManager.i18n.pricing_none );
+						return;
+					}
+
+					CarticyProductManager.openChannelPricingEditor( productIds, {} );
+				}
+			);
+
+			const $pricing = $( '.channel-pricing-form' );
+
+			$pricing.on(
+				'click',
+				'.channel-pricing-add',
+				function () {
+					// New rows get a unique form index; saved rows are keyed by category on save.
+					const $row = $( $( '#channel-pricing-row-template' ).html().replace( /__index__/g, 'new' + Date.now() ) );
+
+					$pricing.find( '.channel-pricing-rules tbody' ).append( $row );
+					$row.find( 'select' ).first().trigger( 'focus' );
+				}
+			);
+
+			$pricing.on(
+				'click',
+				'.channel-pricing-remove',
+				function () {
+					$( this ).closest( '.channel-pricing-row' ).remove();
+				}
+			);
+		},
+
+		/**
+		 * Open the ChatGPT pricing editor for one or more products
+		 *
+		 * A single product is edited with its overrides filled in, and an empty field
+		 * clears its override. Several products start empty: an empty field leaves
+		 * each product's value as it is, and "Clear" removes it.
+		 */
+		openChannelPricingEditor: function (productIds, overrides) {
+			const i18n    = carticyProductManager.i18n;
+			const fields  = carticyProductManager.pricing_fields;
+			const bulk    = productIds.length > 1;
+			const $editor = $( '<form class="carticy-feed-editor carticy-channel-pricing-editor" novalidate></form>' );
+			const $fields = $( '<div class="carticy-feed-editor-fields"></div>' );
+
+			Object.keys( fields ).forEach(
+				function (key) {
+					const id     = 'carticy-channel-pricing-' + key;
+					const $row   = $( '<div class="carticy-feed-field"></div>' ).attr( 'data-key', key );
+					const $input = $( '<input>' ).attr(
+						{
+							id: id,
+							name: key,
+							type: 'sale_from' === key || 'sale_to' === key ? 'date' : 'text',
+							placeholder: bulk ? i18n.pricing_unchanged : ''
+						}
+					).val( overrides[ key ] || '' );
+
+					if ('stock_reserve' === key) {
+						$input.attr( { type: 'number', min: 0, step: 1 } ).addClass( 'small-text' );
+					}
+
+					$row.append( $( '<label></label>' ).attr( 'for', id ).text( fields[ key ] ), $input );
+
+					if (bulk) {
+						const $clear = $( '<input type="checkbox" class="carticy-channel-pricing-clear">' ).on(
+							'change',
+							function () {
+								$input.prop( 'disabled', this.checked );
+							}
+						);
+
+						$row.append( $( '<label class="carticy-channel-pricing-clear-label"></label>' ).append( $clear, ' ', document.createTextNode( i18n.pricing_clear ) ) );
+					}
+
+					$fields.append( $row.append( $( '<p class="carticy-feed-field-error"></p>' ).hide() ) );
+				}
+			);
+
+			$editor.append(
+				$( '<div class="carticy-feed-editor-message" role="alert"></div>' ).hide(),
+				$( '<p class="carticy-feed-editor-intro"></p>' ).text( bulk ? i18n.pricing_intro_bulk.replace( '%d', productIds.length ) : i18n.pricing_intro ),
+				$fields,
+				$( '<p class="description"></p>' ).text( i18n.pricing_help )
+			);
+
+			// Enter in a text input should save, not submit the page.
+			$editor.on(
+				'submit',
+				function (e) {
+					e.preventDefault();
+				}
+			);
+
+			CarticyAdmin.Modal.open(
+				{
+					title: i18n.pricing_title,
+					content: $editor,
+					size: 'medium',
+					actions: [
+						{
+							label: i18n.close,
+							class: 'button',
+							onClick: function () {
+								CarticyAdmin.Modal.close();
+							}
+						},
+						{
+							label: i18n.pricing_save,
+							class: 'button-primary',
+							onClick: function () {
+								CarticyProductManager.saveChannelPricing( productIds, bulk, $editor, $( this ) );
+							}
+						}
+					]
+				}
+			);
+		},
+
+		/**
+		 * Save the edited ChatGPT pricing and refresh the products' pricing cells
+		 */
+		saveChannelPricing: function (productIds, bulk, $editor, $button) {
+			const i18n    = carticyProductManager.i18n;
+			const changes = {};
+
+			$editor.find( '.carticy-feed-field' ).each(
+				function () {
+					const $row   = $( this );
+					const $input = $row.find( 'input[name]' );
+					const value  = String( $input.val() || '' ).trim();
+
+					CarticyProductManager.setFieldError( $row, '' );
+
+					if ($row.find( '.carticy-channel-pricing-clear' ).is( ':checked' )) {
+						changes[ $input.attr( 'name' ) ] = '';
+					} else if ( ! bulk || '' !== value) {
+						changes[ $input.attr( 'name' ) ] = value;
+					}
+				}
+			);
+
+			const originalText = $button.text();
+			$button.text( i18n.saving ).prop( 'disabled', true );
+
+			$.ajax(
+				{
+					url: carticyProductManager.ajax_url,
+					type: 'POST',
+					data: {
+						action: 'carticy_ai_checkout_save_channel_pricing',
+						nonce: carticyProductManager.nonce,
+						product_ids: productIds,
+						changes: changes
+					},
+					success: function (response) {
+						if (response.success) {
+							Object.keys( response.data.cells ).forEach(
+								function (productId) {
+									$( '#product-' + productId + ' td.column-channel_price' ).html( response.data.cells[ productId ] );
+								}
+							);
+							CarticyAdmin.Modal.close();
+							CarticyProductManager.showSuccess( response.data.message );
+							return;
+						}
+
+						const errors = response.data.errors || {};
+						Object.keys( errors ).forEach(
+							function (key) {
+								CarticyProductManager.setFieldError( $editor.find( '.carticy-feed-field[data-key="' + key + '"]' ), errors[ key ] );
+							}
+						);
+						CarticyProductManager.showEditorMessage( $editor, response.data.message || i18n.pricing_failed, 'error' );
+					},
+					error: function () {
+						CarticyProductManager.showEditorMessage( $editor, i18n.pricing_failed, 'error' );
+					},
+					complete: function () {
+						$button.text( originalText ).prop( 'disabled', false );
+					}
+				}
+			);
+		},
+
+		/**
+		 * Show the feed diff with an approve action that starts regeneration
+		 */
+		openFeedDiff: function (data) {
+			const i18n  = carticyProductManager.i18n;
+			const $diff = $( '<div class="carticy-feed-diff"></div>' );
+
+			if ( ! data.has_cached) {
+				$diff.append( $( '<p class="carticy-feed-diff-empty"></p>' ).text( data.message ) );
+			} else {
+				CarticyProductManager.renderFeedDiff( $diff, data );
+			}
+
+			CarticyAdmin.Modal.open(
+				{
+					title: i18n.compare_title,
+					content: $diff,
+					size: 'large',
+					actions: [
+						{
+							label: i18n.close,
+							class: 'button',
+							onClick: function () {
+								CarticyAdmin.Modal.close();
+							}
+						},
+						{
+							label: i18n.approve_regenerate,
+							class: 'button-primary',
+							onClick: function () {
+								CarticyAdmin.Modal.close();
+								CarticyProductManager.startBatchJob( 'feed', $( '#carticy-regenerate-feed' ), i18n.regenerating_feed );
+							}
+						}
+					]
+				}
+			);
+		},
+
+		/**
+		 * Render summary filters and the per-product diff table
+		 */
+		renderFeedDiff: function ($diff, data) {
+			const i18n    = carticyProductManager.i18n;
+			const summary = data.summary;
+
+			$diff.append( $( '<p class="carticy-feed-diff-intro"></p>' ).text( i18n.compare_intro ) );
+
+			const $filters = $( '<div class="carticy-feed-diff-summary"></div>' );
+			[
+				{ key: 'added', label: i18n.diff_added, count: summary.added },
+				{ key: 'removed', label: i18n.diff_removed, count: summary.removed },
+				{ key: 'price', label: i18n.diff_price, count: summary.price_changed },
+				{ key: 'availability', label: i18n.diff_availability, count: summary.availability_changed },
+				{ key: 'unchanged', label: i18n.diff_unchanged, count: summary.unchanged }
+			].forEach(
+				function (filter) {
+					const $chip = $( '<button type="button" class="carticy-feed-diff-chip"></button>' )
+						.addClass( 'is-' + filter.key )
+						.attr( 'data-filter', filter.key )
+						.prop( 'disabled', 'unchanged' === filter.key || 0 === filter.count )
+						.append( $( '<strong></strong>' ).text( filter.count ), ' ', document.createTextNode( filter.label ) );
+					$filters.append( $chip );
+				}
+			);
+			$diff.append( $filters );
+
+			if ( ! data.items.length) {
+				$diff.append( $( '<p class="carticy-feed-diff-empty"></p>' ).text( i18n.no_changes ) );
+				return;
+			}
+
+			const $tbody = $( '<tbody></tbody>' );
+			data.items.forEach(
+				function (item) {
+					$tbody.append( CarticyProductManager.buildFeedDiffRow( item ) );
+				}
+			);
+
+			$diff.append(
+				$( '<table class="widefat striped carticy-feed-diff-table"></table>' ).append(
+					$( '<thead></thead>' ).append(
+						$( '<tr></tr>' ).append(
+							$( '<th></th>' ).text( i18n.product ),
+							$( '<th></th>' ).text( i18n.change ),
+							$( '<th></th>' ).text( i18n.price ),
+							$( '<th></th>' ).text( i18n.availability )
+						)
+					),
+					$tbody
+				)
+			);
+
+			// Chips toggle a filter on the matching rows.
+			$filters.on(
+				'click',
+				'.carticy-feed-diff-chip',
+				function () {
+					const $chip  = $( this );
+					const active = ! $chip.hasClass( 'is-active' );
+
+					$filters.find( '.carticy-feed-diff-chip' ).removeClass( 'is-active' );
+					$chip.toggleClass( 'is-active', active );
+
+					$tbody.find( 'tr' ).each(
+						function () {
+							const changes = $( this ).data( 'changes' ).split( ' ' );
+							$( this ).toggle( ! active || changes.indexOf( $chip.data( 'filter' ) ) !== -1 );
+						}
+					);
+				}
+			);
+		},
+
+		/**
+		 * Build a single diff table row
+		 */
+		buildFeedDiffRow: function (item) {
+			const i18n    = carticyProductManager.i18n;
+			const changes = [];
+
+			if ('changed' === item.status) {
+				if (item.price) {
+					changes.push( 'price' );
+				}
+				if (item.availability) {
+					changes.push( 'availability' );
+				}
+			} else {
+				changes.push( item.status );
+			}
+
+			const statusLabels = {
+				added: i18n.diff_added,
+				removed: i18n.diff_removed,
+				changed: i18n.diff_changed
+			};
+
+			return $( '<tr></tr>' )
+				.addClass( 'is-' + item.status )
+				.attr( 'data-changes', changes.join( ' ' ) )
+				.append(
+					$( '<td></td>' ).append(
+						$( '<strong></strong>' ).text( item.title ),
+						$( '<br>' ),
+						$( '<code></code>' ).text( item.id )
+					),
+					$( '<td></td>' ).append(
+						$( '<span class="carticy-feed-diff-status"></span>' ).addClass( 'is-' + item.status ).text( statusLabels[ item.status ] )
+					),
+					$( '<td></td>' ).append( CarticyProductManager.buildDiffValue( item.price, false ) ),
+					$( '<td></td>' ).append( CarticyProductManager.buildDiffValue( item.availability, true ) )
+				);
+		},
+
+		/**
+		 * Build a "from → to" cell; empty sides are omitted
+		 */
+		buildDiffValue: function (change, isAvailability) {
+			if ( ! change) {
+				return $( '<span class="carticy-feed-diff-same">&mdash;</span>' );
+			}
+
+			const format = function (value) {
+				return isAvailability ? value.replace( /_/g, ' ' ) : value;
+			};
+
+			const $value = $( '<span class="carticy-feed-diff-value"></span>' );
+
+			if (change.from) {
+				$value.append( $( '<del></del>' ).text( format( change.from ) ) );
+			}
+			if (change.from && change.to) {
+				$value.append( ' &rarr; ' );
+			}
+			if (change.to) {
+				$value.append( $( '<ins></ins>' ).text( format( change.to ) ) );
+			}
+
+			return $value;
+		},
+
+		/**
+		 * Start a batched job and begin polling its progress
+		 *
+		 * The server processes one batch per poll, so the page stays usable and
+		 * large catalogs never run into PHP timeouts.
+		 */
+		startBatchJob: function (type, $button, label) {
+			$button.addClass( 'loading' ).prop( 'disabled', true );
+
+			const $panel = CarticyProductManager.createJobPanel( type, label );
+
+			$.ajax(
+				{
+					url: carticyProductManager.ajax_url,
+					type: 'POST',
+					data: {
+						action: 'carticy_ai_checkout_start_batch_job',
+						nonce: carticyProductManager.nonce,
+						job_type: type
+					},
+					success: function (response) {
+						if ( ! response.success) {
+							CarticyProductManager.finishBatchJob( type, $button, $panel, null );
+							CarticyProductManager.setJobStatus( $panel, response.data.message || 'Failed to start job.', 'error' );
+							return;
+						}
+
+						CarticyProductManager.jobs[ type ] = { id: response.data.job.id, cancelled: false };
+						CarticyProductManager.handleJobResponse( type, $button, $panel, response.data );
+					},
+					error: function () {
+						CarticyProductManager.finishBatchJob( type, $button, $panel, null );
+						CarticyProductManager.setJobStatus( $panel, carticyProductManager.i18n.job_failed, 'error' );
+					}
+				}
+			);
+		},
+
+		/**
+		 * Continue polling a job started by the server
+		 */
+		resumeBatchJob: function (type, job, $button, label) {
+			$button.addClass( 'loading' ).prop( 'disabled', true );
+
+			const $panel = CarticyProductManager.createJobPanel( type, label );
+
+			CarticyProductManager.jobs[ type ] = { id: job.id, cancelled: false };
+			CarticyProductManager.handleJobResponse( type, $button, $panel, { job: job } );
+		},
+
+		/**
+		 * Get the button that starts a job type
+		 */
+		getJobButton: function (type) {
+			return {
+				feed: $( '#carticy-regenerate-feed' ),
+				quality: $( '#carticy-recalculate-quality' ),
+				inclusion: $( '.feed-inclusion-form :submit' )
+			}[ type ];
+		},
+
+		/**
+		 * Request the next batch of a running job
+		 */
+		pollBatchJob: function (type, $button, $panel) {
+			const job = CarticyProductManager.jobs[ type ];
+			if ( ! job || job.cancelled) {
+				return;
+			}
+
+			$.ajax(
+				{
+					url: carticyProductManager.ajax_url,
+					type: 'POST',
+					data: {
+						action: 'carticy_ai_checkout_batch_job_progress',
+						nonce: carticyProductManager.nonce,
+						job_type: type,
+						job_id: job.id
+					},
+					success: function (response) {
+						// A cancel request already finished the job on the page.
+						if (job.cancelled) {
+							return;
+						}
+
+						if ( ! response.success) {
+							CarticyProductManager.finishBatchJob( type, $button, $panel, null );
+							CarticyProductManager.setJobStatus( $panel, response.data.message || carticyProductManager.i18n.job_failed, 'error' );
+							return;
+						}
+
+						CarticyProductManager.handleJobResponse( type, $button, $panel, response.data );
+					},
+					error: function () {
+						CarticyProductManager.finishBatchJob( type, $button, $panel, null );
+						CarticyProductManager.setJobStatus( $panel, carticyProductManager.i18n.job_failed, 'error' );
+					}
+				}
+			);
+		},
+
+		/**
+		 * Apply a job progress response and schedule the next poll
+		 */
+		handleJobResponse: function (type, $button, $panel, data) {
+			const job = data.job;
+
+			CarticyProductManager.updateJobPanel( $panel, job );
+
+			if (data.rows) {
+				CarticyProductManager.updateQualityRows( data.rows );
+			}
+
+			if ('running' === job.status) {
+				setTimeout(
+					function () {
+						CarticyProductManager.pollBatchJob( type, $button, $panel );
+					},
+					// Inclusion jobs run on WP-Cron; polling only shows their progress.
+					'inclusion' === type ? 2000 : 250
+				);
+				return;
+			}
+
+			CarticyProductManager.finishBatchJob( type, $button, $panel, data.stats );
+			CarticyProductManager.setJobStatus(
+				$panel,
+				'completed' === job.status ? carticyProductManager.i18n.job_completed : carticyProductManager.i18n.job_cancelled,
+				job.errors.length ? 'warning' : 'success'
+			);
+		},
+
+		/**
+		 * Cancel a running job
+		 */
+		cancelBatchJob: function (type, $button, $panel) {
+			const job = CarticyProductManager.jobs[ type ];
+			if ( ! job) {
+				return;
+			}
+
+			job.cancelled = true;
+			$panel.find( '.carticy-batch-job-cancel' ).prop( 'disabled', true ).text( carticyProductManager.i18n.cancelling );
+
+			$.ajax(
+				{
+					url: carticyProductManager.ajax_url,
+					type: 'POST',
+					data: {
+						action: 'carticy_ai_checkout_cancel_batch_job',
+						nonce: carticyProductManager.nonce,
+						job_type: type
+					},
+					complete: function (xhr) {
+						const response = xhr.responseJSON || {};
+						const data     = response.success ? response.data : {};
+
+						if (data.job) {
+							CarticyProductManager.updateJobPanel( $panel, data.job );
+						}
+
+						CarticyProductManager.finishBatchJob( type, $button, $panel, data.stats || null );
+						CarticyProductManager.setJobStatus( $panel, carticyProductManager.i18n.job_cancelled, 'warning' );
+					}
+				}
+			);
+		},
+
+		/**
+		 * Reset UI once a job stops for any reason
+		 */
+		finishBatchJob: function (type, $button, $panel, stats) {
+			delete CarticyProductManager.jobs[ type ];
+
+			$button.removeClass( 'loading' ).prop( 'disabled', false );
+			$panel.removeClass( 'is-running' ).find( '.carticy-batch-job-cancel' ).remove();
+
+			if (stats) {
+				CarticyProductManager.updateStatistics( stats );
+			}
+		},
+
+		/**
+		 * Create (or reset) the progress panel for a job type
+		 */
+		createJobPanel: function (type, label) {
+			const i18n = carticyProductManager.i18n;
+
+			$( '.carticy-batch-job[data-job-type="' + type + '"]' ).remove();
+
+			const $panel = $( '<div class="carticy-batch-job is-running"></div>' ).attr( 'data-job-type', type );
+			const $cancel = $( '<button type="button" class="button button-small carticy-batch-job-cancel"></button>' ).text( i18n.cancel );
+
+			$panel.append(
+				$( '<div class="carticy-batch-job-header"></div>' ).append(
+					$( '<strong></strong>' ).text( label ),
+					$( '<span class="carticy-batch-job-count"></span>' ),
+					$cancel
+				),
+				$( '<div class="carticy-batch-job-bar" role="progressbar" aria-valuemin="0" aria-valuemax="100" aria-valuenow="0"><span></span></div>' ),
+				$( '<p class="carticy-batch-job-status"></p>' ).hide(),
+				$( '<ul class="carticy-batch-job-errors"></ul>' ).hide()
+			);
+
+			$cancel.on(
+				'click',
+				function () {
+					CarticyProductManager.cancelBatchJob( type, CarticyProductManager.getJobButton( type ), $panel );
+				}
+			);
+
+			$( 'inclusion' === type ? '.feed-inclusion-job' : '.carticy-ai-checkout-products .feed-statistics' ).append( $panel );
+
+			return $panel;
+		},
+
+		/**
+		 * Update progress bar, counts and batch errors
+		 */
+		updateJobPanel: function ($panel, job) {
+			const percent = job.total > 0 ? Math.round( (job.processed / job.total) * 100 ) : 100;
+
+			$panel.find( '.carticy-batch-job-count' ).text(
+				carticyProductManager.i18n.progress.replace( '%1$d', job.processed ).replace( '%2$d', job.total )
+			);
+			$panel.find( '.carticy-batch-job-bar' ).attr( 'aria-valuenow', percent ).find( 'span' ).css( 'width', percent + '%' );
+
+			const $errors = $panel.find( '.carticy-batch-job-errors' ).empty();
+			job.errors.forEach(
+				function (error) {
+					$errors.append(
+						$( '<li></li>' ).text(
+							carticyProductManager.i18n.batch_error
+								.replace( '%1$d', error.batch )
+								.replace( '%2$d', error.product_id )
+								.replace( '%3$s', error.message )
+						)
+					);
+				}
+			);
+			$errors.toggle( job.errors.length > 0 );
+		},
+
+		/**
+		 * Show the final status line of a job panel
+		 */
+		setJobStatus: function ($panel, message, type) {
+			$panel.find( '.carticy-batch-job-status' )
+				.attr( 'class', 'carticy-batch-job-status is-' + type )
+				.text( message )
+				.show();
+		},
+
+		/**
+		 * Replace quality cells of the given products in the list table
+		 */
+		updateQualityRows: function (rows) {
+			Object.keys( rows ).forEach(
+				function (productId) {
+					$( '.carticy-ai-checkout-products input[name="product[]"][value="' + productId + '"]' )
+						.closest( 'tr' )
+						.find( 'td.column-quality' )
+						.html( rows[ productId ] );
+				}
+			);
+
+			// New cells need their issue toggles bound.
+			CarticyProductManager.bindEvents();
+		},
+
+		/**
+		 * Update statistic boxes and last-updated line
+		 */
+		updateStatistics: function (stats) {
+			$( '.carticy-ai-checkout-products .stat-number[data-stat]' ).each(
+				function () {
+					const key = $( this ).data( 'stat' );
+					if (undefined !== stats[ key ]) {
+						$( this ).text( stats[ key ] + ('avg_quality' === key ? '%' : '') );
+					}
+				}
+			);
+
+			if (stats.feed_last_updated_message) {
+				let $updated = $( '.carticy-ai-checkout-products .feed-last-updated' );
+				if ( ! $updated.length) {
+					$updated = $( '<p class="feed-last-updated"></p>' ).appendTo( '.carticy-ai-checkout-products .feed-actions' );
+				}
+				$updated.text( stats.feed_last_updated_message );
+			}
+		},
+
+		/**
+		 * Handle quality issues toggle
+		 */
+		handleQualityIssuesToggle: function (e) {
+			// The toggle is a span with role="button": support Enter and Space too.
+			if ('keydown' === e.type && 'Enter' !== e.key && ' ' !== e.key) {
+				return;
+			}
+
+			e.preventDefault();
+
+			CarticyProductManager.openQualityPanel( $( this ).data( 'product-id' ) );
+		},
+
+		/**
+		 * Open the quality drill-down panel for a product
+		 */
+		openQualityPanel: function (productId) {
+			const i18n = carticyProductManager.i18n;
+			let $panel = $( '.carticy-quality-panel' );
+
+			if ( ! $panel.length) {
+				$panel = $(
+					'<aside class="carticy-quality-panel" role="dialog" aria-labelledby="carticy-quality-panel-title">' +
+						'<div class="carticy-quality-panel-header">' +
+							'<div>' +
+								'<h2 id="carticy-quality-panel-title"></h2>' +
+								'<p class="carticy-quality-panel-product"></p>' +
+							'</div>' +
+							'<button type="button" class="carticy-quality-panel-close" aria-label="' + i18n.close + '">&times;</button>' +
+						'</div>' +
+						'<div class="carticy-quality-panel-body"></div>' +
+					'</aside>'
+				);
+				$panel.find( 'h2' ).text( i18n.quality_title );
+				$panel.find( '.carticy-quality-panel-close' ).on( 'click', CarticyProductManager.closeQualityPanel );
+				$( 'body' ).append( $panel );
+
+				$( document ).on(
+					'keydown.carticyQualityPanel',
+					function (e) {
+						if ('Escape' === e.key) {
+							CarticyProductManager.closeQualityPanel();
+						}
+					}
+				);
+			}
+
+			$panel.data( 'product-id', productId );
+			$panel.find( '.carticy-quality-panel-product' ).empty();
+			$panel.find( '.carticy-quality-panel-body' ).html( '<p>' + i18n.loading + '</p>' );
+
+			$.ajax(
+				{
+					url: carticyProductManager.ajax_url,
+					type: 'POST',
+					data: {
+						action: 'carticy_ai_checkout_quality_details',
+						nonce: carticyProductManager.nonce,
+						product_id: productId
+					},
+					success: function (response) {
+						if ( ! response.success) {
+							$panel.find( '.carticy-quality-panel-body' ).empty();
+							CarticyProductManager.showPanelMessage( response.data.message || i18n.quality_failed, 'error' );
+							return;
+						}
+
+						CarticyProductManager.renderQualityPanel( response.data );
+					},
+					error: function () {
+						$panel.find( '.carticy-quality-panel-body' ).empty();
+						CarticyProductManager.showPanelMessage( i18n.quality_failed, 'error' );
+					}
+				}
+			);
+		},
+
+		/**
+		 * Close the quality drill-down panel
+		 */
+		closeQualityPanel: function () {
+			$( '.carticy-quality-panel' ).remove();
+			$( document ).off( 'keydown.carticyQualityPanel' );
+		},
+
+		/**
+		 * Render product header and failed checks with their fixes
+		 */
+		renderQualityPanel: function (data) {
+			const i18n   = carticyProductManager.i18n;
+			const $panel = $( '.carticy-quality-panel' );
+
+			// The panel may have been closed or switched to another product meanwhile.
+			if ( ! $panel.length || $panel.data( 'product-id' ) !== data.product_id) {
+				return;
+			}
+
+			$panel.find( '.carticy-quality-panel-product' ).empty().append(
+				$( '<strong></strong>' ).text( data.name ),
+				' &middot; ',
+				document.createTextNode( i18n.quality_score.replace( '%d', data.score ) ),
+				' &middot; ',
+				$( '<a target="_blank"></a>' ).attr( 'href', data.edit_url ).text( i18n.edit_product )
+			);
+
+			const $body = $panel.find( '.carticy-quality-panel-body' ).empty();
+
+			if ( ! data.issues.length) {
+				$body.append( $( '<p class="carticy-quality-panel-empty"></p>' ).text( i18n.no_issues ) );
+				return;
+			}
+
+			data.issues.forEach(
+				function (issue) {
+					$body.append(
+						$( '<div class="carticy-quality-issue"></div>' )
+							.attr( 'data-check', issue.check )
+							.append(
+								$( '<p class="carticy-quality-issue-message"></p>' ).text( issue.message ),
+								CarticyProductManager.buildQualityFix( data.product_id, issue.fix )
+							)
+					);
+				}
+			);
+		},
+
+		/**
+		 * Build the inline fix control for an issue
+		 */
+		buildQualityFix: function (productId, fix) {
+			const i18n = carticyProductManager.i18n;
+			const $fix = $( '<div class="carticy-quality-fix"></div>' );
+
+			if ( ! fix) {
+				return $( '<p class="carticy-quality-fix-note"></p>' ).text( i18n.fix_in_editor );
+			}
+
+			const $apply = $( '<button type="button" class="button button-small button-primary"></button>' ).text( i18n.apply_fix );
+			let $input   = null;
+
+			switch (fix.type) {
+				case 'image':
+				case 'gallery':
+					return $fix.append(
+						$( '<button type="button" class="button button-small"></button>' )
+							.text( 'image' === fix.type ? i18n.choose_image : i18n.choose_gallery )
+							.on(
+								'click',
+								function () {
+									CarticyProductManager.openMediaPicker( productId, fix.type, $( this ) );
+								}
+							)
+					);
+
+				case 'category':
+					$input = $( '<select></select>' ).append( $( '<option value=""></option>' ).text( i18n.select_category ) );
+					fix.options.forEach(
+						function (option) {
+							$input.append( $( '<option></option>' ).val( option.id ).text( option.name ) );
+						}
+					);
+					break;
+
+				case 'brand': {
+					const listId = 'carticy-brand-suggestions-' + productId;
+					$input       = $( '<input type="text">' ).attr( { placeholder: i18n.brand_placeholder, list: listId } );
+					$fix.append(
+						$( '<datalist></datalist>' ).attr( 'id', listId ).append(
+							fix.suggestions.map(
+								function (name) {
+									return $( '<option></option>' ).val( name );
+								}
+							)
+						)
+					);
+					break;
+				}
+
+				case 'description': {
+					$input         = $( '<textarea rows="6"></textarea>' ).val( fix.value );
+					const $counter = $( '<span class="carticy-quality-fix-counter"></span>' );
+					const update   = function () {
+						$counter.text( i18n.description_count.replace( '%1$d', $input.val().length ).replace( '%2$d', fix.min_length ) );
+					};
+					$input.on( 'input', update );
+					update();
+					return $fix.append(
+						$input,
+						$counter,
+						$apply.on(
+							'click',
+							function () {
+								CarticyProductManager.applyQualityFix( productId, fix.type, $input.val(), $apply );
+							}
+						)
+					);
+				}
+
+				case 'price':
+					$input = $( '<input type="number" min="0" step="any">' ).val( fix.value );
+					$fix.append( $( '<span></span>' ).html( fix.currency ) );
+					break;
+
+				default:
+					$input = $( '<input type="text">' ).val( fix.value );
+			}
+
+			$input.on(
+				'keydown',
+				function (e) {
+					if ('Enter' === e.key) {
+						e.preventDefault();
+						$apply.trigger( 'click' );
+					}
+				}
+			);
+
+			return $fix.append(
+				$input,
+				$apply.on(
+					'click',
+					function () {
+						CarticyProductManager.applyQualityFix( productId, fix.type, $input.val(), $apply );
+					}
+				)
+			);
+		},
+
+		/**
+		 * Open the WordPress media picker for image fixes
+		 */
+		openMediaPicker: function (productId, type, $button) {
+			const i18n     = carticyProductManager.i18n;
+			const multiple = 'gallery' === type;
+
+			const frame = wp.media(
+				{
+					title: multiple ? i18n.choose_gallery : i18n.choose_image,
+					button: { text: multiple ? i18n.use_images : i18n.use_image },
+					library: { type: 'image' },
+					multiple: multiple
+				}
+			);
+
+			frame.on(
+				'select',
+				function () {
+					const ids = frame.state().get( 'selection' ).map(
+						function (attachment) {
+							return attachment.id;
+						}
+					);
+
+					if (ids.length) {
+						CarticyProductManager.applyQualityFix( productId, type, multiple ? ids : ids[0], $button );
+					}
+				}
+			);
+
+			frame.open();
+		},
+
+		/**
+		 * Apply a fix, then refresh the panel and the table row
+		 */
+		applyQualityFix: function (productId, fix, value, $button) {
+			const i18n         = carticyProductManager.i18n;
+			const originalText = $button.text();
+
+			$button.prop( 'disabled', true ).text( i18n.applying );
+
+			$.ajax(
+				{
+					url: carticyProductManager.ajax_url,
+					type: 'POST',
+					data: {
+						action: 'carticy_ai_checkout_apply_quality_fix',
+						nonce: carticyProductManager.nonce,
+						product_id: productId,
+						fix: fix,
+						value: value
+					},
+					success: function (response) {
+						if ( ! response.success) {
+							$button.prop( 'disabled', false ).text( originalText );
+							CarticyProductManager.showPanelMessage( response.data.message || i18n.fix_failed, 'error' );
+							return;
+						}
+
+						const rows        = {};
+						rows[ productId ] = response.data.row;
+						CarticyProductManager.updateQualityRows( rows );
+
+						CarticyProductManager.renderQualityPanel( response.data );
+						CarticyProductManager.showPanelMessage( response.data.message, 'success' );
+					},
+					error: function () {
+						$button.prop( 'disabled', false ).text( originalText );
+						CarticyProductManager.showPanelMessage( i18n.fix_failed, 'error' );
+					}
+				}
+			);
+		},
+
+		/**
+		 * Show a notice at the top of the quality panel
+		 */
+		showPanelMessage: function (message, type) {
+			const $body = $( '.carticy-quality-panel .carticy-quality-panel-body' );
+
+			$body.find( '.carticy-quality-panel-message' ).remove();
+			$body.prepend(
+				$( '<div class="notice inline carticy-quality-panel-message"></div>' )
+					.addClass( 'notice-' + type )
+					.append( $( '<p></p>' ).text( message ) )
+			);
 		},
 
 		/**
@@ -273,7 +1974,7 @@
 		 */
 		showSuccess: function (message) {
 			const $notice = $( '<div class="notice notice-success is-dismissible"><p>' + message + '</p></div>' );
-			$( '.wrap.carticy-ai-checkout-products' ).prepend( $notice );
+			$( '.carticy-ai-checkout-products' ).first().prepend( $notice );
 
 			// Auto-dismiss after 3 seconds.
 			setTimeout(
@@ -293,7 +1994,7 @@
 		 */
 		showError: function (message) {
 			const $notice = $( '<div class="notice notice-error is-dismissible"><p>' + message + '</p></div>' );
-			$( '.wrap.carticy-ai-checkout-products' ).prepend( $notice );
+			$( '.carticy-ai-checkout-products' ).first().prepend( $notice );
 		}
 	};
 
@@ -16,14 +16,29 @@
 			// Copy to clipboard
 			$( '.copy-button' ).on( 'click', this.copyToClipboard.bind( this ) );
 
-			// Regenerate API key
-			$( '.regenerate-api-key' ).on( 'click', this.regenerateApiKey.bind( this ) );
-
-			// Regenerate webhook secret
-			$( '.regenerate-webhook-secret' ).on( 'click', this.regenerateWebhookSecret.bind( this ) );
+			// Key rotation
+			$( '.key-rotation-start-btn' ).on( 'click', this.startRotation.bind( this ) );
+			$( '.key-rotation-finalize' ).on( 'click', this.finalizeRotation.bind( this ) );
+			$( '.key-rotation-cancel' ).on( 'click', this.cancelRotation.bind( this ) );
+
+			if ($( '.key-rotation-countdown' ).length) {
+				// Count down from the server's remaining time, not the browser clock.
+				this.countdownStart = Date.now();
+				this.tickCountdowns();
+				this.countdownTimer = setInterval( this.tickCountdowns.bind( this ), 1000 );
+			}
 
 			// Test webhook
 			$( '.test-webhook' ).on( 'click', this.testWebhook.bind( this ) );
+
+			// Webhook signature verifier
+			$( '#signature-verifier-log' ).on( 'change', this.loadLoggedPayload.bind( this ) );
+			$( '.verify-webhook-signature' ).on( 'click', this.verifyWebhookSignature.bind( this ) );
+
+			// Log redaction rules
+			$( '.redaction-rule-add' ).on( 'click', this.addRedactionRule.bind( this ) );
+			$( '.redaction-rules-defaults' ).on( 'click', this.restoreRedactionDefaults.bind( this ) );
+			$( '.redaction-rules' ).on( 'click', '.redaction-rule-remove', this.removeRedactionRule.bind( this ) );
 		},
 
 		copyToClipboard: function (e) {
@@ -69,77 +84,144 @@
 			);
 		},
 
-		regenerateApiKey: function (e) {
+		startRotation: function (e) {
 			e.preventDefault();
 
-			if ( ! confirm( carticySettings.i18n.confirmRegenerate )) {
+			if ( ! confirm( carticySettings.i18n.confirmRotate )) {
 				return;
 			}
 
-			const button       = $( e.currentTarget );
+			const button = $( e.currentTarget );
+
+			this.rotationRequest(
+				button,
+				'start',
+				{ grace_hours: button.closest( '.key-rotation' ).find( '.key-rotation-grace' ).val() }
+			);
+		},
+
+		finalizeRotation: function (e) {
+			e.preventDefault();
+
+			if (confirm( carticySettings.i18n.confirmFinalize )) {
+				this.rotationRequest( $( e.currentTarget ), 'finalize', {} );
+			}
+		},
+
+		cancelRotation: function (e) {
+			e.preventDefault();
+
+			if (confirm( carticySettings.i18n.confirmCancel )) {
+				this.rotationRequest( $( e.currentTarget ), 'cancel', {} );
+			}
+		},
+
+		rotationRequest: function (button, action, extraData) {
 			const originalText = button.text();
 
 			button.addClass( 'loading' ).prop( 'disabled', true );
-			button.text( carticySettings.i18n.regenerating );
+			button.text( carticySettings.i18n.rotating );
 
 			$.ajax(
 				{
 					url: carticySettings.ajaxUrl,
 					type: 'POST',
-					data: {
-						action: 'carticy_ai_checkout_regenerate_api_key',
-						nonce: carticySettings.nonce
-					},
+					data: $.extend(
+						{
+							action: 'carticy_ai_checkout_' + action + '_key_rotation',
+							nonce: carticySettings.nonce,
+							type: button.closest( '.key-rotation' ).data( 'type' )
+						},
+						extraData
+					),
 					success: function (response) {
 						if (response.success) {
-							$( '#api-key' ).val( response.data.api_key );
-							CarticyAdminSettings.showNotice( response.data.message, 'success' );
-						} else {
-							CarticyAdminSettings.showNotice( response.data.message || 'Failed to regenerate API key', 'error' );
+							// Reload to show the new state of both credentials.
+							window.location.reload();
+							return;
 						}
+
+						CarticyAdminSettings.showNotice( response.data.message, 'error' );
+						button.removeClass( 'loading' ).prop( 'disabled', false ).text( originalText );
 					},
-					error: function () {
-						CarticyAdminSettings.showNotice( 'An error occurred. Please try again.', 'error' );
-					},
-					complete: function () {
-						button.removeClass( 'loading' ).prop( 'disabled', false );
-						button.text( originalText );
+					error: function (xhr) {
+						const data = xhr.responseJSON && xhr.responseJSON.data;
+
+						CarticyAdminSettings.showNotice( data && data.message ? data.message : carticySettings.i18n.errorOccurred, 'error' );
+						button.removeClass( 'loading' ).prop( 'disabled', false ).text( originalText );
 					}
 				}
 			);
 		},
 
-		regenerateWebhookSecret: function (e) {
-			e.preventDefault();
+		tickCountdowns: function () {
+			const elapsed = Math.floor( (Date.now() - this.countdownStart) / 1000 );
+			const self    = this;
 
-			if ( ! confirm( carticySettings.i18n.confirmRegenerate )) {
-				return;
-			}
+			$( '.key-rotation-countdown' ).each(
+				function () {
+					const initial = parseInt( $( this ).data( 'seconds-left' ), 10 );
+					const left    = initial - elapsed;
+
+					if (left <= 0) {
+						// The server finalizes an expired rotation on the next read. Only reload
+						// when the countdown ran out on this page, so a page loaded after expiry
+						// does not reload again.
+						$( this ).find( '.key-rotation-remaining' ).text( carticySettings.i18n.rotationExpired );
+						clearInterval( self.countdownTimer );
+
+						if (initial > 0) {
+							window.location.reload();
+						}
+						return false;
+					}
+
+					$( this ).find( '.key-rotation-remaining' ).text( self.formatRemaining( left ) );
+				}
+			);
+		},
+
+		formatRemaining: function (seconds) {
+			const hours   = Math.floor( seconds / 3600 );
+			const minutes = Math.floor( (seconds % 3600) / 60 );
+
+			return hours + 'h ' + minutes + 'm ' + (seconds % 60) + 's';
+		},
+
+		testWebhook: function (e) {
+			e.preventDefault();
 
 			const button       = $( e.currentTarget );
+			const resultDiv    = $( '#webhook-test-result' );
 			const originalText = button.text();
 
 			button.addClass( 'loading' ).prop( 'disabled', true );
-			button.text( carticySettings.i18n.regenerating );
+			button.text( carticySettings.i18n.testingWebhook );
+			resultDiv.removeClass( 'success error' ).text( '' );
 
 			$.ajax(
 				{
 					url: carticySettings.ajaxUrl,
 					type: 'POST',
 					data: {
-						action: 'carticy_ai_checkout_regenerate_webhook_secret',
+						action: 'carticy_ai_checkout_test_webhook',
 						nonce: carticySettings.nonce
 					},
 					success: function (response) {
 						if (response.success) {
-							$( '#webhook-secret' ).val( response.data.webhook_secret );
-							CarticyAdminSettings.showNotice( response.data.message, 'success' );
+							resultDiv.addClass( 'success' ).text( response.data.message || carticySettings.i18n.webhookSuccess );
 						} else {
-							CarticyAdminSettings.showNotice( response.data.message || 'Failed to regenerate webhook secret', 'error' );
+							resultDiv.addClass( 'error' ).text( response.data.message || carticySettings.i18n.webhookFailed );
 						}
 					},
-					error: function () {
-						CarticyAdminSettings.showNotice( 'An error occurred. Please try again.', 'error' );
+					error: function (xhr) {
+						let errorMessage = carticySettings.i18n.webhookFailed;
+
+						if (xhr.responseJSON && xhr.responseJSON.data && xhr.responseJSON.data.message) {
+							errorMessage = xhr.responseJSON.data.message;
+						}
+
+						resultDiv.addClass( 'error' ).text( errorMessage );
 					},
 					complete: function () {
 						button.removeClass( 'loading' ).prop( 'disabled', false );
@@ -149,40 +231,46 @@
 			);
 		},
 
-		testWebhook: function (e) {
+		loadLoggedPayload: function (e) {
+			// The option value holds the payload exactly as it was encoded and signed.
+			const payload = $( e.currentTarget ).val();
+
+			if (payload) {
+				$( '#signature-verifier-payload' ).val( payload );
+			}
+		},
+
+		verifyWebhookSignature: function (e) {
 			e.preventDefault();
 
 			const button       = $( e.currentTarget );
-			const resultDiv    = $( '#webhook-test-result' );
+			const resultDiv    = $( '#signature-verifier-result' );
 			const originalText = button.text();
 
 			button.addClass( 'loading' ).prop( 'disabled', true );
-			button.text( carticySettings.i18n.testingWebhook );
-			resultDiv.removeClass( 'success error' ).text( '' );
+			button.text( carticySettings.i18n.verifying );
 
 			$.ajax(
 				{
 					url: carticySettings.ajaxUrl,
 					type: 'POST',
 					data: {
-						action: 'carticy_ai_checkout_test_webhook',
-						nonce: carticySettings.nonce
+						action: 'carticy_ai_checkout_verify_webhook_signature',
+						nonce: carticySettings.nonce,
+						payload: $( '#signature-verifier-payload' ).val(),
+						signature: $( '#signature-verifier-signature' ).val()
 					},
 					success: function (response) {
-						if (response.success) {
-							resultDiv.addClass( 'success' ).text( response.data.message || carticySettings.i18n.webhookSuccess );
-						} else {
-							resultDiv.addClass( 'error' ).text( response.data.message || carticySettings.i18n.webhookFailed );
-						}
+						CarticyAdminSettings.renderSignatureResult( response.data );
 					},
 					error: function (xhr) {
-						let errorMessage = carticySettings.i18n.webhookFailed;
+						let errorMessage = carticySettings.i18n.errorOccurred;
 
 						if (xhr.responseJSON && xhr.responseJSON.data && xhr.responseJSON.data.message) {
 							errorMessage = xhr.responseJSON.data.message;
 						}
 
-						resultDiv.addClass( 'error' ).text( errorMessage );
+						resultDiv.removeClass( 'success warning' ).addClass( 'error' ).empty().append( $( '<p>' ).text( errorMessage ) ).show();
 					},
 					complete: function () {
 						button.removeClass( 'loading' ).prop( 'disabled', false );
@@ -192,6 +280,77 @@
 			);
 		},
 
+		renderSignatureResult: function (result) {
+			const resultDiv = $( '#signature-verifier-result' );
+			let status      = 'error';
+			let message     = carticySettings.i18n.noMatch;
+
+			if (result.matched && 'current' === result.secret) {
+				status  = 'success';
+				message = carticySettings.i18n.matchesCurrent;
+			} else if (result.matched && 'pending' === result.secret) {
+				status  = 'success';
+				message = carticySettings.i18n.matchesPending;
+			} else if (result.matched) {
+				status  = 'warning';
+				message = carticySettings.i18n.matchesPrevious.replace( '%s', result.retired_at );
+			}
+
+			resultDiv.removeClass( 'success warning error' ).addClass( status ).empty();
+			resultDiv.append( $( '<p>' ).append( $( '<strong>' ).text( message ) ) );
+
+			if (result.reencoded) {
+				resultDiv.append( $( '<p>' ).text( carticySettings.i18n.reencoded ) );
+			}
+
+			if (result.expected) {
+				resultDiv.append(
+					$( '<p>' ).text( carticySettings.i18n.expected ),
+					$( '<code>' ).text( result.expected )
+				);
+			}
+
+			resultDiv.append(
+				$( '<p>' ).text( carticySettings.i18n.canonical ),
+				$( '<pre>' ).text( result.canonical )
+			);
+
+			resultDiv.show();
+		},
+
+		addRedactionRule: function (e, rule) {
+			const row = $( $( '#redaction-rule-template' ).html() );
+
+			if (rule) {
+				row.find( 'input' ).val( rule.path );
+				row.find( 'select' ).val( rule.action );
+			}
+
+			$( '.redaction-rules tbody' ).append( row );
+
+			if (e) {
+				row.find( 'input' ).trigger( 'focus' );
+			}
+		},
+
+		removeRedactionRule: function (e) {
+			$( e.currentTarget ).closest( '.redaction-rule' ).remove();
+		},
+
+		restoreRedactionDefaults: function (e) {
+			if ( ! confirm( carticySettings.i18n.confirmDefaults )) {
+				return;
+			}
+
+			$( '.redaction-rules tbody' ).empty();
+
+			$( e.currentTarget ).data( 'rules' ).forEach(
+				function (rule) {
+					CarticyAdminSettings.addRedactionRule( null, rule );
+				}
+			);
+		},
+
 		showNotice: function (message, type) {
 			const noticeClass = type === 'success' ? 'notice-success' : 'notice-error';
 			const notice      = $( '<div class="notice ' + noticeClass + ' is-dismissible"><p>' + message + '</p></div>' );
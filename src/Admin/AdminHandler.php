@@ -7,7 +7,13 @@
 
 namespace Carticy\AiCheckout\Admin;
 
+use Carticy\AiCheckout\Services\ApiKeyService;
 use Carticy\AiCheckout\Services\PrerequisitesChecker;
+use Carticy\AiCheckout\Services\AlertService;
+use Carticy\AiCheckout\Services\RedactionPolicyService;
+use Carticy\AiCheckout\Services\FeedMappingService;
+use Carticy\AiCheckout\Services\FeedInclusionService;
+use Carticy\AiCheckout\Services\ChannelPricingService;
 
 /**
  * Handles admin area functionality
@@ -45,9 +51,11 @@ final class AdminHandler {
 		add_action( 'in_admin_header', array( $this, 'hide_unrelated_notices' ), 99 );
 
 		// AJAX handlers for settings page.
-		add_action( 'wp_ajax_carticy_ai_checkout_regenerate_api_key', array( $this, 'ajax_regenerate_api_key' ) );
-		add_action( 'wp_ajax_carticy_ai_checkout_regenerate_webhook_secret', array( $this, 'ajax_regenerate_webhook_secret' ) );
+		add_action( 'wp_ajax_carticy_ai_checkout_start_key_rotation', array( $this, 'ajax_start_key_rotation' ) );
+		add_action( 'wp_ajax_carticy_ai_checkout_finalize_key_rotation', array( $this, 'ajax_finalize_key_rotation' ) );
+		add_action( 'wp_ajax_carticy_ai_checkout_cancel_key_rotation', array( $this, 'ajax_cancel_key_rotation' ) );
 		add_action( 'wp_ajax_carticy_ai_checkout_test_webhook', array( $this, 'ajax_test_webhook' ) );
+		add_action( 'wp_ajax_carticy_ai_checkout_verify_webhook_signature', array( $this, 'ajax_verify_webhook_signature' ) );
 
 		// Add ChatGPT order indicator to WooCommerce orders list (support both HPOS and legacy CPT).
 		// HPOS (High-Performance Order Storage) - WC 8.2+.
@@ -149,6 +157,16 @@ final class AdminHandler {
 			'carticy-ai-checkout-logs',
 			array( $this, 'render_logs_page' )
 		);
+
+		// Add Playground submenu.
+		add_submenu_page(
+			'carticy-ai-checkout-for-woocommerce',
+			__( 'Request Playground', 'carticy-ai-checkout-for-woocommerce' ),
+			__( 'Playground', 'carticy-ai-checkout-for-woocommerce' ),
+			'manage_options',
+			'carticy-ai-checkout-playground',
+			array( $this, 'render_playground_page' )
+		);
 	}
 
 	/**
@@ -195,8 +213,53 @@ final class AdminHandler {
 			true
 		);
 
+		// Register SVG charts used by the dashboards (extends the CarticyAdmin namespace).
+		wp_register_script(
+			'carticy-ai-checkout-charts',
+			plugin_dir_url( dirname( __DIR__ ) ) . 'assets/js/admin-charts.js',
+			array( 'jquery', 'carticy-ai-checkout-admin' ),
+			CARTICY_AI_CHECKOUT_VERSION,
+			true
+		);
+
+		// Enqueue JSON viewer used by the detail modals (extends the CarticyAdmin namespace).
+		wp_enqueue_script(
+			'carticy-ai-checkout-json-viewer',
+			plugin_dir_url( dirname( __DIR__ ) ) . 'assets/js/admin-json-viewer.js',
+			array( 'jquery', 'carticy-ai-checkout-admin' ),
+			CARTICY_AI_CHECKOUT_VERSION,
+			true
+		);
+
+		wp_localize_script(
+			'carticy-ai-checkout-json-viewer',
+			'carticyJsonViewer',
+			array(
+				'i18n' => array(
+					'search'      => __( 'Search keys and values', 'carticy-ai-checkout-for-woocommerce' ),
+					/* translators: %d: number of search matches */
+					'matches'     => __( '%d matches', 'carticy-ai-checkout-for-woocommerce' ),
+					'noMatches'   => __( 'No matches', 'carticy-ai-checkout-for-woocommerce' ),
+					'expandAll'   => __( 'Expand all', 'carticy-ai-checkout-for-woocommerce' ),
+					'collapseAll' => __( 'Collapse all', 'carticy-ai-checkout-for-woocommerce' ),
+					'copyPath'    => __( 'Copy path', 'carticy-ai-checkout-for-woocommerce' ),
+					'copied'      => __( 'Copied!', 'carticy-ai-checkout-for-woocommerce' ),
+					'sensitive'   => __( 'Sensitive data - handle with care', 'carticy-ai-checkout-for-woocommerce' ),
+					/* translators: %d: number of array items */
+					'items'       => __( '%d items', 'carticy-ai-checkout-for-woocommerce' ),
+					/* translators: %d: number of object keys */
+					'keys'        => __( '%d keys', 'carticy-ai-checkout-for-woocommerce' ),
+					'redacted'    => __( 'Redacted by the log redaction policy', 'carticy-ai-checkout-for-woocommerce' ),
+					'mask'        => __( 'masked', 'carticy-ai-checkout-for-woocommerce' ),
+					'hash'        => __( 'hashed', 'carticy-ai-checkout-for-woocommerce' ),
+					/* translators: %s: comma-separated list of field paths */
+					'dropped'     => __( 'Dropped by the log redaction policy: %s', 'carticy-ai-checkout-for-woocommerce' ),
+				),
+			)
+		);
+
 		// Enqueue settings page JavaScript on main settings page.
-		if ( str_contains( $hook, 'carticy-ai-checkout-for-woocommerce' ) && ! str_contains( $hook, 'logs' ) && ! str_contains( $hook, 'wizard' ) && ! str_contains( $hook, 'product-feed' ) && ! str_contains( $hook, 'analytics' ) ) {
+		if ( str_contains( $hook, 'carticy-ai-checkout-for-woocommerce' ) && ! str_contains( $hook, 'logs' ) && ! str_contains( $hook, 'wizard' ) && ! str_contains( $hook, 'product-feed' ) && ! str_contains( $hook, 'analytics' ) && ! str_contains( $hook, 'playground' ) ) {
 			wp_enqueue_script(
 				'carticy-ai-checkout-settings',
 				plugin_dir_url( dirname( __DIR__ ) ) . 'assets/js/dist/admin-settings.min.js',
@@ -212,13 +275,27 @@ final class AdminHandler {
 					'ajaxUrl' => admin_url( 'admin-ajax.php' ),
 					'nonce'   => wp_create_nonce( 'carticy_settings_nonce' ),
 					'i18n'    => array(
-						'copied'            => __( 'Copied!', 'carticy-ai-checkout-for-woocommerce' ),
-						'copyFailed'        => __( 'Copy failed', 'carticy-ai-checkout-for-woocommerce' ),
-						'confirmRegenerate' => __( 'Are you sure you want to regenerate? This will invalidate the current key.', 'carticy-ai-checkout-for-woocommerce' ),
-						'regenerating'      => __( 'Regenerating...', 'carticy-ai-checkout-for-woocommerce' ),
-						'testingWebhook'    => __( 'Testing webhook...', 'carticy-ai-checkout-for-woocommerce' ),
-						'webhookSuccess'    => __( 'Webhook test successful!', 'carticy-ai-checkout-for-woocommerce' ),
-						'webhookFailed'     => __( 'Webhook test failed. Check the logs for details.', 'carticy-ai-checkout-for-woocommerce' ),
+						'copied'             => __( 'Copied!', 'carticy-ai-checkout-for-woocommerce' ),
+						'copyFailed'         => __( 'Copy failed', 'carticy-ai-checkout-for-woocommerce' ),
+						'confirmRotate'      => __( 'Start a rotation? A new value is generated and both values stay valid until the grace period ends.', 'carticy-ai-checkout-for-woocommerce' ),
+						'confirmFinalize'    => __( 'Finalize the rotation now? The old value stops working immediately.', 'carticy-ai-checkout-for-woocommerce' ),
+						'confirmCancel'      => __( 'Cancel the rotation? The pending value is discarded and the current one stays valid.', 'carticy-ai-checkout-for-woocommerce' ),
+						'rotating'           => __( 'Working...', 'carticy-ai-checkout-for-woocommerce' ),
+						'rotationExpired'    => __( 'Grace period ended', 'carticy-ai-checkout-for-woocommerce' ),
+						'testingWebhook'     => __( 'Testing webhook...', 'carticy-ai-checkout-for-woocommerce' ),
+						'webhookSuccess'     => __( 'Webhook test successful!', 'carticy-ai-checkout-for-woocommerce' ),
+						'webhookFailed'      => __( 'Webhook test failed. Check the logs for details.', 'carticy-ai-checkout-for-woocommerce' ),
+						'verifying'          => __( 'Verifying...', 'carticy-ai-checkout-for-woocommerce' ),
+						'matchesCurrent'     => __( 'Signature matches the current webhook secret.', 'carticy-ai-checkout-for-woocommerce' ),
+						'matchesPending'     => __( 'Signature matches the pending webhook secret of the rotation in progress.', 'carticy-ai-checkout-for-woocommerce' ),
+						/* translators: %s: date the secret was replaced */
+						'matchesPrevious'    => __( 'Signature matches a previous webhook secret (replaced %s). The receiver is still using an old secret.', 'carticy-ai-checkout-for-woocommerce' ),
+						'noMatch'            => __( 'Signature does not match the current or any previous webhook secret.', 'carticy-ai-checkout-for-woocommerce' ),
+						'reencoded'          => __( 'The signature only matches the re-encoded JSON below, not the raw payload as pasted. Receivers must compute the HMAC over the raw request body.', 'carticy-ai-checkout-for-woocommerce' ),
+						'expected'           => __( 'Expected Merchant-Signature header:', 'carticy-ai-checkout-for-woocommerce' ),
+						'canonical'          => __( 'Signed string (HMAC-SHA256 input):', 'carticy-ai-checkout-for-woocommerce' ),
+						'errorOccurred'      => __( 'An error occurred. Please try again.', 'carticy-ai-checkout-for-woocommerce' ),
+						'confirmDefaults'    => __( 'Replace the rules below with the default rules? Changes apply once saved.', 'carticy-ai-checkout-for-woocommerce' ),
 					),
 				)
 			);
@@ -236,7 +313,7 @@ final class AdminHandler {
 			wp_enqueue_script(
 				'carticy-ai-checkout-product-manager',
 				plugin_dir_url( dirname( __DIR__ ) ) . 'assets/js/dist/admin-product-manager.min.js',
-				array( 'jquery' ),
+				array( 'jquery', 'carticy-ai-checkout-json-viewer' ),
 				CARTICY_AI_CHECKOUT_VERSION,
 				true
 			);
@@ -281,26 +358,41 @@ final class AdminHandler {
 			wp_enqueue_script(
 				'carticy-ai-checkout-wizard-conformance',
 				plugin_dir_url( dirname( __DIR__ ) ) . 'assets/js/admin-wizard-conformance.js',
-				array( 'jquery', 'carticy-ai-checkout-admin' ),
+				array( 'jquery', 'carticy-ai-checkout-admin', 'carticy-ai-checkout-json-viewer' ),
 				CARTICY_AI_CHECKOUT_VERSION,
 				true
 			);
 
+			$conformance_service = \Carticy\AiCheckout\Init::get_instance()->get_service( 'conformance_test' );
+			$conformance_tests   = array();
+			foreach ( $conformance_service->get_test_list() as $test_id => $test_name ) {
+				$conformance_tests[] = array(
+					'id'   => $test_id,
+					'name' => $test_name,
+				);
+			}
+
 			wp_localize_script(
 				'carticy-ai-checkout-wizard-conformance',
 				'carticyConformance',
 				array(
-					'ajaxUrl' => admin_url( 'admin-ajax.php' ),
-					'nonce'   => wp_create_nonce( 'carticy_wizard_tests' ),
-					'i18n'    => array(
+					'ajaxUrl'      => admin_url( 'admin-ajax.php' ),
+					'nonce'        => wp_create_nonce( 'carticy_wizard_tests' ),
+					'tests'        => $conformance_tests,
+					'savedResults' => get_transient( 'carticy_ai_checkout_wizard_test_results' ),
+					'history'      => $conformance_service->get_run_history(),
+					'i18n'         => array(
 						'runningTests'             => __( 'Running Tests...', 'carticy-ai-checkout-for-woocommerce' ),
-						'runningTestsIndividually' => __( 'Running tests individually... (Test 1 of 17)', 'carticy-ai-checkout-for-woocommerce' ),
+						'runningTestsIndividually' => __( 'Running tests individually...', 'carticy-ai-checkout-for-woocommerce' ),
+						'runningFailedTests'       => __( 'Re-running failed tests...', 'carticy-ai-checkout-for-woocommerce' ),
+						'noFailedTests'            => __( 'There are no failed tests to re-run.', 'carticy-ai-checkout-for-woocommerce' ),
+						'testsCompleted'           => __( 'Tests completed. Results merged into the saved run.', 'carticy-ai-checkout-for-woocommerce' ),
 						'runningTest'              => __( 'Running test', 'carticy-ai-checkout-for-woocommerce' ),
 						'of'                       => __( 'of', 'carticy-ai-checkout-for-woocommerce' ),
 						'testTimeout'              => __( 'Test timed out after 60 seconds', 'carticy-ai-checkout-for-woocommerce' ),
 						'viewDetails'              => __( 'View Details', 'carticy-ai-checkout-for-woocommerce' ),
-						'enableFilter'             => __( 'Enable Filter', 'carticy-ai-checkout-for-woocommerce' ),
 						'allTestsCompleted'        => __( 'All tests completed!', 'carticy-ai-checkout-for-woocommerce' ),
+						'runAllTests'              => __( 'Run All Tests', 'carticy-ai-checkout-for-woocommerce' ),
 						'runAllTestsAgain'         => __( 'Run All Tests Again', 'carticy-ai-checkout-for-woocommerce' ),
 						'testName'                 => __( 'Test Name:', 'carticy-ai-checkout-for-woocommerce' ),
 						'errorMessage'             => __( 'Error Message:', 'carticy-ai-checkout-for-woocommerce' ),
@@ -308,15 +400,34 @@ final class AdminHandler {
 						'responseData'             => __( 'Response Data:', 'carticy-ai-checkout-for-woocommerce' ),
 						'testDetails'              => __( 'Test Details', 'carticy-ai-checkout-for-woocommerce' ),
 						'fixing'                   => __( 'Fixing...', 'carticy-ai-checkout-for-woocommerce' ),
-						'fixed'                    => __( '✓ Fixed', 'carticy-ai-checkout-for-woocommerce' ),
-						'robotsFilterEnabled'      => __( 'Robots.txt filter enabled. Re-run tests to verify.', 'carticy-ai-checkout-for-woocommerce' ),
-						'failedToEnableFilter'     => __( 'Failed to enable filter. Please try manually.', 'carticy-ai-checkout-for-woocommerce' ),
+						'fixFailed'                => __( 'The fix could not be applied. Please fix it manually.', 'carticy-ai-checkout-for-woocommerce' ),
+						'verifyingFix'             => __( 'Re-running the test to verify...', 'carticy-ai-checkout-for-woocommerce' ),
 						'errorOccurred'            => __( 'An error occurred. Please try again.', 'carticy-ai-checkout-for-woocommerce' ),
+						'noHistory'                => __( 'No runs recorded yet.', 'carticy-ai-checkout-for-woocommerce' ),
+						'allTests'                 => __( 'All tests', 'carticy-ai-checkout-for-woocommerce' ),
+						/* translators: %d: number of tests */
+						'someTests'                => __( '%d test(s)', 'carticy-ai-checkout-for-woocommerce' ),
+						'ready'                    => __( 'Ready', 'carticy-ai-checkout-for-woocommerce' ),
+						'blockingFailures'         => __( 'Blocking failures', 'carticy-ai-checkout-for-woocommerce' ),
+						'incomplete'               => __( 'Incomplete', 'carticy-ai-checkout-for-woocommerce' ),
+						/* translators: 1: older run date, 2: older plugin version, 3: newer run date, 4: newer plugin version */
+						'comparing'                => __( 'Comparing %1$s (v%2$s) with %3$s (v%4$s)', 'carticy-ai-checkout-for-woocommerce' ),
+						'regressed'                => __( 'Regressed', 'carticy-ai-checkout-for-woocommerce' ),
+						'fixedStatus'              => __( 'Fixed', 'carticy-ai-checkout-for-woocommerce' ),
+						'stillFailing'             => __( 'Still failing', 'carticy-ai-checkout-for-woocommerce' ),
+						'stillPassing'             => __( 'Still passing', 'carticy-ai-checkout-for-woocommerce' ),
+						'notComparable'            => __( 'Not in both runs', 'carticy-ai-checkout-for-woocommerce' ),
+						'noStatusChanges'          => __( 'No test changed status between these runs.', 'carticy-ai-checkout-for-woocommerce' ),
+						'viewDiff'                 => __( 'View Diff', 'carticy-ai-checkout-for-woocommerce' ),
+						'requestDiff'              => __( 'Request Diff:', 'carticy-ai-checkout-for-woocommerce' ),
+						'responseDiff'             => __( 'Response Diff:', 'carticy-ai-checkout-for-woocommerce' ),
+						'noDifferences'            => __( 'No differences.', 'carticy-ai-checkout-for-woocommerce' ),
+						'previousMessage'          => __( 'Previous Message:', 'carticy-ai-checkout-for-woocommerce' ),
 					),
 				)
 			);
 
-			// Enqueue integration scripts (API key regeneration, JSON copy/download).
+			// Enqueue integration scripts (key rotation, JSON copy/download).
 			wp_enqueue_script(
 				'carticy-ai-checkout-wizard-integration',
 				plugin_dir_url( dirname( __DIR__ ) ) . 'assets/js/admin-wizard-integration.js',
@@ -333,12 +444,13 @@ final class AdminHandler {
 					'nonce'        => wp_create_nonce( 'carticy_settings_nonce' ),
 					'downloadDate' => gmdate( 'Y-m-d' ),
 					'i18n'         => array(
-						'copied'                         => __( 'Copied!', 'carticy-ai-checkout-for-woocommerce' ),
-						'confirmRegenerateApiKey'        => __( 'Are you sure you want to regenerate the API key? This will invalidate the current key.', 'carticy-ai-checkout-for-woocommerce' ),
-						'confirmRegenerateWebhookSecret' => __( 'Are you sure you want to regenerate the webhook secret?', 'carticy-ai-checkout-for-woocommerce' ),
-						'failedToRegenerate'             => __( 'Failed to regenerate. Please try again.', 'carticy-ai-checkout-for-woocommerce' ),
-						'failedToCopy'                   => __( 'Failed to copy to clipboard. Please copy manually.', 'carticy-ai-checkout-for-woocommerce' ),
-						'errorOccurred'                  => __( 'An error occurred. Please try again.', 'carticy-ai-checkout-for-woocommerce' ),
+						'copied'          => __( 'Copied!', 'carticy-ai-checkout-for-woocommerce' ),
+						'confirmRotate'   => __( 'Start a rotation? A new value is generated and both values stay valid until the grace period ends.', 'carticy-ai-checkout-for-woocommerce' ),
+						'confirmFinalize' => __( 'Finalize the rotation now? The old value stops working immediately.', 'carticy-ai-checkout-for-woocommerce' ),
+						'confirmCancel'   => __( 'Cancel the rotation? The pending value is discarded and the current one stays valid.', 'carticy-ai-checkout-for-woocommerce' ),
+						'rotationExpired' => __( 'Grace period ended', 'carticy-ai-checkout-for-woocommerce' ),
+						'failedToCopy'    => __( 'Failed to copy to clipboard. Please copy manually.', 'carticy-ai-checkout-for-woocommerce' ),
+						'errorOccurred'   => __( 'An error occurred. Please try again.', 'carticy-ai-checkout-for-woocommerce' ),
 					),
 				)
 			);
@@ -367,7 +479,7 @@ final class AdminHandler {
 			wp_enqueue_script(
 				'carticy-ai-checkout-logs-viewer',
 				plugin_dir_url( dirname( __DIR__ ) ) . 'assets/js/admin-logs-viewer.js',
-				array( 'jquery', 'carticy-ai-checkout-admin' ),
+				array( 'jquery', 'carticy-ai-checkout-admin', 'carticy-ai-checkout-json-viewer', 'carticy-ai-checkout-charts' ),
 				CARTICY_AI_CHECKOUT_VERSION,
 				true
 			);
@@ -376,13 +488,51 @@ final class AdminHandler {
 				'carticy-ai-checkout-logs-viewer',
 				'carticyLogsViewer',
 				array(
-					'i18n' => array(
-						'request'        => __( 'Request:', 'carticy-ai-checkout-for-woocommerce' ),
-						'response'       => __( 'Response:', 'carticy-ai-checkout-for-woocommerce' ),
-						'apiContext'     => __( 'API Context', 'carticy-ai-checkout-for-woocommerce' ),
-						'errorMessage'   => __( 'Error Message:', 'carticy-ai-checkout-for-woocommerce' ),
-						'contextDetails' => __( 'Context Details:', 'carticy-ai-checkout-for-woocommerce' ),
-						'errorDetails'   => __( 'Error Details', 'carticy-ai-checkout-for-woocommerce' ),
+					'ajaxUrl'         => admin_url( 'admin-ajax.php' ),
+					'nonce'           => wp_create_nonce( 'carticy_webhook_queue_nonce' ),
+					'apiLogsNonce'    => wp_create_nonce( 'carticy_api_logs_nonce' ),
+					'liveStatusNonce' => wp_create_nonce( 'carticy_live_status_nonce' ),
+					'exportUrl'       => admin_url( 'admin-post.php' ),
+					'i18n'            => array(
+						'request'         => __( 'Request:', 'carticy-ai-checkout-for-woocommerce' ),
+						'response'        => __( 'Response:', 'carticy-ai-checkout-for-woocommerce' ),
+						'apiContext'      => __( 'API Context', 'carticy-ai-checkout-for-woocommerce' ),
+						'errorMessage'    => __( 'Error Message:', 'carticy-ai-checkout-for-woocommerce' ),
+						'contextDetails'  => __( 'Context Details:', 'carticy-ai-checkout-for-woocommerce' ),
+						'errorDetails'    => __( 'Error Details', 'carticy-ai-checkout-for-woocommerce' ),
+						'retrying'        => __( 'Retrying...', 'carticy-ai-checkout-for-woocommerce' ),
+						'replaying'       => __( 'Replaying...', 'carticy-ai-checkout-for-woocommerce' ),
+						'delivered'       => __( 'Delivered', 'carticy-ai-checkout-for-woocommerce' ),
+						'failed'          => __( 'Failed', 'carticy-ai-checkout-for-woocommerce' ),
+						'errorOccurred'   => __( 'An error occurred. Please try again.', 'carticy-ai-checkout-for-woocommerce' ),
+						'replayTitle'     => __( 'Replay Webhook', 'carticy-ai-checkout-for-woocommerce' ),
+						'replayUrl'       => __( 'Send this payload to:', 'carticy-ai-checkout-for-woocommerce' ),
+						'replayHelp'      => __( 'The payload is signed with the current webhook secret. The entry stays in the retry queue.', 'carticy-ai-checkout-for-woocommerce' ),
+						'replay'          => __( 'Replay', 'carticy-ai-checkout-for-woocommerce' ),
+						'cancel'          => __( 'Cancel', 'carticy-ai-checkout-for-woocommerce' ),
+						'signedTitle'     => __( 'Signed Webhook Payload', 'carticy-ai-checkout-for-woocommerce' ),
+						'endpoint'        => __( 'Endpoint:', 'carticy-ai-checkout-for-woocommerce' ),
+						'headers'         => __( 'Headers:', 'carticy-ai-checkout-for-woocommerce' ),
+						'body'            => __( 'Body:', 'carticy-ai-checkout-for-woocommerce' ),
+						'notConfigured'   => __( 'Not configured', 'carticy-ai-checkout-for-woocommerce' ),
+						/* translators: %s: target URL */
+						'replayedTo'      => __( 'Replayed to %s', 'carticy-ai-checkout-for-woocommerce' ),
+						'noApiLogs'       => __( 'No API requests match these filters.', 'carticy-ai-checkout-for-woocommerce' ),
+						'loading'         => __( 'Loading...', 'carticy-ai-checkout-for-woocommerce' ),
+						'view'            => __( 'View', 'carticy-ai-checkout-for-woocommerce' ),
+						'noResponse'      => __( 'No response', 'carticy-ai-checkout-for-woocommerce' ),
+						'requestHeaders'  => __( 'Request Headers:', 'carticy-ai-checkout-for-woocommerce' ),
+						'responseHeaders' => __( 'Response Headers:', 'carticy-ai-checkout-for-woocommerce' ),
+						'error'           => __( 'Error:', 'carticy-ai-checkout-for-woocommerce' ),
+						/* translators: %d: number of redacted fields */
+						'redactedFields'  => __( '%d fields redacted by the log redaction policy', 'carticy-ai-checkout-for-woocommerce' ),
+						/* translators: %s: current page */
+						'page'            => __( 'Page %s', 'carticy-ai-checkout-for-woocommerce' ),
+						/* translators: %s: alert rule condition, e.g. "p95 API latency > 2.00s over 15 minutes" */
+						'threshold'       => __( 'Alert when %s', 'carticy-ai-checkout-for-woocommerce' ),
+						/* translators: %s: time of the last update */
+						'updatedAt'       => __( 'Updated at %s', 'carticy-ai-checkout-for-woocommerce' ),
+						'paused'          => __( 'Paused', 'carticy-ai-checkout-for-woocommerce' ),
 					),
 				)
 			);
@@ -434,6 +584,67 @@ final class AdminHandler {
 				'default'           => 'no',
 			)
 		);
+
+		// Own group, so saving the redaction rules does not reset the other settings.
+		register_setting(
+			'carticy_ai_checkout_redaction',
+			RedactionPolicyService::OPTION_RULES,
+			array(
+				'type'              => 'array',
+				'sanitize_callback' => array( \Carticy\AiCheckout\Init::get_instance()->get_service( 'redaction_policy' ), 'sanitize_rules' ),
+			)
+		);
+
+		// Feed field mapping rules, saved from the Field Mapping tab of the product feed page.
+		register_setting(
+			'carticy_ai_checkout_feed_mapping',
+			FeedMappingService::OPTION_RULES,
+			array(
+				'type'              => 'array',
+				'sanitize_callback' => array( \Carticy\AiCheckout\Init::get_instance()->get_service( 'feed_mapping' ), 'sanitize_rules' ),
+			)
+		);
+
+		// Feed inclusion rules, saved from the Inclusion Rules tab of the product feed page.
+		register_setting(
+			'carticy_ai_checkout_feed_inclusion',
+			FeedInclusionService::OPTION_RULES,
+			array(
+				'type'              => 'array',
+				'sanitize_callback' => array( \Carticy\AiCheckout\Init::get_instance()->get_service( 'feed_inclusion' ), 'sanitize_rules' ),
+			)
+		);
+
+		// Category ChatGPT pricing, saved from the ChatGPT Pricing tab of the product feed page.
+		register_setting(
+			'carticy_ai_checkout_channel_pricing',
+			ChannelPricingService::OPTION_CATEGORIES,
+			array(
+				'type'              => 'array',
+				'sanitize_callback' => array( \Carticy\AiCheckout\Init::get_instance()->get_service( 'channel_pricing' ), 'sanitize_category_overrides' ),
+			)
+		);
+
+		// Alert rules and channels, saved from the Alerts tab of the logs page.
+		$alerts = \Carticy\AiCheckout\Init::get_instance()->get_service( 'alerts' );
+
+		register_setting(
+			'carticy_ai_checkout_alerts',
+			AlertService::OPTION_RULES,
+			array(
+				'type'              => 'array',
+				'sanitize_callback' => array( $alerts, 'sanitize_rules' ),
+			)
+		);
+
+		register_setting(
+			'carticy_ai_checkout_alerts',
+			AlertService::OPTION_CHANNELS,
+			array(
+				'type'              => 'array',
+				'sanitize_callback' => array( $alerts, 'sanitize_channel_settings' ),
+			)
+		);
 	}
 
 	/**
@@ -538,10 +749,24 @@ final class AdminHandler {
 			);
 		}
 
+		// Rotations first - an expired rotation is finalized on read and replaces the current value.
+		$api_key_service         = \Carticy\AiCheckout\Init::get_instance()->get_service( 'api_key' );
+		$api_key_rotation        = $api_key_service->get_rotation( ApiKeyService::TYPE_API_KEY );
+		$webhook_secret_rotation = $api_key_service->get_rotation( ApiKeyService::TYPE_WEBHOOK_SECRET );
+
 		$api_key          = get_option( 'carticy_ai_checkout_api_key', '' );
 		$webhook_secret   = get_option( 'carticy_ai_checkout_webhook_secret', '' );
 		$product_feed_url = rest_url( 'carticy-ai-checkout/v1/products' );
 
+		// Recent webhooks for the signature verifier (payloads are only logged in debug mode).
+		$webhook_log_entries = \Carticy\AiCheckout\Init::get_instance()->get_service( 'webhook_logger' )->get_recent_webhooks( 20 );
+
+		// Redaction policy for the Security tab.
+		$redaction_policy   = \Carticy\AiCheckout\Init::get_instance()->get_service( 'redaction_policy' );
+		$redaction_rules    = $redaction_policy->get_rules();
+		$redaction_actions  = $redaction_policy->get_actions();
+		$redaction_defaults = $redaction_policy->get_default_rules();
+
 		// Render with unified layout.
 		$this->render_with_layout(
 			__( 'AI Checkout Settings', 'carticy-ai-checkout-for-woocommerce' ),
@@ -552,7 +777,7 @@ final class AdminHandler {
 				// Include the settings page template.
 				require plugin_dir_path( dirname( __DIR__ ) ) . 'templates/admin/settings-page.php';
 			},
-			compact( 'prerequisites', 'api_key', 'webhook_secret', 'product_feed_url' )
+			compact( 'prerequisites', 'api_key', 'webhook_secret', 'api_key_rotation', 'webhook_secret_rotation', 'product_feed_url', 'webhook_log_entries', 'redaction_rules', 'redaction_actions', 'redaction_defaults' )
 		);
 	}
 
@@ -569,30 +794,63 @@ final class AdminHandler {
 		// Get ProductFeedManager from container.
 		$product_feed_manager = \Carticy\AiCheckout\Init::get_instance()->get_service( 'product_feed_manager' );
 
-		// Use reflection to handle bulk actions and product toggle.
-		$reflection = new \ReflectionClass( $product_feed_manager );
+		// Get active tab with nonce verification.
+		$active_tab = 'products'; // Default tab.
+		if ( isset( $_GET['tab'] ) && isset( $_GET['_wpnonce'] ) ) {
+			if ( wp_verify_nonce( sanitize_key( wp_unslash( $_GET['_wpnonce'] ) ), 'carticy_product_feed_tab' ) ) {
+				$active_tab = sanitize_key( wp_unslash( $_GET['tab'] ) );
+			}
+		}
 
-		$handle_bulk_actions_method = $reflection->getMethod( 'handle_bulk_actions' );
-		$handle_bulk_actions_method->setAccessible( true );
-		$handle_bulk_actions_method->invoke( $product_feed_manager );
+		$tabs = $product_feed_manager->get_tabs();
 
-		$handle_product_toggle_method = $reflection->getMethod( 'handle_product_toggle' );
-		$handle_product_toggle_method->setAccessible( true );
-		$handle_product_toggle_method->invoke( $product_feed_manager );
+		if ( ! isset( $tabs[ $active_tab ] ) ) {
+			$active_tab = 'products';
+		}
 
-		// Get ProductQualityChecker from ProductFeedManager.
-		$quality_checker_property = $reflection->getProperty( 'quality_checker' );
-		$quality_checker_property->setAccessible( true );
-		$quality_checker = $quality_checker_property->getValue( $product_feed_manager );
+		$data         = array();
+		$stats        = array();
+		$list_table   = null;
+		$feed_formats = array();
+
+		if ( 'mapping' === $active_tab ) {
+			$data = $product_feed_manager->get_mapping_data();
+		} elseif ( 'inclusion' === $active_tab ) {
+			$data = $product_feed_manager->get_inclusion_data();
+		} elseif ( 'pricing' === $active_tab ) {
+			$data = $product_feed_manager->get_pricing_data();
+		} else {
+			// Use reflection to handle bulk actions and product toggle.
+			$reflection = new \ReflectionClass( $product_feed_manager );
+
+			$handle_bulk_actions_method = $reflection->getMethod( 'handle_bulk_actions' );
+			$handle_bulk_actions_method->setAccessible( true );
+			$handle_bulk_actions_method->invoke( $product_feed_manager );
+
+			$handle_product_toggle_method = $reflection->getMethod( 'handle_product_toggle' );
+			$handle_product_toggle_method->setAccessible( true );
+			$handle_product_toggle_method->invoke( $product_feed_manager );
+
+			// Get ProductQualityChecker from ProductFeedManager.
+			$quality_checker_property = $reflection->getProperty( 'quality_checker' );
+			$quality_checker_property->setAccessible( true );
+			$quality_checker = $quality_checker_property->getValue( $product_feed_manager );
+
+			// Create list table instance.
+			$list_table = new \Carticy\AiCheckout\Admin\ProductsListTable(
+				$quality_checker,
+				\Carticy\AiCheckout\Init::get_instance()->get_service( 'channel_pricing' )
+			);
+			$list_table->prepare_items();
 
-		// Create list table instance.
-		$list_table = new \Carticy\AiCheckout\Admin\ProductsListTable( $quality_checker );
-		$list_table->prepare_items();
+			// Get statistics.
+			$get_stats_method = $reflection->getMethod( 'get_feed_statistics' );
+			$get_stats_method->setAccessible( true );
+			$stats = $get_stats_method->invoke( $product_feed_manager );
 
-		// Get statistics.
-		$get_stats_method = $reflection->getMethod( 'get_feed_statistics' );
-		$get_stats_method->setAccessible( true );
-		$stats = $get_stats_method->invoke( $product_feed_manager );
+			// Export formats of the feed.
+			$feed_formats = \Carticy\AiCheckout\Init::get_instance()->get_service( 'product_feed' )->get_formats();
+		}
 
 		// Render with unified layout.
 		$this->render_with_layout(
@@ -604,7 +862,7 @@ final class AdminHandler {
 				// Include the product feed manager template.
 				require plugin_dir_path( dirname( __DIR__ ) ) . 'templates/admin/product-feed-manager.php';
 			},
-			compact( 'stats', 'list_table' )
+			compact( 'active_tab', 'tabs', 'data', 'stats', 'list_table', 'feed_formats' )
 		);
 	}
 
@@ -732,55 +990,8 @@ final class AdminHandler {
 		// Get AnalyticsDashboard from container.
 		$analytics_dashboard = \Carticy\AiCheckout\Init::get_instance()->get_service( 'analytics_dashboard' );
 
-		// Get analytics data using reflection to access private methods.
-		$reflection = new \ReflectionClass( $analytics_dashboard );
-
-		// Get days filter.
-		$days_property = $reflection->getProperty( 'days' );
-		$days_property->setAccessible( true );
-		$days = $days_property->getValue( $analytics_dashboard );
-
-		// Handle filter request with nonce verification.
-		if ( isset( $_GET['days'] ) && isset( $_GET['_wpnonce'] ) ) {
-			if ( wp_verify_nonce( sanitize_key( wp_unslash( $_GET['_wpnonce'] ) ), 'carticy_analytics_filter' ) ) {
-				$days_filter = absint( wp_unslash( $_GET['days'] ) );
-				if ( in_array( $days_filter, array( 7, 30, 90 ), true ) ) {
-					$days = $days_filter;
-				}
-			}
-		}
-
-		// Get analytics service.
-		$analytics_property = $reflection->getProperty( 'analytics' );
-		$analytics_property->setAccessible( true );
-		$analytics = $analytics_property->getValue( $analytics_dashboard );
-
-		// Get analytics data.
-		$chatgpt_orders  = $analytics->get_chatgpt_order_count( $days );
-		$chatgpt_revenue = $analytics->get_chatgpt_revenue( $days );
-		$regular_orders  = $analytics->get_regular_order_count( $days );
-		$regular_revenue = $analytics->get_regular_revenue( $days );
-		$conversion_rate = $analytics->get_conversion_rate( $days );
-		$chatgpt_aov     = $analytics->get_average_order_value( 'chatgpt', $days );
-		$regular_aov     = $analytics->get_average_order_value( 'regular', $days );
-		$recent_orders   = $analytics->get_recent_chatgpt_orders( 10 );
-		$status_stats    = $analytics->get_order_stats_by_status( $days );
-
-		// Prepare template data.
-		$data = array(
-			'days'            => $days,
-			'chatgpt_orders'  => $chatgpt_orders,
-			'chatgpt_revenue' => $chatgpt_revenue,
-			'regular_orders'  => $regular_orders,
-			'regular_revenue' => $regular_revenue,
-			'conversion_rate' => $conversion_rate,
-			'chatgpt_aov'     => $chatgpt_aov,
-			'regular_aov'     => $regular_aov,
-			'recent_orders'   => $recent_orders,
-			'status_stats'    => $status_stats,
-			'total_orders'    => $chatgpt_orders + $regular_orders,
-			'total_revenue'   => $chatgpt_revenue + $regular_revenue,
-		);
+		// Metrics and charts are loaded through AJAX by the dashboard script.
+		$data = $analytics_dashboard->get_page_data();
 
 		// Render with unified layout.
 		$this->render_with_layout(
@@ -837,6 +1048,40 @@ final class AdminHandler {
 		);
 	}
 
+	/**
+	 * Render request playground page
+	 *
+	 * @return void
+	 */
+	public function render_playground_page(): void {
+		if ( ! current_user_can( 'manage_options' ) ) {
+			return;
+		}
+
+		// Get RequestPlayground from container.
+		$playground = \Carticy\AiCheckout\Init::get_instance()->get_service( 'request_playground' );
+
+		$data = array(
+			'endpoints'   => $playground->get_endpoints(),
+			'scenarios'   => $playground->get_scenarios(),
+			'api_version' => $playground->get_default_api_version(),
+			'test_mode'   => 'yes' === get_option( 'carticy_ai_checkout_test_mode', 'yes' ),
+		);
+
+		// Render with unified layout.
+		$this->render_with_layout(
+			__( 'Request Playground', 'carticy-ai-checkout-for-woocommerce' ),
+			function ( $template_data ) {
+				// Extract variables for template.
+				extract( $template_data ); // phpcs:ignore WordPress.PHP.DontExtract.extract_extract
+
+				// Include the request playground template.
+				require plugin_dir_path( dirname( __DIR__ ) ) . 'templates/admin/request-playground.php';
+			},
+			$data
+		);
+	}
+
 	/**
 	 * Get logs tab data
 	 *
@@ -906,11 +1151,14 @@ final class AdminHandler {
 	}
 
 	/**
-	 * AJAX handler for regenerating API key
+	 * AJAX handler for starting a key rotation
+	 *
+	 * Generates a pending API key or webhook secret that is accepted (or signed with)
+	 * alongside the current one until the grace period ends.
 	 *
 	 * @return void
 	 */
-	public function ajax_regenerate_api_key(): void {
+	public function ajax_start_key_rotation(): void {
 		// Verify nonce.
 		check_ajax_referer( 'carticy_settings_nonce', 'nonce' );
 
@@ -922,19 +1170,26 @@ final class AdminHandler {
 			);
 		}
 
+		$type        = isset( $_POST['type'] ) ? sanitize_key( wp_unslash( $_POST['type'] ) ) : '';
+		$grace_hours = isset( $_POST['grace_hours'] ) ? absint( $_POST['grace_hours'] ) : 24;
+
 		// Get API key service from container.
 		$api_key_service = \Carticy\AiCheckout\Init::get_instance()->get_service( 'api_key' );
 
 		try {
-			// Regenerate the API key.
-			$new_api_key = $api_key_service->regenerate_api_key();
+			$rotation = $api_key_service->start_rotation( $type, $grace_hours );
 
 			wp_send_json_success(
 				array(
-					'api_key' => $new_api_key,
-					'message' => __( 'API key regenerated successfully.', 'carticy-ai-checkout-for-woocommerce' ),
+					'rotation' => $rotation,
+					'message'  => __( 'Rotation started. Both values are valid until the grace period ends.', 'carticy-ai-checkout-for-woocommerce' ),
 				)
 			);
+		} catch ( \InvalidArgumentException $e ) {
+			wp_send_json_error(
+				array( 'message' => $e->getMessage() ),
+				400
+			);
 		} catch ( \Exception $e ) {
 			wp_send_json_error(
 				array( 'message' => $e->getMessage() ),
@@ -944,11 +1199,13 @@ final class AdminHandler {
 	}
 
 	/**
-	 * AJAX handler for regenerating webhook secret
+	 * AJAX handler for finalizing a key rotation
+	 *
+	 * Promotes the pending value to current; the old value stops working immediately.
 	 *
 	 * @return void
 	 */
-	public function ajax_regenerate_webhook_secret(): void {
+	public function ajax_finalize_key_rotation(): void {
 		// Verify nonce.
 		check_ajax_referer( 'carticy_settings_nonce', 'nonce' );
 
@@ -960,18 +1217,21 @@ final class AdminHandler {
 			);
 		}
 
+		$type = isset( $_POST['type'] ) ? sanitize_key( wp_unslash( $_POST['type'] ) ) : '';
+
 		// Get API key service from container.
 		$api_key_service = \Carticy\AiCheckout\Init::get_instance()->get_service( 'api_key' );
 
 		try {
-			// Regenerate the webhook secret.
-			$new_webhook_secret = $api_key_service->regenerate_webhook_secret();
+			$api_key_service->finalize_rotation( $type );
 
 			wp_send_json_success(
-				array(
-					'webhook_secret' => $new_webhook_secret,
-					'message'        => __( 'Webhook secret regenerated successfully.', 'carticy-ai-checkout-for-woocommerce' ),
-				)
+				array( 'message' => __( 'Rotation finalized. The old value no longer works.', 'carticy-ai-checkout-for-woocommerce' ) )
+			);
+		} catch ( \InvalidArgumentException $e ) {
+			wp_send_json_error(
+				array( 'message' => $e->getMessage() ),
+				400
 			);
 		} catch ( \Exception $e ) {
 			wp_send_json_error(
@@ -981,6 +1241,44 @@ final class AdminHandler {
 		}
 	}
 
+	/**
+	 * AJAX handler for cancelling a key rotation
+	 *
+	 * Discards the pending value and keeps the current one.
+	 *
+	 * @return void
+	 */
+	public function ajax_cancel_key_rotation(): void {
+		// Verify nonce.
+		check_ajax_referer( 'carticy_settings_nonce', 'nonce' );
+
+		// Verify permissions.
+		if ( ! current_user_can( 'manage_options' ) ) {
+			wp_send_json_error(
+				array( 'message' => __( 'Unauthorized', 'carticy-ai-checkout-for-woocommerce' ) ),
+				403
+			);
+		}
+
+		$type = isset( $_POST['type'] ) ? sanitize_key( wp_unslash( $_POST['type'] ) ) : '';
+
+		// Get API key service from container.
+		$api_key_service = \Carticy\AiCheckout\Init::get_instance()->get_service( 'api_key' );
+
+		try {
+			$api_key_service->cancel_rotation( $type );
+
+			wp_send_json_success(
+				array( 'message' => __( 'Rotation cancelled.', 'carticy-ai-checkout-for-woocommerce' ) )
+			);
+		} catch ( \InvalidArgumentException $e ) {
+			wp_send_json_error(
+				array( 'message' => $e->getMessage() ),
+				400
+			);
+		}
+	}
+
 	/**
 	 * AJAX handler for testing webhook
 	 *
@@ -1031,6 +1329,46 @@ final class AdminHandler {
 		}
 	}
 
+	/**
+	 * AJAX handler for verifying a webhook signature
+	 *
+	 * @return void
+	 */
+	public function ajax_verify_webhook_signature(): void {
+		// Verify nonce.
+		check_ajax_referer( 'carticy_settings_nonce', 'nonce' );
+
+		// Verify permissions.
+		if ( ! current_user_can( 'manage_options' ) ) {
+			wp_send_json_error(
+				array( 'message' => __( 'Unauthorized', 'carticy-ai-checkout-for-woocommerce' ) ),
+				403
+			);
+		}
+
+		// The payload is hashed byte for byte, so it must not be sanitized.
+		$payload   = isset( $_POST['payload'] ) ? wp_unslash( $_POST['payload'] ) : ''; // phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized
+		$signature = isset( $_POST['signature'] ) ? sanitize_text_field( wp_unslash( $_POST['signature'] ) ) : '';
+
+		// Get webhook service from container.
+		$webhook_service = \Carticy\AiCheckout\Init::get_instance()->get_service( 'webhook' );
+
+		try {
+			$result = $webhook_service->verify_signature( (string) $payload, $signature );
+
+			if ( $result['retired_at'] ) {
+				$result['retired_at'] = wp_date( get_option( 'date_format' ) . ' ' . get_option( 'time_format' ), $result['retired_at'] );
+			}
+
+			wp_send_json_success( $result );
+		} catch ( \InvalidArgumentException $e ) {
+			wp_send_json_error(
+				array( 'message' => $e->getMessage() ),
+				400
+			);
+		}
+	}
+
 	/**
 	 * Add ChatGPT order column to orders list
 	 *
@@ -9,6 +9,7 @@
 
 namespace Carticy\AiCheckout\Admin;
 
+use Carticy\AiCheckout\Services\AlertService;
 use Carticy\AiCheckout\Services\ErrorHandler;
 
 if ( ! defined( 'ABSPATH' ) ) {
@@ -29,16 +30,26 @@ final class AdminNotices {
 	 */
 	private ErrorHandler $error_handler;
 
+	/**
+	 * Alert service instance.
+	 *
+	 * @var AlertService
+	 */
+	private AlertService $alerts;
+
 	/**
 	 * Constructor.
 	 *
 	 * @param ErrorHandler $error_handler Error handler instance.
+	 * @param AlertService $alerts        Alert service instance.
 	 */
-	public function __construct( ErrorHandler $error_handler ) {
+	public function __construct( ErrorHandler $error_handler, AlertService $alerts ) {
 		$this->error_handler = $error_handler;
+		$this->alerts        = $alerts;
 
 		add_action( 'admin_notices', array( $this, 'display_notices' ) );
 		add_action( 'admin_init', array( $this, 'handle_notice_dismissal' ) );
+		add_action( 'admin_init', array( $this, 'handle_alert_dismissal' ) );
 	}
 
 	/**
@@ -55,6 +66,9 @@ final class AdminNotices {
 			return;
 		}
 
+		// Show fired alerts.
+		$this->show_alert_notices();
+
 		// Show error notices.
 		$this->show_error_notices();
 
@@ -69,18 +83,35 @@ final class AdminNotices {
 	 * @return bool True if notices should be shown.
 	 */
 	private function should_show_notices( string $screen_id ): bool {
-		$allowed_screens = array(
-			'dashboard',
-			'toplevel_page_ai-checkout',
-			'ai-checkout_page_ai-checkout-settings',
-			'ai-checkout_page_ai-checkout-products',
-			'ai-checkout_page_ai-checkout-analytics',
-			'ai-checkout_page_ai-checkout-wizard',
-			'ai-checkout_page_ai-checkout-testing',
-			'ai-checkout_page_ai-checkout-logs',
-		);
+		// Plugin screens are e.g. toplevel_page_carticy-ai-checkout-for-woocommerce and ai-checkout_page_carticy-ai-checkout-logs.
+		return 'dashboard' === $screen_id || str_contains( $screen_id, '_page_carticy-ai-checkout' );
+	}
+
+	/**
+	 * Show fired alerts that are still breaching
+	 */
+	private function show_alert_notices(): void {
+		if ( ! current_user_can( 'manage_options' ) ) {
+			return;
+		}
 
-		return in_array( $screen_id, $allowed_screens, true );
+		foreach ( $this->alerts->get_active_alerts() as $alert ) {
+			$notice_html = sprintf(
+				'<strong>%s</strong><br>%s <a href="%s">%s</a>',
+				esc_html( $alert['rule_name'] ),
+				esc_html( $alert['message'] ),
+				esc_url( AlertService::get_admin_url() ),
+				esc_html__( 'View alerts', 'carticy-ai-checkout-for-woocommerce' )
+			);
+
+			$this->render_notice(
+				'error',
+				__( 'AI Checkout Alert', 'carticy-ai-checkout-for-woocommerce' ),
+				$notice_html,
+				true,
+				$this->get_dismiss_url( 'carticy_dismiss_alert', array( 'alert_id' => $alert['id'] ) )
+			);
+		}
 	}
 
 	/**
@@ -136,7 +167,7 @@ final class AdminNotices {
 				'AI Checkout Error',
 				$notice_html,
 				true,
-				$data['index']
+				$this->get_dismiss_url( 'carticy_dismiss_notice', array( 'notice_index' => $data['index'] ) )
 			);
 		}
 	}
@@ -171,18 +202,18 @@ final class AdminNotices {
 	/**
 	 * Render a notice
 	 *
-	 * @param string   $type Notice type (error, warning, info, success).
-	 * @param string   $title Notice title.
-	 * @param string   $message Notice message (can contain HTML).
-	 * @param bool     $dismissible Whether notice is dismissible.
-	 * @param int|null $notice_index Notice index for dismissal.
+	 * @param string $type Notice type (error, warning, info, success).
+	 * @param string $title Notice title.
+	 * @param string $message Notice message (can contain HTML).
+	 * @param bool   $dismissible Whether notice is dismissible.
+	 * @param string $dismiss_url URL recording the dismissal (see get_dismiss_url()).
 	 */
 	private function render_notice(
 		string $type,
 		string $title,
 		string $message,
 		bool $dismissible = false,
-		?int $notice_index = null
+		string $dismiss_url = ''
 	): void {
 		$class = 'notice notice-' . $type;
 
@@ -190,25 +221,13 @@ final class AdminNotices {
 			$class .= ' is-dismissible';
 		}
 
-		$dismiss_url = '';
-		if ( $dismissible && null !== $notice_index ) {
-			$dismiss_url = add_query_arg(
-				array(
-					'action'       => 'carticy_dismiss_notice',
-					'notice_index' => $notice_index,
-					'_wpnonce'     => wp_create_nonce( 'carticy_dismiss_notice' ),
-				),
-				admin_url( 'admin.php' )
-			);
-		}
-
 		?>
-		<div class="<?php echo esc_attr( $class ); ?>" <?php echo $dismissible && null !== $notice_index ? 'data-dismiss-url="' . esc_url( $dismiss_url ) . '"' : ''; ?>>
+		<div class="<?php echo esc_attr( $class ); ?>" <?php echo $dismissible && '' !== $dismiss_url ? 'data-dismiss-url="' . esc_url( $dismiss_url ) . '"' : ''; ?>>
 			<p>
 				<strong><?php echo esc_html( $title ); ?></strong><br>
 				<?php echo wp_kses_post( $message ); ?>
 			</p>
-			<?php if ( $dismissible && null !== $notice_index ) : ?>
+			<?php if ( $dismissible && '' !== $dismiss_url ) : ?>
 				<a href="<?php echo esc_url( $dismiss_url ); ?>" class="notice-dismiss" style="text-decoration: none;">
 					<span class="screen-reader-text">Dismiss this notice.</span>
 				</a>
@@ -217,6 +236,24 @@ final class AdminNotices {
 		<?php
 	}
 
+	/**
+	 * Build the URL dismissing a notice
+	 *
+	 * @param string               $action Dismissal action, also used as nonce action.
+	 * @param array<string, mixed> $args   Query arguments identifying the notice.
+	 * @return string Dismissal URL.
+	 */
+	private function get_dismiss_url( string $action, array $args ): string {
+		return add_query_arg(
+			array_merge(
+				array( 'action' => $action ),
+				$args,
+				array( '_wpnonce' => wp_create_nonce( $action ) )
+			),
+			admin_url( 'admin.php' )
+		);
+	}
+
 	/**
 	 * Handle notice dismissal
 	 */
@@ -242,6 +279,30 @@ final class AdminNotices {
 		exit;
 	}
 
+	/**
+	 * Handle alert notice dismissal
+	 */
+	public function handle_alert_dismissal(): void {
+		if ( ! isset( $_GET['action'] ) || 'carticy_dismiss_alert' !== $_GET['action'] ) {
+			return;
+		}
+
+		if ( ! isset( $_GET['_wpnonce'] ) || ! wp_verify_nonce( sanitize_text_field( wp_unslash( $_GET['_wpnonce'] ) ), 'carticy_dismiss_alert' ) ) {
+			return;
+		}
+
+		if ( ! isset( $_GET['alert_id'] ) || ! current_user_can( 'manage_options' ) ) {
+			return;
+		}
+
+		$this->alerts->dismiss_alert( sanitize_key( wp_unslash( $_GET['alert_id'] ) ) );
+
+		// Redirect back to the page showing the notice.
+		$redirect_url = wp_get_referer();
+		wp_safe_redirect( $redirect_url ? $redirect_url : admin_url() );
+		exit;
+	}
+
 	/**
 	 * Check if we're on a plugin page
 	 *
@@ -10,6 +10,9 @@
 namespace Carticy\AiCheckout\Admin;
 
 use Carticy\AiCheckout\Services\AnalyticsService;
+use Carticy\AiCheckout\Services\CheckoutFunnelService;
+use Carticy\AiCheckout\Services\ErrorLogService;
+use Carticy\AiCheckout\Services\ProductQualityChecker;
 
 /**
  * Handles analytics dashboard admin page
@@ -23,19 +26,49 @@ final class AnalyticsDashboard {
 	private AnalyticsService $analytics;
 
 	/**
-	 * Current date range filter
+	 * Product quality checker
 	 *
-	 * @var int
+	 * @var ProductQualityChecker
 	 */
-	private int $days = 30;
+	private ProductQualityChecker $quality_checker;
+
+	/**
+	 * Checkout funnel service
+	 *
+	 * @var CheckoutFunnelService
+	 */
+	private CheckoutFunnelService $funnel;
+
+	/**
+	 * Error log service
+	 *
+	 * @var ErrorLogService
+	 */
+	private ErrorLogService $error_log;
+
+	/**
+	 * Preset date ranges in days
+	 */
+	public const PRESET_DAYS = array( 7, 30, 90 );
+
+	/**
+	 * Default date range in days
+	 */
+	public const DEFAULT_DAYS = 30;
 
 	/**
 	 * Constructor
 	 *
-	 * @param AnalyticsService $analytics Analytics service instance.
+	 * @param AnalyticsService      $analytics       Analytics service instance.
+	 * @param ProductQualityChecker $quality_checker Product quality checker instance.
+	 * @param CheckoutFunnelService $funnel          Checkout funnel service instance.
+	 * @param ErrorLogService       $error_log       Error log service instance.
 	 */
-	public function __construct( AnalyticsService $analytics ) {
-		$this->analytics = $analytics;
+	public function __construct( AnalyticsService $analytics, ProductQualityChecker $quality_checker, CheckoutFunnelService $funnel, ErrorLogService $error_log ) {
+		$this->analytics       = $analytics;
+		$this->quality_checker = $quality_checker;
+		$this->funnel          = $funnel;
+		$this->error_log       = $error_log;
 		$this->init_hooks();
 	}
 
@@ -46,6 +79,10 @@ final class AnalyticsDashboard {
 	 */
 	private function init_hooks(): void {
 		add_action( 'admin_enqueue_scripts', array( $this, 'enqueue_assets' ) );
+		add_action( 'wp_ajax_carticy_ai_checkout_analytics_report', array( $this, 'ajax_get_report' ) );
+		add_action( 'wp_ajax_carticy_ai_checkout_analytics_breakdown', array( $this, 'ajax_get_breakdown' ) );
+		add_action( 'wp_ajax_carticy_ai_checkout_analytics_funnel', array( $this, 'ajax_get_funnel' ) );
+		add_action( 'admin_post_carticy_ai_checkout_export_analytics_breakdown', array( $this, 'handle_export_breakdown' ) );
 	}
 
 	/**
@@ -66,71 +103,419 @@ final class AnalyticsDashboard {
 			array(),
 			CARTICY_AI_CHECKOUT_VERSION
 		);
+
+		wp_enqueue_script(
+			'carticy-ai-checkout-analytics-dashboard',
+			plugin_dir_url( dirname( __DIR__ ) ) . 'assets/js/admin-analytics-dashboard.js',
+			array( 'jquery', 'carticy-ai-checkout-charts' ),
+			CARTICY_AI_CHECKOUT_VERSION,
+			true
+		);
+
+		wp_localize_script(
+			'carticy-ai-checkout-analytics-dashboard',
+			'carticyAnalytics',
+			array(
+				'ajaxUrl'   => admin_url( 'admin-ajax.php' ),
+				'exportUrl' => admin_url( 'admin-post.php' ),
+				'nonce'     => wp_create_nonce( 'carticy_analytics_nonce' ),
+				'today'     => current_datetime()->format( 'Y-m-d' ),
+				'statuses'  => wc_get_order_statuses(),
+				'currency'  => array(
+					'symbol'      => html_entity_decode( get_woocommerce_currency_symbol(), ENT_QUOTES, 'UTF-8' ),
+					'position'    => get_option( 'woocommerce_currency_pos', 'left' ),
+					'decimals'    => wc_get_price_decimals(),
+					'decimalSep'  => wc_get_price_decimal_separator(),
+					'thousandSep' => wc_get_price_thousand_separator(),
+				),
+				'i18n'      => array(
+					'loading'         => __( 'Loading...', 'carticy-ai-checkout-for-woocommerce' ),
+					'errorOccurred'   => __( 'An error occurred. Please try again.', 'carticy-ai-checkout-for-woocommerce' ),
+					/* translators: %s: formatted revenue amount */
+					'revenue'         => __( 'Revenue: %s', 'carticy-ai-checkout-for-woocommerce' ),
+					/* translators: 1: ChatGPT orders, 2: total orders */
+					'ofTotal'         => __( '%1$s of %2$s total orders', 'carticy-ai-checkout-for-woocommerce' ),
+					/* translators: %s: formatted AOV amount */
+					'regularAov'      => __( 'Regular: %s', 'carticy-ai-checkout-for-woocommerce' ),
+					/* translators: %s: percentage change */
+					'vsPrevious'      => __( '%s vs previous period', 'carticy-ai-checkout-for-woocommerce' ),
+					'noChange'        => __( 'No change vs previous period', 'carticy-ai-checkout-for-woocommerce' ),
+					'newInPeriod'     => __( 'New vs previous period', 'carticy-ai-checkout-for-woocommerce' ),
+					'chatgpt'         => __( 'ChatGPT', 'carticy-ai-checkout-for-woocommerce' ),
+					'regular'         => __( 'Regular', 'carticy-ai-checkout-for-woocommerce' ),
+					'previousChatgpt' => __( 'ChatGPT (previous period)', 'carticy-ai-checkout-for-woocommerce' ),
+					'ordersChart'     => __( 'Orders per day', 'carticy-ai-checkout-for-woocommerce' ),
+					'revenueChart'    => __( 'Revenue per day', 'carticy-ai-checkout-for-woocommerce' ),
+					'chatgptOrders'   => __( 'ChatGPT orders', 'carticy-ai-checkout-for-woocommerce' ),
+					'regularOrders'   => __( 'Regular orders', 'carticy-ai-checkout-for-woocommerce' ),
+					'chatgptRevenue'  => __( 'ChatGPT revenue', 'carticy-ai-checkout-for-woocommerce' ),
+					'regularRevenue'  => __( 'Regular revenue', 'carticy-ai-checkout-for-woocommerce' ),
+					'chatgptAov'      => __( 'ChatGPT AOV', 'carticy-ai-checkout-for-woocommerce' ),
+					'conversion'      => __( 'ChatGPT share of orders', 'carticy-ai-checkout-for-woocommerce' ),
+					/* translators: 1: start date, 2: end date */
+					'range'           => __( '%1$s to %2$s', 'carticy-ai-checkout-for-woocommerce' ),
+					'noStatusOrders'  => __( 'No ChatGPT orders in the selected date range.', 'carticy-ai-checkout-for-woocommerce' ),
+					'product'         => __( 'Product', 'carticy-ai-checkout-for-woocommerce' ),
+					'category'        => __( 'Category', 'carticy-ai-checkout-for-woocommerce' ),
+					/* translators: %s: product SKU */
+					'sku'             => __( 'SKU: %s', 'carticy-ai-checkout-for-woocommerce' ),
+					/* translators: 1: ChatGPT orders, 2: total orders */
+					'ordersOfTotal'   => __( '%1$s of %2$s orders', 'carticy-ai-checkout-for-woocommerce' ),
+					'noBreakdownRows' => __( 'No orders with products in the selected date range.', 'carticy-ai-checkout-for-woocommerce' ),
+					/* translators: %s: percentage of created sessions */
+					'ofCreated'       => __( '%s of created sessions', 'carticy-ai-checkout-for-woocommerce' ),
+					/* translators: %s: drop-off percentage */
+					'dropOff'         => __( '%s drop-off', 'carticy-ai-checkout-for-woocommerce' ),
+					/* translators: %d: number of sessions */
+					'openSessions'    => __( '%d sessions still in progress.', 'carticy-ai-checkout-for-woocommerce' ),
+					'noSessions'      => __( 'No checkout sessions were created in the selected date range.', 'carticy-ai-checkout-for-woocommerce' ),
+					'noFailures'      => __( 'No session errors were logged in the selected date range.', 'carticy-ai-checkout-for-woocommerce' ),
+					/* translators: %d: number of sessions */
+					'sessions'        => __( '%d sessions', 'carticy-ai-checkout-for-woocommerce' ),
+				),
+			)
+		);
 	}
 
 	/**
-	 * Handle filter request
+	 * Get the data of the analytics page
+	 *
+	 * Metrics and charts are loaded by admin-analytics-dashboard.js; the page
+	 * only needs the default range and the recent orders.
+	 *
+	 * @return array Template data.
+	 */
+	public function get_page_data(): array {
+		$today = current_datetime();
+
+		return array(
+			'start_date'    => $today->modify( '-' . ( self::DEFAULT_DAYS - 1 ) . ' days' )->format( 'Y-m-d' ),
+			'end_date'      => $today->format( 'Y-m-d' ),
+			'preset_days'   => self::PRESET_DAYS,
+			'default_days'  => self::DEFAULT_DAYS,
+			'recent_orders' => $this->analytics->get_recent_chatgpt_orders( 10 ),
+		);
+	}
+
+	/**
+	 * Render analytics page
 	 *
 	 * @return void
 	 */
-	private function handle_filter_request(): void {
-		// Days filter with nonce verification.
-		if ( ! isset( $_GET['days'] ) || ! isset( $_GET['_wpnonce'] ) ) {
+	public function render_page(): void {
+		if ( ! current_user_can( 'manage_options' ) ) {
 			return;
 		}
 
-		if ( ! wp_verify_nonce( sanitize_key( wp_unslash( $_GET['_wpnonce'] ) ), 'carticy_analytics_filter' ) ) {
-			return;
+		$this->load_template( 'analytics-dashboard', $this->get_page_data() );
+	}
+
+	/**
+	 * AJAX handler: order report of a date range
+	 *
+	 * Returns totals, one row per day and ChatGPT order counts by status for the
+	 * range, and the same for the previous period of equal length when compare is set.
+	 *
+	 * @return void
+	 */
+	public function ajax_get_report(): void {
+		check_ajax_referer( 'carticy_analytics_nonce', 'nonce' );
+
+		if ( ! current_user_can( 'manage_options' ) ) {
+			wp_send_json_error( array( 'message' => __( 'Permission denied', 'carticy-ai-checkout-for-woocommerce' ) ), 403 );
 		}
 
-		$days_filter = absint( wp_unslash( $_GET['days'] ) );
-		if ( in_array( $days_filter, array( 7, 30, 90 ), true ) ) {
-			$this->days = $days_filter;
+		// phpcs:disable WordPress.Security.NonceVerification.Missing -- Verified above.
+		$start   = isset( $_POST['start'] ) ? sanitize_text_field( wp_unslash( $_POST['start'] ) ) : '';
+		$end     = isset( $_POST['end'] ) ? sanitize_text_field( wp_unslash( $_POST['end'] ) ) : '';
+		$compare = isset( $_POST['compare'] ) && 'yes' === $_POST['compare'];
+		// phpcs:enable WordPress.Security.NonceVerification.Missing
+
+		try {
+			$this->validate_range( $start, $end );
+
+			$report = array(
+				'current'  => $this->build_period( $start, $end ),
+				'previous' => null,
+			);
+
+			if ( $compare ) {
+				$previous           = $this->analytics->get_previous_range( $start, $end );
+				$report['previous'] = $this->build_period( $previous['start'], $previous['end'] );
+			}
+
+			wp_send_json_success( $report );
+		} catch ( \InvalidArgumentException $e ) {
+			wp_send_json_error(
+				array( 'message' => $e->getMessage() ),
+				400
+			);
 		}
 	}
 
 	/**
-	 * Render analytics page
+	 * AJAX handler: ChatGPT sales of a date range by product or category
 	 *
 	 * @return void
 	 */
-	public function render_page(): void {
+	public function ajax_get_breakdown(): void {
+		check_ajax_referer( 'carticy_analytics_nonce', 'nonce' );
+
 		if ( ! current_user_can( 'manage_options' ) ) {
-			return;
+			wp_send_json_error( array( 'message' => __( 'Permission denied', 'carticy-ai-checkout-for-woocommerce' ) ), 403 );
+		}
+
+		// phpcs:disable WordPress.Security.NonceVerification.Missing -- Verified above.
+		$start = isset( $_POST['start'] ) ? sanitize_text_field( wp_unslash( $_POST['start'] ) ) : '';
+		$end   = isset( $_POST['end'] ) ? sanitize_text_field( wp_unslash( $_POST['end'] ) ) : '';
+		$group = isset( $_POST['group'] ) ? sanitize_key( wp_unslash( $_POST['group'] ) ) : '';
+		// phpcs:enable WordPress.Security.NonceVerification.Missing
+
+		try {
+			$this->validate_range( $start, $end );
+			$group = $this->get_breakdown_group( $group );
+
+			wp_send_json_success(
+				array(
+					'group' => $group,
+					'rows'  => $this->build_breakdown( $start, $end, $group, true ),
+				)
+			);
+		} catch ( \InvalidArgumentException $e ) {
+			wp_send_json_error(
+				array( 'message' => $e->getMessage() ),
+				400
+			);
+		}
+	}
+
+	/**
+	 * AJAX handler: checkout funnel and top failure reasons of a date range
+	 *
+	 * The funnel covers sessions created in the range; failure reasons come from
+	 * the session errors logged in it.
+	 *
+	 * @return void
+	 */
+	public function ajax_get_funnel(): void {
+		check_ajax_referer( 'carticy_analytics_nonce', 'nonce' );
+
+		if ( ! current_user_can( 'manage_options' ) ) {
+			wp_send_json_error( array( 'message' => __( 'Permission denied', 'carticy-ai-checkout-for-woocommerce' ) ), 403 );
+		}
+
+		// phpcs:disable WordPress.Security.NonceVerification.Missing -- Verified above.
+		$start = isset( $_POST['start'] ) ? sanitize_text_field( wp_unslash( $_POST['start'] ) ) : '';
+		$end   = isset( $_POST['end'] ) ? sanitize_text_field( wp_unslash( $_POST['end'] ) ) : '';
+		// phpcs:enable WordPress.Security.NonceVerification.Missing
+
+		try {
+			$this->validate_range( $start, $end );
+		} catch ( \InvalidArgumentException $e ) {
+			wp_send_json_error(
+				array( 'message' => $e->getMessage() ),
+				400
+			);
 		}
 
-		// Handle filter request.
-		$this->handle_filter_request();
-
-		// Get analytics data.
-		$chatgpt_orders  = $this->analytics->get_chatgpt_order_count( $this->days );
-		$chatgpt_revenue = $this->analytics->get_chatgpt_revenue( $this->days );
-		$regular_orders  = $this->analytics->get_regular_order_count( $this->days );
-		$regular_revenue = $this->analytics->get_regular_revenue( $this->days );
-		$conversion_rate = $this->analytics->get_conversion_rate( $this->days );
-		$chatgpt_aov     = $this->analytics->get_average_order_value( 'chatgpt', $this->days );
-		$regular_aov     = $this->analytics->get_average_order_value( 'regular', $this->days );
-		$recent_orders   = $this->analytics->get_recent_chatgpt_orders( 10 );
-		$status_stats    = $this->analytics->get_order_stats_by_status( $this->days );
-
-		// Prepare template data.
-		$data = array(
-			'days'            => $this->days,
-			'chatgpt_orders'  => $chatgpt_orders,
-			'chatgpt_revenue' => $chatgpt_revenue,
-			'regular_orders'  => $regular_orders,
-			'regular_revenue' => $regular_revenue,
-			'conversion_rate' => $conversion_rate,
-			'chatgpt_aov'     => $chatgpt_aov,
-			'regular_aov'     => $regular_aov,
-			'recent_orders'   => $recent_orders,
-			'status_stats'    => $status_stats,
-			'total_orders'    => $chatgpt_orders + $regular_orders,
-			'total_revenue'   => $chatgpt_revenue + $regular_revenue,
+		$timezone = wp_timezone();
+		$failures = $this->error_log->get_session_failure_reasons(
+			( new \DateTimeImmutable( $start . ' 00:00:00', $timezone ) )->getTimestamp(),
+			( new \DateTimeImmutable( $end . ' 23:59:59', $timezone ) )->getTimestamp()
 		);
+		$labels   = $this->error_log->get_category_labels();
 
-		// Load template.
-		$this->load_template( 'analytics-dashboard', $data );
+		foreach ( $failures['reasons'] as &$reason ) {
+			$reason['category_label'] = $labels[ $reason['category'] ] ?? ucfirst( $reason['category'] );
+		}
+		unset( $reason );
+
+		$categories = array();
+		foreach ( $failures['categories'] as $category => $count ) {
+			if ( $count > 0 ) {
+				$categories[] = array(
+					'category' => $category,
+					'label'    => $labels[ $category ] ?? ucfirst( $category ),
+					'count'    => $count,
+				);
+			}
+		}
+
+		wp_send_json_success(
+			array(
+				'funnel'   => $this->funnel->get_funnel( $start, $end ),
+				'failures' => array(
+					'categories' => $categories,
+					'reasons'    => $failures['reasons'],
+					'total'      => $failures['total'],
+				),
+			)
+		);
+	}
+
+	/**
+	 * Handle sales breakdown export download
+	 *
+	 * Exports the breakdown of the selected range as CSV, in the order shown on the page.
+	 *
+	 * @return void
+	 */
+	public function handle_export_breakdown(): void {
+		if ( ! isset( $_GET['_wpnonce'] ) || ! wp_verify_nonce( sanitize_text_field( wp_unslash( $_GET['_wpnonce'] ) ), 'carticy_analytics_nonce' ) ) {
+			wp_die( esc_html__( 'Security check failed', 'carticy-ai-checkout-for-woocommerce' ) );
+		}
+
+		if ( ! current_user_can( 'manage_options' ) ) {
+			wp_die( esc_html__( 'Unauthorized', 'carticy-ai-checkout-for-woocommerce' ) );
+		}
+
+		$start   = isset( $_GET['start'] ) ? sanitize_text_field( wp_unslash( $_GET['start'] ) ) : '';
+		$end     = isset( $_GET['end'] ) ? sanitize_text_field( wp_unslash( $_GET['end'] ) ) : '';
+		$group   = isset( $_GET['group'] ) ? sanitize_key( wp_unslash( $_GET['group'] ) ) : '';
+		$orderby = isset( $_GET['orderby'] ) ? sanitize_key( wp_unslash( $_GET['orderby'] ) ) : 'revenue';
+		$order   = isset( $_GET['order'] ) && 'asc' === $_GET['order'] ? 'asc' : 'desc';
+
+		try {
+			$this->validate_range( $start, $end );
+			$group = $this->get_breakdown_group( $group );
+		} catch ( \InvalidArgumentException $e ) {
+			wp_die( esc_html( $e->getMessage() ) );
+		}
+
+		$rows     = $this->analytics->sort_breakdown( $this->build_breakdown( $start, $end, $group, false ), $orderby, $order );
+		$filename = sprintf(
+			'carticy-chatgpt-sales-by-%s-%s-%s.csv',
+			AnalyticsService::GROUP_CATEGORY === $group ? 'category' : 'product',
+			$start,
+			$end
+		);
+
+		nocache_headers();
+		header( 'Content-Type: text/csv; charset=utf-8' );
+		header( 'Content-Disposition: attachment; filename="' . $filename . '"' );
+
+		// phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- CSV file download.
+		echo $this->analytics->export_breakdown_csv( $rows, $group );
+		exit;
+	}
+
+	/**
+	 * Build the sales breakdown of a date range
+	 *
+	 * Adds the link to the row in the products list and, for products, the
+	 * cached quality score.
+	 *
+	 * @param string $start        First day (Y-m-d).
+	 * @param string $end          Last day (Y-m-d).
+	 * @param string $group        Breakdown group.
+	 * @param bool   $with_quality Whether to render the quality cell HTML too.
+	 * @return array Breakdown rows.
+	 */
+	private function build_breakdown( string $start, string $end, string $group, bool $with_quality ): array {
+		$rows     = $this->analytics->get_sales_breakdown( $start, $end, $group );
+		$base_url = admin_url( 'admin.php?page=carticy-ai-checkout-product-feed' );
+
+		foreach ( $rows as &$row ) {
+			$row['revenue_formatted'] = html_entity_decode( wp_strip_all_tags( wc_price( $row['revenue'] ) ), ENT_QUOTES, 'UTF-8' );
+
+			if ( AnalyticsService::GROUP_CATEGORY === $group ) {
+				$row['url'] = '' !== $row['slug'] ? add_query_arg( 'product_cat', $row['slug'], $base_url ) : '';
+				continue;
+			}
+
+			if ( ! wc_get_product( $row['id'] ) ) {
+				$row['url']           = '';
+				$row['quality_score'] = null;
+				continue;
+			}
+
+			$row['url']           = add_query_arg( 'product_id', $row['id'], $base_url ) . '#product-' . $row['id'];
+			$row['quality_score'] = $this->quality_checker->get_cached_quality_score( $row['id'] );
+
+			if ( $with_quality ) {
+				$row['quality_html'] = ProductsListTable::render_quality_cell(
+					$row['id'],
+					$row['quality_score'],
+					$this->quality_checker->get_cached_quality_issues( $row['id'] )
+				);
+			}
+		}
+		unset( $row );
+
+		return $rows;
+	}
+
+	/**
+	 * Validate a sales breakdown group
+	 *
+	 * @param string $group Requested group.
+	 * @return string Group.
+	 * @throws \InvalidArgumentException If the group is unknown.
+	 */
+	private function get_breakdown_group( string $group ): string {
+		if ( ! in_array( $group, array( AnalyticsService::GROUP_PRODUCT, AnalyticsService::GROUP_CATEGORY ), true ) ) {
+			throw new \InvalidArgumentException( esc_html__( 'Unknown breakdown.', 'carticy-ai-checkout-for-woocommerce' ) );
+		}
+
+		return $group;
+	}
+
+	/**
+	 * Build the report of one period
+	 *
+	 * Adds the range and formatted amounts to the service report.
+	 *
+	 * @param string $start First day (Y-m-d).
+	 * @param string $end   Last day (Y-m-d).
+	 * @return array Period report.
+	 */
+	private function build_period( string $start, string $end ): array {
+		$report    = $this->analytics->get_range_report( $start, $end );
+		$formatted = array();
+
+		foreach ( array( 'chatgpt_revenue', 'regular_revenue', 'total_revenue', 'chatgpt_aov', 'regular_aov' ) as $metric ) {
+			$formatted[ $metric ] = html_entity_decode( wp_strip_all_tags( wc_price( $report['summary'][ $metric ] ) ), ENT_QUOTES, 'UTF-8' );
+		}
+
+		$report['start']     = $start;
+		$report['end']       = $end;
+		$report['formatted'] = $formatted;
+
+		return $report;
+	}
+
+	/**
+	 * Validate a date range
+	 *
+	 * @param string $start First day (Y-m-d).
+	 * @param string $end   Last day (Y-m-d).
+	 * @return void
+	 * @throws \InvalidArgumentException If a date is invalid, the range is reversed or too long.
+	 */
+	private function validate_range( string $start, string $end ): void {
+		foreach ( array( $start, $end ) as $date ) {
+			$parsed = \DateTimeImmutable::createFromFormat( '!Y-m-d', $date );
+
+			if ( ! $parsed || $parsed->format( 'Y-m-d' ) !== $date ) {
+				throw new \InvalidArgumentException( esc_html__( 'Enter valid start and end dates.', 'carticy-ai-checkout-for-woocommerce' ) );
+			}
+		}
+
+		if ( $start > $end ) {
+			throw new \InvalidArgumentException( esc_html__( 'The start date must be before the end date.', 'carticy-ai-checkout-for-woocommerce' ) );
+		}
+
+		$days = (int) ( new \DateTimeImmutable( $start ) )->diff( new \DateTimeImmutable( $end ) )->days + 1;
+
+		if ( $days > AnalyticsService::MAX_RANGE_DAYS ) {
+			throw new \InvalidArgumentException(
+				sprintf(
+					/* translators: %d: maximum number of days */
+					esc_html__( 'Choose a range of at most %d days.', 'carticy-ai-checkout-for-woocommerce' ),
+					absint( AnalyticsService::MAX_RANGE_DAYS )
+				)
+			);
+		}
 	}
 
 	/**
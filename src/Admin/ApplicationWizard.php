@@ -68,15 +68,19 @@ final class ApplicationWizard {
 		add_action( 'admin_post_carticy_ai_checkout_wizard_toggle_test_mode', array( $this, 'handle_toggle_test_mode' ) );
 		add_action( 'admin_post_carticy_ai_checkout_wizard_save_test_webhook', array( $this, 'handle_save_test_webhook' ) );
 		add_action( 'admin_post_carticy_ai_checkout_wizard_save_security', array( $this, 'handle_save_security' ) );
+		add_action( 'admin_post_carticy_ai_checkout_export_conformance_report', array( $this, 'handle_export_conformance_report' ) );
 
 		// AJAX handler for running tests.
 		add_action( 'wp_ajax_carticy_ai_checkout_run_conformance_tests', array( $this, 'ajax_run_conformance_tests' ) );
 
 		// AJAX handler for quick fixes.
-		add_action( 'wp_ajax_carticy_ai_checkout_enable_robots_filter', array( $this, 'ajax_enable_robots_filter' ) );
+		add_action( 'wp_ajax_carticy_ai_checkout_apply_conformance_fix', array( $this, 'ajax_apply_conformance_fix' ) );
 
 		// AJAX handler for saving test results.
 		add_action( 'wp_ajax_carticy_ai_checkout_save_test_results', array( $this, 'ajax_save_test_results' ) );
+
+		// AJAX handler for comparing runs from history.
+		add_action( 'wp_ajax_carticy_ai_checkout_compare_conformance_runs', array( $this, 'ajax_compare_conformance_runs' ) );
 	}
 
 	/**
@@ -215,6 +219,7 @@ final class ApplicationWizard {
 			$wizard_service  = $this->wizard_service;
 			$quality_checker = $this->quality_checker;
 			$prerequisites   = $this->prerequisites;
+			$conformance     = \Carticy\AiCheckout\Init::get_instance()->get_service( 'conformance_test' );
 
 			include $template_path;
 		}
@@ -499,6 +504,43 @@ final class ApplicationWizard {
 		exit;
 	}
 
+	/**
+	 * Handle conformance report download
+	 *
+	 * Exports the saved test results as JSON or as a self-contained HTML file.
+	 *
+	 * @return void
+	 */
+	public function handle_export_conformance_report(): void {
+		// Verify nonce.
+		if ( ! isset( $_GET['_wpnonce'] ) || ! wp_verify_nonce( sanitize_text_field( wp_unslash( $_GET['_wpnonce'] ) ), 'carticy_export_conformance_report' ) ) {
+			wp_die( esc_html__( 'Security check failed', 'carticy-ai-checkout-for-woocommerce' ) );
+		}
+
+		// Verify permissions.
+		if ( ! current_user_can( 'manage_options' ) ) {
+			wp_die( esc_html__( 'Unauthorized', 'carticy-ai-checkout-for-woocommerce' ) );
+		}
+
+		$results = get_transient( 'carticy_ai_checkout_wizard_test_results' );
+
+		if ( ! is_array( $results ) ) {
+			wp_die( esc_html__( 'No test results to export. Please run the conformance tests first.', 'carticy-ai-checkout-for-woocommerce' ) );
+		}
+
+		$conformance_service = \Carticy\AiCheckout\Init::get_instance()->get_service( 'conformance_test' );
+		$format              = isset( $_GET['format'] ) && 'html' === $_GET['format'] ? 'html' : 'json';
+		$filename            = 'carticy-conformance-report-' . gmdate( 'Y-m-d-His' ) . '.' . $format;
+
+		nocache_headers();
+		header( 'Content-Type: ' . ( 'html' === $format ? 'text/html' : 'application/json' ) . '; charset=utf-8' );
+		header( 'Content-Disposition: attachment; filename="' . $filename . '"' );
+
+		// phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- JSON export, and HTML report escaped in its template.
+		echo 'html' === $format ? $conformance_service->export_results_html( $results ) : $conformance_service->export_results_json( $results );
+		exit;
+	}
+
 	/**
 	 * AJAX handler for running conformance tests
 	 *
@@ -602,11 +644,11 @@ final class ApplicationWizard {
 	}
 
 	/**
-	 * AJAX handler for enabling robots.txt filter
+	 * AJAX handler for applying a fix action of a failed test
 	 *
 	 * @return void
 	 */
-	public function ajax_enable_robots_filter(): void {
+	public function ajax_apply_conformance_fix(): void {
 		// Verify nonce.
 		check_ajax_referer( 'carticy_wizard_tests', 'nonce' );
 
@@ -618,14 +660,17 @@ final class ApplicationWizard {
 			);
 		}
 
-		// Enable the robots.txt filter.
-		update_option( 'carticy_ai_checkout_enable_openai_robots', 'yes' );
+		$fix_id = isset( $_POST['fix_id'] ) ? sanitize_key( wp_unslash( $_POST['fix_id'] ) ) : '';
 
-		wp_send_json_success(
-			array(
-				'message' => __( 'Robots.txt filter enabled successfully', 'carticy-ai-checkout-for-woocommerce' ),
-			)
-		);
+		try {
+			$message = \Carticy\AiCheckout\Init::get_instance()->get_service( 'conformance_test' )->apply_fix( $fix_id );
+		} catch ( \InvalidArgumentException $e ) {
+			wp_send_json_error( array( 'message' => $e->getMessage() ), 400 );
+		} catch ( \Exception $e ) {
+			wp_send_json_error( array( 'message' => $e->getMessage() ), 500 );
+		}
+
+		wp_send_json_success( array( 'message' => $message ) );
 	}
 
 	/**
@@ -655,21 +700,67 @@ final class ApplicationWizard {
 		}
 
 		// Validate required structure.
-		if ( ! isset( $results['summary'] ) || ! is_array( $results['summary'] ) ) {
-			wp_send_json_error( array( 'message' => __( 'Invalid results structure: missing summary', 'carticy-ai-checkout-for-woocommerce' ) ), 400 );
-		}
-
 		if ( ! isset( $results['tests'] ) || ! is_array( $results['tests'] ) ) {
 			wp_send_json_error( array( 'message' => __( 'Invalid results structure: missing tests', 'carticy-ai-checkout-for-woocommerce' ) ), 400 );
 		}
 
+		// Partial reruns merge into the saved results; full runs replace them.
+		$merge       = ! empty( $_POST['merge'] );
+		$saved       = $merge ? get_transient( 'carticy_ai_checkout_wizard_test_results' ) : false;
+		$saved_tests = is_array( $saved ) && isset( $saved['tests'] ) && is_array( $saved['tests'] ) ? $saved['tests'] : array();
+
+		$conformance_service = \Carticy\AiCheckout\Init::get_instance()->get_service( 'conformance_test' );
+		$run_test_ids        = array_filter( array_column( $results['tests'], 'test_id' ), 'is_string' );
+		$results             = $conformance_service->merge_results( $saved_tests, $results['tests'] );
+
 		// Save to transient (1 hour expiry).
 		set_transient( 'carticy_ai_checkout_wizard_test_results', $results, HOUR_IN_SECONDS );
 
+		// Keep every run in history for run-to-run comparison.
+		$conformance_service->record_run( $results, $run_test_ids );
+
 		wp_send_json_success(
 			array(
 				'message' => __( 'Test results saved successfully', 'carticy-ai-checkout-for-woocommerce' ),
+				'results' => $results,
+				'history' => $conformance_service->get_run_history(),
 			)
 		);
 	}
+
+	/**
+	 * AJAX handler for comparing two conformance runs from history
+	 *
+	 * @return void
+	 */
+	public function ajax_compare_conformance_runs(): void {
+		// Verify nonce.
+		check_ajax_referer( 'carticy_wizard_tests', 'nonce' );
+
+		// Verify permissions.
+		if ( ! current_user_can( 'manage_options' ) ) {
+			wp_send_json_error(
+				array( 'message' => __( 'Unauthorized', 'carticy-ai-checkout-for-woocommerce' ) ),
+				403
+			);
+		}
+
+		$conformance_service = \Carticy\AiCheckout\Init::get_instance()->get_service( 'conformance_test' );
+
+		$run_a = isset( $_POST['run_a'] ) ? sanitize_text_field( wp_unslash( $_POST['run_a'] ) ) : '';
+		$run_b = isset( $_POST['run_b'] ) ? sanitize_text_field( wp_unslash( $_POST['run_b'] ) ) : '';
+		$run_a = $conformance_service->get_run( $run_a );
+		$run_b = $conformance_service->get_run( $run_b );
+
+		if ( ! $run_a || ! $run_b ) {
+			wp_send_json_error( array( 'message' => __( 'Run not found in history', 'carticy-ai-checkout-for-woocommerce' ) ), 404 );
+		}
+
+		// Always compare older against newer, whatever order the runs were picked in.
+		if ( $run_a['timestamp'] > $run_b['timestamp'] ) {
+			list( $run_a, $run_b ) = array( $run_b, $run_a );
+		}
+
+		wp_send_json_success( $conformance_service->compare_runs( $run_a, $run_b ) );
+	}
 }
@@ -7,11 +7,15 @@
 
 namespace Carticy\AiCheckout\Admin;
 
+use Carticy\AiCheckout\Services\AlertService;
+use Carticy\AiCheckout\Services\ApiDebugLogger;
 use Carticy\AiCheckout\Services\LoggingService;
 use Carticy\AiCheckout\Services\ErrorLogService;
 use Carticy\AiCheckout\Services\WebhookLogger;
 use Carticy\AiCheckout\Services\PerformanceMetrics;
 use Carticy\AiCheckout\Services\SessionService;
+use Carticy\AiCheckout\Services\SessionTimelineService;
+use Carticy\AiCheckout\Services\WebhookService;
 
 if ( ! defined( 'ABSPATH' ) ) {
 	exit;
@@ -24,6 +28,11 @@ if ( ! defined( 'ABSPATH' ) ) {
  */
 final class LogsViewer {
 
+	/**
+	 * Minutes of traffic summarized by the live session status view
+	 */
+	public const LIVE_WINDOW = 5;
+
 	/**
 	 * Logging service instance.
 	 *
@@ -59,29 +68,75 @@ final class LogsViewer {
 	 */
 	private SessionService $session_service;
 
+	/**
+	 * Session timeline service instance.
+	 *
+	 * @var SessionTimelineService
+	 */
+	private SessionTimelineService $session_timeline;
+
+	/**
+	 * Webhook service instance.
+	 *
+	 * @var WebhookService
+	 */
+	private WebhookService $webhook_service;
+
+	/**
+	 * API debug logger instance.
+	 *
+	 * @var ApiDebugLogger
+	 */
+	private ApiDebugLogger $api_debug_logger;
+
+	/**
+	 * Alert service instance.
+	 *
+	 * @var AlertService
+	 */
+	private AlertService $alerts;
+
 	/**
 	 * Constructor.
 	 *
-	 * @param LoggingService     $logging_service     Logging service instance.
-	 * @param ErrorLogService    $error_log_service   Error log service instance.
-	 * @param WebhookLogger      $webhook_logger      Webhook logger instance.
-	 * @param PerformanceMetrics $performance_metrics Performance metrics instance.
-	 * @param SessionService     $session_service     Session service instance.
+	 * @param LoggingService         $logging_service     Logging service instance.
+	 * @param ErrorLogService        $error_log_service   Error log service instance.
+	 * @param WebhookLogger          $webhook_logger      Webhook logger instance.
+	 * @param PerformanceMetrics     $performance_metrics Performance metrics instance.
+	 * @param SessionService         $session_service     Session service instance.
+	 * @param SessionTimelineService $session_timeline    Session timeline service instance.
+	 * @param WebhookService         $webhook_service     Webhook service instance.
+	 * @param ApiDebugLogger         $api_debug_logger    API debug logger instance.
+	 * @param AlertService           $alerts              Alert service instance.
 	 */
 	public function __construct(
 		LoggingService $logging_service,
 		ErrorLogService $error_log_service,
 		WebhookLogger $webhook_logger,
 		PerformanceMetrics $performance_metrics,
-		SessionService $session_service
+		SessionService $session_service,
+		SessionTimelineService $session_timeline,
+		WebhookService $webhook_service,
+		ApiDebugLogger $api_debug_logger,
+		AlertService $alerts
 	) {
 		$this->logging_service     = $logging_service;
 		$this->error_log_service   = $error_log_service;
 		$this->webhook_logger      = $webhook_logger;
 		$this->performance_metrics = $performance_metrics;
 		$this->session_service     = $session_service;
+		$this->session_timeline    = $session_timeline;
+		$this->webhook_service     = $webhook_service;
+		$this->api_debug_logger    = $api_debug_logger;
+		$this->alerts              = $alerts;
 
 		add_action( 'admin_init', array( $this, 'handle_actions' ) );
+		add_action( 'wp_ajax_carticy_ai_checkout_retry_webhooks', array( $this, 'ajax_retry_webhooks' ) );
+		add_action( 'wp_ajax_carticy_ai_checkout_replay_webhook', array( $this, 'ajax_replay_webhook' ) );
+		add_action( 'wp_ajax_carticy_ai_checkout_signed_webhook', array( $this, 'ajax_signed_webhook' ) );
+		add_action( 'wp_ajax_carticy_ai_checkout_query_api_logs', array( $this, 'ajax_query_api_logs' ) );
+		add_action( 'wp_ajax_carticy_ai_checkout_live_session_status', array( $this, 'ajax_live_session_status' ) );
+		add_action( 'admin_post_carticy_ai_checkout_export_api_logs', array( $this, 'handle_export_api_logs' ) );
 	}
 
 	/**
@@ -129,6 +184,10 @@ final class LogsViewer {
 				return $this->get_webhook_logs_data();
 			case 'sessions':
 				return $this->get_session_status_data();
+			case 'session':
+				return $this->get_session_timeline_data();
+			case 'alerts':
+				return $this->get_alerts_data();
 			default:
 				return array();
 		}
@@ -137,44 +196,17 @@ final class LogsViewer {
 	/**
 	 * Get API logs data
 	 *
+	 * Entries are loaded by the log explorer through ajax_query_api_logs(); the tab
+	 * only needs the filter options.
+	 *
 	 * @return array API logs data
 	 */
 	private function get_api_logs_data(): array {
-		$log_files = $this->logging_service->get_log_files( 'carticy-api' );
-		$entries   = array();
-
-		// Pagination support for large log volumes (prevents memory issues with thousands of entries).
-		// phpcs:ignore WordPress.Security.NonceVerification.Recommended -- Pagination is a read-only display operation.
-		$per_page = isset( $_GET['per_page'] ) ? absint( $_GET['per_page'] ) : 25;
-		$per_page = max( 10, min( 100, $per_page ) ); // Clamp between 10-100
-
-		// phpcs:ignore WordPress.Security.NonceVerification.Recommended -- Pagination is a read-only display operation.
-		$current_page = isset( $_GET['paged'] ) ? absint( $_GET['paged'] ) : 1;
-		$current_page = max( 1, $current_page );
-
-		if ( ! empty( $log_files ) ) {
-			// Parse more entries than needed to enable pagination
-			$max_entries = $per_page * 10; // Parse up to 10 pages worth
-			$all_entries = $this->logging_service->parse_log_file( $log_files[0], $max_entries );
-
-			// Paginate results
-			$offset  = ( $current_page - 1 ) * $per_page;
-			$entries = array_slice( $all_entries, $offset, $per_page );
-
-			$total_entries = count( $all_entries );
-		} else {
-			$total_entries = 0;
-		}
-
 		return array(
-			'entries'    => $entries,
-			'file_count' => count( $log_files ),
-			'pagination' => array(
-				'current_page'  => $current_page,
-				'per_page'      => $per_page,
-				'total_entries' => $total_entries,
-				'total_pages'   => $total_entries > 0 ? ceil( $total_entries / $per_page ) : 1,
-			),
+			'endpoints'      => $this->api_debug_logger->get_logged_endpoints(),
+			'methods'        => array( 'GET', 'POST', 'PUT', 'PATCH', 'DELETE' ),
+			'status_classes' => ApiDebugLogger::STATUS_CLASSES,
+			'file_count'     => count( $this->logging_service->get_log_files( 'carticy-api' ) ),
 		);
 	}
 
@@ -233,6 +265,68 @@ final class LogsViewer {
 	 * @return array Session status data
 	 */
 	private function get_session_status_data(): array {
+		return array_merge(
+			$this->get_sessions(),
+			$this->count_sessions(),
+			array(
+				'performance'   => $this->performance_metrics->get_statistics( 24 ),
+				'system_health' => $this->performance_metrics->get_system_health(),
+			)
+		);
+	}
+
+	/**
+	 * Count all stored checkout sessions by status
+	 *
+	 * Counted in SQL on the stored session status, so every session counts, not
+	 * only the most recent ones get_sessions() lists.
+	 *
+	 * @return array{active_count: int, total_count: int, status_counts: array<string, int>} Counts.
+	 */
+	private function count_sessions(): array {
+		global $wpdb;
+
+		$statuses = array( 'active', 'completed', 'cancelled', 'failed', 'refunded', 'expired' );
+		$columns  = array( 'COUNT(*) AS total' );
+
+		foreach ( $statuses as $status ) {
+			// Sessions are stored serialized, e.g. s:6:"status";s:6:"active";.
+			$columns[] = $wpdb->prepare(
+				"SUM( option_value LIKE %s ) AS {$status}", // phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared -- Status names are fixed.
+				'%' . $wpdb->esc_like( sprintf( 's:6:"status";s:%d:"%s";', strlen( $status ), $status ) ) . '%'
+			);
+		}
+
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching, WordPress.DB.PreparedSQL.NotPrepared -- Columns are prepared above.
+		$row = $wpdb->get_row(
+			'SELECT ' . implode( ', ', $columns ) . " FROM {$wpdb->options} WHERE option_name LIKE '_transient_carticy_ai_checkout_session_%'",
+			ARRAY_A
+		);
+
+		$total         = (int) ( $row['total'] ?? 0 );
+		$status_counts = array();
+
+		foreach ( $statuses as $status ) {
+			$status_counts[ $status ] = (int) ( $row[ $status ] ?? 0 );
+		}
+
+		$status_counts['unknown'] = max( 0, $total - array_sum( $status_counts ) );
+
+		return array(
+			'active_count'  => $status_counts['active'],
+			'total_count'   => $total,
+			'status_counts' => $status_counts,
+		);
+	}
+
+	/**
+	 * Get the most recent checkout sessions with counts by status
+	 *
+	 * The counts only cover the listed sessions; count_sessions() counts them all.
+	 *
+	 * @return array{active_count: int, total_count: int, status_counts: array<string, int>, recent_sessions: array<int, array<string, mixed>>} Sessions.
+	 */
+	private function get_sessions(): array {
 		global $wpdb;
 
 		// Get active session transients
@@ -337,8 +431,76 @@ final class LogsViewer {
 			'total_count'     => $total_count,
 			'status_counts'   => $status_counts,
 			'recent_sessions' => $recent_sessions,
-			'performance'     => $this->performance_metrics->get_statistics( 24 ),
-			'system_health'   => $this->performance_metrics->get_system_health(),
+		);
+	}
+
+	/**
+	 * Get session timeline data
+	 *
+	 * @return array Session timeline data
+	 */
+	private function get_session_timeline_data(): array {
+		// Session ID with nonce verification (same nonce as the tab links).
+		$session_id = '';
+		if ( isset( $_GET['session_id'] ) && isset( $_GET['_wpnonce'] ) ) {
+			if ( wp_verify_nonce( sanitize_key( wp_unslash( $_GET['_wpnonce'] ) ), 'carticy_logs_tab' ) ) {
+				$session_id = sanitize_text_field( wp_unslash( $_GET['session_id'] ) );
+			}
+		}
+
+		if ( '' === $session_id ) {
+			return array( 'session_id' => '' );
+		}
+
+		$timeline = $this->session_timeline->get_timeline( $session_id );
+
+		return array(
+			'session_id' => $session_id,
+			'session'    => $this->session_service->get( $session_id ),
+			'events'     => $timeline['events'],
+			'order'      => $timeline['order_id'] ? wc_get_order( $timeline['order_id'] ) : null,
+		);
+	}
+
+	/**
+	 * Get alerts data
+	 *
+	 * Also schedules the rule evaluation, for sites updated without reactivating the plugin.
+	 *
+	 * @return array Alerts data
+	 */
+	private function get_alerts_data(): array {
+		$this->alerts->schedule_evaluation();
+
+		return array(
+			'rules'          => $this->alerts->get_rules(),
+			'state'          => $this->alerts->get_state(),
+			'history'        => $this->alerts->get_history(),
+			'channels'       => $this->alerts->get_channel_settings(),
+			'metrics'        => $this->alerts->get_metrics(),
+			'operators'      => $this->alerts->get_operators(),
+			'channel_labels' => $this->alerts->get_channels(),
+			'categories'     => $this->error_log_service->get_category_labels(),
+			'endpoints'      => array_keys( $this->performance_metrics->get_statistics( 24 )['by_endpoint'] ),
+			'next_run'       => wp_next_scheduled( AlertService::CRON_HOOK ),
+		);
+	}
+
+	/**
+	 * Get the URL of a session timeline
+	 *
+	 * @param string $session_id Session ID.
+	 * @return string Timeline URL.
+	 */
+	public static function get_session_timeline_url( string $session_id ): string {
+		return add_query_arg(
+			array(
+				'page'       => 'carticy-ai-checkout-logs',
+				'tab'        => 'session',
+				'session_id' => rawurlencode( $session_id ),
+				'_wpnonce'   => wp_create_nonce( 'carticy_logs_tab' ),
+			),
+			admin_url( 'admin.php' )
 		);
 	}
 
@@ -394,6 +556,16 @@ final class LogsViewer {
 				);
 				exit;
 
+			case 'carticy_ai_checkout_evaluate_alerts':
+				$this->alerts->evaluate_rules();
+				wp_safe_redirect( AlertService::get_admin_url() );
+				exit;
+
+			case 'carticy_ai_checkout_clear_alert_history':
+				$this->alerts->clear_history();
+				wp_safe_redirect( AlertService::get_admin_url() );
+				exit;
+
 			case 'carticy_ai_checkout_clear_retry_queue':
 				$this->webhook_logger->clear_retry_queue();
 				wp_safe_redirect(
@@ -409,6 +581,281 @@ final class LogsViewer {
 		}
 	}
 
+	/**
+	 * AJAX handler for retrying queued webhooks now
+	 *
+	 * @return void
+	 */
+	public function ajax_retry_webhooks(): void {
+		$this->verify_webhook_queue_request();
+
+		$indexes = isset( $_POST['indexes'] ) ? array_map( 'absint', (array) wp_unslash( $_POST['indexes'] ) ) : array(); // phpcs:ignore WordPress.Security.NonceVerification.Missing -- Verified in verify_webhook_queue_request().
+
+		if ( empty( $indexes ) ) {
+			wp_send_json_error( array( 'message' => __( 'No webhooks selected.', 'carticy-ai-checkout-for-woocommerce' ) ), 400 );
+		}
+
+		try {
+			$results = $this->webhook_service->retry_queued( $indexes );
+		} catch ( \Exception $e ) {
+			wp_send_json_error( array( 'message' => $e->getMessage() ), 400 );
+		}
+
+		wp_send_json_success(
+			array(
+				'results' => $results,
+			)
+		);
+	}
+
+	/**
+	 * AJAX handler for replaying a queued webhook to a different URL
+	 *
+	 * @return void
+	 */
+	public function ajax_replay_webhook(): void {
+		$this->verify_webhook_queue_request();
+
+		// phpcs:disable WordPress.Security.NonceVerification.Missing -- Verified in verify_webhook_queue_request().
+		$index = isset( $_POST['index'] ) ? absint( wp_unslash( $_POST['index'] ) ) : 0;
+		$url   = isset( $_POST['url'] ) ? esc_url_raw( wp_unslash( $_POST['url'] ), array( 'http', 'https' ) ) : '';
+		// phpcs:enable WordPress.Security.NonceVerification.Missing
+
+		try {
+			$result = $this->webhook_service->replay_queued( $index, $url );
+		} catch ( \InvalidArgumentException $e ) {
+			wp_send_json_error( array( 'message' => $e->getMessage() ), 400 );
+		} catch ( \Exception $e ) {
+			wp_send_json_error( array( 'message' => $e->getMessage() ), 500 );
+		}
+
+		wp_send_json_success(
+			array(
+				'result' => $result,
+			)
+		);
+	}
+
+	/**
+	 * AJAX handler for viewing the signed payload of a queued webhook
+	 *
+	 * @return void
+	 */
+	public function ajax_signed_webhook(): void {
+		$this->verify_webhook_queue_request();
+
+		$index = isset( $_POST['index'] ) ? absint( wp_unslash( $_POST['index'] ) ) : 0; // phpcs:ignore WordPress.Security.NonceVerification.Missing -- Verified in verify_webhook_queue_request().
+
+		try {
+			$request = $this->webhook_service->get_signed_queued_request( $index );
+		} catch ( \InvalidArgumentException $e ) {
+			wp_send_json_error( array( 'message' => $e->getMessage() ), 400 );
+		} catch ( \Exception $e ) {
+			wp_send_json_error( array( 'message' => $e->getMessage() ), 500 );
+		}
+
+		wp_send_json_success( $request );
+	}
+
+	/**
+	 * AJAX handler for the API log explorer
+	 *
+	 * Returns one page of the debug log entries matching the filters.
+	 *
+	 * @return void
+	 */
+	public function ajax_query_api_logs(): void {
+		check_ajax_referer( 'carticy_api_logs_nonce', 'nonce' );
+
+		if ( ! current_user_can( 'manage_options' ) ) {
+			wp_send_json_error( array( 'message' => __( 'Permission denied', 'carticy-ai-checkout-for-woocommerce' ) ), 403 );
+		}
+
+		// phpcs:disable WordPress.Security.NonceVerification.Missing -- Verified above.
+		$page     = isset( $_POST['page'] ) ? max( 1, absint( $_POST['page'] ) ) : 1;
+		$per_page = isset( $_POST['per_page'] ) ? absint( $_POST['per_page'] ) : 25;
+		$per_page = max( 10, min( 100, $per_page ) );
+		$filters  = $this->get_api_log_filters( wp_unslash( $_POST ) );
+		// phpcs:enable WordPress.Security.NonceVerification.Missing
+
+		// One entry past the page tells whether there is a next page, without reading every log file.
+		$logs = $this->api_debug_logger->query_logs( $filters, $page * $per_page + 1 );
+
+		wp_send_json_success(
+			array(
+				'entries'  => array_slice( $logs, ( $page - 1 ) * $per_page, $per_page ),
+				'page'     => $page,
+				'per_page' => $per_page,
+				'has_more' => count( $logs ) > $page * $per_page,
+			)
+		);
+	}
+
+	/**
+	 * AJAX handler for the live session status view
+	 *
+	 * Returns current session counts and traffic figures over the last
+	 * LIVE_WINDOW minutes. Figures are flagged when an enabled alert rule for the
+	 * same metric breaches, measured over the rule's own window like the alert
+	 * evaluation does.
+	 *
+	 * @return void
+	 */
+	public function ajax_live_session_status(): void {
+		check_ajax_referer( 'carticy_live_status_nonce', 'nonce' );
+
+		if ( ! current_user_can( 'manage_options' ) ) {
+			wp_send_json_error( array( 'message' => __( 'Permission denied', 'carticy-ai-checkout-for-woocommerce' ) ), 403 );
+		}
+
+		$since    = time() - self::LIVE_WINDOW * MINUTE_IN_SECONDS;
+		$sessions = $this->count_sessions();
+		$latency  = $this->performance_metrics->get_latency_summary( $since );
+		$webhooks = $this->webhook_logger->count_deliveries( $since );
+
+		$values = array(
+			'active_sessions'      => (float) $sessions['active_count'],
+			'requests_per_minute'  => $latency['requests'] / self::LIVE_WINDOW,
+			'latency_p50'          => $latency['p50'],
+			'latency_p95'          => $latency['p95'],
+			'latency_p99'          => $latency['p99'],
+			'errors'               => (float) $this->error_log_service->count_errors( $since ),
+			'webhook_failures'     => (float) $webhooks['failed'],
+			'webhook_failure_rate' => $webhooks['sent'] > 0 ? ( $webhooks['failed'] / $webhooks['sent'] ) * 100 : null,
+		);
+
+		// Alert metrics the figures can be compared with.
+		$alert_metrics = array(
+			'latency_p95'          => AlertService::METRIC_LATENCY_P95,
+			'errors'               => AlertService::METRIC_ERROR_COUNT,
+			'webhook_failures'     => AlertService::METRIC_WEBHOOK_FAILURES,
+			'webhook_failure_rate' => AlertService::METRIC_WEBHOOK_FAILURE_RATE,
+		);
+
+		$rules   = $this->alerts->get_threshold_rules();
+		$metrics = array();
+
+		foreach ( $values as $key => $value ) {
+			$rule = isset( $alert_metrics[ $key ] ) ? ( $rules[ $alert_metrics[ $key ] ] ?? null ) : null;
+
+			$metrics[ $key ] = array(
+				'value'     => $value,
+				'display'   => $this->format_live_value( $key, $value ),
+				'threshold' => $rule ? $this->alerts->describe_condition( $rule ) : null,
+				'breached'  => $rule ? $this->alerts->is_breaching( $rule, $this->alerts->measure( $rule ) ) : false,
+			);
+		}
+
+		wp_send_json_success(
+			array(
+				'time'          => wp_date( 'H:i:s' ),
+				'active_count'  => $sessions['active_count'],
+				'total_count'   => $sessions['total_count'],
+				'status_counts' => $sessions['status_counts'],
+				'metrics'       => $metrics,
+			)
+		);
+	}
+
+	/**
+	 * Format a live session status figure
+	 *
+	 * @param string     $key   Figure key.
+	 * @param float|null $value Value.
+	 * @return string Formatted value, or a dash without data.
+	 */
+	private function format_live_value( string $key, ?float $value ): string {
+		if ( null === $value ) {
+			return '—';
+		}
+
+		switch ( $key ) {
+			case 'requests_per_minute':
+				return number_format_i18n( $value, 1 );
+
+			case 'latency_p50':
+			case 'latency_p95':
+			case 'latency_p99':
+				return number_format_i18n( $value, 3 ) . 's';
+
+			case 'webhook_failure_rate':
+				return number_format_i18n( $value, 1 ) . '%';
+		}
+
+		return number_format_i18n( $value );
+	}
+
+	/**
+	 * Handle API log export download
+	 *
+	 * Exports every entry matching the explorer filters as CSV or NDJSON.
+	 *
+	 * @return void
+	 */
+	public function handle_export_api_logs(): void {
+		if ( ! isset( $_GET['_wpnonce'] ) || ! wp_verify_nonce( sanitize_text_field( wp_unslash( $_GET['_wpnonce'] ) ), 'carticy_api_logs_nonce' ) ) {
+			wp_die( esc_html__( 'Security check failed', 'carticy-ai-checkout-for-woocommerce' ) );
+		}
+
+		if ( ! current_user_can( 'manage_options' ) ) {
+			wp_die( esc_html__( 'Unauthorized', 'carticy-ai-checkout-for-woocommerce' ) );
+		}
+
+		$format   = isset( $_GET['format'] ) && 'ndjson' === $_GET['format'] ? 'ndjson' : 'csv';
+		$logs     = $this->api_debug_logger->query_logs( $this->get_api_log_filters( wp_unslash( $_GET ) ) );
+		$filename = 'carticy-api-logs-' . gmdate( 'Y-m-d-His' ) . '.' . $format;
+
+		nocache_headers();
+		header( 'Content-Type: ' . ( 'ndjson' === $format ? 'application/x-ndjson' : 'text/csv' ) . '; charset=utf-8' );
+		header( 'Content-Disposition: attachment; filename="' . $filename . '"' );
+
+		// phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- CSV/NDJSON file download.
+		echo 'ndjson' === $format ? $this->api_debug_logger->export_logs_ndjson( $logs ) : $this->api_debug_logger->export_logs_csv( $logs );
+		exit;
+	}
+
+	/**
+	 * Read API log explorer filters from request data
+	 *
+	 * @param array $source Unslashed request data ($_GET or $_POST).
+	 * @return array<string, string> Filters for ApiDebugLogger::query_logs().
+	 */
+	private function get_api_log_filters( array $source ): array {
+		$filters = array(
+			'endpoint'     => sanitize_text_field( $source['endpoint'] ?? '' ),
+			'method'       => strtoupper( sanitize_key( $source['method'] ?? '' ) ),
+			'status_class' => sanitize_key( $source['status_class'] ?? '' ),
+			'date_from'    => sanitize_text_field( $source['date_from'] ?? '' ),
+			'date_to'      => sanitize_text_field( $source['date_to'] ?? '' ),
+			'search'       => sanitize_text_field( $source['search'] ?? '' ),
+		);
+
+		if ( ! in_array( $filters['status_class'], ApiDebugLogger::STATUS_CLASSES, true ) ) {
+			$filters['status_class'] = '';
+		}
+
+		foreach ( array( 'date_from', 'date_to' ) as $key ) {
+			if ( ! preg_match( '/^\d{4}-\d{2}-\d{2}$/', $filters[ $key ] ) ) {
+				$filters[ $key ] = '';
+			}
+		}
+
+		return $filters;
+	}
+
+	/**
+	 * Verify nonce and permissions of a retry queue AJAX request
+	 *
+	 * @return void
+	 */
+	private function verify_webhook_queue_request(): void {
+		check_ajax_referer( 'carticy_webhook_queue_nonce', 'nonce' );
+
+		if ( ! current_user_can( 'manage_options' ) ) {
+			wp_send_json_error( array( 'message' => __( 'Permission denied', 'carticy-ai-checkout-for-woocommerce' ) ), 403 );
+		}
+	}
+
 	/**
 	 * Get available tabs
 	 *
@@ -432,6 +879,10 @@ final class LogsViewer {
 				'label' => __( 'Session Status', 'carticy-ai-checkout-for-woocommerce' ),
 				'icon'  => 'dashicons-admin-generic',
 			),
+			'alerts'   => array(
+				'label' => __( 'Alerts', 'carticy-ai-checkout-for-woocommerce' ),
+				'icon'  => 'dashicons-bell',
+			),
 		);
 	}
 }
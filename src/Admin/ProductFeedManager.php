@@ -9,8 +9,13 @@
 
 namespace Carticy\AiCheckout\Admin;
 
+use Carticy\AiCheckout\Services\BatchJobService;
+use Carticy\AiCheckout\Services\ChannelPricingService;
+use Carticy\AiCheckout\Services\FeedInclusionService;
+use Carticy\AiCheckout\Services\FeedMappingService;
 use Carticy\AiCheckout\Services\ProductFeedService;
 use Carticy\AiCheckout\Services\ProductQualityChecker;
+use Carticy\AiCheckout\Services\ProductQualityFixer;
 
 /**
  * Product feed management admin page
@@ -30,6 +35,41 @@ final class ProductFeedManager {
 	 */
 	private ProductQualityChecker $quality_checker;
 
+	/**
+	 * Batch job service
+	 *
+	 * @var BatchJobService
+	 */
+	private BatchJobService $batch_jobs;
+
+	/**
+	 * Product quality fixer
+	 *
+	 * @var ProductQualityFixer
+	 */
+	private ProductQualityFixer $quality_fixer;
+
+	/**
+	 * Feed mapping service
+	 *
+	 * @var FeedMappingService
+	 */
+	private FeedMappingService $feed_mapping;
+
+	/**
+	 * Feed inclusion service
+	 *
+	 * @var FeedInclusionService
+	 */
+	private FeedInclusionService $feed_inclusion;
+
+	/**
+	 * Channel pricing service
+	 *
+	 * @var ChannelPricingService
+	 */
+	private ChannelPricingService $channel_pricing;
+
 	/**
 	 * Products list table
 	 *
@@ -40,12 +80,22 @@ final class ProductFeedManager {
 	/**
 	 * Constructor
 	 *
-	 * @param ProductFeedService    $feed_service     Feed service instance.
+	 * @param ProductFeedService    $feed_service    Feed service instance.
 	 * @param ProductQualityChecker $quality_checker Quality checker instance.
+	 * @param BatchJobService       $batch_jobs      Batch job service instance.
+	 * @param ProductQualityFixer   $quality_fixer   Quality fixer instance.
+	 * @param FeedMappingService    $feed_mapping    Feed mapping service instance.
+	 * @param FeedInclusionService  $feed_inclusion  Feed inclusion service instance.
+	 * @param ChannelPricingService $channel_pricing Channel pricing service instance.
 	 */
-	public function __construct( ProductFeedService $feed_service, ProductQualityChecker $quality_checker ) {
+	public function __construct( ProductFeedService $feed_service, ProductQualityChecker $quality_checker, BatchJobService $batch_jobs, ProductQualityFixer $quality_fixer, FeedMappingService $feed_mapping, FeedInclusionService $feed_inclusion, ChannelPricingService $channel_pricing ) {
 		$this->feed_service    = $feed_service;
 		$this->quality_checker = $quality_checker;
+		$this->batch_jobs      = $batch_jobs;
+		$this->quality_fixer   = $quality_fixer;
+		$this->feed_mapping    = $feed_mapping;
+		$this->feed_inclusion  = $feed_inclusion;
+		$this->channel_pricing = $channel_pricing;
 
 		$this->init_hooks();
 	}
@@ -58,8 +108,18 @@ final class ProductFeedManager {
 	private function init_hooks(): void {
 		// Add AJAX handlers.
 		add_action( 'wp_ajax_carticy_ai_checkout_preview_product_feed', array( $this, 'ajax_preview_product_feed' ) );
-		add_action( 'wp_ajax_carticy_ai_checkout_regenerate_feed', array( $this, 'ajax_regenerate_feed' ) );
-		add_action( 'wp_ajax_carticy_ai_checkout_recalculate_quality', array( $this, 'ajax_recalculate_quality' ) );
+		add_action( 'wp_ajax_carticy_ai_checkout_save_feed_overrides', array( $this, 'ajax_save_feed_overrides' ) );
+		add_action( 'wp_ajax_carticy_ai_checkout_compare_feed', array( $this, 'ajax_compare_feed' ) );
+		add_action( 'wp_ajax_carticy_ai_checkout_preview_feed_export', array( $this, 'ajax_preview_feed_export' ) );
+		add_action( 'admin_post_carticy_ai_checkout_download_feed', array( $this, 'handle_download_feed' ) );
+		add_action( 'wp_ajax_carticy_ai_checkout_preview_feed_mapping', array( $this, 'ajax_preview_feed_mapping' ) );
+		add_action( 'wp_ajax_carticy_ai_checkout_preview_feed_inclusion', array( $this, 'ajax_preview_feed_inclusion' ) );
+		add_action( 'wp_ajax_carticy_ai_checkout_save_channel_pricing', array( $this, 'ajax_save_channel_pricing' ) );
+		add_action( 'wp_ajax_carticy_ai_checkout_quality_details', array( $this, 'ajax_quality_details' ) );
+		add_action( 'wp_ajax_carticy_ai_checkout_apply_quality_fix', array( $this, 'ajax_apply_quality_fix' ) );
+		add_action( 'wp_ajax_carticy_ai_checkout_start_batch_job', array( $this, 'ajax_start_batch_job' ) );
+		add_action( 'wp_ajax_carticy_ai_checkout_batch_job_progress', array( $this, 'ajax_batch_job_progress' ) );
+		add_action( 'wp_ajax_carticy_ai_checkout_cancel_batch_job', array( $this, 'ajax_cancel_batch_job' ) );
 
 		// Add meta box to product edit screen.
 		add_action( 'add_meta_boxes', array( $this, 'add_product_meta_box' ) );
@@ -86,7 +146,7 @@ final class ProductFeedManager {
 		$this->handle_product_toggle();
 
 		// Create list table instance.
-		$this->list_table = new ProductsListTable( $this->quality_checker );
+		$this->list_table = new ProductsListTable( $this->quality_checker, $this->channel_pricing );
 		$this->list_table->prepare_items();
 
 		// Get statistics.
@@ -106,24 +166,27 @@ final class ProductFeedManager {
 			<div class="feed-statistics">
 				<div class="stats-grid">
 					<div class="stat-box">
-						<div class="stat-number"><?php echo esc_html( $stats['total_products'] ); ?></div>
+						<div class="stat-number" data-stat="total_products"><?php echo esc_html( $stats['total_products'] ); ?></div>
 						<div class="stat-label"><?php esc_html_e( 'Total Products', 'carticy-ai-checkout-for-woocommerce' ); ?></div>
 					</div>
 					<div class="stat-box">
-						<div class="stat-number"><?php echo esc_html( $stats['chatgpt_enabled'] ); ?></div>
+						<div class="stat-number" data-stat="chatgpt_enabled"><?php echo esc_html( $stats['chatgpt_enabled'] ); ?></div>
 						<div class="stat-label"><?php esc_html_e( 'ChatGPT Enabled', 'carticy-ai-checkout-for-woocommerce' ); ?></div>
 					</div>
 					<div class="stat-box">
-						<div class="stat-number"><?php echo esc_html( $stats['avg_quality'] ); ?>%</div>
+						<div class="stat-number" data-stat="avg_quality"><?php echo esc_html( $stats['avg_quality'] ); ?>%</div>
 						<div class="stat-label"><?php esc_html_e( 'Avg Quality Score', 'carticy-ai-checkout-for-woocommerce' ); ?></div>
 					</div>
 					<div class="stat-box">
-						<div class="stat-number"><?php echo esc_html( $stats['products_with_issues'] ); ?></div>
+						<div class="stat-number" data-stat="products_with_issues"><?php echo esc_html( $stats['products_with_issues'] ); ?></div>
 						<div class="stat-label"><?php esc_html_e( 'Products with Issues', 'carticy-ai-checkout-for-woocommerce' ); ?></div>
 					</div>
 				</div>
 
 				<div class="feed-actions">
+					<button type="button" class="button button-secondary" id="carticy-compare-feed">
+						<?php esc_html_e( 'Compare with Live Feed', 'carticy-ai-checkout-for-woocommerce' ); ?>
+					</button>
 					<button type="button" class="button button-secondary" id="carticy-regenerate-feed">
 						<?php esc_html_e( 'Regenerate Feed', 'carticy-ai-checkout-for-woocommerce' ); ?>
 					</button>
@@ -158,6 +221,261 @@ final class ProductFeedManager {
 		<?php
 	}
 
+	/**
+	 * Get the tabs of the product feed page
+	 *
+	 * @return array<string, array{label: string, icon: string}> Tabs keyed by tab ID.
+	 */
+	public function get_tabs(): array {
+		return array(
+			'products'  => array(
+				'label' => __( 'Products', 'carticy-ai-checkout-for-woocommerce' ),
+				'icon'  => 'dashicons-products',
+			),
+			'inclusion' => array(
+				'label' => __( 'Inclusion Rules', 'carticy-ai-checkout-for-woocommerce' ),
+				'icon'  => 'dashicons-filter',
+			),
+			'mapping'   => array(
+				'label' => __( 'Field Mapping', 'carticy-ai-checkout-for-woocommerce' ),
+				'icon'  => 'dashicons-randomize',
+			),
+			'pricing'   => array(
+				'label' => __( 'ChatGPT Pricing', 'carticy-ai-checkout-for-woocommerce' ),
+				'icon'  => 'dashicons-tag',
+			),
+		);
+	}
+
+	/**
+	 * Get the URL of a product feed page tab
+	 *
+	 * @param string $tab Tab ID.
+	 * @return string Tab URL.
+	 */
+	public static function get_tab_url( string $tab ): string {
+		return add_query_arg(
+			array(
+				'page'     => 'carticy-ai-checkout-product-feed',
+				'tab'      => $tab,
+				'_wpnonce' => wp_create_nonce( 'carticy_product_feed_tab' ),
+			),
+			admin_url( 'admin.php' )
+		);
+	}
+
+	/**
+	 * Get data for the field mapping tab
+	 *
+	 * @return array<string, mixed> Rules, choices for the rule fields and sample products for the preview.
+	 */
+	public function get_mapping_data(): array {
+		$categories = get_terms(
+			array(
+				'taxonomy'   => 'product_cat',
+				'hide_empty' => false,
+				'orderby'    => 'name',
+			)
+		);
+		$samples    = array();
+
+		foreach ( array_slice( $this->feed_service->get_enabled_product_ids(), 0, 50 ) as $product_id ) {
+			$samples[ $product_id ] = get_the_title( $product_id );
+		}
+
+		return array(
+			'rules'      => $this->feed_mapping->get_rules(),
+			'fields'     => $this->feed_mapping->get_fields(),
+			'sources'    => $this->feed_mapping->get_sources(),
+			'attributes' => $this->feed_mapping->get_attribute_choices(),
+			'taxonomies' => $this->feed_mapping->get_taxonomy_choices(),
+			'meta_keys'  => $this->feed_mapping->get_meta_key_suggestions(),
+			'categories' => is_wp_error( $categories ) ? array() : wp_list_pluck( $categories, 'name', 'term_id' ),
+			'samples'    => $samples,
+		);
+	}
+
+	/**
+	 * AJAX handler for the field mapping live preview
+	 *
+	 * Applies the submitted, unsaved rules to a sample product.
+	 *
+	 * @return void
+	 */
+	public function ajax_preview_feed_mapping(): void {
+		check_ajax_referer( 'carticy_product_feed_nonce', 'nonce' );
+
+		if ( ! current_user_can( 'manage_options' ) ) {
+			wp_send_json_error( array( 'message' => __( 'Unauthorized', 'carticy-ai-checkout-for-woocommerce' ) ) );
+		}
+
+		$product_id = isset( $_POST['product_id'] ) ? absint( $_POST['product_id'] ) : 0;
+		$product    = $product_id ? wc_get_product( $product_id ) : null;
+
+		if ( ! $product ) {
+			wp_send_json_error( array( 'message' => __( 'Product not found', 'carticy-ai-checkout-for-woocommerce' ) ) );
+		}
+
+		// Sanitized by the mapping service like the saved option.
+		// phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized
+		$rules = isset( $_POST[ FeedMappingService::OPTION_RULES ] ) ? wp_unslash( $_POST[ FeedMappingService::OPTION_RULES ] ) : array();
+
+		wp_send_json_success( $this->feed_service->preview_mapping( $product, $this->feed_mapping->sanitize_rules( $rules ) ) );
+	}
+
+	/**
+	 * Get data for the inclusion rules tab
+	 *
+	 * @return array<string, mixed> Rules, choices for the rule conditions and the running re-evaluation job, if any.
+	 */
+	public function get_inclusion_data(): array {
+		$terms = array();
+
+		foreach ( array( 'product_cat', 'product_tag' ) as $taxonomy ) {
+			$taxonomy_terms = get_terms(
+				array(
+					'taxonomy'   => $taxonomy,
+					'hide_empty' => false,
+					'orderby'    => 'name',
+				)
+			);
+
+			$terms[ $taxonomy ] = is_wp_error( $taxonomy_terms ) ? array() : wp_list_pluck( $taxonomy_terms, 'name', 'term_id' );
+		}
+
+		$job = $this->batch_jobs->get_job( BatchJobService::TYPE_INCLUSION );
+
+		return array(
+			'rules'          => $this->feed_inclusion->get_rules(),
+			'actions'        => $this->feed_inclusion->get_actions(),
+			'categories'     => $terms['product_cat'],
+			'tags'           => $terms['product_tag'],
+			'stock_statuses' => wc_get_product_stock_status_options(),
+			'job'            => $job && 'running' === $job['status'] ? $this->batch_jobs->summarize( $job ) : null,
+		);
+	}
+
+	/**
+	 * AJAX handler for the inclusion rules live preview
+	 *
+	 * Matches the submitted, unsaved rules against the catalog.
+	 *
+	 * @return void
+	 */
+	public function ajax_preview_feed_inclusion(): void {
+		check_ajax_referer( 'carticy_product_feed_nonce', 'nonce' );
+
+		if ( ! current_user_can( 'manage_options' ) ) {
+			wp_send_json_error( array( 'message' => __( 'Unauthorized', 'carticy-ai-checkout-for-woocommerce' ) ) );
+		}
+
+		// Sanitized by the inclusion service like the saved option.
+		// phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized
+		$rules = isset( $_POST[ FeedInclusionService::OPTION_RULES ] ) ? wp_unslash( $_POST[ FeedInclusionService::OPTION_RULES ] ) : array();
+
+		wp_send_json_success( $this->feed_inclusion->preview( $this->feed_inclusion->sanitize_rules( $rules ) ) );
+	}
+
+	/**
+	 * Get data for the ChatGPT pricing tab
+	 *
+	 * @return array<string, mixed> Category overrides and choices for their fields.
+	 */
+	public function get_pricing_data(): array {
+		$categories = get_terms(
+			array(
+				'taxonomy'   => 'product_cat',
+				'hide_empty' => false,
+				'orderby'    => 'name',
+			)
+		);
+
+		return array(
+			'overrides'  => $this->channel_pricing->get_category_overrides(),
+			'fields'     => $this->channel_pricing->get_fields(),
+			'categories' => is_wp_error( $categories ) ? array() : wp_list_pluck( $categories, 'name', 'term_id' ),
+		);
+	}
+
+	/**
+	 * AJAX handler for editing the ChatGPT pricing of one or more products
+	 *
+	 * Fields left out of the request are not changed; empty fields are cleared.
+	 *
+	 * @return void
+	 */
+	public function ajax_save_channel_pricing(): void {
+		check_ajax_referer( 'carticy_product_feed_nonce', 'nonce' );
+
+		if ( ! current_user_can( 'manage_options' ) ) {
+			wp_send_json_error( array( 'message' => __( 'Unauthorized', 'carticy-ai-checkout-for-woocommerce' ) ) );
+		}
+
+		$product_ids = isset( $_POST['product_ids'] ) && is_array( $_POST['product_ids'] )
+			? array_map( 'absint', wp_unslash( $_POST['product_ids'] ) )
+			: array();
+		$product_ids = array_values(
+			array_filter(
+				$product_ids,
+				function ( $product_id ) {
+					return 'product' === get_post_type( $product_id );
+				}
+			)
+		);
+
+		if ( empty( $product_ids ) ) {
+			wp_send_json_error( array( 'message' => __( 'Select at least one product.', 'carticy-ai-checkout-for-woocommerce' ) ) );
+		}
+
+		$changes = array();
+
+		// phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- Each value is sanitized below.
+		$submitted = isset( $_POST['changes'] ) && is_array( $_POST['changes'] ) ? wp_unslash( $_POST['changes'] ) : array();
+		foreach ( $submitted as $field => $value ) {
+			if ( is_string( $value ) ) {
+				$changes[ sanitize_key( $field ) ] = sanitize_text_field( $value );
+			}
+		}
+
+		$errors = $this->channel_pricing->validate_overrides( $changes );
+		if ( ! empty( $errors ) ) {
+			wp_send_json_error(
+				array(
+					'message' => __( 'Some fields are invalid. Please correct them and try again.', 'carticy-ai-checkout-for-woocommerce' ),
+					'errors'  => $errors,
+				)
+			);
+		}
+
+		if ( $this->channel_pricing->update_product_overrides( $product_ids, $changes ) ) {
+			$this->feed_service->invalidate_cache();
+		}
+
+		$cells = array();
+		foreach ( $product_ids as $product_id ) {
+			$product = wc_get_product( $product_id );
+			if ( $product ) {
+				$cells[ $product_id ] = ProductsListTable::render_channel_pricing_cell( $product, $this->channel_pricing );
+			}
+		}
+
+		wp_send_json_success(
+			array(
+				'message' => sprintf(
+					/* translators: %d: number of products */
+					_n(
+						'ChatGPT pricing saved for %d product.',
+						'ChatGPT pricing saved for %d products.',
+						count( $product_ids ),
+						'carticy-ai-checkout-for-woocommerce'
+					),
+					count( $product_ids )
+				),
+				'cells'   => $cells,
+			)
+		);
+	}
+
 	/**
 	 * Handle bulk actions
 	 *
@@ -193,6 +511,7 @@ final class ProductFeedManager {
 			case 'enable_chatgpt':
 				foreach ( $product_ids as $product_id ) {
 					update_post_meta( $product_id, '_carticy_ai_checkout_enabled', 'yes' );
+					delete_post_meta( $product_id, FeedInclusionService::META_SOURCE );
 				}
 				add_settings_error(
 					'carticy_product_feed',
@@ -214,6 +533,7 @@ final class ProductFeedManager {
 			case 'disable_chatgpt':
 				foreach ( $product_ids as $product_id ) {
 					update_post_meta( $product_id, '_carticy_ai_checkout_enabled', 'no' );
+					delete_post_meta( $product_id, FeedInclusionService::META_SOURCE );
 				}
 				add_settings_error(
 					'carticy_product_feed',
@@ -231,6 +551,25 @@ final class ProductFeedManager {
 					'success'
 				);
 				break;
+
+			case 'follow_inclusion_rules':
+				$this->feed_inclusion->release( $product_ids );
+				add_settings_error(
+					'carticy_product_feed',
+					'products_released',
+					sprintf(
+						/* translators: %d: number of products */
+						_n(
+							'%d product now follows the inclusion rules.',
+							'%d products now follow the inclusion rules.',
+							count( $product_ids ),
+							'carticy-ai-checkout-for-woocommerce'
+						),
+						count( $product_ids )
+					),
+					'success'
+				);
+				break;
 		}
 
 		// Invalidate feed cache after bulk actions.
@@ -266,6 +605,7 @@ final class ProductFeedManager {
 		$new_status     = 'yes' === $current_status ? 'no' : 'yes';
 
 		update_post_meta( $product_id, '_carticy_ai_checkout_enabled', $new_status );
+		delete_post_meta( $product_id, FeedInclusionService::META_SOURCE );
 
 		// Invalidate feed cache.
 		$this->feed_service->invalidate_cache();
@@ -402,6 +742,9 @@ final class ProductFeedManager {
 					<?php checked( $enabled, 'yes' ); ?> />
 				<?php esc_html_e( 'Enable for ChatGPT', 'carticy-ai-checkout-for-woocommerce' ); ?>
 			</label>
+			<?php if ( $this->feed_inclusion->is_rule_managed( $post->ID ) ) : ?>
+				<p class="description"><?php esc_html_e( 'Set by the feed inclusion rules. Changing it here overrides them for this product.', 'carticy-ai-checkout-for-woocommerce' ); ?></p>
+			<?php endif; ?>
 
 			<div class="carticy-ai-checkout-meta-divider"></div>
 
@@ -465,9 +808,14 @@ final class ProductFeedManager {
 			return;
 		}
 
-		// Save enabled status.
+		// Save enabled status. Only a changed checkbox is a manual toggle, so saving
+		// a product does not take it away from the inclusion rules.
 		$enabled = isset( $_POST['carticy_chatgpt_enabled'] ) && 'yes' === $_POST['carticy_chatgpt_enabled'] ? 'yes' : 'no';
-		update_post_meta( $post_id, '_carticy_ai_checkout_enabled', $enabled );
+
+		if ( ( 'yes' === get_post_meta( $post_id, '_carticy_ai_checkout_enabled', true ) ? 'yes' : 'no' ) !== $enabled ) {
+			update_post_meta( $post_id, '_carticy_ai_checkout_enabled', $enabled );
+			delete_post_meta( $post_id, FeedInclusionService::META_SOURCE );
+		}
 
 		// Recalculate quality score.
 		$this->quality_checker->update_product_quality_cache( $post_id );
@@ -501,57 +849,394 @@ final class ProductFeedManager {
 		// Get single product feed data.
 		$feed_data = $this->feed_service->get_product_feed_data( $product );
 
-		wp_send_json_success( array( 'feed' => wp_json_encode( $feed_data, JSON_PRETTY_PRINT ) ) );
+		wp_send_json_success(
+			array(
+				'feed'   => wp_json_encode( $feed_data, JSON_PRETTY_PRINT ),
+				'fields' => $this->feed_service->get_feed_editor_fields( $product ),
+			)
+		);
 	}
 
 	/**
-	 * AJAX handler for feed regeneration
+	 * AJAX handler for saving feed field overrides from the preview editor
 	 *
 	 * @return void
 	 */
-	public function ajax_regenerate_feed(): void {
+	public function ajax_save_feed_overrides(): void {
 		check_ajax_referer( 'carticy_product_feed_nonce', 'nonce' );
 
 		if ( ! current_user_can( 'manage_options' ) ) {
 			wp_send_json_error( array( 'message' => __( 'Unauthorized', 'carticy-ai-checkout-for-woocommerce' ) ) );
 		}
 
-		$this->feed_service->invalidate_cache();
-		update_option( 'carticy_ai_checkout_feed_last_updated', time() );
+		$product_id = isset( $_POST['product_id'] ) ? absint( $_POST['product_id'] ) : 0;
+		$product    = $product_id ? wc_get_product( $product_id ) : false;
+		if ( ! $product ) {
+			wp_send_json_error( array( 'message' => __( 'Product not found', 'carticy-ai-checkout-for-woocommerce' ) ) );
+		}
+
+		$values = array();
+
+		// Only the fields the merchant changed are submitted.
+		// phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- Each value is sanitized below.
+		$submitted = isset( $_POST['fields'] ) && is_array( $_POST['fields'] ) ? wp_unslash( $_POST['fields'] ) : array();
+		foreach ( $submitted as $key => $value ) {
+			$key = sanitize_key( $key );
+			if ( ! is_string( $value ) ) {
+				continue;
+			}
+
+			$values[ $key ] = $this->feed_service->sanitize_feed_value( $key, $value );
+		}
+
+		// Invalid fields are left out; the valid ones are still saved.
+		$errors = $this->feed_service->validate_feed_overrides( $values );
+		$valid  = array_diff_key( $values, $errors );
+
+		if ( ! empty( $valid ) ) {
+			$this->feed_service->save_feed_overrides( $product, $valid );
+		}
+
+		if ( ! empty( $errors ) ) {
+			wp_send_json_error(
+				array(
+					'message' => __( 'Some fields are invalid and were not saved. Please correct them and try again.', 'carticy-ai-checkout-for-woocommerce' ),
+					'errors'  => $errors,
+				)
+			);
+		}
+
+		wp_send_json_success(
+			array(
+				'message' => __( 'Feed fields saved.', 'carticy-ai-checkout-for-woocommerce' ),
+				'feed'    => wp_json_encode( $this->feed_service->get_product_feed_data( $product ), JSON_PRETTY_PRINT ),
+				'fields'  => $this->feed_service->get_feed_editor_fields( $product ),
+			)
+		);
+	}
+
+	/**
+	 * AJAX handler for the quality drill-down panel
+	 *
+	 * @return void
+	 */
+	public function ajax_quality_details(): void {
+		check_ajax_referer( 'carticy_product_feed_nonce', 'nonce' );
+
+		if ( ! current_user_can( 'manage_options' ) ) {
+			wp_send_json_error( array( 'message' => __( 'Unauthorized', 'carticy-ai-checkout-for-woocommerce' ) ) );
+		}
+
+		$product_id = isset( $_POST['product_id'] ) ? absint( $_POST['product_id'] ) : 0;
+		$product    = $product_id ? wc_get_product( $product_id ) : null;
+		if ( ! $product ) {
+			wp_send_json_error( array( 'message' => __( 'Product not found', 'carticy-ai-checkout-for-woocommerce' ) ) );
+		}
+
+		// Re-score so the row matches the fresh checks shown in the panel.
+		$this->quality_checker->update_product_quality_cache( $product_id );
+
+		wp_send_json_success( $this->prepare_quality_response( $product ) );
+	}
+
+	/**
+	 * AJAX handler for applying a one-click quality fix
+	 *
+	 * @return void
+	 */
+	public function ajax_apply_quality_fix(): void {
+		check_ajax_referer( 'carticy_product_feed_nonce', 'nonce' );
+
+		if ( ! current_user_can( 'manage_options' ) ) {
+			wp_send_json_error( array( 'message' => __( 'Unauthorized', 'carticy-ai-checkout-for-woocommerce' ) ) );
+		}
+
+		$product_id = isset( $_POST['product_id'] ) ? absint( $_POST['product_id'] ) : 0;
+		$product    = $product_id ? wc_get_product( $product_id ) : null;
+		if ( ! $product ) {
+			wp_send_json_error( array( 'message' => __( 'Product not found', 'carticy-ai-checkout-for-woocommerce' ) ) );
+		}
+
+		$fix = isset( $_POST['fix'] ) ? sanitize_key( wp_unslash( $_POST['fix'] ) ) : '';
 
-		wp_send_json_success( array( 'message' => __( 'Feed cache cleared successfully', 'carticy-ai-checkout-for-woocommerce' ) ) );
+		// Gallery fixes send a list of attachment IDs, description keeps its markup, the rest are plain text.
+		if ( 'gallery' === $fix ) {
+			$value = isset( $_POST['value'] ) ? array_map( 'absint', (array) wp_unslash( $_POST['value'] ) ) : array();
+		} elseif ( 'description' === $fix ) {
+			$value = isset( $_POST['value'] ) ? trim( wp_kses_post( wp_unslash( $_POST['value'] ) ) ) : '';
+		} else {
+			$value = isset( $_POST['value'] ) ? sanitize_text_field( wp_unslash( $_POST['value'] ) ) : '';
+		}
+
+		try {
+			$this->quality_fixer->apply_fix( $product, $fix, $value );
+		} catch ( \InvalidArgumentException $e ) {
+			wp_send_json_error( array( 'message' => $e->getMessage() ) );
+		}
+
+		$response            = $this->prepare_quality_response( wc_get_product( $product_id ) );
+		$response['message'] = __( 'Fix applied. Quality score updated.', 'carticy-ai-checkout-for-woocommerce' );
+
+		wp_send_json_success( $response );
+	}
+
+	/**
+	 * Build the quality panel response for a product
+	 *
+	 * Includes the refreshed quality cell so the list table row updates in place.
+	 *
+	 * @param \WC_Product $product Product object.
+	 * @return array<string, mixed> Response data.
+	 */
+	private function prepare_quality_response( \WC_Product $product ): array {
+		$product_id = $product->get_id();
+		$details    = $this->quality_fixer->get_quality_details( $product );
+
+		return array(
+			'product_id' => $product_id,
+			'name'       => $product->get_name(),
+			'edit_url'   => get_edit_post_link( $product_id, 'raw' ),
+			'score'      => $details['score'],
+			'issues'     => $details['issues'],
+			'row'        => ProductsListTable::render_quality_cell(
+				$product_id,
+				$this->quality_checker->get_cached_quality_score( $product_id ),
+				$this->quality_checker->get_cached_quality_issues( $product_id )
+			),
+		);
 	}
 
 	/**
-	 * AJAX handler for quality score recalculation
+	 * AJAX handler for comparing the live feed with a freshly generated one
+	 *
+	 * The live feed is the snapshot last served to ChatGPT or regenerated. The fresh
+	 * feed is built without touching the cache, so ChatGPT keeps receiving the live
+	 * feed until the merchant regenerates it.
 	 *
 	 * @return void
 	 */
-	public function ajax_recalculate_quality(): void {
+	public function ajax_compare_feed(): void {
 		check_ajax_referer( 'carticy_product_feed_nonce', 'nonce' );
 
 		if ( ! current_user_can( 'manage_options' ) ) {
 			wp_send_json_error( array( 'message' => __( 'Unauthorized', 'carticy-ai-checkout-for-woocommerce' ) ) );
 		}
 
-		$count = $this->quality_checker->recalculate_all_quality_scores();
+		$published = $this->feed_service->get_published_feed();
+
+		if ( null === $published ) {
+			wp_send_json_success(
+				array(
+					'has_cached' => false,
+					'message'    => __( 'No feed has been published yet, so there is nothing to compare against. ChatGPT will receive a freshly generated feed on its next request.', 'carticy-ai-checkout-for-woocommerce' ),
+				)
+			);
+		}
+
+		$fresh = $this->feed_service->generate_feed( 'json', false );
+
+		wp_send_json_success(
+			array_merge(
+				array( 'has_cached' => true ),
+				$this->feed_service->compare_feeds( $published, $fresh )
+			)
+		);
+	}
+
+	/**
+	 * AJAX handler for previewing the feed in an export format
+	 *
+	 * Serializes the first PREVIEW_ITEMS items of the feed served by the REST endpoint.
+	 *
+	 * @return void
+	 */
+	public function ajax_preview_feed_export(): void {
+		check_ajax_referer( 'carticy_product_feed_nonce', 'nonce' );
+
+		if ( ! current_user_can( 'manage_options' ) ) {
+			wp_send_json_error( array( 'message' => __( 'Unauthorized', 'carticy-ai-checkout-for-woocommerce' ) ) );
+		}
+
+		$format = isset( $_POST['format'] ) ? sanitize_key( wp_unslash( $_POST['format'] ) ) : '';
+
+		if ( ! isset( $this->feed_service->get_formats()[ $format ] ) ) {
+			wp_send_json_error( array( 'message' => __( 'Invalid feed format', 'carticy-ai-checkout-for-woocommerce' ) ) );
+		}
+
+		$feed = $this->feed_service->generate_feed();
 
 		wp_send_json_success(
 			array(
-				'message' => sprintf(
-					/* translators: %d: number of products processed */
-					_n(
-						'%d product quality score recalculated.',
-						'%d product quality scores recalculated.',
-						$count,
-						'carticy-ai-checkout-for-woocommerce'
-					),
-					$count
-				),
+				'content' => $this->feed_service->serialize_feed( array_slice( $feed, 0, ProductFeedService::PREVIEW_ITEMS ), $format ),
+				'shown'   => min( count( $feed ), ProductFeedService::PREVIEW_ITEMS ),
+				'total'   => count( $feed ),
 			)
 		);
 	}
 
+	/**
+	 * Handle feed download in an export format
+	 *
+	 * @return void
+	 */
+	public function handle_download_feed(): void {
+		if ( ! isset( $_GET['_wpnonce'] ) || ! wp_verify_nonce( sanitize_text_field( wp_unslash( $_GET['_wpnonce'] ) ), 'carticy_product_feed_nonce' ) ) {
+			wp_die( esc_html__( 'Security check failed', 'carticy-ai-checkout-for-woocommerce' ) );
+		}
+
+		if ( ! current_user_can( 'manage_options' ) ) {
+			wp_die( esc_html__( 'Unauthorized', 'carticy-ai-checkout-for-woocommerce' ) );
+		}
+
+		$format  = isset( $_GET['format'] ) ? sanitize_key( wp_unslash( $_GET['format'] ) ) : '';
+		$formats = $this->feed_service->get_formats();
+
+		if ( ! isset( $formats[ $format ] ) ) {
+			wp_die( esc_html__( 'Invalid feed format', 'carticy-ai-checkout-for-woocommerce' ) );
+		}
+
+		$filename = 'carticy-product-feed-' . gmdate( 'Y-m-d-His' ) . '.' . $formats[ $format ]['extension'];
+
+		nocache_headers();
+		header( 'Content-Type: ' . $formats[ $format ]['content_type'] . '; charset=utf-8' );
+		header( 'Content-Disposition: attachment; filename="' . $filename . '"' );
+
+		// phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- Feed file download.
+		echo $this->feed_service->serialize_feed( $this->feed_service->generate_feed(), $format, true );
+		exit;
+	}
+
+	/**
+	 * Get the download URL of the feed in an export format
+	 *
+	 * @param string $format Feed format.
+	 * @return string Download URL.
+	 */
+	public static function get_feed_download_url( string $format ): string {
+		return add_query_arg(
+			array(
+				'action'   => 'carticy_ai_checkout_download_feed',
+				'format'   => $format,
+				'_wpnonce' => wp_create_nonce( 'carticy_product_feed_nonce' ),
+			),
+			admin_url( 'admin-post.php' )
+		);
+	}
+
+	/**
+	 * AJAX handler for starting a batched feed regeneration or quality recalculation
+	 *
+	 * @return void
+	 */
+	public function ajax_start_batch_job(): void {
+		check_ajax_referer( 'carticy_product_feed_nonce', 'nonce' );
+
+		if ( ! current_user_can( 'manage_options' ) ) {
+			wp_send_json_error( array( 'message' => __( 'Unauthorized', 'carticy-ai-checkout-for-woocommerce' ) ) );
+		}
+
+		$type = isset( $_POST['job_type'] ) ? sanitize_key( wp_unslash( $_POST['job_type'] ) ) : '';
+
+		try {
+			$job = $this->batch_jobs->start( $type );
+		} catch ( \InvalidArgumentException $e ) {
+			wp_send_json_error( array( 'message' => __( 'Unknown job type', 'carticy-ai-checkout-for-woocommerce' ) ) );
+		}
+
+		wp_send_json_success( $this->prepare_job_response( $job ) );
+	}
+
+	/**
+	 * AJAX handler for batch job progress
+	 *
+	 * Each poll processes the next batch, so a job only advances while the page is open.
+	 *
+	 * @return void
+	 */
+	public function ajax_batch_job_progress(): void {
+		check_ajax_referer( 'carticy_product_feed_nonce', 'nonce' );
+
+		if ( ! current_user_can( 'manage_options' ) ) {
+			wp_send_json_error( array( 'message' => __( 'Unauthorized', 'carticy-ai-checkout-for-woocommerce' ) ) );
+		}
+
+		$type   = isset( $_POST['job_type'] ) ? sanitize_key( wp_unslash( $_POST['job_type'] ) ) : '';
+		$job_id = isset( $_POST['job_id'] ) ? sanitize_text_field( wp_unslash( $_POST['job_id'] ) ) : '';
+
+		if ( $this->batch_jobs->runs_in_background( $type ) ) {
+			// WP-Cron advances these jobs; polling only reports progress.
+			$job = $this->batch_jobs->get_job( $type );
+			$job = ( $job && $job['id'] === $job_id ) ? $job : null;
+		} else {
+			$job = $this->batch_jobs->process_next_batch( $type, $job_id );
+		}
+
+		if ( ! $job ) {
+			wp_send_json_error( array( 'message' => __( 'This job is no longer running. It may have been restarted from another window.', 'carticy-ai-checkout-for-woocommerce' ) ) );
+		}
+
+		wp_send_json_success( $this->prepare_job_response( $job ) );
+	}
+
+	/**
+	 * AJAX handler for cancelling a batch job
+	 *
+	 * @return void
+	 */
+	public function ajax_cancel_batch_job(): void {
+		check_ajax_referer( 'carticy_product_feed_nonce', 'nonce' );
+
+		if ( ! current_user_can( 'manage_options' ) ) {
+			wp_send_json_error( array( 'message' => __( 'Unauthorized', 'carticy-ai-checkout-for-woocommerce' ) ) );
+		}
+
+		$type = isset( $_POST['job_type'] ) ? sanitize_key( wp_unslash( $_POST['job_type'] ) ) : '';
+		$job  = $this->batch_jobs->cancel( $type );
+
+		if ( ! $job ) {
+			wp_send_json_error( array( 'message' => __( 'No job to cancel.', 'carticy-ai-checkout-for-woocommerce' ) ) );
+		}
+
+		wp_send_json_success( $this->prepare_job_response( $job ) );
+	}
+
+	/**
+	 * Build the AJAX response for a batch job
+	 *
+	 * Quality jobs include refreshed quality cells for the products in the batch;
+	 * finished jobs include fresh statistics so the page can update without a reload.
+	 *
+	 * @param array<string, mixed> $job Job state.
+	 * @return array<string, mixed> Response data.
+	 */
+	private function prepare_job_response( array $job ): array {
+		$response = array( 'job' => $this->batch_jobs->summarize( $job ) );
+		unset( $response['job']['batch_ids'] );
+
+		if ( BatchJobService::TYPE_QUALITY === $job['type'] && ! empty( $job['batch_ids'] ) ) {
+			$response['rows'] = array();
+			foreach ( $job['batch_ids'] as $product_id ) {
+				$response['rows'][ $product_id ] = ProductsListTable::render_quality_cell(
+					$product_id,
+					$this->quality_checker->get_cached_quality_score( $product_id ),
+					$this->quality_checker->get_cached_quality_issues( $product_id )
+				);
+			}
+		}
+
+		if ( 'running' !== $job['status'] ) {
+			$stats                              = $this->get_feed_statistics();
+			$stats['feed_last_updated_message'] = empty( $stats['feed_last_updated'] ) ? '' : sprintf(
+				/* translators: %s: human-readable time difference */
+				__( 'Feed last updated: %s ago', 'carticy-ai-checkout-for-woocommerce' ),
+				human_time_diff( $stats['feed_last_updated'] )
+			);
+			$response['stats'] = $stats;
+		}
+
+		return $response;
+	}
+
 	/**
 	 * Enqueue admin assets
 	 *
@@ -585,11 +1270,14 @@ final class ProductFeedManager {
 			return;
 		}
 
+		// Media modal for the quality panel's image fixes.
+		wp_enqueue_media();
+
 		// Enqueue scripts.
 		wp_enqueue_script(
 			'carticy-product-manager',
 			plugin_dir_url( dirname( __DIR__ ) ) . 'assets/js/dist/admin-product-manager.min.js',
-			array( 'jquery' ),
+			array( 'jquery', 'carticy-ai-checkout-json-viewer' ),
 			CARTICY_AI_CHECKOUT_VERSION,
 			true
 		);
@@ -599,13 +1287,112 @@ final class ProductFeedManager {
 			'carticy-product-manager',
 			'carticyProductManager',
 			array(
-				'ajax_url' => admin_url( 'admin-ajax.php' ),
-				'nonce'    => wp_create_nonce( 'carticy_product_feed_nonce' ),
-				'i18n'     => array(
-					'confirm_regenerate'  => __( 'Are you sure you want to regenerate the product feed cache?', 'carticy-ai-checkout-for-woocommerce' ),
-					'confirm_recalculate' => __( 'Are you sure you want to recalculate all product quality scores? This may take a few moments.', 'carticy-ai-checkout-for-woocommerce' ),
+				'ajax_url'       => admin_url( 'admin-ajax.php' ),
+				'nonce'          => wp_create_nonce( 'carticy_product_feed_nonce' ),
+				'pricing_fields' => $this->channel_pricing->get_fields(),
+				'i18n'           => array(
+					'confirm_regenerate'  => __( 'Are you sure you want to regenerate the product feed?', 'carticy-ai-checkout-for-woocommerce' ),
+					'confirm_recalculate' => __( 'Are you sure you want to recalculate all product quality scores? You can keep working while it runs.', 'carticy-ai-checkout-for-woocommerce' ),
+					'regenerating_feed'   => __( 'Regenerating feed', 'carticy-ai-checkout-for-woocommerce' ),
+					'recalculating'       => __( 'Recalculating quality scores', 'carticy-ai-checkout-for-woocommerce' ),
+					'applying_rules'      => __( 'Applying inclusion rules', 'carticy-ai-checkout-for-woocommerce' ),
+					/* translators: 1: processed product count, 2: total product count */
+					'progress'            => __( '%1$d of %2$d products', 'carticy-ai-checkout-for-woocommerce' ),
+					'cancel'              => __( 'Cancel', 'carticy-ai-checkout-for-woocommerce' ),
+					'cancelling'          => __( 'Cancelling...', 'carticy-ai-checkout-for-woocommerce' ),
+					'job_completed'       => __( 'Completed.', 'carticy-ai-checkout-for-woocommerce' ),
+					'job_cancelled'       => __( 'Cancelled. Products processed so far keep their results.', 'carticy-ai-checkout-for-woocommerce' ),
+					/* translators: 1: batch number, 2: product ID, 3: error message */
+					'batch_error'         => __( 'Batch %1$d, product #%2$d: %3$s', 'carticy-ai-checkout-for-woocommerce' ),
+					'job_failed'          => __( 'The job stopped because of a server error. Products processed so far keep their results.', 'carticy-ai-checkout-for-woocommerce' ),
+					'compare_title'       => __( 'Live Feed vs. Pending Regeneration', 'carticy-ai-checkout-for-woocommerce' ),
+					'loading'             => __( 'Loading...', 'carticy-ai-checkout-for-woocommerce' ),
+					'compare_intro'       => __( 'Changes ChatGPT will see after the feed is regenerated. Review price and stock changes before approving.', 'carticy-ai-checkout-for-woocommerce' ),
+					'no_changes'          => __( 'No product, price or availability changes. The live feed is up to date.', 'carticy-ai-checkout-for-woocommerce' ),
+					'diff_added'          => __( 'Added', 'carticy-ai-checkout-for-woocommerce' ),
+					'diff_removed'        => __( 'Removed', 'carticy-ai-checkout-for-woocommerce' ),
+					'diff_price'          => __( 'Price changes', 'carticy-ai-checkout-for-woocommerce' ),
+					'diff_availability'   => __( 'Availability changes', 'carticy-ai-checkout-for-woocommerce' ),
+					'diff_unchanged'      => __( 'Unchanged', 'carticy-ai-checkout-for-woocommerce' ),
+					'diff_changed'        => __( 'Changed', 'carticy-ai-checkout-for-woocommerce' ),
+					'product'             => __( 'Product', 'carticy-ai-checkout-for-woocommerce' ),
+					'change'              => __( 'Change', 'carticy-ai-checkout-for-woocommerce' ),
+					'price'               => __( 'Price', 'carticy-ai-checkout-for-woocommerce' ),
+					'availability'        => __( 'Availability', 'carticy-ai-checkout-for-woocommerce' ),
+					'approve_regenerate'  => __( 'Approve & Regenerate Feed', 'carticy-ai-checkout-for-woocommerce' ),
+					'close'               => __( 'Close', 'carticy-ai-checkout-for-woocommerce' ),
+					'compare_failed'      => __( 'Failed to compare feeds.', 'carticy-ai-checkout-for-woocommerce' ),
+					/* translators: %s: feed format, e.g. CSV */
+					'export_title'        => __( '%s Feed Preview', 'carticy-ai-checkout-for-woocommerce' ),
+					/* translators: 1: number of products shown, 2: total number of products */
+					'export_shown'        => __( 'Showing the first %1$d of %2$d feed items. Download the file for the full feed.', 'carticy-ai-checkout-for-woocommerce' ),
+					'export_empty'        => __( 'The feed is empty. Enable products for ChatGPT to include them.', 'carticy-ai-checkout-for-woocommerce' ),
+					'export_failed'       => __( 'Failed to load the feed preview.', 'carticy-ai-checkout-for-woocommerce' ),
+					'download'            => __( 'Download', 'carticy-ai-checkout-for-woocommerce' ),
+					'mapping_failed'      => __( 'Failed to preview the mapping.', 'carticy-ai-checkout-for-woocommerce' ),
+					'mapping_no_changes'  => __( 'No rule changes a field of this product. Fields keep their built-in mapping.', 'carticy-ai-checkout-for-woocommerce' ),
+					'field'               => __( 'Field', 'carticy-ai-checkout-for-woocommerce' ),
+					'built_in'            => __( 'Built-in value', 'carticy-ai-checkout-for-woocommerce' ),
+					'mapped'              => __( 'Mapped value', 'carticy-ai-checkout-for-woocommerce' ),
+					'source'              => __( 'Source', 'carticy-ai-checkout-for-woocommerce' ),
+					'inclusion_failed'    => __( 'Failed to preview the inclusion rules.', 'carticy-ai-checkout-for-woocommerce' ),
+					/* translators: %d: number of products */
+					'inclusion_matches'   => __( 'Matches %d products', 'carticy-ai-checkout-for-woocommerce' ),
+					'inclusion_disabled'  => __( 'Disabled: not applied.', 'carticy-ai-checkout-for-woocommerce' ),
+					/* translators: %d: number of products */
+					'inclusion_included'  => __( 'The rules put %d products in the feed.', 'carticy-ai-checkout-for-woocommerce' ),
+					/* translators: %d: number of products */
+					'inclusion_added'     => __( 'Added when saved (%d)', 'carticy-ai-checkout-for-woocommerce' ),
+					/* translators: %d: number of products */
+					'inclusion_removed'   => __( 'Removed when saved (%d)', 'carticy-ai-checkout-for-woocommerce' ),
+					/* translators: %d: number of products */
+					'inclusion_manual'    => __( '%d products toggled by hand keep their state.', 'carticy-ai-checkout-for-woocommerce' ),
+					/* translators: %d: number of products not listed */
+					'inclusion_more'      => __( 'and %d more', 'carticy-ai-checkout-for-woocommerce' ),
+					'pricing_title'       => __( 'ChatGPT Pricing', 'carticy-ai-checkout-for-woocommerce' ),
+					/* translators: %d: number of products */
+					'pricing_intro_bulk'  => __( 'Change the ChatGPT pricing of %d products. Empty fields are left as they are on each product.', 'carticy-ai-checkout-for-woocommerce' ),
+					'pricing_intro'       => __( 'Empty fields fall back to the product category, then to the WooCommerce price and stock.', 'carticy-ai-checkout-for-woocommerce' ),
+					'pricing_help'        => __( 'Prices are amounts (24.99) or percentages of the WooCommerce price (-10%). A sale percentage applies to the ChatGPT price. Variations use the pricing of their product.', 'carticy-ai-checkout-for-woocommerce' ),
+					'pricing_clear'       => __( 'Clear', 'carticy-ai-checkout-for-woocommerce' ),
+					'pricing_unchanged'   => __( 'Leave unchanged', 'carticy-ai-checkout-for-woocommerce' ),
+					'pricing_none'        => __( 'Select products to edit their ChatGPT pricing.', 'carticy-ai-checkout-for-woocommerce' ),
+					'pricing_save'        => __( 'Save Pricing', 'carticy-ai-checkout-for-woocommerce' ),
+					'pricing_failed'      => __( 'Failed to save the ChatGPT pricing.', 'carticy-ai-checkout-for-woocommerce' ),
+					'quality_title'       => __( 'Quality Issues', 'carticy-ai-checkout-for-woocommerce' ),
+					/* translators: %d: quality score */
+					'quality_score'       => __( 'Quality score: %d%%', 'carticy-ai-checkout-for-woocommerce' ),
+					'no_issues'           => __( 'All quality checks pass.', 'carticy-ai-checkout-for-woocommerce' ),
+					'edit_product'        => __( 'Edit product', 'carticy-ai-checkout-for-woocommerce' ),
+					'fix_in_editor'       => __( 'Fix this in the product editor.', 'carticy-ai-checkout-for-woocommerce' ),
+					'apply_fix'           => __( 'Apply', 'carticy-ai-checkout-for-woocommerce' ),
+					'applying'            => __( 'Applying...', 'carticy-ai-checkout-for-woocommerce' ),
+					'select_category'     => __( '— Select category —', 'carticy-ai-checkout-for-woocommerce' ),
+					'brand_placeholder'   => __( 'Brand name', 'carticy-ai-checkout-for-woocommerce' ),
+					'choose_image'        => __( 'Choose featured image', 'carticy-ai-checkout-for-woocommerce' ),
+					'choose_gallery'      => __( 'Add gallery images', 'carticy-ai-checkout-for-woocommerce' ),
+					'use_image'           => __( 'Use image', 'carticy-ai-checkout-for-woocommerce' ),
+					'use_images'          => __( 'Add to gallery', 'carticy-ai-checkout-for-woocommerce' ),
+					/* translators: 1: current character count, 2: minimum character count */
+					'description_count'   => __( '%1$d / %2$d characters', 'carticy-ai-checkout-for-woocommerce' ),
+					'fix_failed'          => __( 'Failed to apply fix.', 'carticy-ai-checkout-for-woocommerce' ),
+					'quality_failed'      => __( 'Failed to load quality details.', 'carticy-ai-checkout-for-woocommerce' ),
 					'copy'                => __( 'Copy to Clipboard', 'carticy-ai-checkout-for-woocommerce' ),
 					'copied'              => __( 'Copied to clipboard!', 'carticy-ai-checkout-for-woocommerce' ),
+					'copy_json'           => __( 'Copy JSON', 'carticy-ai-checkout-for-woocommerce' ),
+					'save_fields'         => __( 'Save Feed Fields', 'carticy-ai-checkout-for-woocommerce' ),
+					'saving'              => __( 'Saving...', 'carticy-ai-checkout-for-woocommerce' ),
+					'overridden'          => __( 'Overridden', 'carticy-ai-checkout-for-woocommerce' ),
+					'revert'              => __( 'Revert to product data', 'carticy-ai-checkout-for-woocommerce' ),
+					'from_product'        => __( 'From product data:', 'carticy-ai-checkout-for-woocommerce' ),
+					'empty_value'         => __( '(empty)', 'carticy-ai-checkout-for-woocommerce' ),
+					'not_set'             => __( '— Not set —', 'carticy-ai-checkout-for-woocommerce' ),
+					/* translators: %d: maximum number of characters */
+					'too_long'            => __( 'Must be %d characters or fewer.', 'carticy-ai-checkout-for-woocommerce' ),
+					'invalid_format'      => __( 'Invalid format.', 'carticy-ai-checkout-for-woocommerce' ),
+					'fix_errors'          => __( 'Please fix the highlighted fields before saving.', 'carticy-ai-checkout-for-woocommerce' ),
+					'no_field_changes'    => __( 'No fields were changed.', 'carticy-ai-checkout-for-woocommerce' ),
+					'editor_intro'        => __( 'Edit the values ChatGPT sees for this product. Overrides only affect the feed, not the WooCommerce product. Clear a field to use the product data again.', 'carticy-ai-checkout-for-woocommerce' ),
 				),
 			)
 		);
@@ -9,6 +9,7 @@
 
 namespace Carticy\AiCheckout\Admin;
 
+use Carticy\AiCheckout\Services\ChannelPricingService;
 use Carticy\AiCheckout\Services\ProductQualityChecker;
 
 // Load WP_List_Table if not already loaded.
@@ -27,13 +28,22 @@ final class ProductsListTable extends \WP_List_Table {
 	 */
 	private ProductQualityChecker $quality_checker;
 
+	/**
+	 * Channel pricing service
+	 *
+	 * @var ChannelPricingService
+	 */
+	private ChannelPricingService $channel_pricing;
+
 	/**
 	 * Constructor
 	 *
 	 * @param ProductQualityChecker $quality_checker Quality checker instance.
+	 * @param ChannelPricingService $channel_pricing Channel pricing service instance.
 	 */
-	public function __construct( ProductQualityChecker $quality_checker ) {
+	public function __construct( ProductQualityChecker $quality_checker, ChannelPricingService $channel_pricing ) {
 		$this->quality_checker = $quality_checker;
+		$this->channel_pricing = $channel_pricing;
 
 		parent::__construct(
 			array(
@@ -56,6 +66,7 @@ final class ProductsListTable extends \WP_List_Table {
 			'name'           => __( 'Product', 'carticy-ai-checkout-for-woocommerce' ),
 			'sku'            => __( 'SKU', 'carticy-ai-checkout-for-woocommerce' ),
 			'price'          => __( 'Price', 'carticy-ai-checkout-for-woocommerce' ),
+			'channel_price'  => __( 'ChatGPT Pricing', 'carticy-ai-checkout-for-woocommerce' ),
 			'chatgpt_status' => __( 'ChatGPT', 'carticy-ai-checkout-for-woocommerce' ),
 			'quality'        => __( 'Quality Score', 'carticy-ai-checkout-for-woocommerce' ),
 		);
@@ -82,8 +93,10 @@ final class ProductsListTable extends \WP_List_Table {
 	 */
 	protected function get_bulk_actions(): array {
 		return array(
-			'enable_chatgpt'  => __( 'Enable for ChatGPT', 'carticy-ai-checkout-for-woocommerce' ),
-			'disable_chatgpt' => __( 'Disable for ChatGPT', 'carticy-ai-checkout-for-woocommerce' ),
+			'enable_chatgpt'         => __( 'Enable for ChatGPT', 'carticy-ai-checkout-for-woocommerce' ),
+			'disable_chatgpt'        => __( 'Disable for ChatGPT', 'carticy-ai-checkout-for-woocommerce' ),
+			'follow_inclusion_rules' => __( 'Follow inclusion rules', 'carticy-ai-checkout-for-woocommerce' ),
+			'edit_channel_pricing'   => __( 'Edit ChatGPT pricing', 'carticy-ai-checkout-for-woocommerce' ),
 		);
 	}
 
@@ -180,6 +193,51 @@ final class ProductsListTable extends \WP_List_Table {
 		return $product->get_price_html();
 	}
 
+	/**
+	 * Render ChatGPT pricing column
+	 *
+	 * @param array<string, mixed> $item Row data.
+	 * @return string Column HTML.
+	 */
+	protected function column_channel_price( $item ): string {
+		$product = wc_get_product( $item['id'] );
+		if ( ! $product ) {
+			return '—';
+		}
+
+		return self::render_channel_pricing_cell( $product, $this->channel_pricing );
+	}
+
+	/**
+	 * Render a product's ChatGPT pricing summary and edit link
+	 *
+	 * Static so AJAX handlers can refresh a row's pricing cell without building a list table.
+	 *
+	 * @param \WC_Product           $product         Product.
+	 * @param ChannelPricingService $channel_pricing Channel pricing service instance.
+	 * @return string Cell HTML.
+	 */
+	public static function render_channel_pricing_cell( \WC_Product $product, ChannelPricingService $channel_pricing ): string {
+		$summary = $channel_pricing->describe( $product );
+
+		if ( '' === $summary ) {
+			// Category overrides apply without being set on the product.
+			$summary = $channel_pricing->get_effective_overrides( $product )
+				? sprintf( '<span class="channel-pricing-inherited">%s</span>', esc_html__( 'By category', 'carticy-ai-checkout-for-woocommerce' ) )
+				: '—';
+		} else {
+			$summary = esc_html( $summary );
+		}
+
+		return sprintf(
+			'%s<div class="row-actions"><a href="#" class="carticy-edit-channel-pricing" data-product-id="%d" data-overrides="%s">%s</a></div>',
+			$summary,
+			$product->get_id(),
+			esc_attr( (string) wp_json_encode( (object) $channel_pricing->get_product_overrides( $product->get_id() ) ) ),
+			esc_html__( 'Edit', 'carticy-ai-checkout-for-woocommerce' )
+		);
+	}
+
 	/**
 	 * Render ChatGPT status column
 	 *
@@ -189,6 +247,10 @@ final class ProductsListTable extends \WP_List_Table {
 	protected function column_chatgpt_status( $item ): string {
 		$enabled    = get_post_meta( $item['id'], '_carticy_ai_checkout_enabled', true );
 		$is_enabled = 'yes' === $enabled;
+		$by_rule    = 'rule' === get_post_meta( $item['id'], \Carticy\AiCheckout\Services\FeedInclusionService::META_SOURCE, true );
+		$source     = $by_rule
+			? sprintf( ' <span class="chatgpt-status-source">%s</span>', esc_html__( 'by rule', 'carticy-ai-checkout-for-woocommerce' ) )
+			: '';
 
 		$nonce_url = wp_nonce_url(
 			admin_url( 'admin.php?page=carticy-ai-checkout-product-feed&action=toggle&product=' . $item['id'] ),
@@ -197,16 +259,18 @@ final class ProductsListTable extends \WP_List_Table {
 
 		if ( $is_enabled ) {
 			return sprintf(
-				'<a href="%s" class="chatgpt-status enabled">✓ %s</a>',
+				'<a href="%s" class="chatgpt-status enabled">✓ %s</a>%s',
 				esc_url( $nonce_url ),
-				__( 'Enabled', 'carticy-ai-checkout-for-woocommerce' )
+				__( 'Enabled', 'carticy-ai-checkout-for-woocommerce' ),
+				$source
 			);
 		}
 
 		return sprintf(
-			'<a href="%s" class="chatgpt-status disabled">○ %s</a>',
+			'<a href="%s" class="chatgpt-status disabled">○ %s</a>%s',
 			esc_url( $nonce_url ),
-			__( 'Disabled', 'carticy-ai-checkout-for-woocommerce' )
+			__( 'Disabled', 'carticy-ai-checkout-for-woocommerce' ),
+			$source
 		);
 	}
 
@@ -217,9 +281,24 @@ final class ProductsListTable extends \WP_List_Table {
 	 * @return string Column HTML.
 	 */
 	protected function column_quality( $item ): string {
-		$score  = $this->quality_checker->get_cached_quality_score( $item['id'] );
-		$issues = $this->quality_checker->get_cached_quality_issues( $item['id'] );
+		return self::render_quality_cell(
+			$item['id'],
+			$this->quality_checker->get_cached_quality_score( $item['id'] ),
+			$this->quality_checker->get_cached_quality_issues( $item['id'] )
+		);
+	}
 
+	/**
+	 * Render quality badge and issues toggle
+	 *
+	 * Static so AJAX handlers can refresh a row's quality cell without building a list table.
+	 *
+	 * @param int      $product_id Product ID.
+	 * @param int      $score      Quality score 0-100.
+	 * @param string[] $issues     Quality issue messages.
+	 * @return string Cell HTML.
+	 */
+	public static function render_quality_cell( int $product_id, int $score, array $issues ): string {
 		// Determine quality class.
 		if ( $score >= 80 ) {
 			$class = 'quality-excellent';
@@ -243,10 +322,10 @@ final class ProductsListTable extends \WP_List_Table {
 		);
 
 		if ( ! empty( $issues ) ) {
-			$issues_list = implode( '<br>', array_map( 'esc_html', $issues ) );
-			$output     .= sprintf(
-				'<span class="quality-issues-toggle" data-issues="%s">⚠ %d %s</span>',
-				esc_attr( $issues_list ),
+			$output .= sprintf(
+				'<span class="quality-issues-toggle" role="button" tabindex="0" data-product-id="%d" title="%s">⚠ %d %s</span>',
+				$product_id,
+				esc_attr( implode( "\n", $issues ) ),
 				count( $issues ),
 				_n( 'issue', 'issues', count( $issues ), 'carticy-ai-checkout-for-woocommerce' )
 			);
@@ -255,6 +334,20 @@ final class ProductsListTable extends \WP_List_Table {
 		return $output;
 	}
 
+	/**
+	 * Render a row
+	 *
+	 * Rows get an anchor ID, so other admin pages can link to a product's row.
+	 *
+	 * @param array<string, mixed> $item Row data.
+	 * @return void
+	 */
+	public function single_row( $item ): void {
+		printf( '<tr id="product-%d">', absint( $item['id'] ) );
+		$this->single_row_columns( $item );
+		echo '</tr>';
+	}
+
 	/**
 	 * Default column renderer
 	 *
@@ -300,6 +393,13 @@ final class ProductsListTable extends \WP_List_Table {
 			$args['s'] = sanitize_text_field( wp_unslash( $_REQUEST['s'] ) );
 		}
 
+		// Handle single product filter (links from the analytics sales breakdown).
+		// phpcs:ignore WordPress.Security.NonceVerification.Recommended -- WP_List_Table filter is a read-only display operation.
+		if ( ! empty( $_REQUEST['product_id'] ) ) {
+			// phpcs:ignore WordPress.Security.NonceVerification.Recommended
+			$args['post__in'] = array( absint( wp_unslash( $_REQUEST['product_id'] ) ) );
+		}
+
 		// Handle category filter.
 		// phpcs:ignore WordPress.Security.NonceVerification.Recommended -- WP_List_Table filter is a read-only display operation.
 		if ( ! empty( $_REQUEST['product_cat'] ) ) {
@@ -442,6 +542,13 @@ final class ProductsListTable extends \WP_List_Table {
 			</select>
 
 			<?php submit_button( __( 'Filter', 'carticy-ai-checkout-for-woocommerce' ), '', 'filter_action', false ); ?>
+
+			<?php // phpcs:ignore WordPress.Security.NonceVerification.Recommended -- Read-only display of the active filter. ?>
+			<?php if ( ! empty( $_REQUEST['product_id'] ) ) : ?>
+				<a href="<?php echo esc_url( admin_url( 'admin.php?page=carticy-ai-checkout-product-feed' ) ); ?>" class="button-link">
+					<?php esc_html_e( 'Show all products', 'carticy-ai-checkout-for-woocommerce' ); ?>
+				</a>
+			<?php endif; ?>
 		</div>
 		<?php
 	}
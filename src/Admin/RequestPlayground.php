@@ -0,0 +1,286 @@
+<?php
+/**
+ * Request Playground
+ *
+ * Admin page handler for sending hand-edited ACP requests to the checkout session endpoints.
+ *
+ * @package Carticy\AiCheckout
+ */
+
+namespace Carticy\AiCheckout\Admin;
+
+use Carticy\AiCheckout\Services\MockSimulator;
+
+/**
+ * Handles the ACP request playground admin page
+ */
+final class RequestPlayground {
+	/**
+	 * Default API-Version header value (matches MockSimulator)
+	 */
+	private const DEFAULT_API_VERSION = '2024-01-01';
+
+	/**
+	 * Mock simulator
+	 *
+	 * @var MockSimulator
+	 */
+	private MockSimulator $mock_simulator;
+
+	/**
+	 * Constructor
+	 *
+	 * @param MockSimulator $mock_simulator Mock simulator instance.
+	 */
+	public function __construct( MockSimulator $mock_simulator ) {
+		$this->mock_simulator = $mock_simulator;
+		$this->init_hooks();
+	}
+
+	/**
+	 * Initialize WordPress hooks
+	 *
+	 * @return void
+	 */
+	private function init_hooks(): void {
+		add_action( 'admin_enqueue_scripts', array( $this, 'enqueue_assets' ) );
+		add_action( 'wp_ajax_carticy_ai_checkout_playground_template', array( $this, 'ajax_get_template' ) );
+		add_action( 'wp_ajax_carticy_ai_checkout_playground_send', array( $this, 'ajax_send_request' ) );
+	}
+
+	/**
+	 * Get checkout session endpoints available in the playground
+	 *
+	 * @return array<string, array{label: string, method: string, path: string, needs_session: bool}> Endpoints keyed by ID.
+	 */
+	public function get_endpoints(): array {
+		return array(
+			'create'   => array(
+				'label'         => __( 'Create session', 'carticy-ai-checkout-for-woocommerce' ),
+				'method'        => 'POST',
+				'path'          => 'checkout_sessions',
+				'needs_session' => false,
+			),
+			'retrieve' => array(
+				'label'         => __( 'Retrieve session', 'carticy-ai-checkout-for-woocommerce' ),
+				'method'        => 'GET',
+				'path'          => 'checkout_sessions/{id}',
+				'needs_session' => true,
+			),
+			'update'   => array(
+				'label'         => __( 'Update session', 'carticy-ai-checkout-for-woocommerce' ),
+				'method'        => 'POST',
+				'path'          => 'checkout_sessions/{id}',
+				'needs_session' => true,
+			),
+			'complete' => array(
+				'label'         => __( 'Complete session', 'carticy-ai-checkout-for-woocommerce' ),
+				'method'        => 'POST',
+				'path'          => 'checkout_sessions/{id}/complete',
+				'needs_session' => true,
+			),
+			'cancel'   => array(
+				'label'         => __( 'Cancel session', 'carticy-ai-checkout-for-woocommerce' ),
+				'method'        => 'POST',
+				'path'          => 'checkout_sessions/{id}/cancel',
+				'needs_session' => true,
+			),
+		);
+	}
+
+	/**
+	 * Get scenario templates available in the playground
+	 *
+	 * @return array<string, string> Scenario ID => Label.
+	 */
+	public function get_scenarios(): array {
+		return $this->mock_simulator->get_scenarios();
+	}
+
+	/**
+	 * Get the default API-Version header value
+	 *
+	 * @return string API version.
+	 */
+	public function get_default_api_version(): string {
+		return self::DEFAULT_API_VERSION;
+	}
+
+	/**
+	 * Enqueue playground assets
+	 *
+	 * @param string $hook Current admin page hook.
+	 * @return void
+	 */
+	public function enqueue_assets( string $hook ): void {
+		// Only load on playground page.
+		if ( ! str_contains( $hook, 'carticy-ai-checkout-playground' ) ) {
+			return;
+		}
+
+		wp_enqueue_style(
+			'carticy-ai-checkout-playground',
+			plugin_dir_url( dirname( __DIR__ ) ) . 'assets/css/dist/request-playground.min.css',
+			array( 'carticy-ai-checkout-admin' ),
+			CARTICY_AI_CHECKOUT_VERSION
+		);
+
+		wp_enqueue_script(
+			'carticy-ai-checkout-playground',
+			plugin_dir_url( dirname( __DIR__ ) ) . 'assets/js/admin-request-playground.js',
+			array( 'jquery', 'carticy-ai-checkout-admin' ),
+			CARTICY_AI_CHECKOUT_VERSION,
+			true
+		);
+
+		wp_localize_script(
+			'carticy-ai-checkout-playground',
+			'carticyPlayground',
+			array(
+				'ajaxUrl'   => admin_url( 'admin-ajax.php' ),
+				'nonce'     => wp_create_nonce( 'carticy_playground_nonce' ),
+				'endpoints' => $this->get_endpoints(),
+				'i18n'      => array(
+					'loadingTemplate' => __( 'Loading template...', 'carticy-ai-checkout-for-woocommerce' ),
+					'sending'         => __( 'Sending...', 'carticy-ai-checkout-for-woocommerce' ),
+					'send'            => __( 'Send Request', 'carticy-ai-checkout-for-woocommerce' ),
+					'invalidJson'     => __( 'The request body is not valid JSON.', 'carticy-ai-checkout-for-woocommerce' ),
+					'sessionRequired' => __( 'This endpoint needs a session ID. Create a session first or enter one.', 'carticy-ai-checkout-for-woocommerce' ),
+					'requestFailed'   => __( 'Request failed', 'carticy-ai-checkout-for-woocommerce' ),
+					'errorOccurred'   => __( 'An error occurred. Please try again.', 'carticy-ai-checkout-for-woocommerce' ),
+					'noHeaders'       => __( 'No headers returned.', 'carticy-ai-checkout-for-woocommerce' ),
+					'noBody'          => __( 'Empty response body.', 'carticy-ai-checkout-for-woocommerce' ),
+					'sessionCaptured' => __( 'Session ID captured for follow-up calls.', 'carticy-ai-checkout-for-woocommerce' ),
+					/* translators: %d: request duration in milliseconds */
+					'duration'        => __( '%d ms', 'carticy-ai-checkout-for-woocommerce' ),
+				),
+			)
+		);
+	}
+
+	/**
+	 * AJAX handler for loading a scenario request template
+	 *
+	 * @return void
+	 */
+	public function ajax_get_template(): void {
+		check_ajax_referer( 'carticy_playground_nonce', 'nonce' );
+
+		if ( ! current_user_can( 'manage_options' ) ) {
+			wp_send_json_error( array( 'message' => __( 'Permission denied', 'carticy-ai-checkout-for-woocommerce' ) ) );
+		}
+
+		$endpoint = isset( $_POST['endpoint'] ) ? sanitize_key( wp_unslash( $_POST['endpoint'] ) ) : '';
+		$scenario = isset( $_POST['scenario'] ) ? sanitize_key( wp_unslash( $_POST['scenario'] ) ) : 'valid_order';
+
+		if ( ! isset( $this->get_endpoints()[ $endpoint ] ) ) {
+			wp_send_json_error( array( 'message' => __( 'Unknown endpoint', 'carticy-ai-checkout-for-woocommerce' ) ) );
+		}
+
+		if ( ! isset( $this->get_scenarios()[ $scenario ] ) ) {
+			wp_send_json_error( array( 'message' => __( 'Unknown scenario', 'carticy-ai-checkout-for-woocommerce' ) ) );
+		}
+
+		wp_send_json_success(
+			array(
+				'body' => $this->get_template( $endpoint, $scenario ),
+			)
+		);
+	}
+
+	/**
+	 * AJAX handler for sending a playground request
+	 *
+	 * @return void
+	 */
+	public function ajax_send_request(): void {
+		check_ajax_referer( 'carticy_playground_nonce', 'nonce' );
+
+		if ( ! current_user_can( 'manage_options' ) ) {
+			wp_send_json_error( array( 'message' => __( 'Permission denied', 'carticy-ai-checkout-for-woocommerce' ) ) );
+		}
+
+		// Requests are signed with the plugin's API key, so live mode could create real orders and payments.
+		if ( 'yes' !== get_option( 'carticy_ai_checkout_test_mode', 'yes' ) ) {
+			wp_send_json_error( array( 'message' => __( 'The playground only sends requests in test mode. Enable test mode in Settings first.', 'carticy-ai-checkout-for-woocommerce' ) ) );
+		}
+
+		$endpoint   = isset( $_POST['endpoint'] ) ? sanitize_key( wp_unslash( $_POST['endpoint'] ) ) : '';
+		$session_id = isset( $_POST['session_id'] ) ? sanitize_text_field( wp_unslash( $_POST['session_id'] ) ) : '';
+		$endpoints  = $this->get_endpoints();
+
+		if ( ! isset( $endpoints[ $endpoint ] ) ) {
+			wp_send_json_error( array( 'message' => __( 'Unknown endpoint', 'carticy-ai-checkout-for-woocommerce' ) ) );
+		}
+
+		$config = $endpoints[ $endpoint ];
+
+		// Session IDs are restricted to the characters the REST route accepts.
+		if ( $config['needs_session'] && ! preg_match( '/^[a-zA-Z0-9_-]+$/', $session_id ) ) {
+			wp_send_json_error( array( 'message' => __( 'A valid session ID is required for this endpoint.', 'carticy-ai-checkout-for-woocommerce' ) ) );
+		}
+
+		// The body is sent to the REST API as-is, so it is only decoded, not sanitized.
+		$raw_body = isset( $_POST['body'] ) ? trim( wp_unslash( $_POST['body'] ) ) : ''; // phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized
+		$body     = '' === $raw_body ? array() : json_decode( $raw_body, true );
+
+		if ( ! is_array( $body ) ) {
+			wp_send_json_error( array( 'message' => __( 'The request body is not valid JSON.', 'carticy-ai-checkout-for-woocommerce' ) ) );
+		}
+
+		$headers         = array();
+		$idempotency_key = isset( $_POST['idempotency_key'] ) ? sanitize_text_field( wp_unslash( $_POST['idempotency_key'] ) ) : '';
+		$api_version     = isset( $_POST['api_version'] ) ? sanitize_text_field( wp_unslash( $_POST['api_version'] ) ) : '';
+
+		if ( '' !== $idempotency_key ) {
+			$headers['Idempotency-Key'] = $idempotency_key;
+		}
+
+		if ( '' !== $api_version ) {
+			$headers['API-Version'] = $api_version;
+		}
+
+		$path    = str_replace( '{id}', $session_id, $config['path'] );
+		$started = microtime( true );
+		$result  = $this->mock_simulator->simulate_request( $path, $config['method'], $body, $headers );
+
+		if ( isset( $result['error'] ) ) {
+			wp_send_json_error( array( 'message' => $result['error'] ) );
+		}
+
+		wp_send_json_success(
+			array(
+				'method'      => $config['method'],
+				'path'        => '/' . $path,
+				'status_code' => $result['status_code'],
+				'duration_ms' => (int) round( ( microtime( true ) - $started ) * 1000 ),
+				'headers'     => $result['headers'],
+				'body'        => $result['body'],
+				'session_id'  => is_array( $result['body'] ) && isset( $result['body']['id'] ) ? $result['body']['id'] : '',
+			)
+		);
+	}
+
+	/**
+	 * Get the request body template of an endpoint for a scenario
+	 *
+	 * @param string $endpoint Endpoint ID.
+	 * @param string $scenario Scenario ID.
+	 * @return array Request body.
+	 */
+	private function get_template( string $endpoint, string $scenario ): array {
+		switch ( $endpoint ) {
+			case 'create':
+				return $this->mock_simulator->generate_create_session_request( $scenario );
+
+			case 'update':
+				return $this->mock_simulator->generate_update_session_request( $scenario );
+
+			case 'complete':
+				return $this->mock_simulator->generate_complete_session_request( $scenario );
+		}
+
+		// Retrieve and cancel take no body.
+		return array();
+	}
+}
@@ -13,7 +13,7 @@ use Carticy\AiCheckout\Services\StripePaymentAdapter;
 use Carticy\AiCheckout\Services\IdempotencyService;
 use Carticy\AiCheckout\Services\LoggingService;
 use Carticy\AiCheckout\Services\ErrorLogService;
-use Carticy\AiCheckout\Services\PerformanceMetrics;
+use Carticy\AiCheckout\Services\ChannelPricingService;
 use WP_REST_Request;
 use WP_REST_Response;
 use WP_Error;
@@ -73,11 +73,11 @@ final class CheckoutSessionEndpoint {
 	private ErrorLogService $error_log_service;
 
 	/**
-	 * Performance metrics
+	 * Channel pricing service
 	 *
-	 * @var PerformanceMetrics
+	 * @var ChannelPricingService
 	 */
-	private PerformanceMetrics $performance_metrics;
+	private ChannelPricingService $channel_pricing;
 
 	/**
 	 * Constructor
@@ -88,16 +88,16 @@ final class CheckoutSessionEndpoint {
 	 * @param IdempotencyService    $idempotency_service Idempotency service instance.
 	 * @param LoggingService        $logging_service Logging service instance.
 	 * @param ErrorLogService       $error_log_service Error log service instance.
-	 * @param PerformanceMetrics    $performance_metrics Performance metrics instance.
+	 * @param ChannelPricingService $channel_pricing Channel pricing service instance.
 	 */
-	public function __construct( SessionService $session_service, AuthenticationService $auth_service, StripePaymentAdapter $payment_adapter, IdempotencyService $idempotency_service, LoggingService $logging_service, ErrorLogService $error_log_service, PerformanceMetrics $performance_metrics ) {
+	public function __construct( SessionService $session_service, AuthenticationService $auth_service, StripePaymentAdapter $payment_adapter, IdempotencyService $idempotency_service, LoggingService $logging_service, ErrorLogService $error_log_service, ChannelPricingService $channel_pricing ) {
 		$this->session_service     = $session_service;
 		$this->auth_service        = $auth_service;
 		$this->payment_adapter     = $payment_adapter;
 		$this->idempotency_service = $idempotency_service;
 		$this->logging_service     = $logging_service;
 		$this->error_log_service   = $error_log_service;
-		$this->performance_metrics = $performance_metrics;
+		$this->channel_pricing     = $channel_pricing;
 		$this->register_routes();
 	}
 
@@ -274,10 +274,7 @@ final class CheckoutSessionEndpoint {
 	 * @return WP_REST_Response|WP_Error Response object or error.
 	 */
 	public function create_session( WP_REST_Request $request ): WP_REST_Response|WP_Error {
-		$start_time   = microtime( true );
-		$start_memory = memory_get_peak_usage();
-		global $wpdb;
-		$start_queries = $wpdb->num_queries;
+		$start_time = microtime( true );
 
 		// Check idempotency.
 		$idempotency_result = $this->idempotency_service->check_idempotency( $request, 'create_session' );
@@ -368,26 +365,18 @@ final class CheckoutSessionEndpoint {
 		// Store for idempotency.
 		$this->idempotency_service->store_idempotent_response( $request, 'create_session', $response );
 
-		// Log request performance and details.
-		$duration    = microtime( true ) - $start_time;
-		$memory_peak = memory_get_peak_usage() - $start_memory;
-		$db_queries  = $wpdb->num_queries - $start_queries;
-
-		$this->logging_service->log_api_request(
-			'/checkout_sessions',
-			'POST',
-			$request->get_json_params(),
-			$response,
-			201,
-			$duration
-		);
-
-		$this->performance_metrics->track_api_request(
-			'/checkout_sessions',
-			$duration,
-			$memory_peak,
-			$db_queries
-		);
+		// Log request details. Performance is tracked for all endpoints in Init::track_api_performance().
+		// In debug mode ApiDebugLogger::record_rest_response() logs the call with its headers instead.
+		if ( ! $this->logging_service->is_debug_enabled() ) {
+			$this->logging_service->log_api_request(
+				'/checkout_sessions',
+				'POST',
+				$request->get_json_params(),
+				$response,
+				201,
+				microtime( true ) - $start_time
+			);
+		}
 
 		// Add rate limit headers and return.
 		return $this->add_rate_limit_headers(
@@ -466,12 +455,12 @@ final class CheckoutSessionEndpoint {
 			// Validate and parse new items.
 			$validation_error = $this->validate_items( $new_items );
 			if ( is_wp_error( $validation_error ) ) {
-				return $validation_error;
+				return $this->log_session_failure( $session_id, ErrorLogService::CATEGORY_VALIDATION, $validation_error );
 			}
 
 			$line_items = $this->parse_line_items( $new_items );
 			if ( is_wp_error( $line_items ) ) {
-				return $line_items;
+				return $this->log_session_failure( $session_id, ErrorLogService::CATEGORY_VALIDATION, $line_items );
 			}
 
 			$session_data['items']    = $line_items;
@@ -509,10 +498,15 @@ final class CheckoutSessionEndpoint {
 			}
 
 			if ( ! $method_found ) {
-				return new WP_Error(
-					'invalid_shipping_method',
-					'Invalid shipping method selected',
-					array( 'status' => 400 )
+				return $this->log_session_failure(
+					$session_id,
+					ErrorLogService::CATEGORY_SHIPPING,
+					new WP_Error(
+						'invalid_shipping_method',
+						'Invalid shipping method selected',
+						array( 'status' => 400 )
+					),
+					$session_data['shipping_address'] ?? array()
 				);
 			}
 		}
@@ -525,7 +519,7 @@ final class CheckoutSessionEndpoint {
 			$coupon_result = $this->apply_coupon( $coupon_code, $session_data );
 
 			if ( is_wp_error( $coupon_result ) ) {
-				return $coupon_result;
+				return $this->log_session_failure( $session_id, ErrorLogService::CATEGORY_VALIDATION, $coupon_result );
 			}
 
 			$session_data        = $coupon_result;
@@ -544,6 +538,16 @@ final class CheckoutSessionEndpoint {
 			$session_data = $this->recalculate_session( $session_data );
 		}
 
+		// The session stays usable, but buyers cannot complete without a shipping option.
+		if ( $request->has_param( 'shipping_address' ) && empty( $session_data['shipping_options'] ) && $this->needs_shipping( $session_data['items'] ?? array() ) ) {
+			$this->log_session_failure(
+				$session_id,
+				ErrorLogService::CATEGORY_SHIPPING,
+				new WP_Error( 'no_shipping_options', 'No shipping methods available for the shipping address' ),
+				$session_data['shipping_address']
+			);
+		}
+
 		// Update session in storage.
 		$updated = $this->session_service->update( $session_id, $session_data );
 
@@ -660,10 +664,14 @@ final class CheckoutSessionEndpoint {
 
 		// Validate payment data.
 		if ( empty( $payment_data['payment']['token'] ) ) {
-			return new WP_Error(
-				'missing_payment_token',
-				'Payment token is required',
-				array( 'status' => 400 )
+			return $this->log_session_failure(
+				$session_id,
+				ErrorLogService::CATEGORY_PAYMENT,
+				new WP_Error(
+					'missing_payment_token',
+					'Payment token is required',
+					array( 'status' => 400 )
+				)
 			);
 		}
 
@@ -671,7 +679,7 @@ final class CheckoutSessionEndpoint {
 		// This prevents race conditions where stock becomes unavailable between session creation and completion.
 		$stock_validation = $this->validate_session_stock( $session_data );
 		if ( is_wp_error( $stock_validation ) ) {
-			return $stock_validation;
+			return $this->log_session_failure( $session_id, ErrorLogService::CATEGORY_VALIDATION, $stock_validation );
 		}
 
 		// Add session ID to checkout session data for adapter.
@@ -691,6 +699,8 @@ final class CheckoutSessionEndpoint {
 				)
 			);
 
+			$this->log_session_failure( $session_id, ErrorLogService::CATEGORY_PAYMENT, $payment_result );
+
 			// Map payment errors to user-friendly messages.
 			return $this->map_payment_error( $payment_result );
 		}
@@ -950,8 +960,8 @@ final class CheckoutSessionEndpoint {
 				);
 			}
 
-			// Check stock.
-			if ( ! $product->is_in_stock() ) {
+			// Check stock (less any stock reserved away from ChatGPT).
+			if ( ! $this->channel_pricing->is_in_stock( $product ) ) {
 				return new WP_Error(
 					'out_of_stock',
 					sprintf( 'Product with SKU "%s" is out of stock', $sku ),
@@ -960,7 +970,8 @@ final class CheckoutSessionEndpoint {
 			}
 
 			// Check stock quantity.
-			if ( $product->managing_stock() && $product->get_stock_quantity() < $quantity ) {
+			$available = $this->channel_pricing->get_available_stock( $product );
+			if ( null !== $available && $available < $quantity ) {
 				return new WP_Error(
 					'insufficient_stock',
 					sprintf( 'Insufficient stock for product with SKU "%s"', $sku ),
@@ -968,14 +979,23 @@ final class CheckoutSessionEndpoint {
 				);
 			}
 
-			// Add to line items.
+			// Add to line items, at the ChatGPT price. The price is entered like the store's
+			// prices, so it may include tax; the subtotal never does, as in the order
+			// StripePaymentAdapter creates, and calculate_taxes() adds the tax on top.
+			$price        = $this->channel_pricing->get_price( $product );
 			$line_items[] = array(
 				'sku'        => $sku,
 				'product_id' => $product_id,
 				'name'       => $product->get_name(),
 				'quantity'   => $quantity,
-				'price'      => (float) $product->get_price(),
-				'subtotal'   => (float) $product->get_price() * $quantity,
+				'price'      => $price,
+				'subtotal'   => (float) wc_get_price_excluding_tax(
+					$product,
+					array(
+						'qty'   => $quantity,
+						'price' => $price,
+					)
+				),
 			);
 		}
 
@@ -1050,6 +1070,24 @@ final class CheckoutSessionEndpoint {
 		return $shipping_options;
 	}
 
+	/**
+	 * Check whether any line item product needs shipping
+	 *
+	 * @param array<int, array<string, mixed>> $line_items Line items.
+	 * @return bool True if at least one product needs shipping.
+	 */
+	private function needs_shipping( array $line_items ): bool {
+		foreach ( $line_items as $item ) {
+			$product = wc_get_product( $item['product_id'] );
+
+			if ( $product && $product->needs_shipping() ) {
+				return true;
+			}
+		}
+
+		return false;
+	}
+
 	/**
 	 * Prepare shipping package
 	 *
@@ -1094,6 +1132,8 @@ final class CheckoutSessionEndpoint {
 	 *
 	 * Calculates taxes for both products and shipping if applicable.
 	 * Many jurisdictions tax shipping costs, so this must be included.
+	 * Line subtotals exclude tax (see parse_line_items()), also on stores
+	 * whose prices include tax.
 	 *
 	 * @param array<int, array<string, mixed>> $line_items Line items.
 	 * @param array<string, mixed>             $tax_address Tax address.
@@ -1250,6 +1290,38 @@ final class CheckoutSessionEndpoint {
 		);
 	}
 
+	/**
+	 * Log why a session request failed
+	 *
+	 * Logged with the session ID and error code, so the analytics funnel can
+	 * list the most frequent reasons sessions fail.
+	 *
+	 * @param string               $session_id Session ID.
+	 * @param string               $category   ErrorLogService category: payment, validation or shipping.
+	 * @param WP_Error             $error      Error.
+	 * @param array<string, mixed> $address    Shipping address, for shipping errors.
+	 * @return WP_Error The error, so it can be returned directly.
+	 */
+	private function log_session_failure( string $session_id, string $category, WP_Error $error, array $address = array() ): WP_Error {
+		$context = array(
+			'session_id' => $session_id,
+			'code'       => $error->get_error_code(),
+		);
+
+		switch ( $category ) {
+			case ErrorLogService::CATEGORY_PAYMENT:
+				$this->error_log_service->log_payment_error( $error->get_error_message(), $context );
+				break;
+			case ErrorLogService::CATEGORY_SHIPPING:
+				$this->error_log_service->log_shipping_error( $error->get_error_message(), $address, $context );
+				break;
+			default:
+				$this->error_log_service->log_validation_error( $error->get_error_message(), array(), $context );
+		}
+
+		return $error;
+	}
+
 	/**
 	 * Map payment errors to user-friendly messages
 	 *
@@ -1338,8 +1410,8 @@ final class CheckoutSessionEndpoint {
 				);
 			}
 
-			// Check if product is in stock.
-			if ( ! $product->is_in_stock() ) {
+			// Check if product is in stock (less any stock reserved away from ChatGPT).
+			if ( ! $this->channel_pricing->is_in_stock( $product ) ) {
 				return new WP_Error(
 					'out_of_stock',
 					sprintf( 'Product "%s" is out of stock', $name ),
@@ -1351,8 +1423,8 @@ final class CheckoutSessionEndpoint {
 			}
 
 			// Check stock quantity if product manages stock.
-			if ( $product->managing_stock() && $product->get_stock_quantity() < $quantity ) {
-				$available = $product->get_stock_quantity();
+			$available = $this->channel_pricing->get_available_stock( $product );
+			if ( null !== $available && $available < $quantity ) {
 				return new WP_Error(
 					'insufficient_stock',
 					sprintf(
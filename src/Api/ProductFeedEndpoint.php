@@ -8,6 +8,7 @@
 namespace Carticy\AiCheckout\Api;
 
 use Carticy\AiCheckout\Services\ProductFeedService;
+use WP_HTTP_Response;
 use WP_REST_Request;
 use WP_REST_Response;
 use WP_Error;
@@ -36,6 +37,8 @@ final class ProductFeedEndpoint {
 	public function __construct( ProductFeedService $feed_service ) {
 		$this->feed_service = $feed_service;
 		$this->register_routes();
+
+		add_filter( 'rest_pre_serve_request', array( $this, 'serve_feed_document' ), 10, 3 );
 	}
 
 	/**
@@ -55,7 +58,7 @@ final class ProductFeedEndpoint {
 					'format' => array(
 						'type'              => 'string',
 						'default'           => 'json',
-						'enum'              => array( 'json', 'csv', 'xml', 'tsv' ),
+						'enum'              => array_keys( $this->feed_service->get_formats() ),
 						'sanitize_callback' => 'sanitize_text_field',
 					),
 				),
@@ -66,6 +69,9 @@ final class ProductFeedEndpoint {
 	/**
 	 * Get product feed
 	 *
+	 * JSON is returned as a regular REST response. Other formats are returned as
+	 * a string that serve_feed_document() sends as-is.
+	 *
 	 * @param WP_REST_Request $request Request object.
 	 * @return WP_REST_Response|WP_Error Response object or error.
 	 */
@@ -74,25 +80,24 @@ final class ProductFeedEndpoint {
 		$format       = $format_param ? $format_param : 'json';
 
 		try {
-			$feed = $this->feed_service->generate_feed( $format );
-
-			// Return based on format.
-			switch ( $format ) {
-				case 'json':
-					return rest_ensure_response( $feed );
-
-				case 'csv':
-					return $this->format_as_csv( $feed );
+			// Items are cached once and serialized per request, so every format has the same fields.
+			$feed = $this->feed_service->generate_feed();
+			$this->feed_service->publish_feed( $feed );
 
-				case 'tsv':
-					return $this->format_as_tsv( $feed );
+			if ( 'json' === $format ) {
+				return rest_ensure_response( $feed );
+			}
 
-				case 'xml':
-					return $this->format_as_xml( $feed );
+			$definition = $this->feed_service->get_formats()[ $format ];
 
-				default:
-					return rest_ensure_response( $feed );
-			}
+			return new WP_REST_Response(
+				$this->feed_service->serialize_feed( $feed, $format ),
+				200,
+				array(
+					'Content-Type'        => $definition['content_type'] . '; charset=' . get_option( 'blog_charset' ),
+					'Content-Disposition' => 'inline; filename="products.' . $definition['extension'] . '"',
+				)
+			);
 		} catch ( \Exception $e ) {
 			return new WP_Error(
 				'feed_generation_failed',
@@ -103,177 +108,28 @@ final class ProductFeedEndpoint {
 	}
 
 	/**
-	 * Format feed as CSV
-	 *
-	 * @param array<int, array<string, mixed>> $feed Product feed data.
-	 * @return WP_REST_Response Response with CSV data.
-	 */
-	private function format_as_csv( array $feed ): WP_REST_Response {
-		if ( empty( $feed ) ) {
-			return new WP_REST_Response( '', 200, array( 'Content-Type' => 'text/csv' ) );
-		}
-
-		// Get headers from first product.
-		$headers = array_keys( $this->flatten_product( $feed[0] ) );
-
-		// Build CSV as string array.
-		$lines   = array();
-		$lines[] = $this->array_to_csv_line( $headers );
-
-		foreach ( $feed as $product ) {
-			$lines[] = $this->array_to_csv_line( array_values( $this->flatten_product( $product ) ) );
-		}
-
-		$output = implode( "\n", $lines );
-
-		return new WP_REST_Response(
-			$output,
-			200,
-			array(
-				'Content-Type'        => 'text/csv',
-				'Content-Disposition' => 'attachment; filename="products.csv"',
-			)
-		);
-	}
-
-	/**
-	 * Convert array to CSV line string.
+	 * Send CSV, TSV and XML feed documents without JSON encoding
 	 *
-	 * @param array<int, mixed> $fields Array of field values.
-	 * @return string CSV formatted line.
-	 */
-	private function array_to_csv_line( array $fields ): string {
-		$escaped = array_map(
-			function ( $field ) {
-				$field = (string) $field;
-				// Escape quotes and wrap in quotes if contains comma, quote, or newline.
-				if ( strpos( $field, ',' ) !== false || strpos( $field, '"' ) !== false || strpos( $field, "\n" ) !== false ) {
-					return '"' . str_replace( '"', '""', $field ) . '"';
-				}
-				return $field;
-			},
-			$fields
-		);
-		return implode( ',', $escaped );
-	}
-
-	/**
-	 * Format feed as TSV
-	 *
-	 * @param array<int, array<string, mixed>> $feed Product feed data.
-	 * @return WP_REST_Response Response with TSV data.
-	 */
-	private function format_as_tsv( array $feed ): WP_REST_Response {
-		if ( empty( $feed ) ) {
-			return new WP_REST_Response( '', 200, array( 'Content-Type' => 'text/tab-separated-values' ) );
-		}
-
-		// Get headers from first product.
-		$headers = array_keys( $this->flatten_product( $feed[0] ) );
-
-		// Build TSV.
-		$rows   = array();
-		$rows[] = implode( "\t", $headers );
-
-		foreach ( $feed as $product ) {
-			$rows[] = implode( "\t", array_values( $this->flatten_product( $product ) ) );
-		}
-
-		$output = implode( "\n", $rows );
-
-		return new WP_REST_Response(
-			$output,
-			200,
-			array(
-				'Content-Type'        => 'text/tab-separated-values',
-				'Content-Disposition' => 'attachment; filename="products.tsv"',
-			)
-		);
-	}
-
-	/**
-	 * Format feed as XML
+	 * The REST server JSON-encodes every response body; for these formats the
+	 * document is echoed instead. Headers have already been sent at this point.
 	 *
-	 * @param array<int, array<string, mixed>> $feed Product feed data.
-	 * @return WP_REST_Response Response with XML data.
+	 * @param bool             $served  Whether the request has already been served.
+	 * @param WP_HTTP_Response $result  Result to send to the client.
+	 * @param WP_REST_Request  $request Request used to generate the response.
+	 * @return bool Whether the request has been served.
 	 */
-	private function format_as_xml( array $feed ): WP_REST_Response {
-		$xml = new \SimpleXMLElement( '<?xml version="1.0" encoding="UTF-8"?><products></products>' );
-
-		foreach ( $feed as $product_data ) {
-			$product_node = $xml->addChild( 'product' );
-			$this->array_to_xml( $product_data, $product_node );
+	public function serve_feed_document( bool $served, WP_HTTP_Response $result, WP_REST_Request $request ): bool {
+		if ( $served || '/' . self::NAMESPACE . '/products' !== $request->get_route() ) {
+			return $served;
 		}
 
-		return new WP_REST_Response(
-			$xml->asXML(),
-			200,
-			array(
-				'Content-Type'        => 'application/xml',
-				'Content-Disposition' => 'attachment; filename="products.xml"',
-			)
-		);
-	}
-
-	/**
-	 * Flatten nested product data for CSV/TSV
-	 *
-	 * @param array<string, mixed> $product Product data.
-	 * @return array<string, string> Flattened product data.
-	 */
-	private function flatten_product( array $product ): array {
-		$flattened = array();
-
-		foreach ( $product as $key => $value ) {
-			if ( is_array( $value ) ) {
-				// Handle nested arrays.
-				if ( isset( $value['value'] ) && isset( $value['currency'] ) ) {
-					// Price object.
-					$flattened[ $key . '_value' ]    = (string) $value['value'];
-					$flattened[ $key . '_currency' ] = (string) $value['currency'];
-				} elseif ( isset( $value['value'] ) && isset( $value['unit'] ) ) {
-					// Weight object.
-					$flattened[ $key . '_value' ] = (string) $value['value'];
-					$flattened[ $key . '_unit' ]  = (string) $value['unit'];
-				} else {
-					// Array of values (e.g., additional images).
-					$flattened[ $key ] = implode( '|', array_map( 'strval', $value ) );
-				}
-			} else {
-				$flattened[ $key ] = (string) $value;
-			}
+		if ( 'json' === ( $request->get_param( 'format' ) ?? 'json' ) || ! is_string( $result->get_data() ) ) {
+			return $served;
 		}
 
-		return $flattened;
-	}
+		// phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- CSV/TSV/XML feed document.
+		echo $result->get_data();
 
-	/**
-	 * Convert array to XML recursively
-	 *
-	 * @param array<string, mixed> $data Data to convert.
-	 * @param \SimpleXMLElement    $xml XML element to append to.
-	 * @return void
-	 */
-	private function array_to_xml( array $data, \SimpleXMLElement $xml ): void {
-		foreach ( $data as $key => $value ) {
-			if ( is_array( $value ) ) {
-				// Check if it's a numeric array (list).
-				if ( array_keys( $value ) === range( 0, count( $value ) - 1 ) ) {
-					foreach ( $value as $item ) {
-						if ( is_array( $item ) ) {
-							$child = $xml->addChild( $key );
-							$this->array_to_xml( $item, $child );
-						} else {
-							$xml->addChild( $key, htmlspecialchars( (string) $item ) );
-						}
-					}
-				} else {
-					$child = $xml->addChild( $key );
-					$this->array_to_xml( $value, $child );
-				}
-			} else {
-				$xml->addChild( $key, htmlspecialchars( (string) $value ) );
-			}
-		}
+		return true;
 	}
 }
@@ -68,5 +68,10 @@ final class Activator {
 		if ( ! wp_next_scheduled( 'carticy_ai_checkout_update_openai_ips' ) ) {
 			wp_schedule_event( time(), 'hourly', 'carticy_ai_checkout_update_openai_ips', array() );
 		}
+
+		// Alert rule evaluation every 15 minutes.
+		if ( ! wp_next_scheduled( 'carticy_ai_checkout_evaluate_alerts' ) ) {
+			wp_schedule_event( time(), 'every_15_minutes', 'carticy_ai_checkout_evaluate_alerts', array() );
+		}
 	}
 }
@@ -37,6 +37,8 @@ final class Deactivator {
 			'carticy_ai_checkout_refresh_product_feed',
 			'carticy_ai_checkout_cleanup_sessions',
 			'carticy_ai_checkout_update_openai_ips',
+			'carticy_ai_checkout_evaluate_alerts',
+			'carticy_ai_checkout_process_batch_jobs',
 		);
 
 		foreach ( $events as $event ) {
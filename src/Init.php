@@ -9,11 +9,14 @@ namespace Carticy\AiCheckout;
 
 use Carticy\AiCheckout\Core\Container;
 use Carticy\AiCheckout\Admin\AdminHandler;
+use Carticy\AiCheckout\Admin\AdminNotices;
 use Carticy\AiCheckout\Admin\ProductFeedManager;
 use Carticy\AiCheckout\Admin\ApplicationWizard;
 use Carticy\AiCheckout\Services\PrerequisitesChecker;
 use Carticy\AiCheckout\Services\ProductFeedService;
 use Carticy\AiCheckout\Services\ProductQualityChecker;
+use Carticy\AiCheckout\Services\ProductQualityFixer;
+use Carticy\AiCheckout\Services\BatchJobService;
 use Carticy\AiCheckout\Services\SessionService;
 use Carticy\AiCheckout\Services\AuthenticationService;
 use Carticy\AiCheckout\Services\ApiKeyService;
@@ -24,16 +27,25 @@ use Carticy\AiCheckout\Services\IpAllowlistService;
 use Carticy\AiCheckout\Services\RateLimitService;
 use Carticy\AiCheckout\Services\ApplicationWizardService;
 use Carticy\AiCheckout\Services\AnalyticsService;
+use Carticy\AiCheckout\Services\CheckoutFunnelService;
 use Carticy\AiCheckout\Services\LoggingService;
 use Carticy\AiCheckout\Services\ErrorLogService;
 use Carticy\AiCheckout\Services\WebhookLogger;
+use Carticy\AiCheckout\Services\SessionTimelineService;
 use Carticy\AiCheckout\Services\PerformanceMetrics;
+use Carticy\AiCheckout\Services\AlertService;
+use Carticy\AiCheckout\Services\ErrorHandler;
 use Carticy\AiCheckout\Services\TestModeService;
 use Carticy\AiCheckout\Services\ApiDebugLogger;
+use Carticy\AiCheckout\Services\RedactionPolicyService;
+use Carticy\AiCheckout\Services\FeedMappingService;
+use Carticy\AiCheckout\Services\FeedInclusionService;
+use Carticy\AiCheckout\Services\ChannelPricingService;
 use Carticy\AiCheckout\Services\MockSimulator;
 use Carticy\AiCheckout\Services\ConformanceTestService;
 use Carticy\AiCheckout\Admin\AnalyticsDashboard;
 use Carticy\AiCheckout\Admin\LogsViewer;
+use Carticy\AiCheckout\Admin\RequestPlayground;
 use Carticy\AiCheckout\Api\ProductFeedEndpoint;
 use Carticy\AiCheckout\Api\CheckoutSessionEndpoint;
 
@@ -100,11 +112,38 @@ final class Init {
 			}
 		);
 
+		// Register Feed Mapping Service.
+		$this->container->register(
+			'feed_mapping',
+			function ( Container $c ): FeedMappingService {
+				return new FeedMappingService();
+			}
+		);
+
+		// Register Feed Inclusion Service.
+		$this->container->register(
+			'feed_inclusion',
+			function ( Container $c ): FeedInclusionService {
+				return new FeedInclusionService();
+			}
+		);
+
+		// Register Channel Pricing Service.
+		$this->container->register(
+			'channel_pricing',
+			function ( Container $c ): ChannelPricingService {
+				return new ChannelPricingService();
+			}
+		);
+
 		// Register Product Feed Service.
 		$this->container->register(
 			'product_feed',
 			function ( Container $c ): ProductFeedService {
-				return new ProductFeedService();
+				$feed_service = new ProductFeedService();
+				$feed_service->set_feed_mapping( $c->get( 'feed_mapping' ) );
+				$feed_service->set_channel_pricing( $c->get( 'channel_pricing' ) );
+				return $feed_service;
 			}
 		);
 
@@ -116,11 +155,37 @@ final class Init {
 			}
 		);
 
+		// Register Product Quality Fixer.
+		$this->container->register(
+			'product_quality_fixer',
+			function ( Container $c ): ProductQualityFixer {
+				return new ProductQualityFixer( $c->get( 'product_quality' ) );
+			}
+		);
+
+		// Register Batch Job Service.
+		$this->container->register(
+			'batch_job',
+			function ( Container $c ): BatchJobService {
+				return new BatchJobService( $c->get( 'product_feed' ), $c->get( 'product_quality' ), $c->get( 'feed_inclusion' ) );
+			}
+		);
+
+		// Register Checkout Funnel Service (before Session Service, which records into it).
+		$this->container->register(
+			'checkout_funnel',
+			function ( Container $c ): CheckoutFunnelService {
+				return new CheckoutFunnelService();
+			}
+		);
+
 		// Register Session Service.
 		$this->container->register(
 			'session',
 			function ( Container $c ): SessionService {
-				return new SessionService();
+				$session_service = new SessionService();
+				$session_service->set_funnel_service( $c->get( 'checkout_funnel' ) );
+				return $session_service;
 			}
 		);
 
@@ -128,7 +193,17 @@ final class Init {
 		$this->container->register(
 			'logging',
 			function ( Container $c ): LoggingService {
-				return new LoggingService();
+				$logging_service = new LoggingService();
+				$logging_service->set_redaction_policy( $c->get( 'redaction_policy' ) );
+				return $logging_service;
+			}
+		);
+
+		// Register Redaction Policy Service.
+		$this->container->register(
+			'redaction_policy',
+			function ( Container $c ): RedactionPolicyService {
+				return new RedactionPolicyService();
 			}
 		);
 
@@ -163,6 +238,7 @@ final class Init {
 				$auth_service = new AuthenticationService();
 				$auth_service->set_ip_allowlist_service( $c->get( 'ip_allowlist' ) );
 				$auth_service->set_rate_limit_service( $c->get( 'rate_limit' ) );
+				$auth_service->set_api_key_service( $c->get( 'api_key' ) );
 				return $auth_service;
 			}
 		);
@@ -179,7 +255,7 @@ final class Init {
 		$this->container->register(
 			'webhook',
 			function ( Container $c ): WebhookService {
-				return new WebhookService( $c->get( 'webhook_logger' ) );
+				return new WebhookService( $c->get( 'webhook_logger' ), $c->get( 'api_key' ) );
 			}
 		);
 
@@ -195,7 +271,15 @@ final class Init {
 		$this->container->register(
 			'webhook_logger',
 			function ( Container $c ): WebhookLogger {
-				return new WebhookLogger( $c->get( 'logging' ) );
+				return new WebhookLogger( $c->get( 'logging' ), $c->get( 'session_timeline' ) );
+			}
+		);
+
+		// Register Session Timeline Service.
+		$this->container->register(
+			'session_timeline',
+			function ( Container $c ): SessionTimelineService {
+				return new SessionTimelineService( $c->get( 'logging' ), $c->get( 'session' ), $c->get( 'auth' ) );
 			}
 		);
 
@@ -207,6 +291,22 @@ final class Init {
 			}
 		);
 
+		// Register Alert Service.
+		$this->container->register(
+			'alerts',
+			function ( Container $c ): AlertService {
+				return new AlertService( $c->get( 'error_log' ), $c->get( 'webhook_logger' ), $c->get( 'performance_metrics' ) );
+			}
+		);
+
+		// Register Error Handler.
+		$this->container->register(
+			'error_handler',
+			function ( Container $c ): ErrorHandler {
+				return new ErrorHandler( $c->get( 'error_log' ) );
+			}
+		);
+
 		// Register Product Feed Endpoint.
 		$this->container->register(
 			'product_feed_endpoint',
@@ -226,7 +326,7 @@ final class Init {
 					$c->get( 'idempotency' ),
 					$c->get( 'logging' ),
 					$c->get( 'error_log' ),
-					$c->get( 'performance_metrics' )
+					$c->get( 'channel_pricing' )
 				);
 			}
 		);
@@ -239,11 +339,27 @@ final class Init {
 			}
 		);
 
+		// Register Admin Notices.
+		$this->container->register(
+			'admin_notices',
+			function ( Container $c ): AdminNotices {
+				return new AdminNotices( $c->get( 'error_handler' ), $c->get( 'alerts' ) );
+			}
+		);
+
 		// Register Product Feed Manager.
 		$this->container->register(
 			'product_feed_manager',
 			function ( Container $c ): ProductFeedManager {
-				return new ProductFeedManager( $c->get( 'product_feed' ), $c->get( 'product_quality' ) );
+				return new ProductFeedManager(
+					$c->get( 'product_feed' ),
+					$c->get( 'product_quality' ),
+					$c->get( 'batch_job' ),
+					$c->get( 'product_quality_fixer' ),
+					$c->get( 'feed_mapping' ),
+					$c->get( 'feed_inclusion' ),
+					$c->get( 'channel_pricing' )
+				);
 			}
 		);
 
@@ -279,7 +395,12 @@ final class Init {
 		$this->container->register(
 			'analytics_dashboard',
 			function ( Container $c ): AnalyticsDashboard {
-				return new AnalyticsDashboard( $c->get( 'analytics_service' ) );
+				return new AnalyticsDashboard(
+					$c->get( 'analytics_service' ),
+					$c->get( 'product_quality' ),
+					$c->get( 'checkout_funnel' ),
+					$c->get( 'error_log' )
+				);
 			}
 		);
 
@@ -292,7 +413,11 @@ final class Init {
 					$c->get( 'error_log' ),
 					$c->get( 'webhook_logger' ),
 					$c->get( 'performance_metrics' ),
-					$c->get( 'session' )
+					$c->get( 'session' ),
+					$c->get( 'session_timeline' ),
+					$c->get( 'webhook' ),
+					$c->get( 'api_debug_logger' ),
+					$c->get( 'alerts' )
 				);
 			}
 		);
@@ -309,7 +434,7 @@ final class Init {
 		$this->container->register(
 			'api_debug_logger',
 			function ( Container $c ): ApiDebugLogger {
-				return new ApiDebugLogger( $c->get( 'logging' ), $c->get( 'test_mode' ) );
+				return new ApiDebugLogger( $c->get( 'logging' ), $c->get( 'test_mode' ), $c->get( 'redaction_policy' ), $c->get( 'auth' ) );
 			}
 		);
 
@@ -325,7 +450,20 @@ final class Init {
 		$this->container->register(
 			'conformance_test',
 			function ( Container $c ): ConformanceTestService {
-				return new ConformanceTestService( $c->get( 'mock_simulator' ) );
+				return new ConformanceTestService(
+					$c->get( 'mock_simulator' ),
+					$c->get( 'test_mode' ),
+					$c->get( 'api_key' ),
+					$c->get( 'ip_allowlist' )
+				);
+			}
+		);
+
+		// Register Request Playground.
+		$this->container->register(
+			'request_playground',
+			function ( Container $c ): RequestPlayground {
+				return new RequestPlayground( $c->get( 'mock_simulator' ) );
 			}
 		);
 		// phpcs:enable Generic.CodeAnalysis.UnusedFunctionParameter.Found
@@ -340,15 +478,26 @@ final class Init {
 		// Initialize admin area.
 		if ( is_admin() ) {
 			$this->container->get( 'admin' );
+			$this->container->get( 'admin_notices' );
 			$this->container->get( 'product_feed_manager' );
 			$this->container->get( 'application_wizard' );
 			$this->container->get( 'analytics_dashboard' );
 			$this->container->get( 'logs_viewer' );
+			$this->container->get( 'request_playground' );
 		}
 
 		// Register REST API endpoints.
 		add_action( 'rest_api_init', array( $this, 'register_rest_routes' ) );
 
+		// Record checkout session API calls for the session timeline.
+		add_filter( 'rest_post_dispatch', array( $this, 'record_session_api_call' ), 10, 3 );
+
+		// Record authenticated plugin API calls in debug mode for the API log explorer.
+		add_filter( 'rest_post_dispatch', array( $this, 'record_api_debug_log' ), 10, 3 );
+
+		// Track plugin API call performance.
+		add_filter( 'rest_post_dispatch', array( $this, 'track_api_performance' ), 10, 3 );
+
 		// Add custom cron schedules.
 		add_filter( 'cron_schedules', array( $this, 'add_cron_schedules' ) );
 
@@ -356,6 +505,21 @@ final class Init {
 		add_action( 'save_post_product', array( $this, 'invalidate_product_feed_cache' ) );
 		add_action( 'woocommerce_update_product', array( $this, 'invalidate_product_feed_cache' ) );
 		add_action( 'woocommerce_delete_product', array( $this, 'invalidate_product_feed_cache' ) );
+		add_action( 'add_option_' . FeedMappingService::OPTION_RULES, array( $this, 'invalidate_product_feed_cache' ) );
+		add_action( 'update_option_' . FeedMappingService::OPTION_RULES, array( $this, 'invalidate_product_feed_cache' ) );
+		add_action( 'add_option_' . ChannelPricingService::OPTION_CATEGORIES, array( $this, 'apply_channel_pricing_categories' ) );
+		add_action( 'update_option_' . ChannelPricingService::OPTION_CATEGORIES, array( $this, 'apply_channel_pricing_categories' ) );
+
+		// Re-evaluate feed inclusion rules when they are saved and when products change.
+		add_action( 'add_option_' . FeedInclusionService::OPTION_RULES, array( $this, 'apply_feed_inclusion_rules' ) );
+		add_action( 'update_option_' . FeedInclusionService::OPTION_RULES, array( $this, 'apply_feed_inclusion_rules' ) );
+		add_action( 'woocommerce_new_product', array( $this, 'queue_feed_inclusion_check' ) );
+		add_action( 'woocommerce_update_product', array( $this, 'queue_feed_inclusion_check' ) );
+		add_action( 'woocommerce_product_set_stock_status', array( $this, 'queue_feed_inclusion_check' ) );
+		add_action( 'woocommerce_variation_set_stock_status', array( $this, 'queue_feed_inclusion_check' ) );
+		add_action( 'added_post_meta', array( $this, 'queue_feed_inclusion_check_for_meta' ), 10, 3 );
+		add_action( 'updated_post_meta', array( $this, 'queue_feed_inclusion_check_for_meta' ), 10, 3 );
+		add_action( 'shutdown', array( $this, 'process_feed_inclusion_queue' ) );
 
 		// Add product feed refresh cron hook.
 		add_action( 'carticy_ai_checkout_refresh_product_feed', array( $this, 'refresh_product_feed_cache' ) );
@@ -366,6 +530,12 @@ final class Init {
 		// Add IP allowlist auto-update cron hook.
 		add_action( 'carticy_ai_checkout_update_openai_ips', array( $this, 'update_openai_ip_ranges' ) );
 
+		// Add alert rule evaluation cron hook.
+		add_action( AlertService::CRON_HOOK, array( $this, 'evaluate_alerts' ) );
+
+		// Add background batch job cron hook.
+		add_action( BatchJobService::CRON_HOOK, array( $this, 'process_batch_jobs' ) );
+
 		// Add Stripe SharedPaymentToken injection filter.
 		add_filter( 'wc_stripe_generate_create_intent_request', array( $this, 'inject_shared_payment_token' ), 10, 3 );
 
@@ -401,6 +571,70 @@ final class Init {
 		$this->container->get( 'product_feed' )->invalidate_cache();
 	}
 
+	/**
+	 * Refresh the product feed after category channel pricing is saved
+	 *
+	 * @return void
+	 */
+	public function apply_channel_pricing_categories(): void {
+		$this->container->get( 'channel_pricing' )->flush_category_overrides();
+		$this->invalidate_product_feed_cache();
+	}
+
+	/**
+	 * Start re-evaluating all products against the feed inclusion rules after they are saved
+	 *
+	 * The inclusion rules tab runs the job in batches, like feed regeneration.
+	 *
+	 * @return void
+	 */
+	public function apply_feed_inclusion_rules(): void {
+		$this->container->get( 'feed_inclusion' )->flush_rules();
+		$this->container->get( 'batch_job' )->start( BatchJobService::TYPE_INCLUSION );
+	}
+
+	/**
+	 * Queue a changed product for feed inclusion re-evaluation
+	 *
+	 * @param int $product_id Product or variation ID.
+	 * @return void
+	 */
+	public function queue_feed_inclusion_check( $product_id ): void {
+		$this->container->get( 'feed_inclusion' )->queue( (int) $product_id );
+	}
+
+	/**
+	 * Queue a product for feed inclusion re-evaluation when its quality score changes
+	 *
+	 * Stock status and price changes are caught by the product hooks; quality
+	 * scores are cached meta written outside product saves (e.g. batch recalculation).
+	 *
+	 * @param int    $meta_id   Meta ID.
+	 * @param int    $object_id Post ID.
+	 * @param string $meta_key  Meta key.
+	 * @return void
+	 *
+	 * @phpcs:ignore Generic.CodeAnalysis.UnusedFunctionParameter.FoundBeforeLastUsed -- Required by WordPress hook signature.
+	 */
+	public function queue_feed_inclusion_check_for_meta( $meta_id, $object_id, $meta_key ): void {
+		if ( '_carticy_ai_checkout_quality_score' === $meta_key ) {
+			$this->queue_feed_inclusion_check( $object_id );
+		}
+	}
+
+	/**
+	 * Re-evaluate the feed inclusion of products changed during the request
+	 *
+	 * @return void
+	 */
+	public function process_feed_inclusion_queue(): void {
+		$changes = $this->container->get( 'feed_inclusion' )->process_queue();
+
+		if ( $changes['added'] || $changes['removed'] ) {
+			$this->invalidate_product_feed_cache();
+		}
+	}
+
 	/**
 	 * Refresh product feed cache
 	 *
@@ -451,6 +685,24 @@ final class Init {
 		}
 	}
 
+	/**
+	 * Evaluate alert rules
+	 *
+	 * @return void
+	 */
+	public function evaluate_alerts(): void {
+		$this->container->get( 'alerts' )->evaluate_rules();
+	}
+
+	/**
+	 * Advance background batch jobs (WP-Cron callback)
+	 *
+	 * @return void
+	 */
+	public function process_batch_jobs(): void {
+		$this->container->get( 'batch_job' )->process_in_background();
+	}
+
 	/**
 	 * Add custom cron schedules
 	 *
@@ -547,6 +799,60 @@ final class Init {
 		return $output;
 	}
 
+	/**
+	 * Record checkout session API call in the session timeline
+	 *
+	 * @param \WP_HTTP_Response $result  REST response.
+	 * @param \WP_REST_Server   $server  REST server (unused, required by hook).
+	 * @param \WP_REST_Request  $request REST request.
+	 * @return \WP_HTTP_Response Unchanged response.
+	 *
+	 * @phpcs:ignore Generic.CodeAnalysis.UnusedFunctionParameter.FoundBeforeLastUsed -- Required by WordPress hook signature.
+	 */
+	public function record_session_api_call( $result, $server, $request ) {
+		if ( $result instanceof \WP_HTTP_Response && $request instanceof \WP_REST_Request ) {
+			$this->container->get( 'session_timeline' )->record_rest_response( $result, $request );
+		}
+
+		return $result;
+	}
+
+	/**
+	 * Record plugin API call in the API debug log
+	 *
+	 * @param \WP_HTTP_Response $result  REST response.
+	 * @param \WP_REST_Server   $server  REST server (unused, required by hook).
+	 * @param \WP_REST_Request  $request REST request.
+	 * @return \WP_HTTP_Response Unchanged response.
+	 *
+	 * @phpcs:ignore Generic.CodeAnalysis.UnusedFunctionParameter.FoundBeforeLastUsed -- Required by WordPress hook signature.
+	 */
+	public function record_api_debug_log( $result, $server, $request ) {
+		if ( $result instanceof \WP_HTTP_Response && $request instanceof \WP_REST_Request ) {
+			$this->container->get( 'api_debug_logger' )->record_rest_response( $result, $request );
+		}
+
+		return $result;
+	}
+
+	/**
+	 * Track plugin API call performance
+	 *
+	 * @param \WP_HTTP_Response $result  REST response.
+	 * @param \WP_REST_Server   $server  REST server (unused, required by hook).
+	 * @param \WP_REST_Request  $request REST request.
+	 * @return \WP_HTTP_Response Unchanged response.
+	 *
+	 * @phpcs:ignore Generic.CodeAnalysis.UnusedFunctionParameter.FoundBeforeLastUsed -- Required by WordPress hook signature.
+	 */
+	public function track_api_performance( $result, $server, $request ) {
+		if ( $request instanceof \WP_REST_Request ) {
+			$this->container->get( 'performance_metrics' )->track_rest_request( $request );
+		}
+
+		return $result;
+	}
+
 	/**
 	 * Send order_created webhook to OpenAI
 	 *
@@ -0,0 +1,684 @@
+<?php
+/**
+ * Alert Service
+ *
+ * Evaluates alert rules on webhook failures, API latency and error counts.
+ *
+ * @package Carticy\AiCheckout
+ */
+
+namespace Carticy\AiCheckout\Services;
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Alert service
+ *
+ * A rule compares a metric measured over a recent window (e.g. the webhook
+ * failure rate over the last 15 minutes) with a threshold. Rules are evaluated
+ * by WP-Cron. An alert fires when a rule starts breaching its threshold and is
+ * delivered once, through the rule's channels: an admin notice, an email and an
+ * outgoing HTTP hook. It is resolved when the rule stops breaching, so a rule
+ * that keeps breaching does not alert again on every run. Windows without data
+ * (e.g. no webhooks sent) never breach.
+ */
+final class AlertService {
+	/**
+	 * Option storing the rules
+	 */
+	public const OPTION_RULES = 'carticy_ai_checkout_alert_rules';
+
+	/**
+	 * Option storing the email recipients and HTTP hook URL
+	 */
+	public const OPTION_CHANNELS = 'carticy_ai_checkout_alert_channels';
+
+	/**
+	 * Option storing the last evaluation of each rule
+	 */
+	public const OPTION_STATE = 'carticy_ai_checkout_alert_state';
+
+	/**
+	 * Option storing the fired alerts
+	 */
+	public const OPTION_HISTORY = 'carticy_ai_checkout_alert_history';
+
+	/**
+	 * Cron hook evaluating the rules
+	 */
+	public const CRON_HOOK = 'carticy_ai_checkout_evaluate_alerts';
+
+	/**
+	 * Share of failed webhook delivery attempts (%)
+	 */
+	public const METRIC_WEBHOOK_FAILURE_RATE = 'webhook_failure_rate';
+
+	/**
+	 * Failed webhook delivery attempts
+	 */
+	public const METRIC_WEBHOOK_FAILURES = 'webhook_failures';
+
+	/**
+	 * 95th percentile API request duration (seconds), optionally of one endpoint
+	 */
+	public const METRIC_LATENCY_P95 = 'latency_p95';
+
+	/**
+	 * Logged errors, optionally of one category
+	 */
+	public const METRIC_ERROR_COUNT = 'error_count';
+
+	/**
+	 * Admin notice channel
+	 */
+	public const CHANNEL_NOTICE = 'notice';
+
+	/**
+	 * Email channel
+	 */
+	public const CHANNEL_EMAIL = 'email';
+
+	/**
+	 * Outgoing HTTP hook channel
+	 */
+	public const CHANNEL_WEBHOOK = 'webhook';
+
+	/**
+	 * Fired alerts kept
+	 */
+	private const HISTORY_LIMIT = 100;
+
+	/**
+	 * Allowed window range in minutes
+	 */
+	private const MIN_WINDOW = 5;
+	private const MAX_WINDOW = 1440;
+
+	/**
+	 * Error log service instance.
+	 *
+	 * @var ErrorLogService
+	 */
+	private ErrorLogService $error_log;
+
+	/**
+	 * Webhook logger instance.
+	 *
+	 * @var WebhookLogger
+	 */
+	private WebhookLogger $webhook_logger;
+
+	/**
+	 * Performance metrics instance.
+	 *
+	 * @var PerformanceMetrics
+	 */
+	private PerformanceMetrics $performance_metrics;
+
+	/**
+	 * Constructor.
+	 *
+	 * @param ErrorLogService    $error_log           Error log service instance.
+	 * @param WebhookLogger      $webhook_logger      Webhook logger instance.
+	 * @param PerformanceMetrics $performance_metrics Performance metrics instance.
+	 */
+	public function __construct( ErrorLogService $error_log, WebhookLogger $webhook_logger, PerformanceMetrics $performance_metrics ) {
+		$this->error_log           = $error_log;
+		$this->webhook_logger      = $webhook_logger;
+		$this->performance_metrics = $performance_metrics;
+	}
+
+	/**
+	 * Get the metric labels
+	 *
+	 * @return array<string, string> Labels keyed by metric.
+	 */
+	public function get_metrics(): array {
+		return array(
+			self::METRIC_WEBHOOK_FAILURE_RATE => __( 'Webhook failure rate (%)', 'carticy-ai-checkout-for-woocommerce' ),
+			self::METRIC_WEBHOOK_FAILURES     => __( 'Failed webhook deliveries', 'carticy-ai-checkout-for-woocommerce' ),
+			self::METRIC_LATENCY_P95          => __( 'p95 API latency (seconds)', 'carticy-ai-checkout-for-woocommerce' ),
+			self::METRIC_ERROR_COUNT          => __( 'Errors logged', 'carticy-ai-checkout-for-woocommerce' ),
+		);
+	}
+
+	/**
+	 * Get the comparison operators
+	 *
+	 * @return array<string, string> Symbols keyed by operator.
+	 */
+	public function get_operators(): array {
+		return array(
+			'gt'  => '>',
+			'gte' => '≥',
+		);
+	}
+
+	/**
+	 * Get the channel labels
+	 *
+	 * @return array<string, string> Labels keyed by channel.
+	 */
+	public function get_channels(): array {
+		return array(
+			self::CHANNEL_NOTICE  => __( 'Admin notice', 'carticy-ai-checkout-for-woocommerce' ),
+			self::CHANNEL_EMAIL   => __( 'Email', 'carticy-ai-checkout-for-woocommerce' ),
+			self::CHANNEL_WEBHOOK => __( 'HTTP hook', 'carticy-ai-checkout-for-woocommerce' ),
+		);
+	}
+
+	/**
+	 * Get the configured rules
+	 *
+	 * @return array<int, array<string, mixed>> Rules (see sanitize_rules()).
+	 */
+	public function get_rules(): array {
+		$rules = get_option( self::OPTION_RULES, array() );
+
+		return is_array( $rules ) ? $this->sanitize_rules( $rules ) : array();
+	}
+
+	/**
+	 * Sanitize rules
+	 *
+	 * Each rule has an id, name, metric, category (error count only), endpoint
+	 * (latency only, matched against the end of the normalized endpoint, e.g.
+	 * "/complete"), operator, threshold, window in minutes, channels and enabled
+	 * flag. Rules with an unknown metric are removed; rules without an id get one.
+	 *
+	 * @param mixed $rules Rules, as a list or keyed by form row.
+	 * @return array<int, array<string, mixed>> Sanitized rules.
+	 */
+	public function sanitize_rules( $rules ): array {
+		if ( ! is_array( $rules ) ) {
+			return array();
+		}
+
+		$metrics   = $this->get_metrics();
+		$sanitized = array();
+
+		foreach ( $rules as $rule ) {
+			$metric   = is_array( $rule ) && is_string( $rule['metric'] ?? null ) ? $rule['metric'] : '';
+			$operator = is_array( $rule ) && is_string( $rule['operator'] ?? null ) ? $rule['operator'] : '';
+
+			if ( ! isset( $metrics[ $metric ] ) ) {
+				continue;
+			}
+
+			$category = sanitize_key( $rule['category'] ?? '' );
+			$endpoint = trim( sanitize_text_field( $rule['endpoint'] ?? '' ) );
+			$id       = sanitize_key( $rule['id'] ?? '' );
+			$name     = sanitize_text_field( $rule['name'] ?? '' );
+
+			$sanitized[] = array(
+				'id'        => '' !== $id ? $id : 'rule_' . substr( md5( wp_generate_uuid4() ), 0, 12 ),
+				'name'      => '' !== $name ? $name : $metrics[ $metric ],
+				'metric'    => $metric,
+				'category'  => self::METRIC_ERROR_COUNT === $metric && isset( $this->error_log->get_category_labels()[ $category ] ) ? $category : '',
+				'endpoint'  => self::METRIC_LATENCY_P95 === $metric ? $endpoint : '',
+				'operator'  => isset( $this->get_operators()[ $operator ] ) ? $operator : 'gt',
+				'threshold' => max( 0.0, (float) ( $rule['threshold'] ?? 0 ) ),
+				'window'    => min( self::MAX_WINDOW, max( self::MIN_WINDOW, absint( $rule['window'] ?? 15 ) ) ),
+				'channels'  => array_values( array_intersect( array_keys( $this->get_channels() ), (array) ( $rule['channels'] ?? array() ) ) ),
+				'enabled'   => ! empty( $rule['enabled'] ),
+			);
+		}
+
+		return $sanitized;
+	}
+
+	/**
+	 * Get the channel settings
+	 *
+	 * @return array{email: string, webhook_url: string} Comma-separated email recipients (the site admin email when
+	 *         empty) and HTTP hook URL.
+	 */
+	public function get_channel_settings(): array {
+		$settings = get_option( self::OPTION_CHANNELS, array() );
+
+		return $this->sanitize_channel_settings( is_array( $settings ) ? $settings : array() );
+	}
+
+	/**
+	 * Sanitize the channel settings
+	 *
+	 * @param mixed $settings Settings.
+	 * @return array{email: string, webhook_url: string} Sanitized settings; invalid email addresses are removed.
+	 */
+	public function sanitize_channel_settings( $settings ): array {
+		$settings = is_array( $settings ) ? $settings : array();
+		$emails   = array_filter( array_map( 'sanitize_email', explode( ',', (string) ( $settings['email'] ?? '' ) ) ), 'is_email' );
+
+		return array(
+			'email'       => implode( ', ', $emails ),
+			'webhook_url' => esc_url_raw( trim( (string) ( $settings['webhook_url'] ?? '' ) ), array( 'http', 'https' ) ),
+		);
+	}
+
+	/**
+	 * Get the last evaluation of each rule
+	 *
+	 * @return array<string, array{firing: bool, value: float|null, checked_at: int}> Evaluations keyed by rule ID.
+	 */
+	public function get_state(): array {
+		$state = get_option( self::OPTION_STATE, array() );
+
+		return is_array( $state ) ? $state : array();
+	}
+
+	/**
+	 * Get the fired alerts
+	 *
+	 * @return array<int, array<string, mixed>> Alerts, newest first.
+	 */
+	public function get_history(): array {
+		$history = get_option( self::OPTION_HISTORY, array() );
+
+		return is_array( $history ) ? $history : array();
+	}
+
+	/**
+	 * Get the alerts to show as admin notices
+	 *
+	 * @return array<int, array<string, mixed>> Unresolved, undismissed alerts delivered as admin notices.
+	 */
+	public function get_active_alerts(): array {
+		return array_values(
+			array_filter(
+				$this->get_history(),
+				function ( $alert ) {
+					return empty( $alert['resolved_at'] ) && empty( $alert['dismissed'] ) && isset( $alert['deliveries'][ self::CHANNEL_NOTICE ] );
+				}
+			)
+		);
+	}
+
+	/**
+	 * Dismiss the admin notice of an alert
+	 *
+	 * @param string $alert_id Alert ID.
+	 * @return void
+	 */
+	public function dismiss_alert( string $alert_id ): void {
+		$history = $this->get_history();
+
+		foreach ( $history as &$alert ) {
+			if ( $alert['id'] === $alert_id ) {
+				$alert['dismissed'] = true;
+			}
+		}
+		unset( $alert );
+
+		update_option( self::OPTION_HISTORY, $history, false );
+	}
+
+	/**
+	 * Clear the fired alerts
+	 *
+	 * Rules that are still breaching are reset, so they fire again on the next run.
+	 *
+	 * @return void
+	 */
+	public function clear_history(): void {
+		delete_option( self::OPTION_HISTORY );
+		delete_option( self::OPTION_STATE );
+	}
+
+	/**
+	 * Schedule the rule evaluation
+	 *
+	 * @return void
+	 */
+	public function schedule_evaluation(): void {
+		if ( ! wp_next_scheduled( self::CRON_HOOK ) ) {
+			wp_schedule_event( time(), 'every_15_minutes', self::CRON_HOOK, array() );
+		}
+	}
+
+	/**
+	 * Evaluate the enabled rules
+	 *
+	 * Fires alerts for rules that started breaching and resolves those that stopped.
+	 *
+	 * @return array<string, array{firing: bool, value: float|null, checked_at: int}> Evaluations keyed by rule ID.
+	 */
+	public function evaluate_rules(): array {
+		$previous = $this->get_state();
+		$state    = array();
+
+		foreach ( $this->get_rules() as $rule ) {
+			if ( ! $rule['enabled'] ) {
+				continue;
+			}
+
+			$value     = $this->measure( $rule );
+			$breaching = $this->is_breaching( $rule, $value );
+			$firing    = ! empty( $previous[ $rule['id'] ]['firing'] );
+
+			if ( $breaching && ! $firing ) {
+				$this->fire( $rule, $value );
+			} elseif ( ! $breaching && $firing ) {
+				$this->resolve( $rule['id'] );
+			}
+
+			$state[ $rule['id'] ] = array(
+				'firing'     => $breaching,
+				'value'      => $value,
+				'checked_at' => time(),
+			);
+		}
+
+		// Alerts of rules that were disabled or removed are resolved too.
+		foreach ( $previous as $rule_id => $evaluation ) {
+			if ( ! isset( $state[ $rule_id ] ) && ! empty( $evaluation['firing'] ) ) {
+				$this->resolve( (string) $rule_id );
+			}
+		}
+
+		update_option( self::OPTION_STATE, $state, false );
+
+		return $state;
+	}
+
+	/**
+	 * Check whether a value breaches the threshold of a rule
+	 *
+	 * @param array<string, mixed> $rule  Rule.
+	 * @param float|null           $value Measured value.
+	 * @return bool Whether the rule is breached (never without data).
+	 */
+	public function is_breaching( array $rule, ?float $value ): bool {
+		if ( null === $value ) {
+			return false;
+		}
+
+		return 'gte' === $rule['operator'] ? $value >= $rule['threshold'] : $value > $rule['threshold'];
+	}
+
+	/**
+	 * Get the strictest enabled rule of each metric
+	 *
+	 * Only rules measuring all traffic are considered (no endpoint or category
+	 * filter), so their thresholds apply to site-wide figures.
+	 *
+	 * @return array<string, array<string, mixed>> Rules keyed by metric.
+	 */
+	public function get_threshold_rules(): array {
+		$strictest = array();
+
+		foreach ( $this->get_rules() as $rule ) {
+			if ( ! $rule['enabled'] || '' !== $rule['endpoint'] || '' !== $rule['category'] ) {
+				continue;
+			}
+
+			$current = $strictest[ $rule['metric'] ] ?? null;
+
+			if ( null === $current || $rule['threshold'] < $current['threshold'] || ( $rule['threshold'] === $current['threshold'] && 'gte' === $rule['operator'] ) ) {
+				$strictest[ $rule['metric'] ] = $rule;
+			}
+		}
+
+		return $strictest;
+	}
+
+	/**
+	 * Measure the metric of a rule over its window
+	 *
+	 * @param array<string, mixed> $rule Rule.
+	 * @return float|null Value, or null when the window has no data.
+	 */
+	public function measure( array $rule ): ?float {
+		$since = time() - (int) $rule['window'] * MINUTE_IN_SECONDS;
+
+		switch ( $rule['metric'] ) {
+			case self::METRIC_WEBHOOK_FAILURE_RATE:
+				$counts = $this->webhook_logger->count_deliveries( $since );
+				return $counts['sent'] > 0 ? ( $counts['failed'] / $counts['sent'] ) * 100 : null;
+
+			case self::METRIC_WEBHOOK_FAILURES:
+				return (float) $this->webhook_logger->count_deliveries( $since )['failed'];
+
+			case self::METRIC_LATENCY_P95:
+				return $this->performance_metrics->get_duration_percentile( $since, 95, $rule['endpoint'] )['duration'];
+
+			case self::METRIC_ERROR_COUNT:
+				return (float) $this->error_log->count_errors( $since, $rule['category'] );
+		}
+
+		return null;
+	}
+
+	/**
+	 * Describe what a rule measures
+	 *
+	 * @param array<string, mixed> $rule Rule.
+	 * @return string Description, e.g. "p95 latency of /complete".
+	 */
+	public function describe_metric( array $rule ): string {
+		switch ( $rule['metric'] ) {
+			case self::METRIC_WEBHOOK_FAILURE_RATE:
+				return __( 'Webhook failure rate', 'carticy-ai-checkout-for-woocommerce' );
+
+			case self::METRIC_WEBHOOK_FAILURES:
+				return __( 'Failed webhook deliveries', 'carticy-ai-checkout-for-woocommerce' );
+
+			case self::METRIC_LATENCY_P95:
+				if ( '' === $rule['endpoint'] ) {
+					return __( 'p95 API latency', 'carticy-ai-checkout-for-woocommerce' );
+				}
+
+				/* translators: %s: API endpoint, e.g. /complete */
+				return sprintf( __( 'p95 latency of %s', 'carticy-ai-checkout-for-woocommerce' ), $rule['endpoint'] );
+
+			case self::METRIC_ERROR_COUNT:
+				$labels = $this->error_log->get_category_labels();
+
+				if ( ! isset( $labels[ $rule['category'] ] ) ) {
+					return __( 'Errors', 'carticy-ai-checkout-for-woocommerce' );
+				}
+
+				/* translators: %s: error category, e.g. Payment */
+				return sprintf( __( '%s errors', 'carticy-ai-checkout-for-woocommerce' ), $labels[ $rule['category'] ] );
+		}
+
+		return $rule['metric'];
+	}
+
+	/**
+	 * Describe the condition of a rule
+	 *
+	 * @param array<string, mixed> $rule Rule.
+	 * @return string Description, e.g. "Webhook failure rate > 10% over 15 minutes".
+	 */
+	public function describe_condition( array $rule ): string {
+		return sprintf(
+			/* translators: 1: metric description, 2: comparison operator, 3: threshold, 4: window in minutes */
+			_n( '%1$s %2$s %3$s over %4$d minute', '%1$s %2$s %3$s over %4$d minutes', $rule['window'], 'carticy-ai-checkout-for-woocommerce' ),
+			$this->describe_metric( $rule ),
+			$this->get_operators()[ $rule['operator'] ],
+			$this->format_value( $rule['metric'], $rule['threshold'] ),
+			$rule['window']
+		);
+	}
+
+	/**
+	 * Format a metric value
+	 *
+	 * @param string     $metric Metric.
+	 * @param float|null $value  Value.
+	 * @return string Formatted value, or a dash without data.
+	 */
+	public function format_value( string $metric, ?float $value ): string {
+		if ( null === $value ) {
+			return '—';
+		}
+
+		switch ( $metric ) {
+			case self::METRIC_WEBHOOK_FAILURE_RATE:
+				return number_format_i18n( $value, 1 ) . '%';
+
+			case self::METRIC_LATENCY_P95:
+				return number_format_i18n( $value, 2 ) . 's';
+		}
+
+		return number_format_i18n( $value );
+	}
+
+	/**
+	 * Fire an alert and deliver it through the rule's channels
+	 *
+	 * @param array<string, mixed> $rule  Rule.
+	 * @param float                $value Measured value.
+	 * @return void
+	 */
+	private function fire( array $rule, float $value ): void {
+		$alert = array(
+			'id'          => 'alert_' . substr( md5( wp_generate_uuid4() ), 0, 12 ),
+			'rule_id'     => $rule['id'],
+			'rule_name'   => $rule['name'],
+			'metric'      => $rule['metric'],
+			'condition'   => $this->describe_condition( $rule ),
+			'value'       => $value,
+			'message'     => sprintf(
+				/* translators: 1: metric description, 2: measured value, 3: window in minutes, 4: rule condition */
+				_n( '%1$s is %2$s over the last %3$d minute (alert when %4$s).', '%1$s is %2$s over the last %3$d minutes (alert when %4$s).', $rule['window'], 'carticy-ai-checkout-for-woocommerce' ),
+				$this->describe_metric( $rule ),
+				$this->format_value( $rule['metric'], $value ),
+				$rule['window'],
+				$this->describe_condition( $rule )
+			),
+			'fired_at'    => time(),
+			'resolved_at' => null,
+			'dismissed'   => false,
+			'deliveries'  => array(),
+		);
+
+		foreach ( $rule['channels'] as $channel ) {
+			if ( self::CHANNEL_NOTICE === $channel ) {
+				$alert['deliveries'][ $channel ] = true;
+			} elseif ( self::CHANNEL_EMAIL === $channel ) {
+				$alert['deliveries'][ $channel ] = $this->send_email( $alert );
+			} elseif ( self::CHANNEL_WEBHOOK === $channel ) {
+				$alert['deliveries'][ $channel ] = $this->send_webhook( $alert, $rule );
+			}
+		}
+
+		$history = $this->get_history();
+		array_unshift( $history, $alert );
+
+		update_option( self::OPTION_HISTORY, array_slice( $history, 0, self::HISTORY_LIMIT ), false );
+	}
+
+	/**
+	 * Resolve the unresolved alerts of a rule
+	 *
+	 * @param string $rule_id Rule ID.
+	 * @return void
+	 */
+	private function resolve( string $rule_id ): void {
+		$history = $this->get_history();
+
+		foreach ( $history as &$alert ) {
+			if ( $alert['rule_id'] === $rule_id && empty( $alert['resolved_at'] ) ) {
+				$alert['resolved_at'] = time();
+			}
+		}
+		unset( $alert );
+
+		update_option( self::OPTION_HISTORY, $history, false );
+	}
+
+	/**
+	 * Email an alert
+	 *
+	 * @param array<string, mixed> $alert Alert.
+	 * @return bool Whether the email was accepted for delivery.
+	 */
+	private function send_email( array $alert ): bool {
+		$recipients = $this->get_channel_settings()['email'];
+
+		if ( '' === $recipients ) {
+			$recipients = (string) get_option( 'admin_email' );
+		}
+
+		$subject = sprintf(
+			/* translators: 1: site name, 2: alert rule name */
+			__( '[%1$s] AI Checkout alert: %2$s', 'carticy-ai-checkout-for-woocommerce' ),
+			wp_specialchars_decode( get_bloginfo( 'name' ), ENT_QUOTES ),
+			$alert['rule_name']
+		);
+
+		$body = $alert['message'] . "\n\n" . sprintf(
+			/* translators: %s: Logs & Monitoring admin page URL */
+			__( 'Alert rules and history: %s (Alerts tab)', 'carticy-ai-checkout-for-woocommerce' ),
+			admin_url( 'admin.php?page=carticy-ai-checkout-logs' )
+		);
+
+		return wp_mail( array_map( 'trim', explode( ',', $recipients ) ), $subject, $body );
+	}
+
+	/**
+	 * Post an alert to the outgoing HTTP hook
+	 *
+	 * @param array<string, mixed> $alert Alert.
+	 * @param array<string, mixed> $rule  Rule.
+	 * @return bool Whether the hook answered with a 2xx status.
+	 */
+	private function send_webhook( array $alert, array $rule ): bool {
+		$url = $this->get_channel_settings()['webhook_url'];
+
+		if ( '' === $url ) {
+			return false;
+		}
+
+		$response = wp_remote_post(
+			$url,
+			array(
+				'timeout' => 10,
+				'headers' => array( 'Content-Type' => 'application/json' ),
+				'body'    => wp_json_encode(
+					array(
+						'event' => 'alert.fired',
+						'site'  => home_url(),
+						'alert' => array(
+							'id'             => $alert['id'],
+							'rule_id'        => $rule['id'],
+							'rule_name'      => $rule['name'],
+							'metric'         => $rule['metric'],
+							'category'       => $rule['category'],
+							'endpoint'       => $rule['endpoint'],
+							'operator'       => $rule['operator'],
+							'threshold'      => $rule['threshold'],
+							'window_minutes' => $rule['window'],
+							'value'          => $alert['value'],
+							'message'        => $alert['message'],
+							'fired_at'       => gmdate( 'c', $alert['fired_at'] ),
+						),
+					)
+				),
+			)
+		);
+
+		$status = wp_remote_retrieve_response_code( $response );
+
+		return ! is_wp_error( $response ) && $status >= 200 && $status < 300;
+	}
+
+	/**
+	 * Get the URL of the alerts admin page
+	 *
+	 * @return string URL.
+	 */
+	public static function get_admin_url(): string {
+		return add_query_arg(
+			array(
+				'page'     => 'carticy-ai-checkout-logs',
+				'tab'      => 'alerts',
+				'_wpnonce' => wp_create_nonce( 'carticy_logs_tab' ),
+			),
+			admin_url( 'admin.php' )
+		);
+	}
+}
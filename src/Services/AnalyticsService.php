@@ -13,6 +13,36 @@ namespace Carticy\AiCheckout\Services;
  * Analytics service for order metrics and statistics
  */
 final class AnalyticsService {
+	/**
+	 * Longest date range of a range report, in days
+	 */
+	public const MAX_RANGE_DAYS = 366;
+
+	/**
+	 * Statuses counted as revenue
+	 */
+	private const PAID_STATUSES = array( 'completed', 'processing' );
+
+	/**
+	 * Orders loaded per query while building a range report
+	 */
+	private const BATCH_SIZE = 200;
+
+	/**
+	 * Sales breakdown grouped by product
+	 */
+	public const GROUP_PRODUCT = 'product';
+
+	/**
+	 * Sales breakdown grouped by product category
+	 */
+	public const GROUP_CATEGORY = 'product_cat';
+
+	/**
+	 * Columns a sales breakdown can be sorted by
+	 */
+	public const BREAKDOWN_SORT_KEYS = array( 'name', 'units', 'revenue', 'chatgpt_orders', 'conversion_rate', 'quality_score' );
+
 	/**
 	 * Get ChatGPT order count
 	 *
@@ -254,4 +284,379 @@ final class AnalyticsService {
 
 		return $stats;
 	}
+
+	/**
+	 * Get the order report of a date range
+	 *
+	 * Dates are in the site timezone and both ends are inclusive. Orders of all
+	 * statuses are counted; revenue and average order values only include
+	 * completed and processing orders, like the day-based methods above.
+	 *
+	 * @param string $start First day (Y-m-d).
+	 * @param string $end   Last day (Y-m-d).
+	 * @return array{summary: array<string, int|float>, series: array<int, array<string, int|float|string>>, status_stats: array<string, int>} Totals, one row per day and ChatGPT order counts by status.
+	 */
+	public function get_range_report( string $start, string $end ): array {
+		list( $from, $to ) = $this->get_range_bounds( $start, $end );
+
+		$empty_day = array(
+			'chatgpt_orders'  => 0,
+			'regular_orders'  => 0,
+			'chatgpt_revenue' => 0.0,
+			'regular_revenue' => 0.0,
+			'chatgpt_paid'    => 0,
+			'regular_paid'    => 0,
+		);
+
+		$days = array();
+		foreach ( new \DatePeriod( $from, new \DateInterval( 'P1D' ), $to ) as $day ) {
+			$days[ $day->format( 'Y-m-d' ) ] = $empty_day;
+		}
+
+		$status_stats = array_fill_keys( array( 'completed', 'processing', 'on-hold', 'cancelled', 'refunded', 'failed', 'pending' ), 0 );
+
+		$this->for_each_order(
+			$from,
+			$to,
+			function ( \WC_Order $order ) use ( &$days, &$status_stats ) {
+				$date = $order->get_date_created();
+				$key  = $date ? $date->date( 'Y-m-d' ) : '';
+
+				if ( ! isset( $days[ $key ] ) ) {
+					return;
+				}
+
+				$channel = 'yes' === $order->get_meta( '_chatgpt_checkout' ) ? 'chatgpt' : 'regular';
+				$status  = $order->get_status();
+
+				++$days[ $key ][ $channel . '_orders' ];
+
+				if ( in_array( $status, self::PAID_STATUSES, true ) ) {
+					$days[ $key ][ $channel . '_revenue' ] += (float) $order->get_total();
+					++$days[ $key ][ $channel . '_paid' ];
+				}
+
+				if ( 'chatgpt' === $channel ) {
+					$status_stats[ $status ] = ( $status_stats[ $status ] ?? 0 ) + 1;
+				}
+			}
+		);
+
+		$totals = $empty_day;
+		$series = array();
+
+		foreach ( $days as $date => $day ) {
+			foreach ( $day as $metric => $value ) {
+				$totals[ $metric ] += $value;
+			}
+
+			$series[] = array(
+				'date'            => $date,
+				'chatgpt_orders'  => $day['chatgpt_orders'],
+				'regular_orders'  => $day['regular_orders'],
+				'chatgpt_revenue' => round( $day['chatgpt_revenue'], wc_get_price_decimals() ),
+				'regular_revenue' => round( $day['regular_revenue'], wc_get_price_decimals() ),
+			);
+		}
+
+		$total_orders = $totals['chatgpt_orders'] + $totals['regular_orders'];
+
+		return array(
+			'summary'      => array(
+				'chatgpt_orders'  => $totals['chatgpt_orders'],
+				'regular_orders'  => $totals['regular_orders'],
+				'total_orders'    => $total_orders,
+				'chatgpt_revenue' => $totals['chatgpt_revenue'],
+				'regular_revenue' => $totals['regular_revenue'],
+				'total_revenue'   => $totals['chatgpt_revenue'] + $totals['regular_revenue'],
+				'chatgpt_aov'     => $totals['chatgpt_paid'] ? $totals['chatgpt_revenue'] / $totals['chatgpt_paid'] : 0.0,
+				'regular_aov'     => $totals['regular_paid'] ? $totals['regular_revenue'] / $totals['regular_paid'] : 0.0,
+				'conversion_rate' => $total_orders ? ( $totals['chatgpt_orders'] / $total_orders ) * 100 : 0.0,
+			),
+			'series'       => $series,
+			'status_stats' => $status_stats,
+		);
+	}
+
+	/**
+	 * Get the period of equal length right before a date range
+	 *
+	 * @param string $start First day (Y-m-d).
+	 * @param string $end   Last day (Y-m-d).
+	 * @return array{start: string, end: string} Previous period.
+	 */
+	public function get_previous_range( string $start, string $end ): array {
+		$from = new \DateTimeImmutable( $start );
+		$days = (int) $from->diff( new \DateTimeImmutable( $end ) )->days + 1;
+
+		return array(
+			'start' => $from->modify( "-{$days} days" )->format( 'Y-m-d' ),
+			'end'   => $from->modify( '-1 day' )->format( 'Y-m-d' ),
+		);
+	}
+
+	/**
+	 * Get the ChatGPT sales of a date range by product or product category
+	 *
+	 * Units and revenue count completed and processing ChatGPT orders, with line
+	 * totals after discounts and excluding tax. Conversion is the share of the
+	 * orders containing the product or category (all channels and statuses) that
+	 * came through ChatGPT. Variations count towards their parent product, and a
+	 * product counts towards each category it is assigned to.
+	 *
+	 * @param string $start First day (Y-m-d).
+	 * @param string $end   Last day (Y-m-d).
+	 * @param string $group GROUP_PRODUCT or GROUP_CATEGORY.
+	 * @return array<int, array<string, int|float|string>> Rows with id, name, sku or slug, units, revenue, chatgpt_orders, total_orders and conversion_rate, by revenue.
+	 */
+	public function get_sales_breakdown( string $start, string $end, string $group = self::GROUP_PRODUCT ): array {
+		list( $from, $to ) = $this->get_range_bounds( $start, $end );
+
+		$rows       = array();
+		$names      = array();
+		$categories = array();
+
+		$this->for_each_order(
+			$from,
+			$to,
+			function ( \WC_Order $order ) use ( $group, &$rows, &$names, &$categories ) {
+				$is_chatgpt = 'yes' === $order->get_meta( '_chatgpt_checkout' );
+				$is_paid    = in_array( $order->get_status(), self::PAID_STATUSES, true );
+				$counted    = array();
+
+				foreach ( $order->get_items() as $item ) {
+					if ( ! $item instanceof \WC_Order_Item_Product || ! $item->get_product_id() ) {
+						continue;
+					}
+
+					$product_id = $item->get_product_id();
+					$keys       = array( $product_id );
+
+					if ( self::GROUP_CATEGORY === $group ) {
+						if ( ! isset( $categories[ $product_id ] ) ) {
+							$categories[ $product_id ] = wc_get_product_term_ids( $product_id, 'product_cat' );
+						}
+
+						$keys = $categories[ $product_id ];
+					} elseif ( ! isset( $names[ $product_id ] ) ) {
+						// Fallback name for products deleted since.
+						$names[ $product_id ] = $item->get_name();
+					}
+
+					foreach ( $keys as $key ) {
+						if ( ! isset( $rows[ $key ] ) ) {
+							$rows[ $key ] = array(
+								'units'          => 0,
+								'revenue'        => 0.0,
+								'chatgpt_orders' => 0,
+								'total_orders'   => 0,
+							);
+						}
+
+						// An order counts once per row, however many of its lines match.
+						if ( ! isset( $counted[ $key ] ) ) {
+							$counted[ $key ] = true;
+							++$rows[ $key ]['total_orders'];
+
+							if ( $is_chatgpt ) {
+								++$rows[ $key ]['chatgpt_orders'];
+							}
+						}
+
+						if ( $is_chatgpt && $is_paid ) {
+							$rows[ $key ]['units']   += $item->get_quantity();
+							$rows[ $key ]['revenue'] += (float) $item->get_total();
+						}
+					}
+				}
+			}
+		);
+
+		$breakdown = array();
+
+		foreach ( $rows as $id => $row ) {
+			$details = self::GROUP_CATEGORY === $group ? $this->get_category_details( $id ) : $this->get_product_details( $id, $names[ $id ] ?? '' );
+
+			$breakdown[] = array_merge(
+				array( 'id' => $id ),
+				$details,
+				$row,
+				array(
+					'revenue'         => round( $row['revenue'], wc_get_price_decimals() ),
+					'conversion_rate' => $row['total_orders'] ? ( $row['chatgpt_orders'] / $row['total_orders'] ) * 100 : 0.0,
+				)
+			);
+		}
+
+		return $this->sort_breakdown( $breakdown, 'revenue', 'desc' );
+	}
+
+	/**
+	 * Sort sales breakdown rows
+	 *
+	 * Ties are broken by name, so the order is stable between requests.
+	 *
+	 * @param array  $rows    Rows from get_sales_breakdown().
+	 * @param string $orderby One of BREAKDOWN_SORT_KEYS; unknown keys sort by revenue.
+	 * @param string $order   'asc' or 'desc'.
+	 * @return array Sorted rows.
+	 */
+	public function sort_breakdown( array $rows, string $orderby, string $order = 'desc' ): array {
+		$orderby   = in_array( $orderby, self::BREAKDOWN_SORT_KEYS, true ) ? $orderby : 'revenue';
+		$direction = 'asc' === $order ? 1 : -1;
+
+		usort(
+			$rows,
+			function ( $a, $b ) use ( $orderby, $direction ) {
+				$result = 'name' === $orderby
+					? strnatcasecmp( (string) $a['name'], (string) $b['name'] )
+					: ( $a[ $orderby ] ?? 0 ) <=> ( $b[ $orderby ] ?? 0 );
+
+				return 0 !== $result ? $result * $direction : strnatcasecmp( (string) $a['name'], (string) $b['name'] );
+			}
+		);
+
+		return $rows;
+	}
+
+	/**
+	 * Export sales breakdown rows as CSV
+	 *
+	 * @param array  $rows  Rows from get_sales_breakdown(); product rows may carry a quality_score.
+	 * @param string $group GROUP_PRODUCT or GROUP_CATEGORY.
+	 * @return string CSV document.
+	 */
+	public function export_breakdown_csv( array $rows, string $group ): string {
+		$is_category = self::GROUP_CATEGORY === $group;
+		$lines       = array(
+			$this->array_to_csv_line(
+				$is_category
+					? array( 'category_id', 'slug', 'category', 'units', 'revenue', 'chatgpt_orders', 'total_orders', 'conversion_rate' )
+					: array( 'product_id', 'sku', 'product', 'units', 'revenue', 'chatgpt_orders', 'total_orders', 'conversion_rate', 'quality_score' )
+			),
+		);
+
+		foreach ( $rows as $row ) {
+			$fields = array(
+				$row['id'],
+				$is_category ? $row['slug'] : $row['sku'],
+				$row['name'],
+				$row['units'],
+				wc_format_decimal( $row['revenue'], wc_get_price_decimals() ),
+				$row['chatgpt_orders'],
+				$row['total_orders'],
+				round( $row['conversion_rate'], 2 ),
+			);
+
+			if ( ! $is_category ) {
+				$fields[] = $row['quality_score'] ?? '';
+			}
+
+			$lines[] = $this->array_to_csv_line( $fields );
+		}
+
+		return implode( "\n", $lines ) . "\n";
+	}
+
+	/**
+	 * Get the bounds of a date range in the site timezone
+	 *
+	 * @param string $start First day (Y-m-d).
+	 * @param string $end   Last day (Y-m-d).
+	 * @return \DateTimeImmutable[] Start of the first day and end of the last day.
+	 */
+	private function get_range_bounds( string $start, string $end ): array {
+		$timezone = wp_timezone();
+
+		return array(
+			new \DateTimeImmutable( $start . ' 00:00:00', $timezone ),
+			new \DateTimeImmutable( $end . ' 23:59:59', $timezone ),
+		);
+	}
+
+	/**
+	 * Call a function for every order created in a time range
+	 *
+	 * Orders are loaded in batches to keep memory flat on large stores.
+	 *
+	 * @param \DateTimeImmutable $from     Range start.
+	 * @param \DateTimeImmutable $to       Range end.
+	 * @param callable           $callback Receives each WC_Order.
+	 * @return void
+	 */
+	private function for_each_order( \DateTimeImmutable $from, \DateTimeImmutable $to, callable $callback ): void {
+		$page = 1;
+
+		do {
+			$orders = wc_get_orders(
+				array(
+					'limit'        => self::BATCH_SIZE,
+					'paged'        => $page,
+					'orderby'      => 'ID',
+					'order'        => 'ASC',
+					'type'         => 'shop_order',
+					'date_created' => $from->getTimestamp() . '...' . $to->getTimestamp(),
+				)
+			);
+
+			foreach ( $orders as $order ) {
+				$callback( $order );
+			}
+
+			++$page;
+		} while ( count( $orders ) === self::BATCH_SIZE );
+	}
+
+	/**
+	 * Get the name and SKU of a breakdown product
+	 *
+	 * @param int    $product_id Product ID.
+	 * @param string $fallback   Name to use when the product no longer exists.
+	 * @return array{name: string, sku: string} Product details.
+	 */
+	private function get_product_details( int $product_id, string $fallback ): array {
+		$product = wc_get_product( $product_id );
+
+		return array(
+			'name' => $product ? $product->get_name() : $fallback,
+			'sku'  => $product ? $product->get_sku() : '',
+		);
+	}
+
+	/**
+	 * Get the name and slug of a breakdown category
+	 *
+	 * @param int $term_id Category term ID.
+	 * @return array{name: string, slug: string} Category details.
+	 */
+	private function get_category_details( int $term_id ): array {
+		$term = get_term( $term_id, 'product_cat' );
+
+		return array(
+			'name' => $term instanceof \WP_Term ? $term->name : '#' . $term_id,
+			'slug' => $term instanceof \WP_Term ? $term->slug : '',
+		);
+	}
+
+	/**
+	 * Convert array to CSV line
+	 *
+	 * @param array $fields Fields to convert.
+	 * @return string CSV line.
+	 */
+	private function array_to_csv_line( array $fields ): string {
+		$escaped = array_map(
+			function ( $field ) {
+				$field = (string) $field;
+				// Escape quotes and wrap in quotes if contains comma, quote, or newline.
+				if ( strpbrk( $field, ",\"\r\n" ) !== false ) {
+					return '"' . str_replace( '"', '""', $field ) . '"';
+				}
+				return $field;
+			},
+			$fields
+		);
+
+		return implode( ',', $escaped );
+	}
 }
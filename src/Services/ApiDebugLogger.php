@@ -18,6 +18,26 @@ namespace Carticy\AiCheckout\Services;
  */
 final class ApiDebugLogger {
 
+	/**
+	 * Plugin REST namespace route prefix
+	 */
+	private const ROUTE_PREFIX = '/carticy-ai-checkout/v1';
+
+	/**
+	 * Largest body stored with a log entry (JSON-encoded bytes)
+	 */
+	private const MAX_BODY_BYTES = 32768;
+
+	/**
+	 * Transient caching the logged endpoints
+	 */
+	private const ENDPOINTS_KEY = 'carticy_ai_checkout_api_log_endpoints';
+
+	/**
+	 * Status class filter values
+	 */
+	public const STATUS_CLASSES = array( '2xx', '3xx', '4xx', '5xx' );
+
 	/**
 	 * Logging service
 	 *
@@ -32,15 +52,33 @@ final class ApiDebugLogger {
 	 */
 	private TestModeService $test_mode_service;
 
+	/**
+	 * Redaction policy service
+	 *
+	 * @var RedactionPolicyService
+	 */
+	private RedactionPolicyService $redaction_policy;
+
+	/**
+	 * Authentication service
+	 *
+	 * @var AuthenticationService
+	 */
+	private AuthenticationService $auth_service;
+
 	/**
 	 * Constructor
 	 *
-	 * @param LoggingService  $logging_service   Logging service instance.
-	 * @param TestModeService $test_mode_service Test mode service instance.
+	 * @param LoggingService         $logging_service   Logging service instance.
+	 * @param TestModeService        $test_mode_service Test mode service instance.
+	 * @param RedactionPolicyService $redaction_policy  Redaction policy service instance.
+	 * @param AuthenticationService  $auth_service      Authentication service instance.
 	 */
-	public function __construct( LoggingService $logging_service, TestModeService $test_mode_service ) {
+	public function __construct( LoggingService $logging_service, TestModeService $test_mode_service, RedactionPolicyService $redaction_policy, AuthenticationService $auth_service ) {
 		$this->logging_service   = $logging_service;
 		$this->test_mode_service = $test_mode_service;
+		$this->redaction_policy  = $redaction_policy;
+		$this->auth_service      = $auth_service;
 	}
 
 	/**
@@ -66,11 +104,11 @@ final class ApiDebugLogger {
 			'timestamp'  => current_time( 'mysql' ),
 			'mode'       => $this->test_mode_service->get_mode(),
 		);
+		$log_data = $this->apply_redaction_policy( $log_data );
 
-		$this->logging_service->info(
+		$this->logging_service->debug(
 			sprintf( 'API Request: %s %s', $method, $endpoint ),
-			$log_data,
-			'carticy-api-debug'
+			$log_data
 		);
 
 		// Store in transient for recent requests display.
@@ -100,14 +138,11 @@ final class ApiDebugLogger {
 			'timestamp'      => current_time( 'mysql' ),
 			'mode'           => $this->test_mode_service->get_mode(),
 		);
+		$log_data = $this->apply_redaction_policy( $log_data );
 
-		$level = $status_code >= 400 ? 'error' : 'info';
-
-		$this->logging_service->log(
-			$level,
+		$this->logging_service->debug(
 			sprintf( 'API Response: %d (%.3fs)', $status_code, $execution_time ),
-			$log_data,
-			'carticy-api-debug'
+			$log_data
 		);
 
 		// Update transient with response data.
@@ -134,20 +169,218 @@ final class ApiDebugLogger {
 			),
 			$context
 		);
+		$log_data = $this->redaction_policy->apply( $log_data );
 
-		$this->logging_service->error(
+		$this->logging_service->log_error(
 			sprintf( 'API Error: %s - %s', $error_code, $message ),
-			$log_data,
-			'carticy-api-debug'
+			'api',
+			$log_data
 		);
 
 		// Update transient with error data.
 		$this->update_debug_error( $request_id, $log_data );
 	}
 
+	/**
+	 * Record a plugin REST response
+	 *
+	 * Called for every REST response. Only authenticated calls to the plugin namespace
+	 * are recorded, and only in debug mode: each one adds an entry with its headers and
+	 * bodies to the carticy-api log, which backs the API log explorer. Execution time
+	 * is measured from the start of the HTTP request.
+	 *
+	 * @param \WP_HTTP_Response $response REST response.
+	 * @param \WP_REST_Request  $request  REST request.
+	 * @return void
+	 */
+	public function record_rest_response( \WP_HTTP_Response $response, \WP_REST_Request $request ): void {
+		$route = $request->get_route();
+
+		if ( ! $this->logging_service->is_debug_enabled() || ! str_starts_with( $route, self::ROUTE_PREFIX . '/' ) ) {
+			return;
+		}
+
+		if ( ! $this->auth_service->is_authenticated( $request ) ) {
+			return;
+		}
+
+		$started_at = isset( $_SERVER['REQUEST_TIME_FLOAT'] ) ? (float) $_SERVER['REQUEST_TIME_FLOAT'] : microtime( true );
+		$body       = $request->get_json_params();
+
+		if ( null === $body ) {
+			$body = $request->get_query_params();
+		}
+
+		$request_data  = array(
+			'headers' => $this->sanitize_headers( $request->get_headers() ),
+			'body'    => $this->sanitize_body( $this->limit_body( $body ) ),
+		);
+		$response_data = array(
+			'headers' => $this->sanitize_headers( $response->get_headers() ),
+			'body'    => $this->sanitize_body( $this->limit_body( $response->get_data() ) ),
+		);
+
+		$endpoint = substr( $route, strlen( self::ROUTE_PREFIX ) );
+
+		$this->logging_service->log_api_request(
+			$endpoint,
+			$request->get_method(),
+			$this->apply_redaction_policy( $request_data ),
+			$this->apply_redaction_policy( $response_data ),
+			$response->get_status(),
+			microtime( true ) - $started_at,
+			array(
+				'request_id' => wp_generate_uuid4(),
+				'mode'       => $this->test_mode_service->get_mode(),
+			)
+		);
+
+		$this->remember_endpoint( $endpoint );
+	}
+
+	/**
+	 * Get logged API calls matching filters
+	 *
+	 * Reads the carticy-api log files, so entries are kept as long as WooCommerce keeps
+	 * its logs. Supported filters: endpoint (normalized, see normalize_endpoint()),
+	 * method, status_class (2xx-5xx), date_from and date_to (Y-m-d, inclusive) and
+	 * search (case-insensitive match in request and response bodies).
+	 *
+	 * Files are read newest first, and reading stops once a file brings the matches
+	 * up to the limit: older files only hold older entries.
+	 *
+	 * @param array<string, string> $filters Filters; empty values are ignored.
+	 * @param int                   $limit   Number of newest matches needed; 0 for all.
+	 * @return array Matching log entries, newest first.
+	 */
+	public function query_logs( array $filters, int $limit = 0 ): array {
+		$filters = array_filter( $filters, 'strlen' );
+		$logs    = array();
+
+		foreach ( $this->get_log_files( $filters ) as $file ) {
+			foreach ( $this->logging_service->read_entries_since( $file, 0 ) as $entry ) {
+				$log = $this->build_log( $entry );
+
+				if ( null === $log ) {
+					continue;
+				}
+
+				// Redact first, so the search does not match values a newer rule hides.
+				$log = $this->redact_log( $log );
+
+				if ( $this->matches_filters( $log, $filters ) ) {
+					$logs[] = $log;
+				}
+			}
+
+			if ( $limit && count( $logs ) >= $limit ) {
+				break;
+			}
+		}
+
+		usort(
+			$logs,
+			function ( $a, $b ) {
+				return strcmp( $b['timestamp'], $a['timestamp'] );
+			}
+		);
+
+		return $limit ? array_slice( $logs, 0, $limit ) : $logs;
+	}
+
+	/**
+	 * Get distinct normalized endpoints of the logged API calls
+	 *
+	 * The list is cached for a day; record_rest_response() adds new endpoints to it.
+	 *
+	 * @return string[] Endpoints, sorted.
+	 */
+	public function get_logged_endpoints(): array {
+		$endpoints = get_transient( self::ENDPOINTS_KEY );
+
+		if ( is_array( $endpoints ) ) {
+			return $endpoints;
+		}
+
+		$endpoints = array();
+
+		foreach ( $this->query_logs( array() ) as $log ) {
+			$endpoints[] = self::normalize_endpoint( $log['endpoint'] );
+		}
+
+		$endpoints = array_values( array_unique( array_filter( $endpoints ) ) );
+		sort( $endpoints );
+
+		set_transient( self::ENDPOINTS_KEY, $endpoints, DAY_IN_SECONDS );
+
+		return $endpoints;
+	}
+
+	/**
+	 * Normalize an endpoint by replacing IDs with placeholders
+	 *
+	 * Groups e.g. /checkout_sessions/cs_123/complete and /checkout_sessions/cs_456/complete.
+	 *
+	 * @param string $endpoint Endpoint path.
+	 * @return string Normalized endpoint.
+	 */
+	public static function normalize_endpoint( string $endpoint ): string {
+		return (string) preg_replace( '#^/checkout_sessions/[^/]+#', '/checkout_sessions/{id}', $endpoint );
+	}
+
+	/**
+	 * Export log entries as CSV
+	 *
+	 * @param array $logs Log entries.
+	 * @return string CSV document.
+	 */
+	public function export_logs_csv( array $logs ): string {
+		$lines = array(
+			$this->array_to_csv_line( array( 'timestamp', 'request_id', 'mode', 'method', 'endpoint', 'status_code', 'execution_time', 'request_body', 'response_body', 'error' ) ),
+		);
+
+		foreach ( $logs as $log ) {
+			$lines[] = $this->array_to_csv_line(
+				array(
+					$log['timestamp'] ?? '',
+					$log['request_id'] ?? '',
+					$log['mode'] ?? '',
+					$log['method'] ?? '',
+					$log['endpoint'] ?? '',
+					$log['response_status'] ?? '',
+					$log['execution_time'] ?? '',
+					wp_json_encode( $log['body'] ?? null ),
+					wp_json_encode( $log['response']['body'] ?? null ),
+					$log['error']['message'] ?? '',
+				)
+			);
+		}
+
+		return implode( "\n", $lines ) . "\n";
+	}
+
+	/**
+	 * Export log entries as newline-delimited JSON
+	 *
+	 * @param array $logs Log entries.
+	 * @return string NDJSON document, one entry per line.
+	 */
+	public function export_logs_ndjson( array $logs ): string {
+		$lines = array();
+
+		foreach ( $logs as $log ) {
+			$lines[] = wp_json_encode( $log, JSON_UNESCAPED_SLASHES );
+		}
+
+		return empty( $lines ) ? '' : implode( "\n", $lines ) . "\n";
+	}
+
 	/**
 	 * Get recent debug logs
 	 *
+	 * The redaction policy is applied again, so entries logged before a rule was
+	 * added are covered too.
+	 *
 	 * @param int $limit Number of recent logs to retrieve.
 	 * @return array Array of debug log entries.
 	 */
@@ -167,7 +400,7 @@ final class ApiDebugLogger {
 			}
 		);
 
-		return array_slice( $logs, 0, $limit );
+		return array_map( array( $this, 'redact_log' ), array_slice( $logs, 0, $limit ) );
 	}
 
 	/**
@@ -198,6 +431,230 @@ final class ApiDebugLogger {
 		return delete_transient( $logs_key );
 	}
 
+	/**
+	 * Get the carticy-api log files that may hold entries of the filtered dates
+	 *
+	 * Files are named after the day they were started on. That day is not always the
+	 * site-local day of the entries, so a day of margin is kept on both ends;
+	 * matches_filters() applies the exact range.
+	 *
+	 * @param array<string, string> $filters Non-empty filters.
+	 * @return string[] Log file paths.
+	 */
+	private function get_log_files( array $filters ): array {
+		$from = isset( $filters['date_from'] ) ? gmdate( 'Y-m-d', strtotime( $filters['date_from'] . ' -1 day' ) ) : '';
+		$to   = isset( $filters['date_to'] ) ? gmdate( 'Y-m-d', strtotime( $filters['date_to'] . ' +1 day' ) ) : '';
+
+		return array_filter(
+			$this->logging_service->get_log_files( 'carticy-api' ),
+			function ( $file ) use ( $from, $to ) {
+				if ( ! preg_match( '/-(\d{4}-\d{2}-\d{2})-[^-]+\.log$/', $file, $matches ) ) {
+					return true;
+				}
+
+				return ( '' === $from || $matches[1] >= $from ) && ( '' === $to || $matches[1] <= $to );
+			}
+		);
+	}
+
+	/**
+	 * Add an endpoint to the cached logged endpoints
+	 *
+	 * Nothing is cached until get_logged_endpoints() has read the log files.
+	 *
+	 * @param string $endpoint Endpoint path.
+	 * @return void
+	 */
+	private function remember_endpoint( string $endpoint ): void {
+		$endpoints = get_transient( self::ENDPOINTS_KEY );
+		$endpoint  = self::normalize_endpoint( $endpoint );
+
+		if ( ! is_array( $endpoints ) || in_array( $endpoint, $endpoints, true ) ) {
+			return;
+		}
+
+		$endpoints[] = $endpoint;
+		sort( $endpoints );
+
+		set_transient( self::ENDPOINTS_KEY, $endpoints, DAY_IN_SECONDS );
+	}
+
+	/**
+	 * Build an explorer entry from a carticy-api log file entry
+	 *
+	 * Calls recorded by record_rest_response() hold the headers and body of the request
+	 * and the response; other entries only hold the bodies, and only when they were
+	 * logged in debug mode.
+	 *
+	 * @param array $entry Log file entry (see LoggingService::read_entries_since()).
+	 * @return array|null Log entry, or null when the entry is not an API call.
+	 */
+	private function build_log( array $entry ): ?array {
+		$context = $entry['context']['context'] ?? null;
+
+		if ( ! is_array( $context ) || ! isset( $context['endpoint'], $context['status_code'] ) ) {
+			return null;
+		}
+
+		$request  = $context['request'] ?? null;
+		$response = $context['response'] ?? null;
+
+		if ( ! isset( $context['request_id'] ) ) {
+			$request  = array( 'body' => $request );
+			$response = array( 'body' => $response );
+		}
+
+		return array(
+			'request_id'      => $context['request_id'] ?? '',
+			'timestamp'       => $context['timestamp'] ?? $entry['timestamp'],
+			'mode'            => $context['mode'] ?? '',
+			'endpoint'        => $context['endpoint'],
+			'method'          => strtoupper( $context['method'] ?? '' ),
+			'headers'         => $request['headers'] ?? array(),
+			'body'            => $request['body'] ?? null,
+			'redacted'        => $request['redacted'] ?? array(),
+			'response'        => array(
+				'status_code' => (int) $context['status_code'],
+				'headers'     => $response['headers'] ?? array(),
+				'body'        => $response['body'] ?? null,
+				'redacted'    => $response['redacted'] ?? array(),
+			),
+			'response_status' => (int) $context['status_code'],
+			'execution_time'  => (float) ( $context['duration'] ?? 0 ),
+		);
+	}
+
+	/**
+	 * Check whether a log entry matches filters
+	 *
+	 * @param array                 $log     Log entry.
+	 * @param array<string, string> $filters Non-empty filters.
+	 * @return bool True if the entry matches all filters.
+	 */
+	private function matches_filters( array $log, array $filters ): bool {
+		if ( isset( $filters['endpoint'] ) && self::normalize_endpoint( $log['endpoint'] ?? '' ) !== $filters['endpoint'] ) {
+			return false;
+		}
+
+		if ( isset( $filters['method'] ) && strtoupper( $log['method'] ?? '' ) !== strtoupper( $filters['method'] ) ) {
+			return false;
+		}
+
+		if ( isset( $filters['status_class'] ) ) {
+			$status = (int) ( $log['response_status'] ?? 0 );
+
+			if ( ! $status || $filters['status_class'][0] !== (string) intdiv( $status, 100 ) ) {
+				return false;
+			}
+		}
+
+		// Timestamps are stored as site-local MySQL datetimes, so date prefixes compare as strings.
+		$date = substr( $log['timestamp'] ?? '', 0, 10 );
+
+		if ( isset( $filters['date_from'] ) && $date < $filters['date_from'] ) {
+			return false;
+		}
+
+		if ( isset( $filters['date_to'] ) && $date > $filters['date_to'] ) {
+			return false;
+		}
+
+		if ( isset( $filters['search'] ) ) {
+			$haystack = wp_json_encode( array( $log['body'] ?? null, $log['response']['body'] ?? null, $log['error'] ?? null ), JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE );
+
+			if ( false === stripos( (string) $haystack, $filters['search'] ) ) {
+				return false;
+			}
+		}
+
+		return true;
+	}
+
+	/**
+	 * Apply the redaction policy to a stored log entry
+	 *
+	 * @param array $log Log entry.
+	 * @return array Redacted log entry.
+	 */
+	private function redact_log( array $log ): array {
+		$log = $this->apply_redaction_policy( $log );
+
+		if ( isset( $log['response'] ) && is_array( $log['response'] ) ) {
+			$log['response'] = $this->apply_redaction_policy( $log['response'] );
+		}
+
+		if ( isset( $log['error'] ) && is_array( $log['error'] ) ) {
+			$log['error'] = $this->redaction_policy->apply( $log['error'] );
+		}
+
+		return $log;
+	}
+
+	/**
+	 * Apply the redaction policy to the headers and body of request/response log data
+	 *
+	 * The redacted fields are added to the `redacted` map of the data: JSONPaths
+	 * with their action, keyed by `headers` and `body`.
+	 *
+	 * @param array $log_data Request or response log data.
+	 * @return array Redacted log data.
+	 */
+	private function apply_redaction_policy( array $log_data ): array {
+		$redacted = $log_data['redacted'] ?? array();
+
+		foreach ( array( 'headers', 'body' ) as $section ) {
+			if ( ! isset( $redacted[ $section ] ) || ! is_array( $redacted[ $section ] ) ) {
+				$redacted[ $section ] = array();
+			}
+
+			if ( isset( $log_data[ $section ] ) ) {
+				$log_data[ $section ] = $this->redaction_policy->apply( $log_data[ $section ], $redacted[ $section ] );
+			}
+		}
+
+		$log_data['redacted'] = $redacted;
+
+		return $log_data;
+	}
+
+	/**
+	 * Replace a body too large to store with a placeholder
+	 *
+	 * @param mixed $body Request/response body.
+	 * @return mixed Body or placeholder string.
+	 */
+	private function limit_body( $body ) {
+		$size = strlen( (string) wp_json_encode( $body ) );
+
+		if ( $size > self::MAX_BODY_BYTES ) {
+			return sprintf( '[%d bytes - too large to store]', $size );
+		}
+
+		return $body;
+	}
+
+	/**
+	 * Convert array to CSV line string
+	 *
+	 * @param array<int, mixed> $fields Field values.
+	 * @return string CSV formatted line.
+	 */
+	private function array_to_csv_line( array $fields ): string {
+		$escaped = array_map(
+			function ( $field ) {
+				$field = (string) $field;
+				// Escape quotes and wrap in quotes if contains comma, quote, or newline.
+				if ( strpbrk( $field, ",\"\r\n" ) !== false ) {
+					return '"' . str_replace( '"', '""', $field ) . '"';
+				}
+				return $field;
+			},
+			$fields
+		);
+
+		return implode( ',', $escaped );
+	}
+
 	/**
 	 * Sanitize headers for logging
 	 *
@@ -15,6 +15,21 @@ namespace Carticy\AiCheckout\Services;
 final class ApiKeyService {
 	private const OPTION_API_KEY        = 'carticy_ai_checkout_api_key';
 	private const OPTION_WEBHOOK_SECRET = 'carticy_ai_checkout_webhook_secret';
+	private const OPTION_SECRET_HISTORY = 'carticy_ai_checkout_webhook_secret_history';
+	private const OPTION_ROTATIONS      = 'carticy_ai_checkout_key_rotations';
+	private const SECRET_HISTORY_SIZE   = 5;
+
+	/**
+	 * Rotatable credential types.
+	 */
+	public const TYPE_API_KEY        = 'api_key';
+	public const TYPE_WEBHOOK_SECRET = 'webhook_secret';
+
+	/**
+	 * Rotation grace period bounds in hours.
+	 */
+	public const DEFAULT_GRACE_HOURS = 24;
+	public const MAX_GRACE_HOURS     = 168;
 
 	/**
 	 * Generate a secure bearer token.
@@ -71,9 +86,34 @@ final class ApiKeyService {
 	 * @return bool True on success, false on failure.
 	 */
 	public function save_webhook_secret( string $secret ): bool {
+		$current = $this->get_webhook_secret();
+
+		// Keep replaced secrets so signatures made with them can still be identified.
+		if ( $current && $current !== $secret ) {
+			$history = $this->get_webhook_secret_history();
+			array_unshift(
+				$history,
+				array(
+					'secret'     => $current,
+					'retired_at' => time(),
+				)
+			);
+			update_option( self::OPTION_SECRET_HISTORY, array_slice( $history, 0, self::SECRET_HISTORY_SIZE ), false );
+		}
+
 		return update_option( self::OPTION_WEBHOOK_SECRET, $secret );
 	}
 
+	/**
+	 * Get previously used webhook secrets.
+	 *
+	 * @return array<int, array{secret: string, retired_at: int}> Retired secrets, most recent first.
+	 */
+	public function get_webhook_secret_history(): array {
+		$history = get_option( self::OPTION_SECRET_HISTORY, array() );
+		return is_array( $history ) ? $history : array();
+	}
+
 	/**
 	 * Regenerate API key.
 	 *
@@ -96,6 +136,151 @@ final class ApiKeyService {
 		return $new_secret;
 	}
 
+	/**
+	 * Start rotating a credential.
+	 *
+	 * Generates a pending value that is accepted (API key) or signed with (webhook
+	 * secret) alongside the current one until the rotation is finalized or the grace
+	 * period ends.
+	 *
+	 * @param string $type        Credential type (TYPE_API_KEY or TYPE_WEBHOOK_SECRET).
+	 * @param int    $grace_hours Grace period in hours.
+	 * @return array{pending: string, started_at: int, expires_at: int} Rotation.
+	 * @throws \InvalidArgumentException If the type is unknown or a rotation is already in progress.
+	 */
+	public function start_rotation( string $type, int $grace_hours = self::DEFAULT_GRACE_HOURS ): array {
+		$this->assert_rotation_type( $type );
+
+		if ( $this->get_rotation( $type ) ) {
+			throw new \InvalidArgumentException( esc_html__( 'A rotation is already in progress. Finalize or cancel it first.', 'carticy-ai-checkout-for-woocommerce' ) );
+		}
+
+		$grace_hours = max( 1, min( self::MAX_GRACE_HOURS, $grace_hours ) );
+		$rotation    = array(
+			'pending'    => self::TYPE_API_KEY === $type ? $this->generate_bearer_token() : $this->generate_webhook_secret(),
+			'started_at' => time(),
+			'expires_at' => time() + $grace_hours * HOUR_IN_SECONDS,
+		);
+
+		$rotations          = $this->get_rotations();
+		$rotations[ $type ] = $rotation;
+		update_option( self::OPTION_ROTATIONS, $rotations, false );
+
+		return $rotation;
+	}
+
+	/**
+	 * Get the rotation in progress for a credential.
+	 *
+	 * A rotation whose grace period has ended is finalized on access, so the old
+	 * value stops working even if nobody clicks "Finalize".
+	 *
+	 * @param string $type Credential type.
+	 * @return array{pending: string, started_at: int, expires_at: int}|null Rotation or null if none.
+	 */
+	public function get_rotation( string $type ): ?array {
+		$rotations = $this->get_rotations();
+
+		if ( empty( $rotations[ $type ]['pending'] ) ) {
+			return null;
+		}
+
+		if ( $rotations[ $type ]['expires_at'] <= time() ) {
+			$this->finalize_rotation( $type );
+			return null;
+		}
+
+		return $rotations[ $type ];
+	}
+
+	/**
+	 * Finalize a rotation, making the pending value the only valid one.
+	 *
+	 * @param string $type Credential type.
+	 * @return string The new credential value.
+	 * @throws \InvalidArgumentException If the type is unknown or no rotation is in progress.
+	 */
+	public function finalize_rotation( string $type ): string {
+		$this->assert_rotation_type( $type );
+
+		$rotations = $this->get_rotations();
+
+		if ( empty( $rotations[ $type ]['pending'] ) ) {
+			throw new \InvalidArgumentException( esc_html__( 'No rotation in progress.', 'carticy-ai-checkout-for-woocommerce' ) );
+		}
+
+		$pending = $rotations[ $type ]['pending'];
+
+		if ( self::TYPE_API_KEY === $type ) {
+			$this->save_api_key( $pending );
+		} else {
+			$this->save_webhook_secret( $pending );
+		}
+
+		unset( $rotations[ $type ] );
+		update_option( self::OPTION_ROTATIONS, $rotations, false );
+
+		return $pending;
+	}
+
+	/**
+	 * Cancel a rotation, discarding the pending value.
+	 *
+	 * @param string $type Credential type.
+	 * @return void
+	 * @throws \InvalidArgumentException If the type is unknown.
+	 */
+	public function cancel_rotation( string $type ): void {
+		$this->assert_rotation_type( $type );
+
+		$rotations = $this->get_rotations();
+		unset( $rotations[ $type ] );
+		update_option( self::OPTION_ROTATIONS, $rotations, false );
+	}
+
+	/**
+	 * Get the pending API key of a rotation in progress.
+	 *
+	 * @return string|null Pending API key or null if no rotation is in progress.
+	 */
+	public function get_pending_api_key(): ?string {
+		$rotation = $this->get_rotation( self::TYPE_API_KEY );
+		return $rotation ? $rotation['pending'] : null;
+	}
+
+	/**
+	 * Get the pending webhook secret of a rotation in progress.
+	 *
+	 * @return string|null Pending webhook secret or null if no rotation is in progress.
+	 */
+	public function get_pending_webhook_secret(): ?string {
+		$rotation = $this->get_rotation( self::TYPE_WEBHOOK_SECRET );
+		return $rotation ? $rotation['pending'] : null;
+	}
+
+	/**
+	 * Get stored rotations.
+	 *
+	 * @return array<string, array> Rotations keyed by credential type.
+	 */
+	private function get_rotations(): array {
+		$rotations = get_option( self::OPTION_ROTATIONS, array() );
+		return is_array( $rotations ) ? $rotations : array();
+	}
+
+	/**
+	 * Ensure a credential type can be rotated.
+	 *
+	 * @param string $type Credential type.
+	 * @return void
+	 * @throws \InvalidArgumentException If the type is unknown.
+	 */
+	private function assert_rotation_type( string $type ): void {
+		if ( ! in_array( $type, array( self::TYPE_API_KEY, self::TYPE_WEBHOOK_SECRET ), true ) ) {
+			throw new \InvalidArgumentException( esc_html__( 'Unknown credential type.', 'carticy-ai-checkout-for-woocommerce' ) );
+		}
+	}
+
 	/**
 	 * Initialize API key if not exists.
 	 *
@@ -31,6 +31,20 @@ final class AuthenticationService {
 	 */
 	private ?RateLimitService $rate_limit = null;
 
+	/**
+	 * API key service (pending key of a rotation)
+	 *
+	 * @var ApiKeyService|null
+	 */
+	private ?ApiKeyService $api_key = null;
+
+	/**
+	 * Requests that passed Bearer token authentication
+	 *
+	 * @var \WeakMap<WP_REST_Request, true>|null
+	 */
+	private ?\WeakMap $authenticated_requests = null;
+
 	/**
 	 * Set IP allowlist service
 	 *
@@ -51,6 +65,16 @@ final class AuthenticationService {
 		$this->rate_limit = $service;
 	}
 
+	/**
+	 * Set API key service
+	 *
+	 * @param ApiKeyService $service API key service instance.
+	 * @return void
+	 */
+	public function set_api_key_service( ApiKeyService $service ): void {
+		$this->api_key = $service;
+	}
+
 	/**
 	 * Validate request with comprehensive security checks
 	 *
@@ -96,6 +120,11 @@ final class AuthenticationService {
 			return $token_validation;
 		}
 
+		if ( null === $this->authenticated_requests ) {
+			$this->authenticated_requests = new \WeakMap();
+		}
+		$this->authenticated_requests[ $request ] = true;
+
 		// 4. Check rate limiting.
 		if ( $this->rate_limit ) {
 			$client_id         = $this->rate_limit->get_client_id();
@@ -109,6 +138,18 @@ final class AuthenticationService {
 		return true;
 	}
 
+	/**
+	 * Check whether a request passed Bearer token authentication
+	 *
+	 * Lets response hooks (timelines, debug logs) ignore calls from unauthenticated clients.
+	 *
+	 * @param WP_REST_Request $request REST API request.
+	 * @return bool True if the request was authenticated during this page load.
+	 */
+	public function is_authenticated( WP_REST_Request $request ): bool {
+		return null !== $this->authenticated_requests && isset( $this->authenticated_requests[ $request ] );
+	}
+
 	/**
 	 * Validate Bearer token from request
 	 *
@@ -138,6 +179,10 @@ final class AuthenticationService {
 
 		$token = $matches[1];
 
+		// Look up the pending key first: an expired rotation is finalized on lookup,
+		// which makes the pending key the current one.
+		$pending_key = $this->api_key ? $this->api_key->get_pending_api_key() : null;
+
 		// Get stored API key.
 		$api_key = get_option( 'carticy_ai_checkout_api_key', '' );
 
@@ -149,8 +194,22 @@ final class AuthenticationService {
 			);
 		}
 
+		// During a key rotation both the current and the pending key are accepted.
+		$valid_keys = array( $api_key );
+		if ( $pending_key ) {
+			$valid_keys[] = $pending_key;
+		}
+
 		// Validate token using timing-safe comparison.
-		if ( ! hash_equals( $api_key, $token ) ) {
+		$is_valid = false;
+		foreach ( $valid_keys as $valid_key ) {
+			if ( hash_equals( $valid_key, $token ) ) {
+				$is_valid = true;
+				break;
+			}
+		}
+
+		if ( ! $is_valid ) {
 			return new WP_Error(
 				'invalid_token',
 				'Invalid Bearer token',
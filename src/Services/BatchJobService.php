@@ -0,0 +1,420 @@
+<?php
+/**
+ * Batch Job Service
+ *
+ * Runs long product operations (feed regeneration, quality score recalculation,
+ * feed inclusion rule re-evaluation) in small batches so large catalogs never hit PHP time limits.
+ *
+ * @package Carticy\AiCheckout
+ */
+
+namespace Carticy\AiCheckout\Services;
+
+/**
+ * Batched product job runner
+ *
+ * A job is started once, then advanced one batch per request by the admin UI,
+ * which polls for progress. Inclusion jobs run on WP-Cron instead, so they
+ * finish when the admin leaves the page; the UI only polls their progress.
+ * Only one job per type runs at a time.
+ */
+final class BatchJobService {
+	/**
+	 * Feed regeneration job type
+	 */
+	public const TYPE_FEED = 'feed';
+
+	/**
+	 * Quality score recalculation job type
+	 */
+	public const TYPE_QUALITY = 'quality';
+
+	/**
+	 * Feed inclusion rules re-evaluation job type
+	 */
+	public const TYPE_INCLUSION = 'inclusion';
+
+	/**
+	 * WP-Cron hook processing background jobs
+	 */
+	public const CRON_HOOK = 'carticy_ai_checkout_process_batch_jobs';
+
+	/**
+	 * Products processed per batch
+	 */
+	private const BATCH_SIZE = 50;
+
+	/**
+	 * Job state transient prefix
+	 */
+	private const JOB_PREFIX = 'carticy_ai_checkout_batch_job_';
+
+	/**
+	 * Partially built feed transient (feed jobs only)
+	 */
+	private const FEED_ITEMS_KEY = 'carticy_ai_checkout_batch_job_feed_items';
+
+	/**
+	 * Job state lifetime - abandoned jobs expire on their own
+	 */
+	private const JOB_TTL = HOUR_IN_SECONDS;
+
+	/**
+	 * Seconds a cron run spends on batches before handing over to the next run
+	 */
+	private const CRON_TIME_LIMIT = 20;
+
+	/**
+	 * Product feed service
+	 *
+	 * @var ProductFeedService
+	 */
+	private ProductFeedService $feed_service;
+
+	/**
+	 * Product quality checker
+	 *
+	 * @var ProductQualityChecker
+	 */
+	private ProductQualityChecker $quality_checker;
+
+	/**
+	 * Feed inclusion service
+	 *
+	 * @var FeedInclusionService
+	 */
+	private FeedInclusionService $feed_inclusion;
+
+	/**
+	 * Constructor
+	 *
+	 * @param ProductFeedService    $feed_service    Feed service instance.
+	 * @param ProductQualityChecker $quality_checker Quality checker instance.
+	 * @param FeedInclusionService  $feed_inclusion  Feed inclusion service instance.
+	 */
+	public function __construct( ProductFeedService $feed_service, ProductQualityChecker $quality_checker, FeedInclusionService $feed_inclusion ) {
+		$this->feed_service    = $feed_service;
+		$this->quality_checker = $quality_checker;
+		$this->feed_inclusion  = $feed_inclusion;
+	}
+
+	/**
+	 * Start a new job, replacing any previous job of the same type
+	 *
+	 * @param string $type Job type (feed, quality or inclusion).
+	 * @return array<string, mixed> Job state.
+	 * @throws \InvalidArgumentException If job type is unknown.
+	 */
+	public function start( string $type ): array {
+		if ( self::TYPE_FEED === $type ) {
+			$product_ids = $this->feed_service->get_enabled_product_ids();
+			set_transient( self::FEED_ITEMS_KEY, array(), self::JOB_TTL );
+		} elseif ( self::TYPE_QUALITY === $type || self::TYPE_INCLUSION === $type ) {
+			$product_ids = array_map(
+				'intval',
+				get_posts(
+					array(
+						'post_type'      => 'product',
+						'posts_per_page' => -1,
+						'post_status'    => 'publish',
+						'fields'         => 'ids',
+						'orderby'        => 'ID',
+						'order'          => 'ASC',
+					)
+				)
+			);
+		} else {
+			throw new \InvalidArgumentException( sprintf( 'Unknown batch job type: %s', esc_html( $type ) ) );
+		}
+
+		$job = array(
+			'id'          => wp_generate_uuid4(),
+			'type'        => $type,
+			'status'      => 'running',
+			'product_ids' => $product_ids,
+			'total'       => count( $product_ids ),
+			'processed'   => 0,
+			'errors'      => array(),
+			'started_at'  => time(),
+		);
+
+		if ( self::TYPE_INCLUSION === $type ) {
+			$job['changes'] = array(
+				'added'   => 0,
+				'removed' => 0,
+			);
+		}
+
+		// An empty job has nothing to process: finish it straight away.
+		if ( 0 === $job['total'] ) {
+			$job = $this->complete( $job );
+		}
+
+		$this->save_job( $job );
+
+		if ( 'running' === $job['status'] && $this->runs_in_background( $type ) ) {
+			$this->schedule_background_processing();
+		}
+
+		return $job;
+	}
+
+	/**
+	 * Check whether jobs of a type are processed by WP-Cron instead of the admin UI
+	 *
+	 * @param string $type Job type.
+	 * @return bool True for inclusion jobs.
+	 */
+	public function runs_in_background( string $type ): bool {
+		return self::TYPE_INCLUSION === $type;
+	}
+
+	/**
+	 * Process background jobs for a while
+	 *
+	 * Runs on WP-Cron. A job that is not finished within the time limit is handed
+	 * over to an immediate follow-up run; the every_15_minutes event takes over
+	 * when that one does not fire.
+	 *
+	 * @return void
+	 */
+	public function process_in_background(): void {
+		$job      = $this->get_job( self::TYPE_INCLUSION );
+		$deadline = time() + self::CRON_TIME_LIMIT;
+
+		while ( $job && 'running' === $job['status'] && time() < $deadline ) {
+			$job = $this->process_next_batch( self::TYPE_INCLUSION, $job['id'] );
+		}
+
+		if ( $job && 'running' === $job['status'] ) {
+			wp_schedule_single_event( time(), self::CRON_HOOK );
+			return;
+		}
+
+		wp_clear_scheduled_hook( self::CRON_HOOK );
+	}
+
+	/**
+	 * Process the next batch of a running job
+	 *
+	 * @param string $type   Job type.
+	 * @param string $job_id Job ID the caller started (guards against stale tabs).
+	 * @return array<string, mixed>|null Job state with `batch_ids` processed in this call, or null if no such job.
+	 */
+	public function process_next_batch( string $type, string $job_id ): ?array {
+		$job = $this->get_job( $type );
+
+		if ( ! $job || $job['id'] !== $job_id ) {
+			return null;
+		}
+
+		$job['batch_ids'] = array();
+
+		if ( 'running' !== $job['status'] ) {
+			return $job;
+		}
+
+		$batch_ids    = array_slice( $job['product_ids'], $job['processed'], self::BATCH_SIZE );
+		$batch_number = (int) floor( $job['processed'] / self::BATCH_SIZE ) + 1;
+
+		if ( self::TYPE_FEED === $type ) {
+			$errors = $this->process_feed_batch( $batch_ids );
+		} elseif ( self::TYPE_INCLUSION === $type ) {
+			$errors = $this->process_inclusion_batch( $batch_ids, $job['changes'] );
+		} else {
+			$errors = $this->process_quality_batch( $batch_ids );
+		}
+
+		foreach ( $errors as $product_id => $message ) {
+			$job['errors'][] = array(
+				'batch'      => $batch_number,
+				'product_id' => $product_id,
+				'message'    => $message,
+			);
+		}
+
+		$job['processed'] += count( $batch_ids );
+		$job['batch_ids']  = $batch_ids;
+
+		if ( $job['processed'] >= $job['total'] ) {
+			$job = $this->complete( $job );
+		}
+
+		$this->save_job( $job );
+
+		return $job;
+	}
+
+	/**
+	 * Cancel a running job
+	 *
+	 * Work already done by processed batches is kept.
+	 *
+	 * @param string $type Job type.
+	 * @return array<string, mixed>|null Cancelled job state, or null if none.
+	 */
+	public function cancel( string $type ): ?array {
+		$job = $this->get_job( $type );
+
+		if ( ! $job ) {
+			return null;
+		}
+
+		if ( 'running' === $job['status'] ) {
+			$job['status'] = 'cancelled';
+			$this->save_job( $job );
+		}
+
+		if ( self::TYPE_FEED === $type ) {
+			delete_transient( self::FEED_ITEMS_KEY );
+		}
+
+		if ( $this->runs_in_background( $type ) ) {
+			wp_clear_scheduled_hook( self::CRON_HOOK );
+		}
+
+		return $job;
+	}
+
+	/**
+	 * Get the current job of a type
+	 *
+	 * @param string $type Job type.
+	 * @return array<string, mixed>|null Job state or null if none.
+	 */
+	public function get_job( string $type ): ?array {
+		$job = get_transient( self::JOB_PREFIX . $type );
+
+		return is_array( $job ) ? $job : null;
+	}
+
+	/**
+	 * Get a job summary safe to send to the browser
+	 *
+	 * @param array<string, mixed> $job Job state.
+	 * @return array<string, mixed> Job summary without the product ID list.
+	 */
+	public function summarize( array $job ): array {
+		unset( $job['product_ids'] );
+
+		return $job;
+	}
+
+	/**
+	 * Map a batch of products into the pending feed
+	 *
+	 * @param int[] $product_ids Product IDs.
+	 * @return array<int, string> Error messages keyed by product ID.
+	 */
+	private function process_feed_batch( array $product_ids ): array {
+		$items  = get_transient( self::FEED_ITEMS_KEY );
+		$items  = is_array( $items ) ? $items : array();
+		$errors = array();
+
+		foreach ( $product_ids as $product_id ) {
+			$product = wc_get_product( $product_id );
+
+			if ( ! $product ) {
+				$errors[ $product_id ] = __( 'Product not found', 'carticy-ai-checkout-for-woocommerce' );
+				continue;
+			}
+
+			try {
+				$items = array_merge( $items, $this->feed_service->get_product_feed_items( $product ) );
+			} catch ( \Throwable $e ) {
+				$errors[ $product_id ] = $e->getMessage();
+			}
+		}
+
+		set_transient( self::FEED_ITEMS_KEY, $items, self::JOB_TTL );
+
+		return $errors;
+	}
+
+	/**
+	 * Recalculate quality scores for a batch of products
+	 *
+	 * @param int[] $product_ids Product IDs.
+	 * @return array<int, string> Error messages keyed by product ID.
+	 */
+	private function process_quality_batch( array $product_ids ): array {
+		$errors = array();
+
+		foreach ( $product_ids as $product_id ) {
+			try {
+				$this->quality_checker->update_product_quality_cache( $product_id );
+			} catch ( \Throwable $e ) {
+				$errors[ $product_id ] = $e->getMessage();
+			}
+		}
+
+		return $errors;
+	}
+
+	/**
+	 * Apply the feed inclusion rules to a batch of products
+	 *
+	 * @param int[]                           $product_ids Product IDs.
+	 * @param array{added: int, removed: int} $changes     Running totals of products added to and removed from the feed.
+	 * @return array<int, string> Error messages keyed by product ID.
+	 */
+	private function process_inclusion_batch( array $product_ids, array &$changes ): array {
+		try {
+			$result = $this->feed_inclusion->apply( $product_ids );
+		} catch ( \Throwable $e ) {
+			return array_fill_keys( $product_ids, $e->getMessage() );
+		}
+
+		$changes['added']   += $result['added'];
+		$changes['removed'] += $result['removed'];
+
+		return array();
+	}
+
+	/**
+	 * Mark a job as completed and finalize its output
+	 *
+	 * @param array<string, mixed> $job Job state.
+	 * @return array<string, mixed> Completed job state.
+	 */
+	private function complete( array $job ): array {
+		if ( self::TYPE_FEED === $job['type'] ) {
+			$items = get_transient( self::FEED_ITEMS_KEY );
+			$this->feed_service->store_feed( is_array( $items ) ? $items : array() );
+			delete_transient( self::FEED_ITEMS_KEY );
+		}
+
+		if ( self::TYPE_INCLUSION === $job['type'] && ( $job['changes']['added'] || $job['changes']['removed'] ) ) {
+			$this->feed_service->invalidate_cache();
+		}
+
+		$job['status']       = 'completed';
+		$job['completed_at'] = time();
+
+		return $job;
+	}
+
+	/**
+	 * Schedule background processing: one run right away, and a recurring run until the job is done
+	 *
+	 * @return void
+	 */
+	private function schedule_background_processing(): void {
+		if ( ! wp_next_scheduled( self::CRON_HOOK ) ) {
+			wp_schedule_event( time() + 15 * MINUTE_IN_SECONDS, 'every_15_minutes', self::CRON_HOOK, array() );
+		}
+
+		wp_schedule_single_event( time(), self::CRON_HOOK );
+	}
+
+	/**
+	 * Persist job state
+	 *
+	 * @param array<string, mixed> $job Job state.
+	 * @return void
+	 */
+	private function save_job( array $job ): void {
+		unset( $job['batch_ids'] );
+		set_transient( self::JOB_PREFIX . $job['type'], $job, self::JOB_TTL );
+	}
+}
@@ -0,0 +1,509 @@
+<?php
+/**
+ * Channel Pricing Service
+ *
+ * ChatGPT-specific prices, sale windows and stock reservations.
+ *
+ * @package Carticy\AiCheckout\Services
+ */
+
+namespace Carticy\AiCheckout\Services;
+
+use WC_Product;
+
+/**
+ * Channel Pricing Service class
+ *
+ * Overrides are set per product or per product category and apply to both the
+ * product feed and checkout session totals, so ChatGPT buyers pay the price
+ * the feed shows. Each field resolves on its own: the product (or variation),
+ * then the parent of a variation, then the product's categories, most specific
+ * first; sale dates come with the sale price. Prices are amounts ("24.99") or
+ * signed percentages of the WooCommerce price ("-10%", "+5%"); a sale price
+ * percentage applies to the ChatGPT price.
+ * A sale runs between its optional start and end dates (site timezone) and
+ * only when lower than the price. A stock reservation holds units of managed
+ * stock back from ChatGPT for the store's other channels.
+ */
+final class ChannelPricingService {
+
+	/**
+	 * Product meta holding the product's overrides
+	 */
+	public const META_KEY = '_carticy_ai_checkout_channel_pricing';
+
+	/**
+	 * Option holding the category overrides
+	 */
+	public const OPTION_CATEGORIES = 'carticy_ai_checkout_channel_pricing_categories';
+
+	/**
+	 * Category overrides cache
+	 *
+	 * @var array<int, array<string, string>>|null
+	 */
+	private ?array $category_overrides = null;
+
+	/**
+	 * Get the override fields
+	 *
+	 * @return array<string, string> Labels keyed by field.
+	 */
+	public function get_fields(): array {
+		return array(
+			'price'         => __( 'ChatGPT price', 'carticy-ai-checkout-for-woocommerce' ),
+			'sale_price'    => __( 'Sale price', 'carticy-ai-checkout-for-woocommerce' ),
+			'sale_from'     => __( 'Sale from', 'carticy-ai-checkout-for-woocommerce' ),
+			'sale_to'       => __( 'Sale to', 'carticy-ai-checkout-for-woocommerce' ),
+			'stock_reserve' => __( 'Reserved stock', 'carticy-ai-checkout-for-woocommerce' ),
+		);
+	}
+
+	/**
+	 * Sanitize overrides
+	 *
+	 * Invalid values are dropped: amounts must be positive decimals or signed
+	 * percentages above -100%, dates Y-m-d and reservations positive integers.
+	 *
+	 * @param mixed $overrides Overrides keyed by field.
+	 * @return array<string, string> Non-empty overrides keyed by field.
+	 */
+	public function sanitize_overrides( $overrides ): array {
+		$overrides = is_array( $overrides ) ? $overrides : array();
+		$sanitized = array();
+
+		foreach ( array_keys( $this->get_fields() ) as $field ) {
+			$value = is_scalar( $overrides[ $field ] ?? null ) ? trim( (string) $overrides[ $field ] ) : '';
+
+			switch ( $field ) {
+				case 'price':
+				case 'sale_price':
+					$value = $this->sanitize_amount( $value );
+					break;
+				case 'sale_from':
+				case 'sale_to':
+					$date  = \DateTime::createFromFormat( '!Y-m-d', $value );
+					$value = $date && $date->format( 'Y-m-d' ) === $value ? $value : '';
+					break;
+				case 'stock_reserve':
+					$value = absint( $value ) ? (string) absint( $value ) : '';
+					break;
+			}
+
+			if ( '' !== $value ) {
+				$sanitized[ $field ] = $value;
+			}
+		}
+
+		return $sanitized;
+	}
+
+	/**
+	 * Validate submitted override values
+	 *
+	 * Empty values are always valid: they clear the override.
+	 *
+	 * @param array<string, string> $values Submitted values keyed by field.
+	 * @return array<string, string> Validation error messages keyed by field.
+	 */
+	public function validate_overrides( array $values ): array {
+		$fields = $this->get_fields();
+		$errors = array();
+
+		foreach ( $values as $field => $value ) {
+			if ( ! isset( $fields[ $field ] ) ) {
+				$errors[ $field ] = __( 'This field cannot be edited.', 'carticy-ai-checkout-for-woocommerce' );
+				continue;
+			}
+
+			if ( '' === $value || $this->sanitize_overrides( array( $field => $value ) ) ) {
+				continue;
+			}
+
+			switch ( $field ) {
+				case 'price':
+				case 'sale_price':
+					$errors[ $field ] = __( 'Enter an amount such as 24.99 or a percentage such as -10%.', 'carticy-ai-checkout-for-woocommerce' );
+					break;
+				case 'sale_from':
+				case 'sale_to':
+					$errors[ $field ] = __( 'Enter a date as YYYY-MM-DD.', 'carticy-ai-checkout-for-woocommerce' );
+					break;
+				default:
+					$errors[ $field ] = __( 'Enter a whole number of units.', 'carticy-ai-checkout-for-woocommerce' );
+			}
+		}
+
+		$dates_valid = ! isset( $errors['sale_from'] ) && ! isset( $errors['sale_to'] );
+
+		if ( $dates_valid && ! empty( $values['sale_from'] ) && ! empty( $values['sale_to'] ) && $values['sale_from'] > $values['sale_to'] ) {
+			$errors['sale_to'] = __( 'The sale must end on or after its start date.', 'carticy-ai-checkout-for-woocommerce' );
+		}
+
+		return $errors;
+	}
+
+	/**
+	 * Get a product's own overrides
+	 *
+	 * @param int $product_id Product or variation ID.
+	 * @return array<string, string> Overrides keyed by field.
+	 */
+	public function get_product_overrides( int $product_id ): array {
+		return $this->sanitize_overrides( get_post_meta( $product_id, self::META_KEY, true ) );
+	}
+
+	/**
+	 * Change overrides of several products
+	 *
+	 * Fields missing from the changes are left as they are; fields set to an
+	 * empty string are cleared.
+	 *
+	 * @param int[]                 $product_ids Product IDs.
+	 * @param array<string, string> $changes     New values keyed by field.
+	 * @return int Number of products whose overrides changed.
+	 */
+	public function update_product_overrides( array $product_ids, array $changes ): int {
+		$changes = array_intersect_key( $changes, $this->get_fields() );
+		$updated = 0;
+
+		foreach ( $product_ids as $product_id ) {
+			$current   = $this->get_product_overrides( $product_id );
+			$overrides = $this->sanitize_overrides( array_merge( $current, $changes ) );
+
+			if ( $overrides === $current ) {
+				continue;
+			}
+
+			if ( empty( $overrides ) ) {
+				delete_post_meta( $product_id, self::META_KEY );
+			} else {
+				update_post_meta( $product_id, self::META_KEY, $overrides );
+			}
+
+			++$updated;
+		}
+
+		return $updated;
+	}
+
+	/**
+	 * Get the category overrides
+	 *
+	 * @return array<int, array<string, string>> Overrides keyed by product_cat term ID.
+	 */
+	public function get_category_overrides(): array {
+		if ( null === $this->category_overrides ) {
+			$overrides                = get_option( self::OPTION_CATEGORIES, array() );
+			$this->category_overrides = $this->sanitize_category_overrides( $overrides );
+		}
+
+		return $this->category_overrides;
+	}
+
+	/**
+	 * Sanitize category overrides
+	 *
+	 * @param mixed $rows Rows with a category term ID and override fields, as a list or keyed by form row.
+	 * @return array<int, array<string, string>> Overrides keyed by term ID; rows without a category or any override
+	 *         are dropped, and a later row for the same category replaces an earlier one.
+	 */
+	public function sanitize_category_overrides( $rows ): array {
+		$sanitized = array();
+
+		foreach ( is_array( $rows ) ? $rows : array() as $key => $row ) {
+			if ( ! is_array( $row ) ) {
+				continue;
+			}
+
+			// Saved overrides are keyed by term ID; form rows carry it.
+			$term_id   = absint( $row['category'] ?? $key );
+			$overrides = $this->sanitize_overrides( $row );
+
+			if ( $term_id && $overrides && term_exists( $term_id, 'product_cat' ) ) {
+				$sanitized[ $term_id ] = $overrides;
+			}
+		}
+
+		return $sanitized;
+	}
+
+	/**
+	 * Clear the category overrides cache after the option changes
+	 *
+	 * @return void
+	 */
+	public function flush_category_overrides(): void {
+		$this->category_overrides = null;
+	}
+
+	/**
+	 * Get the overrides applying to a product
+	 *
+	 * @param WC_Product      $product        Product or variation.
+	 * @param WC_Product|null $parent_product Parent of a variation (loaded when omitted).
+	 * @return array<string, array{value: string, source: string}> Overrides keyed by field, with where each comes from:
+	 *         "product", "parent" or "category:<term ID>".
+	 */
+	public function get_effective_overrides( WC_Product $product, ?WC_Product $parent_product = null ): array {
+		if ( ! $parent_product && $product->get_parent_id() ) {
+			$parent_product = wc_get_product( $product->get_parent_id() );
+		}
+
+		$layers = array( 'product' => $this->get_product_overrides( $product->get_id() ) );
+
+		if ( $parent_product ) {
+			$layers['parent'] = $this->get_product_overrides( $parent_product->get_id() );
+		}
+
+		$category_overrides = $this->get_category_overrides();
+
+		if ( $category_overrides ) {
+			foreach ( $this->get_category_chain( $parent_product ? $parent_product : $product ) as $term_id ) {
+				if ( isset( $category_overrides[ $term_id ] ) ) {
+					$layers[ 'category:' . $term_id ] = $category_overrides[ $term_id ];
+				}
+			}
+		}
+
+		$effective = array();
+
+		foreach ( array_keys( $this->get_fields() ) as $field ) {
+			// A sale window belongs to the sale price it was set with.
+			if ( 'sale_from' === $field || 'sale_to' === $field ) {
+				$source = $effective['sale_price']['source'] ?? '';
+
+				if ( isset( $layers[ $source ][ $field ] ) ) {
+					$effective[ $field ] = array(
+						'value'  => $layers[ $source ][ $field ],
+						'source' => $source,
+					);
+				}
+				continue;
+			}
+
+			foreach ( $layers as $source => $overrides ) {
+				if ( isset( $overrides[ $field ] ) ) {
+					$effective[ $field ] = array(
+						'value'  => $overrides[ $field ],
+						'source' => $source,
+					);
+					break;
+				}
+			}
+		}
+
+		return $effective;
+	}
+
+	/**
+	 * Get the ChatGPT pricing of a product
+	 *
+	 * @param WC_Product      $product        Product or variation.
+	 * @param WC_Product|null $parent_product Parent of a variation (loaded when omitted).
+	 * @return array{price: string, sale_price: string|null, sale_from: string, sale_to: string, charged: float}|null
+	 *         ChatGPT price, running sale with its window, and the amount charged; null when no price or sale
+	 *         override applies and the WooCommerce price is used as is.
+	 */
+	public function get_pricing( WC_Product $product, ?WC_Product $parent_product = null ): ?array {
+		$overrides = $this->get_effective_overrides( $product, $parent_product );
+
+		if ( ! isset( $overrides['price'] ) && ! isset( $overrides['sale_price'] ) ) {
+			return null;
+		}
+
+		$decimals = wc_get_price_decimals();
+		$price    = (float) $product->get_price();
+
+		if ( isset( $overrides['price'] ) ) {
+			$price = $this->apply_amount( $overrides['price']['value'], $price );
+		}
+
+		$sale_from  = $overrides['sale_from']['value'] ?? '';
+		$sale_to    = $overrides['sale_to']['value'] ?? '';
+		$sale_price = null;
+
+		if ( isset( $overrides['sale_price'] ) && $this->is_sale_running( $sale_from, $sale_to ) ) {
+			$sale = $this->apply_amount( $overrides['sale_price']['value'], $price );
+
+			if ( $sale < $price ) {
+				$sale_price = $sale;
+			}
+		}
+
+		return array(
+			'price'      => wc_format_decimal( $price, $decimals ),
+			'sale_price' => null === $sale_price ? null : wc_format_decimal( $sale_price, $decimals ),
+			'sale_from'  => $sale_from,
+			'sale_to'    => $sale_to,
+			'charged'    => round( null === $sale_price ? $price : $sale_price, $decimals ),
+		);
+	}
+
+	/**
+	 * Get the price ChatGPT buyers pay for a product
+	 *
+	 * @param WC_Product $product Product or variation.
+	 * @return float Price.
+	 */
+	public function get_price( WC_Product $product ): float {
+		$pricing = $this->get_pricing( $product );
+
+		return null === $pricing ? (float) $product->get_price() : $pricing['charged'];
+	}
+
+	/**
+	 * Get the stock reserved away from ChatGPT for a product
+	 *
+	 * @param WC_Product $product Product or variation.
+	 * @return int Reserved units, 0 for none.
+	 */
+	public function get_stock_reserve( WC_Product $product ): int {
+		$overrides = $this->get_effective_overrides( $product );
+
+		return isset( $overrides['stock_reserve'] ) ? (int) $overrides['stock_reserve']['value'] : 0;
+	}
+
+	/**
+	 * Get the stock ChatGPT can sell
+	 *
+	 * @param WC_Product $product Product or variation.
+	 * @return int|null Units left after the reservation, or null when stock is not managed.
+	 */
+	public function get_available_stock( WC_Product $product ): ?int {
+		if ( ! $product->managing_stock() ) {
+			return null;
+		}
+
+		return max( 0, (int) $product->get_stock_quantity() - $this->get_stock_reserve( $product ) );
+	}
+
+	/**
+	 * Check whether ChatGPT can sell a product
+	 *
+	 * Without a reservation this is WooCommerce's stock status, backorders included.
+	 *
+	 * @param WC_Product $product Product or variation.
+	 * @return bool True when in stock for ChatGPT.
+	 */
+	public function is_in_stock( WC_Product $product ): bool {
+		if ( ! $product->is_in_stock() ) {
+			return false;
+		}
+
+		if ( ! $product->managing_stock() || 0 === $this->get_stock_reserve( $product ) ) {
+			return true;
+		}
+
+		return $this->get_available_stock( $product ) > 0;
+	}
+
+	/**
+	 * Describe a product's ChatGPT pricing for the products table
+	 *
+	 * @param WC_Product $product Product.
+	 * @return string Summary, e.g. "19.99 (sale 14.99 until 2026-12-01), 5 reserved", or an empty string.
+	 */
+	public function describe( WC_Product $product ): string {
+		$overrides = $this->get_product_overrides( $product->get_id() );
+		$parts     = array();
+
+		if ( isset( $overrides['price'] ) ) {
+			$parts[] = $overrides['price'];
+		}
+
+		if ( isset( $overrides['sale_price'] ) ) {
+			$sale = $overrides['sale_price'];
+
+			if ( isset( $overrides['sale_from'], $overrides['sale_to'] ) ) {
+				/* translators: 1: sale price, 2: sale start date, 3: sale end date */
+				$sale = sprintf( __( '%1$s from %2$s to %3$s', 'carticy-ai-checkout-for-woocommerce' ), $sale, $overrides['sale_from'], $overrides['sale_to'] );
+			} elseif ( isset( $overrides['sale_from'] ) ) {
+				/* translators: 1: sale price, 2: sale start date */
+				$sale = sprintf( __( '%1$s from %2$s', 'carticy-ai-checkout-for-woocommerce' ), $sale, $overrides['sale_from'] );
+			} elseif ( isset( $overrides['sale_to'] ) ) {
+				/* translators: 1: sale price, 2: sale end date */
+				$sale = sprintf( __( '%1$s until %2$s', 'carticy-ai-checkout-for-woocommerce' ), $sale, $overrides['sale_to'] );
+			}
+
+			/* translators: %s: sale price with its window */
+			$parts[] = sprintf( __( 'sale %s', 'carticy-ai-checkout-for-woocommerce' ), $sale );
+		}
+
+		if ( isset( $overrides['stock_reserve'] ) ) {
+			/* translators: %s: number of reserved units */
+			$parts[] = sprintf( __( '%s reserved', 'carticy-ai-checkout-for-woocommerce' ), $overrides['stock_reserve'] );
+		}
+
+		return implode( ', ', $parts );
+	}
+
+	/**
+	 * Sanitize an amount
+	 *
+	 * @param string $value Amount or signed percentage.
+	 * @return string Decimal amount, signed percentage such as "-10%", or an empty string when invalid.
+	 */
+	private function sanitize_amount( string $value ): string {
+		$value = str_replace( ' ', '', $value );
+
+		// ChatGPT does not sell products for free, so no amount may bring the price to zero.
+		if ( preg_match( '/^([+-])(\d+(?:\.\d+)?)%$/', $value, $matches ) ) {
+			return '-' === $matches[1] && (float) $matches[2] >= 100 ? '' : $matches[1] . ( (float) $matches[2] ) . '%';
+		}
+
+		$amount = wc_format_decimal( $value );
+
+		return '' !== $amount && is_numeric( $amount ) && (float) $amount > 0 ? $amount : '';
+	}
+
+	/**
+	 * Apply an amount to a base price
+	 *
+	 * @param string $amount Decimal amount or signed percentage.
+	 * @param float  $base   Base price for percentages.
+	 * @return float Price, never negative.
+	 */
+	private function apply_amount( string $amount, float $base ): float {
+		if ( '%' === substr( $amount, -1 ) ) {
+			return max( 0.0, $base * ( 1 + (float) substr( $amount, 0, -1 ) / 100 ) );
+		}
+
+		return (float) $amount;
+	}
+
+	/**
+	 * Check whether a sale window includes today
+	 *
+	 * @param string $from Start date (Y-m-d), empty for none.
+	 * @param string $to   End date (Y-m-d, inclusive), empty for none.
+	 * @return bool True when running.
+	 */
+	private function is_sale_running( string $from, string $to ): bool {
+		$today = wp_date( 'Y-m-d' );
+
+		return ( '' === $from || $today >= $from ) && ( '' === $to || $today <= $to );
+	}
+
+	/**
+	 * Get a product's categories and their ancestors, most specific first
+	 *
+	 * @param WC_Product $product Product (not a variation).
+	 * @return int[] Term IDs.
+	 */
+	private function get_category_chain( WC_Product $product ): array {
+		$chain = array();
+
+		foreach ( $product->get_category_ids() as $term_id ) {
+			$chain[] = (int) $term_id;
+		}
+
+		foreach ( $product->get_category_ids() as $term_id ) {
+			foreach ( get_ancestors( (int) $term_id, 'product_cat', 'taxonomy' ) as $ancestor_id ) {
+				$chain[] = (int) $ancestor_id;
+			}
+		}
+
+		return array_values( array_unique( $chain ) );
+	}
+}
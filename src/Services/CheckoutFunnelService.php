@@ -0,0 +1,301 @@
+<?php
+/**
+ * Checkout Funnel Service
+ *
+ * Counts checkout sessions reaching each lifecycle stage, for funnel analytics.
+ *
+ * @package Carticy\AiCheckout
+ */
+
+namespace Carticy\AiCheckout\Services;
+
+/**
+ * Checkout funnel service
+ *
+ * Sessions are transients that are removed once they finish or are abandoned,
+ * so stage counts are kept in options instead, one per day the session was
+ * created and stage, incremented in SQL so concurrent requests do not lose counts. A session counts towards every stage up to the furthest one it
+ * reached (a session completed without updates still counts as updated), which
+ * keeps the funnel narrowing from stage to stage. Sessions leaving the funnel
+ * are counted by exit: cancelled, payment failed or abandoned.
+ */
+final class CheckoutFunnelService {
+	/**
+	 * Prefix of the options storing the daily counts, followed by `{Y-m-d}_{stage}`
+	 */
+	public const OPTION_PREFIX = 'carticy_ai_checkout_funnel_';
+
+	/**
+	 * Session created
+	 */
+	public const STAGE_CREATED = 'created';
+
+	/**
+	 * Buyer updated items, addresses, shipping or coupon
+	 */
+	public const STAGE_UPDATED = 'updated';
+
+	/**
+	 * Completion requested with a payment token
+	 */
+	public const STAGE_PAYMENT = 'payment_attempted';
+
+	/**
+	 * Payment succeeded and the order was created
+	 */
+	public const STAGE_COMPLETED = 'completed';
+
+	/**
+	 * Session cancelled by the buyer
+	 */
+	public const EXIT_CANCELLED = 'cancelled';
+
+	/**
+	 * Payment failed
+	 */
+	public const EXIT_FAILED = 'failed';
+
+	/**
+	 * Session removed by the abandoned session cleanup
+	 */
+	public const EXIT_ABANDONED = 'abandoned';
+
+	/**
+	 * Funnel stages in order
+	 */
+	private const STAGES = array( self::STAGE_CREATED, self::STAGE_UPDATED, self::STAGE_PAYMENT, self::STAGE_COMPLETED );
+
+	/**
+	 * Days of counts kept
+	 */
+	private const RETENTION_DAYS = 400;
+
+	/**
+	 * Get the stage labels
+	 *
+	 * @return array<string, string> Labels keyed by stage, in funnel order.
+	 */
+	public function get_stages(): array {
+		return array(
+			self::STAGE_CREATED   => __( 'Session created', 'carticy-ai-checkout-for-woocommerce' ),
+			self::STAGE_UPDATED   => __( 'Session updated', 'carticy-ai-checkout-for-woocommerce' ),
+			self::STAGE_PAYMENT   => __( 'Payment attempted', 'carticy-ai-checkout-for-woocommerce' ),
+			self::STAGE_COMPLETED => __( 'Order completed', 'carticy-ai-checkout-for-woocommerce' ),
+		);
+	}
+
+	/**
+	 * Get the exit labels
+	 *
+	 * @return array<string, string> Labels keyed by exit.
+	 */
+	public function get_exits(): array {
+		return array(
+			self::EXIT_CANCELLED => __( 'Cancelled', 'carticy-ai-checkout-for-woocommerce' ),
+			self::EXIT_FAILED    => __( 'Payment failed', 'carticy-ai-checkout-for-woocommerce' ),
+			self::EXIT_ABANDONED => __( 'Abandoned', 'carticy-ai-checkout-for-woocommerce' ),
+		);
+	}
+
+	/**
+	 * Record a new session
+	 *
+	 * @param array<string, mixed> $session Session data.
+	 * @return array<string, mixed> Session data with the funnel progress to store.
+	 */
+	public function start( array $session ): array {
+		$this->increment( self::STAGE_CREATED, (int) ( $session['created_at'] ?? time() ) );
+		$this->remove_expired_counts();
+
+		$session['funnel_stage'] = self::STAGE_CREATED;
+
+		return $session;
+	}
+
+	/**
+	 * Record a session reaching a stage
+	 *
+	 * Stages between the session's furthest stage and the new one are recorded
+	 * too. Sessions created before funnel tracking started are ignored.
+	 *
+	 * @param array<string, mixed> $session Session data.
+	 * @param string               $stage   One of the STAGE_* constants.
+	 * @return array<string, mixed> Session data with the funnel progress to store.
+	 */
+	public function advance( array $session, string $stage ): array {
+		if ( ! isset( $session['funnel_stage'] ) ) {
+			return $session;
+		}
+
+		$current = array_search( $session['funnel_stage'], self::STAGES, true );
+		$target  = array_search( $stage, self::STAGES, true );
+
+		if ( false === $current || false === $target || $target <= $current ) {
+			return $session;
+		}
+
+		foreach ( array_slice( self::STAGES, $current + 1, $target - $current ) as $reached ) {
+			$this->increment( $reached, (int) $session['created_at'] );
+		}
+
+		$session['funnel_stage'] = $stage;
+
+		return $session;
+	}
+
+	/**
+	 * Record a session leaving the funnel
+	 *
+	 * @param array<string, mixed> $session Session data.
+	 * @param string               $exit    One of the EXIT_* constants.
+	 * @return array<string, mixed> Session data with the funnel progress to store.
+	 */
+	public function leave( array $session, string $exit ): array {
+		if ( ! isset( $session['funnel_stage'] ) || ! empty( $session['funnel_exit'] ) || ! isset( $this->get_exits()[ $exit ] ) ) {
+			return $session;
+		}
+
+		$this->increment( $exit, (int) $session['created_at'] );
+
+		$session['funnel_exit'] = $exit;
+
+		return $session;
+	}
+
+	/**
+	 * Get the funnel of sessions created in a date range
+	 *
+	 * @param string $start First day (Y-m-d, site timezone).
+	 * @param string $end   Last day (Y-m-d, site timezone).
+	 * @return array{stages: array<int, array<string, mixed>>, exits: array<int, array<string, mixed>>, open: int} Stages with count, share of
+	 *         created sessions and drop-off from the previous stage; exits with count and share; sessions still in progress.
+	 */
+	public function get_funnel( string $start, string $end ): array {
+		$totals = array_fill_keys( array_merge( self::STAGES, array_keys( $this->get_exits() ) ), 0 );
+
+		foreach ( $this->get_stats() as $day => $counts ) {
+			if ( $day < $start || $day > $end ) {
+				continue;
+			}
+
+			foreach ( $counts as $key => $count ) {
+				if ( isset( $totals[ $key ] ) ) {
+					$totals[ $key ] += (int) $count;
+				}
+			}
+		}
+
+		$created  = $totals[ self::STAGE_CREATED ];
+		$stages   = array();
+		$previous = null;
+
+		foreach ( $this->get_stages() as $stage => $label ) {
+			$count    = $totals[ $stage ];
+			$stages[] = array(
+				'stage'    => $stage,
+				'label'    => $label,
+				'count'    => $count,
+				'rate'     => $created ? ( $count / $created ) * 100 : 0.0,
+				'drop_off' => null === $previous ? 0.0 : ( $previous ? ( ( $previous - $count ) / $previous ) * 100 : 0.0 ),
+			);
+			$previous = $count;
+		}
+
+		$exits  = array();
+		$closed = $totals[ self::STAGE_COMPLETED ];
+
+		foreach ( $this->get_exits() as $exit => $label ) {
+			$exits[] = array(
+				'exit'  => $exit,
+				'label' => $label,
+				'count' => $totals[ $exit ],
+				'rate'  => $created ? ( $totals[ $exit ] / $created ) * 100 : 0.0,
+			);
+			$closed += $totals[ $exit ];
+		}
+
+		return array(
+			'stages' => $stages,
+			'exits'  => $exits,
+			'open'   => max( 0, $created - $closed ),
+		);
+	}
+
+	/**
+	 * Get the stored daily counts
+	 *
+	 * Read from the database directly: the counters are updated in SQL, past the option cache.
+	 *
+	 * @return array<string, array<string, int>> Counts keyed by day (Y-m-d) and stage or exit.
+	 */
+	private function get_stats(): array {
+		global $wpdb;
+
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching -- Counters are updated in SQL, so the option cache is stale.
+		$rows = $wpdb->get_results(
+			$wpdb->prepare(
+				"SELECT option_name, option_value FROM {$wpdb->options} WHERE option_name LIKE %s",
+				$wpdb->esc_like( self::OPTION_PREFIX ) . '%'
+			)
+		);
+
+		$stats = array();
+
+		foreach ( (array) $rows as $row ) {
+			if ( preg_match( '/^' . preg_quote( self::OPTION_PREFIX, '/' ) . '(\d{4}-\d{2}-\d{2})_(\w+)$/', $row->option_name, $matches ) ) {
+				$stats[ $matches[1] ][ $matches[2] ] = (int) $row->option_value;
+			}
+		}
+
+		return $stats;
+	}
+
+	/**
+	 * Increment a counter of the day a session was created
+	 *
+	 * A single INSERT ... ON DUPLICATE KEY UPDATE creates or increments the counter,
+	 * so concurrent sessions never overwrite each other's counts.
+	 *
+	 * @param string $key        Stage or exit.
+	 * @param int    $created_at Session creation time.
+	 * @return void
+	 */
+	private function increment( string $key, int $created_at ): void {
+		global $wpdb;
+
+		$option = self::OPTION_PREFIX . wp_date( 'Y-m-d', $created_at ) . '_' . $key;
+
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching -- Atomic counter update.
+		$wpdb->query(
+			$wpdb->prepare(
+				"INSERT INTO {$wpdb->options} (option_name, option_value, autoload) VALUES (%s, '1', 'no')
+				ON DUPLICATE KEY UPDATE option_value = option_value + 1",
+				$option
+			)
+		);
+
+		wp_cache_delete( $option, 'options' );
+	}
+
+	/**
+	 * Remove counts of days past the retention period
+	 *
+	 * Option names start with the day, so older days sort before the cutoff.
+	 *
+	 * @return void
+	 */
+	private function remove_expired_counts(): void {
+		global $wpdb;
+
+		$cutoff = wp_date( 'Y-m-d', time() - self::RETENTION_DAYS * DAY_IN_SECONDS );
+
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching -- Cleanup operation, caching not applicable for DELETE.
+		$wpdb->query(
+			$wpdb->prepare(
+				"DELETE FROM {$wpdb->options} WHERE option_name LIKE %s AND option_name < %s",
+				$wpdb->esc_like( self::OPTION_PREFIX ) . '%',
+				self::OPTION_PREFIX . $cutoff
+			)
+		);
+	}
+}
@@ -18,6 +18,16 @@ namespace Carticy\AiCheckout\Services;
  */
 final class ConformanceTestService {
 
+	/**
+	 * Run history option
+	 */
+	private const HISTORY_OPTION = 'carticy_ai_checkout_conformance_history';
+
+	/**
+	 * Number of runs kept in history
+	 */
+	private const HISTORY_LIMIT = 10;
+
 	/**
 	 * Mock simulator
 	 *
@@ -25,6 +35,27 @@ final class ConformanceTestService {
 	 */
 	private MockSimulator $mock_simulator;
 
+	/**
+	 * Test mode service
+	 *
+	 * @var TestModeService
+	 */
+	private TestModeService $test_mode;
+
+	/**
+	 * API key service
+	 *
+	 * @var ApiKeyService
+	 */
+	private ApiKeyService $api_key;
+
+	/**
+	 * IP allowlist service
+	 *
+	 * @var IpAllowlistService
+	 */
+	private IpAllowlistService $ip_allowlist;
+
 	/**
 	 * Checkout session endpoint
 	 *
@@ -42,10 +73,16 @@ final class ConformanceTestService {
 	/**
 	 * Constructor
 	 *
-	 * @param MockSimulator $mock_simulator Mock simulator instance.
+	 * @param MockSimulator      $mock_simulator Mock simulator instance.
+	 * @param TestModeService    $test_mode      Test mode service instance.
+	 * @param ApiKeyService      $api_key        API key service instance.
+	 * @param IpAllowlistService $ip_allowlist   IP allowlist service instance.
 	 */
-	public function __construct( MockSimulator $mock_simulator ) {
+	public function __construct( MockSimulator $mock_simulator, TestModeService $test_mode, ApiKeyService $api_key, IpAllowlistService $ip_allowlist ) {
 		$this->mock_simulator = $mock_simulator;
+		$this->test_mode      = $test_mode;
+		$this->api_key        = $api_key;
+		$this->ip_allowlist   = $ip_allowlist;
 	}
 
 	/**
@@ -179,27 +216,67 @@ final class ConformanceTestService {
 	/**
 	 * Get list of all available tests
 	 *
-	 * @return array List of test IDs and names.
+	 * @return array<string, string> Test names keyed by test ID, in run order.
 	 */
 	public function get_test_list(): array {
 		return array(
-			'test_1'  => 'Session Creation With Shipping Address',
-			'test_2'  => 'Session Creation Without Shipping Address',
-			'test_3'  => 'Shipping Option Updates and Total Recalculation',
-			'test_4'  => 'SharedPaymentToken Processing',
-			'test_5'  => 'Order Completion with 201 Created Status',
-			'test_6'  => 'Webhook Emission (order_created, order_updated)',
-			'test_7'  => 'Error Scenarios (missing, out_of_stock, payment_declined)',
-			'test_8'  => 'Idempotency-Key Validation',
-			'test_9'  => 'Security Requirements (TLS, Bearer Token, HMAC)',
-			'test_10' => 'Product Feed Endpoint Accessibility',
-			'test_11' => 'Product Feed Data Quality',
-			'test_12' => 'Product Feed Cache and Refresh Mechanism',
-			'test_13' => 'API-Version Header Validation',
-			'test_14' => 'Rate Limiting Enforcement',
-			'test_15' => 'Robots.txt Configuration for OpenAI Crawlers',
-			'test_16' => 'IP Allowlist Configuration',
-			'test_17' => 'Production Prerequisites Validation',
+			'test_1'  => __( 'Session Creation With Shipping Address', 'carticy-ai-checkout-for-woocommerce' ),
+			'test_2'  => __( 'Session Creation Without Shipping Address', 'carticy-ai-checkout-for-woocommerce' ),
+			'test_3'  => __( 'Shipping Option Updates and Total Recalculation', 'carticy-ai-checkout-for-woocommerce' ),
+			'test_4'  => __( 'SharedPaymentToken Processing', 'carticy-ai-checkout-for-woocommerce' ),
+			'test_5'  => __( 'Order Completion with 201 Created Status', 'carticy-ai-checkout-for-woocommerce' ),
+			'test_6'  => __( 'Webhook Emission (order_created, order_updated)', 'carticy-ai-checkout-for-woocommerce' ),
+			'test_7'  => __( 'Error Scenarios (missing, out_of_stock, payment_declined)', 'carticy-ai-checkout-for-woocommerce' ),
+			'test_8'  => __( 'Idempotency-Key Validation', 'carticy-ai-checkout-for-woocommerce' ),
+			'test_9'  => __( 'Security Requirements (TLS, Bearer Token, HMAC)', 'carticy-ai-checkout-for-woocommerce' ),
+			'test_10' => __( 'Product Feed Endpoint Accessibility', 'carticy-ai-checkout-for-woocommerce' ),
+			'test_11' => __( 'Product Feed Data Quality', 'carticy-ai-checkout-for-woocommerce' ),
+			'test_12' => __( 'Product Feed Cache and Refresh Mechanism', 'carticy-ai-checkout-for-woocommerce' ),
+			'test_13' => __( 'API-Version Header Validation', 'carticy-ai-checkout-for-woocommerce' ),
+			'test_14' => __( 'Rate Limiting Enforcement', 'carticy-ai-checkout-for-woocommerce' ),
+			'test_15' => __( 'Robots.txt Configuration for OpenAI Crawlers', 'carticy-ai-checkout-for-woocommerce' ),
+			'test_16' => __( 'IP Allowlist Configuration', 'carticy-ai-checkout-for-woocommerce' ),
+			'test_17' => __( 'Production Prerequisites Validation', 'carticy-ai-checkout-for-woocommerce' ),
+		);
+	}
+
+	/**
+	 * Get test groups for display
+	 *
+	 * @return array<int, array{label: string, icon: string, tests: string[]}> Groups in display order.
+	 */
+	public function get_test_groups(): array {
+		return array(
+			array(
+				'label' => __( 'Core Session Tests', 'carticy-ai-checkout-for-woocommerce' ),
+				'icon'  => 'arrow-right-alt2',
+				'tests' => array( 'test_1', 'test_2', 'test_3' ),
+			),
+			array(
+				'label' => __( 'Payment & Completion Tests', 'carticy-ai-checkout-for-woocommerce' ),
+				'icon'  => 'money-alt',
+				'tests' => array( 'test_4', 'test_5' ),
+			),
+			array(
+				'label' => __( 'Webhook & Error Tests', 'carticy-ai-checkout-for-woocommerce' ),
+				'icon'  => 'megaphone',
+				'tests' => array( 'test_6', 'test_7' ),
+			),
+			array(
+				'label' => __( 'Security Tests', 'carticy-ai-checkout-for-woocommerce' ),
+				'icon'  => 'shield',
+				'tests' => array( 'test_8', 'test_9' ),
+			),
+			array(
+				'label' => __( 'Product Feed Tests', 'carticy-ai-checkout-for-woocommerce' ),
+				'icon'  => 'products',
+				'tests' => array( 'test_10', 'test_11', 'test_12' ),
+			),
+			array(
+				'label' => __( 'Advanced Tests', 'carticy-ai-checkout-for-woocommerce' ),
+				'icon'  => 'admin-settings',
+				'tests' => array( 'test_13', 'test_14', 'test_15', 'test_16', 'test_17' ),
+			),
 		);
 	}
 
@@ -252,9 +329,15 @@ final class ConformanceTestService {
 		try {
 			$this->$method();
 
+			$result = $this->test_results[0] ?? array();
+			if ( $result ) {
+				$result['test_id'] = $test_id;
+				$result['fixes']   = $result['passed'] ? array() : $this->get_fix_actions( $test_id, $result );
+			}
+
 			return array(
 				'success' => true,
-				'result'  => $this->test_results[0] ?? array(),
+				'result'  => $result,
 			);
 		} catch ( \Exception $e ) {
 			return array(
@@ -273,6 +356,121 @@ final class ConformanceTestService {
 		return $this->delete_temporary_test_products();
 	}
 
+	/**
+	 * Get fix actions available for a failed test
+	 *
+	 * @param string $test_id Test ID.
+	 * @param array  $result  Failed test result.
+	 * @return array<int, array{id: string, label: string, description: string}> Fix actions.
+	 */
+	private function get_fix_actions( string $test_id, array $result ): array {
+		$response = is_array( $result['response'] ?? null ) ? $result['response'] : array();
+		$fix_ids  = array();
+
+		switch ( $test_id ) {
+			case 'test_6':
+			case 'test_9':
+			case 'test_17':
+				if ( ! $this->api_key->get_webhook_secret() ) {
+					$fix_ids[] = 'regenerate_webhook_secret';
+				}
+				break;
+
+			case 'test_15':
+				// A physical robots.txt file overrides the WordPress filter.
+				if ( empty( $response['filter_enabled'] ) && empty( $response['has_physical_file'] ) ) {
+					$fix_ids[] = 'enable_robots_filter';
+				}
+				break;
+
+			case 'test_16':
+				if ( ! empty( $response['ip_allowlist_enabled'] ) && empty( $response['openai_ips_cached'] ) ) {
+					$fix_ids[] = 'refresh_ip_ranges';
+
+					// Live requests must keep coming from OpenAI only.
+					if ( $this->test_mode->is_test_mode() ) {
+						$fix_ids[] = 'disable_ip_allowlist';
+					}
+				}
+				break;
+		}
+
+		$definitions = $this->get_fix_definitions();
+		$fixes       = array();
+
+		foreach ( $fix_ids as $fix_id ) {
+			$fixes[] = array_merge( array( 'id' => $fix_id ), $definitions[ $fix_id ] );
+		}
+
+		return $fixes;
+	}
+
+	/**
+	 * Apply a conformance fix action
+	 *
+	 * @param string $fix_id Fix action ID.
+	 * @return string Success message.
+	 * @throws \InvalidArgumentException If the fix action is unknown.
+	 * @throws \Exception If the fix could not be applied.
+	 */
+	public function apply_fix( string $fix_id ): string {
+		switch ( $fix_id ) {
+			case 'enable_robots_filter':
+				update_option( 'carticy_ai_checkout_enable_openai_robots', 'yes' );
+				return __( 'Robots.txt filter enabled.', 'carticy-ai-checkout-for-woocommerce' );
+
+			case 'regenerate_webhook_secret':
+				// Replacing a secret in use would break webhook verification without a grace period.
+				if ( $this->api_key->get_webhook_secret() ) {
+					throw new \Exception( esc_html__( 'A webhook secret already exists. Rotate it from Settings instead.', 'carticy-ai-checkout-for-woocommerce' ) );
+				}
+				$this->api_key->regenerate_webhook_secret();
+				return __( 'New webhook secret generated. Update it in your OpenAI merchant settings.', 'carticy-ai-checkout-for-woocommerce' );
+
+			case 'refresh_ip_ranges':
+				$refreshed = $this->ip_allowlist->refresh_ip_ranges();
+				if ( is_wp_error( $refreshed ) ) {
+					throw new \Exception( esc_html( $refreshed->get_error_message() ) );
+				}
+				return __( 'OpenAI IP ranges refreshed.', 'carticy-ai-checkout-for-woocommerce' );
+
+			case 'disable_ip_allowlist':
+				if ( ! $this->test_mode->is_test_mode() ) {
+					throw new \Exception( esc_html__( 'The IP allowlist can only be disabled from here in test mode.', 'carticy-ai-checkout-for-woocommerce' ) );
+				}
+				update_option( 'carticy_ai_checkout_enable_ip_allowlist', 'no' );
+				return __( 'IP allowlist disabled.', 'carticy-ai-checkout-for-woocommerce' );
+		}
+
+		throw new \InvalidArgumentException( sprintf( 'Unknown conformance fix: %s', esc_html( $fix_id ) ) );
+	}
+
+	/**
+	 * Get fix action labels and descriptions
+	 *
+	 * @return array<string, array{label: string, description: string}> Fix definitions keyed by fix ID.
+	 */
+	private function get_fix_definitions(): array {
+		return array(
+			'enable_robots_filter'      => array(
+				'label'       => __( 'Enable Filter', 'carticy-ai-checkout-for-woocommerce' ),
+				'description' => __( 'Add the OpenAI crawler rules to the WordPress robots.txt.', 'carticy-ai-checkout-for-woocommerce' ),
+			),
+			'regenerate_webhook_secret' => array(
+				'label'       => __( 'Generate Webhook Secret', 'carticy-ai-checkout-for-woocommerce' ),
+				'description' => __( 'Create a new secret for signing webhooks.', 'carticy-ai-checkout-for-woocommerce' ),
+			),
+			'refresh_ip_ranges'         => array(
+				'label'       => __( 'Refresh IP Ranges', 'carticy-ai-checkout-for-woocommerce' ),
+				'description' => __( 'Fetch the current OpenAI IP ranges for the allowlist.', 'carticy-ai-checkout-for-woocommerce' ),
+			),
+			'disable_ip_allowlist'      => array(
+				'label'       => __( 'Disable IP Allowlist', 'carticy-ai-checkout-for-woocommerce' ),
+				'description' => __( 'Turn off the IP allowlist. Requests still need a valid API key.', 'carticy-ai-checkout-for-woocommerce' ),
+			),
+		);
+	}
+
 	/**
 	 * Test 1: Session creation with shipping address
 	 *
@@ -1405,41 +1603,272 @@ final class ConformanceTestService {
 	 * @return array Test results with summary.
 	 */
 	public function get_results(): array {
-		$total  = count( $this->test_results );
-		$passed = count( array_filter( $this->test_results, fn( $r ) => $r['passed'] ) );
+		return array(
+			'summary' => $this->summarize( $this->test_results ),
+			'tests'   => $this->test_results,
+		);
+	}
+
+	/**
+	 * Merge a test run into previously saved results
+	 *
+	 * Results are matched on test_id, so a partial rerun only replaces the tests it ran
+	 * and the others keep their earlier result. The suite only counts as passed once
+	 * every test in the list has a result.
+	 *
+	 * @param array $saved_tests Previously saved test results.
+	 * @param array $run_tests   Results of the tests just run.
+	 * @return array Merged results with summary, in test list order.
+	 */
+	public function merge_results( array $saved_tests, array $run_tests ): array {
+		$by_id = array();
+
+		foreach ( array( $saved_tests, $run_tests ) as $tests ) {
+			foreach ( array_values( $tests ) as $index => $test ) {
+				if ( ! is_array( $test ) ) {
+					continue;
+				}
+
+				// Results saved before test IDs were recorded always covered the full suite in order.
+				$test_id = $test['test_id'] ?? 'test_' . ( $index + 1 );
+
+				$test['test_id']   = $test_id;
+				$by_id[ $test_id ] = $test;
+			}
+		}
+
+		$merged = array();
+		foreach ( array_keys( $this->get_test_list() ) as $test_id ) {
+			if ( isset( $by_id[ $test_id ] ) ) {
+				$merged[] = $by_id[ $test_id ];
+			}
+		}
+
+		$summary            = $this->summarize( $merged );
+		$summary['missing'] = count( $this->get_test_list() ) - count( $merged );
+
+		if ( $summary['missing'] > 0 ) {
+			$summary['all_passed']          = false;
+			$summary['all_blocking_passed'] = false;
+		}
+
+		return array(
+			'summary' => $summary,
+			'tests'   => $merged,
+		);
+	}
+
+	/**
+	 * Record a test run in the run history
+	 *
+	 * Each entry stores the merged results after the run, so any two entries can be compared
+	 * test by test, along with the tests the run actually executed.
+	 *
+	 * @param array    $results  Merged results (summary and tests).
+	 * @param string[] $test_ids IDs of the tests executed in this run.
+	 * @return array History entry without test details.
+	 */
+	public function record_run( array $results, array $test_ids ): array {
+		$run = array(
+			'id'             => wp_generate_uuid4(),
+			'timestamp'      => time(),
+			'plugin_version' => CARTICY_AI_CHECKOUT_VERSION,
+			'test_ids'       => array_values( $test_ids ),
+			'summary'        => $results['summary'],
+			'tests'          => $results['tests'],
+		);
+
+		$history = $this->get_history();
+		array_unshift( $history, $run );
+
+		update_option( self::HISTORY_OPTION, array_slice( $history, 0, self::HISTORY_LIMIT ), false );
+
+		return $this->describe_run( $run );
+	}
+
+	/**
+	 * Get run history without test details, newest first
+	 *
+	 * @return array<int, array<string, mixed>> History entries.
+	 */
+	public function get_run_history(): array {
+		return array_map( array( $this, 'describe_run' ), $this->get_history() );
+	}
+
+	/**
+	 * Get a single run with test details
+	 *
+	 * @param string $run_id Run ID.
+	 * @return array|null Run, or null if not in history.
+	 */
+	public function get_run( string $run_id ): ?array {
+		foreach ( $this->get_history() as $run ) {
+			if ( $run['id'] === $run_id ) {
+				return $run;
+			}
+		}
+
+		return null;
+	}
+
+	/**
+	 * Compare two runs test by test
+	 *
+	 * @param array $base   Older run.
+	 * @param array $target Newer run.
+	 * @return array{base: array, target: array, tests: array<int, array<string, mixed>>, counts: array<string, int>} Comparison.
+	 */
+	public function compare_runs( array $base, array $target ): array {
+		$base_tests   = array_column( $base['tests'], null, 'test_id' );
+		$target_tests = array_column( $target['tests'], null, 'test_id' );
+
+		$counts = array(
+			'regressed'      => 0,
+			'fixed'          => 0,
+			'still_failing'  => 0,
+			'still_passing'  => 0,
+			'not_comparable' => 0,
+		);
+		$tests  = array();
+
+		foreach ( $this->get_test_list() as $test_id => $name ) {
+			$before = $base_tests[ $test_id ] ?? null;
+			$after  = $target_tests[ $test_id ] ?? null;
+
+			if ( ! $before || ! $after ) {
+				$status = 'not_comparable';
+			} elseif ( ! empty( $before['passed'] ) && empty( $after['passed'] ) ) {
+				$status = 'regressed';
+			} elseif ( empty( $before['passed'] ) && ! empty( $after['passed'] ) ) {
+				$status = 'fixed';
+			} else {
+				$status = empty( $after['passed'] ) ? 'still_failing' : 'still_passing';
+			}
+
+			++$counts[ $status ];
+
+			$tests[] = array(
+				'test_id' => $test_id,
+				'name'    => $name,
+				'status'  => $status,
+				'base'    => $before,
+				'target'  => $after,
+			);
+		}
+
+		return array(
+			'base'   => $this->describe_run( $base ),
+			'target' => $this->describe_run( $target ),
+			'tests'  => $tests,
+			'counts' => $counts,
+		);
+	}
+
+	/**
+	 * Get stored run history
+	 *
+	 * @return array<int, array<string, mixed>> Runs, newest first.
+	 */
+	private function get_history(): array {
+		$history = get_option( self::HISTORY_OPTION, array() );
+
+		return is_array( $history ) ? $history : array();
+	}
+
+	/**
+	 * Describe a run for listing
+	 *
+	 * @param array $run Run with test details.
+	 * @return array Run without test details, with a formatted date.
+	 */
+	private function describe_run( array $run ): array {
+		unset( $run['tests'] );
+
+		$run['date'] = wp_date( get_option( 'date_format' ) . ' ' . get_option( 'time_format' ), $run['timestamp'] );
+
+		return $run;
+	}
+
+	/**
+	 * Summarize a list of test results
+	 *
+	 * @param array $tests Test results.
+	 * @return array Summary counts.
+	 */
+	private function summarize( array $tests ): array {
+		$total  = count( $tests );
+		$passed = count( array_filter( $tests, fn( $r ) => ! empty( $r['passed'] ) ) );
 		$failed = $total - $passed;
 
-		// Calculate blocking test results.
-		$blocking_tests      = array_filter( $this->test_results, fn( $r ) => $r['blocking'] );
+		// Calculate blocking test results. Results without a blocking flag count as blocking.
+		$blocking_tests      = array_filter( $tests, fn( $r ) => $r['blocking'] ?? true );
 		$blocking_total      = count( $blocking_tests );
-		$blocking_passed     = count( array_filter( $blocking_tests, fn( $r ) => $r['passed'] ) );
+		$blocking_passed     = count( array_filter( $blocking_tests, fn( $r ) => ! empty( $r['passed'] ) ) );
 		$blocking_failed     = $blocking_total - $blocking_passed;
 		$all_blocking_passed = 0 === $blocking_failed;
 
 		return array(
-			'summary' => array(
-				'total'               => $total,
-				'passed'              => $passed,
-				'failed'              => $failed,
-				'pass_rate'           => $total > 0 ? round( ( $passed / $total ) * 100, 2 ) : 0,
-				'all_passed'          => 0 === $failed,
-				'blocking_total'      => $blocking_total,
-				'blocking_passed'     => $blocking_passed,
-				'blocking_failed'     => $blocking_failed,
-				'all_blocking_passed' => $all_blocking_passed,
-				'generated_at'        => current_time( 'mysql' ),
-			),
-			'tests'   => $this->test_results,
+			'total'               => $total,
+			'passed'              => $passed,
+			'failed'              => $failed,
+			'pass_rate'           => $total > 0 ? round( ( $passed / $total ) * 100, 2 ) : 0,
+			'all_passed'          => 0 === $failed,
+			'blocking_total'      => $blocking_total,
+			'blocking_passed'     => $blocking_passed,
+			'blocking_failed'     => $blocking_failed,
+			'all_blocking_passed' => $all_blocking_passed,
+			'generated_at'        => current_time( 'mysql' ),
 		);
 	}
 
 	/**
 	 * Export results as JSON
 	 *
+	 * @param array|null $results Results to export (summary and tests). Defaults to the results of this request.
 	 * @return string JSON string.
 	 */
-	public function export_results_json(): string {
-		return wp_json_encode( $this->get_results(), JSON_PRETTY_PRINT );
+	public function export_results_json( ?array $results = null ): string {
+		return wp_json_encode( $this->build_report( $results ?? $this->get_results() ), JSON_PRETTY_PRINT );
+	}
+
+	/**
+	 * Export results as a self-contained HTML report
+	 *
+	 * The report has inline styles and no external assets, so it can be emailed or
+	 * attached to a ticket and opened offline.
+	 *
+	 * @param array|null $results Results to export (summary and tests). Defaults to the results of this request.
+	 * @return string HTML document.
+	 */
+	public function export_results_html( ?array $results = null ): string {
+		$report = $this->build_report( $results ?? $this->get_results() );
+
+		ob_start();
+		include dirname( dirname( __DIR__ ) ) . '/templates/admin/wizard/conformance-report.php';
+		return (string) ob_get_clean();
+	}
+
+	/**
+	 * Build a conformance report with environment information
+	 *
+	 * @param array $results Results (summary and tests).
+	 * @return array Report with environment, summary and tests.
+	 */
+	private function build_report( array $results ): array {
+		return array(
+			'environment' => array(
+				'site_url'            => home_url(),
+				'plugin_version'      => CARTICY_AI_CHECKOUT_VERSION,
+				'test_mode'           => $this->test_mode->is_test_mode(),
+				'stripe_mode'         => $this->test_mode->get_stripe_mode(),
+				'wordpress_version'   => get_bloginfo( 'version' ),
+				'woocommerce_version' => defined( 'WC_VERSION' ) ? WC_VERSION : '',
+				'php_version'         => PHP_VERSION,
+				'exported_at'         => current_time( 'mysql' ),
+			),
+			'summary'     => $results['summary'] ?? array(),
+			'tests'       => $results['tests'] ?? array(),
+		);
 	}
 
 	/**
@@ -27,6 +27,7 @@ final class ErrorLogService {
 	public const CATEGORY_API        = 'api';
 	public const CATEGORY_WEBHOOK    = 'webhook';
 	public const CATEGORY_VALIDATION = 'validation';
+	public const CATEGORY_SHIPPING   = 'shipping';
 	public const CATEGORY_SYSTEM     = 'system';
 
 	/**
@@ -45,6 +46,22 @@ final class ErrorLogService {
 		$this->logger = $logger;
 	}
 
+	/**
+	 * Get the category labels
+	 *
+	 * @return array<string, string> Labels keyed by category.
+	 */
+	public function get_category_labels(): array {
+		return array(
+			self::CATEGORY_PAYMENT    => __( 'Payment', 'carticy-ai-checkout-for-woocommerce' ),
+			self::CATEGORY_VALIDATION => __( 'Validation', 'carticy-ai-checkout-for-woocommerce' ),
+			self::CATEGORY_SHIPPING   => __( 'Shipping', 'carticy-ai-checkout-for-woocommerce' ),
+			self::CATEGORY_API        => __( 'API', 'carticy-ai-checkout-for-woocommerce' ),
+			self::CATEGORY_WEBHOOK    => __( 'Webhook', 'carticy-ai-checkout-for-woocommerce' ),
+			self::CATEGORY_SYSTEM     => __( 'System', 'carticy-ai-checkout-for-woocommerce' ),
+		);
+	}
+
 	/**
 	 * Log payment error.
 	 *
@@ -245,7 +262,7 @@ final class ErrorLogService {
 
 		$this->logger->log_error(
 			$message,
-			self::CATEGORY_SYSTEM,
+			self::CATEGORY_SHIPPING,
 			$context
 		);
 	}
@@ -286,6 +303,7 @@ final class ErrorLogService {
 			self::CATEGORY_API        => 0,
 			self::CATEGORY_WEBHOOK    => 0,
 			self::CATEGORY_VALIDATION => 0,
+			self::CATEGORY_SHIPPING   => 0,
 			self::CATEGORY_SYSTEM     => 0,
 		);
 
@@ -325,6 +343,9 @@ final class ErrorLogService {
 	/**
 	 * Get recent errors.
 	 *
+	 * Contexts are redacted with the current redaction policy, so rules added
+	 * after an error was logged apply before it is displayed.
+	 *
 	 * @param int         $limit    Number of errors to retrieve.
 	 * @param string|null $category Filter by category.
 	 * @return array Recent error entries.
@@ -351,6 +372,10 @@ final class ErrorLogService {
 					}
 				}
 
+				if ( isset( $entry['context']['context'] ) && is_array( $entry['context']['context'] ) ) {
+					$entry['context']['context'] = $this->logger->sanitize_sensitive_data( $entry['context']['context'] );
+				}
+
 				$errors[] = $entry;
 
 				if ( count( $errors ) >= $limit ) {
@@ -362,6 +387,132 @@ final class ErrorLogService {
 		return $errors;
 	}
 
+	/**
+	 * Get the most frequent reasons checkout sessions failed in a time range.
+	 *
+	 * Only errors logged with a session ID count. Errors are grouped by category
+	 * and error code, or message when there is no code; each reason keeps the
+	 * latest message as its description.
+	 *
+	 * @param int $since Range start (Unix timestamp).
+	 * @param int $until Range end (Unix timestamp).
+	 * @param int $limit Number of reasons to return.
+	 * @return array{categories: array<string, int>, reasons: array<int, array<string, mixed>>, total: int} Counts by category
+	 *         and the top reasons with category, code, message, count and distinct sessions.
+	 */
+	public function get_session_failure_reasons( int $since, int $until, int $limit = 10 ): array {
+		$categories = array(
+			self::CATEGORY_PAYMENT    => 0,
+			self::CATEGORY_VALIDATION => 0,
+			self::CATEGORY_SHIPPING   => 0,
+			self::CATEGORY_API        => 0,
+			self::CATEGORY_WEBHOOK    => 0,
+			self::CATEGORY_SYSTEM     => 0,
+		);
+		$reasons    = array();
+		$total      = 0;
+
+		foreach ( $this->logger->get_log_files( 'carticy-errors' ) as $file ) {
+			// Files are sorted newest first; older ones cannot contain errors in range.
+			if ( filemtime( $file ) < $since ) {
+				break;
+			}
+
+			foreach ( $this->logger->read_entries_since( $file, $since ) as $entry ) {
+				$context    = $entry['context']['context'] ?? array();
+				$session_id = $context['context']['session_id'] ?? '';
+				$time       = strtotime( $entry['timestamp'] );
+
+				if ( '' === $session_id || false === $time || $time < $since || $time > $until ) {
+					continue;
+				}
+
+				$category = $context['category'] ?? self::CATEGORY_SYSTEM;
+				$code     = (string) ( $context['context']['code'] ?? '' );
+				$message  = trim( (string) preg_replace( '/^\[[A-Z_]+\]\s*/', '', $entry['message'] ) );
+				$key      = $category . '|' . ( '' !== $code ? $code : $message );
+
+				if ( ! isset( $reasons[ $key ] ) ) {
+					$reasons[ $key ] = array(
+						'category'  => $category,
+						'code'      => $code,
+						'message'   => $message,
+						'count'     => 0,
+						'sessions'  => array(),
+						'last_seen' => $entry['timestamp'],
+					);
+				}
+
+				++$reasons[ $key ]['count'];
+				$reasons[ $key ]['sessions'][ $session_id ] = true;
+
+				if ( $entry['timestamp'] >= $reasons[ $key ]['last_seen'] ) {
+					$reasons[ $key ]['message']   = $message;
+					$reasons[ $key ]['last_seen'] = $entry['timestamp'];
+				}
+
+				$categories[ $category ] = ( $categories[ $category ] ?? 0 ) + 1;
+				++$total;
+			}
+		}
+
+		usort(
+			$reasons,
+			function ( $a, $b ) {
+				return $b['count'] <=> $a['count'];
+			}
+		);
+
+		$reasons = array_map(
+			function ( $reason ) {
+				$reason['sessions'] = count( $reason['sessions'] );
+				return $reason;
+			},
+			array_slice( $reasons, 0, $limit )
+		);
+
+		return array(
+			'categories' => $categories,
+			'reasons'    => $reasons,
+			'total'      => $total,
+		);
+	}
+
+	/**
+	 * Count errors logged over a recent period
+	 *
+	 * Unlike get_error_statistics(), entries are filtered by their own timestamp
+	 * and the result is not cached, so it can be used for short alerting windows.
+	 *
+	 * @param int    $since    Start of the period (Unix timestamp).
+	 * @param string $category Only errors of this category (optional).
+	 * @return int Number of errors.
+	 */
+	public function count_errors( int $since, string $category = '' ): int {
+		$count = 0;
+
+		foreach ( $this->logger->get_log_files( 'carticy-errors' ) as $file ) {
+			// Files are sorted newest first; older ones cannot contain errors in range.
+			if ( filemtime( $file ) < $since ) {
+				break;
+			}
+
+			foreach ( $this->logger->read_entries_since( $file, $since ) as $entry ) {
+				$time = strtotime( $entry['timestamp'] );
+
+				if ( ! isset( $entry['context']['context']['category'] ) || false === $time || $time < $since ) {
+					continue;
+				}
+
+				if ( '' === $category || $entry['context']['context']['category'] === $category ) {
+					++$count;
+				}
+			}
+		}
+
+		return $count;
+	}
+
 	/**
 	 * Clear error statistics cache.
 	 */
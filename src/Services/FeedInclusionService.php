@@ -0,0 +1,568 @@
+<?php
+/**
+ * Feed Inclusion Service
+ *
+ * Adds products to the feed, or keeps them out of it, by rules.
+ *
+ * @package Carticy\AiCheckout\Services
+ */
+
+namespace Carticy\AiCheckout\Services;
+
+/**
+ * Feed Inclusion Service class
+ *
+ * A rule matches published products by category (including subcategories),
+ * tag, stock status, price range and minimum quality score; conditions left
+ * empty match every product, and a rule matches when all its conditions do.
+ * A product is in the feed when it matches an include rule and no exclude rule.
+ *
+ * Rules write the same enabled flag as the manual toggles, so everything
+ * reading the feed sees one state, and mark the products they manage. Products
+ * toggled by hand keep their manual state until they are handed back to the
+ * rules; products never toggled are managed by the rules.
+ */
+final class FeedInclusionService {
+
+	/**
+	 * Option storing the rules
+	 */
+	public const OPTION_RULES = 'carticy_ai_checkout_feed_inclusion_rules';
+
+	/**
+	 * Product meta marking products whose enabled flag is managed by the rules
+	 */
+	public const META_SOURCE = '_carticy_ai_checkout_enabled_by';
+
+	/**
+	 * Rule adding matching products
+	 */
+	public const ACTION_INCLUDE = 'include';
+
+	/**
+	 * Rule keeping matching products out
+	 */
+	public const ACTION_EXCLUDE = 'exclude';
+
+	/**
+	 * Products listed per preview group
+	 */
+	public const PREVIEW_PRODUCTS = 20;
+
+	/**
+	 * Product meta holding the enabled flag
+	 */
+	private const ENABLED_META_KEY = '_carticy_ai_checkout_enabled';
+
+	/**
+	 * Product meta holding the cached quality score
+	 */
+	private const QUALITY_META_KEY = '_carticy_ai_checkout_quality_score';
+
+	/**
+	 * Value of META_SOURCE on rule-managed products
+	 */
+	private const SOURCE_RULE = 'rule';
+
+	/**
+	 * Rules cache
+	 *
+	 * @var array<int, array<string, mixed>>|null
+	 */
+	private ?array $rules = null;
+
+	/**
+	 * Product IDs changed during the request, re-evaluated once at shutdown
+	 *
+	 * @var array<int, int>
+	 */
+	private array $queue = array();
+
+	/**
+	 * Get the action labels
+	 *
+	 * @return array<string, string> Labels keyed by action.
+	 */
+	public function get_actions(): array {
+		return array(
+			self::ACTION_INCLUDE => __( 'Include', 'carticy-ai-checkout-for-woocommerce' ),
+			self::ACTION_EXCLUDE => __( 'Exclude', 'carticy-ai-checkout-for-woocommerce' ),
+		);
+	}
+
+	/**
+	 * Get the saved rules
+	 *
+	 * @return array<int, array<string, mixed>> Rules (see sanitize_rules()).
+	 */
+	public function get_rules(): array {
+		if ( null === $this->rules ) {
+			$rules       = get_option( self::OPTION_RULES, array() );
+			$this->rules = is_array( $rules ) ? $this->sanitize_rules( $rules ) : array();
+		}
+
+		return $this->rules;
+	}
+
+	/**
+	 * Sanitize rules
+	 *
+	 * Each rule has an id, name, action, enabled flag and conditions: categories
+	 * and tags (term IDs), stock statuses, price_min and price_max (empty string
+	 * for no bound) and min_quality (0 for no minimum).
+	 *
+	 * @param mixed $rules Rules, as a list or keyed by form row.
+	 * @return array<int, array<string, mixed>> Sanitized rules, in order.
+	 */
+	public function sanitize_rules( $rules ): array {
+		if ( ! is_array( $rules ) ) {
+			return array();
+		}
+
+		$stock_statuses = array_keys( wc_get_product_stock_status_options() );
+		$sanitized      = array();
+
+		foreach ( $rules as $rule ) {
+			if ( ! is_array( $rule ) ) {
+				continue;
+			}
+
+			$action    = is_string( $rule['action'] ?? null ) && isset( $this->get_actions()[ $rule['action'] ] ) ? $rule['action'] : self::ACTION_INCLUDE;
+			$id        = sanitize_key( $rule['id'] ?? '' );
+			$price_min = $this->sanitize_price( $rule['price_min'] ?? '' );
+			$price_max = $this->sanitize_price( $rule['price_max'] ?? '' );
+
+			// Swap reversed bounds rather than saving a rule that can never match.
+			if ( '' !== $price_min && '' !== $price_max && (float) $price_min > (float) $price_max ) {
+				list( $price_min, $price_max ) = array( $price_max, $price_min );
+			}
+
+			$sanitized[] = array(
+				'id'             => '' !== $id ? $id : 'rule_' . substr( md5( wp_generate_uuid4() ), 0, 12 ),
+				'name'           => sanitize_text_field( $rule['name'] ?? '' ),
+				'action'         => $action,
+				'enabled'        => ! empty( $rule['enabled'] ),
+				'categories'     => array_values( array_filter( array_map( 'absint', (array) ( $rule['categories'] ?? array() ) ) ) ),
+				'tags'           => array_values( array_filter( array_map( 'absint', (array) ( $rule['tags'] ?? array() ) ) ) ),
+				'stock_statuses' => array_values( array_intersect( $stock_statuses, (array) ( $rule['stock_statuses'] ?? array() ) ) ),
+				'price_min'      => $price_min,
+				'price_max'      => $price_max,
+				'min_quality'    => min( 100, absint( $rule['min_quality'] ?? 0 ) ),
+			);
+		}
+
+		return $sanitized;
+	}
+
+	/**
+	 * Get IDs of the published products a rule matches
+	 *
+	 * @param array<string, mixed> $rule        Sanitized rule.
+	 * @param int[]|null           $product_ids Limit matching to these products, or null for all.
+	 * @return int[] Product IDs in ascending order.
+	 */
+	public function get_matching_ids( array $rule, ?array $product_ids = null ): array {
+		if ( null !== $product_ids && empty( $product_ids ) ) {
+			return array();
+		}
+
+		$args = array(
+			'post_type'      => 'product',
+			'post_status'    => 'publish',
+			'posts_per_page' => -1,
+			'fields'         => 'ids',
+			'orderby'        => 'ID',
+			'order'          => 'ASC',
+			'no_found_rows'  => true,
+		);
+
+		if ( null !== $product_ids ) {
+			$args['post__in'] = $product_ids;
+		}
+
+		$tax_query = array();
+
+		if ( ! empty( $rule['categories'] ) ) {
+			$tax_query[] = array(
+				'taxonomy'         => 'product_cat',
+				'field'            => 'term_id',
+				'terms'            => $rule['categories'],
+				'include_children' => true,
+			);
+		}
+
+		if ( ! empty( $rule['tags'] ) ) {
+			$tax_query[] = array(
+				'taxonomy' => 'product_tag',
+				'field'    => 'term_id',
+				'terms'    => $rule['tags'],
+			);
+		}
+
+		$meta_query = array();
+
+		if ( ! empty( $rule['stock_statuses'] ) ) {
+			$meta_query[] = array(
+				'key'     => '_stock_status',
+				'value'   => $rule['stock_statuses'],
+				'compare' => 'IN',
+			);
+		}
+
+		// One clause for both bounds, so variable products match on a single variation price.
+		if ( '' !== $rule['price_min'] && '' !== $rule['price_max'] ) {
+			$meta_query[] = array(
+				'key'     => '_price',
+				'value'   => array( $rule['price_min'], $rule['price_max'] ),
+				'compare' => 'BETWEEN',
+				'type'    => 'DECIMAL(15,4)',
+			);
+		} elseif ( '' !== $rule['price_min'] || '' !== $rule['price_max'] ) {
+			$meta_query[] = array(
+				'key'     => '_price',
+				'value'   => '' !== $rule['price_min'] ? $rule['price_min'] : $rule['price_max'],
+				'compare' => '' !== $rule['price_min'] ? '>=' : '<=',
+				'type'    => 'DECIMAL(15,4)',
+			);
+		}
+
+		if ( $rule['min_quality'] > 0 ) {
+			$meta_query[] = array(
+				'key'     => self::QUALITY_META_KEY,
+				'value'   => $rule['min_quality'],
+				'compare' => '>=',
+				'type'    => 'NUMERIC',
+			);
+		}
+
+		if ( $tax_query ) {
+			// phpcs:ignore WordPress.DB.SlowDBQuery.slow_db_query_tax_query -- Rule conditions, evaluated on save and on product changes.
+			$args['tax_query'] = $tax_query;
+		}
+
+		if ( $meta_query ) {
+			// phpcs:ignore WordPress.DB.SlowDBQuery.slow_db_query_meta_query -- Rule conditions, evaluated on save and on product changes.
+			$args['meta_query'] = $meta_query;
+		}
+
+		return array_map( 'intval', get_posts( $args ) );
+	}
+
+	/**
+	 * Get IDs of the products rules put in the feed
+	 *
+	 * Disabled rules are ignored. Manual toggles are not taken into account.
+	 *
+	 * @param array<int, array<string, mixed>> $rules       Sanitized rules.
+	 * @param int[]|null                       $product_ids Limit evaluation to these products, or null for all.
+	 * @return int[] Product IDs.
+	 */
+	public function evaluate( array $rules, ?array $product_ids = null ): array {
+		$included = array();
+		$excluded = array();
+
+		foreach ( $rules as $rule ) {
+			if ( ! $rule['enabled'] ) {
+				continue;
+			}
+
+			foreach ( $this->get_matching_ids( $rule, $product_ids ) as $product_id ) {
+				if ( self::ACTION_EXCLUDE === $rule['action'] ) {
+					$excluded[ $product_id ] = true;
+				} else {
+					$included[ $product_id ] = true;
+				}
+			}
+		}
+
+		return array_keys( array_diff_key( $included, $excluded ) );
+	}
+
+	/**
+	 * Apply the saved rules to the rule-managed products
+	 *
+	 * Manually toggled products are left alone. Rule-managed products only get
+	 * a flag written when their state changes.
+	 *
+	 * @param int[]|null $product_ids Products to re-evaluate, or null for all.
+	 * @return array{added: int, removed: int} Number of products added to and removed from the feed.
+	 */
+	public function apply( ?array $product_ids = null ): array {
+		$result = array(
+			'added'   => 0,
+			'removed' => 0,
+		);
+		$states = $this->get_states( $product_ids );
+
+		if ( null === $product_ids ) {
+			$product_ids = $this->get_published_product_ids();
+		}
+
+		$included = array_flip( $this->evaluate( $this->get_rules(), $product_ids ) );
+
+		foreach ( $product_ids as $product_id ) {
+			$state = $states[ $product_id ] ?? array();
+
+			if ( ! $this->is_rule_managed_state( $state ) ) {
+				continue;
+			}
+
+			$enabled = 'yes' === ( $state['enabled'] ?? '' );
+			$include = isset( $included[ $product_id ] );
+
+			if ( $enabled === $include ) {
+				continue;
+			}
+
+			update_post_meta( $product_id, self::ENABLED_META_KEY, $include ? 'yes' : 'no' );
+			update_post_meta( $product_id, self::META_SOURCE, self::SOURCE_RULE );
+
+			++$result[ $include ? 'added' : 'removed' ];
+		}
+
+		return $result;
+	}
+
+	/**
+	 * Preview rules against the catalog without saving them
+	 *
+	 * @param array<int, array<string, mixed>> $rules Sanitized rules.
+	 * @return array<string, mixed> Per rule, in order: match count and first matches. Overall: products the rules put in
+	 *         the feed, rule-managed products that would be added or removed, and the manually toggled product count.
+	 */
+	public function preview( array $rules ): array {
+		$matches = array();
+
+		foreach ( $rules as $rule ) {
+			$ids       = $this->get_matching_ids( $rule );
+			$matches[] = array(
+				'id'       => $rule['id'],
+				'enabled'  => $rule['enabled'],
+				'action'   => $rule['action'],
+				'count'    => count( $ids ),
+				'products' => $this->describe_products( $ids ),
+			);
+		}
+
+		$included = $this->evaluate( $rules );
+		$states   = $this->get_states();
+		$added    = array();
+		$removed  = array();
+		$manual   = 0;
+
+		foreach ( $states as $product_id => $state ) {
+			if ( ! $this->is_rule_managed_state( $state ) ) {
+				++$manual;
+			}
+		}
+
+		$included_lookup = array_flip( $included );
+
+		foreach ( $included as $product_id ) {
+			$state = $states[ $product_id ] ?? array();
+
+			if ( $this->is_rule_managed_state( $state ) && 'yes' !== ( $state['enabled'] ?? '' ) ) {
+				$added[] = $product_id;
+			}
+		}
+
+		foreach ( $states as $product_id => $state ) {
+			if ( $this->is_rule_managed_state( $state ) && 'yes' === ( $state['enabled'] ?? '' ) && ! isset( $included_lookup[ $product_id ] ) ) {
+				$removed[] = $product_id;
+			}
+		}
+
+		return array(
+			'rules'    => $matches,
+			'included' => count( $included ),
+			'added'    => array(
+				'count'    => count( $added ),
+				'products' => $this->describe_products( $added ),
+			),
+			'removed'  => array(
+				'count'    => count( $removed ),
+				'products' => $this->describe_products( $removed ),
+			),
+			'manual'   => $manual,
+		);
+	}
+
+	/**
+	 * Check whether the rules manage a product's enabled flag
+	 *
+	 * @param int $product_id Product ID.
+	 * @return bool True when the product was never toggled by hand or was handed back to the rules.
+	 */
+	public function is_rule_managed( int $product_id ): bool {
+		return $this->is_rule_managed_state(
+			array(
+				'enabled' => get_post_meta( $product_id, self::ENABLED_META_KEY, true ),
+				'source'  => get_post_meta( $product_id, self::META_SOURCE, true ),
+			)
+		);
+	}
+
+	/**
+	 * Hand products back to the rules and re-evaluate them
+	 *
+	 * @param int[] $product_ids Product IDs.
+	 * @return void
+	 */
+	public function release( array $product_ids ): void {
+		foreach ( $product_ids as $product_id ) {
+			delete_post_meta( $product_id, self::ENABLED_META_KEY );
+			delete_post_meta( $product_id, self::META_SOURCE );
+		}
+
+		$this->apply( $product_ids );
+	}
+
+	/**
+	 * Queue a changed product for re-evaluation at the end of the request
+	 *
+	 * Variations are evaluated through their parent product.
+	 *
+	 * @param int $product_id Product or variation ID.
+	 * @return void
+	 */
+	public function queue( int $product_id ): void {
+		if ( 'product_variation' === get_post_type( $product_id ) ) {
+			$product_id = (int) wp_get_post_parent_id( $product_id );
+		}
+
+		if ( $product_id ) {
+			$this->queue[ $product_id ] = $product_id;
+		}
+	}
+
+	/**
+	 * Re-evaluate the queued products
+	 *
+	 * @return array{added: int, removed: int} Number of products added to and removed from the feed.
+	 */
+	public function process_queue(): array {
+		$product_ids = array_values( $this->queue );
+		$this->queue = array();
+
+		if ( empty( $product_ids ) ) {
+			return array(
+				'added'   => 0,
+				'removed' => 0,
+			);
+		}
+
+		return $this->apply( $product_ids );
+	}
+
+	/**
+	 * Clear the rules cache after the option changes
+	 *
+	 * @return void
+	 */
+	public function flush_rules(): void {
+		$this->rules = null;
+	}
+
+	/**
+	 * Check whether a product state is managed by the rules
+	 *
+	 * @param array<string, string> $state Enabled flag and source meta.
+	 * @return bool True when the flag is unset or was written by the rules.
+	 */
+	private function is_rule_managed_state( array $state ): bool {
+		return '' === ( $state['enabled'] ?? '' ) || self::SOURCE_RULE === ( $state['source'] ?? '' );
+	}
+
+	/**
+	 * Get the enabled flag and source of products that have either
+	 *
+	 * @param int[]|null $product_ids Limit to these products, or null for all published products.
+	 * @return array<int, array<string, string>> States keyed by product ID.
+	 */
+	private function get_states( ?array $product_ids = null ): array {
+		global $wpdb;
+
+		if ( null !== $product_ids && empty( $product_ids ) ) {
+			return array();
+		}
+
+		$id_clause = null === $product_ids ? '' : ' AND pm.post_id IN (' . implode( ',', array_map( 'absint', $product_ids ) ) . ')';
+
+		// phpcs:disable WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching, WordPress.DB.PreparedSQL.InterpolatedNotPrepared -- IDs are cast to integers.
+		$rows = $wpdb->get_results(
+			$wpdb->prepare(
+				"SELECT pm.post_id, pm.meta_key, pm.meta_value
+				FROM {$wpdb->postmeta} pm
+				INNER JOIN {$wpdb->posts} p ON pm.post_id = p.ID
+				WHERE pm.meta_key IN (%s, %s)
+				AND p.post_type = 'product'
+				AND p.post_status = 'publish'{$id_clause}",
+				self::ENABLED_META_KEY,
+				self::META_SOURCE
+			)
+		);
+		// phpcs:enable WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching, WordPress.DB.PreparedSQL.InterpolatedNotPrepared
+
+		$states = array();
+
+		foreach ( $rows as $row ) {
+			$states[ (int) $row->post_id ][ self::ENABLED_META_KEY === $row->meta_key ? 'enabled' : 'source' ] = (string) $row->meta_value;
+		}
+
+		return $states;
+	}
+
+	/**
+	 * Get IDs of all published products
+	 *
+	 * @return int[] Product IDs in ascending order.
+	 */
+	private function get_published_product_ids(): array {
+		return array_map(
+			'intval',
+			get_posts(
+				array(
+					'post_type'      => 'product',
+					'posts_per_page' => -1,
+					'post_status'    => 'publish',
+					'fields'         => 'ids',
+					'orderby'        => 'ID',
+					'order'          => 'ASC',
+					'no_found_rows'  => true,
+				)
+			)
+		);
+	}
+
+	/**
+	 * Describe the first products of a list for the preview
+	 *
+	 * @param int[] $product_ids Product IDs.
+	 * @return array<int, array{id: int, title: string, edit_url: string}> Products, at most PREVIEW_PRODUCTS.
+	 */
+	private function describe_products( array $product_ids ): array {
+		$products = array();
+
+		foreach ( array_slice( $product_ids, 0, self::PREVIEW_PRODUCTS ) as $product_id ) {
+			$products[] = array(
+				'id'       => $product_id,
+				'title'    => html_entity_decode( get_the_title( $product_id ), ENT_QUOTES, 'UTF-8' ),
+				'edit_url' => (string) get_edit_post_link( $product_id, 'raw' ),
+			);
+		}
+
+		return $products;
+	}
+
+	/**
+	 * Sanitize a price bound
+	 *
+	 * @param mixed $price Price.
+	 * @return string Decimal price, or an empty string for no bound.
+	 */
+	private function sanitize_price( $price ): string {
+		$price = is_scalar( $price ) ? trim( (string) $price ) : '';
+
+		return '' === $price || ! is_numeric( wc_format_decimal( $price ) ) ? '' : (string) max( 0, (float) wc_format_decimal( $price ) );
+	}
+}
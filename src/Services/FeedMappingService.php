@@ -0,0 +1,365 @@
+<?php
+/**
+ * Feed Mapping Service
+ *
+ * Maps product feed fields to product attributes, meta, taxonomies or static values.
+ *
+ * @package Carticy\AiCheckout\Services
+ */
+
+namespace Carticy\AiCheckout\Services;
+
+use WC_Product;
+
+/**
+ * Feed Mapping Service class
+ *
+ * A rule sets one feed field from a source: a product attribute, a meta key, a
+ * taxonomy or a static value. Rules apply on top of the built-in mapping and
+ * below the per-product overrides of the feed editor; a rule whose source is
+ * empty for a product leaves the built-in value in place. A rule can be limited
+ * to a product category (including its subcategories). For each field, the
+ * first matching category rule with a value wins, then the first rule for all
+ * categories with a value. Variations read attributes and meta from themselves
+ * first, then from their parent; categories and taxonomies always come from
+ * the parent.
+ */
+final class FeedMappingService {
+
+	/**
+	 * Option storing the rules
+	 */
+	public const OPTION_RULES = 'carticy_ai_checkout_feed_mapping_rules';
+
+	/**
+	 * Product attribute (global "pa_*" taxonomy or custom attribute name)
+	 */
+	public const SOURCE_ATTRIBUTE = 'attribute';
+
+	/**
+	 * Product meta key
+	 */
+	public const SOURCE_META = 'meta';
+
+	/**
+	 * Product taxonomy (term names)
+	 */
+	public const SOURCE_TAXONOMY = 'taxonomy';
+
+	/**
+	 * Static value
+	 */
+	public const SOURCE_STATIC = 'static';
+
+	/**
+	 * Separator of multiple values (terms, attribute options, meta arrays)
+	 */
+	private const VALUE_SEPARATOR = ', ';
+
+	/**
+	 * Rules cache
+	 *
+	 * @var array<int, array<string, mixed>>|null
+	 */
+	private ?array $rules = null;
+
+	/**
+	 * Get the feed fields rules can set
+	 *
+	 * @return array<string, string> Labels keyed by feed field.
+	 */
+	public function get_fields(): array {
+		return array(
+			'title'        => __( 'Title', 'carticy-ai-checkout-for-woocommerce' ),
+			'description'  => __( 'Description', 'carticy-ai-checkout-for-woocommerce' ),
+			'brand'        => __( 'Brand', 'carticy-ai-checkout-for-woocommerce' ),
+			'gtin'         => __( 'GTIN', 'carticy-ai-checkout-for-woocommerce' ),
+			'mpn'          => __( 'MPN', 'carticy-ai-checkout-for-woocommerce' ),
+			'condition'    => __( 'Condition', 'carticy-ai-checkout-for-woocommerce' ),
+			'product_type' => __( 'Product type', 'carticy-ai-checkout-for-woocommerce' ),
+			'color'        => __( 'Color', 'carticy-ai-checkout-for-woocommerce' ),
+			'size'         => __( 'Size', 'carticy-ai-checkout-for-woocommerce' ),
+			'material'     => __( 'Material', 'carticy-ai-checkout-for-woocommerce' ),
+			'pattern'      => __( 'Pattern', 'carticy-ai-checkout-for-woocommerce' ),
+			'gender'       => __( 'Gender', 'carticy-ai-checkout-for-woocommerce' ),
+			'age_group'    => __( 'Age group', 'carticy-ai-checkout-for-woocommerce' ),
+		);
+	}
+
+	/**
+	 * Get the source labels
+	 *
+	 * @return array<string, string> Labels keyed by source.
+	 */
+	public function get_sources(): array {
+		return array(
+			self::SOURCE_ATTRIBUTE => __( 'Product attribute', 'carticy-ai-checkout-for-woocommerce' ),
+			self::SOURCE_META      => __( 'Meta key', 'carticy-ai-checkout-for-woocommerce' ),
+			self::SOURCE_TAXONOMY  => __( 'Taxonomy', 'carticy-ai-checkout-for-woocommerce' ),
+			self::SOURCE_STATIC    => __( 'Static value', 'carticy-ai-checkout-for-woocommerce' ),
+		);
+	}
+
+	/**
+	 * Get the saved rules
+	 *
+	 * @return array<int, array<string, mixed>> Rules (see sanitize_rules()).
+	 */
+	public function get_rules(): array {
+		if ( null === $this->rules ) {
+			$rules       = get_option( self::OPTION_RULES, array() );
+			$this->rules = is_array( $rules ) ? $this->sanitize_rules( $rules ) : array();
+		}
+
+		return $this->rules;
+	}
+
+	/**
+	 * Sanitize rules
+	 *
+	 * Each rule has a field, source, key (attribute, meta key or taxonomy), value
+	 * (static source only) and category (product_cat term ID, 0 for all
+	 * categories). Rules with an unknown field or source, or without the key or
+	 * value their source needs, are removed.
+	 *
+	 * @param mixed $rules Rules, as a list or keyed by form row.
+	 * @return array<int, array<string, mixed>> Sanitized rules.
+	 */
+	public function sanitize_rules( $rules ): array {
+		if ( ! is_array( $rules ) ) {
+			return array();
+		}
+
+		$fields    = $this->get_fields();
+		$sources   = $this->get_sources();
+		$sanitized = array();
+
+		foreach ( $rules as $rule ) {
+			$field  = is_array( $rule ) && is_string( $rule['field'] ?? null ) ? $rule['field'] : '';
+			$source = is_array( $rule ) && is_string( $rule['source'] ?? null ) ? $rule['source'] : '';
+
+			if ( ! isset( $fields[ $field ] ) || ! isset( $sources[ $source ] ) ) {
+				continue;
+			}
+
+			$is_static = self::SOURCE_STATIC === $source;
+			$key       = $is_static ? '' : trim( sanitize_text_field( $rule['key'] ?? '' ) );
+			$value     = $is_static ? trim( sanitize_text_field( $rule['value'] ?? '' ) ) : '';
+
+			if ( ( $is_static && '' === $value ) || ( ! $is_static && '' === $key ) ) {
+				continue;
+			}
+
+			$sanitized[] = array(
+				'field'    => $field,
+				'source'   => $source,
+				'key'      => $key,
+				'value'    => $value,
+				'category' => absint( $rule['category'] ?? 0 ),
+			);
+		}
+
+		return $sanitized;
+	}
+
+	/**
+	 * Apply rules to a mapped feed item
+	 *
+	 * @param WC_Product                            $product        Product object.
+	 * @param WC_Product|null                       $parent_product Parent product for variations.
+	 * @param array<string, mixed>                  $mapped         Mapped product array (passed by reference).
+	 * @param array<int, array<string, mixed>>|null $rules          Rules to apply (saved rules when null).
+	 * @return array<string, array<string, mixed>> Applied rules keyed by feed field.
+	 */
+	public function apply_rules( WC_Product $product, ?WC_Product $parent_product, array &$mapped, ?array $rules = null ): array {
+		$rules = $rules ?? $this->get_rules();
+
+		if ( empty( $rules ) ) {
+			return array();
+		}
+
+		$categories = $this->get_category_ids( $parent_product ?? $product );
+		$candidates = array();
+
+		// Category rules are tried before rules for all categories, each in saved order.
+		foreach ( $rules as $rule ) {
+			if ( $rule['category'] && in_array( $rule['category'], $categories, true ) ) {
+				$candidates[ $rule['field'] ][] = $rule;
+			}
+		}
+
+		foreach ( $rules as $rule ) {
+			if ( ! $rule['category'] ) {
+				$candidates[ $rule['field'] ][] = $rule;
+			}
+		}
+
+		$applied = array();
+
+		foreach ( $candidates as $field => $field_rules ) {
+			foreach ( $field_rules as $rule ) {
+				$value = $this->resolve( $rule, $product, $parent_product );
+
+				if ( '' !== $value ) {
+					$mapped[ $field ]  = $value;
+					$applied[ $field ] = $rule;
+					break;
+				}
+			}
+		}
+
+		return $applied;
+	}
+
+	/**
+	 * Describe the source of a rule
+	 *
+	 * @param array<string, mixed> $rule Rule.
+	 * @return string Description, e.g. "Meta key: _gtin".
+	 */
+	public function describe_source( array $rule ): string {
+		$label = $this->get_sources()[ $rule['source'] ] ?? $rule['source'];
+
+		return sprintf(
+			/* translators: 1: source type, 2: attribute, meta key, taxonomy or static value */
+			__( '%1$s: %2$s', 'carticy-ai-checkout-for-woocommerce' ),
+			$label,
+			self::SOURCE_STATIC === $rule['source'] ? $rule['value'] : $rule['key']
+		);
+	}
+
+	/**
+	 * Get the attributes rules can read
+	 *
+	 * @return array<string, string> Labels keyed by attribute name.
+	 */
+	public function get_attribute_choices(): array {
+		$choices = array();
+
+		foreach ( wc_get_attribute_taxonomies() as $attribute ) {
+			$choices[ wc_attribute_taxonomy_name( $attribute->attribute_name ) ] = $attribute->attribute_label;
+		}
+
+		return $choices;
+	}
+
+	/**
+	 * Get the product taxonomies rules can read
+	 *
+	 * Attribute taxonomies are left out; they are listed as attributes.
+	 *
+	 * @return array<string, string> Labels keyed by taxonomy.
+	 */
+	public function get_taxonomy_choices(): array {
+		$choices = array();
+
+		foreach ( get_object_taxonomies( 'product', 'objects' ) as $taxonomy ) {
+			if ( ! taxonomy_is_product_attribute( $taxonomy->name ) ) {
+				$choices[ $taxonomy->name ] = $taxonomy->label;
+			}
+		}
+
+		return $choices;
+	}
+
+	/**
+	 * Get meta keys used by products, as suggestions for meta rules
+	 *
+	 * @param int $limit Maximum number of keys.
+	 * @return string[] Meta keys, sorted.
+	 */
+	public function get_meta_key_suggestions( int $limit = 200 ): array {
+		global $wpdb;
+
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+		$keys = $wpdb->get_col(
+			$wpdb->prepare(
+				"SELECT DISTINCT pm.meta_key FROM {$wpdb->postmeta} pm
+				INNER JOIN {$wpdb->posts} p ON p.ID = pm.post_id
+				WHERE p.post_type IN ( 'product', 'product_variation' )
+				AND pm.meta_key NOT LIKE %s
+				ORDER BY pm.meta_key
+				LIMIT %d",
+				$wpdb->esc_like( '_transient' ) . '%',
+				$limit
+			)
+		);
+
+		return array_map( 'strval', $keys );
+	}
+
+	/**
+	 * Resolve the value of a rule for a product
+	 *
+	 * @param array<string, mixed> $rule           Rule.
+	 * @param WC_Product           $product        Product object.
+	 * @param WC_Product|null      $parent_product Parent product for variations.
+	 * @return string Value, or an empty string when the source has none.
+	 */
+	private function resolve( array $rule, WC_Product $product, ?WC_Product $parent_product ): string {
+		switch ( $rule['source'] ) {
+			case self::SOURCE_STATIC:
+				return $rule['value'];
+
+			case self::SOURCE_ATTRIBUTE:
+				$value = $product->get_attribute( $rule['key'] );
+
+				if ( '' === $value && $parent_product ) {
+					$value = $parent_product->get_attribute( $rule['key'] );
+				}
+
+				// get_attribute() joins multiple options with ", " already.
+				return trim( (string) $value );
+
+			case self::SOURCE_META:
+				$value = $this->meta_to_string( get_post_meta( $product->get_id(), $rule['key'], true ) );
+
+				if ( '' === $value && $parent_product ) {
+					$value = $this->meta_to_string( get_post_meta( $parent_product->get_id(), $rule['key'], true ) );
+				}
+
+				return $value;
+
+			case self::SOURCE_TAXONOMY:
+				if ( ! taxonomy_exists( $rule['key'] ) ) {
+					return '';
+				}
+
+				$names = wc_get_product_terms( ( $parent_product ?? $product )->get_id(), $rule['key'], array( 'fields' => 'names' ) );
+
+				return implode( self::VALUE_SEPARATOR, array_map( 'strval', $names ) );
+		}
+
+		return '';
+	}
+
+	/**
+	 * Convert a meta value to a feed value
+	 *
+	 * @param mixed $value Meta value.
+	 * @return string Scalars as strings, lists of scalars joined; anything else is empty.
+	 */
+	private function meta_to_string( $value ): string {
+		if ( is_array( $value ) ) {
+			$value = implode( self::VALUE_SEPARATOR, array_filter( $value, 'is_scalar' ) );
+		}
+
+		return is_scalar( $value ) ? trim( (string) $value ) : '';
+	}
+
+	/**
+	 * Get the categories of a product with all their ancestors
+	 *
+	 * @param WC_Product $product Product object (the parent for variations).
+	 * @return int[] Category term IDs.
+	 */
+	private function get_category_ids( WC_Product $product ): array {
+		$ids = array_map( 'intval', $product->get_category_ids() );
+
+		foreach ( $ids as $id ) {
+			$ids = array_merge( $ids, array_map( 'intval', get_ancestors( $id, 'product_cat', 'taxonomy' ) ) );
+		}
+
+		return array_values( array_unique( $ids ) );
+	}
+}
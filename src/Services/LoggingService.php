@@ -36,6 +36,13 @@ final class LoggingService {
 	 */
 	private bool $debug_enabled;
 
+	/**
+	 * Redaction policy applied by sanitize_sensitive_data().
+	 *
+	 * @var RedactionPolicyService|null
+	 */
+	private ?RedactionPolicyService $redaction_policy = null;
+
 	/**
 	 * Log contexts for different plugin areas.
 	 */
@@ -45,6 +52,11 @@ final class LoggingService {
 	private const CONTEXT_PERFORMANCE = 'carticy-performance';
 	private const CONTEXT_DEBUG       = 'carticy-debug';
 
+	/**
+	 * Log entry line: timestamp, level and message.
+	 */
+	private const ENTRY_PATTERN = '/^(\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\+\d{2}:\d{2})\s+(\w+)\s+(.+)$/';
+
 	/**
 	 * Constructor.
 	 */
@@ -53,6 +65,16 @@ final class LoggingService {
 		$this->debug_enabled = defined( 'WP_DEBUG' ) && WP_DEBUG;
 	}
 
+	/**
+	 * Set redaction policy service.
+	 *
+	 * @param RedactionPolicyService $service Redaction policy service instance.
+	 * @return void
+	 */
+	public function set_redaction_policy( RedactionPolicyService $service ): void {
+		$this->redaction_policy = $service;
+	}
+
 	/**
 	 * Log API request/response.
 	 *
@@ -62,6 +84,7 @@ final class LoggingService {
 	 * @param array  $response_data Response data.
 	 * @param int    $status_code   HTTP status code.
 	 * @param float  $duration      Request duration in seconds.
+	 * @param array  $details       Additional context, e.g. the request ID.
 	 */
 	public function log_api_request(
 		string $endpoint,
@@ -69,7 +92,8 @@ final class LoggingService {
 		array $request_data,
 		array $response_data,
 		int $status_code,
-		float $duration
+		float $duration,
+		array $details = array()
 	): void {
 		$message = sprintf(
 			'[%s] %s %s - Status: %d - Duration: %.3fs',
@@ -80,12 +104,15 @@ final class LoggingService {
 			$duration
 		);
 
-		$context = array(
-			'endpoint'    => $endpoint,
-			'method'      => $method,
-			'status_code' => $status_code,
-			'duration'    => $duration,
-			'timestamp'   => current_time( 'mysql' ),
+		$context = array_merge(
+			$details,
+			array(
+				'endpoint'    => $endpoint,
+				'method'      => $method,
+				'status_code' => $status_code,
+				'duration'    => $duration,
+				'timestamp'   => current_time( 'mysql' ),
+			)
 		);
 
 		// Add request/response data in debug mode
@@ -245,6 +272,15 @@ final class LoggingService {
 		);
 	}
 
+	/**
+	 * Check whether debug mode is enabled.
+	 *
+	 * @return bool True when WP_DEBUG is on.
+	 */
+	public function is_debug_enabled(): bool {
+		return $this->debug_enabled;
+	}
+
 	/**
 	 * Log debug information.
 	 *
@@ -309,6 +345,61 @@ final class LoggingService {
 	 * @return array Array of log entries.
 	 */
 	public function parse_log_file( string $file_path, int $limit = 100, int $offset = 0 ): array {
+		$entries     = array();
+		$line_number = 0;
+
+		foreach ( $this->read_log_lines( $file_path ) as $line ) {
+			// Check if this is a new log entry (starts with timestamp).
+			if ( ! preg_match( self::ENTRY_PATTERN, $line, $matches ) ) {
+				continue;
+			}
+
+			if ( $line_number >= $offset ) {
+				$entries[] = $this->build_log_entry( $matches );
+
+				if ( count( $entries ) >= $limit ) {
+					break;
+				}
+			}
+
+			++$line_number;
+		}
+
+		return $entries;
+	}
+
+	/**
+	 * Read the entries of a log file logged since a point in time.
+	 *
+	 * Unlike parse_log_file(), which stops after the oldest entries of the file, every
+	 * entry in range is read, so counts over recent periods hold on busy days. Entries
+	 * logged earlier are skipped without decoding their context.
+	 *
+	 * @param string $file_path Path to log file.
+	 * @param int    $since     Start of the period (Unix timestamp).
+	 * @return \Generator<int, array> Log entries, oldest first.
+	 */
+	public function read_entries_since( string $file_path, int $since ): \Generator {
+		foreach ( $this->read_log_lines( $file_path ) as $line ) {
+			if ( ! preg_match( self::ENTRY_PATTERN, $line, $matches ) ) {
+				continue;
+			}
+
+			$time = strtotime( $matches[1] );
+
+			if ( false !== $time && $time >= $since ) {
+				yield $this->build_log_entry( $matches );
+			}
+		}
+	}
+
+	/**
+	 * Read the lines of a log file.
+	 *
+	 * @param string $file_path Path to log file.
+	 * @return string[] Lines, or an empty array when the file cannot be read.
+	 */
+	private function read_log_lines( string $file_path ): array {
 		global $wp_filesystem;
 
 		// Initialize WP_Filesystem.
@@ -330,56 +421,49 @@ final class LoggingService {
 			return array();
 		}
 
-		$lines         = explode( "\n", $contents );
-		$entries       = array();
-		$current_entry = null;
-		$line_number   = 0;
-
-		foreach ( $lines as $line ) {
-			// Check if this is a new log entry (starts with timestamp).
-			if ( preg_match( '/^(\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\+\d{2}:\d{2})\s+(\w+)\s+(.+)$/', $line, $matches ) ) {
-				// Save previous entry if exists.
-				if ( null !== $current_entry && $line_number >= $offset && count( $entries ) < $limit ) {
-					$entries[] = $current_entry;
-				}
+		return explode( "\n", $contents );
+	}
 
-				// Start new entry.
-				$current_entry = array(
-					'timestamp' => $matches[1],
-					'level'     => $matches[2],
-					'message'   => $matches[3],
-					'context'   => null,
-				);
-
-				// Parse JSON context (single-line format - WooCommerce logger).
-				if ( preg_match( '/CONTEXT:\s*(\{.+\})/', $current_entry['message'], $context_matches ) ) {
-					$context_json = json_decode( $context_matches[1], true );
-					if ( null !== $context_json ) {
-						$current_entry['context'] = $context_json;
-						// Clean message by removing CONTEXT JSON.
-						$current_entry['message'] = trim( preg_replace( '/\s*CONTEXT:\s*.+/', '', $current_entry['message'] ) );
-					}
-				}
+	/**
+	 * Build a log entry from a matched entry line.
+	 *
+	 * @param string[] $matches ENTRY_PATTERN matches: timestamp, level and message.
+	 * @return array Log entry.
+	 */
+	private function build_log_entry( array $matches ): array {
+		$entry = array(
+			'timestamp' => $matches[1],
+			'level'     => $matches[2],
+			'message'   => $matches[3],
+			'context'   => null,
+		);
 
-				++$line_number;
+		// Parse JSON context (single-line format - WooCommerce logger).
+		if ( preg_match( '/CONTEXT:\s*(\{.+\})/', $entry['message'], $context_matches ) ) {
+			$context_json = json_decode( $context_matches[1], true );
+			if ( null !== $context_json ) {
+				$entry['context'] = $context_json;
+				// Clean message by removing CONTEXT JSON.
+				$entry['message'] = trim( preg_replace( '/\s*CONTEXT:\s*.+/', '', $entry['message'] ) );
 			}
 		}
 
-		// Add last entry.
-		if ( null !== $current_entry && $line_number >= $offset && count( $entries ) < $limit ) {
-			$entries[] = $current_entry;
-		}
-
-		return $entries;
+		return $entry;
 	}
 
 	/**
 	 * Sanitize sensitive data before logging.
 	 *
+	 * Credentials are always redacted; the configured redaction policy is applied on top.
+	 *
 	 * @param array $data Data to sanitize.
 	 * @return array Sanitized data.
 	 */
-	private function sanitize_sensitive_data( array $data ): array {
+	public function sanitize_sensitive_data( array $data ): array {
+		if ( null !== $this->redaction_policy ) {
+			$data = $this->redaction_policy->apply( $data );
+		}
+
 		$sensitive_keys = array(
 			'password',
 			'api_key',
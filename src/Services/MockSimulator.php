@@ -329,16 +329,19 @@ final class MockSimulator {
 		// Make request.
 		// Increased timeout to 60 seconds for slow Stripe processing and order creation.
 		// Frontend AJAX also has 60-second timeout to match.
-		$response = wp_remote_request(
-			$url,
-			array(
-				'method'  => $method,
-				'headers' => $headers,
-				'body'    => wp_json_encode( $data ),
-				'timeout' => 60,
-			)
+		$args = array(
+			'method'  => $method,
+			'headers' => $headers,
+			'timeout' => 60,
 		);
 
+		// GET requests carry no body.
+		if ( 'GET' !== $method ) {
+			$args['body'] = wp_json_encode( $data );
+		}
+
+		$response = wp_remote_request( $url, $args );
+
 		if ( is_wp_error( $response ) ) {
 			return array(
 				'success' => false,
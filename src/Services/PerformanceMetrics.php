@@ -20,6 +20,11 @@ if ( ! defined( 'ABSPATH' ) ) {
  */
 final class PerformanceMetrics {
 
+	/**
+	 * Plugin REST route prefix
+	 */
+	private const ROUTE_PREFIX = '/carticy-ai-checkout/v1';
+
 	/**
 	 * Logger service instance.
 	 *
@@ -61,6 +66,129 @@ final class PerformanceMetrics {
 		);
 	}
 
+	/**
+	 * Track the performance of a plugin REST request
+	 *
+	 * Called for every REST response; anything outside the plugin namespace is ignored.
+	 * Duration is measured from the start of the HTTP request, memory and queries
+	 * cover the whole request. Endpoints are normalized (see ApiDebugLogger::normalize_endpoint()).
+	 *
+	 * @param \WP_REST_Request $request REST request.
+	 * @return void
+	 */
+	public function track_rest_request( \WP_REST_Request $request ): void {
+		global $wpdb;
+
+		$route = $request->get_route();
+
+		if ( ! str_starts_with( $route, self::ROUTE_PREFIX . '/' ) ) {
+			return;
+		}
+
+		$started_at = isset( $_SERVER['REQUEST_TIME_FLOAT'] ) ? (float) $_SERVER['REQUEST_TIME_FLOAT'] : microtime( true );
+
+		$this->track_api_request(
+			ApiDebugLogger::normalize_endpoint( substr( $route, strlen( self::ROUTE_PREFIX ) ) ),
+			microtime( true ) - $started_at,
+			memory_get_peak_usage(),
+			(int) $wpdb->num_queries
+		);
+	}
+
+	/**
+	 * Get a request duration percentile over a recent period
+	 *
+	 * Unlike get_statistics(), entries are filtered by their own timestamp and the
+	 * result is not cached, so it can be used for short alerting windows.
+	 *
+	 * @param int    $since      Start of the period (Unix timestamp).
+	 * @param float  $percentile Percentile (0-100), nearest-rank.
+	 * @param string $endpoint   Only requests to endpoints ending with this path (optional).
+	 * @return array{requests: int, duration: float|null} Number of requests and the percentile duration in seconds (null without requests).
+	 */
+	public function get_duration_percentile( int $since, float $percentile, string $endpoint = '' ): array {
+		$durations = $this->get_durations( $since, $endpoint );
+
+		return array(
+			'requests' => count( $durations ),
+			'duration' => $this->percentile( $durations, $percentile ),
+		);
+	}
+
+	/**
+	 * Get the request count and latency percentiles over a recent period
+	 *
+	 * Uncached, like get_duration_percentile(), for the live session status view.
+	 *
+	 * @param int $since Start of the period (Unix timestamp).
+	 * @return array{requests: int, p50: float|null, p95: float|null, p99: float|null} Number of requests and duration percentiles in seconds.
+	 */
+	public function get_latency_summary( int $since ): array {
+		$durations = $this->get_durations( $since );
+
+		return array(
+			'requests' => count( $durations ),
+			'p50'      => $this->percentile( $durations, 50 ),
+			'p95'      => $this->percentile( $durations, 95 ),
+			'p99'      => $this->percentile( $durations, 99 ),
+		);
+	}
+
+	/**
+	 * Get the sorted durations of requests logged since a time
+	 *
+	 * @param int    $since    Start of the period (Unix timestamp).
+	 * @param string $endpoint Only requests to endpoints ending with this path (optional).
+	 * @return float[] Durations in seconds, ascending.
+	 */
+	private function get_durations( int $since, string $endpoint = '' ): array {
+		$durations = array();
+
+		foreach ( $this->logger->get_log_files( 'carticy-performance' ) as $file ) {
+			// Files are sorted newest first; older ones cannot contain requests in range.
+			if ( filemtime( $file ) < $since ) {
+				break;
+			}
+
+			foreach ( $this->logger->read_entries_since( $file, $since ) as $entry ) {
+				$context = $entry['context']['context'] ?? array();
+				$logged  = (string) ( $context['metrics']['endpoint'] ?? '' );
+				$time    = strtotime( $entry['timestamp'] );
+
+				if ( '' === $logged || false === $time || $time < $since ) {
+					continue;
+				}
+
+				if ( '' !== $endpoint && ! str_ends_with( $logged, $endpoint ) ) {
+					continue;
+				}
+
+				$durations[] = (float) ( $context['duration'] ?? 0 );
+			}
+		}
+
+		sort( $durations );
+
+		return $durations;
+	}
+
+	/**
+	 * Get a nearest-rank percentile of sorted values
+	 *
+	 * @param float[] $sorted     Values, ascending.
+	 * @param float   $percentile Percentile (0-100).
+	 * @return float|null Percentile value, or null without values.
+	 */
+	private function percentile( array $sorted, float $percentile ): ?float {
+		if ( empty( $sorted ) ) {
+			return null;
+		}
+
+		$rank = (int) ceil( ( max( 0.0, min( 100.0, $percentile ) ) / 100 ) * count( $sorted ) );
+
+		return $sorted[ max( 0, $rank - 1 ) ];
+	}
+
 	/**
 	 * Get performance statistics.
 	 *
@@ -25,41 +25,93 @@ final class ProductFeedService {
 	 */
 	private const CACHE_TTL = 15 * MINUTE_IN_SECONDS;
 
+	/**
+	 * Option holding the last feed served to ChatGPT or regenerated
+	 *
+	 * Kept apart from the cache, which product saves clear and which expires,
+	 * so the feed comparison always has a baseline.
+	 */
+	private const PUBLISHED_FEED_OPTION = 'carticy_ai_checkout_published_feed';
+
+	/**
+	 * Option holding the hash of the published feed
+	 */
+	private const PUBLISHED_HASH_OPTION = 'carticy_ai_checkout_published_feed_hash';
+
+	/**
+	 * Product meta key holding merchant feed field overrides
+	 */
+	private const OVERRIDES_META_KEY = '_carticy_ai_checkout_feed_overrides';
+
+	/**
+	 * Feed mapping service
+	 *
+	 * @var FeedMappingService|null
+	 */
+	private ?FeedMappingService $feed_mapping = null;
+
+	/**
+	 * Set the feed mapping service applying the merchant's field mapping rules
+	 *
+	 * @param FeedMappingService $feed_mapping Feed mapping service instance.
+	 * @return void
+	 */
+	public function set_feed_mapping( FeedMappingService $feed_mapping ): void {
+		$this->feed_mapping = $feed_mapping;
+	}
+
+	/**
+	 * Channel pricing service
+	 *
+	 * @var ChannelPricingService|null
+	 */
+	private ?ChannelPricingService $channel_pricing = null;
+
+	/**
+	 * Set the channel pricing service applying ChatGPT price and stock overrides
+	 *
+	 * @param ChannelPricingService $channel_pricing Channel pricing service instance.
+	 * @return void
+	 */
+	public function set_channel_pricing( ChannelPricingService $channel_pricing ): void {
+		$this->channel_pricing = $channel_pricing;
+	}
+
+	/**
+	 * Number of feed items included in a format preview
+	 */
+	public const PREVIEW_ITEMS = 10;
+
 	/**
 	 * Generate product feed
 	 *
-	 * @param string $format Output format (json, csv, xml, tsv).
+	 * Items are the same whatever the format; use serialize_feed() to turn them
+	 * into a CSV, TSV or XML document.
+	 *
+	 * @param string $format    Cache bucket of the feed (json, csv, xml, tsv).
+	 * @param bool   $use_cache Whether to read and write the feed cache. Pass false to build
+	 *                          a fresh feed without touching the cached one.
 	 * @return array<int, array<string, mixed>> Product feed data.
 	 */
-	public function generate_feed( string $format = 'json' ): array {
+	public function generate_feed( string $format = 'json', bool $use_cache = true ): array {
 		// Check cache first.
 		$cache_key = self::CACHE_PREFIX . $format;
-		$cached    = get_transient( $cache_key );
 
-		if ( false !== $cached ) {
-			return $cached;
+		if ( $use_cache ) {
+			$cached = get_transient( $cache_key );
+
+			if ( false !== $cached ) {
+				return $cached;
+			}
 		}
 
-		// Get enabled product IDs via direct SQL, then load only those products.
-		global $wpdb;
-		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
-		$enabled_ids = $wpdb->get_col(
-			$wpdb->prepare(
-				"SELECT DISTINCT pm.post_id
-				FROM {$wpdb->postmeta} pm
-				INNER JOIN {$wpdb->posts} p ON pm.post_id = p.ID
-				WHERE pm.meta_key = %s
-				AND pm.meta_value = %s
-				AND p.post_type = 'product'
-				AND p.post_status = 'publish'",
-				'_carticy_ai_checkout_enabled',
-				'yes'
-			)
-		);
+		$enabled_ids = $this->get_enabled_product_ids();
 
 		// If no enabled products, return empty feed.
 		if ( empty( $enabled_ids ) ) {
-			set_transient( $cache_key, array(), self::CACHE_TTL );
+			if ( $use_cache ) {
+				set_transient( $cache_key, array(), self::CACHE_TTL );
+			}
 			return array();
 		}
 
@@ -74,41 +126,453 @@ final class ProductFeedService {
 		$feed = array();
 
 		foreach ( $products as $product ) {
-			// Skip products with no price or price <= 0.
-			$price = (float) $product->get_price();
-			if ( $price <= 0 ) {
+			$feed = array_merge( $feed, $this->get_product_feed_items( $product ) );
+		}
+
+		// Cache the feed.
+		if ( $use_cache ) {
+			set_transient( $cache_key, $feed, self::CACHE_TTL );
+		}
+
+		return $feed;
+	}
+
+	/**
+	 * Get the supported feed formats
+	 *
+	 * @return array<string, array{label: string, content_type: string, extension: string}> Formats keyed by format parameter.
+	 */
+	public function get_formats(): array {
+		return array(
+			'json' => array(
+				'label'        => 'JSON',
+				'content_type' => 'application/json',
+				'extension'    => 'json',
+			),
+			'csv'  => array(
+				'label'        => 'CSV',
+				'content_type' => 'text/csv',
+				'extension'    => 'csv',
+			),
+			'tsv'  => array(
+				'label'        => 'TSV',
+				'content_type' => 'text/tab-separated-values',
+				'extension'    => 'tsv',
+			),
+			'xml'  => array(
+				'label'        => 'XML',
+				'content_type' => 'application/xml',
+				'extension'    => 'xml',
+			),
+		);
+	}
+
+	/**
+	 * Serialize feed items in a format
+	 *
+	 * Every format carries the fields produced by map_product(). CSV and TSV
+	 * flatten price and weight objects into _value/_currency/_unit columns and
+	 * join lists with "|"; the columns are the union of all items' fields.
+	 *
+	 * Files meant for spreadsheets get CSV and TSV cells starting with =, +, -
+	 * or @ prefixed with a quote, so spreadsheet apps do not run them as formulas.
+	 * The feed served to OpenAI keeps the raw values.
+	 *
+	 * @param array<int, array<string, mixed>> $feed            Feed items.
+	 * @param string                           $format          One of the get_formats() keys.
+	 * @param bool                             $for_spreadsheet Whether to escape formula cells.
+	 * @return string Feed document.
+	 * @throws \InvalidArgumentException When the format is not supported.
+	 */
+	public function serialize_feed( array $feed, string $format, bool $for_spreadsheet = false ): string {
+		switch ( $format ) {
+			case 'json':
+				return (string) wp_json_encode( $feed, JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE );
+
+			case 'csv':
+				return $this->serialize_delimited( $feed, ',', $for_spreadsheet );
+
+			case 'tsv':
+				return $this->serialize_delimited( $feed, "\t", $for_spreadsheet );
+
+			case 'xml':
+				return $this->serialize_xml( $feed );
+		}
+
+		/* translators: %s: feed format */
+		throw new \InvalidArgumentException( sprintf( __( 'Unsupported feed format: %s', 'carticy-ai-checkout-for-woocommerce' ), $format ) );
+	}
+
+	/**
+	 * Serialize feed items as CSV or TSV
+	 *
+	 * @param array<int, array<string, mixed>> $feed            Feed items.
+	 * @param string                           $delimiter       Field delimiter ("," or tab).
+	 * @param bool                             $escape_formulas Whether to escape formula cells.
+	 * @return string Delimited document with a header row.
+	 */
+	private function serialize_delimited( array $feed, string $delimiter, bool $escape_formulas ): string {
+		if ( empty( $feed ) ) {
+			return '';
+		}
+
+		$rows    = array_map( array( $this, 'flatten_feed_item' ), $feed );
+		$columns = array();
+
+		// Items have different optional fields; collect them in first-seen order.
+		foreach ( $rows as $row ) {
+			foreach ( array_keys( $row ) as $column ) {
+				$columns[ $column ] = true;
+			}
+		}
+
+		$columns = array_keys( $columns );
+		$lines   = array( $this->delimited_line( $columns, $delimiter, $escape_formulas ) );
+
+		foreach ( $rows as $row ) {
+			$values = array();
+
+			foreach ( $columns as $column ) {
+				$values[] = $row[ $column ] ?? '';
+			}
+
+			$lines[] = $this->delimited_line( $values, $delimiter, $escape_formulas );
+		}
+
+		return implode( "\n", $lines ) . "\n";
+	}
+
+	/**
+	 * Build one CSV or TSV line
+	 *
+	 * CSV fields are quoted when needed. TSV has no quoting, so tabs and line
+	 * breaks inside TSV fields are replaced with spaces.
+	 *
+	 * @param array<int, string> $fields          Field values.
+	 * @param string             $delimiter       Field delimiter ("," or tab).
+	 * @param bool               $escape_formulas Whether to prefix fields starting with =, +, - or @ with a quote.
+	 * @return string Line without line break.
+	 */
+	private function delimited_line( array $fields, string $delimiter, bool $escape_formulas ): string {
+		$escaped = array_map(
+			function ( $field ) use ( $delimiter, $escape_formulas ) {
+				if ( $escape_formulas && '' !== $field && false !== strpos( '=+-@', $field[0] ) ) {
+					$field = "'" . $field;
+				}
+
+				if ( "\t" === $delimiter ) {
+					return (string) preg_replace( '/[\t\r\n]+/', ' ', $field );
+				}
+
+				if ( strpbrk( $field, ",\"\r\n" ) !== false ) {
+					return '"' . str_replace( '"', '""', $field ) . '"';
+				}
+
+				return $field;
+			},
+			$fields
+		);
+
+		return implode( $delimiter, $escaped );
+	}
+
+	/**
+	 * Flatten a feed item for CSV/TSV
+	 *
+	 * @param array<string, mixed> $item Feed item.
+	 * @return array<string, string> Flattened item.
+	 */
+	private function flatten_feed_item( array $item ): array {
+		$flattened = array();
+
+		foreach ( $item as $key => $value ) {
+			if ( is_array( $value ) ) {
+				if ( isset( $value['value'] ) && isset( $value['currency'] ) ) {
+					// Price object.
+					$flattened[ $key . '_value' ]    = (string) $value['value'];
+					$flattened[ $key . '_currency' ] = (string) $value['currency'];
+				} elseif ( isset( $value['value'] ) && isset( $value['unit'] ) ) {
+					// Weight object.
+					$flattened[ $key . '_value' ] = (string) $value['value'];
+					$flattened[ $key . '_unit' ]  = (string) $value['unit'];
+				} else {
+					// Array of values (e.g., additional images).
+					$flattened[ $key ] = implode( '|', array_map( 'strval', $value ) );
+				}
+			} elseif ( is_bool( $value ) ) {
+				$flattened[ $key ] = $value ? 'true' : 'false';
+			} else {
+				$flattened[ $key ] = (string) $value;
+			}
+		}
+
+		return $flattened;
+	}
+
+	/**
+	 * Serialize feed items as XML
+	 *
+	 * @param array<int, array<string, mixed>> $feed Feed items.
+	 * @return string XML document with one <product> element per item.
+	 */
+	private function serialize_xml( array $feed ): string {
+		$xml = new \SimpleXMLElement( '<?xml version="1.0" encoding="UTF-8"?><products></products>' );
+
+		foreach ( $feed as $item ) {
+			$this->append_xml( $item, $xml->addChild( 'product' ) );
+		}
+
+		$dom               = dom_import_simplexml( $xml )->ownerDocument;
+		$dom->formatOutput = true; // phpcs:ignore WordPress.NamingConventions.ValidVariableName.UsedPropertyNotSnakeCase -- DOMDocument property.
+
+		return (string) $dom->saveXML();
+	}
+
+	/**
+	 * Append feed data to an XML element
+	 *
+	 * Lists repeat their element, e.g. one <additional_image_link> per image.
+	 *
+	 * @param array<string, mixed> $data    Data to append.
+	 * @param \SimpleXMLElement    $element Element to append to.
+	 * @return void
+	 */
+	private function append_xml( array $data, \SimpleXMLElement $element ): void {
+		foreach ( $data as $key => $value ) {
+			$values = is_array( $value ) && array_keys( $value ) === range( 0, count( $value ) - 1 ) ? $value : array( $value );
+
+			foreach ( $values as $item ) {
+				$child = $element->addChild( $key );
+
+				if ( is_array( $item ) ) {
+					$this->append_xml( $item, $child );
+				} else {
+					// Assigning the text node escapes it, unlike addChild()'s value argument.
+					$child[0] = is_bool( $item ) ? ( $item ? 'true' : 'false' ) : (string) $item;
+				}
+			}
+		}
+	}
+
+	/**
+	 * Get the feed last served to ChatGPT or regenerated
+	 *
+	 * @return array<int, array<string, mixed>>|null Published feed, or null if none was published yet.
+	 */
+	public function get_published_feed(): ?array {
+		$published = get_option( self::PUBLISHED_FEED_OPTION );
+
+		return is_array( $published ) ? $published : null;
+	}
+
+	/**
+	 * Record a feed as published
+	 *
+	 * The snapshot is only rewritten when the feed differs from the last one.
+	 *
+	 * @param array<int, array<string, mixed>> $feed Product feed data.
+	 * @return void
+	 */
+	public function publish_feed( array $feed ): void {
+		$hash = md5( (string) wp_json_encode( $feed ) );
+
+		if ( get_option( self::PUBLISHED_HASH_OPTION ) === $hash ) {
+			return;
+		}
+
+		update_option( self::PUBLISHED_FEED_OPTION, $feed, false );
+		update_option( self::PUBLISHED_HASH_OPTION, $hash );
+	}
+
+	/**
+	 * Compare two feeds item by item
+	 *
+	 * Items are matched on their feed ID (SKU). Only the changes merchandising signs off
+	 * on are reported: added and removed items, price changes and availability flips.
+	 *
+	 * @param array<int, array<string, mixed>> $current Feed currently served.
+	 * @param array<int, array<string, mixed>> $pending Feed that would replace it.
+	 * @return array{summary: array<string, int>, items: array<int, array<string, mixed>>} Diff summary and changed items.
+	 */
+	public function compare_feeds( array $current, array $pending ): array {
+		$current = array_column( $current, null, 'id' );
+		$pending = array_column( $pending, null, 'id' );
+
+		$summary = array(
+			'added'                => 0,
+			'removed'              => 0,
+			'price_changed'        => 0,
+			'availability_changed' => 0,
+			'unchanged'            => 0,
+		);
+		$items   = array();
+
+		foreach ( array_unique( array_merge( array_keys( $current ), array_keys( $pending ) ) ) as $id ) {
+			$before = $current[ $id ] ?? null;
+			$after  = $pending[ $id ] ?? null;
+			$item   = $after ?? $before;
+
+			$diff = array(
+				'id'           => (string) $id,
+				'product_id'   => (int) ( $item['product_id'] ?? 0 ),
+				'title'        => (string) ( $item['title'] ?? '' ),
+				'status'       => 'changed',
+				'price'        => null,
+				'availability' => null,
+			);
+
+			if ( ! $before || ! $after ) {
+				$diff['status']       = $before ? 'removed' : 'added';
+				$diff['price']        = array(
+					'from' => $before ? $this->format_feed_price( $before ) : '',
+					'to'   => $after ? $this->format_feed_price( $after ) : '',
+				);
+				$diff['availability'] = array(
+					'from' => $before['availability'] ?? '',
+					'to'   => $after['availability'] ?? '',
+				);
+				++$summary[ $diff['status'] ];
+				$items[] = $diff;
 				continue;
 			}
 
-			// Variable products: add variations only (not parent).
-			if ( $product->is_type( 'variable' ) && $product instanceof WC_Product_Variable ) {
-				$variations = $product->get_available_variations( 'objects' );
-				foreach ( $variations as $variation ) {
-					$var_price = (float) $variation->get_price();
-					if ( $variation->is_purchasable() && $variation->is_in_stock() && $var_price > 0 ) {
-						$feed[] = $this->map_product( $variation, $product );
-					}
+			$price_before = $before['price'] ?? array();
+			$price_after  = $after['price'] ?? array();
+			if ( (float) ( $price_before['value'] ?? 0 ) !== (float) ( $price_after['value'] ?? 0 )
+				|| ( $price_before['currency'] ?? '' ) !== ( $price_after['currency'] ?? '' ) ) {
+				$diff['price'] = array(
+					'from' => $this->format_feed_price( $before ),
+					'to'   => $this->format_feed_price( $after ),
+				);
+				++$summary['price_changed'];
+			}
+
+			if ( ( $before['availability'] ?? '' ) !== ( $after['availability'] ?? '' ) ) {
+				$diff['availability'] = array(
+					'from' => $before['availability'] ?? '',
+					'to'   => $after['availability'] ?? '',
+				);
+				++$summary['availability_changed'];
+			}
+
+			if ( ! $diff['price'] && ! $diff['availability'] ) {
+				++$summary['unchanged'];
+				continue;
+			}
+
+			$items[] = $diff;
+		}
+
+		return array(
+			'summary' => $summary,
+			'items'   => $items,
+		);
+	}
+
+	/**
+	 * Format a feed item's price for display
+	 *
+	 * @param array<string, mixed> $item Feed item.
+	 * @return string Price with currency code, e.g. "19.99 USD".
+	 */
+	private function format_feed_price( array $item ): string {
+		if ( empty( $item['price'] ) || ! is_array( $item['price'] ) ) {
+			return '';
+		}
+
+		return trim( ( $item['price']['value'] ?? '' ) . ' ' . ( $item['price']['currency'] ?? '' ) );
+	}
+
+	/**
+	 * Get IDs of published products enabled for ChatGPT
+	 *
+	 * @return int[] Product IDs in ascending order.
+	 */
+	public function get_enabled_product_ids(): array {
+		global $wpdb;
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+		$enabled_ids = $wpdb->get_col(
+			$wpdb->prepare(
+				"SELECT DISTINCT pm.post_id
+				FROM {$wpdb->postmeta} pm
+				INNER JOIN {$wpdb->posts} p ON pm.post_id = p.ID
+				WHERE pm.meta_key = %s
+				AND pm.meta_value = %s
+				AND p.post_type = 'product'
+				AND p.post_status = 'publish'
+				ORDER BY pm.post_id ASC",
+				'_carticy_ai_checkout_enabled',
+				'yes'
+			)
+		);
+
+		return array_map( 'intval', $enabled_ids );
+	}
+
+	/**
+	 * Get feed items for a single enabled product
+	 *
+	 * Variable products contribute one item per purchasable, in-stock variation;
+	 * other products contribute themselves. Products without a price contribute nothing.
+	 *
+	 * @param WC_Product $product Product object.
+	 * @return array<int, array<string, mixed>> Feed items.
+	 */
+	public function get_product_feed_items( WC_Product $product ): array {
+		// Skip products with no price or price <= 0.
+		$price = (float) $product->get_price();
+		if ( $price <= 0 ) {
+			return array();
+		}
+
+		$items = array();
+
+		// Variable products: add variations only (not parent).
+		if ( $product->is_type( 'variable' ) && $product instanceof WC_Product_Variable ) {
+			$variations = $product->get_available_variations( 'objects' );
+			foreach ( $variations as $variation ) {
+				$var_price = (float) $variation->get_price();
+				$in_stock  = $this->channel_pricing ? $this->channel_pricing->is_in_stock( $variation ) : $variation->is_in_stock();
+				if ( $variation->is_purchasable() && $in_stock && $var_price > 0 ) {
+					$items[] = $this->map_product( $variation, $product );
 				}
-			} elseif ( $product->is_purchasable() ) {
-				// Simple products: add the product.
-				$feed[] = $this->map_product( $product );
 			}
+		} elseif ( $product->is_purchasable() ) {
+			// Simple products: add the product.
+			$items[] = $this->map_product( $product );
 		}
 
-		// Cache the feed.
-		set_transient( $cache_key, $feed, self::CACHE_TTL );
+		return $items;
+	}
 
-		return $feed;
+	/**
+	 * Store a fully built feed as the cached JSON feed
+	 *
+	 * Used by batched regeneration, which builds the feed across several requests.
+	 * The regenerated feed becomes the published feed.
+	 *
+	 * @param array<int, array<string, mixed>> $feed Product feed data.
+	 * @return void
+	 */
+	public function store_feed( array $feed ): void {
+		$this->invalidate_cache();
+		set_transient( self::CACHE_PREFIX . 'json', $feed, self::CACHE_TTL );
+		$this->publish_feed( $feed );
 	}
 
 	/**
 	 * Map WooCommerce product to OpenAI Product Feed format
 	 *
-	 * @param WC_Product      $product        Product object.
-	 * @param WC_Product|null $parent_product Parent product for variations.
+	 * Field mapping rules apply on top of the built-in mapping, and the merchant's
+	 * per-product overrides on top of both.
+	 *
+	 * @param WC_Product                            $product         Product object.
+	 * @param WC_Product|null                       $parent_product  Parent product for variations.
+	 * @param bool                                  $apply_overrides Whether to apply merchant feed field overrides.
+	 * @param array<int, array<string, mixed>>|null $mapping_rules   Field mapping rules (saved rules when null).
 	 * @return array<string, mixed> Mapped product data.
 	 */
-	private function map_product( WC_Product $product, ?WC_Product $parent_product = null ): array {
+	private function map_product( WC_Product $product, ?WC_Product $parent_product = null, bool $apply_overrides = true, ?array $mapping_rules = null ): array {
 		$product_id   = $product->get_id();
 		$is_variation = $product->is_type( 'variation' );
 
@@ -121,6 +585,12 @@ final class ProductFeedService {
 		// Get price (WooCommerce get_price() returns sale price if active, otherwise regular price).
 		$price = $product->get_price();
 
+		// ChatGPT price overrides replace it, with a channel sale shown as a sale price.
+		$pricing = $this->channel_pricing ? $this->channel_pricing->get_pricing( $product, $parent_product ) : null;
+		if ( $pricing ) {
+			$price = $pricing['price'];
+		}
+
 		// Get currency.
 		$currency = get_woocommerce_currency();
 
@@ -199,6 +669,19 @@ final class ProductFeedService {
 			'condition'             => 'new', // Default to new.
 		);
 
+		if ( $pricing && null !== $pricing['sale_price'] ) {
+			$mapped['sale_price'] = array(
+				'value'    => $pricing['sale_price'],
+				'currency' => $currency,
+			);
+
+			if ( $pricing['sale_to'] ) {
+				$sale_from = $pricing['sale_from'] ? $pricing['sale_from'] : wp_date( 'Y-m-d' );
+
+				$mapped['sale_price_effective_date'] = $sale_from . ' / ' . $pricing['sale_to'];
+			}
+		}
+
 		// Add optional fields if available.
 		if ( ! empty( $categories ) ) {
 			$mapped['product_type'] = implode( ' > ', $categories );
@@ -220,6 +703,11 @@ final class ProductFeedService {
 		// Add SKU in MPN field for compatibility.
 		$mapped['mpn'] = $sku;
 
+		// Add GTIN from WooCommerce's global unique ID field (WC 9.2+).
+		if ( method_exists( $product, 'get_global_unique_id' ) && $product->get_global_unique_id() ) {
+			$mapped['gtin'] = $product->get_global_unique_id();
+		}
+
 		// Add variation attributes if applicable.
 		if ( $is_variation ) {
 			$mapped['item_group_id'] = (string) $product->get_parent_id();
@@ -229,9 +717,273 @@ final class ProductFeedService {
 			$this->map_variant_attributes( $product, $mapped );
 		}
 
+		if ( $this->feed_mapping ) {
+			$this->feed_mapping->apply_rules( $product, $parent_product, $mapped, $mapping_rules );
+		}
+
+		if ( $apply_overrides ) {
+			$this->apply_feed_overrides( $product, $parent_product, $mapped );
+		}
+
 		return $mapped;
 	}
 
+	/**
+	 * Apply merchant feed field overrides to mapped product data
+	 *
+	 * Variations inherit the parent's overrides for product-level fields
+	 * (description, brand, condition...) and may override them again themselves.
+	 *
+	 * @param WC_Product           $product        Product object.
+	 * @param WC_Product|null      $parent_product Parent product for variations.
+	 * @param array<string, mixed> $mapped         Mapped product array (passed by reference).
+	 * @return void
+	 */
+	private function apply_feed_overrides( WC_Product $product, ?WC_Product $parent_product, array &$mapped ): void {
+		$fields    = $this->get_editable_fields();
+		$overrides = array();
+
+		if ( $parent_product ) {
+			foreach ( $this->get_feed_overrides( $parent_product->get_id() ) as $field => $value ) {
+				if ( ! empty( $fields[ $field ]['inherit'] ) ) {
+					$overrides[ $field ] = $value;
+				}
+			}
+		}
+
+		$overrides = array_merge( $overrides, $this->get_feed_overrides( $product->get_id() ) );
+
+		foreach ( $overrides as $field => $value ) {
+			if ( isset( $fields[ $field ] ) && '' !== $value ) {
+				$mapped[ $field ] = $value;
+			}
+		}
+	}
+
+	/**
+	 * Get feed fields that can be overridden from the feed editor
+	 *
+	 * Limits follow the OpenAI Product Feed Spec. Fields flagged with `inherit`
+	 * are product-level and cascade from a variable product to its variations.
+	 *
+	 * @return array<string, array<string, mixed>> Field definitions keyed by feed field.
+	 */
+	public function get_editable_fields(): array {
+		return array(
+			'title'       => array(
+				'label'      => __( 'Title', 'carticy-ai-checkout-for-woocommerce' ),
+				'type'       => 'text',
+				'max_length' => 150,
+				'inherit'    => false,
+			),
+			'description' => array(
+				'label'      => __( 'Description', 'carticy-ai-checkout-for-woocommerce' ),
+				'type'       => 'textarea',
+				'max_length' => 5000,
+				'inherit'    => true,
+			),
+			'brand'       => array(
+				'label'      => __( 'Brand', 'carticy-ai-checkout-for-woocommerce' ),
+				'type'       => 'text',
+				'max_length' => 70,
+				'inherit'    => true,
+			),
+			'gtin'        => array(
+				'label'   => __( 'GTIN', 'carticy-ai-checkout-for-woocommerce' ),
+				'type'    => 'text',
+				'pattern' => '^(\\d{8}|\\d{12,14})$',
+				'help'    => __( 'UPC, EAN or ISBN: 8, 12, 13 or 14 digits.', 'carticy-ai-checkout-for-woocommerce' ),
+				'inherit' => false,
+			),
+			'mpn'         => array(
+				'label'      => __( 'MPN', 'carticy-ai-checkout-for-woocommerce' ),
+				'type'       => 'text',
+				'max_length' => 70,
+				'inherit'    => false,
+			),
+			'condition'   => array(
+				'label'   => __( 'Condition', 'carticy-ai-checkout-for-woocommerce' ),
+				'type'    => 'select',
+				'options' => array( 'new', 'refurbished', 'used' ),
+				'inherit' => true,
+			),
+			'color'       => array(
+				'label'      => __( 'Color', 'carticy-ai-checkout-for-woocommerce' ),
+				'type'       => 'text',
+				'max_length' => 40,
+				'inherit'    => false,
+			),
+			'size'        => array(
+				'label'      => __( 'Size', 'carticy-ai-checkout-for-woocommerce' ),
+				'type'       => 'text',
+				'max_length' => 20,
+				'inherit'    => false,
+			),
+			'material'    => array(
+				'label'      => __( 'Material', 'carticy-ai-checkout-for-woocommerce' ),
+				'type'       => 'text',
+				'max_length' => 100,
+				'inherit'    => true,
+			),
+			'pattern'     => array(
+				'label'      => __( 'Pattern', 'carticy-ai-checkout-for-woocommerce' ),
+				'type'       => 'text',
+				'max_length' => 100,
+				'inherit'    => false,
+			),
+			'gender'      => array(
+				'label'   => __( 'Gender', 'carticy-ai-checkout-for-woocommerce' ),
+				'type'    => 'select',
+				'options' => array( 'male', 'female', 'unisex' ),
+				'inherit' => true,
+			),
+			'age_group'   => array(
+				'label'   => __( 'Age Group', 'carticy-ai-checkout-for-woocommerce' ),
+				'type'    => 'select',
+				'options' => array( 'newborn', 'infant', 'toddler', 'kids', 'adult' ),
+				'inherit' => true,
+			),
+		);
+	}
+
+	/**
+	 * Get saved feed field overrides for a product
+	 *
+	 * @param int $product_id Product or variation ID.
+	 * @return array<string, string> Overrides keyed by feed field.
+	 */
+	public function get_feed_overrides( int $product_id ): array {
+		$overrides = get_post_meta( $product_id, self::OVERRIDES_META_KEY, true );
+
+		return is_array( $overrides ) ? $overrides : array();
+	}
+
+	/**
+	 * Get editor rows for every editable feed field of a product
+	 *
+	 * Each row carries the field definition, the value WooCommerce data maps to
+	 * (`original`) and the value the feed currently publishes (`value`).
+	 *
+	 * @param WC_Product $product Product object.
+	 * @return array<int, array<string, mixed>> Field rows in display order.
+	 */
+	public function get_feed_editor_fields( WC_Product $product ): array {
+		$original  = $this->map_product( $product, null, false );
+		$effective = $this->map_product( $product );
+		$overrides = $this->get_feed_overrides( $product->get_id() );
+		$rows      = array();
+
+		foreach ( $this->get_editable_fields() as $key => $definition ) {
+			unset( $definition['inherit'] );
+
+			$rows[] = array_merge(
+				$definition,
+				array(
+					'key'        => $key,
+					'original'   => isset( $original[ $key ] ) ? (string) $original[ $key ] : '',
+					'value'      => isset( $effective[ $key ] ) ? (string) $effective[ $key ] : '',
+					'overridden' => isset( $overrides[ $key ] ),
+				)
+			);
+		}
+
+		return $rows;
+	}
+
+	/**
+	 * Validate submitted feed field values
+	 *
+	 * Empty values are always valid: they clear the override.
+	 *
+	 * @param array<string, string> $values Submitted values keyed by feed field.
+	 * @return array<string, string> Validation error messages keyed by feed field.
+	 */
+	public function validate_feed_overrides( array $values ): array {
+		$fields = $this->get_editable_fields();
+		$errors = array();
+
+		foreach ( $values as $key => $value ) {
+			if ( ! isset( $fields[ $key ] ) ) {
+				$errors[ $key ] = __( 'This field cannot be edited.', 'carticy-ai-checkout-for-woocommerce' );
+				continue;
+			}
+
+			if ( '' === $value ) {
+				continue;
+			}
+
+			$definition = $fields[ $key ];
+
+			if ( isset( $definition['max_length'] ) && mb_strlen( $value ) > $definition['max_length'] ) {
+				$errors[ $key ] = sprintf(
+					/* translators: %d: maximum number of characters */
+					__( 'Must be %d characters or fewer.', 'carticy-ai-checkout-for-woocommerce' ),
+					$definition['max_length']
+				);
+			} elseif ( isset( $definition['options'] ) && ! in_array( $value, $definition['options'], true ) ) {
+				$errors[ $key ] = sprintf(
+					/* translators: %s: comma-separated list of allowed values */
+					__( 'Must be one of: %s.', 'carticy-ai-checkout-for-woocommerce' ),
+					implode( ', ', $definition['options'] )
+				);
+			} elseif ( isset( $definition['pattern'] ) && ! preg_match( '/' . $definition['pattern'] . '/', $value ) ) {
+				$errors[ $key ] = $definition['help'] ?? __( 'Invalid format.', 'carticy-ai-checkout-for-woocommerce' );
+			}
+		}
+
+		return $errors;
+	}
+
+	/**
+	 * Sanitize a submitted feed field value
+	 *
+	 * @param string $key   Feed field.
+	 * @param string $value Submitted value.
+	 * @return string Sanitized value; line breaks are kept for textarea fields.
+	 */
+	public function sanitize_feed_value( string $key, string $value ): string {
+		$fields = $this->get_editable_fields();
+
+		return isset( $fields[ $key ] ) && 'textarea' === $fields[ $key ]['type']
+			? sanitize_textarea_field( $value )
+			: sanitize_text_field( $value );
+	}
+
+	/**
+	 * Save feed field overrides for a product
+	 *
+	 * Values that are empty or identical to the WooCommerce-derived value
+	 * remove the override instead of storing a copy of it. The derived value is
+	 * compared sanitized too: sanitizing strips the HTML of a description, and
+	 * a stripped copy must not hide later edits to the product itself.
+	 *
+	 * @param WC_Product            $product Product object.
+	 * @param array<string, string> $values  Validated values keyed by feed field.
+	 * @return void
+	 */
+	public function save_feed_overrides( WC_Product $product, array $values ): void {
+		$original  = $this->map_product( $product, null, false );
+		$overrides = $this->get_feed_overrides( $product->get_id() );
+
+		foreach ( $values as $key => $value ) {
+			$original_value = isset( $original[ $key ] ) ? (string) $original[ $key ] : '';
+
+			if ( '' === $value || $value === $original_value || $value === $this->sanitize_feed_value( $key, $original_value ) ) {
+				unset( $overrides[ $key ] );
+			} else {
+				$overrides[ $key ] = $value;
+			}
+		}
+
+		if ( empty( $overrides ) ) {
+			delete_post_meta( $product->get_id(), self::OVERRIDES_META_KEY );
+		} else {
+			update_post_meta( $product->get_id(), self::OVERRIDES_META_KEY, $overrides );
+		}
+
+		$this->invalidate_cache();
+	}
+
 	/**
 	 * Map WooCommerce stock status to OpenAI availability
 	 *
@@ -239,7 +991,9 @@ final class ProductFeedService {
 	 * @return string Availability status.
 	 */
 	private function map_availability( WC_Product $product ): string {
-		if ( ! $product->is_in_stock() ) {
+		$in_stock = $this->channel_pricing ? $this->channel_pricing->is_in_stock( $product ) : $product->is_in_stock();
+
+		if ( ! $in_stock ) {
 			return 'out_of_stock';
 		}
 
@@ -367,6 +1121,51 @@ final class ProductFeedService {
 		return $this->map_product( $product );
 	}
 
+	/**
+	 * Preview field mapping rules on a product
+	 *
+	 * Variable products are previewed through their first variation, as the feed
+	 * lists variations only. Per-product overrides are left out so the effect of
+	 * the rules is visible.
+	 *
+	 * @param WC_Product                       $product Product object.
+	 * @param array<int, array<string, mixed>> $rules   Sanitized field mapping rules.
+	 * @return array{item: array<string, mixed>, changes: array<int, array<string, string>>} Mapped item and the fields
+	 *         the rules changed, with their built-in value, mapped value and source.
+	 */
+	public function preview_mapping( WC_Product $product, array $rules ): array {
+		$parent_product = null;
+
+		if ( $product->is_type( 'variable' ) ) {
+			$variation_ids = $product->get_children();
+			$variation     = $variation_ids ? wc_get_product( $variation_ids[0] ) : null;
+
+			if ( $variation ) {
+				$parent_product = $product;
+				$product        = $variation;
+			}
+		}
+
+		$before  = $this->map_product( $product, $parent_product, false, array() );
+		$after   = $before;
+		$applied = $this->feed_mapping ? $this->feed_mapping->apply_rules( $product, $parent_product, $after, $rules ) : array();
+		$changes = array();
+
+		foreach ( $applied as $field => $rule ) {
+			$changes[] = array(
+				'field'  => $field,
+				'from'   => isset( $before[ $field ] ) && is_scalar( $before[ $field ] ) ? (string) $before[ $field ] : '',
+				'to'     => (string) $after[ $field ],
+				'source' => $this->feed_mapping->describe_source( $rule ),
+			);
+		}
+
+		return array(
+			'item'    => $after,
+			'changes' => $changes,
+		);
+	}
+
 	/**
 	 * Invalidate product feed cache
 	 *
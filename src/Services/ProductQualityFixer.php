@@ -0,0 +1,298 @@
+<?php
+/**
+ * Product Quality Fixer Service
+ *
+ * Describes and applies inline fixes for failed product quality checks,
+ * used by the quality drill-down panel in the product feed manager.
+ *
+ * @package Carticy\AiCheckout
+ */
+
+namespace Carticy\AiCheckout\Services;
+
+/**
+ * Inline fixes for product quality issues
+ */
+final class ProductQualityFixer {
+	/**
+	 * Quality check name => fix type
+	 */
+	private const CHECK_FIXES = array(
+		'has_title'           => 'title',
+		'has_description'     => 'description',
+		'has_price'           => 'price',
+		'has_image'           => 'image',
+		'has_category'        => 'category',
+		'has_brand'           => 'brand',
+		'description_length'  => 'description',
+		'has_multiple_images' => 'gallery',
+	);
+
+	/**
+	 * Minimum description length (matches ProductQualityChecker)
+	 */
+	private const MIN_DESCRIPTION_LENGTH = 50;
+
+	/**
+	 * Product quality checker
+	 *
+	 * @var ProductQualityChecker
+	 */
+	private ProductQualityChecker $quality_checker;
+
+	/**
+	 * Constructor
+	 *
+	 * @param ProductQualityChecker $quality_checker Quality checker instance.
+	 */
+	public function __construct( ProductQualityChecker $quality_checker ) {
+		$this->quality_checker = $quality_checker;
+	}
+
+	/**
+	 * Get failed checks of a product with the fix available for each
+	 *
+	 * @param \WC_Product $product Product object.
+	 * @return array{score: int, issues: array<int, array<string, mixed>>} Fresh score and failed checks.
+	 */
+	public function get_quality_details( \WC_Product $product ): array {
+		$quality = $this->quality_checker->check_product_quality( $product );
+		$issues  = array();
+
+		foreach ( $quality['checks'] as $check => $result ) {
+			if ( $result['passed'] ) {
+				continue;
+			}
+
+			$issues[] = array(
+				'check'   => $check,
+				'message' => $result['message'],
+				'fix'     => $this->describe_fix( $product, $check ),
+			);
+		}
+
+		return array(
+			'score'  => $quality['score'],
+			'issues' => $issues,
+		);
+	}
+
+	/**
+	 * Apply a fix to a product and refresh its cached quality score
+	 *
+	 * @param \WC_Product $product Product object.
+	 * @param string      $fix     Fix type (title, description, price, image, gallery, category, brand).
+	 * @param mixed       $value   Sanitized fix value.
+	 * @return void
+	 * @throws \InvalidArgumentException If the fix type or value is invalid.
+	 */
+	public function apply_fix( \WC_Product $product, string $fix, $value ): void {
+		switch ( $fix ) {
+			case 'title':
+				if ( '' === $value ) {
+					throw new \InvalidArgumentException( esc_html__( 'Title cannot be empty.', 'carticy-ai-checkout-for-woocommerce' ) );
+				}
+				$product->set_name( $value );
+				break;
+
+			case 'description':
+				if ( '' === $value ) {
+					throw new \InvalidArgumentException( esc_html__( 'Description cannot be empty.', 'carticy-ai-checkout-for-woocommerce' ) );
+				}
+				$product->set_description( $value );
+				break;
+
+			case 'price':
+				if ( $product->is_type( 'variable' ) ) {
+					throw new \InvalidArgumentException( esc_html__( 'Variable product prices are set on each variation.', 'carticy-ai-checkout-for-woocommerce' ) );
+				}
+				$price = wc_format_decimal( $value );
+				if ( '' === $price || (float) $price <= 0 ) {
+					throw new \InvalidArgumentException( esc_html__( 'Price must be greater than zero.', 'carticy-ai-checkout-for-woocommerce' ) );
+				}
+				$product->set_regular_price( $price );
+				break;
+
+			case 'image':
+				$attachment_id = absint( $value );
+				if ( ! wp_attachment_is_image( $attachment_id ) ) {
+					throw new \InvalidArgumentException( esc_html__( 'Please select an image.', 'carticy-ai-checkout-for-woocommerce' ) );
+				}
+				$product->set_image_id( $attachment_id );
+				break;
+
+			case 'gallery':
+				$attachment_ids = array_values( array_filter( array_map( 'absint', (array) $value ), 'wp_attachment_is_image' ) );
+				if ( empty( $attachment_ids ) ) {
+					throw new \InvalidArgumentException( esc_html__( 'Please select at least one image.', 'carticy-ai-checkout-for-woocommerce' ) );
+				}
+				$product->set_gallery_image_ids( array_unique( array_merge( $product->get_gallery_image_ids(), $attachment_ids ) ) );
+				break;
+
+			case 'category':
+				$term = get_term( absint( $value ), 'product_cat' );
+				if ( ! $term || is_wp_error( $term ) ) {
+					throw new \InvalidArgumentException( esc_html__( 'Please select a category.', 'carticy-ai-checkout-for-woocommerce' ) );
+				}
+				$product->set_category_ids( array_unique( array_merge( $product->get_category_ids(), array( $term->term_id ) ) ) );
+				break;
+
+			case 'brand':
+				if ( '' === $value ) {
+					throw new \InvalidArgumentException( esc_html__( 'Brand cannot be empty.', 'carticy-ai-checkout-for-woocommerce' ) );
+				}
+				$this->set_brand( $product, $value );
+				break;
+
+			default:
+				throw new \InvalidArgumentException( sprintf( 'Unknown quality fix: %s', esc_html( $fix ) ) );
+		}
+
+		$product->save();
+
+		$this->quality_checker->update_product_quality_cache( $product->get_id() );
+	}
+
+	/**
+	 * Describe the fix for a failed check
+	 *
+	 * @param \WC_Product $product Product object.
+	 * @param string      $check   Quality check name.
+	 * @return array<string, mixed>|null Fix descriptor, or null if it can only be fixed in the product editor.
+	 */
+	private function describe_fix( \WC_Product $product, string $check ): ?array {
+		$type = self::CHECK_FIXES[ $check ] ?? null;
+
+		switch ( $type ) {
+			case 'title':
+				return array(
+					'type'  => 'title',
+					'value' => $product->get_name(),
+				);
+
+			case 'description':
+				return array(
+					'type'       => 'description',
+					'value'      => $product->get_description(),
+					'min_length' => self::MIN_DESCRIPTION_LENGTH,
+				);
+
+			case 'price':
+				// Variable product prices live on the variations.
+				if ( $product->is_type( 'variable' ) ) {
+					return null;
+				}
+				return array(
+					'type'     => 'price',
+					'value'    => $product->get_regular_price(),
+					'currency' => get_woocommerce_currency_symbol(),
+				);
+
+			case 'image':
+			case 'gallery':
+				return array( 'type' => $type );
+
+			case 'category':
+				return array(
+					'type'    => 'category',
+					'options' => $this->get_category_options(),
+				);
+
+			case 'brand':
+				return array(
+					'type'        => 'brand',
+					'suggestions' => $this->get_brand_suggestions(),
+				);
+		}
+
+		return null;
+	}
+
+	/**
+	 * Get product categories as indented select options
+	 *
+	 * @return array<int, array{id: int, name: string}> Category options in hierarchy order.
+	 */
+	private function get_category_options(): array {
+		$terms = get_terms(
+			array(
+				'taxonomy'   => 'product_cat',
+				'hide_empty' => false,
+				'orderby'    => 'name',
+			)
+		);
+
+		if ( is_wp_error( $terms ) ) {
+			return array();
+		}
+
+		$children = array();
+		foreach ( $terms as $term ) {
+			$children[ $term->parent ][] = $term;
+		}
+
+		$options = array();
+		$walk    = function ( int $parent_id, int $depth ) use ( &$walk, &$options, $children ): void {
+			foreach ( $children[ $parent_id ] ?? array() as $term ) {
+				$options[] = array(
+					'id'   => $term->term_id,
+					'name' => str_repeat( '— ', $depth ) . $term->name,
+				);
+				$walk( $term->term_id, $depth + 1 );
+			}
+		};
+		$walk( 0, 0 );
+
+		return $options;
+	}
+
+	/**
+	 * Get existing brand names to suggest
+	 *
+	 * @return string[] Brand names.
+	 */
+	private function get_brand_suggestions(): array {
+		if ( ! taxonomy_exists( 'product_brand' ) ) {
+			return array();
+		}
+
+		$names = get_terms(
+			array(
+				'taxonomy'   => 'product_brand',
+				'hide_empty' => false,
+				'fields'     => 'names',
+			)
+		);
+
+		return is_wp_error( $names ) ? array() : array_values( $names );
+	}
+
+	/**
+	 * Set product brand
+	 *
+	 * Uses the product_brand taxonomy when available (WooCommerce Brands),
+	 * otherwise a custom "Brand" product attribute - both are read by the quality
+	 * checker and the product feed.
+	 *
+	 * @param \WC_Product $product Product object.
+	 * @param string      $brand   Brand name.
+	 * @return void
+	 */
+	private function set_brand( \WC_Product $product, string $brand ): void {
+		if ( taxonomy_exists( 'product_brand' ) ) {
+			wp_set_object_terms( $product->get_id(), $brand, 'product_brand' );
+			return;
+		}
+
+		$attributes = $product->get_attributes();
+
+		$attribute = new \WC_Product_Attribute();
+		$attribute->set_name( 'Brand' );
+		$attribute->set_options( array( $brand ) );
+		$attribute->set_visible( true );
+		$attribute->set_variation( false );
+
+		$attributes['brand'] = $attribute;
+		$product->set_attributes( $attributes );
+	}
+}
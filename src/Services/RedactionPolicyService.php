@@ -0,0 +1,363 @@
+<?php
+/**
+ * Redaction Policy Service
+ *
+ * Masks, hashes or drops configured fields of logged request/response payloads.
+ *
+ * @package Carticy\AiCheckout\Services
+ */
+
+namespace Carticy\AiCheckout\Services;
+
+/**
+ * Redaction Policy Service class
+ *
+ * A rule pairs a field path with an action. Paths are dot-separated keys where
+ * "*" matches any single key or list index. A path is matched against the end
+ * of a field's key path, so "email" matches every email field and
+ * "shipping_address.*" every field of a shipping address; a leading "$."
+ * anchors the path at the payload root. Keys are compared case-insensitively.
+ * The first matching rule wins and the fields below a matched field are not
+ * inspected further.
+ *
+ * @since 1.0.0
+ */
+final class RedactionPolicyService {
+
+	/**
+	 * Option storing the rules
+	 */
+	public const OPTION_RULES = 'carticy_ai_checkout_redaction_rules';
+
+	/**
+	 * Replace the value, keeping the last four characters of long strings
+	 */
+	public const ACTION_MASK = 'mask';
+
+	/**
+	 * Replace the value with a keyed hash, so equal values can still be correlated
+	 */
+	public const ACTION_HASH = 'hash';
+
+	/**
+	 * Remove the field
+	 */
+	public const ACTION_DROP = 'drop';
+
+	/**
+	 * Prefix of masked values
+	 */
+	private const MASK_PREFIX = '***';
+
+	/**
+	 * Prefix of hashed values
+	 */
+	private const HASH_PREFIX = 'sha256:';
+
+	/**
+	 * Rules cache
+	 *
+	 * @var array<int, array{path: string, action: string}>|null
+	 */
+	private ?array $rules = null;
+
+	/**
+	 * Get the available actions
+	 *
+	 * @return array<string, string> Action labels keyed by action.
+	 */
+	public function get_actions(): array {
+		return array(
+			self::ACTION_MASK => __( 'Mask', 'carticy-ai-checkout-for-woocommerce' ),
+			self::ACTION_HASH => __( 'Hash', 'carticy-ai-checkout-for-woocommerce' ),
+			self::ACTION_DROP => __( 'Drop', 'carticy-ai-checkout-for-woocommerce' ),
+		);
+	}
+
+	/**
+	 * Get the default rules
+	 *
+	 * Covers buyer contact details, addresses, shared payment tokens and
+	 * credentials in request headers.
+	 *
+	 * @return array<int, array{path: string, action: string}> Rules.
+	 */
+	public function get_default_rules(): array {
+		return array(
+			array(
+				'path'   => 'email',
+				'action' => self::ACTION_HASH,
+			),
+			array(
+				'path'   => 'phone',
+				'action' => self::ACTION_MASK,
+			),
+			array(
+				'path'   => 'phone_number',
+				'action' => self::ACTION_MASK,
+			),
+			array(
+				'path'   => 'buyer.*',
+				'action' => self::ACTION_MASK,
+			),
+			array(
+				'path'   => 'shipping_address.*',
+				'action' => self::ACTION_MASK,
+			),
+			array(
+				'path'   => 'billing_address.*',
+				'action' => self::ACTION_MASK,
+			),
+			array(
+				'path'   => 'fulfillment_address.*',
+				'action' => self::ACTION_MASK,
+			),
+			array(
+				'path'   => 'shared_payment_token',
+				'action' => self::ACTION_DROP,
+			),
+			array(
+				'path'   => 'payment_data.token',
+				'action' => self::ACTION_DROP,
+			),
+			array(
+				'path'   => 'authorization',
+				'action' => self::ACTION_DROP,
+			),
+		);
+	}
+
+	/**
+	 * Get the configured rules
+	 *
+	 * @return array<int, array{path: string, action: string}> Rules.
+	 */
+	public function get_rules(): array {
+		if ( null === $this->rules ) {
+			$rules       = get_option( self::OPTION_RULES, null );
+			$this->rules = is_array( $rules ) ? $this->sanitize_rules( $rules ) : $this->get_default_rules();
+		}
+
+		return $this->rules;
+	}
+
+	/**
+	 * Save rules
+	 *
+	 * @param array $rules Rules (see sanitize_rules()).
+	 * @return void
+	 */
+	public function save_rules( array $rules ): void {
+		$this->rules = $this->sanitize_rules( $rules );
+		update_option( self::OPTION_RULES, $this->rules );
+	}
+
+	/**
+	 * Sanitize rules
+	 *
+	 * Accepts a list of path/action pairs, or the parallel path and action lists
+	 * posted by the settings form. Rules with an empty path or unknown action and
+	 * duplicate paths are removed.
+	 *
+	 * @param mixed $rules Rules.
+	 * @return array<int, array{path: string, action: string}> Sanitized rules.
+	 */
+	public function sanitize_rules( $rules ): array {
+		if ( ! is_array( $rules ) ) {
+			return array();
+		}
+
+		if ( isset( $rules['path'] ) && is_array( $rules['path'] ) ) {
+			$pairs = array();
+
+			foreach ( $rules['path'] as $index => $path ) {
+				$pairs[] = array(
+					'path'   => $path,
+					'action' => $rules['action'][ $index ] ?? '',
+				);
+			}
+
+			$rules = $pairs;
+		}
+
+		$sanitized = array();
+
+		foreach ( $rules as $rule ) {
+			if ( ! is_array( $rule ) || ! is_string( $rule['path'] ?? null ) ) {
+				continue;
+			}
+
+			$path   = strtolower( (string) preg_replace( '/\s+/', '', sanitize_text_field( $rule['path'] ) ) );
+			$path   = trim( $path, '.' );
+			$action = $rule['action'] ?? '';
+
+			if ( '' === $path || '$' === $path || ! isset( $this->get_actions()[ $action ] ) || isset( $sanitized[ $path ] ) ) {
+				continue;
+			}
+
+			$sanitized[ $path ] = array(
+				'path'   => $path,
+				'action' => $action,
+			);
+		}
+
+		return array_values( $sanitized );
+	}
+
+	/**
+	 * Apply the rules to a payload
+	 *
+	 * Values that are already masked or hashed are left as they are, so a
+	 * payload redacted when it was logged can be redacted again when displayed.
+	 *
+	 * @param mixed                 $data     Payload.
+	 * @param array<string, string> $redacted Receives the actions applied, keyed by JSONPath (e.g. $.buyer.email).
+	 * @return mixed Redacted payload.
+	 */
+	public function apply( $data, array &$redacted = array() ) {
+		$rules = $this->get_rules();
+
+		if ( empty( $rules ) || ! is_array( $data ) ) {
+			return $data;
+		}
+
+		return $this->redact_array( $data, $rules, array(), '$', $redacted );
+	}
+
+	/**
+	 * Redact the fields of an array
+	 *
+	 * @param array                                           $data     Array.
+	 * @param array<int, array{path: string, action: string}> $rules    Rules.
+	 * @param string[]                                        $keys     Lowercase keys leading to the array.
+	 * @param string                                          $path     JSONPath of the array.
+	 * @param array<string, string>                           $redacted Receives the actions applied.
+	 * @return array Redacted array.
+	 */
+	private function redact_array( array $data, array $rules, array $keys, string $path, array &$redacted ): array {
+		$is_list = array_keys( $data ) === range( 0, count( $data ) - 1 );
+		$dropped = false;
+
+		foreach ( $data as $key => $value ) {
+			$child_keys = array_merge( $keys, array( strtolower( (string) $key ) ) );
+			$child_path = $this->child_path( $path, $key, $is_list );
+			$action     = $this->match_action( $child_keys, $rules );
+
+			if ( null === $action ) {
+				if ( is_array( $value ) ) {
+					$data[ $key ] = $this->redact_array( $value, $rules, $child_keys, $child_path, $redacted );
+				}
+				continue;
+			}
+
+			if ( $this->is_redacted_value( $value ) ) {
+				continue;
+			}
+
+			$redacted[ $child_path ] = $action;
+
+			if ( self::ACTION_DROP === $action ) {
+				unset( $data[ $key ] );
+				$dropped = true;
+			} else {
+				$data[ $key ] = self::ACTION_HASH === $action ? $this->hash_value( $value ) : $this->mask_value( $value );
+			}
+		}
+
+		// Keep lists as lists once an element is dropped.
+		return $is_list && $dropped ? array_values( $data ) : $data;
+	}
+
+	/**
+	 * Find the action of the first rule matching a field
+	 *
+	 * @param string[]                                        $keys  Lowercase keys leading to the field.
+	 * @param array<int, array{path: string, action: string}> $rules Rules.
+	 * @return string|null Action, or null if no rule matches.
+	 */
+	private function match_action( array $keys, array $rules ): ?string {
+		foreach ( $rules as $rule ) {
+			$anchored = str_starts_with( $rule['path'], '$.' );
+			$segments = explode( '.', $anchored ? substr( $rule['path'], 2 ) : $rule['path'] );
+
+			if ( count( $segments ) > count( $keys ) || ( $anchored && count( $segments ) !== count( $keys ) ) ) {
+				continue;
+			}
+
+			$tail = array_slice( $keys, -count( $segments ) );
+
+			foreach ( $segments as $index => $segment ) {
+				if ( '*' !== $segment && $segment !== $tail[ $index ] ) {
+					continue 2;
+				}
+			}
+
+			return $rule['action'];
+		}
+
+		return null;
+	}
+
+	/**
+	 * Build the JSONPath of a child field
+	 *
+	 * Uses the notation of the admin JSON viewer, so redacted fields can be marked there.
+	 *
+	 * @param string     $path    Parent path.
+	 * @param int|string $key     Child key or index.
+	 * @param bool       $is_list Whether the parent is a list.
+	 * @return string Child path.
+	 */
+	private function child_path( string $path, $key, bool $is_list ): string {
+		if ( $is_list ) {
+			return $path . '[' . $key . ']';
+		}
+
+		if ( preg_match( '/^[A-Za-z_$][\w$]*$/', (string) $key ) ) {
+			return $path . '.' . $key;
+		}
+
+		return $path . '[' . wp_json_encode( (string) $key ) . ']';
+	}
+
+	/**
+	 * Check whether a value was already masked or hashed
+	 *
+	 * @param mixed $value Value.
+	 * @return bool True for masked and hashed values.
+	 */
+	private function is_redacted_value( $value ): bool {
+		return is_string( $value ) && ( str_starts_with( $value, self::MASK_PREFIX ) || str_starts_with( $value, self::HASH_PREFIX ) );
+	}
+
+	/**
+	 * Mask a value
+	 *
+	 * @param mixed $value Value.
+	 * @return string Masked value.
+	 */
+	private function mask_value( $value ): string {
+		if ( is_array( $value ) ) {
+			$value = implode( ', ', array_filter( array_map( 'strval', array_filter( $value, 'is_scalar' ) ) ) );
+		}
+
+		$value = (string) $value;
+
+		return strlen( $value ) >= 12 ? self::MASK_PREFIX . substr( $value, -4 ) : self::MASK_PREFIX;
+	}
+
+	/**
+	 * Hash a value
+	 *
+	 * Keyed with the site's auth salt, so short values such as emails cannot be
+	 * recovered by hashing guesses.
+	 *
+	 * @param mixed $value Value.
+	 * @return string Hashed value.
+	 */
+	private function hash_value( $value ): string {
+		$value = is_scalar( $value ) ? strtolower( trim( (string) $value ) ) : (string) wp_json_encode( $value );
+
+		return self::HASH_PREFIX . substr( hash_hmac( 'sha256', $value, wp_salt( 'auth' ) ), 0, 16 );
+	}
+}
@@ -21,6 +21,25 @@ final class SessionService {
 	 */
 	private const SESSION_TTL = DAY_IN_SECONDS;
 
+	/**
+	 * Checkout funnel service (optional, set via setter)
+	 *
+	 * @var CheckoutFunnelService|null
+	 */
+	private ?CheckoutFunnelService $funnel = null;
+
+	/**
+	 * Set checkout funnel service
+	 *
+	 * Called by Init, so lifecycle changes are counted for funnel analytics.
+	 *
+	 * @param CheckoutFunnelService $funnel Checkout funnel service instance.
+	 * @return void
+	 */
+	public function set_funnel_service( CheckoutFunnelService $funnel ): void {
+		$this->funnel = $funnel;
+	}
+
 	/**
 	 * Create a new checkout session
 	 *
@@ -38,6 +57,10 @@ final class SessionService {
 		$data['expires_at'] = time() + self::SESSION_TTL;
 		$data['status']     = $data['status'] ?? 'active';
 
+		if ( null !== $this->funnel ) {
+			$data = $this->funnel->start( $data );
+		}
+
 		return set_transient( $session_key, $data, self::SESSION_TTL );
 	}
 
@@ -72,11 +95,45 @@ final class SessionService {
 		$updated               = array_merge( $existing, $data );
 		$updated['updated_at'] = time();
 
+		if ( null !== $this->funnel ) {
+			$updated = $this->track_funnel( $existing['status'] ?? 'active', $updated );
+		}
+
 		$session_key = self::SESSION_PREFIX . $session_id;
 
 		return set_transient( $session_key, $updated, self::SESSION_TTL );
 	}
 
+	/**
+	 * Record the funnel progress of a session update
+	 *
+	 * Updates of an active session that keep it active are buyer updates; status
+	 * changes complete the session or take it out of the funnel.
+	 *
+	 * @param string               $previous_status Status before the update.
+	 * @param array<string, mixed> $session         Updated session data.
+	 * @return array<string, mixed> Session data with the funnel progress.
+	 */
+	private function track_funnel( string $previous_status, array $session ): array {
+		if ( 'active' !== $previous_status ) {
+			return $session;
+		}
+
+		switch ( $session['status'] ?? 'active' ) {
+			case 'active':
+				return $this->funnel->advance( $session, CheckoutFunnelService::STAGE_UPDATED );
+			case 'completed':
+				return $this->funnel->advance( $session, CheckoutFunnelService::STAGE_COMPLETED );
+			case 'failed':
+				$session = $this->funnel->advance( $session, CheckoutFunnelService::STAGE_PAYMENT );
+				return $this->funnel->leave( $session, CheckoutFunnelService::EXIT_FAILED );
+			case 'cancelled':
+				return $this->funnel->leave( $session, CheckoutFunnelService::EXIT_CANCELLED );
+		}
+
+		return $session;
+	}
+
 	/**
 	 * Delete a checkout session
 	 *
@@ -325,6 +382,10 @@ final class SessionService {
 			if ( 'active' === $session_status && ! $order_id && $updated_at < $two_hours_ago ) {
 				if ( $this->delete( $session_id ) ) {
 					++$count;
+
+					if ( null !== $this->funnel ) {
+						$this->funnel->leave( $session_data, CheckoutFunnelService::EXIT_ABANDONED );
+					}
 				}
 			}
 		}
@@ -0,0 +1,297 @@
+<?php
+/**
+ * Session Timeline Service
+ *
+ * Records the checkout session API calls and webhook deliveries of each
+ * session, and stitches them with the order notes into a single timeline.
+ *
+ * @package Carticy\AiCheckout
+ */
+
+namespace Carticy\AiCheckout\Services;
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Per-session timeline of API calls, webhooks and order notes
+ */
+final class SessionTimelineService {
+	/**
+	 * Timeline transient prefix
+	 */
+	private const TIMELINE_PREFIX = 'carticy_ai_checkout_timeline_';
+
+	/**
+	 * Timeline expiration time (7 days - outlives the 24 hour session)
+	 */
+	private const TIMELINE_TTL = 7 * DAY_IN_SECONDS;
+
+	/**
+	 * Maximum events kept per session
+	 */
+	private const MAX_EVENTS = 100;
+
+	/**
+	 * Checkout session REST route pattern (session ID, then complete/cancel action)
+	 */
+	private const ROUTE_PATTERN = '#^/carticy-ai-checkout/v1/checkout_sessions(?:/([a-zA-Z0-9_-]+))?(?:/(complete|cancel))?$#';
+
+	/**
+	 * Logging service (for redacting payloads)
+	 *
+	 * @var LoggingService
+	 */
+	private LoggingService $logging_service;
+
+	/**
+	 * Session service
+	 *
+	 * @var SessionService
+	 */
+	private SessionService $session_service;
+
+	/**
+	 * Authentication service
+	 *
+	 * @var AuthenticationService
+	 */
+	private AuthenticationService $auth_service;
+
+	/**
+	 * Constructor
+	 *
+	 * @param LoggingService        $logging_service Logging service instance.
+	 * @param SessionService        $session_service Session service instance.
+	 * @param AuthenticationService $auth_service    Authentication service instance.
+	 */
+	public function __construct( LoggingService $logging_service, SessionService $session_service, AuthenticationService $auth_service ) {
+		$this->logging_service = $logging_service;
+		$this->session_service = $session_service;
+		$this->auth_service    = $auth_service;
+	}
+
+	/**
+	 * Record a checkout session REST response
+	 *
+	 * Called for every REST response; anything outside the checkout session routes is ignored,
+	 * as are calls that failed authentication and calls for sessions that neither exist nor
+	 * have a timeline, so unauthenticated clients cannot create timelines.
+	 *
+	 * @param \WP_HTTP_Response $response REST response.
+	 * @param \WP_REST_Request  $request  REST request.
+	 * @return void
+	 */
+	public function record_rest_response( \WP_HTTP_Response $response, \WP_REST_Request $request ): void {
+		if ( ! preg_match( self::ROUTE_PATTERN, $request->get_route(), $matches ) || ! $this->auth_service->is_authenticated( $request ) ) {
+			return;
+		}
+
+		$data       = $response->get_data();
+		$session_id = $matches[1] ?? '';
+		$action     = $matches[2] ?? '';
+
+		if ( '' === $session_id ) {
+			// Session ID of a new session is only known from the response.
+			$session_id = is_array( $data ) && isset( $data['id'] ) ? (string) $data['id'] : '';
+			$action     = 'create';
+		} elseif ( '' === $action ) {
+			$action = 'GET' === $request->get_method() ? 'retrieve' : 'update';
+		}
+
+		if ( '' === $session_id ) {
+			return;
+		}
+
+		// Cancelling deletes the session before responding; its existing timeline still takes the event.
+		if ( ! $this->session_service->exists( $session_id ) && empty( $this->get_events( $session_id ) ) ) {
+			return;
+		}
+
+		$status_code = $response->get_status();
+
+		$this->add_event(
+			$session_id,
+			array(
+				'type'        => 'api',
+				'action'      => $action,
+				'method'      => $request->get_method(),
+				'route'       => $request->get_route(),
+				'status_code' => $status_code,
+				'success'     => $status_code < 400,
+				'order_id'    => is_array( $data ) && isset( $data['order_id'] ) ? absint( $data['order_id'] ) : 0,
+				'request'     => $this->redact( $request->get_json_params() ),
+				'response'    => $this->redact( $data ),
+			)
+		);
+	}
+
+	/**
+	 * Record a webhook delivery attempt
+	 *
+	 * @param string $event_type    Webhook event type.
+	 * @param string $url           Webhook URL.
+	 * @param array  $payload       Webhook payload (or order data when it was never built).
+	 * @param int    $status_code   HTTP status code.
+	 * @param int    $attempt       Attempt number.
+	 * @param bool   $success       Whether the delivery succeeded.
+	 * @param string $error_message Error message of a failed attempt.
+	 * @return void
+	 */
+	public function record_webhook( string $event_type, string $url, array $payload, int $status_code, int $attempt, bool $success, string $error_message = '' ): void {
+		$session_id = $payload['data']['checkout_session_id'] ?? ( $payload['session_id'] ?? '' );
+
+		if ( ! is_string( $session_id ) || '' === $session_id ) {
+			return;
+		}
+
+		$this->add_event(
+			$session_id,
+			array(
+				'type'        => 'webhook',
+				'event_type'  => $event_type,
+				'url'         => $url,
+				'status_code' => $status_code,
+				'attempt'     => $attempt,
+				'success'     => $success,
+				'error'       => $error_message,
+				'payload'     => $this->redact( $payload ),
+			)
+		);
+	}
+
+	/**
+	 * Get the chronological timeline of a session
+	 *
+	 * @param string $session_id Session ID.
+	 * @return array{events: array<int, array<string, mixed>>, order_id: int} Timeline events (oldest first) and related order ID.
+	 */
+	public function get_timeline( string $session_id ): array {
+		$events   = $this->get_events( $session_id );
+		$order_id = $this->find_order_id( $session_id, $events );
+
+		// Redact again, so events recorded before a redaction rule was added are covered too.
+		foreach ( $events as &$event ) {
+			foreach ( array( 'request', 'response', 'payload' ) as $field ) {
+				if ( isset( $event[ $field ] ) ) {
+					$event[ $field ] = $this->redact( $event[ $field ] );
+				}
+			}
+		}
+		unset( $event );
+
+		if ( $order_id ) {
+			$events = array_merge( $events, $this->get_order_note_events( $order_id ) );
+		}
+
+		// Sorting is stable, so events of the same second keep their recording order.
+		usort(
+			$events,
+			function ( $a, $b ) {
+				return $a['timestamp'] <=> $b['timestamp'];
+			}
+		);
+
+		return array(
+			'events'   => $events,
+			'order_id' => $order_id,
+		);
+	}
+
+	/**
+	 * Get recorded events of a session
+	 *
+	 * @param string $session_id Session ID.
+	 * @return array<int, array<string, mixed>> Recorded events.
+	 */
+	private function get_events( string $session_id ): array {
+		$events = get_transient( self::TIMELINE_PREFIX . $session_id );
+
+		return is_array( $events ) ? $events : array();
+	}
+
+	/**
+	 * Append an event to a session timeline
+	 *
+	 * @param string $session_id Session ID.
+	 * @param array  $event      Event data.
+	 * @return void
+	 */
+	private function add_event( string $session_id, array $event ): void {
+		$events   = $this->get_events( $session_id );
+		$events[] = array_merge( array( 'timestamp' => time() ), $event );
+
+		// Keep only the most recent events.
+		if ( count( $events ) > self::MAX_EVENTS ) {
+			$events = array_slice( $events, -self::MAX_EVENTS );
+		}
+
+		set_transient( self::TIMELINE_PREFIX . $session_id, $events, self::TIMELINE_TTL );
+	}
+
+	/**
+	 * Find the order created from a session
+	 *
+	 * @param string $session_id Session ID.
+	 * @param array  $events     Recorded events.
+	 * @return int Order ID or 0 if no order was created.
+	 */
+	private function find_order_id( string $session_id, array $events ): int {
+		$session = $this->session_service->get( $session_id );
+		if ( ! empty( $session['order_id'] ) ) {
+			return absint( $session['order_id'] );
+		}
+
+		foreach ( array_reverse( $events ) as $event ) {
+			if ( ! empty( $event['order_id'] ) ) {
+				return absint( $event['order_id'] );
+			}
+		}
+
+		// Session and timeline may both have expired - fall back to the order meta.
+		$orders = wc_get_orders(
+			array(
+				'limit'      => 1,
+				'return'     => 'ids',
+				'meta_key'   => '_chatgpt_session_id', // phpcs:ignore WordPress.DB.SlowDBQuery.slow_db_query_meta_key
+				'meta_value' => $session_id, // phpcs:ignore WordPress.DB.SlowDBQuery.slow_db_query_meta_value
+			)
+		);
+
+		return ! empty( $orders ) ? absint( $orders[0] ) : 0;
+	}
+
+	/**
+	 * Get order notes as timeline events
+	 *
+	 * @param int $order_id Order ID.
+	 * @return array<int, array<string, mixed>> Order note events.
+	 */
+	private function get_order_note_events( int $order_id ): array {
+		$events = array();
+
+		foreach ( wc_get_order_notes( array( 'order_id' => $order_id ) ) as $note ) {
+			$events[] = array(
+				'timestamp'     => $note->date_created ? $note->date_created->getTimestamp() : 0,
+				'type'          => 'order',
+				'order_id'      => $order_id,
+				'content'       => wp_strip_all_tags( $note->content ),
+				'added_by'      => $note->added_by,
+				'customer_note' => (bool) $note->customer_note,
+			);
+		}
+
+		return $events;
+	}
+
+	/**
+	 * Redact sensitive values of a payload
+	 *
+	 * @param mixed $data Payload.
+	 * @return mixed Redacted payload.
+	 */
+	private function redact( $data ) {
+		return is_array( $data ) ? $this->logging_service->sanitize_sensitive_data( $data ) : $data;
+	}
+}
@@ -99,7 +99,24 @@ final class StripePaymentAdapter implements PaymentProcessorAdapter {
 					);
 				}
 
-				$order->add_product( $product, $item['quantity'] );
+				// Charge the session's price, which carries any ChatGPT price override. Lines
+				// exclude tax like the session subtotal, so the order's tax matches the session's.
+				$args = array();
+				if ( isset( $item['price'] ) ) {
+					$line_total = wc_get_price_excluding_tax(
+						$product,
+						array(
+							'qty'   => $item['quantity'],
+							'price' => $item['price'],
+						)
+					);
+					$args       = array(
+						'subtotal' => $line_total,
+						'total'    => $line_total,
+					);
+				}
+
+				$order->add_product( $product, $item['quantity'], $args );
 			}
 
 			// Set billing address.
@@ -27,13 +27,22 @@ final class WebhookLogger {
 	 */
 	private LoggingService $logger;
 
+	/**
+	 * Session timeline service instance.
+	 *
+	 * @var SessionTimelineService
+	 */
+	private SessionTimelineService $session_timeline;
+
 	/**
 	 * Constructor.
 	 *
-	 * @param LoggingService $logger Logger service instance.
+	 * @param LoggingService         $logger           Logger service instance.
+	 * @param SessionTimelineService $session_timeline Session timeline service instance.
 	 */
-	public function __construct( LoggingService $logger ) {
-		$this->logger = $logger;
+	public function __construct( LoggingService $logger, SessionTimelineService $session_timeline ) {
+		$this->logger           = $logger;
+		$this->session_timeline = $session_timeline;
 	}
 
 	/**
@@ -65,6 +74,8 @@ final class WebhookLogger {
 			true
 		);
 
+		$this->session_timeline->record_webhook( $event_type, $url, $payload, $status_code, $attempt, true );
+
 		// Track successful delivery in transient
 		$this->increment_success_count( $event_type );
 	}
@@ -77,9 +88,8 @@ final class WebhookLogger {
 	 * @param array  $payload       Webhook payload.
 	 * @param int    $status_code   HTTP status code.
 	 * @param int    $attempt       Attempt number.
-	 * @param string $error_message Error message (unused, kept for API compatibility).
-	 *
-	 * @phpcs:ignore Generic.CodeAnalysis.UnusedFunctionParameter.FoundAfterLastUsed -- Kept for API compatibility.
+	 * @param string $error_message Error message.
+	 * @param bool   $queue_retry   Whether to add the webhook to the retry queue.
 	 */
 	public function log_failure(
 		string $event_type,
@@ -87,7 +97,8 @@ final class WebhookLogger {
 		array $payload,
 		int $status_code,
 		int $attempt,
-		string $error_message
+		string $error_message,
+		bool $queue_retry = true
 	): void {
 		$this->logger->log_webhook(
 			$event_type,
@@ -98,11 +109,13 @@ final class WebhookLogger {
 			false
 		);
 
+		$this->session_timeline->record_webhook( $event_type, $url, $payload, $status_code, $attempt, false, $error_message );
+
 		// Track failed delivery in transient
 		$this->increment_failure_count( $event_type );
 
 		// Store failed webhook for retry queue
-		if ( $attempt < 3 ) {
+		if ( $queue_retry && $attempt < 3 ) {
 			$this->queue_for_retry( $event_type, $url, $payload, $attempt );
 		}
 	}
@@ -199,6 +212,46 @@ final class WebhookLogger {
 		return $stats;
 	}
 
+	/**
+	 * Count webhook delivery attempts over a recent period
+	 *
+	 * Unlike get_statistics(), entries are filtered by their own timestamp and the
+	 * result is not cached, so it can be used for short alerting windows. Every
+	 * attempt counts, retries included.
+	 *
+	 * @param int $since Start of the period (Unix timestamp).
+	 * @return array{sent: int, failed: int} Delivery attempts and failed attempts.
+	 */
+	public function count_deliveries( int $since ): array {
+		$counts = array(
+			'sent'   => 0,
+			'failed' => 0,
+		);
+
+		foreach ( $this->logger->get_log_files( 'carticy-webhooks' ) as $file ) {
+			// Files are sorted newest first; older ones cannot contain deliveries in range.
+			if ( filemtime( $file ) < $since ) {
+				break;
+			}
+
+			foreach ( $this->logger->read_entries_since( $file, $since ) as $entry ) {
+				$time = strtotime( $entry['timestamp'] );
+
+				if ( ! isset( $entry['context']['context'] ) || false === $time || $time < $since ) {
+					continue;
+				}
+
+				++$counts['sent'];
+
+				if ( empty( $entry['context']['context']['success'] ) ) {
+					++$counts['failed'];
+				}
+			}
+		}
+
+		return $counts;
+	}
+
 	/**
 	 * Get recent webhook deliveries.
 	 *
@@ -249,6 +302,7 @@ final class WebhookLogger {
 					'success'     => $context['success'] ?? false,
 					'level'       => $entry['level'],
 					'message'     => $entry['message'],
+					'payload'     => $context['payload'] ?? null,
 				);
 
 				if ( count( $webhooks ) >= $limit ) {
@@ -310,6 +364,33 @@ final class WebhookLogger {
 		}
 	}
 
+	/**
+	 * Update retry queue entries.
+	 *
+	 * @param array<int, array|null> $updates Queue index => fields to merge into the entry, or null to remove it.
+	 */
+	public function update_retry_queue( array $updates ): void {
+		if ( empty( $updates ) ) {
+			return;
+		}
+
+		$queue = $this->get_retry_queue();
+
+		foreach ( $updates as $index => $fields ) {
+			if ( ! isset( $queue[ $index ] ) ) {
+				continue;
+			}
+
+			if ( null === $fields ) {
+				unset( $queue[ $index ] );
+			} else {
+				$queue[ $index ] = array_merge( $queue[ $index ], $fields );
+			}
+		}
+
+		update_option( 'carticy_ai_checkout_webhook_retry_queue', array_values( $queue ) );
+	}
+
 	/**
 	 * Clear retry queue.
 	 */
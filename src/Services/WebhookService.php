@@ -36,13 +36,22 @@ final class WebhookService {
 	 */
 	private WebhookLogger $webhook_logger;
 
+	/**
+	 * API key service (webhook secret history)
+	 *
+	 * @var ApiKeyService
+	 */
+	private ApiKeyService $api_key_service;
+
 	/**
 	 * Constructor
 	 *
-	 * @param WebhookLogger $webhook_logger Webhook logger instance.
+	 * @param WebhookLogger $webhook_logger  Webhook logger instance.
+	 * @param ApiKeyService $api_key_service API key service instance.
 	 */
-	public function __construct( WebhookLogger $webhook_logger ) {
-		$this->webhook_logger = $webhook_logger;
+	public function __construct( WebhookLogger $webhook_logger, ApiKeyService $api_key_service ) {
+		$this->webhook_logger  = $webhook_logger;
+		$this->api_key_service = $api_key_service;
 	}
 
 	/**
@@ -88,12 +97,7 @@ final class WebhookService {
 		$this->mark_webhook_attempting( $order_id, $event_type, $status );
 
 		// Get webhook configuration (check test mode for correct URL).
-		$is_test_mode = get_option( 'carticy_ai_checkout_test_mode', false );
-		if ( $is_test_mode ) {
-			$webhook_url = get_option( 'carticy_ai_checkout_test_webhook_url', '' );
-		} else {
-			$webhook_url = get_option( 'carticy_ai_checkout_webhook_url', '' );
-		}
+		$webhook_url    = $this->get_webhook_url();
 		$webhook_secret = get_option( 'carticy_ai_checkout_webhook_secret', '' );
 
 		// Webhook not configured - mark as failed with reason.
@@ -116,7 +120,7 @@ final class WebhookService {
 		$payload = $this->build_payload( $event_type, $order_data );
 
 		// Generate HMAC signature.
-		$signature = $this->generate_signature( $payload, $webhook_secret );
+		$signature = $this->sign_payload( $payload, $webhook_secret );
 
 		// Send webhook with retry logic.
 		$result = $this->send_with_retry( $webhook_url, $payload, $signature );
@@ -180,6 +184,28 @@ final class WebhookService {
 		return hash_hmac( 'sha256', $payload, $webhook_secret );
 	}
 
+	/**
+	 * Build the Merchant-Signature header value for a payload
+	 *
+	 * While a webhook secret rotation is in progress the payload is signed with both
+	 * the current and the pending secret, comma-separated, so receivers verify it with
+	 * whichever secret they have configured.
+	 *
+	 * @param string $payload        JSON payload.
+	 * @param string $webhook_secret Current webhook secret.
+	 * @return string Signature header value.
+	 */
+	private function sign_payload( string $payload, string $webhook_secret ): string {
+		$signature      = $this->generate_signature( $payload, $webhook_secret );
+		$pending_secret = $this->api_key_service->get_pending_webhook_secret();
+
+		if ( $pending_secret ) {
+			$signature .= ',' . $this->generate_signature( $payload, $pending_secret );
+		}
+
+		return $signature;
+	}
+
 	/**
 	 * Send webhook with retry logic
 	 *
@@ -199,18 +225,7 @@ final class WebhookService {
 			++$attempts;
 
 			// Send webhook request
-			$response = wp_remote_post(
-				$webhook_url,
-				array(
-					'headers' => array(
-						'Merchant-Signature' => $signature,
-						'Content-Type'       => 'application/json',
-						'Webhook-ID'         => $webhook_id,
-					),
-					'body'    => $payload,
-					'timeout' => 15,
-				)
-			);
+			$response = $this->post_webhook( $webhook_url, $payload, $signature, $webhook_id );
 
 			// Check if request was successful
 			if ( ! is_wp_error( $response ) ) {
@@ -302,6 +317,308 @@ final class WebhookService {
 		return false;
 	}
 
+	/**
+	 * Retry queued webhooks now
+	 *
+	 * Each entry gets a single attempt (no backoff) against the configured webhook URL.
+	 * Delivered entries leave the retry queue; failed entries stay with their attempt
+	 * count and last error updated.
+	 *
+	 * @param int[] $indexes Retry queue indexes.
+	 * @return array<int, array{success: bool, status_code: int, message: string, url: string, attempt: int}> Results keyed by queue index.
+	 * @throws \Exception When the webhook URL or secret is not configured.
+	 */
+	public function retry_queued( array $indexes ): array {
+		$webhook_url    = $this->get_webhook_url();
+		$webhook_secret = get_option( 'carticy_ai_checkout_webhook_secret', '' );
+
+		if ( empty( $webhook_url ) || empty( $webhook_secret ) ) {
+			throw new \Exception( esc_html__( 'Webhook not configured - missing URL or secret.', 'carticy-ai-checkout-for-woocommerce' ) );
+		}
+
+		$queue   = $this->webhook_logger->get_retry_queue();
+		$results = array();
+		$updates = array();
+
+		foreach ( array_unique( $indexes ) as $index ) {
+			if ( ! isset( $queue[ $index ] ) ) {
+				continue;
+			}
+
+			$result            = $this->deliver_queued( $queue[ $index ], $webhook_url, $webhook_secret );
+			$results[ $index ] = $result;
+			$updates[ $index ] = $result['success'] ? null : array(
+				'url'          => $webhook_url,
+				'last_attempt' => $result['attempt'],
+				'last_error'   => $result['message'],
+				'retried_at'   => time(),
+			);
+		}
+
+		$this->webhook_logger->update_retry_queue( $updates );
+
+		return $results;
+	}
+
+	/**
+	 * Replay a queued webhook to a different URL
+	 *
+	 * The retry queue is left untouched - replays are for inspecting or forwarding
+	 * a payload, not for recovering the configured endpoint.
+	 *
+	 * @param int    $index Retry queue index.
+	 * @param string $url   Target URL.
+	 * @return array{success: bool, status_code: int, message: string, url: string, attempt: int} Delivery result.
+	 * @throws \InvalidArgumentException When the entry or URL is invalid.
+	 * @throws \Exception When the webhook secret is not configured.
+	 */
+	public function replay_queued( int $index, string $url ): array {
+		$entry = $this->get_queue_entry( $index );
+
+		if ( ! wp_http_validate_url( $url ) ) {
+			throw new \InvalidArgumentException( esc_html__( 'Enter a valid http(s) URL to replay the webhook to.', 'carticy-ai-checkout-for-woocommerce' ) );
+		}
+
+		$webhook_secret = get_option( 'carticy_ai_checkout_webhook_secret', '' );
+
+		if ( empty( $webhook_secret ) ) {
+			throw new \Exception( esc_html__( 'Webhook secret is not configured.', 'carticy-ai-checkout-for-woocommerce' ) );
+		}
+
+		return $this->deliver_queued( $entry, $url, $webhook_secret );
+	}
+
+	/**
+	 * Get the signed request a queued webhook is sent as
+	 *
+	 * Signed with the current webhook secret, exactly as a retry would send it.
+	 *
+	 * @param int $index Retry queue index.
+	 * @return array{url: string, headers: array<string, string>, body: string} Signed request.
+	 * @throws \InvalidArgumentException When the entry does not exist.
+	 * @throws \Exception When the webhook secret is not configured.
+	 */
+	public function get_signed_queued_request( int $index ): array {
+		$entry          = $this->get_queue_entry( $index );
+		$webhook_secret = get_option( 'carticy_ai_checkout_webhook_secret', '' );
+
+		if ( empty( $webhook_secret ) ) {
+			throw new \Exception( esc_html__( 'Webhook secret is not configured.', 'carticy-ai-checkout-for-woocommerce' ) );
+		}
+
+		$payload = $this->get_queued_payload( $entry );
+
+		return array(
+			'url'     => $this->get_webhook_url(),
+			'headers' => array(
+				'Merchant-Signature' => $this->sign_payload( $payload, $webhook_secret ),
+				'Content-Type'       => 'application/json',
+			),
+			'body'    => $payload,
+		);
+	}
+
+	/**
+	 * Verify a webhook signature against the current, pending and previous secrets
+	 *
+	 * The signature is an HMAC-SHA256 of the raw request body. When the raw payload
+	 * does not match, the payload is also tried in the plugin's own JSON encoding, which
+	 * catches receivers that sign a re-serialized body instead of the raw one.
+	 *
+	 * @param string $payload   Raw payload as received.
+	 * @param string $signature Received Merchant-Signature header value (comma-separated during a rotation).
+	 * @return array{matched: bool, secret: string, retired_at: int, canonical: string, reencoded: bool, expected: string} Verification result.
+	 * @throws \InvalidArgumentException When the payload or signature is empty.
+	 */
+	public function verify_signature( string $payload, string $signature ): array {
+		// Accept "sha256=<hex>" as some receivers print it that way.
+		$signatures = array_filter(
+			array_map(
+				static function ( $value ) {
+					return strtolower( trim( preg_replace( '/^\s*sha256=/i', '', $value ) ) );
+				},
+				explode( ',', $signature )
+			)
+		);
+
+		if ( '' === $payload || empty( $signatures ) ) {
+			throw new \InvalidArgumentException( esc_html__( 'Both a payload and a signature are required.', 'carticy-ai-checkout-for-woocommerce' ) );
+		}
+
+		$candidates = array( $payload );
+		$decoded    = json_decode( $payload, true );
+		if ( is_array( $decoded ) ) {
+			$reencoded = wp_json_encode( $decoded );
+			if ( $reencoded !== $payload ) {
+				$candidates[] = $reencoded;
+			}
+		}
+
+		$secrets = array();
+		$current = (string) get_option( 'carticy_ai_checkout_webhook_secret', '' );
+		if ( '' !== $current ) {
+			$secrets[] = array(
+				'status'     => 'current',
+				'secret'     => $current,
+				'retired_at' => 0,
+			);
+		}
+
+		$pending = $this->api_key_service->get_pending_webhook_secret();
+		if ( $pending ) {
+			$secrets[] = array(
+				'status'     => 'pending',
+				'secret'     => $pending,
+				'retired_at' => 0,
+			);
+		}
+
+		foreach ( $this->api_key_service->get_webhook_secret_history() as $retired ) {
+			$secrets[] = array_merge( $retired, array( 'status' => 'previous' ) );
+		}
+
+		foreach ( $candidates as $position => $candidate ) {
+			foreach ( $secrets as $secret ) {
+				$computed = $this->generate_signature( $candidate, $secret['secret'] );
+
+				foreach ( $signatures as $received ) {
+					if ( hash_equals( $computed, $received ) ) {
+						return array(
+							'matched'    => true,
+							'secret'     => $secret['status'],
+							'retired_at' => (int) $secret['retired_at'],
+							'canonical'  => $candidate,
+							'reencoded'  => $position > 0,
+							'expected'   => '' !== $current ? $this->sign_payload( $candidate, $current ) : '',
+						);
+					}
+				}
+			}
+		}
+
+		return array(
+			'matched'    => false,
+			'secret'     => '',
+			'retired_at' => 0,
+			'canonical'  => $payload,
+			'reencoded'  => false,
+			'expected'   => '' !== $current ? $this->sign_payload( $payload, $current ) : '',
+		);
+	}
+
+	/**
+	 * Get a retry queue entry
+	 *
+	 * @param int $index Retry queue index.
+	 * @return array Queue entry.
+	 * @throws \InvalidArgumentException When the entry does not exist.
+	 */
+	private function get_queue_entry( int $index ): array {
+		$queue = $this->webhook_logger->get_retry_queue();
+
+		if ( ! isset( $queue[ $index ] ) ) {
+			throw new \InvalidArgumentException( esc_html__( 'Webhook is no longer in the retry queue. Reload the page.', 'carticy-ai-checkout-for-woocommerce' ) );
+		}
+
+		return $queue[ $index ];
+	}
+
+	/**
+	 * Get the JSON payload of a queued webhook
+	 *
+	 * @param array $entry Retry queue entry.
+	 * @return string JSON-encoded payload.
+	 */
+	private function get_queued_payload( array $entry ): string {
+		$payload = $entry['payload'] ?? array();
+
+		// Entries queued before the payload was built (not configured, retry window expired) hold the order data.
+		if ( ! isset( $payload['type'], $payload['data'] ) ) {
+			return $this->build_payload( $entry['event_type'] ?? 'order_updated', $payload );
+		}
+
+		return wp_json_encode( $payload );
+	}
+
+	/**
+	 * Make a single delivery attempt of a queued webhook
+	 *
+	 * @param array  $entry          Retry queue entry.
+	 * @param string $webhook_url    Target URL.
+	 * @param string $webhook_secret Webhook secret.
+	 * @return array{success: bool, status_code: int, message: string, url: string, attempt: int} Delivery result.
+	 */
+	private function deliver_queued( array $entry, string $webhook_url, string $webhook_secret ): array {
+		$payload      = $this->get_queued_payload( $entry );
+		$payload_data = json_decode( $payload, true );
+		$event_type   = $payload_data['type'] ?? 'unknown';
+		$attempt      = (int) ( $entry['last_attempt'] ?? 0 ) + 1;
+
+		$response = $this->post_webhook(
+			$webhook_url,
+			$payload,
+			$this->sign_payload( $payload, $webhook_secret ),
+			wp_generate_uuid4()
+		);
+
+		$status_code = is_wp_error( $response ) ? 0 : (int) wp_remote_retrieve_response_code( $response );
+		$success     = $status_code >= 200 && $status_code < 300;
+
+		if ( $success ) {
+			$message = __( 'Delivered', 'carticy-ai-checkout-for-woocommerce' );
+			$this->webhook_logger->log_success( $event_type, $webhook_url, $payload_data, $status_code, $attempt );
+		} else {
+			$message = is_wp_error( $response ) ? $response->get_error_message() : "HTTP $status_code response";
+			// Queue entries are updated by the caller, so the failure is not queued again.
+			$this->webhook_logger->log_failure( $event_type, $webhook_url, $payload_data, $status_code, $attempt, $message, false );
+		}
+
+		return array(
+			'success'     => $success,
+			'status_code' => $status_code,
+			'message'     => $message,
+			'url'         => $webhook_url,
+			'attempt'     => $attempt,
+		);
+	}
+
+	/**
+	 * Get the configured webhook URL (test mode aware)
+	 *
+	 * @return string Webhook URL.
+	 */
+	private function get_webhook_url(): string {
+		if ( 'yes' === get_option( 'carticy_ai_checkout_test_mode', 'yes' ) ) {
+			return (string) get_option( 'carticy_ai_checkout_test_webhook_url', '' );
+		}
+
+		return (string) get_option( 'carticy_ai_checkout_webhook_url', '' );
+	}
+
+	/**
+	 * POST a signed webhook payload
+	 *
+	 * @param string $webhook_url Webhook URL.
+	 * @param string $payload     JSON payload.
+	 * @param string $signature   HMAC signature.
+	 * @param string $webhook_id  Webhook-ID header for receiver-side deduplication.
+	 * @return array|\WP_Error Response or error.
+	 */
+	private function post_webhook( string $webhook_url, string $payload, string $signature, string $webhook_id ) {
+		return wp_remote_post(
+			$webhook_url,
+			array(
+				'headers' => array(
+					'Merchant-Signature' => $signature,
+					'Content-Type'       => 'application/json',
+					'Webhook-ID'         => $webhook_id,
+				),
+				'body'    => $payload,
+				'timeout' => 15,
+			)
+		);
+	}
+
 	/**
 	 * Send order_created webhook (ACP v1.0)
 	 *
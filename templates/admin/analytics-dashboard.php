@@ -7,18 +7,14 @@
  * @package Carticy\AiCheckout
  *
  * phpcs:disable WordPress.NamingConventions.PrefixAllGlobals.NonPrefixedVariableFound -- Template variables from parent scope.
- * @var int   $days
- * @var int   $chatgpt_orders
- * @var float $chatgpt_revenue
- * @var int   $regular_orders
- * @var float $regular_revenue
- * @var float $conversion_rate
- * @var float $chatgpt_aov
- * @var float $regular_aov
- * @var array $recent_orders
- * @var array $status_stats
- * @var int   $total_orders
- * @var float $total_revenue
+ *
+ * Metrics, charts, the checkout funnel, the period comparison and the sales breakdown are loaded by admin-analytics-dashboard.js.
+ *
+ * @var string $start_date    Default range start (Y-m-d)
+ * @var string $end_date      Default range end (Y-m-d)
+ * @var int[]  $preset_days   Preset range lengths in days
+ * @var int    $default_days  Default range length in days
+ * @var array  $recent_orders Recent ChatGPT orders
  */
 
 if ( ! defined( 'ABSPATH' ) ) {
@@ -32,22 +28,32 @@ if ( ! defined( 'ABSPATH' ) ) {
 
 <!-- Date Filter -->
 	<div class="date-filter">
-		<form method="get" class="filter-form">
-			<input type="hidden" name="page" value="carticy-ai-checkout-analytics">
-			<?php wp_nonce_field( 'carticy_analytics_filter', '_wpnonce', false ); ?>
-			<label for="days-filter"><?php esc_html_e( 'Date Range:', 'carticy-ai-checkout-for-woocommerce' ); ?></label>
-			<select name="days" id="days-filter" onchange="this.form.submit()">
-				<option value="7" <?php selected( $days, 7 ); ?>>
-					<?php esc_html_e( 'Last 7 Days', 'carticy-ai-checkout-for-woocommerce' ); ?>
-				</option>
-				<option value="30" <?php selected( $days, 30 ); ?>>
-					<?php esc_html_e( 'Last 30 Days', 'carticy-ai-checkout-for-woocommerce' ); ?>
-				</option>
-				<option value="90" <?php selected( $days, 90 ); ?>>
-					<?php esc_html_e( 'Last 90 Days', 'carticy-ai-checkout-for-woocommerce' ); ?>
-				</option>
+		<form id="analytics-range" class="filter-form">
+			<label for="analytics-preset"><?php esc_html_e( 'Date Range:', 'carticy-ai-checkout-for-woocommerce' ); ?></label>
+			<select name="preset" id="analytics-preset">
+				<?php foreach ( $preset_days as $preset ) : ?>
+					<option value="<?php echo esc_attr( $preset ); ?>" <?php selected( $preset, $default_days ); ?>>
+						<?php
+						/* translators: %d: number of days */
+						echo esc_html( sprintf( __( 'Last %d Days', 'carticy-ai-checkout-for-woocommerce' ), $preset ) );
+						?>
+					</option>
+				<?php endforeach; ?>
+				<option value="custom"><?php esc_html_e( 'Custom Range', 'carticy-ai-checkout-for-woocommerce' ); ?></option>
 			</select>
+			<label class="screen-reader-text" for="analytics-start"><?php esc_html_e( 'Start date', 'carticy-ai-checkout-for-woocommerce' ); ?></label>
+			<input type="date" name="start" id="analytics-start" value="<?php echo esc_attr( $start_date ); ?>" max="<?php echo esc_attr( $end_date ); ?>" required>
+			<span aria-hidden="true">&ndash;</span>
+			<label class="screen-reader-text" for="analytics-end"><?php esc_html_e( 'End date', 'carticy-ai-checkout-for-woocommerce' ); ?></label>
+			<input type="date" name="end" id="analytics-end" value="<?php echo esc_attr( $end_date ); ?>" max="<?php echo esc_attr( $end_date ); ?>" required>
+			<label class="analytics-compare">
+				<input type="checkbox" name="compare" value="yes" checked>
+				<?php esc_html_e( 'Compare to previous period', 'carticy-ai-checkout-for-woocommerce' ); ?>
+			</label>
+			<button type="submit" class="button"><?php esc_html_e( 'Apply', 'carticy-ai-checkout-for-woocommerce' ); ?></button>
+			<span class="spinner"></span>
 		</form>
+		<p class="analytics-range-error notice-error" role="alert" hidden></p>
 	</div>
 
 	<!-- Metrics Overview -->
@@ -63,19 +69,10 @@ if ( ! defined( 'ABSPATH' ) ) {
 				</svg>
 			</div>
 			<div class="metric-content">
-				<div class="metric-value"><?php echo esc_html( number_format_i18n( $chatgpt_orders ) ); ?></div>
+				<div class="metric-value" data-metric="chatgpt_orders">&ndash;</div>
 				<div class="metric-label"><?php esc_html_e( 'ChatGPT Orders', 'carticy-ai-checkout-for-woocommerce' ); ?></div>
-				<div class="metric-detail">
-					<?php
-					echo esc_html(
-						sprintf(
-							/* translators: %s: formatted revenue amount */
-							__( 'Revenue: %s', 'carticy-ai-checkout-for-woocommerce' ),
-							wp_strip_all_tags( wc_price( $chatgpt_revenue ) )
-						)
-					);
-					?>
-				</div>
+				<div class="metric-detail" data-detail="chatgpt_orders"></div>
+				<div class="metric-change" data-change="chatgpt_orders"></div>
 			</div>
 		</div>
 
@@ -87,19 +84,10 @@ if ( ! defined( 'ABSPATH' ) ) {
 				</svg>
 			</div>
 			<div class="metric-content">
-				<div class="metric-value"><?php echo esc_html( number_format_i18n( $regular_orders ) ); ?></div>
+				<div class="metric-value" data-metric="regular_orders">&ndash;</div>
 				<div class="metric-label"><?php esc_html_e( 'Regular Orders', 'carticy-ai-checkout-for-woocommerce' ); ?></div>
-				<div class="metric-detail">
-					<?php
-					echo esc_html(
-						sprintf(
-							/* translators: %s: formatted revenue amount */
-							__( 'Revenue: %s', 'carticy-ai-checkout-for-woocommerce' ),
-							wp_strip_all_tags( wc_price( $regular_revenue ) )
-						)
-					);
-					?>
-				</div>
+				<div class="metric-detail" data-detail="regular_orders"></div>
+				<div class="metric-change" data-change="regular_orders"></div>
 			</div>
 		</div>
 
@@ -112,20 +100,10 @@ if ( ! defined( 'ABSPATH' ) ) {
 				</svg>
 			</div>
 			<div class="metric-content">
-				<div class="metric-value"><?php echo esc_html( number_format_i18n( $conversion_rate, 2 ) ); ?>%</div>
+				<div class="metric-value" data-metric="conversion_rate">&ndash;</div>
 				<div class="metric-label"><?php esc_html_e( 'ChatGPT Conversion', 'carticy-ai-checkout-for-woocommerce' ); ?></div>
-				<div class="metric-detail">
-					<?php
-					echo esc_html(
-						sprintf(
-							/* translators: 1: ChatGPT orders, 2: total orders */
-							__( '%1$d of %2$d total orders', 'carticy-ai-checkout-for-woocommerce' ),
-							$chatgpt_orders,
-							$total_orders
-						)
-					);
-					?>
-				</div>
+				<div class="metric-detail" data-detail="conversion_rate"></div>
+				<div class="metric-change" data-change="conversion_rate"></div>
 			</div>
 		</div>
 
@@ -138,23 +116,117 @@ if ( ! defined( 'ABSPATH' ) ) {
 				</svg>
 			</div>
 			<div class="metric-content">
-				<div class="metric-value">
-					<?php echo esc_html( wp_strip_all_tags( wc_price( $chatgpt_aov ) ) ); ?>
-				</div>
+				<div class="metric-value" data-metric="chatgpt_aov">&ndash;</div>
 				<div class="metric-label"><?php esc_html_e( 'ChatGPT AOV', 'carticy-ai-checkout-for-woocommerce' ); ?></div>
-				<div class="metric-detail">
-					<?php
-					echo esc_html(
-						sprintf(
-							/* translators: %s: formatted AOV amount */
-							__( 'Regular: %s', 'carticy-ai-checkout-for-woocommerce' ),
-							wp_strip_all_tags( wc_price( $regular_aov ) )
-						)
-					);
-					?>
-				</div>
+				<div class="metric-detail" data-detail="chatgpt_aov"></div>
+				<div class="metric-change" data-change="chatgpt_aov"></div>
+			</div>
+		</div>
+	</div>
+
+	<!-- Time Series -->
+	<div class="analytics-charts">
+		<div class="analytics-chart-card">
+			<h2><?php esc_html_e( 'Orders per Day', 'carticy-ai-checkout-for-woocommerce' ); ?></h2>
+			<div class="analytics-chart" id="analytics-orders-chart"></div>
+		</div>
+		<div class="analytics-chart-card">
+			<h2><?php esc_html_e( 'Revenue per Day', 'carticy-ai-checkout-for-woocommerce' ); ?></h2>
+			<div class="analytics-chart" id="analytics-revenue-chart"></div>
+		</div>
+	</div>
+
+	<!-- Checkout Funnel -->
+	<div class="analytics-funnel">
+		<div class="analytics-funnel-card">
+			<h2><?php esc_html_e( 'Checkout Funnel', 'carticy-ai-checkout-for-woocommerce' ); ?></h2>
+			<p class="description">
+				<?php esc_html_e( 'Checkout sessions created in the selected range, by the furthest stage they reached.', 'carticy-ai-checkout-for-woocommerce' ); ?>
+			</p>
+			<ol class="funnel-stages" id="analytics-funnel-stages"></ol>
+			<ul class="funnel-exits" id="analytics-funnel-exits"></ul>
+			<p class="funnel-open description"></p>
+		</div>
+		<div class="analytics-funnel-card">
+			<h2><?php esc_html_e( 'Top Failure Reasons', 'carticy-ai-checkout-for-woocommerce' ); ?></h2>
+			<p class="description">
+				<?php esc_html_e( 'Errors returned to ChatGPT for checkout sessions, from the error log.', 'carticy-ai-checkout-for-woocommerce' ); ?>
+			</p>
+			<ul class="failure-categories" id="analytics-failure-categories"></ul>
+			<table class="widefat striped failure-table">
+				<thead>
+					<tr>
+						<th><?php esc_html_e( 'Reason', 'carticy-ai-checkout-for-woocommerce' ); ?></th>
+						<th><?php esc_html_e( 'Category', 'carticy-ai-checkout-for-woocommerce' ); ?></th>
+						<th class="column-count"><?php esc_html_e( 'Errors', 'carticy-ai-checkout-for-woocommerce' ); ?></th>
+					</tr>
+				</thead>
+				<tbody id="analytics-failure-rows"></tbody>
+			</table>
+		</div>
+	</div>
+
+	<!-- Period Comparison -->
+	<div class="analytics-comparison" hidden>
+		<h2><?php esc_html_e( 'Period Comparison', 'carticy-ai-checkout-for-woocommerce' ); ?></h2>
+		<table class="widefat comparison-table">
+			<thead>
+				<tr>
+					<th><?php esc_html_e( 'Metric', 'carticy-ai-checkout-for-woocommerce' ); ?></th>
+					<th class="comparison-current"><?php esc_html_e( 'Selected period', 'carticy-ai-checkout-for-woocommerce' ); ?></th>
+					<th class="comparison-previous"><?php esc_html_e( 'Previous period', 'carticy-ai-checkout-for-woocommerce' ); ?></th>
+					<th><?php esc_html_e( 'Change', 'carticy-ai-checkout-for-woocommerce' ); ?></th>
+				</tr>
+			</thead>
+			<tbody></tbody>
+		</table>
+	</div>
+
+	<!-- Sales Breakdown -->
+	<div class="analytics-breakdown">
+		<div class="breakdown-header">
+			<h2><?php esc_html_e( 'ChatGPT Sales Breakdown', 'carticy-ai-checkout-for-woocommerce' ); ?></h2>
+			<div class="breakdown-actions">
+				<label class="screen-reader-text" for="analytics-breakdown-group"><?php esc_html_e( 'Group by', 'carticy-ai-checkout-for-woocommerce' ); ?></label>
+				<select id="analytics-breakdown-group">
+					<option value="product"><?php esc_html_e( 'By product', 'carticy-ai-checkout-for-woocommerce' ); ?></option>
+					<option value="product_cat"><?php esc_html_e( 'By category', 'carticy-ai-checkout-for-woocommerce' ); ?></option>
+				</select>
+				<button type="button" class="button analytics-breakdown-export"><?php esc_html_e( 'Export CSV', 'carticy-ai-checkout-for-woocommerce' ); ?></button>
 			</div>
 		</div>
+		<p class="description">
+			<?php esc_html_e( 'Units and revenue of completed and processing ChatGPT orders. Conversion is the share of all orders containing the product or category that came through ChatGPT.', 'carticy-ai-checkout-for-woocommerce' ); ?>
+		</p>
+		<table class="widefat striped breakdown-table">
+			<thead>
+				<tr>
+					<th class="column-name" data-sort="name" aria-sort="none">
+						<button type="button" class="breakdown-sort"><span class="breakdown-name-label"><?php esc_html_e( 'Product', 'carticy-ai-checkout-for-woocommerce' ); ?></span><span class="dashicons" aria-hidden="true"></span></button>
+					</th>
+					<th class="column-units" data-sort="units" aria-sort="none">
+						<button type="button" class="breakdown-sort"><?php esc_html_e( 'Units', 'carticy-ai-checkout-for-woocommerce' ); ?><span class="dashicons" aria-hidden="true"></span></button>
+					</th>
+					<th class="column-revenue" data-sort="revenue" aria-sort="descending">
+						<button type="button" class="breakdown-sort"><?php esc_html_e( 'Revenue', 'carticy-ai-checkout-for-woocommerce' ); ?><span class="dashicons" aria-hidden="true"></span></button>
+					</th>
+					<th class="column-orders" data-sort="chatgpt_orders" aria-sort="none">
+						<button type="button" class="breakdown-sort"><?php esc_html_e( 'ChatGPT Orders', 'carticy-ai-checkout-for-woocommerce' ); ?><span class="dashicons" aria-hidden="true"></span></button>
+					</th>
+					<th class="column-conversion" data-sort="conversion_rate" aria-sort="none">
+						<button type="button" class="breakdown-sort"><?php esc_html_e( 'Conversion', 'carticy-ai-checkout-for-woocommerce' ); ?><span class="dashicons" aria-hidden="true"></span></button>
+					</th>
+					<th class="column-quality" data-sort="quality_score" aria-sort="none">
+						<button type="button" class="breakdown-sort"><?php esc_html_e( 'Quality Score', 'carticy-ai-checkout-for-woocommerce' ); ?><span class="dashicons" aria-hidden="true"></span></button>
+					</th>
+				</tr>
+			</thead>
+			<tbody id="analytics-breakdown-rows">
+				<tr>
+					<td colspan="6" class="description"><?php esc_html_e( 'Loading...', 'carticy-ai-checkout-for-woocommerce' ); ?></td>
+				</tr>
+			</tbody>
+		</table>
 	</div>
 
 	<!-- Status Distribution -->
@@ -168,26 +240,7 @@ if ( ! defined( 'ABSPATH' ) ) {
 					<th><?php esc_html_e( 'Percentage', 'carticy-ai-checkout-for-woocommerce' ); ?></th>
 				</tr>
 			</thead>
-			<tbody>
-				<?php foreach ( $status_stats as $order_status => $count ) : ?>
-					<?php if ( $count > 0 ) : ?>
-						<tr>
-							<td>
-								<span class="status-badge status-<?php echo esc_attr( $order_status ); ?>">
-									<?php echo esc_html( ucfirst( $order_status ) ); ?>
-								</span>
-							</td>
-							<td><?php echo esc_html( number_format_i18n( $count ) ); ?></td>
-							<td>
-								<?php
-								$percentage = $chatgpt_orders > 0 ? ( $count / $chatgpt_orders ) * 100 : 0;
-								echo esc_html( number_format_i18n( $percentage, 1 ) ) . '%';
-								?>
-							</td>
-						</tr>
-					<?php endif; ?>
-				<?php endforeach; ?>
-			</tbody>
+			<tbody id="analytics-status-rows"></tbody>
 		</table>
 	</div>
 
@@ -197,7 +250,7 @@ if ( ! defined( 'ABSPATH' ) ) {
 
 		<?php if ( empty( $recent_orders ) ) : ?>
 			<p class="no-orders">
-				<?php esc_html_e( 'No ChatGPT orders found in the selected date range.', 'carticy-ai-checkout-for-woocommerce' ); ?>
+				<?php esc_html_e( 'No ChatGPT orders found yet.', 'carticy-ai-checkout-for-woocommerce' ); ?>
 			</p>
 		<?php else : ?>
 			<table class="widefat orders-table">
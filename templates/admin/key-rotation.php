@@ -0,0 +1,86 @@
+<?php
+/**
+ * Key Rotation Controls
+ *
+ * Shared by the settings page and wizard step 7. Starts a rotation with a grace
+ * period, or shows the pending value with a countdown and finalize/cancel buttons.
+ *
+ * @package Carticy\AiCheckout
+ *
+ * phpcs:disable WordPress.NamingConventions.PrefixAllGlobals.NonPrefixedVariableFound -- Template variables from parent scope.
+ *
+ * @var string     $rotation_type Credential type (api_key or webhook_secret).
+ * @var array|null $rotation      Rotation in progress (pending, started_at, expires_at) or null.
+ */
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+use Carticy\AiCheckout\Services\ApiKeyService;
+
+$grace_options = array(
+	1   => __( '1 hour', 'carticy-ai-checkout-for-woocommerce' ),
+	6   => __( '6 hours', 'carticy-ai-checkout-for-woocommerce' ),
+	24  => __( '24 hours', 'carticy-ai-checkout-for-woocommerce' ),
+	72  => __( '3 days', 'carticy-ai-checkout-for-woocommerce' ),
+	168 => __( '7 days', 'carticy-ai-checkout-for-woocommerce' ),
+);
+$pending_id    = 'pending-' . str_replace( '_', '-', $rotation_type );
+?>
+
+<div class="key-rotation" data-type="<?php echo esc_attr( $rotation_type ); ?>">
+	<?php if ( $rotation ) : ?>
+		<div class="key-rotation-pending">
+			<p class="key-rotation-label">
+				<strong>
+					<?php
+					echo ApiKeyService::TYPE_API_KEY === $rotation_type
+						? esc_html__( 'New API key (pending):', 'carticy-ai-checkout-for-woocommerce' )
+						: esc_html__( 'New webhook secret (pending):', 'carticy-ai-checkout-for-woocommerce' );
+					?>
+				</strong>
+			</p>
+			<input type="text" class="regular-text code" id="<?php echo esc_attr( $pending_id ); ?>" value="<?php echo esc_attr( $rotation['pending'] ); ?>" readonly>
+			<button type="button" class="button button-secondary copy-button" data-clipboard-target="#<?php echo esc_attr( $pending_id ); ?>">
+				<?php esc_html_e( 'Copy', 'carticy-ai-checkout-for-woocommerce' ); ?>
+			</button>
+			<p class="description">
+				<?php
+				echo ApiKeyService::TYPE_API_KEY === $rotation_type
+					? esc_html__( 'Both the current and the new key are accepted. Update the key on the OpenAI side, then finalize the rotation.', 'carticy-ai-checkout-for-woocommerce' )
+					: esc_html__( 'Webhooks are signed with both secrets (comma-separated in Merchant-Signature). Update the secret on the receiving side, then finalize the rotation.', 'carticy-ai-checkout-for-woocommerce' );
+				?>
+			</p>
+			<p class="key-rotation-countdown" data-seconds-left="<?php echo esc_attr( max( 0, $rotation['expires_at'] - time() ) ); ?>">
+				<?php esc_html_e( 'The old value stops working in:', 'carticy-ai-checkout-for-woocommerce' ); ?>
+				<strong class="key-rotation-remaining"></strong>
+				<span class="description">
+					(<?php echo esc_html( wp_date( get_option( 'date_format' ) . ' ' . get_option( 'time_format' ), $rotation['expires_at'] ) ); ?>)
+				</span>
+			</p>
+			<p>
+				<button type="button" class="button button-primary key-rotation-finalize">
+					<?php esc_html_e( 'Finalize rotation', 'carticy-ai-checkout-for-woocommerce' ); ?>
+				</button>
+				<button type="button" class="button button-secondary key-rotation-cancel">
+					<?php esc_html_e( 'Cancel rotation', 'carticy-ai-checkout-for-woocommerce' ); ?>
+				</button>
+			</p>
+		</div>
+	<?php else : ?>
+		<div class="key-rotation-start">
+			<label>
+				<?php esc_html_e( 'Grace period:', 'carticy-ai-checkout-for-woocommerce' ); ?>
+				<select class="key-rotation-grace">
+					<?php foreach ( $grace_options as $hours => $label ) : ?>
+						<option value="<?php echo esc_attr( $hours ); ?>" <?php selected( $hours, ApiKeyService::DEFAULT_GRACE_HOURS ); ?>><?php echo esc_html( $label ); ?></option>
+					<?php endforeach; ?>
+				</select>
+			</label>
+			<button type="button" class="button button-secondary key-rotation-start-btn">
+				<?php esc_html_e( 'Rotate', 'carticy-ai-checkout-for-woocommerce' ); ?>
+			</button>
+		</div>
+	<?php endif; ?>
+</div>
@@ -56,6 +56,12 @@ if ( ! defined( 'ABSPATH' ) ) {
 		case 'sessions':
 			include CARTICY_AI_CHECKOUT_DIR . 'templates/admin/logs/session-status.php';
 			break;
+		case 'session':
+			include CARTICY_AI_CHECKOUT_DIR . 'templates/admin/logs/session-timeline.php';
+			break;
+		case 'alerts':
+			include CARTICY_AI_CHECKOUT_DIR . 'templates/admin/logs/alerts.php';
+			break;
 	}
 	?>
 </div>
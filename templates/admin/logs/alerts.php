@@ -0,0 +1,293 @@
+<?php
+/**
+ * Alerts Tab Template
+ *
+ * @package Carticy\AiCheckout
+ *
+ * phpcs:disable WordPress.NamingConventions.PrefixAllGlobals.NonPrefixedVariableFound -- Template variables from parent scope.
+ *
+ * @var array $data Alerts data
+ */
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+$rules          = $data['rules'] ?? array();
+$state          = $data['state'] ?? array();
+$history        = $data['history'] ?? array();
+$channels       = $data['channels'] ?? array();
+$metrics        = $data['metrics'] ?? array();
+$operators      = $data['operators'] ?? array();
+$channel_labels = $data['channel_labels'] ?? array();
+$categories     = $data['categories'] ?? array();
+$endpoints      = $data['endpoints'] ?? array();
+$next_run       = $data['next_run'] ?? false;
+$alerts_service = \Carticy\AiCheckout\Init::get_instance()->get_service( 'alerts' );
+
+// Rows are rendered for the saved rules and once more, with an __index__ placeholder, as the template of new rules.
+$render_rule_row = function ( string $index, array $rule ) use ( $metrics, $operators, $channel_labels, $categories, $state, $alerts_service ): void {
+	$name       = \Carticy\AiCheckout\Services\AlertService::OPTION_RULES . '[' . $index . ']';
+	$evaluation = '' !== $rule['id'] ? ( $state[ $rule['id'] ] ?? null ) : null;
+	?>
+	<tr class="alert-rule" data-metric="<?php echo esc_attr( $rule['metric'] ); ?>">
+		<td class="column-enabled">
+			<input type="hidden" name="<?php echo esc_attr( $name ); ?>[id]" value="<?php echo esc_attr( $rule['id'] ); ?>">
+			<input type="checkbox" name="<?php echo esc_attr( $name ); ?>[enabled]" value="1" <?php checked( $rule['enabled'] ); ?> aria-label="<?php esc_attr_e( 'Enabled', 'carticy-ai-checkout-for-woocommerce' ); ?>">
+		</td>
+		<td>
+			<input type="text" class="alert-rule-name" name="<?php echo esc_attr( $name ); ?>[name]" value="<?php echo esc_attr( $rule['name'] ); ?>" aria-label="<?php esc_attr_e( 'Name', 'carticy-ai-checkout-for-woocommerce' ); ?>">
+		</td>
+		<td>
+			<select class="alert-rule-metric" name="<?php echo esc_attr( $name ); ?>[metric]" aria-label="<?php esc_attr_e( 'Metric', 'carticy-ai-checkout-for-woocommerce' ); ?>">
+				<?php foreach ( $metrics as $metric => $label ) : ?>
+					<option value="<?php echo esc_attr( $metric ); ?>" <?php selected( $rule['metric'], $metric ); ?>><?php echo esc_html( $label ); ?></option>
+				<?php endforeach; ?>
+			</select>
+			<select class="alert-rule-category" name="<?php echo esc_attr( $name ); ?>[category]" aria-label="<?php esc_attr_e( 'Error category', 'carticy-ai-checkout-for-woocommerce' ); ?>">
+				<option value=""><?php esc_html_e( 'All categories', 'carticy-ai-checkout-for-woocommerce' ); ?></option>
+				<?php foreach ( $categories as $category => $label ) : ?>
+					<option value="<?php echo esc_attr( $category ); ?>" <?php selected( $rule['category'], $category ); ?>><?php echo esc_html( $label ); ?></option>
+				<?php endforeach; ?>
+			</select>
+			<input type="text" class="alert-rule-endpoint code" name="<?php echo esc_attr( $name ); ?>[endpoint]" value="<?php echo esc_attr( $rule['endpoint'] ); ?>" list="alert-endpoints" placeholder="<?php esc_attr_e( 'All endpoints', 'carticy-ai-checkout-for-woocommerce' ); ?>" aria-label="<?php esc_attr_e( 'Endpoint', 'carticy-ai-checkout-for-woocommerce' ); ?>">
+		</td>
+		<td class="column-condition">
+			<select name="<?php echo esc_attr( $name ); ?>[operator]" aria-label="<?php esc_attr_e( 'Operator', 'carticy-ai-checkout-for-woocommerce' ); ?>">
+				<?php foreach ( $operators as $operator => $symbol ) : ?>
+					<option value="<?php echo esc_attr( $operator ); ?>" <?php selected( $rule['operator'], $operator ); ?>><?php echo esc_html( $symbol ); ?></option>
+				<?php endforeach; ?>
+			</select>
+			<input type="number" class="small-text" name="<?php echo esc_attr( $name ); ?>[threshold]" value="<?php echo esc_attr( $rule['threshold'] ); ?>" min="0" step="any" aria-label="<?php esc_attr_e( 'Threshold', 'carticy-ai-checkout-for-woocommerce' ); ?>">
+		</td>
+		<td class="column-window">
+			<input type="number" class="small-text" name="<?php echo esc_attr( $name ); ?>[window]" value="<?php echo esc_attr( $rule['window'] ); ?>" min="5" max="1440" aria-label="<?php esc_attr_e( 'Window (minutes)', 'carticy-ai-checkout-for-woocommerce' ); ?>">
+		</td>
+		<td class="column-channels">
+			<?php foreach ( $channel_labels as $channel => $label ) : ?>
+				<label>
+					<input type="checkbox" name="<?php echo esc_attr( $name ); ?>[channels][]" value="<?php echo esc_attr( $channel ); ?>" <?php checked( in_array( $channel, $rule['channels'], true ) ); ?>>
+					<?php echo esc_html( $label ); ?>
+				</label>
+			<?php endforeach; ?>
+		</td>
+		<td class="column-status">
+			<?php if ( null === $evaluation ) : ?>
+				<span class="description">&mdash;</span>
+			<?php else : ?>
+				<span class="alert-status <?php echo esc_attr( $evaluation['firing'] ? 'alert-firing' : 'alert-ok' ); ?>">
+					<?php echo esc_html( $evaluation['firing'] ? __( 'Firing', 'carticy-ai-checkout-for-woocommerce' ) : __( 'OK', 'carticy-ai-checkout-for-woocommerce' ) ); ?>
+				</span>
+				<small>
+					<?php
+					printf(
+						/* translators: 1: measured value, 2: evaluation time */
+						esc_html__( '%1$s at %2$s', 'carticy-ai-checkout-for-woocommerce' ),
+						esc_html( $alerts_service->format_value( $rule['metric'], $evaluation['value'] ) ),
+						esc_html( wp_date( 'H:i', $evaluation['checked_at'] ) )
+					);
+					?>
+				</small>
+			<?php endif; ?>
+		</td>
+		<td class="column-remove"><button type="button" class="button-link alert-rule-remove"><?php esc_html_e( 'Remove', 'carticy-ai-checkout-for-woocommerce' ); ?></button></td>
+	</tr>
+	<?php
+};
+?>
+
+<div class="alerts-tab">
+	<div class="logs-header">
+		<h2><?php esc_html_e( 'Alerts', 'carticy-ai-checkout-for-woocommerce' ); ?></h2>
+		<div class="logs-actions">
+			<a href="
+			<?php
+			echo esc_url(
+				wp_nonce_url(
+					add_query_arg(
+						array(
+							'page'   => 'carticy-ai-checkout-logs',
+							'action' => 'carticy_ai_checkout_evaluate_alerts',
+						),
+						admin_url( 'admin.php' )
+					),
+					'carticy_logs_action'
+				)
+			);
+			?>
+			"
+				class="button">
+				<?php esc_html_e( 'Evaluate Now', 'carticy-ai-checkout-for-woocommerce' ); ?>
+			</a>
+		</div>
+	</div>
+
+	<p class="description">
+		<?php esc_html_e( 'Rules are checked every 15 minutes against the metric over their window. An alert fires once when a rule starts breaching its threshold and is resolved when the rule is back under it. Windows without data, such as no webhooks sent, never fire.', 'carticy-ai-checkout-for-woocommerce' ); ?>
+		<?php if ( $next_run ) : ?>
+			<?php
+			printf(
+				/* translators: %s: next evaluation time */
+				esc_html__( 'Next check: %s.', 'carticy-ai-checkout-for-woocommerce' ),
+				esc_html( wp_date( 'Y-m-d H:i', $next_run ) )
+			);
+			?>
+		<?php endif; ?>
+	</p>
+
+	<form method="post" action="options.php" class="alert-rules-form">
+		<?php settings_fields( 'carticy_ai_checkout_alerts' ); ?>
+
+		<h3><?php esc_html_e( 'Rules', 'carticy-ai-checkout-for-woocommerce' ); ?></h3>
+		<p class="description">
+			<?php esc_html_e( 'Latency rules can be limited to endpoints ending with a path, e.g. /complete. Error rules can be limited to a category.', 'carticy-ai-checkout-for-woocommerce' ); ?>
+		</p>
+
+		<table class="widefat striped alert-rules">
+			<thead>
+				<tr>
+					<th class="column-enabled"><?php esc_html_e( 'On', 'carticy-ai-checkout-for-woocommerce' ); ?></th>
+					<th><?php esc_html_e( 'Name', 'carticy-ai-checkout-for-woocommerce' ); ?></th>
+					<th><?php esc_html_e( 'Metric', 'carticy-ai-checkout-for-woocommerce' ); ?></th>
+					<th class="column-condition"><?php esc_html_e( 'Threshold', 'carticy-ai-checkout-for-woocommerce' ); ?></th>
+					<th class="column-window"><?php esc_html_e( 'Window (min)', 'carticy-ai-checkout-for-woocommerce' ); ?></th>
+					<th class="column-channels"><?php esc_html_e( 'Deliver via', 'carticy-ai-checkout-for-woocommerce' ); ?></th>
+					<th class="column-status"><?php esc_html_e( 'Last check', 'carticy-ai-checkout-for-woocommerce' ); ?></th>
+					<th class="column-remove"><span class="screen-reader-text"><?php esc_html_e( 'Remove', 'carticy-ai-checkout-for-woocommerce' ); ?></span></th>
+				</tr>
+			</thead>
+			<tbody>
+				<?php
+				foreach ( $rules as $index => $rule ) {
+					$render_rule_row( (string) $index, $rule );
+				}
+				?>
+			</tbody>
+		</table>
+
+		<template id="alert-rule-template">
+			<?php
+			$render_rule_row(
+				'__index__',
+				array(
+					'id'        => '',
+					'name'      => '',
+					'metric'    => \Carticy\AiCheckout\Services\AlertService::METRIC_WEBHOOK_FAILURE_RATE,
+					'category'  => '',
+					'endpoint'  => '',
+					'operator'  => 'gt',
+					'threshold' => 10,
+					'window'    => 15,
+					'channels'  => array( \Carticy\AiCheckout\Services\AlertService::CHANNEL_NOTICE ),
+					'enabled'   => true,
+				)
+			);
+			?>
+		</template>
+
+		<datalist id="alert-endpoints">
+			<?php foreach ( $endpoints as $endpoint ) : ?>
+				<option value="<?php echo esc_attr( $endpoint ); ?>"></option>
+			<?php endforeach; ?>
+		</datalist>
+
+		<p>
+			<button type="button" class="button alert-rule-add"><?php esc_html_e( 'Add rule', 'carticy-ai-checkout-for-woocommerce' ); ?></button>
+		</p>
+
+		<h3><?php esc_html_e( 'Delivery', 'carticy-ai-checkout-for-woocommerce' ); ?></h3>
+		<table class="form-table">
+			<tr>
+				<th scope="row"><label for="alert-email"><?php esc_html_e( 'Email recipients', 'carticy-ai-checkout-for-woocommerce' ); ?></label></th>
+				<td>
+					<input type="text" id="alert-email" class="regular-text" name="<?php echo esc_attr( \Carticy\AiCheckout\Services\AlertService::OPTION_CHANNELS ); ?>[email]" value="<?php echo esc_attr( $channels['email'] ?? '' ); ?>" placeholder="<?php echo esc_attr( get_option( 'admin_email' ) ); ?>">
+					<p class="description"><?php esc_html_e( 'Comma-separated. Defaults to the site admin email.', 'carticy-ai-checkout-for-woocommerce' ); ?></p>
+				</td>
+			</tr>
+			<tr>
+				<th scope="row"><label for="alert-webhook-url"><?php esc_html_e( 'HTTP hook URL', 'carticy-ai-checkout-for-woocommerce' ); ?></label></th>
+				<td>
+					<input type="url" id="alert-webhook-url" class="regular-text code" name="<?php echo esc_attr( \Carticy\AiCheckout\Services\AlertService::OPTION_CHANNELS ); ?>[webhook_url]" value="<?php echo esc_attr( $channels['webhook_url'] ?? '' ); ?>" placeholder="https://">
+					<p class="description"><?php esc_html_e( 'Receives a JSON POST (event "alert.fired") for each alert, e.g. a Slack or incident tool webhook.', 'carticy-ai-checkout-for-woocommerce' ); ?></p>
+				</td>
+			</tr>
+		</table>
+
+		<?php submit_button( __( 'Save Alert Rules', 'carticy-ai-checkout-for-woocommerce' ) ); ?>
+	</form>
+
+	<div class="alert-history">
+		<div class="logs-header">
+			<h3><?php esc_html_e( 'Firing History', 'carticy-ai-checkout-for-woocommerce' ); ?></h3>
+			<?php if ( ! empty( $history ) ) : ?>
+				<div class="logs-actions">
+					<a href="
+					<?php
+					echo esc_url(
+						wp_nonce_url(
+							add_query_arg(
+								array(
+									'page'   => 'carticy-ai-checkout-logs',
+									'action' => 'carticy_ai_checkout_clear_alert_history',
+								),
+								admin_url( 'admin.php' )
+							),
+							'carticy_logs_action'
+						)
+					);
+					?>
+					"
+						class="button button-small">
+						<?php esc_html_e( 'Clear History', 'carticy-ai-checkout-for-woocommerce' ); ?>
+					</a>
+				</div>
+			<?php endif; ?>
+		</div>
+
+		<?php if ( empty( $history ) ) : ?>
+			<p class="no-logs"><?php esc_html_e( 'No alerts have fired.', 'carticy-ai-checkout-for-woocommerce' ); ?></p>
+		<?php else : ?>
+			<table class="wp-list-table widefat fixed striped alert-history-table">
+				<thead>
+					<tr>
+						<th><?php esc_html_e( 'Fired', 'carticy-ai-checkout-for-woocommerce' ); ?></th>
+						<th><?php esc_html_e( 'Rule', 'carticy-ai-checkout-for-woocommerce' ); ?></th>
+						<th><?php esc_html_e( 'Value', 'carticy-ai-checkout-for-woocommerce' ); ?></th>
+						<th><?php esc_html_e( 'Status', 'carticy-ai-checkout-for-woocommerce' ); ?></th>
+						<th><?php esc_html_e( 'Delivered', 'carticy-ai-checkout-for-woocommerce' ); ?></th>
+					</tr>
+				</thead>
+				<tbody>
+					<?php foreach ( $history as $alert ) : ?>
+						<tr>
+							<td><?php echo esc_html( wp_date( 'Y-m-d H:i:s', $alert['fired_at'] ) ); ?></td>
+							<td>
+								<strong><?php echo esc_html( $alert['rule_name'] ); ?></strong>
+								<br><small class="description"><?php echo esc_html( $alert['condition'] ); ?></small>
+							</td>
+							<td><?php echo esc_html( $alerts_service->format_value( $alert['metric'], $alert['value'] ) ); ?></td>
+							<td>
+								<?php if ( ! empty( $alert['resolved_at'] ) ) : ?>
+									<span class="alert-status alert-ok"><?php esc_html_e( 'Resolved', 'carticy-ai-checkout-for-woocommerce' ); ?></span>
+									<small><?php echo esc_html( wp_date( 'Y-m-d H:i', $alert['resolved_at'] ) ); ?></small>
+								<?php else : ?>
+									<span class="alert-status alert-firing"><?php esc_html_e( 'Firing', 'carticy-ai-checkout-for-woocommerce' ); ?></span>
+								<?php endif; ?>
+							</td>
+							<td class="alert-deliveries">
+								<?php if ( empty( $alert['deliveries'] ) ) : ?>
+									<span class="description">&mdash;</span>
+								<?php endif; ?>
+								<?php foreach ( $alert['deliveries'] as $channel => $delivered ) : ?>
+									<span class="alert-delivery <?php echo esc_attr( $delivered ? 'alert-delivered' : 'alert-undelivered' ); ?>" title="<?php echo esc_attr( $delivered ? __( 'Delivered', 'carticy-ai-checkout-for-woocommerce' ) : __( 'Delivery failed', 'carticy-ai-checkout-for-woocommerce' ) ); ?>">
+										<?php echo esc_html( $channel_labels[ $channel ] ?? $channel ); ?>
+									</span>
+								<?php endforeach; ?>
+							</td>
+						</tr>
+					<?php endforeach; ?>
+				</tbody>
+			</table>
+		<?php endif; ?>
+	</div>
+</div>
@@ -2,6 +2,9 @@
 /**
  * API Logs Tab Template
  *
+ * Log explorer over the carticy-api log files. Entries are loaded, filtered and
+ * paginated through AJAX by admin-logs-viewer.js.
+ *
  * @package Carticy\AiCheckout
  *
  * phpcs:disable WordPress.NamingConventions.PrefixAllGlobals.NonPrefixedVariableFound -- Template variables from parent scope.
@@ -13,221 +16,117 @@ if ( ! defined( 'ABSPATH' ) ) {
 	exit;
 }
 
-$entries    = $data['entries'] ?? array();
-$file_count = $data['file_count'] ?? 0;
-$pagination = $data['pagination'] ?? array(
-	'current_page'  => 1,
-	'per_page'      => 25,
-	'total_entries' => 0,
-	'total_pages'   => 1,
-);
-
-$start_entry = $pagination['total_entries'] > 0 ? ( ( $pagination['current_page'] - 1 ) * $pagination['per_page'] ) + 1 : 0;
-$end_entry   = min( $start_entry + count( $entries ) - 1, $pagination['total_entries'] );
+$endpoints      = $data['endpoints'] ?? array();
+$methods        = $data['methods'] ?? array();
+$status_classes = $data['status_classes'] ?? array();
+$file_count     = $data['file_count'] ?? 0;
 ?>
 
 <div class="api-logs-tab">
-	<div class="logs-header" style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 15px;">
+	<div class="logs-header">
 		<div>
-			<h2 style="margin: 0 0 5px 0;"><?php esc_html_e( 'API Request Logs', 'carticy-ai-checkout-for-woocommerce' ); ?></h2>
-			<p class="description" style="margin: 0;">
+			<h2><?php esc_html_e( 'API Request Logs', 'carticy-ai-checkout-for-woocommerce' ); ?></h2>
+			<p class="description">
+				<?php esc_html_e( 'Authenticated API requests with their headers and bodies, read from the carticy-api log files. Requests are only logged while WP_DEBUG is enabled.', 'carticy-ai-checkout-for-woocommerce' ); ?>
 				<?php
-				if ( $pagination['total_entries'] > 0 ) {
-					printf(
-						/* translators: 1: start entry number, 2: end entry number, 3: total entries, 4: log file count. */
-						esc_html__( 'Showing %1$d-%2$d of %3$d entries from %4$d log file(s).', 'carticy-ai-checkout-for-woocommerce' ),
-						absint( $start_entry ),
-						absint( $end_entry ),
-						absint( $pagination['total_entries'] ),
-						absint( $file_count )
-					);
-				} else {
-					printf(
-						/* translators: %d: number of log files. */
-						esc_html__( '%d log file(s) available.', 'carticy-ai-checkout-for-woocommerce' ),
-						absint( $file_count )
-					);
-				}
+				printf(
+					/* translators: %d: number of log files. */
+					esc_html__( 'Filters and exports cover the %d log files still kept by WooCommerce, which deletes logs older than its log retention period.', 'carticy-ai-checkout-for-woocommerce' ),
+					absint( $file_count )
+				);
 				?>
 			</p>
 		</div>
-		<?php if ( $pagination['total_entries'] > 0 ) : ?>
-			<div class="logs-per-page" style="display: flex; align-items: center; gap: 8px; white-space: nowrap;">
-				<label for="logs-per-page-select" style="margin: 0;"><?php esc_html_e( 'Show:', 'carticy-ai-checkout-for-woocommerce' ); ?></label>
-				<select id="logs-per-page-select" onchange="window.location.href=this.value;">
-					<?php
-					$carticy_per_page_options = array( 10, 25, 50, 100 );
-					foreach ( $carticy_per_page_options as $carticy_option ) {
-						$carticy_url      = add_query_arg(
-							array(
-								'page'     => 'carticy-ai-checkout-logs',
-								'tab'      => 'api',
-								'per_page' => $carticy_option,
-								'paged'    => 1,
-							),
-							admin_url( 'admin.php' )
-						);
-						$carticy_selected = $pagination['per_page'] === $carticy_option ? 'selected' : '';
-						printf(
-							'<option value="%s" %s>%d %s</option>',
-							esc_url( $carticy_url ),
-							esc_attr( $carticy_selected ),
-							absint( $carticy_option ),
-							esc_html__( 'entries', 'carticy-ai-checkout-for-woocommerce' )
-						);
-					}
-					?>
-				</select>
-			</div>
-		<?php endif; ?>
-	</div>
-
-	<?php if ( empty( $entries ) ) : ?>
-		<div class="notice notice-info inline">
-			<p><?php esc_html_e( 'No API logs found. Logs will appear here when API requests are made.', 'carticy-ai-checkout-for-woocommerce' ); ?></p>
+		<div class="logs-actions">
+			<button type="button" class="button api-logs-export" data-format="csv">
+				<?php esc_html_e( 'Export CSV', 'carticy-ai-checkout-for-woocommerce' ); ?>
+			</button>
+			<button type="button" class="button api-logs-export" data-format="ndjson">
+				<?php esc_html_e( 'Export NDJSON', 'carticy-ai-checkout-for-woocommerce' ); ?>
+			</button>
 		</div>
-	<?php else : ?>
-		<table class="wp-list-table widefat fixed striped api-logs-table">
-			<thead>
-				<tr>
-					<th class="column-timestamp"><?php esc_html_e( 'Timestamp', 'carticy-ai-checkout-for-woocommerce' ); ?></th>
-					<th class="column-level"><?php esc_html_e( 'Level', 'carticy-ai-checkout-for-woocommerce' ); ?></th>
-					<th class="column-endpoint"><?php esc_html_e( 'Endpoint', 'carticy-ai-checkout-for-woocommerce' ); ?></th>
-					<th class="column-method"><?php esc_html_e( 'Method', 'carticy-ai-checkout-for-woocommerce' ); ?></th>
-					<th class="column-status"><?php esc_html_e( 'Status', 'carticy-ai-checkout-for-woocommerce' ); ?></th>
-					<th class="column-duration"><?php esc_html_e( 'Duration', 'carticy-ai-checkout-for-woocommerce' ); ?></th>
-					<th class="column-details"><?php esc_html_e( 'Details', 'carticy-ai-checkout-for-woocommerce' ); ?></th>
-				</tr>
-			</thead>
-			<tbody>
-				<?php foreach ( $entries as $entry ) : ?>
-					<?php
-					$context       = $entry['context']['context'] ?? array();
-					$endpoint      = $context['endpoint'] ?? 'N/A';
-					$method        = strtoupper( $context['method'] ?? 'N/A' );
-					$status_code   = $context['status_code'] ?? 0;
-					$duration      = $context['duration'] ?? 0;
-					$level         = strtoupper( $entry['level'] ?? 'info' );
-					$request_data  = $context['request'] ?? null;
-					$response_data = $context['response'] ?? null;
-
-					$level_class = match ( strtolower( $level ) ) {
-						'error' => 'log-level-error',
-						'warning' => 'log-level-warning',
-						'info' => 'log-level-info',
-						default => 'log-level-debug',
-					};
-
-					$status_class = $status_code >= 500 ? 'status-error' :
-									( $status_code >= 400 ? 'status-warning' : 'status-success' );
+	</div>
 
-					// Use clean message (context JSON already removed by LoggingService)
-					$clean_message = $entry['message'];
-	?>
-					<tr>
-						<td class="column-timestamp"><?php echo esc_html( $entry['timestamp'] ); ?></td>
-						<td class="column-level"><span class="log-level <?php echo esc_attr( $level_class ); ?>"><?php echo esc_html( $level ); ?></span></td>
-						<td class="column-endpoint"><code><?php echo esc_html( $endpoint ); ?></code></td>
-						<td class="column-method"><span class="http-method"><?php echo esc_html( $method ); ?></span></td>
-						<td class="column-status"><span class="status-code <?php echo esc_attr( $status_class ); ?>"><?php echo esc_html( $status_code ); ?></span></td>
-						<td class="column-duration"><?php echo esc_html( sprintf( '%.3fs', $duration ) ); ?></td>
-						<td class="column-details">
-							<?php if ( null !== $request_data || null !== $response_data ) : ?>
-								<button type="button" class="button button-small view-api-context-btn"
-										data-request="<?php echo esc_attr( wp_json_encode( $request_data ) ); ?>"
-										data-response="<?php echo esc_attr( wp_json_encode( $response_data ) ); ?>"
-										data-endpoint="<?php echo esc_attr( $endpoint ); ?>">
-									<?php esc_html_e( 'View Context', 'carticy-ai-checkout-for-woocommerce' ); ?>
-								</button>
-							<?php else : ?>
-								<span class="description"><?php esc_html_e( 'No data', 'carticy-ai-checkout-for-woocommerce' ); ?></span>
-							<?php endif; ?>
-						</td>
-					</tr>
+	<form id="api-log-filters" class="api-log-filters">
+		<label>
+			<span><?php esc_html_e( 'Endpoint', 'carticy-ai-checkout-for-woocommerce' ); ?></span>
+			<select name="endpoint">
+				<option value=""><?php esc_html_e( 'All endpoints', 'carticy-ai-checkout-for-woocommerce' ); ?></option>
+				<?php foreach ( $endpoints as $endpoint ) : ?>
+					<option value="<?php echo esc_attr( $endpoint ); ?>"><?php echo esc_html( $endpoint ); ?></option>
 				<?php endforeach; ?>
-			</tbody>
-		</table>
-
-		<?php if ( $pagination['total_pages'] > 1 ) : ?>
-			<div class="tablenav bottom">
-				<div class="tablenav-pages">
-					<span class="displaying-num">
-						<?php
-						printf(
-							/* translators: %s: number of items. */
-							esc_html( _n( '%s item', '%s items', $pagination['total_entries'], 'carticy-ai-checkout-for-woocommerce' ) ),
-							esc_html( number_format_i18n( $pagination['total_entries'] ) )
-						);
-						?>
-					</span>
-					<?php
-					$base_url = add_query_arg(
-						array(
-							'page'     => 'carticy-ai-checkout-logs',
-							'tab'      => 'api',
-							'per_page' => $pagination['per_page'],
-						),
-						admin_url( 'admin.php' )
-					);
-
-					$prev_page = max( 1, $pagination['current_page'] - 1 );
-					$next_page = min( $pagination['total_pages'], $pagination['current_page'] + 1 );
+			</select>
+		</label>
+		<label>
+			<span><?php esc_html_e( 'Method', 'carticy-ai-checkout-for-woocommerce' ); ?></span>
+			<select name="method">
+				<option value=""><?php esc_html_e( 'All', 'carticy-ai-checkout-for-woocommerce' ); ?></option>
+				<?php foreach ( $methods as $method ) : ?>
+					<option value="<?php echo esc_attr( $method ); ?>"><?php echo esc_html( $method ); ?></option>
+				<?php endforeach; ?>
+			</select>
+		</label>
+		<label>
+			<span><?php esc_html_e( 'Status', 'carticy-ai-checkout-for-woocommerce' ); ?></span>
+			<select name="status_class">
+				<option value=""><?php esc_html_e( 'All', 'carticy-ai-checkout-for-woocommerce' ); ?></option>
+				<?php foreach ( $status_classes as $status_class ) : ?>
+					<option value="<?php echo esc_attr( $status_class ); ?>"><?php echo esc_html( $status_class ); ?></option>
+				<?php endforeach; ?>
+			</select>
+		</label>
+		<label>
+			<span><?php esc_html_e( 'From', 'carticy-ai-checkout-for-woocommerce' ); ?></span>
+			<input type="date" name="date_from">
+		</label>
+		<label>
+			<span><?php esc_html_e( 'To', 'carticy-ai-checkout-for-woocommerce' ); ?></span>
+			<input type="date" name="date_to">
+		</label>
+		<label class="api-log-search">
+			<span><?php esc_html_e( 'Search bodies', 'carticy-ai-checkout-for-woocommerce' ); ?></span>
+			<input type="search" name="search" placeholder="<?php esc_attr_e( 'e.g. cs_123 or out_of_stock', 'carticy-ai-checkout-for-woocommerce' ); ?>">
+		</label>
+		<label>
+			<span><?php esc_html_e( 'Show', 'carticy-ai-checkout-for-woocommerce' ); ?></span>
+			<select name="per_page">
+				<?php foreach ( array( 10, 25, 50, 100 ) as $per_page_option ) : ?>
+					<option value="<?php echo esc_attr( $per_page_option ); ?>" <?php selected( $per_page_option, 25 ); ?>><?php echo esc_html( $per_page_option ); ?></option>
+				<?php endforeach; ?>
+			</select>
+		</label>
+		<div class="api-log-filter-actions">
+			<button type="submit" class="button button-primary"><?php esc_html_e( 'Apply', 'carticy-ai-checkout-for-woocommerce' ); ?></button>
+			<button type="reset" class="button"><?php esc_html_e( 'Reset', 'carticy-ai-checkout-for-woocommerce' ); ?></button>
+		</div>
+	</form>
 
-					$prev_url  = add_query_arg( 'paged', $prev_page, $base_url );
-					$next_url  = add_query_arg( 'paged', $next_page, $base_url );
-					$first_url = add_query_arg( 'paged', 1, $base_url );
-					$last_url  = add_query_arg( 'paged', $pagination['total_pages'], $base_url );
+	<table class="wp-list-table widefat fixed striped api-logs-table">
+		<thead>
+			<tr>
+				<th class="column-timestamp"><?php esc_html_e( 'Timestamp', 'carticy-ai-checkout-for-woocommerce' ); ?></th>
+				<th class="column-endpoint"><?php esc_html_e( 'Endpoint', 'carticy-ai-checkout-for-woocommerce' ); ?></th>
+				<th class="column-method"><?php esc_html_e( 'Method', 'carticy-ai-checkout-for-woocommerce' ); ?></th>
+				<th class="column-status"><?php esc_html_e( 'Status', 'carticy-ai-checkout-for-woocommerce' ); ?></th>
+				<th class="column-duration"><?php esc_html_e( 'Duration', 'carticy-ai-checkout-for-woocommerce' ); ?></th>
+				<th class="column-details"><?php esc_html_e( 'Details', 'carticy-ai-checkout-for-woocommerce' ); ?></th>
+			</tr>
+		</thead>
+		<tbody id="api-logs-rows">
+			<tr class="api-logs-empty">
+				<td colspan="6"><?php esc_html_e( 'Loading...', 'carticy-ai-checkout-for-woocommerce' ); ?></td>
+			</tr>
+		</tbody>
+	</table>
 
-					$prev_class = $pagination['current_page'] <= 1 ? 'disabled' : '';
-					$next_class = $pagination['current_page'] >= $pagination['total_pages'] ? 'disabled' : '';
-					?>
-					<span class="pagination-links">
-						<a class="first-page button <?php echo esc_attr( $prev_class ); ?>"
-							href="<?php echo esc_url( $first_url ); ?>"
-							<?php echo $prev_class ? 'aria-disabled="true"' : ''; ?>>
-							<span class="screen-reader-text"><?php esc_html_e( 'First page', 'carticy-ai-checkout-for-woocommerce' ); ?></span>
-							<span aria-hidden="true">&laquo;</span>
-						</a>
-						<a class="prev-page button <?php echo esc_attr( $prev_class ); ?>"
-							href="<?php echo esc_url( $prev_url ); ?>"
-							<?php echo $prev_class ? 'aria-disabled="true"' : ''; ?>>
-							<span class="screen-reader-text"><?php esc_html_e( 'Previous page', 'carticy-ai-checkout-for-woocommerce' ); ?></span>
-							<span aria-hidden="true">&lsaquo;</span>
-						</a>
-						<span class="paging-input">
-							<label for="current-page-selector" class="screen-reader-text"><?php esc_html_e( 'Current Page', 'carticy-ai-checkout-for-woocommerce' ); ?></label>
-							<input class="current-page" id="current-page-selector"
-									type="text"
-									name="paged"
-									value="<?php echo esc_attr( $pagination['current_page'] ); ?>"
-									size="<?php echo absint( strlen( (string) $pagination['total_pages'] ) ); ?>"
-									aria-describedby="table-paging" />
-							<span class="tablenav-paging-text">
-								<?php
-								printf(
-									/* translators: %s: total number of pages. */
-									esc_html__( 'of %s', 'carticy-ai-checkout-for-woocommerce' ),
-									'<span class="total-pages">' . esc_html( number_format_i18n( $pagination['total_pages'] ) ) . '</span>'
-								);
-								?>
-							</span>
-						</span>
-						<a class="next-page button <?php echo esc_attr( $next_class ); ?>"
-							href="<?php echo esc_url( $next_url ); ?>"
-							<?php echo $next_class ? 'aria-disabled="true"' : ''; ?>>
-							<span class="screen-reader-text"><?php esc_html_e( 'Next page', 'carticy-ai-checkout-for-woocommerce' ); ?></span>
-							<span aria-hidden="true">&rsaquo;</span>
-						</a>
-						<a class="last-page button <?php echo esc_attr( $next_class ); ?>"
-							href="<?php echo esc_url( $last_url ); ?>"
-							<?php echo $next_class ? 'aria-disabled="true"' : ''; ?>>
-							<span class="screen-reader-text"><?php esc_html_e( 'Last page', 'carticy-ai-checkout-for-woocommerce' ); ?></span>
-							<span aria-hidden="true">&raquo;</span>
-						</a>
-					</span>
-				</div>
-			</div>
-		<?php endif; ?>
-	<?php endif; ?>
+	<div class="tablenav bottom">
+		<div class="tablenav-pages">
+			<span class="pagination-links">
+				<button type="button" class="button api-logs-page" data-page="first" aria-label="<?php esc_attr_e( 'First page', 'carticy-ai-checkout-for-woocommerce' ); ?>">&laquo;</button>
+				<button type="button" class="button api-logs-page" data-page="prev" aria-label="<?php esc_attr_e( 'Previous page', 'carticy-ai-checkout-for-woocommerce' ); ?>">&lsaquo;</button>
+				<span class="paging-input"><span class="api-logs-page-info"></span></span>
+				<button type="button" class="button api-logs-page" data-page="next" aria-label="<?php esc_attr_e( 'Next page', 'carticy-ai-checkout-for-woocommerce' ); ?>">&rsaquo;</button>
+			</span>
+		</div>
+	</div>
 </div>
-
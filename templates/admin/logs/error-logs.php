@@ -45,6 +45,7 @@ $selected_category = $data['selected_category'] ?? null;
 					'api'        => __( 'API', 'carticy-ai-checkout-for-woocommerce' ),
 					'webhook'    => __( 'Webhook', 'carticy-ai-checkout-for-woocommerce' ),
 					'validation' => __( 'Validation', 'carticy-ai-checkout-for-woocommerce' ),
+					'shipping'   => __( 'Shipping', 'carticy-ai-checkout-for-woocommerce' ),
 					'system'     => __( 'System', 'carticy-ai-checkout-for-woocommerce' ),
 				);
 				foreach ( $categories as $category_id => $cat_label ) :
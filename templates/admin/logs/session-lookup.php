@@ -0,0 +1,26 @@
+<?php
+/**
+ * Session Lookup Form Template
+ *
+ * Opens the timeline of a checkout session by ID.
+ *
+ * @package Carticy\AiCheckout
+ *
+ * phpcs:disable WordPress.NamingConventions.PrefixAllGlobals.NonPrefixedVariableFound -- Template variables from parent scope.
+ *
+ * @var string $session_id Current session ID (optional)
+ */
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+?>
+
+<form method="get" action="<?php echo esc_url( admin_url( 'admin.php' ) ); ?>" class="session-lookup">
+	<input type="hidden" name="page" value="carticy-ai-checkout-logs">
+	<input type="hidden" name="tab" value="session">
+	<?php wp_nonce_field( 'carticy_logs_tab', '_wpnonce', false ); ?>
+	<label for="session-lookup-id"><?php esc_html_e( 'Session ID', 'carticy-ai-checkout-for-woocommerce' ); ?></label>
+	<input type="text" id="session-lookup-id" name="session_id" class="regular-text code" value="<?php echo esc_attr( $session_id ?? '' ); ?>" required>
+	<button type="submit" class="button"><?php esc_html_e( 'View Timeline', 'carticy-ai-checkout-for-woocommerce' ); ?></button>
+</form>
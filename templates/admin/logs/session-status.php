@@ -19,12 +19,34 @@ $status_counts   = $data['status_counts'] ?? array();
 $recent_sessions = $data['recent_sessions'] ?? array();
 $performance     = $data['performance'] ?? array();
 $system_health   = $data['system_health'] ?? array();
+
+$live_figures = array(
+	'active_sessions'      => __( 'Active Sessions', 'carticy-ai-checkout-for-woocommerce' ),
+	'requests_per_minute'  => __( 'Requests / Minute', 'carticy-ai-checkout-for-woocommerce' ),
+	'latency_p50'          => __( 'p50 Latency', 'carticy-ai-checkout-for-woocommerce' ),
+	'latency_p95'          => __( 'p95 Latency', 'carticy-ai-checkout-for-woocommerce' ),
+	'latency_p99'          => __( 'p99 Latency', 'carticy-ai-checkout-for-woocommerce' ),
+	'errors'               => __( 'Errors', 'carticy-ai-checkout-for-woocommerce' ),
+	'webhook_failures'     => __( 'Failed Webhooks', 'carticy-ai-checkout-for-woocommerce' ),
+	'webhook_failure_rate' => __( 'Webhook Failure Rate', 'carticy-ai-checkout-for-woocommerce' ),
+);
 ?>
 
 <div class="session-status-tab">
 	<div class="logs-header">
 		<h2><?php esc_html_e( 'Session Status & Performance', 'carticy-ai-checkout-for-woocommerce' ); ?></h2>
 		<div class="logs-actions">
+			<label class="session-live-toggle">
+				<input type="checkbox" id="session-live-mode">
+				<?php esc_html_e( 'Live mode', 'carticy-ai-checkout-for-woocommerce' ); ?>
+			</label>
+			<label for="session-live-interval" class="screen-reader-text"><?php esc_html_e( 'Refresh interval', 'carticy-ai-checkout-for-woocommerce' ); ?></label>
+			<select id="session-live-interval">
+				<option value="5"><?php esc_html_e( 'Every 5 seconds', 'carticy-ai-checkout-for-woocommerce' ); ?></option>
+				<option value="15" selected><?php esc_html_e( 'Every 15 seconds', 'carticy-ai-checkout-for-woocommerce' ); ?></option>
+				<option value="30"><?php esc_html_e( 'Every 30 seconds', 'carticy-ai-checkout-for-woocommerce' ); ?></option>
+				<option value="60"><?php esc_html_e( 'Every minute', 'carticy-ai-checkout-for-woocommerce' ); ?></option>
+			</select>
 			<a href="
 			<?php
 			echo esc_url(
@@ -47,13 +69,41 @@ $system_health   = $data['system_health'] ?? array();
 		</div>
 	</div>
 
+	<?php require CARTICY_AI_CHECKOUT_DIR . 'templates/admin/logs/session-lookup.php'; ?>
+
+	<div class="session-live" id="session-live" hidden>
+		<h3>
+			<?php
+			printf(
+				/* translators: %d: number of minutes */
+				esc_html( _n( 'Live (Last %d Minute)', 'Live (Last %d Minutes)', \Carticy\AiCheckout\Admin\LogsViewer::LIVE_WINDOW, 'carticy-ai-checkout-for-woocommerce' ) ),
+				(int) \Carticy\AiCheckout\Admin\LogsViewer::LIVE_WINDOW
+			);
+			?>
+			<span class="session-live-updated" id="session-live-updated"></span>
+		</h3>
+		<p class="description">
+			<?php esc_html_e( 'Figures breaching the threshold of an enabled alert rule that covers all traffic are highlighted. The sparklines keep the history of this browser tab only.', 'carticy-ai-checkout-for-woocommerce' ); ?>
+		</p>
+		<div class="stats-grid">
+			<?php foreach ( $live_figures as $figure => $label ) : ?>
+				<div class="stat-card session-live-card" data-live-metric="<?php echo esc_attr( $figure ); ?>">
+					<span class="stat-label"><?php echo esc_html( $label ); ?></span>
+					<span class="stat-value">&mdash;</span>
+					<span class="session-live-threshold description"></span>
+					<div class="session-live-sparkline"></div>
+				</div>
+			<?php endforeach; ?>
+		</div>
+	</div>
+
 	<div class="session-overview">
 		<h3><?php esc_html_e( 'Session Status Overview', 'carticy-ai-checkout-for-woocommerce' ); ?></h3>
 
 		<div class="stats-grid">
 			<div class="stat-card stat-large">
 				<span class="stat-label"><?php esc_html_e( 'Currently Active Checkout Sessions', 'carticy-ai-checkout-for-woocommerce' ); ?></span>
-				<span class="stat-value-large"><?php echo esc_html( $active_count ); ?></span>
+				<span class="stat-value-large" data-live-count="active_count"><?php echo esc_html( $active_count ); ?></span>
 			</div>
 		</div>
 
@@ -62,35 +112,35 @@ $system_health   = $data['system_health'] ?? array();
 			<div class="stats-grid status-breakdown">
 				<div class="stat-card">
 					<span class="stat-label"><?php esc_html_e( 'Total Sessions', 'carticy-ai-checkout-for-woocommerce' ); ?></span>
-					<span class="stat-value"><?php echo esc_html( $total_count ); ?></span>
+					<span class="stat-value" data-live-count="total_count"><?php echo esc_html( $total_count ); ?></span>
 				</div>
 				<div class="stat-card">
 					<span class="stat-label"><?php esc_html_e( 'Active', 'carticy-ai-checkout-for-woocommerce' ); ?></span>
-					<span class="stat-value" style="color: #007017;"><?php echo esc_html( $status_counts['active'] ?? 0 ); ?></span>
+					<span class="stat-value" data-live-count="active" style="color: #007017;"><?php echo esc_html( $status_counts['active'] ?? 0 ); ?></span>
 				</div>
 				<div class="stat-card">
 					<span class="stat-label"><?php esc_html_e( 'Completed', 'carticy-ai-checkout-for-woocommerce' ); ?></span>
-					<span class="stat-value" style="color: #007017;"><?php echo esc_html( $status_counts['completed'] ?? 0 ); ?></span>
+					<span class="stat-value" data-live-count="completed" style="color: #007017;"><?php echo esc_html( $status_counts['completed'] ?? 0 ); ?></span>
 				</div>
 				<div class="stat-card">
 					<span class="stat-label"><?php esc_html_e( 'Failed', 'carticy-ai-checkout-for-woocommerce' ); ?></span>
-					<span class="stat-value" style="color: #d63638;"><?php echo esc_html( $status_counts['failed'] ?? 0 ); ?></span>
+					<span class="stat-value" data-live-count="failed" style="color: #d63638;"><?php echo esc_html( $status_counts['failed'] ?? 0 ); ?></span>
 				</div>
 				<div class="stat-card">
 					<span class="stat-label"><?php esc_html_e( 'Cancelled', 'carticy-ai-checkout-for-woocommerce' ); ?></span>
-					<span class="stat-value" style="color: #646970;"><?php echo esc_html( $status_counts['cancelled'] ?? 0 ); ?></span>
+					<span class="stat-value" data-live-count="cancelled" style="color: #646970;"><?php echo esc_html( $status_counts['cancelled'] ?? 0 ); ?></span>
 				</div>
 				<div class="stat-card">
 					<span class="stat-label"><?php esc_html_e( 'Refunded', 'carticy-ai-checkout-for-woocommerce' ); ?></span>
-					<span class="stat-value" style="color: #d63638;"><?php echo esc_html( $status_counts['refunded'] ?? 0 ); ?></span>
+					<span class="stat-value" data-live-count="refunded" style="color: #d63638;"><?php echo esc_html( $status_counts['refunded'] ?? 0 ); ?></span>
 				</div>
 				<div class="stat-card">
 					<span class="stat-label"><?php esc_html_e( 'Expired', 'carticy-ai-checkout-for-woocommerce' ); ?></span>
-					<span class="stat-value" style="color: #646970;"><?php echo esc_html( $status_counts['expired'] ?? 0 ); ?></span>
+					<span class="stat-value" data-live-count="expired" style="color: #646970;"><?php echo esc_html( $status_counts['expired'] ?? 0 ); ?></span>
 				</div>
 				<div class="stat-card">
 					<span class="stat-label"><?php esc_html_e( 'Unknown', 'carticy-ai-checkout-for-woocommerce' ); ?></span>
-					<span class="stat-value" style="color: #646970;"><?php echo esc_html( $status_counts['unknown'] ?? 0 ); ?></span>
+					<span class="stat-value" data-live-count="unknown" style="color: #646970;"><?php echo esc_html( $status_counts['unknown'] ?? 0 ); ?></span>
 				</div>
 			</div>
 		<?php endif; ?>
@@ -127,7 +177,11 @@ $system_health   = $data['system_health'] ?? array();
 						};
 	?>
 						<tr>
-							<td><code><?php echo esc_html( substr( $session['session_id'], 0, 20 ) ) . '...'; ?></code></td>
+							<td>
+								<a href="<?php echo esc_url( \Carticy\AiCheckout\Admin\LogsViewer::get_session_timeline_url( $session['session_id'] ) ); ?>" title="<?php esc_attr_e( 'View timeline', 'carticy-ai-checkout-for-woocommerce' ); ?>">
+									<code><?php echo esc_html( substr( $session['session_id'], 0, 20 ) ) . '...'; ?></code>
+								</a>
+							</td>
 							<td>
 								<span class="status-indicator <?php echo esc_attr( $status_class ); ?>">
 									<?php echo esc_html( ucfirst( $session['status'] ) ); ?>
@@ -0,0 +1,171 @@
+<?php
+/**
+ * Session Timeline Template
+ *
+ * Chronological view of the API calls, webhook deliveries and order notes of a single checkout session.
+ *
+ * @package Carticy\AiCheckout
+ *
+ * phpcs:disable WordPress.NamingConventions.PrefixAllGlobals.NonPrefixedVariableFound -- Template variables from parent scope.
+ *
+ * @var array $data Session timeline data
+ */
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+$session_id = $data['session_id'] ?? '';
+$session    = $data['session'] ?? null;
+$events     = $data['events'] ?? array();
+$order      = $data['order'] ?? null;
+
+$action_labels = array(
+	'create'   => __( 'Session created', 'carticy-ai-checkout-for-woocommerce' ),
+	'retrieve' => __( 'Session retrieved', 'carticy-ai-checkout-for-woocommerce' ),
+	'update'   => __( 'Session updated', 'carticy-ai-checkout-for-woocommerce' ),
+	'complete' => __( 'Session completed', 'carticy-ai-checkout-for-woocommerce' ),
+	'cancel'   => __( 'Session cancelled', 'carticy-ai-checkout-for-woocommerce' ),
+);
+?>
+
+<div class="session-timeline-tab">
+	<div class="logs-header">
+		<h2><?php esc_html_e( 'Session Timeline', 'carticy-ai-checkout-for-woocommerce' ); ?></h2>
+		<div class="logs-actions">
+			<a href="
+			<?php
+			echo esc_url(
+				add_query_arg(
+					array(
+						'page'     => 'carticy-ai-checkout-logs',
+						'tab'      => 'sessions',
+						'_wpnonce' => wp_create_nonce( 'carticy_logs_tab' ),
+					),
+					admin_url( 'admin.php' )
+				)
+			);
+			?>
+			"
+				class="button">
+				<?php esc_html_e( 'Back to Sessions', 'carticy-ai-checkout-for-woocommerce' ); ?>
+			</a>
+		</div>
+	</div>
+
+	<?php require CARTICY_AI_CHECKOUT_DIR . 'templates/admin/logs/session-lookup.php'; ?>
+
+	<?php if ( '' === $session_id ) : ?>
+		<p class="description">
+			<?php esc_html_e( 'Enter a checkout session ID to see its API calls, webhook deliveries and order notes in order.', 'carticy-ai-checkout-for-woocommerce' ); ?>
+		</p>
+	<?php else : ?>
+		<div class="session-summary">
+			<p>
+				<strong><?php esc_html_e( 'Session ID:', 'carticy-ai-checkout-for-woocommerce' ); ?></strong>
+				<code><?php echo esc_html( $session_id ); ?></code>
+			</p>
+			<p>
+				<strong><?php esc_html_e( 'Status:', 'carticy-ai-checkout-for-woocommerce' ); ?></strong>
+				<?php if ( $session ) : ?>
+					<span class="status-indicator <?php echo esc_attr( 'active' === ( $session['status'] ?? '' ) ? 'status-active' : 'status-inactive' ); ?>">
+						<?php echo esc_html( ucfirst( $session['status'] ?? 'unknown' ) ); ?>
+					</span>
+				<?php else : ?>
+					<span class="description"><?php esc_html_e( 'Expired (session data is no longer stored)', 'carticy-ai-checkout-for-woocommerce' ); ?></span>
+				<?php endif; ?>
+			</p>
+			<?php if ( $order ) : ?>
+				<p>
+					<strong><?php esc_html_e( 'Order:', 'carticy-ai-checkout-for-woocommerce' ); ?></strong>
+					<a href="<?php echo esc_url( $order->get_edit_order_url() ); ?>">
+						<?php echo esc_html( '#' . $order->get_order_number() ); ?>
+					</a>
+					(<?php echo esc_html( wc_get_order_status_name( $order->get_status() ) ); ?>)
+				</p>
+			<?php endif; ?>
+		</div>
+
+		<?php if ( empty( $events ) ) : ?>
+			<p class="description">
+				<?php esc_html_e( 'No events recorded for this session. Events are kept for 7 days after the last API call or webhook.', 'carticy-ai-checkout-for-woocommerce' ); ?>
+			</p>
+		<?php else : ?>
+			<ol class="session-timeline">
+				<?php foreach ( $events as $event ) : ?>
+					<?php
+					$event_type = $event['type'] ?? 'api';
+					$payload    = array();
+
+					switch ( $event_type ) {
+						case 'webhook':
+							$icon  = 'dashicons-megaphone';
+							$title = sprintf(
+								/* translators: 1: webhook event type, 2: attempt number */
+								__( 'Webhook %1$s (attempt %2$d)', 'carticy-ai-checkout-for-woocommerce' ),
+								$event['event_type'] ?? '',
+								$event['attempt'] ?? 1
+							);
+							$payload = array(
+								'url'     => $event['url'] ?? '',
+								'payload' => $event['payload'] ?? array(),
+							);
+							if ( ! empty( $event['error'] ) ) {
+								$payload['error'] = $event['error'];
+							}
+							break;
+
+						case 'order':
+							$icon  = 'dashicons-cart';
+							$title = $event['customer_note'] ? __( 'Note to customer', 'carticy-ai-checkout-for-woocommerce' ) : __( 'Order note', 'carticy-ai-checkout-for-woocommerce' );
+							break;
+
+						default:
+							$icon    = 'dashicons-rest-api';
+							$title   = $action_labels[ $event['action'] ?? '' ] ?? ( $event['action'] ?? '' );
+							$payload = array(
+								'request'  => $event['request'] ?? null,
+								'response' => $event['response'] ?? null,
+							);
+							break;
+					}
+
+					$status_code  = (int) ( $event['status_code'] ?? 0 );
+					$status_class = $status_code >= 500 || ( 0 === $status_code && empty( $event['success'] ) ) ? 'status-error' : ( $status_code >= 400 ? 'status-warning' : 'status-success' );
+					?>
+					<li class="timeline-event timeline-event-<?php echo esc_attr( $event_type ); ?>">
+						<span class="timeline-icon dashicons <?php echo esc_attr( $icon ); ?>"></span>
+						<div class="timeline-body">
+							<div class="timeline-header">
+								<span class="timeline-time"><?php echo esc_html( wp_date( 'Y-m-d H:i:s', $event['timestamp'] ) ); ?></span>
+								<strong class="timeline-title"><?php echo esc_html( $title ); ?></strong>
+								<?php if ( 'api' === $event_type ) : ?>
+									<code><?php echo esc_html( ( $event['method'] ?? '' ) . ' ' . ( $event['route'] ?? '' ) ); ?></code>
+								<?php endif; ?>
+								<?php if ( 'order' !== $event_type ) : ?>
+									<span class="status-code <?php echo esc_attr( $status_class ); ?>">
+										<?php echo esc_html( $status_code ? $status_code : __( 'Failed', 'carticy-ai-checkout-for-woocommerce' ) ); ?>
+									</span>
+								<?php endif; ?>
+							</div>
+
+							<?php if ( 'order' === $event_type ) : ?>
+								<p class="timeline-note">
+									<?php echo esc_html( $event['content'] ?? '' ); ?>
+									<?php if ( ! empty( $event['added_by'] ) && 'system' !== $event['added_by'] ) : ?>
+										<span class="description">&mdash; <?php echo esc_html( $event['added_by'] ); ?></span>
+									<?php endif; ?>
+								</p>
+							<?php else : ?>
+								<details class="timeline-payload">
+									<summary><?php esc_html_e( 'Payload', 'carticy-ai-checkout-for-woocommerce' ); ?></summary>
+									<pre><?php echo esc_html( wp_json_encode( $payload, JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES ) ); ?></pre>
+								</details>
+							<?php endif; ?>
+						</div>
+					</li>
+				<?php endforeach; ?>
+			</ol>
+		<?php endif; ?>
+	<?php endif; ?>
+</div>
@@ -79,6 +79,9 @@ $retry_queue = $data['retry_queue'] ?? array();
 					count( $retry_queue )
 				);
 				?>
+				<button type="button" class="button button-small" id="retry-selected-webhooks" disabled>
+					<?php esc_html_e( 'Retry Selected', 'carticy-ai-checkout-for-woocommerce' ); ?>
+				</button>
 				<a href="
 				<?php
 				echo esc_url(
@@ -99,6 +102,52 @@ $retry_queue = $data['retry_queue'] ?? array();
 					<?php esc_html_e( 'Clear Queue', 'carticy-ai-checkout-for-woocommerce' ); ?>
 				</a>
 			</p>
+
+			<table class="wp-list-table widefat fixed striped retry-queue-table">
+				<thead>
+					<tr>
+						<td class="check-column"><input type="checkbox" id="retry-queue-select-all" aria-label="<?php esc_attr_e( 'Select all', 'carticy-ai-checkout-for-woocommerce' ); ?>"></td>
+						<th><?php esc_html_e( 'Queued', 'carticy-ai-checkout-for-woocommerce' ); ?></th>
+						<th><?php esc_html_e( 'Event Type', 'carticy-ai-checkout-for-woocommerce' ); ?></th>
+						<th><?php esc_html_e( 'Session', 'carticy-ai-checkout-for-woocommerce' ); ?></th>
+						<th><?php esc_html_e( 'Last Attempt', 'carticy-ai-checkout-for-woocommerce' ); ?></th>
+						<th><?php esc_html_e( 'Actions', 'carticy-ai-checkout-for-woocommerce' ); ?></th>
+						<th><?php esc_html_e( 'Result', 'carticy-ai-checkout-for-woocommerce' ); ?></th>
+					</tr>
+				</thead>
+				<tbody>
+					<?php foreach ( $retry_queue as $index => $queued ) : ?>
+						<?php
+						$queued_payload    = $queued['payload'] ?? array();
+						$queued_session_id = $queued_payload['data']['checkout_session_id'] ?? ( $queued_payload['session_id'] ?? '' );
+						?>
+						<tr class="retry-queue-row" data-index="<?php echo esc_attr( $index ); ?>">
+							<th scope="row" class="check-column"><input type="checkbox" class="retry-queue-select"></th>
+							<td><?php echo esc_html( ! empty( $queued['queued_at'] ) ? wp_date( 'Y-m-d H:i:s', $queued['queued_at'] ) : 'N/A' ); ?></td>
+							<td><code><?php echo esc_html( $queued['event_type'] ?? '' ); ?></code></td>
+							<td>
+								<?php if ( $queued_session_id ) : ?>
+									<a href="<?php echo esc_url( \Carticy\AiCheckout\Admin\LogsViewer::get_session_timeline_url( $queued_session_id ) ); ?>"><code><?php echo esc_html( substr( $queued_session_id, 0, 12 ) ) . '...'; ?></code></a>
+								<?php else : ?>
+									<span class="description">&mdash;</span>
+								<?php endif; ?>
+							</td>
+							<td>
+								<?php echo esc_html( $queued['last_attempt'] ?? 0 ); ?>
+								<?php if ( ! empty( $queued['last_error'] ) ) : ?>
+									<br><small class="description"><?php echo esc_html( $queued['last_error'] ); ?></small>
+								<?php endif; ?>
+							</td>
+							<td class="retry-queue-actions">
+								<button type="button" class="button button-small retry-webhook-btn"><?php esc_html_e( 'Retry now', 'carticy-ai-checkout-for-woocommerce' ); ?></button>
+								<button type="button" class="button button-small replay-webhook-btn"><?php esc_html_e( 'Replay to URL', 'carticy-ai-checkout-for-woocommerce' ); ?></button>
+								<button type="button" class="button-link view-signed-webhook-btn"><?php esc_html_e( 'View signed payload', 'carticy-ai-checkout-for-woocommerce' ); ?></button>
+							</td>
+							<td class="retry-queue-result"></td>
+						</tr>
+					<?php endforeach; ?>
+				</tbody>
+			</table>
 		</div>
 	<?php endif; ?>
 
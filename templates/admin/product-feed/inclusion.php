@@ -0,0 +1,140 @@
+<?php
+/**
+ * Product Feed Inclusion Rules Tab Template
+ *
+ * @package Carticy\AiCheckout
+ *
+ * phpcs:disable WordPress.NamingConventions.PrefixAllGlobals.NonPrefixedVariableFound -- Template variables from parent scope.
+ *
+ * @var array $data Inclusion rules data
+ */
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+$rules          = $data['rules'] ?? array();
+$actions        = $data['actions'] ?? array();
+$categories     = $data['categories'] ?? array();
+$tags           = $data['tags'] ?? array();
+$stock_statuses = $data['stock_statuses'] ?? array();
+$job            = $data['job'] ?? null;
+
+// Rules are rendered for the saved rules and once more, with an __index__ placeholder, as the template of new rules.
+$render_rule = function ( string $index, array $rule ) use ( $actions, $categories, $tags, $stock_statuses ): void {
+	$name = \Carticy\AiCheckout\Services\FeedInclusionService::OPTION_RULES . '[' . $index . ']';
+	?>
+	<div class="feed-inclusion-rule" data-action="<?php echo esc_attr( $rule['action'] ); ?>">
+		<div class="feed-inclusion-rule-header">
+			<input type="hidden" name="<?php echo esc_attr( $name ); ?>[id]" value="<?php echo esc_attr( $rule['id'] ); ?>">
+			<label>
+				<input type="checkbox" name="<?php echo esc_attr( $name ); ?>[enabled]" value="1" <?php checked( $rule['enabled'] ); ?>>
+				<?php esc_html_e( 'On', 'carticy-ai-checkout-for-woocommerce' ); ?>
+			</label>
+			<select class="feed-inclusion-action" name="<?php echo esc_attr( $name ); ?>[action]" aria-label="<?php esc_attr_e( 'Action', 'carticy-ai-checkout-for-woocommerce' ); ?>">
+				<?php foreach ( $actions as $action => $label ) : ?>
+					<option value="<?php echo esc_attr( $action ); ?>" <?php selected( $rule['action'], $action ); ?>><?php echo esc_html( $label ); ?></option>
+				<?php endforeach; ?>
+			</select>
+			<input type="text" class="feed-inclusion-name" name="<?php echo esc_attr( $name ); ?>[name]" value="<?php echo esc_attr( $rule['name'] ); ?>" placeholder="<?php esc_attr_e( 'Rule name (optional)', 'carticy-ai-checkout-for-woocommerce' ); ?>" aria-label="<?php esc_attr_e( 'Name', 'carticy-ai-checkout-for-woocommerce' ); ?>">
+			<button type="button" class="button-link feed-inclusion-remove"><?php esc_html_e( 'Remove', 'carticy-ai-checkout-for-woocommerce' ); ?></button>
+		</div>
+
+		<div class="feed-inclusion-conditions">
+			<label>
+				<span><?php esc_html_e( 'Categories', 'carticy-ai-checkout-for-woocommerce' ); ?></span>
+				<select name="<?php echo esc_attr( $name ); ?>[categories][]" multiple size="4">
+					<?php foreach ( $categories as $term_id => $label ) : ?>
+						<option value="<?php echo esc_attr( $term_id ); ?>" <?php selected( in_array( (int) $term_id, $rule['categories'], true ) ); ?>><?php echo esc_html( $label ); ?></option>
+					<?php endforeach; ?>
+				</select>
+			</label>
+			<label>
+				<span><?php esc_html_e( 'Tags', 'carticy-ai-checkout-for-woocommerce' ); ?></span>
+				<select name="<?php echo esc_attr( $name ); ?>[tags][]" multiple size="4">
+					<?php foreach ( $tags as $term_id => $label ) : ?>
+						<option value="<?php echo esc_attr( $term_id ); ?>" <?php selected( in_array( (int) $term_id, $rule['tags'], true ) ); ?>><?php echo esc_html( $label ); ?></option>
+					<?php endforeach; ?>
+				</select>
+			</label>
+			<fieldset>
+				<legend><?php esc_html_e( 'Stock status', 'carticy-ai-checkout-for-woocommerce' ); ?></legend>
+				<?php foreach ( $stock_statuses as $status => $label ) : ?>
+					<label>
+						<input type="checkbox" name="<?php echo esc_attr( $name ); ?>[stock_statuses][]" value="<?php echo esc_attr( $status ); ?>" <?php checked( in_array( $status, $rule['stock_statuses'], true ) ); ?>>
+						<?php echo esc_html( $label ); ?>
+					</label>
+				<?php endforeach; ?>
+			</fieldset>
+			<fieldset>
+				<legend><?php esc_html_e( 'Price', 'carticy-ai-checkout-for-woocommerce' ); ?></legend>
+				<input type="number" class="small-text" name="<?php echo esc_attr( $name ); ?>[price_min]" value="<?php echo esc_attr( $rule['price_min'] ); ?>" min="0" step="any" placeholder="<?php esc_attr_e( 'Min', 'carticy-ai-checkout-for-woocommerce' ); ?>" aria-label="<?php esc_attr_e( 'Minimum price', 'carticy-ai-checkout-for-woocommerce' ); ?>">
+				&ndash;
+				<input type="number" class="small-text" name="<?php echo esc_attr( $name ); ?>[price_max]" value="<?php echo esc_attr( $rule['price_max'] ); ?>" min="0" step="any" placeholder="<?php esc_attr_e( 'Max', 'carticy-ai-checkout-for-woocommerce' ); ?>" aria-label="<?php esc_attr_e( 'Maximum price', 'carticy-ai-checkout-for-woocommerce' ); ?>">
+			</fieldset>
+			<label>
+				<span><?php esc_html_e( 'Min. quality score', 'carticy-ai-checkout-for-woocommerce' ); ?></span>
+				<input type="number" class="small-text" name="<?php echo esc_attr( $name ); ?>[min_quality]" value="<?php echo esc_attr( $rule['min_quality'] ? $rule['min_quality'] : '' ); ?>" min="0" max="100" placeholder="0">
+			</label>
+		</div>
+
+		<div class="feed-inclusion-matches" aria-live="polite"></div>
+	</div>
+	<?php
+};
+?>
+
+<div class="feed-inclusion-tab">
+	<h2><?php esc_html_e( 'Inclusion Rules', 'carticy-ai-checkout-for-woocommerce' ); ?></h2>
+	<p class="description">
+		<?php esc_html_e( 'Add products to the feed by rule instead of one by one. A rule matches products meeting all its conditions; empty conditions match every product. Products are in the feed when they match an include rule and no exclude rule. Rules are re-evaluated when they are saved and whenever a product changes.', 'carticy-ai-checkout-for-woocommerce' ); ?>
+	</p>
+	<p class="description">
+		<?php esc_html_e( 'After saving, the catalog is re-evaluated in batches in the background. You can leave this page; the progress bar only shows how far it has come.', 'carticy-ai-checkout-for-woocommerce' ); ?>
+	</p>
+
+	<div class="feed-inclusion-job" data-job="<?php echo esc_attr( (string) wp_json_encode( $job ) ); ?>"></div>
+	<p class="description">
+		<?php esc_html_e( 'Products enabled or disabled by hand keep their state. Use the "Follow inclusion rules" bulk action on the Products tab to hand them back to the rules.', 'carticy-ai-checkout-for-woocommerce' ); ?>
+	</p>
+
+	<form method="post" action="options.php" class="feed-inclusion-form">
+		<?php settings_fields( 'carticy_ai_checkout_feed_inclusion' ); ?>
+
+		<div class="feed-inclusion-rules">
+			<?php
+			foreach ( $rules as $index => $rule ) {
+				$render_rule( (string) $index, $rule );
+			}
+			?>
+		</div>
+
+		<template id="feed-inclusion-rule-template">
+			<?php
+			$render_rule(
+				'__index__',
+				array(
+					'id'             => '',
+					'name'           => '',
+					'action'         => \Carticy\AiCheckout\Services\FeedInclusionService::ACTION_INCLUDE,
+					'enabled'        => true,
+					'categories'     => array(),
+					'tags'           => array(),
+					'stock_statuses' => array( 'instock' ),
+					'price_min'      => '',
+					'price_max'      => '',
+					'min_quality'    => 0,
+				)
+			);
+			?>
+		</template>
+
+		<p>
+			<button type="button" class="button feed-inclusion-add"><?php esc_html_e( 'Add rule', 'carticy-ai-checkout-for-woocommerce' ); ?></button>
+		</p>
+
+		<div class="feed-inclusion-summary" aria-live="polite"></div>
+
+		<?php submit_button( __( 'Save Inclusion Rules', 'carticy-ai-checkout-for-woocommerce' ) ); ?>
+	</form>
+</div>
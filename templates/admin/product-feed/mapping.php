@@ -0,0 +1,144 @@
+<?php
+/**
+ * Product Feed Field Mapping Tab Template
+ *
+ * @package Carticy\AiCheckout
+ *
+ * phpcs:disable WordPress.NamingConventions.PrefixAllGlobals.NonPrefixedVariableFound -- Template variables from parent scope.
+ *
+ * @var array $data Field mapping data
+ */
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+$rules      = $data['rules'] ?? array();
+$fields     = $data['fields'] ?? array();
+$sources    = $data['sources'] ?? array();
+$attributes = $data['attributes'] ?? array();
+$taxonomies = $data['taxonomies'] ?? array();
+$meta_keys  = $data['meta_keys'] ?? array();
+$categories = $data['categories'] ?? array();
+$samples    = $data['samples'] ?? array();
+
+// Rows are rendered for the saved rules and once more, with an __index__ placeholder, as the template of new rules.
+$render_rule_row = function ( string $index, array $rule ) use ( $fields, $sources, $categories ): void {
+	$name = \Carticy\AiCheckout\Services\FeedMappingService::OPTION_RULES . '[' . $index . ']';
+	?>
+	<tr class="feed-mapping-rule" data-source="<?php echo esc_attr( $rule['source'] ); ?>">
+		<td>
+			<select name="<?php echo esc_attr( $name ); ?>[field]" aria-label="<?php esc_attr_e( 'Feed field', 'carticy-ai-checkout-for-woocommerce' ); ?>">
+				<?php foreach ( $fields as $field => $label ) : ?>
+					<option value="<?php echo esc_attr( $field ); ?>" <?php selected( $rule['field'], $field ); ?>><?php echo esc_html( $label ); ?></option>
+				<?php endforeach; ?>
+			</select>
+		</td>
+		<td>
+			<select class="feed-mapping-source" name="<?php echo esc_attr( $name ); ?>[source]" aria-label="<?php esc_attr_e( 'Source', 'carticy-ai-checkout-for-woocommerce' ); ?>">
+				<?php foreach ( $sources as $source => $label ) : ?>
+					<option value="<?php echo esc_attr( $source ); ?>" <?php selected( $rule['source'], $source ); ?>><?php echo esc_html( $label ); ?></option>
+				<?php endforeach; ?>
+			</select>
+			<input type="text" class="feed-mapping-key code" name="<?php echo esc_attr( $name ); ?>[key]" value="<?php echo esc_attr( $rule['key'] ); ?>" placeholder="<?php esc_attr_e( 'Name', 'carticy-ai-checkout-for-woocommerce' ); ?>" aria-label="<?php esc_attr_e( 'Attribute, meta key or taxonomy', 'carticy-ai-checkout-for-woocommerce' ); ?>">
+			<input type="text" class="feed-mapping-value" name="<?php echo esc_attr( $name ); ?>[value]" value="<?php echo esc_attr( $rule['value'] ); ?>" placeholder="<?php esc_attr_e( 'Value', 'carticy-ai-checkout-for-woocommerce' ); ?>" aria-label="<?php esc_attr_e( 'Static value', 'carticy-ai-checkout-for-woocommerce' ); ?>">
+		</td>
+		<td>
+			<select name="<?php echo esc_attr( $name ); ?>[category]" aria-label="<?php esc_attr_e( 'Product category', 'carticy-ai-checkout-for-woocommerce' ); ?>">
+				<option value="0"><?php esc_html_e( 'All categories', 'carticy-ai-checkout-for-woocommerce' ); ?></option>
+				<?php foreach ( $categories as $term_id => $label ) : ?>
+					<option value="<?php echo esc_attr( $term_id ); ?>" <?php selected( (int) $rule['category'], (int) $term_id ); ?>><?php echo esc_html( $label ); ?></option>
+				<?php endforeach; ?>
+			</select>
+		</td>
+		<td class="column-remove"><button type="button" class="button-link feed-mapping-remove"><?php esc_html_e( 'Remove', 'carticy-ai-checkout-for-woocommerce' ); ?></button></td>
+	</tr>
+	<?php
+};
+?>
+
+<div class="feed-mapping-tab">
+	<h2><?php esc_html_e( 'Field Mapping', 'carticy-ai-checkout-for-woocommerce' ); ?></h2>
+	<p class="description">
+		<?php esc_html_e( 'Fill feed fields from product attributes, custom fields, taxonomies or a fixed value instead of the built-in mapping. A rule limited to a category (subcategories included) takes precedence over rules for all categories; for each field the first rule with a value for the product is used. When a rule has no value for a product, the built-in value is kept. Overrides set on a product in the feed editor always win.', 'carticy-ai-checkout-for-woocommerce' ); ?>
+	</p>
+
+	<form method="post" action="options.php" class="feed-mapping-form">
+		<?php settings_fields( 'carticy_ai_checkout_feed_mapping' ); ?>
+
+		<table class="widefat striped feed-mapping-rules">
+			<thead>
+				<tr>
+					<th><?php esc_html_e( 'Feed field', 'carticy-ai-checkout-for-woocommerce' ); ?></th>
+					<th><?php esc_html_e( 'Source', 'carticy-ai-checkout-for-woocommerce' ); ?></th>
+					<th><?php esc_html_e( 'Category', 'carticy-ai-checkout-for-woocommerce' ); ?></th>
+					<th class="column-remove"><span class="screen-reader-text"><?php esc_html_e( 'Remove', 'carticy-ai-checkout-for-woocommerce' ); ?></span></th>
+				</tr>
+			</thead>
+			<tbody>
+				<?php
+				foreach ( $rules as $index => $rule ) {
+					$render_rule_row( (string) $index, $rule );
+				}
+				?>
+			</tbody>
+		</table>
+
+		<template id="feed-mapping-rule-template">
+			<?php
+			$render_rule_row(
+				'__index__',
+				array(
+					'field'    => 'brand',
+					'source'   => \Carticy\AiCheckout\Services\FeedMappingService::SOURCE_ATTRIBUTE,
+					'key'      => '',
+					'value'    => '',
+					'category' => 0,
+				)
+			);
+			?>
+		</template>
+
+		<datalist id="feed-mapping-attributes">
+			<?php foreach ( $attributes as $attribute => $label ) : ?>
+				<option value="<?php echo esc_attr( $attribute ); ?>"><?php echo esc_html( $label ); ?></option>
+			<?php endforeach; ?>
+		</datalist>
+		<datalist id="feed-mapping-taxonomies">
+			<?php foreach ( $taxonomies as $taxonomy => $label ) : ?>
+				<option value="<?php echo esc_attr( $taxonomy ); ?>"><?php echo esc_html( $label ); ?></option>
+			<?php endforeach; ?>
+		</datalist>
+		<datalist id="feed-mapping-meta-keys">
+			<?php foreach ( $meta_keys as $meta_key ) : ?>
+				<option value="<?php echo esc_attr( $meta_key ); ?>"></option>
+			<?php endforeach; ?>
+		</datalist>
+
+		<p>
+			<button type="button" class="button feed-mapping-add"><?php esc_html_e( 'Add rule', 'carticy-ai-checkout-for-woocommerce' ); ?></button>
+		</p>
+
+		<?php submit_button( __( 'Save Mapping Rules', 'carticy-ai-checkout-for-woocommerce' ) ); ?>
+	</form>
+
+	<div class="feed-mapping-preview">
+		<h3><?php esc_html_e( 'Preview', 'carticy-ai-checkout-for-woocommerce' ); ?></h3>
+		<?php if ( empty( $samples ) ) : ?>
+			<p class="description"><?php esc_html_e( 'Enable products for ChatGPT to preview the mapping on them.', 'carticy-ai-checkout-for-woocommerce' ); ?></p>
+		<?php else : ?>
+			<p>
+				<label for="feed-mapping-sample"><?php esc_html_e( 'Sample product', 'carticy-ai-checkout-for-woocommerce' ); ?></label>
+				<select id="feed-mapping-sample">
+					<?php foreach ( $samples as $product_id => $title ) : ?>
+						<option value="<?php echo esc_attr( $product_id ); ?>"><?php echo esc_html( $title ); ?></option>
+					<?php endforeach; ?>
+				</select>
+			</p>
+			<p class="description">
+				<?php esc_html_e( 'Shows the rules as currently edited, before saving. Variable products are previewed with their first variation.', 'carticy-ai-checkout-for-woocommerce' ); ?>
+			</p>
+			<div id="feed-mapping-preview-result" aria-live="polite"></div>
+		<?php endif; ?>
+	</div>
+</div>
@@ -0,0 +1,97 @@
+<?php
+/**
+ * Product Feed ChatGPT Pricing Tab Template
+ *
+ * @package Carticy\AiCheckout
+ *
+ * phpcs:disable WordPress.NamingConventions.PrefixAllGlobals.NonPrefixedVariableFound -- Template variables from parent scope.
+ *
+ * @var array $data ChatGPT pricing data
+ */
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+$overrides  = $data['overrides'] ?? array();
+$fields     = $data['fields'] ?? array();
+$categories = $data['categories'] ?? array();
+
+// Rows are rendered for the saved categories and once more, with an __index__ placeholder, as the template of new rows.
+$render_pricing_row = function ( string $index, int $category, array $values ) use ( $fields, $categories ): void {
+	$name = \Carticy\AiCheckout\Services\ChannelPricingService::OPTION_CATEGORIES . '[' . $index . ']';
+	?>
+	<tr class="channel-pricing-row">
+		<td>
+			<select name="<?php echo esc_attr( $name ); ?>[category]" aria-label="<?php esc_attr_e( 'Product category', 'carticy-ai-checkout-for-woocommerce' ); ?>">
+				<?php foreach ( $categories as $term_id => $label ) : ?>
+					<option value="<?php echo esc_attr( $term_id ); ?>" <?php selected( $category, (int) $term_id ); ?>><?php echo esc_html( $label ); ?></option>
+				<?php endforeach; ?>
+			</select>
+		</td>
+		<?php foreach ( $fields as $field => $label ) : ?>
+			<td>
+				<?php if ( 'sale_from' === $field || 'sale_to' === $field ) : ?>
+					<input type="date" name="<?php echo esc_attr( $name . '[' . $field . ']' ); ?>" value="<?php echo esc_attr( $values[ $field ] ?? '' ); ?>" aria-label="<?php echo esc_attr( $label ); ?>">
+				<?php elseif ( 'stock_reserve' === $field ) : ?>
+					<input type="number" class="small-text" name="<?php echo esc_attr( $name . '[' . $field . ']' ); ?>" value="<?php echo esc_attr( $values[ $field ] ?? '' ); ?>" min="0" step="1" aria-label="<?php echo esc_attr( $label ); ?>">
+				<?php else : ?>
+					<input type="text" class="channel-pricing-amount" name="<?php echo esc_attr( $name . '[' . $field . ']' ); ?>" value="<?php echo esc_attr( $values[ $field ] ?? '' ); ?>" placeholder="<?php esc_attr_e( '24.99 or -10%', 'carticy-ai-checkout-for-woocommerce' ); ?>" aria-label="<?php echo esc_attr( $label ); ?>">
+				<?php endif; ?>
+			</td>
+		<?php endforeach; ?>
+		<td class="column-remove"><button type="button" class="button-link channel-pricing-remove"><?php esc_html_e( 'Remove', 'carticy-ai-checkout-for-woocommerce' ); ?></button></td>
+	</tr>
+	<?php
+};
+?>
+
+<div class="channel-pricing-tab">
+	<h2><?php esc_html_e( 'ChatGPT Pricing', 'carticy-ai-checkout-for-woocommerce' ); ?></h2>
+	<p class="description">
+		<?php esc_html_e( 'Sell to ChatGPT buyers at their own prices and hold stock back for your other channels. The feed and checkout sessions both use these values, so buyers pay the price ChatGPT shows.', 'carticy-ai-checkout-for-woocommerce' ); ?>
+	</p>
+	<p class="description">
+		<?php esc_html_e( 'Prices are amounts (24.99) or percentages of the WooCommerce price (-10%); a sale percentage applies to the ChatGPT price. Sales run from their start date to their end date included, either of which may be left open. Reserved stock only applies to products that manage stock.', 'carticy-ai-checkout-for-woocommerce' ); ?>
+	</p>
+	<p class="description">
+		<?php esc_html_e( 'Category pricing applies to every product in the category or its subcategories, the closest category first. Pricing set on a product from the Products tab takes precedence, field by field.', 'carticy-ai-checkout-for-woocommerce' ); ?>
+	</p>
+
+	<?php if ( empty( $categories ) ) : ?>
+		<p><?php esc_html_e( 'Create product categories to set ChatGPT pricing by category.', 'carticy-ai-checkout-for-woocommerce' ); ?></p>
+	<?php else : ?>
+		<form method="post" action="options.php" class="channel-pricing-form">
+			<?php settings_fields( 'carticy_ai_checkout_channel_pricing' ); ?>
+
+			<table class="widefat striped channel-pricing-rules">
+				<thead>
+					<tr>
+						<th><?php esc_html_e( 'Category', 'carticy-ai-checkout-for-woocommerce' ); ?></th>
+						<?php foreach ( $fields as $label ) : ?>
+							<th><?php echo esc_html( $label ); ?></th>
+						<?php endforeach; ?>
+						<th class="column-remove"><span class="screen-reader-text"><?php esc_html_e( 'Remove', 'carticy-ai-checkout-for-woocommerce' ); ?></span></th>
+					</tr>
+				</thead>
+				<tbody>
+					<?php
+					foreach ( $overrides as $term_id => $values ) {
+						$render_pricing_row( (string) $term_id, (int) $term_id, $values );
+					}
+					?>
+				</tbody>
+			</table>
+
+			<template id="channel-pricing-row-template">
+				<?php $render_pricing_row( '__index__', 0, array() ); ?>
+			</template>
+
+			<p>
+				<button type="button" class="button channel-pricing-add"><?php esc_html_e( 'Add category', 'carticy-ai-checkout-for-woocommerce' ); ?></button>
+			</p>
+
+			<?php submit_button( __( 'Save Category Pricing', 'carticy-ai-checkout-for-woocommerce' ) ); ?>
+		</form>
+	<?php endif; ?>
+</div>
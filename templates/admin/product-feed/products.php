@@ -0,0 +1,121 @@
+<?php
+/**
+ * Product Feed Products Tab Template
+ *
+ * Feed statistics, export and the products list
+ *
+ * @package Carticy\AiCheckout
+ *
+ * phpcs:disable WordPress.NamingConventions.PrefixAllGlobals.NonPrefixedVariableFound -- Template variables from parent scope.
+ *
+ * @var array                                         $stats        Feed statistics
+ * @var \Carticy\AiCheckout\Admin\ProductsListTable $list_table   Products list table instance
+ * @var array                                         $feed_formats Feed export formats
+ */
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+?>
+
+<!-- Statistics Dashboard -->
+<div class="feed-statistics">
+	<div class="stats-grid">
+		<div class="stat-box">
+			<div class="stat-number" data-stat="total_products"><?php echo esc_html( $stats['total_products'] ); ?></div>
+			<div class="stat-label"><?php esc_html_e( 'Total Products', 'carticy-ai-checkout-for-woocommerce' ); ?></div>
+		</div>
+		<div class="stat-box">
+			<div class="stat-number" data-stat="chatgpt_enabled"><?php echo esc_html( $stats['chatgpt_enabled'] ); ?></div>
+			<div class="stat-label"><?php esc_html_e( 'ChatGPT Enabled', 'carticy-ai-checkout-for-woocommerce' ); ?></div>
+		</div>
+		<div class="stat-box">
+			<div class="stat-number" data-stat="avg_quality"><?php echo esc_html( $stats['avg_quality'] ); ?>%</div>
+			<div class="stat-label"><?php esc_html_e( 'Avg Quality Score', 'carticy-ai-checkout-for-woocommerce' ); ?></div>
+		</div>
+		<div class="stat-box">
+			<div class="stat-number" data-stat="products_with_issues"><?php echo esc_html( $stats['products_with_issues'] ); ?></div>
+			<div class="stat-label"><?php esc_html_e( 'Products with Issues', 'carticy-ai-checkout-for-woocommerce' ); ?></div>
+		</div>
+	</div>
+
+	<div class="feed-actions">
+		<button type="button" class="button button-secondary" id="carticy-compare-feed">
+			<?php esc_html_e( 'Compare with Live Feed', 'carticy-ai-checkout-for-woocommerce' ); ?>
+		</button>
+		<button type="button" class="button button-secondary" id="carticy-regenerate-feed">
+			<?php esc_html_e( 'Regenerate Feed', 'carticy-ai-checkout-for-woocommerce' ); ?>
+		</button>
+		<button type="button" class="button button-secondary" id="carticy-recalculate-quality">
+			<?php esc_html_e( 'Recalculate Quality Scores', 'carticy-ai-checkout-for-woocommerce' ); ?>
+		</button>
+
+		<?php if ( ! empty( $stats['feed_last_updated'] ) ) : ?>
+			<p class="feed-last-updated">
+				<?php
+				printf(
+					/* translators: %s: human-readable time difference */
+					esc_html__( 'Feed last updated: %s ago', 'carticy-ai-checkout-for-woocommerce' ),
+					esc_html( human_time_diff( $stats['feed_last_updated'] ) )
+				);
+				?>
+			</p>
+		<?php endif; ?>
+	</div>
+
+	<div class="feed-export">
+		<h3><?php esc_html_e( 'Export Feed', 'carticy-ai-checkout-for-woocommerce' ); ?></h3>
+		<div class="feed-export-formats">
+			<?php foreach ( $feed_formats as $format => $definition ) : ?>
+				<div class="feed-export-format">
+					<span class="feed-export-label"><?php echo esc_html( $definition['label'] ); ?></span>
+					<button type="button" class="button button-small carticy-preview-feed-export" data-format="<?php echo esc_attr( $format ); ?>" data-label="<?php echo esc_attr( $definition['label'] ); ?>">
+						<?php esc_html_e( 'Preview', 'carticy-ai-checkout-for-woocommerce' ); ?>
+					</button>
+					<a href="<?php echo esc_url( \Carticy\AiCheckout\Admin\ProductFeedManager::get_feed_download_url( $format ) ); ?>" class="button button-small">
+						<?php esc_html_e( 'Download', 'carticy-ai-checkout-for-woocommerce' ); ?>
+					</a>
+				</div>
+			<?php endforeach; ?>
+		</div>
+		<p class="description">
+			<?php
+			printf(
+				/* translators: 1: feed URL, 2: format parameter example */
+				esc_html__( 'Other shopping channels can fetch the feed from %1$s, adding %2$s for a format other than JSON. Every format carries the same fields.', 'carticy-ai-checkout-for-woocommerce' ),
+				'<code>' . esc_html( rest_url( 'carticy-ai-checkout/v1/products' ) ) . '</code>',
+				'<code>?format=csv|tsv|xml</code>'
+			);
+			?>
+		</p>
+	</div>
+</div>
+
+<!-- Products List -->
+<form method="get">
+	<?php // phpcs:ignore WordPress.Security.NonceVerification.Recommended -- Preserving page parameter for form submission. ?>
+	<input type="hidden" name="page" value="<?php echo esc_attr( isset( $_REQUEST['page'] ) ? sanitize_key( $_REQUEST['page'] ) : '' ); ?>" />
+	<?php
+	$list_table->search_box( __( 'Search Products', 'carticy-ai-checkout-for-woocommerce' ), 'product' );
+	$list_table->display();
+	?>
+</form>
+
+<!-- Feed Preview Modal -->
+<div id="carticy-feed-preview-modal" class="carticy-modal" style="display:none;">
+	<div class="carticy-modal-overlay"></div>
+	<div class="carticy-modal-content">
+		<div class="carticy-modal-header">
+			<h2><?php esc_html_e( 'Product Feed Preview', 'carticy-ai-checkout-for-woocommerce' ); ?></h2>
+			<button type="button" class="carticy-modal-close">&times;</button>
+		</div>
+		<div class="carticy-modal-body">
+			<div class="feed-preview-loading"><?php esc_html_e( 'Loading...', 'carticy-ai-checkout-for-woocommerce' ); ?></div>
+			<pre id="carticy-feed-preview-content"></pre>
+		</div>
+		<div class="carticy-modal-footer">
+			<button type="button" class="button" id="carticy-copy-feed"><?php esc_html_e( 'Copy to Clipboard', 'carticy-ai-checkout-for-woocommerce' ); ?></button>
+			<button type="button" class="button button-primary carticy-modal-close"><?php esc_html_e( 'Close', 'carticy-ai-checkout-for-woocommerce' ); ?></button>
+		</div>
+	</div>
+</div>
@@ -0,0 +1,140 @@
+<?php
+/**
+ * Request Playground Template
+ *
+ * Content area for the ACP request playground (wrapped by layout-wrapper.php)
+ *
+ * @package Carticy\AiCheckout
+ *
+ * phpcs:disable WordPress.NamingConventions.PrefixAllGlobals.NonPrefixedVariableFound -- Template variables from parent scope.
+ *
+ * @var array  $endpoints   Checkout session endpoints keyed by ID.
+ * @var array  $scenarios   Scenario ID => Label.
+ * @var string $api_version Default API-Version header value.
+ * @var bool   $test_mode   Whether test mode is enabled.
+ */
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+?>
+
+<p class="description">
+	<?php esc_html_e( 'Send Agentic Commerce Protocol requests to your checkout session endpoints. Start from a scenario template, edit the body and headers, then chain follow-up calls on the returned session.', 'carticy-ai-checkout-for-woocommerce' ); ?>
+</p>
+
+<?php if ( ! $test_mode ) : ?>
+	<div class="notice notice-warning inline">
+		<p>
+			<strong><?php esc_html_e( 'Test mode is disabled.', 'carticy-ai-checkout-for-woocommerce' ); ?></strong>
+			<?php esc_html_e( 'Requests would run against your live configuration and could create real orders, so sending is turned off. Enable test mode in Settings to use the playground.', 'carticy-ai-checkout-for-woocommerce' ); ?>
+		</p>
+	</div>
+<?php endif; ?>
+
+<div class="playground-layout">
+	<div class="playground-panel playground-request">
+		<h2><?php esc_html_e( 'Request', 'carticy-ai-checkout-for-woocommerce' ); ?></h2>
+
+		<div class="playground-field">
+			<label for="playground-endpoint"><?php esc_html_e( 'Endpoint', 'carticy-ai-checkout-for-woocommerce' ); ?></label>
+			<select id="playground-endpoint">
+				<?php foreach ( $endpoints as $endpoint_id => $endpoint ) : ?>
+					<option value="<?php echo esc_attr( $endpoint_id ); ?>">
+						<?php echo esc_html( $endpoint['method'] . ' /' . $endpoint['path'] . ' — ' . $endpoint['label'] ); ?>
+					</option>
+				<?php endforeach; ?>
+			</select>
+		</div>
+
+		<div class="playground-field playground-session" style="display: none;">
+			<label for="playground-session-id"><?php esc_html_e( 'Session ID', 'carticy-ai-checkout-for-woocommerce' ); ?></label>
+			<input type="text" id="playground-session-id" class="regular-text code">
+		</div>
+
+		<div class="playground-field">
+			<label for="playground-scenario"><?php esc_html_e( 'Scenario template', 'carticy-ai-checkout-for-woocommerce' ); ?></label>
+			<div class="playground-inline">
+				<select id="playground-scenario">
+					<?php foreach ( $scenarios as $scenario_id => $scenario_label ) : ?>
+						<option value="<?php echo esc_attr( $scenario_id ); ?>"><?php echo esc_html( $scenario_label ); ?></option>
+					<?php endforeach; ?>
+				</select>
+				<button type="button" class="button" id="playground-load-template">
+					<?php esc_html_e( 'Load Template', 'carticy-ai-checkout-for-woocommerce' ); ?>
+				</button>
+			</div>
+		</div>
+
+		<div class="playground-headers">
+			<div class="playground-field">
+				<label for="playground-idempotency-key"><?php esc_html_e( 'Idempotency-Key', 'carticy-ai-checkout-for-woocommerce' ); ?></label>
+				<div class="playground-inline">
+					<input type="text" id="playground-idempotency-key" class="regular-text code" placeholder="<?php esc_attr_e( 'Optional', 'carticy-ai-checkout-for-woocommerce' ); ?>">
+					<button type="button" class="button" id="playground-generate-key" title="<?php esc_attr_e( 'Generate a new key', 'carticy-ai-checkout-for-woocommerce' ); ?>">
+						<span class="dashicons dashicons-update"></span>
+					</button>
+				</div>
+			</div>
+			<div class="playground-field">
+				<label for="playground-api-version"><?php esc_html_e( 'API-Version', 'carticy-ai-checkout-for-woocommerce' ); ?></label>
+				<input type="text" id="playground-api-version" class="regular-text code" value="<?php echo esc_attr( $api_version ); ?>">
+			</div>
+		</div>
+
+		<div class="playground-field">
+			<label for="playground-body"><?php esc_html_e( 'JSON body', 'carticy-ai-checkout-for-woocommerce' ); ?></label>
+			<textarea id="playground-body" class="code" rows="18" spellcheck="false"></textarea>
+		</div>
+
+		<p class="playground-actions">
+			<button type="button" class="button button-primary" id="playground-send" <?php disabled( ! $test_mode ); ?>>
+				<?php esc_html_e( 'Send Request', 'carticy-ai-checkout-for-woocommerce' ); ?>
+			</button>
+			<span class="playground-message"></span>
+		</p>
+	</div>
+
+	<div class="playground-panel playground-response">
+		<h2><?php esc_html_e( 'Response', 'carticy-ai-checkout-for-woocommerce' ); ?></h2>
+
+		<div id="playground-response-empty" class="playground-empty">
+			<span class="dashicons dashicons-migrate"></span>
+			<p><?php esc_html_e( 'Send a request to see the response here.', 'carticy-ai-checkout-for-woocommerce' ); ?></p>
+		</div>
+
+		<div id="playground-response-content" style="display: none;">
+			<div class="playground-status">
+				<span class="playground-status-code"></span>
+				<code class="playground-status-path"></code>
+				<span class="playground-status-duration"></span>
+			</div>
+
+			<div class="playground-follow-up" style="display: none;">
+				<h4><?php esc_html_e( 'Follow-up calls', 'carticy-ai-checkout-for-woocommerce' ); ?></h4>
+				<div class="playground-follow-up-buttons">
+					<?php foreach ( $endpoints as $endpoint_id => $endpoint ) : ?>
+						<?php if ( $endpoint['needs_session'] ) : ?>
+							<button type="button" class="button button-small playground-follow-up-btn" data-endpoint="<?php echo esc_attr( $endpoint_id ); ?>">
+								<?php echo esc_html( $endpoint['label'] ); ?>
+							</button>
+						<?php endif; ?>
+					<?php endforeach; ?>
+				</div>
+			</div>
+
+			<h4><?php esc_html_e( 'Headers', 'carticy-ai-checkout-for-woocommerce' ); ?></h4>
+			<table class="widefat striped playground-response-headers">
+				<tbody></tbody>
+			</table>
+
+			<h4><?php esc_html_e( 'Body', 'carticy-ai-checkout-for-woocommerce' ); ?></h4>
+			<pre class="playground-response-body"></pre>
+		</div>
+
+		<div class="playground-history" style="display: none;">
+			<h4><?php esc_html_e( 'Calls this session', 'carticy-ai-checkout-for-woocommerce' ); ?></h4>
+			<ol class="playground-history-list"></ol>
+		</div>
+	</div>
+</div>
@@ -8,10 +8,16 @@
  *
  * phpcs:disable WordPress.NamingConventions.PrefixAllGlobals.NonPrefixedVariableFound -- Template variables from parent scope.
  *
- * @var array  $prerequisites     Prerequisites check results
- * @var string $api_key           API key for authentication
- * @var string $webhook_secret    Webhook HMAC secret
- * @var string $product_feed_url  Product feed endpoint URL
+ * @var array      $prerequisites           Prerequisites check results
+ * @var string     $api_key                 API key for authentication
+ * @var string     $webhook_secret          Webhook HMAC secret
+ * @var array|null $api_key_rotation        API key rotation in progress
+ * @var array|null $webhook_secret_rotation Webhook secret rotation in progress
+ * @var string     $product_feed_url        Product feed endpoint URL
+ * @var array      $webhook_log_entries     Recent webhook log entries
+ * @var array      $redaction_rules         Log redaction rules (path, action)
+ * @var array      $redaction_actions       Redaction action labels keyed by action
+ * @var array      $redaction_defaults      Default log redaction rules
  */
 
 if ( ! defined( 'ABSPATH' ) ) {
@@ -310,6 +316,69 @@ if ( ! $all_met ) {
 		</table>
 		<?php submit_button(); ?>
 	</form>
+
+	<form method="post" action="options.php" class="redaction-policy-form" style="margin-top: 30px;">
+		<?php settings_fields( 'carticy_ai_checkout_redaction' ); ?>
+		<h3><?php esc_html_e( 'Log Redaction', 'carticy-ai-checkout-for-woocommerce' ); ?></h3>
+		<p class="description">
+			<?php esc_html_e( 'Fields of API request/response payloads, headers and webhook payloads to mask, hash or drop. Rules apply when logs are written and again when they are displayed or exported.', 'carticy-ai-checkout-for-woocommerce' ); ?>
+		</p>
+		<p class="description">
+			<?php esc_html_e( 'A path is a dot-separated list of keys matched against the end of the field path: "email" matches every email field, "shipping_address.*" every field of a shipping address and "$.buyer" only the buyer at the top level. The first matching rule wins.', 'carticy-ai-checkout-for-woocommerce' ); ?>
+		</p>
+		<ul class="redaction-actions-help">
+			<li><strong><?php echo esc_html( $redaction_actions['mask'] ); ?></strong> &mdash; <?php esc_html_e( 'replaced with *** (long values keep their last 4 characters).', 'carticy-ai-checkout-for-woocommerce' ); ?></li>
+			<li><strong><?php echo esc_html( $redaction_actions['hash'] ); ?></strong> &mdash; <?php esc_html_e( 'replaced with a keyed hash, so the same value can still be followed across requests.', 'carticy-ai-checkout-for-woocommerce' ); ?></li>
+			<li><strong><?php echo esc_html( $redaction_actions['drop'] ); ?></strong> &mdash; <?php esc_html_e( 'removed from the log entry.', 'carticy-ai-checkout-for-woocommerce' ); ?></li>
+		</ul>
+
+		<table class="widefat striped redaction-rules">
+			<thead>
+				<tr>
+					<th><?php esc_html_e( 'Field path', 'carticy-ai-checkout-for-woocommerce' ); ?></th>
+					<th class="column-action"><?php esc_html_e( 'Action', 'carticy-ai-checkout-for-woocommerce' ); ?></th>
+					<th class="column-remove"><span class="screen-reader-text"><?php esc_html_e( 'Remove', 'carticy-ai-checkout-for-woocommerce' ); ?></span></th>
+				</tr>
+			</thead>
+			<tbody>
+				<?php foreach ( $redaction_rules as $rule ) : ?>
+					<tr class="redaction-rule">
+						<td><input type="text" class="regular-text code" name="carticy_ai_checkout_redaction_rules[path][]" value="<?php echo esc_attr( $rule['path'] ); ?>" aria-label="<?php esc_attr_e( 'Field path', 'carticy-ai-checkout-for-woocommerce' ); ?>"></td>
+						<td>
+							<select name="carticy_ai_checkout_redaction_rules[action][]" aria-label="<?php esc_attr_e( 'Action', 'carticy-ai-checkout-for-woocommerce' ); ?>">
+								<?php foreach ( $redaction_actions as $action => $label ) : ?>
+									<option value="<?php echo esc_attr( $action ); ?>" <?php selected( $rule['action'], $action ); ?>><?php echo esc_html( $label ); ?></option>
+								<?php endforeach; ?>
+							</select>
+						</td>
+						<td><button type="button" class="button-link redaction-rule-remove"><?php esc_html_e( 'Remove', 'carticy-ai-checkout-for-woocommerce' ); ?></button></td>
+					</tr>
+				<?php endforeach; ?>
+			</tbody>
+		</table>
+
+		<template id="redaction-rule-template">
+			<tr class="redaction-rule">
+				<td><input type="text" class="regular-text code" name="carticy_ai_checkout_redaction_rules[path][]" value="" aria-label="<?php esc_attr_e( 'Field path', 'carticy-ai-checkout-for-woocommerce' ); ?>"></td>
+				<td>
+					<select name="carticy_ai_checkout_redaction_rules[action][]" aria-label="<?php esc_attr_e( 'Action', 'carticy-ai-checkout-for-woocommerce' ); ?>">
+						<?php foreach ( $redaction_actions as $action => $label ) : ?>
+							<option value="<?php echo esc_attr( $action ); ?>"><?php echo esc_html( $label ); ?></option>
+						<?php endforeach; ?>
+					</select>
+				</td>
+				<td><button type="button" class="button-link redaction-rule-remove"><?php esc_html_e( 'Remove', 'carticy-ai-checkout-for-woocommerce' ); ?></button></td>
+			</tr>
+		</template>
+
+		<p>
+			<button type="button" class="button redaction-rule-add"><?php esc_html_e( 'Add rule', 'carticy-ai-checkout-for-woocommerce' ); ?></button>
+			<button type="button" class="button redaction-rules-defaults" data-rules="<?php echo esc_attr( wp_json_encode( $redaction_defaults ) ); ?>">
+				<?php esc_html_e( 'Restore defaults', 'carticy-ai-checkout-for-woocommerce' ); ?>
+			</button>
+		</p>
+		<?php submit_button( __( 'Save Redaction Rules', 'carticy-ai-checkout-for-woocommerce' ) ); ?>
+	</form>
 </div>
 
 <!-- API Configuration Tab -->
@@ -326,12 +395,14 @@ if ( ! $all_met ) {
 				<button type="button" class="button button-secondary copy-button" data-clipboard-target="#api-key">
 					<?php esc_html_e( 'Copy', 'carticy-ai-checkout-for-woocommerce' ); ?>
 				</button>
-				<button type="button" class="button button-secondary regenerate-api-key">
-					<?php esc_html_e( 'Regenerate', 'carticy-ai-checkout-for-woocommerce' ); ?>
-				</button>
 				<p class="description">
 					<?php esc_html_e( 'Include this key in Authorization header: Bearer {key}', 'carticy-ai-checkout-for-woocommerce' ); ?>
 				</p>
+				<?php
+				$rotation_type = \Carticy\AiCheckout\Services\ApiKeyService::TYPE_API_KEY;
+				$rotation      = $api_key_rotation;
+				require CARTICY_AI_CHECKOUT_DIR . 'templates/admin/key-rotation.php';
+				?>
 			</td>
 		</tr>
 		<tr>
@@ -341,12 +412,14 @@ if ( ! $all_met ) {
 				<button type="button" class="button button-secondary copy-button" data-clipboard-target="#webhook-secret">
 					<?php esc_html_e( 'Copy', 'carticy-ai-checkout-for-woocommerce' ); ?>
 				</button>
-				<button type="button" class="button button-secondary regenerate-webhook-secret">
-					<?php esc_html_e( 'Regenerate', 'carticy-ai-checkout-for-woocommerce' ); ?>
-				</button>
 				<p class="description">
 					<?php esc_html_e( 'Used to sign outgoing webhooks to OpenAI with HMAC-SHA256.', 'carticy-ai-checkout-for-woocommerce' ); ?>
 				</p>
+				<?php
+				$rotation_type = \Carticy\AiCheckout\Services\ApiKeyService::TYPE_WEBHOOK_SECRET;
+				$rotation      = $webhook_secret_rotation;
+				require CARTICY_AI_CHECKOUT_DIR . 'templates/admin/key-rotation.php';
+				?>
 			</td>
 		</tr>
 	</table>
@@ -480,6 +553,60 @@ if ( ! $all_met ) {
 	<p class="description" style="margin-top: 10px;">
 		<?php esc_html_e( 'All webhooks include HMAC-SHA256 signature in Merchant-Signature header.', 'carticy-ai-checkout-for-woocommerce' ); ?>
 	</p>
+
+	<!-- Webhook Signature Verifier Section -->
+	<h3 style="margin-top: 30px;"><?php esc_html_e( 'Webhook Signature Verifier', 'carticy-ai-checkout-for-woocommerce' ); ?></h3>
+	<p class="description">
+		<?php esc_html_e( 'Check that a webhook receiver computes the same signature. The signature is the hex HMAC-SHA256 of the raw request body, keyed with the webhook secret.', 'carticy-ai-checkout-for-woocommerce' ); ?>
+	</p>
+	<?php
+	$webhook_log_entries = array_filter(
+		$webhook_log_entries ?? array(),
+		static function ( $entry ) {
+			return is_array( $entry['payload'] );
+		}
+	);
+	?>
+	<table class="form-table signature-verifier">
+		<tr>
+			<th scope="row"><label for="signature-verifier-log"><?php esc_html_e( 'Load from webhook log', 'carticy-ai-checkout-for-woocommerce' ); ?></label></th>
+			<td>
+				<?php if ( ! empty( $webhook_log_entries ) ) : ?>
+					<select id="signature-verifier-log">
+						<option value=""><?php esc_html_e( '— Select a webhook —', 'carticy-ai-checkout-for-woocommerce' ); ?></option>
+						<?php foreach ( $webhook_log_entries as $entry ) : ?>
+							<option value="<?php echo esc_attr( wp_json_encode( $entry['payload'] ) ); ?>">
+								<?php echo esc_html( $entry['timestamp'] . ' — ' . $entry['event_type'] . ' (' . ( $entry['success'] ? __( 'Success', 'carticy-ai-checkout-for-woocommerce' ) : __( 'Failed', 'carticy-ai-checkout-for-woocommerce' ) ) . ')' ); ?>
+							</option>
+						<?php endforeach; ?>
+					</select>
+				<?php else : ?>
+					<p class="description">
+						<?php esc_html_e( 'No logged webhook payloads found. Payloads are written to the webhook log when WP_DEBUG is enabled.', 'carticy-ai-checkout-for-woocommerce' ); ?>
+					</p>
+				<?php endif; ?>
+			</td>
+		</tr>
+		<tr>
+			<th scope="row"><label for="signature-verifier-payload"><?php esc_html_e( 'Raw payload', 'carticy-ai-checkout-for-woocommerce' ); ?></label></th>
+			<td>
+				<textarea id="signature-verifier-payload" class="large-text code" rows="6" spellcheck="false"></textarea>
+				<p class="description"><?php esc_html_e( 'Paste the request body exactly as received, without reformatting.', 'carticy-ai-checkout-for-woocommerce' ); ?></p>
+			</td>
+		</tr>
+		<tr>
+			<th scope="row"><label for="signature-verifier-signature"><?php esc_html_e( 'Merchant-Signature', 'carticy-ai-checkout-for-woocommerce' ); ?></label></th>
+			<td>
+				<input type="text" id="signature-verifier-signature" class="large-text code">
+			</td>
+		</tr>
+	</table>
+	<p>
+		<button type="button" class="button button-secondary verify-webhook-signature">
+			<?php esc_html_e( 'Verify Signature', 'carticy-ai-checkout-for-woocommerce' ); ?>
+		</button>
+	</p>
+	<div id="signature-verifier-result" class="signature-verifier-result" style="display: none;"></div>
 </div>
 
 <!-- Uninstall Tab -->
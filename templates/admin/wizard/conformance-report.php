@@ -0,0 +1,155 @@
+<?php
+/**
+ * Conformance Report (self-contained HTML export)
+ *
+ * Rendered by ConformanceTestService::export_results_html(). Uses inline styles only
+ * so the file can be opened offline.
+ *
+ * @package Carticy\AiCheckout
+ *
+ * phpcs:disable WordPress.NamingConventions.PrefixAllGlobals.NonPrefixedVariableFound -- Template variables from parent scope.
+ *
+ * @var array $report Report with environment, summary and tests.
+ */
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+$environment = $report['environment'];
+$summary     = $report['summary'];
+$yes_no      = static function ( bool $value ): string {
+	return $value ? __( 'Yes', 'carticy-ai-checkout-for-woocommerce' ) : __( 'No', 'carticy-ai-checkout-for-woocommerce' );
+};
+?>
+<!DOCTYPE html>
+<html lang="<?php echo esc_attr( get_bloginfo( 'language' ) ); ?>">
+<head>
+<meta charset="utf-8">
+<title><?php esc_html_e( 'ACP Conformance Report', 'carticy-ai-checkout-for-woocommerce' ); ?></title>
+<style>
+	body { margin: 0; padding: 32px; background: #f0f0f1; color: #1d2327; font: 14px/1.5 -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; }
+	.report { max-width: 1000px; margin: 0 auto; }
+	.card { background: #fff; border: 1px solid #dcdcde; border-radius: 6px; padding: 20px 24px; margin-bottom: 20px; }
+	h1 { margin: 0 0 4px; font-size: 24px; }
+	h2 { margin: 0 0 12px; font-size: 18px; }
+	h3 { margin: 0; font-size: 15px; }
+	h4 { margin: 16px 0 6px; font-size: 13px; color: #50575e; }
+	.muted { color: #646970; }
+	table { width: 100%; border-collapse: collapse; }
+	th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #f0f0f1; vertical-align: top; }
+	th { width: 220px; color: #50575e; font-weight: 600; }
+	.stats { display: flex; gap: 16px; flex-wrap: wrap; }
+	.stat { flex: 1; min-width: 120px; text-align: center; padding: 12px; background: #f6f7f7; border-radius: 4px; }
+	.stat strong { display: block; font-size: 28px; }
+	.badge { display: inline-block; padding: 2px 8px; border-radius: 3px; font-size: 12px; font-weight: 600; }
+	.badge-pass { background: #d4edda; color: #155724; }
+	.badge-fail { background: #f8d7da; color: #721c24; }
+	.badge-warn { background: #fff3cd; color: #856404; }
+	.badge-neutral { background: #f0f0f1; color: #50575e; }
+	.test-header { display: flex; gap: 12px; align-items: center; }
+	.test-header h3 { flex: 1; }
+	pre { margin: 0; padding: 12px; background: #f6f7f7; border: 1px solid #dcdcde; border-radius: 4px; font: 12px/1.5 "Courier New", Courier, monospace; white-space: pre-wrap; word-wrap: break-word; max-height: 400px; overflow: auto; }
+</style>
+</head>
+<body>
+<div class="report">
+	<div class="card">
+		<h1><?php esc_html_e( 'ACP Conformance Report', 'carticy-ai-checkout-for-woocommerce' ); ?></h1>
+		<p class="muted" style="margin: 0;">
+			<?php
+			printf(
+				/* translators: 1: site URL, 2: export date */
+				esc_html__( '%1$s — exported %2$s', 'carticy-ai-checkout-for-woocommerce' ),
+				esc_html( $environment['site_url'] ),
+				esc_html( $environment['exported_at'] )
+			);
+			?>
+		</p>
+	</div>
+
+	<div class="card">
+		<h2><?php esc_html_e( 'Summary', 'carticy-ai-checkout-for-woocommerce' ); ?></h2>
+		<div class="stats">
+			<div class="stat"><strong><?php echo esc_html( $summary['total'] ?? 0 ); ?></strong><?php esc_html_e( 'Tests', 'carticy-ai-checkout-for-woocommerce' ); ?></div>
+			<div class="stat"><strong style="color: #46b450;"><?php echo esc_html( $summary['passed'] ?? 0 ); ?></strong><?php esc_html_e( 'Passed', 'carticy-ai-checkout-for-woocommerce' ); ?></div>
+			<div class="stat"><strong style="color: #dc3232;"><?php echo esc_html( $summary['failed'] ?? 0 ); ?></strong><?php esc_html_e( 'Failed', 'carticy-ai-checkout-for-woocommerce' ); ?></div>
+			<div class="stat"><strong style="color: #dc3232;"><?php echo esc_html( $summary['blocking_failed'] ?? 0 ); ?></strong><?php esc_html_e( 'Blocking failures', 'carticy-ai-checkout-for-woocommerce' ); ?></div>
+		</div>
+		<p style="margin: 16px 0 0;">
+			<?php if ( ! empty( $summary['missing'] ) ) : ?>
+				<span class="badge badge-neutral">
+					<?php
+					printf(
+						/* translators: %d: number of tests without a result */
+						esc_html__( 'Incomplete: %d test(s) not run', 'carticy-ai-checkout-for-woocommerce' ),
+						(int) $summary['missing']
+					);
+					?>
+				</span>
+			<?php elseif ( ! empty( $summary['all_blocking_passed'] ) ) : ?>
+				<span class="badge badge-pass"><?php esc_html_e( 'All blocking tests passed', 'carticy-ai-checkout-for-woocommerce' ); ?></span>
+			<?php else : ?>
+				<span class="badge badge-fail"><?php esc_html_e( 'Blocking tests failed', 'carticy-ai-checkout-for-woocommerce' ); ?></span>
+			<?php endif; ?>
+		</p>
+	</div>
+
+	<div class="card">
+		<h2><?php esc_html_e( 'Environment', 'carticy-ai-checkout-for-woocommerce' ); ?></h2>
+		<table>
+			<tr><th><?php esc_html_e( 'Plugin version', 'carticy-ai-checkout-for-woocommerce' ); ?></th><td><?php echo esc_html( $environment['plugin_version'] ); ?></td></tr>
+			<tr><th><?php esc_html_e( 'Test mode', 'carticy-ai-checkout-for-woocommerce' ); ?></th><td><?php echo esc_html( $yes_no( $environment['test_mode'] ) ); ?></td></tr>
+			<tr><th><?php esc_html_e( 'Stripe mode', 'carticy-ai-checkout-for-woocommerce' ); ?></th><td><?php echo esc_html( $environment['stripe_mode'] ); ?></td></tr>
+			<tr><th><?php esc_html_e( 'WordPress version', 'carticy-ai-checkout-for-woocommerce' ); ?></th><td><?php echo esc_html( $environment['wordpress_version'] ); ?></td></tr>
+			<tr><th><?php esc_html_e( 'WooCommerce version', 'carticy-ai-checkout-for-woocommerce' ); ?></th><td><?php echo esc_html( $environment['woocommerce_version'] ); ?></td></tr>
+			<tr><th><?php esc_html_e( 'PHP version', 'carticy-ai-checkout-for-woocommerce' ); ?></th><td><?php echo esc_html( $environment['php_version'] ); ?></td></tr>
+		</table>
+	</div>
+
+	<?php foreach ( $report['tests'] as $test ) : ?>
+		<?php
+		$blocking = $test['blocking'] ?? true;
+		if ( ! empty( $test['passed'] ) ) {
+			$status_class = 'badge-pass';
+			$status_label = __( 'Passed', 'carticy-ai-checkout-for-woocommerce' );
+		} elseif ( $blocking ) {
+			$status_class = 'badge-fail';
+			$status_label = __( 'Failed', 'carticy-ai-checkout-for-woocommerce' );
+		} else {
+			$status_class = 'badge-warn';
+			$status_label = __( 'Warning', 'carticy-ai-checkout-for-woocommerce' );
+		}
+		?>
+		<div class="card">
+			<div class="test-header">
+				<h3><?php echo esc_html( $test['name'] ?? ( $test['test_id'] ?? '' ) ); ?></h3>
+				<span class="badge <?php echo esc_attr( $blocking ? 'badge-neutral' : 'badge-warn' ); ?>">
+					<?php echo $blocking ? esc_html__( 'Blocking', 'carticy-ai-checkout-for-woocommerce' ) : esc_html__( 'Non-blocking', 'carticy-ai-checkout-for-woocommerce' ); ?>
+				</span>
+				<span class="badge <?php echo esc_attr( $status_class ); ?>"><?php echo esc_html( $status_label ); ?></span>
+			</div>
+
+			<?php if ( ! empty( $test['message'] ) ) : ?>
+				<h4><?php esc_html_e( 'Message', 'carticy-ai-checkout-for-woocommerce' ); ?></h4>
+				<p style="margin: 0;"><?php echo esc_html( $test['message'] ); ?></p>
+			<?php endif; ?>
+
+			<?php if ( ! empty( $test['request'] ) ) : ?>
+				<h4><?php esc_html_e( 'Request', 'carticy-ai-checkout-for-woocommerce' ); ?></h4>
+				<pre><?php echo esc_html( wp_json_encode( $test['request'], JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES ) ); ?></pre>
+			<?php endif; ?>
+
+			<?php if ( ! empty( $test['response'] ) ) : ?>
+				<h4><?php esc_html_e( 'Response', 'carticy-ai-checkout-for-woocommerce' ); ?></h4>
+				<pre><?php echo esc_html( wp_json_encode( $test['response'], JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES ) ); ?></pre>
+			<?php endif; ?>
+
+			<?php if ( ! empty( $test['timestamp'] ) ) : ?>
+				<p class="muted" style="margin: 12px 0 0; font-size: 12px;"><?php echo esc_html( $test['timestamp'] ); ?></p>
+			<?php endif; ?>
+		</div>
+	<?php endforeach; ?>
+</div>
+</body>
+</html>
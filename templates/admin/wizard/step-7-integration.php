@@ -14,6 +14,13 @@ if ( ! defined( 'ABSPATH' ) ) {
 	exit;
 }
 
+use Carticy\AiCheckout\Services\ApiKeyService;
+
+// Rotations first - an expired rotation is finalized on read and replaces the current value.
+$api_key_service         = \Carticy\AiCheckout\Init::get_instance()->get_service( 'api_key' );
+$api_key_rotation        = $api_key_service->get_rotation( ApiKeyService::TYPE_API_KEY );
+$webhook_secret_rotation = $api_key_service->get_rotation( ApiKeyService::TYPE_WEBHOOK_SECRET );
+
 $api_key        = get_option( 'carticy_ai_checkout_api_key', '' );
 $webhook_secret = get_option( 'carticy_ai_checkout_webhook_secret', '' );
 $ip_allowlist   = get_option( 'carticy_ai_checkout_enable_ip_allowlist', 'no' );
@@ -52,16 +59,18 @@ $all_configured = ! empty( $api_key ) && ! empty( $webhook_secret );
 					<button type="button" class="button button-secondary" onclick="copyToClipboard('api-key-field')">
 						<span class="dashicons dashicons-admin-page"></span> <?php esc_html_e( 'Copy', 'carticy-ai-checkout-for-woocommerce' ); ?>
 					</button>
-					<button type="button" class="button button-secondary" id="regenerate-api-key" data-action="regenerate_api_key">
-						<span class="dashicons dashicons-update"></span> <?php esc_html_e( 'Regenerate', 'carticy-ai-checkout-for-woocommerce' ); ?>
-					</button>
 				</div>
+				<?php
+				$rotation_type = ApiKeyService::TYPE_API_KEY;
+				$rotation      = $api_key_rotation;
+				require CARTICY_AI_CHECKOUT_DIR . 'templates/admin/key-rotation.php';
+				?>
 			</div>
 
 			<div class="notice notice-warning inline" style="margin: 0;">
 				<p style="margin: 8px 0;">
 					<strong><?php esc_html_e( '⚠️ Important:', 'carticy-ai-checkout-for-woocommerce' ); ?></strong>
-					<?php esc_html_e( 'Keep this key secure. Regenerating will invalidate the old key and require updating OpenAI configuration.', 'carticy-ai-checkout-for-woocommerce' ); ?>
+					<?php esc_html_e( 'Keep this key secure. Rotating keeps the old key valid for the grace period so you can update the OpenAI configuration without downtime.', 'carticy-ai-checkout-for-woocommerce' ); ?>
 				</p>
 			</div>
 		</div>
@@ -82,10 +91,12 @@ $all_configured = ! empty( $api_key ) && ! empty( $webhook_secret );
 					<button type="button" class="button button-secondary" onclick="copyToClipboard('webhook-secret-field')">
 						<span class="dashicons dashicons-admin-page"></span> <?php esc_html_e( 'Copy', 'carticy-ai-checkout-for-woocommerce' ); ?>
 					</button>
-					<button type="button" class="button button-secondary" id="regenerate-webhook-secret" data-action="regenerate_webhook_secret">
-						<span class="dashicons dashicons-update"></span> <?php esc_html_e( 'Regenerate', 'carticy-ai-checkout-for-woocommerce' ); ?>
-					</button>
 				</div>
+				<?php
+				$rotation_type = ApiKeyService::TYPE_WEBHOOK_SECRET;
+				$rotation      = $webhook_secret_rotation;
+				require CARTICY_AI_CHECKOUT_DIR . 'templates/admin/key-rotation.php';
+				?>
 			</div>
 		</div>
 
@@ -8,6 +8,7 @@
  *
  * @var array                                                   $data            Wizard data.
  * @var \Carticy\AiCheckout\Services\ApplicationWizardService  $wizard_service  Wizard service.
+ * @var \Carticy\AiCheckout\Services\ConformanceTestService    $conformance     Conformance test service.
  */
 
 if ( ! defined( 'ABSPATH' ) ) {
@@ -15,9 +16,22 @@ if ( ! defined( 'ABSPATH' ) ) {
 }
 
 $test_results        = get_transient( 'carticy_ai_checkout_wizard_test_results' );
+$test_list           = $conformance->get_test_list();
+$test_groups         = $conformance->get_test_groups();
 $all_passed          = false;
 $all_blocking_passed = false;
 
+// Tests missing from every group are shown in a group of their own.
+$grouped_tests = array_merge( ...array_column( $test_groups, 'tests' ) );
+$other_tests   = array_diff( array_keys( $test_list ), $grouped_tests );
+if ( $other_tests ) {
+	$test_groups[] = array(
+		'label' => __( 'Additional Tests', 'carticy-ai-checkout-for-woocommerce' ),
+		'icon'  => 'admin-generic',
+		'tests' => array_values( $other_tests ),
+	);
+}
+
 if ( $test_results && isset( $test_results['summary'] ) ) {
 	$all_passed          = $test_results['summary']['all_passed'];
 	$all_blocking_passed = $test_results['summary']['all_blocking_passed'] ?? false;
@@ -27,7 +41,13 @@ if ( $test_results && isset( $test_results['summary'] ) ) {
 <div class="wizard-step-content">
 	<h2><?php esc_html_e( 'Step 8: ACP Conformance Tests', 'carticy-ai-checkout-for-woocommerce' ); ?></h2>
 	<p class="description">
-		<?php esc_html_e( 'Run the complete ACP conformance test suite to validate your integration. All 17 required tests must pass for production readiness.', 'carticy-ai-checkout-for-woocommerce' ); ?>
+		<?php
+		printf(
+			/* translators: %d: number of conformance tests */
+			esc_html__( 'Run the complete ACP conformance test suite to validate your integration. All %d required tests must pass for production readiness.', 'carticy-ai-checkout-for-woocommerce' ),
+			count( $test_list )
+		);
+		?>
 	</p>
 
 	<div class="notice notice-info inline">
@@ -68,10 +88,16 @@ if ( $test_results && isset( $test_results['summary'] ) ) {
 					<span class="dashicons dashicons-admin-tools" style="color: #2271b1;"></span>
 					<?php esc_html_e( 'Test Suite Runner', 'carticy-ai-checkout-for-woocommerce' ); ?>
 				</h3>
-				<button type="button" id="run-all-tests" class="button button-primary button-large">
-					<span class="dashicons dashicons-controls-play"></span>
-					<?php esc_html_e( 'Run All Tests', 'carticy-ai-checkout-for-woocommerce' ); ?>
-				</button>
+				<div>
+					<button type="button" id="run-failed-tests" class="button button-large" disabled>
+						<span class="dashicons dashicons-image-rotate"></span>
+						<?php esc_html_e( 'Run Failed Only', 'carticy-ai-checkout-for-woocommerce' ); ?>
+					</button>
+					<button type="button" id="run-all-tests" class="button button-primary button-large">
+						<span class="dashicons dashicons-controls-play"></span>
+						<?php esc_html_e( 'Run All Tests', 'carticy-ai-checkout-for-woocommerce' ); ?>
+					</button>
+				</div>
 			</div>
 
 			<!-- Progress Bar (initially hidden) -->
@@ -84,159 +110,57 @@ if ( $test_results && isset( $test_results['summary'] ) ) {
 				<div style="background: #f0f0f1; height: 30px; border-radius: 15px; overflow: hidden; position: relative;">
 					<div id="test-progress-bar" style="background: linear-gradient(90deg, #2271b1, #4285f4); height: 100%; width: 0%; transition: width 0.3s ease;"></div>
 					<div id="test-progress-text" style="position: absolute; top: 50%; left: 50%; transform: translate(-50%, -50%); font-weight: bold; color: #333; font-size: 14px;">
-						0 / 17
+						0 / <?php echo esc_html( count( $test_list ) ); ?>
 					</div>
 				</div>
 			</div>
 
 			<!-- Test Groups -->
 			<div id="test-groups">
-
-				<!-- Core Session Tests -->
-				<div class="test-group">
-					<h4 class="test-group-title">
-						<span class="dashicons dashicons-arrow-right-alt2"></span>
-						<?php esc_html_e( 'Core Session Tests (1-3)', 'carticy-ai-checkout-for-woocommerce' ); ?>
-					</h4>
-					<div class="test-items">
-						<div class="test-item" data-test="1">
-							<span class="test-status"><span class="dashicons dashicons-minus"></span></span>
-							<span class="test-name"><?php esc_html_e( 'Test 1: Session Creation With Shipping Address', 'carticy-ai-checkout-for-woocommerce' ); ?></span>
-							<span class="test-result"></span>
-						</div>
-						<div class="test-item" data-test="2">
-							<span class="test-status"><span class="dashicons dashicons-minus"></span></span>
-							<span class="test-name"><?php esc_html_e( 'Test 2: Session Creation Without Shipping Address', 'carticy-ai-checkout-for-woocommerce' ); ?></span>
-							<span class="test-result"></span>
-						</div>
-						<div class="test-item" data-test="3">
-							<span class="test-status"><span class="dashicons dashicons-minus"></span></span>
-							<span class="test-name"><?php esc_html_e( 'Test 3: Shipping Option Updates', 'carticy-ai-checkout-for-woocommerce' ); ?></span>
-							<span class="test-result"></span>
-						</div>
-					</div>
-				</div>
-
-				<!-- Payment & Completion Tests -->
-				<div class="test-group">
-					<h4 class="test-group-title">
-						<span class="dashicons dashicons-money-alt"></span>
-						<?php esc_html_e( 'Payment & Completion Tests (4-5)', 'carticy-ai-checkout-for-woocommerce' ); ?>
-					</h4>
-					<div class="test-items">
-						<div class="test-item" data-test="4">
-							<span class="test-status"><span class="dashicons dashicons-minus"></span></span>
-							<span class="test-name"><?php esc_html_e( 'Test 4: SharedPaymentToken Processing', 'carticy-ai-checkout-for-woocommerce' ); ?></span>
-							<span class="test-result"></span>
-						</div>
-						<div class="test-item" data-test="5">
-							<span class="test-status"><span class="dashicons dashicons-minus"></span></span>
-							<span class="test-name"><?php esc_html_e( 'Test 5: Order Completion (201 Status)', 'carticy-ai-checkout-for-woocommerce' ); ?></span>
-							<span class="test-result"></span>
-						</div>
-					</div>
-				</div>
-
-				<!-- Webhook & Error Tests -->
-				<div class="test-group">
-					<h4 class="test-group-title">
-						<span class="dashicons dashicons-megaphone"></span>
-						<?php esc_html_e( 'Webhook & Error Tests (6-7)', 'carticy-ai-checkout-for-woocommerce' ); ?>
-					</h4>
-					<div class="test-items">
-						<div class="test-item" data-test="6">
-							<span class="test-status"><span class="dashicons dashicons-minus"></span></span>
-							<span class="test-name"><?php esc_html_e( 'Test 6: Webhook Emission', 'carticy-ai-checkout-for-woocommerce' ); ?></span>
-							<span class="test-result"></span>
-						</div>
-						<div class="test-item" data-test="7">
-							<span class="test-status"><span class="dashicons dashicons-minus"></span></span>
-							<span class="test-name"><?php esc_html_e( 'Test 7: Error Scenarios', 'carticy-ai-checkout-for-woocommerce' ); ?></span>
-							<span class="test-result"></span>
-						</div>
-					</div>
-				</div>
-
-				<!-- Security Tests -->
-				<div class="test-group">
-					<h4 class="test-group-title">
-						<span class="dashicons dashicons-shield"></span>
-						<?php esc_html_e( 'Security Tests (8-9)', 'carticy-ai-checkout-for-woocommerce' ); ?>
-					</h4>
-					<div class="test-items">
-						<div class="test-item" data-test="8">
-							<span class="test-status"><span class="dashicons dashicons-minus"></span></span>
-							<span class="test-name"><?php esc_html_e( 'Test 8: Idempotency Validation', 'carticy-ai-checkout-for-woocommerce' ); ?></span>
-							<span class="test-result"></span>
-						</div>
-						<div class="test-item" data-test="9">
-							<span class="test-status"><span class="dashicons dashicons-minus"></span></span>
-							<span class="test-name"><?php esc_html_e( 'Test 9: Security Requirements', 'carticy-ai-checkout-for-woocommerce' ); ?></span>
-							<span class="test-result"></span>
-						</div>
-					</div>
-				</div>
-
-				<!-- Product Feed Tests -->
-				<div class="test-group">
-					<h4 class="test-group-title">
-						<span class="dashicons dashicons-products"></span>
-						<?php esc_html_e( 'Product Feed Tests (10-12)', 'carticy-ai-checkout-for-woocommerce' ); ?>
-					</h4>
-					<div class="test-items">
-						<div class="test-item" data-test="10">
-							<span class="test-status"><span class="dashicons dashicons-minus"></span></span>
-							<span class="test-name"><?php esc_html_e( 'Test 10: Product Feed Endpoint Accessibility', 'carticy-ai-checkout-for-woocommerce' ); ?></span>
-							<span class="test-result"></span>
-						</div>
-						<div class="test-item" data-test="11">
-							<span class="test-status"><span class="dashicons dashicons-minus"></span></span>
-							<span class="test-name"><?php esc_html_e( 'Test 11: Product Feed Data Quality', 'carticy-ai-checkout-for-woocommerce' ); ?></span>
-							<span class="test-result"></span>
-						</div>
-						<div class="test-item" data-test="12">
-							<span class="test-status"><span class="dashicons dashicons-minus"></span></span>
-							<span class="test-name"><?php esc_html_e( 'Test 12: Feed Refresh Mechanism', 'carticy-ai-checkout-for-woocommerce' ); ?></span>
-							<span class="test-result"></span>
-						</div>
-					</div>
-				</div>
-
-				<!-- Advanced Tests -->
-				<div class="test-group">
-					<h4 class="test-group-title">
-						<span class="dashicons dashicons-admin-settings"></span>
-						<?php esc_html_e( 'Advanced Tests (13-17)', 'carticy-ai-checkout-for-woocommerce' ); ?>
-					</h4>
-					<div class="test-items">
-						<div class="test-item" data-test="13">
-							<span class="test-status"><span class="dashicons dashicons-minus"></span></span>
-							<span class="test-name"><?php esc_html_e( 'Test 13: API-Version Header Validation', 'carticy-ai-checkout-for-woocommerce' ); ?></span>
-							<span class="test-result"></span>
-						</div>
-						<div class="test-item" data-test="14">
-							<span class="test-status"><span class="dashicons dashicons-minus"></span></span>
-							<span class="test-name"><?php esc_html_e( 'Test 14: Rate Limiting Enforcement', 'carticy-ai-checkout-for-woocommerce' ); ?></span>
-							<span class="test-result"></span>
-						</div>
-						<div class="test-item" data-test="15">
-							<span class="test-status"><span class="dashicons dashicons-minus"></span></span>
-							<span class="test-name"><?php esc_html_e( 'Test 15: Robots.txt Configuration', 'carticy-ai-checkout-for-woocommerce' ); ?></span>
-							<span class="test-result"></span>
-						</div>
-						<div class="test-item" data-test="16">
-							<span class="test-status"><span class="dashicons dashicons-minus"></span></span>
-							<span class="test-name"><?php esc_html_e( 'Test 16: IP Allowlist Validation', 'carticy-ai-checkout-for-woocommerce' ); ?></span>
-							<span class="test-result"></span>
-						</div>
-						<div class="test-item" data-test="17">
-							<span class="test-status"><span class="dashicons dashicons-minus"></span></span>
-							<span class="test-name"><?php esc_html_e( 'Test 17: Production Prerequisites', 'carticy-ai-checkout-for-woocommerce' ); ?></span>
-							<span class="test-result"></span>
+				<?php foreach ( $test_groups as $test_group ) : ?>
+					<?php
+					$group_tests = array_values( array_intersect( $test_group['tests'], array_keys( $test_list ) ) );
+					if ( empty( $group_tests ) ) {
+						continue;
+					}
+					$first_number = (int) substr( $group_tests[0], 5 );
+					$last_number  = (int) substr( end( $group_tests ), 5 );
+					?>
+					<div class="test-group">
+						<h4 class="test-group-title">
+							<span class="dashicons dashicons-<?php echo esc_attr( $test_group['icon'] ); ?>"></span>
+							<?php
+							echo esc_html(
+								$first_number === $last_number
+									? sprintf( '%s (%d)', $test_group['label'], $first_number )
+									: sprintf( '%s (%d-%d)', $test_group['label'], $first_number, $last_number )
+							);
+							?>
+						</h4>
+						<div class="test-items">
+							<?php foreach ( $group_tests as $test_id ) : ?>
+								<div class="test-item" data-test="<?php echo esc_attr( substr( $test_id, 5 ) ); ?>" data-test-id="<?php echo esc_attr( $test_id ); ?>">
+									<span class="test-status"><span class="dashicons dashicons-minus"></span></span>
+									<span class="test-name">
+										<?php
+										printf(
+											/* translators: 1: test number, 2: test name */
+											esc_html__( 'Test %1$d: %2$s', 'carticy-ai-checkout-for-woocommerce' ),
+											(int) substr( $test_id, 5 ),
+											esc_html( $test_list[ $test_id ] )
+										);
+										?>
+									</span>
+									<span class="test-result"></span>
+									<button type="button" class="test-rerun-btn" data-test-id="<?php echo esc_attr( $test_id ); ?>" title="<?php esc_attr_e( 'Run this test again', 'carticy-ai-checkout-for-woocommerce' ); ?>">
+										<span class="dashicons dashicons-controls-repeat"></span>
+										<?php esc_html_e( 'Run again', 'carticy-ai-checkout-for-woocommerce' ); ?>
+									</button>
+								</div>
+							<?php endforeach; ?>
 						</div>
 					</div>
-				</div>
-
+				<?php endforeach; ?>
 			</div>
 
 			<!-- Test Summary (initially hidden) -->
@@ -258,6 +182,61 @@ if ( $test_results && isset( $test_results['summary'] ) ) {
 				</div>
 			</div>
 
+			<!-- Report Export -->
+			<div id="test-export" style="display: <?php echo $test_results ? 'flex' : 'none'; ?>; gap: 10px; align-items: center; margin-top: 20px;">
+				<strong><?php esc_html_e( 'Download report:', 'carticy-ai-checkout-for-woocommerce' ); ?></strong>
+				<?php
+				$export_formats = array(
+					'json' => __( 'JSON', 'carticy-ai-checkout-for-woocommerce' ),
+					'html' => __( 'HTML (offline)', 'carticy-ai-checkout-for-woocommerce' ),
+				);
+				foreach ( $export_formats as $export_format => $export_label ) :
+					$export_url = wp_nonce_url(
+						add_query_arg(
+							array(
+								'action' => 'carticy_ai_checkout_export_conformance_report',
+								'format' => $export_format,
+							),
+							admin_url( 'admin-post.php' )
+						),
+						'carticy_export_conformance_report'
+					);
+					?>
+					<a class="button" href="<?php echo esc_url( $export_url ); ?>">
+						<span class="dashicons dashicons-download"></span>
+						<?php echo esc_html( $export_label ); ?>
+					</a>
+				<?php endforeach; ?>
+			</div>
+
+			<!-- Run History -->
+			<div id="test-history" style="margin-top: 30px;">
+				<div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 10px;">
+					<h4 style="margin: 0;"><?php esc_html_e( 'Run History', 'carticy-ai-checkout-for-woocommerce' ); ?></h4>
+					<button type="button" id="compare-runs" class="button" disabled>
+						<span class="dashicons dashicons-image-flip-horizontal"></span>
+						<?php esc_html_e( 'Compare Selected Runs', 'carticy-ai-checkout-for-woocommerce' ); ?>
+					</button>
+				</div>
+				<p class="description" style="margin: 0 0 10px 0;">
+					<?php esc_html_e( 'Select two runs to see which tests regressed or were fixed between them.', 'carticy-ai-checkout-for-woocommerce' ); ?>
+				</p>
+				<table class="widefat striped test-history-table">
+					<thead>
+						<tr>
+							<td class="check-column"></td>
+							<th><?php esc_html_e( 'Date', 'carticy-ai-checkout-for-woocommerce' ); ?></th>
+							<th><?php esc_html_e( 'Plugin Version', 'carticy-ai-checkout-for-woocommerce' ); ?></th>
+							<th><?php esc_html_e( 'Tests Run', 'carticy-ai-checkout-for-woocommerce' ); ?></th>
+							<th><?php esc_html_e( 'Passed', 'carticy-ai-checkout-for-woocommerce' ); ?></th>
+							<th><?php esc_html_e( 'Status', 'carticy-ai-checkout-for-woocommerce' ); ?></th>
+						</tr>
+					</thead>
+					<tbody></tbody>
+				</table>
+				<div id="test-comparison" style="display: none; margin-top: 20px;"></div>
+			</div>
+
 		</div>
 	</div>
 
@@ -35,6 +35,13 @@ function carticy_ai_checkout_uninstall_delete_options(): void {
 		'carticy_ai_checkout_api_key',
 		'carticy_ai_checkout_test_mode',
 		'carticy_ai_checkout_webhook_secret',
+		'carticy_ai_checkout_webhook_secret_history',
+		'carticy_ai_checkout_key_rotations',
+		'carticy_ai_checkout_redaction_rules',
+		'carticy_ai_checkout_alert_rules',
+		'carticy_ai_checkout_alert_channels',
+		'carticy_ai_checkout_alert_state',
+		'carticy_ai_checkout_alert_history',
 		'carticy_ai_checkout_enabled',
 		'carticy_ai_checkout_webhook_url',
 		'carticy_ai_checkout_enable_ip_allowlist',
@@ -45,6 +52,9 @@ function carticy_ai_checkout_uninstall_delete_options(): void {
 		'carticy_ai_checkout_openai_ip_ranges_last_updated',
 		'carticy_ai_checkout_openai_ip_ranges_backup',
 		'carticy_ai_checkout_feed_last_updated',
+		'carticy_ai_checkout_feed_mapping_rules',
+		'carticy_ai_checkout_feed_inclusion_rules',
+		'carticy_ai_checkout_channel_pricing_categories',
 		'carticy_ai_checkout_webhook_retry_queue',
 		'carticy_ai_checkout_test_webhook_url',
 		'carticy_ai_checkout_enable_openai_robots',
@@ -129,6 +139,8 @@ function carticy_ai_checkout_uninstall_delete_post_meta(): void {
 		'_carticy_chatgpt_quality_score',
 		'_carticy_chatgpt_quality_issues',
 		'_carticy_ai_checkout_enabled',
+		'_carticy_ai_checkout_enabled_by',
+		'_carticy_ai_checkout_channel_pricing',
 		'_chatgpt_checkout',
 		'_chatgpt_session_id',
 	);
@@ -160,6 +172,8 @@ function carticy_ai_checkout_uninstall_clear_cron_events(): void {
 		'carticy_ai_checkout_update_openai_ips',
 		'carticy_ai_checkout_refresh_product_feed',
 		'carticy_ai_checkout_cleanup_sessions',
+		'carticy_ai_checkout_evaluate_alerts',
+		'carticy_ai_checkout_process_batch_jobs',
 	);
 
 	foreach ( $events as $event ) {
@@ -16,6 +16,7 @@ module.exports = {
         'css/dist/admin-wizard': './assets/css/src/admin-wizard.css',
         'css/dist/analytics-dashboard': './assets/css/src/analytics-dashboard.css',
         'css/dist/logs-viewer': './assets/css/src/logs-viewer.css',
+        'css/dist/request-playground': './assets/css/src/request-playground.css',
     },
 
     output: {